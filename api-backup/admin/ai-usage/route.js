@@ -0,0 +1,55 @@
+import { NextResponse } from 'next/server';
+import { verifyAuth, authorize } from '@/lib/auth/middleware';
+import { logAudit } from '@/lib/security/audit-log';
+import { getUsageLedger } from '@/lib/ai/usage-ledger';
+
+/**
+ * GET /api/admin/ai-usage
+ * AI spend by day, task and user from the usage ledger (admins only)
+ * Query: days (default 30, max 365)
+ */
+export async function GET(request) {
+  try {
+    // Verify authentication
+    const authResponse = await verifyAuth(request);
+    if (authResponse) return authResponse;
+
+    const user = request.user;
+
+    // Admins only (users.role)
+    const denied = await authorize(['admin'])(request);
+    if (denied) return denied;
+
+    const { searchParams } = new URL(request.url);
+    const days = Math.min(Math.max(parseInt(searchParams.get('days'), 10) || 30, 1), 365);
+
+    const ledger = getUsageLedger();
+
+    logAudit({
+      userId: user.id,
+      action: 'VIEW_AI_USAGE',
+      resourceType: 'ai_usage',
+      ipAddress: request.headers.get('x-forwarded-for') || 'unknown',
+      userAgent: request.headers.get('user-agent'),
+      details: { days },
+      success: true
+    });
+
+    return NextResponse.json({
+      success: true,
+      days,
+      budget: {
+        dailyUsd: ledger.budget,
+        action: ledger.action
+      },
+      usage: ledger.summary({ days })
+    });
+
+  } catch (error) {
+    console.error('[AI Usage] Error:', error);
+    return NextResponse.json(
+      { error: error.message },
+      { status: 500 }
+    );
+  }
+}
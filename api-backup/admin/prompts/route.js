@@ -0,0 +1,154 @@
+import { NextResponse } from 'next/server';
+import { verifyAuth, authorize } from '@/lib/auth/middleware';
+import { logAudit } from '@/lib/security/audit-log';
+import { getPromptRegistry } from '@/lib/ai/prompts';
+import { getPromptExperiments } from '@/lib/ai/prompts/experiments';
+
+/**
+ * Authenticate an admin (users.role)
+ * @returns {Promise<Response|null>} - Error response, or null when the user is an admin
+ */
+async function requireAdmin(request) {
+  const authResponse = await verifyAuth(request);
+  if (authResponse) return authResponse;
+
+  return authorize(['admin'])(request);
+}
+
+/**
+ * GET /api/admin/prompts
+ * Prompt templates and versions, running experiments and feedback per version (admins only)
+ * Query: days (default 90, max 365) of feedback to compare
+ */
+export async function GET(request) {
+  try {
+    const denied = await requireAdmin(request);
+    if (denied) return denied;
+
+    const { searchParams } = new URL(request.url);
+    const days = Math.min(Math.max(parseInt(searchParams.get('days'), 10) || 90, 1), 365);
+    const since = new Date(Date.now() - days * 86400000).toISOString();
+    const experiments = getPromptExperiments();
+
+    return NextResponse.json({
+      success: true,
+      days,
+      available: experiments.available(),
+      templates: getPromptRegistry().list(),
+      experiments: experiments.active(),
+      feedback: experiments.compare({ since })
+    });
+
+  } catch (error) {
+    console.error('[Prompts] Error:', error);
+    return NextResponse.json(
+      { error: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/admin/prompts
+ * Start an A/B experiment between two versions of a template, replacing any running one
+ * Body: { name, versionA, versionB, split } - split is the share of reports given version B (default 0.5)
+ */
+export async function POST(request) {
+  try {
+    const denied = await requireAdmin(request);
+    if (denied) return denied;
+
+    const { name, versionA, versionB, split = 0.5 } = await request.json();
+    const registry = getPromptRegistry();
+
+    if (!registry.get(name, versionA) || !registry.get(name, versionB) || Number(versionA) === Number(versionB)) {
+      return NextResponse.json(
+        { error: 'Choose two different versions of an existing template' },
+        { status: 400 }
+      );
+    }
+
+    const share = Number(split);
+    if (!(share > 0 && share < 1)) {
+      return NextResponse.json(
+        { error: 'split must be between 0 and 1' },
+        { status: 400 }
+      );
+    }
+
+    const experiment = getPromptExperiments().start({
+      name,
+      versionA: Number(versionA),
+      versionB: Number(versionB),
+      split: share,
+      startedBy: request.user.id
+    });
+
+    if (!experiment) {
+      return NextResponse.json(
+        { error: 'Experiments need the audit database. Run npm run db:migrate on the server.' },
+        { status: 503 }
+      );
+    }
+
+    logAudit({
+      userId: request.user.id,
+      action: 'START_PROMPT_EXPERIMENT',
+      resourceType: 'prompts',
+      resourceId: name,
+      ipAddress: request.headers.get('x-forwarded-for') || 'unknown',
+      userAgent: request.headers.get('user-agent'),
+      details: { versionA: experiment.versionA, versionB: experiment.versionB, split: experiment.split },
+      success: true
+    });
+
+    return NextResponse.json({ success: true, experiment });
+
+  } catch (error) {
+    console.error('[Prompts] Start experiment error:', error);
+    return NextResponse.json(
+      { error: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * DELETE /api/admin/prompts?name=
+ * End the running experiment for a template; its newest version is live again
+ */
+export async function DELETE(request) {
+  try {
+    const denied = await requireAdmin(request);
+    if (denied) return denied;
+
+    const name = new URL(request.url).searchParams.get('name');
+    const stopped = getPromptExperiments().stop(name);
+
+    logAudit({
+      userId: request.user.id,
+      action: 'STOP_PROMPT_EXPERIMENT',
+      resourceType: 'prompts',
+      resourceId: name,
+      ipAddress: request.headers.get('x-forwarded-for') || 'unknown',
+      userAgent: request.headers.get('user-agent'),
+      success: stopped
+    });
+
+    if (!stopped) {
+      return NextResponse.json(
+        { error: 'No experiment is running for this template' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ success: true });
+
+  } catch (error) {
+    console.error('[Prompts] Stop experiment error:', error);
+    return NextResponse.json(
+      { error: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,53 @@
+import { NextResponse } from 'next/server';
+import { PatientDB, ReportDB } from '@/lib/storage/database';
+import { fromPatientRow, fromReportRow } from '@/lib/storage/records';
+import { verifyAuth } from '@/lib/auth/middleware';
+import { logAudit } from '@/lib/security/audit-log';
+import { generateHandover } from '@/lib/presentation/handover';
+
+/**
+ * GET /api/handover
+ * End-of-shift handover for every active patient, as structured JSON
+ * Query: ward, handedOverBy
+ */
+export async function GET(request) {
+  try {
+    // Verify authentication
+    const authResponse = await verifyAuth(request);
+    if (authResponse) return authResponse;
+
+    const user = request.user;
+    const { searchParams } = new URL(request.url);
+
+    const patients = PatientDB.findByUserId(user.id, 500).map(fromPatientRow);
+    const reports = patients.flatMap(patient =>
+      ReportDB.findByPatientId(patient.id, 200).map(fromReportRow)
+    );
+
+    const handover = generateHandover(patients, reports, {
+      ward: searchParams.get('ward'),
+      handedOverBy: searchParams.get('handedOverBy') || user.username
+    });
+
+    logAudit({
+      userId: user.id,
+      action: 'GENERATE_HANDOVER',
+      ipAddress: request.headers.get('x-forwarded-for') || 'unknown',
+      userAgent: request.headers.get('user-agent'),
+      details: { patients: handover.summary.total, criticalAlerts: handover.summary.criticalAlerts },
+      success: true
+    });
+
+    return NextResponse.json({
+      success: true,
+      handover
+    });
+
+  } catch (error) {
+    console.error('[Handover] Error:', error);
+    return NextResponse.json(
+      { error: error.message },
+      { status: 500 }
+    );
+  }
+}
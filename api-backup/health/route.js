@@ -0,0 +1,26 @@
+import { NextResponse } from 'next/server';
+import { getDatabase } from '@/lib/storage/database';
+
+/**
+ * GET /api/health
+ * Lets the browser decide whether to use server storage.
+ * Unauthenticated; reports 503 when the database is unavailable or needs migrating.
+ */
+export async function GET() {
+  try {
+    getDatabase().prepare('SELECT 1').get();
+
+    return NextResponse.json({
+      success: true,
+      status: 'ok',
+      storage: 'sqlite'
+    });
+
+  } catch (error) {
+    console.error('[Health] Database unavailable:', error.message);
+    return NextResponse.json(
+      { success: false, status: 'unavailable', error: error.message },
+      { status: 503 }
+    );
+  }
+}
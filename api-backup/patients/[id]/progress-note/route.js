@@ -0,0 +1,58 @@
+import { NextResponse } from 'next/server';
+import { PatientDB, ReportDB } from '@/lib/storage/database';
+import { verifyAuth } from '@/lib/auth/middleware';
+import { logAudit } from '@/lib/security/audit-log';
+import { fromPatientRow, fromReportRow } from '@/lib/storage/records';
+import { generateProgressNote } from '@/lib/presentation/progress-note';
+
+/**
+ * GET /api/patients/:id/progress-note
+ * SOAP progress note merged from every report since the last round (?since= overrides)
+ */
+export async function GET(request, { params }) {
+  try {
+    // Verify authentication
+    const authResponse = await verifyAuth(request);
+    if (authResponse) return authResponse;
+
+    const user = request.user;
+    const row = PatientDB.findById(params.id);
+
+    if (!row || row.user_id !== user.id) {
+      return NextResponse.json(
+        { error: 'Patient not found' },
+        { status: 404 }
+      );
+    }
+
+    const { searchParams } = new URL(request.url);
+    const since = searchParams.get('since') || undefined;
+
+    const patient = fromPatientRow(row);
+    const reports = ReportDB.findByPatientId(row.id, 200).map(fromReportRow);
+    const note = generateProgressNote(patient, reports, { since });
+
+    logAudit({
+      userId: user.id,
+      action: 'VIEW_PROGRESS_NOTE',
+      resourceType: 'patient',
+      resourceId: row.id,
+      ipAddress: request.headers.get('x-forwarded-for') || 'unknown',
+      userAgent: request.headers.get('user-agent'),
+      details: { since: note.since, sources: note.sources.length },
+      success: true
+    });
+
+    return NextResponse.json({
+      success: true,
+      ...note
+    });
+
+  } catch (error) {
+    console.error('[ProgressNote] Error:', error);
+    return NextResponse.json(
+      { error: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,139 @@
+import { NextResponse } from 'next/server';
+import { PatientDB } from '@/lib/storage/database';
+import { toPatientFields, fromPatientRow } from '@/lib/storage/records';
+import { verifyAuth } from '@/lib/auth/middleware';
+import { logAudit } from '@/lib/security/audit-log';
+
+/**
+ * Load a patient owned by the authenticated user
+ * @returns {Object|null} - Patient row, or null when missing or owned by someone else
+ */
+function findOwnPatient(request, id) {
+  const patient = PatientDB.findById(id);
+  return patient && patient.user_id === request.user.id ? patient : null;
+}
+
+function notFound() {
+  return NextResponse.json(
+    { error: 'Patient not found' },
+    { status: 404 }
+  );
+}
+
+/**
+ * GET /api/patients/:id
+ * Get a single patient
+ */
+export async function GET(request, { params }) {
+  try {
+    // Verify authentication
+    const authResponse = await verifyAuth(request);
+    if (authResponse) return authResponse;
+
+    const patient = findOwnPatient(request, params.id);
+    if (!patient) return notFound();
+
+    return NextResponse.json({
+      success: true,
+      patient: fromPatientRow(patient)
+    });
+
+  } catch (error) {
+    console.error('[Patients] Get error:', error);
+    return NextResponse.json(
+      { error: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * PUT /api/patients/:id
+ * Update a patient
+ */
+export async function PUT(request, { params }) {
+  try {
+    // Verify authentication
+    const authResponse = await verifyAuth(request);
+    if (authResponse) return authResponse;
+
+    const user = request.user;
+    const existing = findOwnPatient(request, params.id);
+    if (!existing) return notFound();
+
+    const body = await request.json();
+    const fields = toPatientFields({ ...fromPatientRow(existing), ...body });
+
+    PatientDB.update(existing.id, {
+      mrn: fields.mrn,
+      name: fields.name,
+      age: fields.age,
+      gender: fields.gender,
+      admission_date: fields.admissionDate,
+      chief_complaint: fields.chiefComplaint,
+      status: fields.status,
+      metadata: fields.metadata
+    });
+
+    logAudit({
+      userId: user.id,
+      action: 'UPDATE_PATIENT',
+      resourceType: 'patient',
+      resourceId: existing.id,
+      ipAddress: request.headers.get('x-forwarded-for') || 'unknown',
+      userAgent: request.headers.get('user-agent'),
+      details: { fields: Object.keys(body) },
+      success: true
+    });
+
+    return NextResponse.json({
+      success: true,
+      patient: fromPatientRow(PatientDB.findById(existing.id))
+    });
+
+  } catch (error) {
+    console.error('[Patients] Update error:', error);
+    return NextResponse.json(
+      { error: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * DELETE /api/patients/:id
+ * Delete a patient; their reports are kept but unlinked
+ */
+export async function DELETE(request, { params }) {
+  try {
+    // Verify authentication
+    const authResponse = await verifyAuth(request);
+    if (authResponse) return authResponse;
+
+    const user = request.user;
+    const patient = findOwnPatient(request, params.id);
+    if (!patient) return notFound();
+
+    PatientDB.delete(patient.id);
+
+    logAudit({
+      userId: user.id,
+      action: 'DELETE_PATIENT',
+      resourceType: 'patient',
+      resourceId: patient.id,
+      ipAddress: request.headers.get('x-forwarded-for') || 'unknown',
+      userAgent: request.headers.get('user-agent'),
+      details: { mrn: patient.mrn },
+      success: true
+    });
+
+    return NextResponse.json({ success: true });
+
+  } catch (error) {
+    console.error('[Patients] Delete error:', error);
+    return NextResponse.json(
+      { error: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,57 @@
+import { NextResponse } from 'next/server';
+import { PatientDB, ReportDB } from '@/lib/storage/database';
+import { verifyAuth } from '@/lib/auth/middleware';
+import { logAudit } from '@/lib/security/audit-log';
+import { buildLabTrends } from '@/lib/labs/trends';
+
+/**
+ * GET /api/patients/:id/trends
+ * Lab time series, deltas and shift alerts across all of a patient's reports
+ */
+export async function GET(request, { params }) {
+  try {
+    // Verify authentication
+    const authResponse = await verifyAuth(request);
+    if (authResponse) return authResponse;
+
+    const user = request.user;
+    const patient = PatientDB.findById(params.id);
+
+    if (!patient || patient.user_id !== user.id) {
+      return NextResponse.json(
+        { error: 'Patient not found' },
+        { status: 404 }
+      );
+    }
+
+    const { searchParams } = new URL(request.url);
+    const limit = parseInt(searchParams.get('limit') || '200');
+
+    const reports = ReportDB.findByPatientId(patient.id, limit);
+    const trends = buildLabTrends(reports, patient);
+
+    logAudit({
+      userId: user.id,
+      action: 'VIEW_LAB_TRENDS',
+      resourceType: 'patient',
+      resourceId: patient.id,
+      ipAddress: request.headers.get('x-forwarded-for') || 'unknown',
+      userAgent: request.headers.get('user-agent'),
+      details: { reports: reports.length, analytes: trends.series.length, alerts: trends.alerts.length },
+      success: true
+    });
+
+    return NextResponse.json({
+      success: true,
+      patientId: patient.id,
+      ...trends
+    });
+
+  } catch (error) {
+    console.error('[Trends] Error:', error);
+    return NextResponse.json(
+      { error: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -1,6 +1,7 @@
 import { NextResponse } from 'next/server';
 import { v4 as uuidv4 } from 'uuid';
 import { PatientDB } from '@/lib/storage/database';
+import { toPatientFields, fromPatientRow } from '@/lib/storage/records';
 import { verifyAuth } from '@/lib/auth/middleware';
 import { logAudit } from '@/lib/security/audit-log';
 
@@ -19,7 +20,7 @@ export async function GET(request) {
     const limit = parseInt(searchParams.get('limit') || '100');
     const offset = parseInt(searchParams.get('offset') || '0');
 
-    const patients = PatientDB.findByUserId(user.id, limit, offset);
+    const patients = PatientDB.findByUserId(user.id, limit, offset).map(fromPatientRow);
 
     logAudit({
       userId: user.id,
@@ -59,16 +60,11 @@ export async function POST(request) {
     const body = await request.json();
 
     const patient = {
+      ...toPatientFields(body),
       id: uuidv4(),
       userId: user.id,
-      mrn: body.mrn,
-      name: body.name,
-      age: body.age,
-      gender: body.gender,
-      admissionDate: body.admissionDate || new Date().toISOString(),
-      chiefComplaint: body.chiefComplaint,
-      status: body.status || 'stable',
-      metadata: body.metadata || {}
+      mrn: body.mrn || `MRN${Date.now().toString().slice(-6)}`,
+      admissionDate: body.admissionDate || new Date().toISOString()
     };
 
     PatientDB.create(patient);
@@ -86,7 +82,7 @@ export async function POST(request) {
 
     return NextResponse.json({
       success: true,
-      patient
+      patient: fromPatientRow(PatientDB.findById(patient.id))
     });
 
   } catch (error) {
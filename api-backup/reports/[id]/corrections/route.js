@@ -0,0 +1,82 @@
+import { NextResponse } from 'next/server';
+import { ReportDB } from '@/lib/storage/database';
+import { toReportFields, fromReportRow } from '@/lib/storage/records';
+import { verifyAuth } from '@/lib/auth/middleware';
+import { logAudit } from '@/lib/security/audit-log';
+
+// Fields a correction may change (see lib/ocr/textCorrection.js); the originals are set here, never by the client
+const CORRECTABLE_FIELDS = ['extractedText', 'structuredData'];
+
+/**
+ * POST /api/reports/:id/corrections
+ * Save corrected OCR text or lab rows; the original extraction stays on the report
+ * Body: { changes, correction: { id, kind, correctedAt, changes } }
+ */
+export async function POST(request, { params }) {
+  try {
+    // Verify authentication
+    const authResponse = await verifyAuth(request);
+    if (authResponse) return authResponse;
+
+    const user = request.user;
+    const existing = ReportDB.findById(params.id);
+
+    if (!existing || existing.user_id !== user.id) {
+      return NextResponse.json(
+        { error: 'Report not found' },
+        { status: 404 }
+      );
+    }
+
+    const { changes = {}, correction } = await request.json();
+
+    if (!correction?.kind || typeof changes.extractedText !== 'string') {
+      return NextResponse.json(
+        { error: 'A correction and the corrected text are required' },
+        { status: 400 }
+      );
+    }
+
+    const report = fromReportRow(existing);
+    const allowed = Object.fromEntries(
+      Object.entries(changes).filter(([key]) => CORRECTABLE_FIELDS.includes(key))
+    );
+    const fields = toReportFields({
+      ...report,
+      ...allowed,
+      // The first extraction is copied once, from the stored report, however many corrections follow
+      originalExtractedText: report.originalExtractedText ?? report.extractedText ?? '',
+      originalStructuredData: report.originalStructuredData ?? report.structuredData ?? null,
+      corrections: [...(report.corrections || []), { ...correction, correctedBy: user.id }]
+    });
+
+    ReportDB.update(existing.id, {
+      extracted_text: fields.extractedText,
+      structured_data: fields.structuredData,
+      metadata: fields.metadata
+    });
+
+    logAudit({
+      userId: user.id,
+      action: 'CORRECT_REPORT_TEXT',
+      resourceType: 'report',
+      resourceId: existing.id,
+      ipAddress: request.headers.get('x-forwarded-for') || 'unknown',
+      userAgent: request.headers.get('user-agent'),
+      details: { kind: correction.kind, correctionId: correction.id, changes: correction.changes },
+      success: true
+    });
+
+    return NextResponse.json({
+      success: true,
+      report: fromReportRow(ReportDB.findById(existing.id))
+    });
+
+  } catch (error) {
+    console.error('[Reports] Correction error:', error);
+    return NextResponse.json(
+      { error: error.message },
+      { status: 500 }
+    );
+  }
+}
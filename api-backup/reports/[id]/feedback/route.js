@@ -0,0 +1,91 @@
+import { NextResponse } from 'next/server';
+import { ReportDB } from '@/lib/storage/database';
+import { fromReportRow } from '@/lib/storage/records';
+import { verifyAuth } from '@/lib/auth/middleware';
+import { logAudit } from '@/lib/security/audit-log';
+import { parsePromptId } from '@/lib/ai/prompts';
+import { getPromptExperiments, FEEDBACK_SECTIONS } from '@/lib/ai/prompts/experiments';
+
+/**
+ * POST /api/reports/:id/feedback
+ * Rate one section of a report; the rating is scored against the prompt
+ * version that produced the section (report.promptVersions)
+ * Body: { section: interpretation|pearls|questions, rating: 1-5, comment }
+ */
+export async function POST(request, { params }) {
+  try {
+    // Verify authentication
+    const authResponse = await verifyAuth(request);
+    if (authResponse) return authResponse;
+
+    const user = request.user;
+    const row = ReportDB.findById(params.id);
+    if (!row || row.user_id !== user.id) {
+      return NextResponse.json(
+        { error: 'Report not found' },
+        { status: 404 }
+      );
+    }
+
+    const { section, rating, comment } = await request.json();
+
+    if (!FEEDBACK_SECTIONS.includes(section)) {
+      return NextResponse.json(
+        { error: `section must be one of ${FEEDBACK_SECTIONS.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return NextResponse.json(
+        { error: 'rating must be a whole number from 1 to 5' },
+        { status: 400 }
+      );
+    }
+
+    // Knowledge base answers and reports from before the registry have no prompt to score
+    const prompt = parsePromptId(fromReportRow(row).promptVersions?.[section]);
+    if (!prompt) {
+      return NextResponse.json(
+        { error: 'This section was not generated from a versioned prompt' },
+        { status: 409 }
+      );
+    }
+
+    const feedback = getPromptExperiments().recordFeedback({
+      reportId: row.id,
+      userId: user.id,
+      section,
+      prompt,
+      rating,
+      comment: typeof comment === 'string' ? comment.slice(0, 1000) : null
+    });
+
+    if (!feedback) {
+      return NextResponse.json(
+        { error: 'Feedback is not being recorded on this server' },
+        { status: 503 }
+      );
+    }
+
+    logAudit({
+      userId: user.id,
+      action: 'REPORT_FEEDBACK',
+      resourceType: 'report',
+      resourceId: row.id,
+      ipAddress: request.headers.get('x-forwarded-for') || 'unknown',
+      userAgent: request.headers.get('user-agent'),
+      details: { section, rating, prompt: `${prompt.name}@${prompt.version}` },
+      success: true
+    });
+
+    return NextResponse.json({ success: true, feedback });
+
+  } catch (error) {
+    console.error('[Feedback] Error:', error);
+    return NextResponse.json(
+      { error: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,175 @@
+import { NextResponse } from 'next/server';
+import { PatientDB, ReportDB } from '@/lib/storage/database';
+import { toReportFields, fromReportRow } from '@/lib/storage/records';
+import { verifyAuth } from '@/lib/auth/middleware';
+import { logAudit } from '@/lib/security/audit-log';
+
+// Correction history is written only by POST /api/reports/:id/corrections
+const CORRECTION_HISTORY_FIELDS = ['originalExtractedText', 'originalStructuredData', 'corrections'];
+
+/**
+ * Drop correction history from a client update, top level and in metadata,
+ * so the stored values are kept
+ */
+function withoutCorrectionHistory(body) {
+  const strip = (record) => Object.fromEntries(
+    Object.entries(record).filter(([key]) => !CORRECTION_HISTORY_FIELDS.includes(key))
+  );
+  const updates = strip(body);
+  if (updates.metadata && typeof updates.metadata === 'object') {
+    updates.metadata = strip(updates.metadata);
+  }
+  return updates;
+}
+
+/**
+ * Load a report owned by the authenticated user
+ * @returns {Object|null} - Report row, or null when missing or owned by someone else
+ */
+function findOwnReport(request, id) {
+  const report = ReportDB.findById(id);
+  return report && report.user_id === request.user.id ? report : null;
+}
+
+function notFound(what = 'Report') {
+  return NextResponse.json(
+    { error: `${what} not found` },
+    { status: 404 }
+  );
+}
+
+/**
+ * GET /api/reports/:id
+ * Get a single report
+ */
+export async function GET(request, { params }) {
+  try {
+    // Verify authentication
+    const authResponse = await verifyAuth(request);
+    if (authResponse) return authResponse;
+
+    const report = findOwnReport(request, params.id);
+    if (!report) return notFound();
+
+    logAudit({
+      userId: request.user.id,
+      action: 'VIEW_REPORT',
+      resourceType: 'report',
+      resourceId: report.id,
+      ipAddress: request.headers.get('x-forwarded-for') || 'unknown',
+      userAgent: request.headers.get('user-agent'),
+      success: true
+    });
+
+    return NextResponse.json({
+      success: true,
+      report: fromReportRow(report)
+    });
+
+  } catch (error) {
+    console.error('[Reports] Get error:', error);
+    return NextResponse.json(
+      { error: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * PUT /api/reports/:id
+ * Update a report (re-interpretation, patient link)
+ */
+export async function PUT(request, { params }) {
+  try {
+    // Verify authentication
+    const authResponse = await verifyAuth(request);
+    if (authResponse) return authResponse;
+
+    const user = request.user;
+    const existing = findOwnReport(request, params.id);
+    if (!existing) return notFound();
+
+    const body = withoutCorrectionHistory(await request.json());
+
+    if (body.patientId && body.patientId !== existing.patient_id) {
+      const patient = PatientDB.findById(body.patientId);
+      if (!patient || patient.user_id !== user.id) return notFound('Patient');
+    }
+
+    const fields = toReportFields({ ...fromReportRow(existing), ...body });
+
+    ReportDB.update(existing.id, {
+      patient_id: fields.patientId,
+      report_type: fields.type,
+      extracted_text: fields.extractedText,
+      ocr_confidence: fields.ocrConfidence,
+      structured_data: fields.structuredData,
+      interpretation: fields.interpretation,
+      clinical_pearls: fields.clinicalPearls,
+      potential_questions: fields.potentialQuestions,
+      presentation: fields.presentation,
+      sources: fields.sources,
+      metadata: fields.metadata
+    });
+
+    logAudit({
+      userId: user.id,
+      action: 'UPDATE_REPORT',
+      resourceType: 'report',
+      resourceId: existing.id,
+      ipAddress: request.headers.get('x-forwarded-for') || 'unknown',
+      userAgent: request.headers.get('user-agent'),
+      details: { fields: Object.keys(body) },
+      success: true
+    });
+
+    return NextResponse.json({
+      success: true,
+      report: fromReportRow(ReportDB.findById(existing.id))
+    });
+
+  } catch (error) {
+    console.error('[Reports] Update error:', error);
+    return NextResponse.json(
+      { error: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * DELETE /api/reports/:id
+ * Delete a report
+ */
+export async function DELETE(request, { params }) {
+  try {
+    // Verify authentication
+    const authResponse = await verifyAuth(request);
+    if (authResponse) return authResponse;
+
+    const user = request.user;
+    const report = findOwnReport(request, params.id);
+    if (!report) return notFound();
+
+    ReportDB.delete(report.id);
+
+    logAudit({
+      userId: user.id,
+      action: 'DELETE_REPORT',
+      resourceType: 'report',
+      resourceId: report.id,
+      ipAddress: request.headers.get('x-forwarded-for') || 'unknown',
+      userAgent: request.headers.get('user-agent'),
+      success: true
+    });
+
+    return NextResponse.json({ success: true });
+
+  } catch (error) {
+    console.error('[Reports] Delete error:', error);
+    return NextResponse.json(
+      { error: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,118 @@
+import { NextResponse } from 'next/server';
+import { v4 as uuidv4 } from 'uuid';
+import { PatientDB, ReportDB } from '@/lib/storage/database';
+import { toReportFields, fromReportRow } from '@/lib/storage/records';
+import { verifyAuth } from '@/lib/auth/middleware';
+import { logAudit } from '@/lib/security/audit-log';
+
+/**
+ * GET /api/reports
+ * List reports for the authenticated user, optionally for one patient
+ */
+export async function GET(request) {
+  try {
+    // Verify authentication
+    const authResponse = await verifyAuth(request);
+    if (authResponse) return authResponse;
+
+    const user = request.user;
+    const { searchParams } = new URL(request.url);
+    const patientId = searchParams.get('patientId');
+    const limit = parseInt(searchParams.get('limit') || '100');
+    const offset = parseInt(searchParams.get('offset') || '0');
+
+    let rows;
+    if (patientId) {
+      const patient = PatientDB.findById(patientId);
+      if (!patient || patient.user_id !== user.id) {
+        return NextResponse.json(
+          { error: 'Patient not found' },
+          { status: 404 }
+        );
+      }
+      rows = ReportDB.findByPatientId(patient.id, limit);
+    } else {
+      rows = ReportDB.findByUserId(user.id, limit, offset);
+    }
+
+    const reports = rows.map(fromReportRow);
+
+    logAudit({
+      userId: user.id,
+      action: 'LIST_REPORTS',
+      ipAddress: request.headers.get('x-forwarded-for') || 'unknown',
+      userAgent: request.headers.get('user-agent'),
+      details: { count: reports.length, patientId },
+      success: true
+    });
+
+    return NextResponse.json({
+      success: true,
+      reports,
+      total: reports.length
+    });
+
+  } catch (error) {
+    console.error('[Reports] List error:', error);
+    return NextResponse.json(
+      { error: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/reports
+ * Save an already-interpreted report (scanner results, localStorage migration)
+ */
+export async function POST(request) {
+  try {
+    // Verify authentication
+    const authResponse = await verifyAuth(request);
+    if (authResponse) return authResponse;
+
+    const user = request.user;
+    const body = await request.json();
+
+    if (body.patientId) {
+      const patient = PatientDB.findById(body.patientId);
+      if (!patient || patient.user_id !== user.id) {
+        return NextResponse.json(
+          { error: 'Patient not found' },
+          { status: 404 }
+        );
+      }
+    }
+
+    const report = {
+      ...toReportFields(body),
+      id: uuidv4(),
+      userId: user.id
+    };
+
+    ReportDB.create(report);
+
+    logAudit({
+      userId: user.id,
+      action: 'CREATE_REPORT',
+      resourceType: 'report',
+      resourceId: report.id,
+      ipAddress: request.headers.get('x-forwarded-for') || 'unknown',
+      userAgent: request.headers.get('user-agent'),
+      details: { type: report.type, patientId: report.patientId },
+      success: true
+    });
+
+    return NextResponse.json({
+      success: true,
+      report: fromReportRow(ReportDB.findById(report.id))
+    });
+
+  } catch (error) {
+    console.error('[Reports] Create error:', error);
+    return NextResponse.json(
+      { error: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,237 @@
+import { NextResponse } from 'next/server';
+import { ReportDB } from '@/lib/storage/database';
+import { toReportFields } from '@/lib/storage/records';
+import { verifyAuth } from '@/lib/auth/middleware';
+import { logAudit } from '@/lib/security/audit-log';
+import { BudgetExceededError } from '@/lib/ai/usage-ledger';
+import { formatSseEvent } from '@/lib/services/sse';
+import {
+  readUploadedDocument,
+  createReport,
+  analyzeReport,
+  DocumentUploadError,
+  REPORT_STAGES
+} from '@/lib/services/report-pipeline';
+
+// Partial results are sent at most this often; each stage's final result always follows
+const PARTIAL_INTERVAL_MS = 250;
+
+// Client fields kept with the report (see the scanner)
+const CLIENT_FIELDS = ['uploadMethod', 'fileName', 'processingOrder', 'sourceImageId'];
+
+/**
+ * POST /api/reports/stream
+ * Upload a document and stream its analysis as server-sent events
+ * Form fields as /api/reports/upload, plus `fields` (JSON) for client report fields.
+ *
+ * Events, in order for each report in the document:
+ *   report          { report }                                      saved after OCR, status processing
+ *   interpretation  { reportId, interpretation, partial, source }   findings as they are written; grounded when partial is false
+ *   presentation    { reportId, presentation }                      SOAP sections, including the assessment
+ *   pearls          { reportId, clinicalPearls, partial, source }
+ *   questions       { reportId, potentialQuestions, partial, source }
+ *   complete        { report }                                      status analyzed
+ *   error           { reportId, error, status }                     report kept with status partial
+ * and finally `done` { reportIds }.
+ *
+ * The report is saved after every stage. If the client disconnects the
+ * analysis carries on and completes the saved report.
+ */
+export async function POST(request) {
+  try {
+    // Verify authentication
+    const authResponse = await verifyAuth(request);
+    if (authResponse) return authResponse;
+
+    const user = request.user;
+
+    // OCR runs before the stream opens so unreadable documents get a plain error response
+    const { formData, patientId, patient, documents } = await readUploadedDocument(request, user);
+    const fields = pickClientFields(formData.get('fields'));
+
+    const encoder = new TextEncoder();
+    let connected = true;
+
+    const stream = new ReadableStream({
+      async start(controller) {
+        const send = (event, data) => {
+          if (!connected) return;
+          try {
+            controller.enqueue(encoder.encode(formatSseEvent(event, data)));
+          } catch {
+            connected = false;
+          }
+        };
+
+        const reportIds = [];
+        for (const document of documents) {
+          reportIds.push(await streamDocument(document, {
+            user,
+            patientId,
+            patient,
+            fields,
+            send,
+            audit: {
+              ipAddress: request.headers.get('x-forwarded-for') || 'unknown',
+              userAgent: request.headers.get('user-agent')
+            }
+          }));
+        }
+
+        send('done', { reportIds });
+        if (connected) controller.close();
+      },
+
+      cancel() {
+        connected = false;
+        console.log('[Stream] Client disconnected; finishing the analysis in the background');
+      }
+    });
+
+    return new Response(stream, {
+      headers: {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof DocumentUploadError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+
+    console.error('[Stream] Error:', error);
+
+    logAudit({
+      action: 'UPLOAD_REPORT_ERROR',
+      ipAddress: request.headers.get('x-forwarded-for') || 'unknown',
+      userAgent: request.headers.get('user-agent'),
+      details: { error: error.message, streamed: true },
+      success: false,
+      errorMessage: error.message
+    });
+
+    return NextResponse.json(
+      { error: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Interpret one extracted document stage by stage, saving and sending each result
+ * @param {Object} ocrResult - { fullText, confidence, type, structuredData, classification, metadata }
+ * @param {Object} context - { user, patientId, patient, fields, send, audit }
+ * @returns {Promise<string>} - Report ID
+ */
+async function streamDocument(ocrResult, { user, patientId, patient, fields, send, audit }) {
+  const report = createReport(ocrResult, { user, patientId, fields });
+  const reportId = report.id;
+  const throttled = Object.fromEntries(Object.keys(REPORT_STAGES).map(stage => [
+    stage,
+    throttle(partial => send(stage, { reportId, [REPORT_STAGES[stage]]: partial, partial: true }))
+  ]));
+
+  saveReport(report, { create: true });
+  send('report', { report });
+
+  try {
+    await analyzeReport(report, {
+      patient,
+      onPartial: (stage, partial) => throttled[stage](partial),
+      onStage: (stage, result) => {
+        saveReport(report);
+        send(stage, { reportId, [REPORT_STAGES[stage]]: report[REPORT_STAGES[stage]], partial: false, source: result.source });
+        if (stage === 'interpretation') send('presentation', { reportId, presentation: report.presentation });
+      }
+    });
+
+    send('complete', { report });
+    console.log(`[Stream] Report ${reportId} complete`);
+  } catch (error) {
+    console.error(`[Stream] Analysis of report ${reportId} stopped:`, error);
+
+    // Keep whatever was generated before the failure
+    report.status = 'partial';
+    report.analysisError = error.message;
+    saveReport(report);
+    send('error', {
+      reportId,
+      error: error.message,
+      status: error instanceof BudgetExceededError ? 429 : 500
+    });
+  }
+
+  logAudit({
+    userId: user.id,
+    action: 'UPLOAD_REPORT',
+    resourceType: 'report',
+    resourceId: reportId,
+    ...audit,
+    details: {
+      reportType: report.type,
+      streamed: true,
+      status: report.status,
+      usedCache: report.sources.interpretation === 'knowledge_base',
+      ocrConfidence: report.ocrConfidence,
+      pages: report.pages,
+      redactions: report.redactionReport?.total || 0
+    },
+    success: report.status === 'analyzed',
+    errorMessage: report.analysisError || null
+  });
+
+  return reportId;
+}
+
+/**
+ * Save the report as it stands; failures are logged so the stream carries on
+ * @param {Object} report - Report in client shape
+ * @param {Object} options - { create } for the first save
+ */
+function saveReport(report, { create = false } = {}) {
+  try {
+    const fields = toReportFields(report);
+
+    if (create) {
+      ReportDB.create({ ...fields, userId: report.userId });
+      return;
+    }
+
+    ReportDB.update(report.id, {
+      interpretation: fields.interpretation,
+      clinical_pearls: fields.clinicalPearls,
+      potential_questions: fields.potentialQuestions,
+      presentation: fields.presentation,
+      sources: fields.sources,
+      metadata: fields.metadata
+    });
+  } catch (dbError) {
+    console.error('[Stream] Database save error:', dbError);
+  }
+}
+
+function pickClientFields(value) {
+  try {
+    const fields = JSON.parse(value || '{}');
+    return Object.fromEntries(CLIENT_FIELDS.filter(key => fields[key] != null).map(key => [key, fields[key]]));
+  } catch {
+    return {};
+  }
+}
+
+// Drop partial results that arrive within PARTIAL_INTERVAL_MS of the last one sent
+function throttle(fn) {
+  let last = 0;
+  return (value) => {
+    const now = Date.now();
+    if (now - last < PARTIAL_INTERVAL_MS) return;
+    last = now;
+    fn(value);
+  };
+}
@@ -1,15 +1,20 @@
 import { NextResponse } from 'next/server';
-import { v4 as uuidv4 } from 'uuid';
-import { visionClient } from '@/lib/ocr/vision-client';
-import { smartResponder } from '@/lib/knowledge/smart-responder';
 import { ReportDB } from '@/lib/storage/database';
+import { toReportFields } from '@/lib/storage/records';
 import { verifyAuth } from '@/lib/auth/middleware';
 import { logAudit } from '@/lib/security/audit-log';
-import { generatePresentation } from '@/lib/presentation/generator';
+import { BudgetExceededError } from '@/lib/ai/usage-ledger';
+import {
+  readUploadedDocument,
+  createReport,
+  analyzeReport,
+  DocumentUploadError
+} from '@/lib/services/report-pipeline';
 
 /**
  * POST /api/reports/upload
  * Upload and process a medical document
+ * Form fields are described in lib/services/report-pipeline.js.
  */
 export async function POST(request) {
   try {
@@ -18,134 +23,43 @@ export async function POST(request) {
     if (authResponse) return authResponse;
 
     const user = request.user;
+    const { patientId, patient, documents } = await readUploadedDocument(request, user);
 
-    // Parse form data
-    const formData = await request.formData();
-    const file = formData.get('document');
-    const reportType = formData.get('reportType') || 'general';
-    const patientId = formData.get('patientId');
-
-    if (!file) {
-      return NextResponse.json(
-        { error: 'No document provided' },
-        { status: 400 }
-      );
-    }
-
-    console.log(`[Upload] Processing ${reportType} document for user ${user.id}`);
-
-    // Convert file to buffer
-    const bytes = await file.arrayBuffer();
-    const buffer = Buffer.from(bytes);
-
-    // Step 1: OCR Processing
-    console.log('[Upload] Starting OCR processing...');
-    const ocrResult = await visionClient.processDocument(buffer, reportType);
-
-    if (!ocrResult.fullText || ocrResult.confidence < 0.5) {
-      return NextResponse.json({
-        error: 'Could not extract text from document. Please try a clearer image.'
-      }, { status: 400 });
+    const processed = [];
+    for (const document of documents) {
+      processed.push(await interpretDocument(document, { user, patientId, patient }));
     }
 
-    console.log(`[Upload] OCR complete. Confidence: ${ocrResult.confidence.toFixed(3)}`);
-
-    // Step 2: AI Interpretation with Self-Learning
-    console.log('[Upload] Getting AI interpretation...');
-    const interpretation = await smartResponder.getResponse(
-      ocrResult.fullText,
-      reportType,
-      {
-        patientId,
-        structuredData: ocrResult.structuredData
-      }
-    );
-
-    // Step 3: Generate Clinical Pearls
-    console.log('[Upload] Generating clinical pearls...');
-    const pearls = await smartResponder.getResponse(
-      JSON.stringify({
-        summary: interpretation.response.summary,
-        findings: interpretation.response.findings,
-        diagnosis: interpretation.response.differentialConsiderations?.[0]
-      }),
-      'pearls',
-      { reportType }
-    );
-
-    // Step 4: Generate Potential Questions
-    console.log('[Upload] Generating questions...');
-    const questions = await smartResponder.getResponse(
-      JSON.stringify({
-        summary: interpretation.response.summary,
-        findings: interpretation.response.findings,
-        keyLabs: ocrResult.structuredData?.results?.slice(0, 5)
-      }),
-      'questions',
-      { reportType }
-    );
-
-    // Step 5: Generate Ward Presentation
-    console.log('[Upload] Generating presentation...');
-    const presentation = generatePresentation({
-      type: reportType,
-      interpretation: interpretation.response,
-      clinicalPearls: pearls.response,
-      potentialQuestions: questions.response,
-      structuredData: ocrResult.structuredData
-    });
-
-    // Step 6: Build report object
-    const report = {
-      id: uuidv4(),
-      userId: user.id,
-      patientId,
-      type: reportType,
-      extractedText: ocrResult.fullText,
-      ocrConfidence: ocrResult.confidence,
-      structuredData: ocrResult.structuredData,
-      interpretation: interpretation.response,
-      clinicalPearls: pearls.response,
-      potentialQuestions: questions.response,
-      presentation,
-      sources: {
-        interpretation: interpretation.source,
-        pearls: pearls.source,
-        questions: questions.source
-      },
-      createdAt: new Date().toISOString()
-    };
-
-    // Step 7: Save to database
-    try {
-      ReportDB.create(report);
-      console.log(`[Upload] Report saved to database: ${report.id}`);
-    } catch (dbError) {
-      console.error('[Upload] Database save error:', dbError);
-      // Continue anyway - data is still returned to user
-    }
+    const reports = processed.map(({ report }) => report);
 
     // Audit log
-    logAudit({
-      userId: user.id,
-      action: 'UPLOAD_REPORT',
-      resourceType: 'report',
-      resourceId: report.id,
-      ipAddress: request.headers.get('x-forwarded-for') || 'unknown',
-      userAgent: request.headers.get('user-agent'),
-      details: {
-        reportType,
-        usedCache: interpretation.source === 'knowledge_base',
-        ocrConfidence: ocrResult.confidence
-      },
-      success: true
+    reports.forEach(report => {
+      logAudit({
+        userId: user.id,
+        action: 'UPLOAD_REPORT',
+        resourceType: 'report',
+        resourceId: report.id,
+        ipAddress: request.headers.get('x-forwarded-for') || 'unknown',
+        userAgent: request.headers.get('user-agent'),
+        details: {
+          reportType: report.type,
+          usedCache: report.sources.interpretation === 'knowledge_base',
+          ocrConfidence: report.ocrConfidence,
+          pages: report.pages,
+          redactions: report.redactionReport?.total || 0
+        },
+        success: true
+      });
     });
 
     console.log('[Upload] Complete!');
 
+    const { interpretation, pearls, questions } = processed[0];
+
     return NextResponse.json({
       success: true,
-      report,
+      report: reports[0],
+      reports,
       learningStats: {
         usedCachedKnowledge: interpretation.source === 'knowledge_base',
         interpretationConfidence: interpretation.confidence,
@@ -161,8 +75,22 @@ export async function POST(request) {
     });
 
   } catch (error) {
+    if (error instanceof DocumentUploadError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+
     console.error('[Upload] Error:', error);
 
+    if (error instanceof BudgetExceededError) {
+      return NextResponse.json(
+        { error: error.message, budget: error.budget, spent: error.spent },
+        { status: 429 }
+      );
+    }
+
     logAudit({
       action: 'UPLOAD_REPORT_ERROR',
       ipAddress: request.headers.get('x-forwarded-for') || 'unknown',
@@ -178,3 +106,25 @@ export async function POST(request) {
     );
   }
 }
+
+/**
+ * Interpret one extracted document and save it as a report
+ * @param {Object} ocrResult - { fullText, confidence, type, structuredData, metadata }
+ * @param {Object} context - { user, patientId, patient }
+ * @returns {Promise<{report: Object, interpretation: Object, pearls: Object, questions: Object}>}
+ */
+async function interpretDocument(ocrResult, { user, patientId, patient }) {
+  const report = createReport(ocrResult, { user, patientId });
+  const { interpretation, pearls, questions } = await analyzeReport(report, { patient });
+
+  // Save to database
+  try {
+    ReportDB.create({ ...toReportFields(report), userId: user.id });
+    console.log(`[Upload] Report saved to database: ${report.id}`);
+  } catch (dbError) {
+    console.error('[Upload] Database save error:', dbError);
+    // Continue anyway - data is still returned to user
+  }
+
+  return { report, interpretation, pearls, questions };
+}
@@ -3,6 +3,7 @@
 import { useState } from 'react';
 import { useRouter } from 'next/navigation';
 import { captureLoginFailure } from '@/lib/analytics/login-failure-analyzer';
+import { connectServer } from '@/lib/storage/adapters';
 
 const API_URL = 'https://script.google.com/macros/s/AKfycbxJfUS-CHHi3I9zq5f2WTtaK4s0fqNRM3_FZejsoGDwKL9I4fqdn_P-RKZFIsvw-8PiqA/exec';
 
@@ -63,6 +64,12 @@ export default function LoginPage() {
       localStorage.setItem('medward_token', data.token);
       localStorage.setItem('medward_user', JSON.stringify(data.user));
 
+      // Use server storage when available; first login copies local reports across
+      const migration = await connectServer(username.trim());
+      if (migration && !migration.skipped) {
+        console.log('[Login] Moved local data to server:', migration);
+      }
+
       console.log('[Login] ✓ Login successful, redirecting to dashboard...');
 
       // Redirect to dashboard
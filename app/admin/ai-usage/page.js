@@ -0,0 +1,182 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { SERVER_TOKEN_KEY } from '@/lib/storage/adapters';
+
+const API_URL = (process.env.NEXT_PUBLIC_API_URL || '').replace(/\/$/, '');
+const PERIODS = [7, 30, 90];
+
+const formatUsd = (value) => `$${Number(value || 0).toFixed(value > 0 && value < 1 ? 4 : 2)}`;
+const formatTokens = (value) => Number(value || 0).toLocaleString();
+
+export default function AiUsagePage() {
+  const [days, setDays] = useState(30);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadUsage = async () => {
+      const token = localStorage.getItem(SERVER_TOKEN_KEY);
+      if (!API_URL || !token) {
+        setError('AI usage is recorded on the server. Set NEXT_PUBLIC_API_URL and sign in to the server to see it.');
+        setLoading(false);
+        return;
+      }
+
+      setLoading(true);
+      setError('');
+      try {
+        const response = await fetch(`${API_URL}/api/admin/ai-usage?days=${days}`, {
+          headers: { Authorization: `Bearer ${token}` }
+        });
+        const body = await response.json();
+        if (!response.ok) {
+          throw new Error(response.status === 403 ? 'Only admins can see AI usage.' : body.error || `HTTP ${response.status}`);
+        }
+        setData(body);
+      } catch (err) {
+        console.error('Error loading AI usage:', err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadUsage();
+  }, [days]);
+
+  const usage = data?.usage;
+  const maxDayCost = Math.max(0, ...(usage?.byDay || []).map(day => day.cost));
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-indigo-50 to-purple-50">
+      {/* Header */}
+      <header className="bg-white/80 backdrop-blur-lg border-b border-gray-200 sticky top-0 z-50 shadow-sm">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <div className="flex items-center gap-4">
+              <button
+                onClick={() => window.location.href = '/Ward-rounds/dashboard/'}
+                className="text-gray-600 hover:text-gray-900 transition-colors"
+              >
+                ← Back
+              </button>
+              <div className="w-12 h-12 bg-gradient-to-br from-emerald-500 to-emerald-600 rounded-2xl flex items-center justify-center shadow-lg">
+                <span className="text-2xl">💲</span>
+              </div>
+              <div>
+                <h1 className="text-xl font-bold text-gray-900">AI Usage</h1>
+                <p className="text-sm text-gray-500">
+                  {data?.budget?.dailyUsd != null
+                    ? `Daily budget ${formatUsd(data.budget.dailyUsd)} per user, then ${data.budget.action}`
+                    : 'No daily budget set'}
+                </p>
+              </div>
+            </div>
+            <select
+              value={days}
+              onChange={(e) => setDays(Number(e.target.value))}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            >
+              {PERIODS.map(period => (
+                <option key={period} value={period}>Last {period} days</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="flex items-center gap-3">
+              <div className="w-8 h-8 border-4 border-primary/30 border-t-primary rounded-full animate-spin"></div>
+              <span className="text-gray-600 font-medium">Loading usage...</span>
+            </div>
+          </div>
+        ) : error ? (
+          <div className="bg-white rounded-2xl shadow-lg p-6 text-gray-700">{error}</div>
+        ) : (
+          <>
+            {!usage.available && (
+              <div className="bg-amber-50 border border-amber-200 rounded-xl p-4 text-sm text-amber-800">
+                The server has no audit database, so AI calls are not being recorded. Run npm run db:migrate on the server.
+              </div>
+            )}
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              {[
+                ['Spend', formatUsd(usage.totals.cost)],
+                ['AI calls', usage.totals.calls - usage.totals.cacheHits],
+                ['Knowledge base hits', usage.totals.cacheHits],
+                ['Tokens', formatTokens(usage.totals.promptTokens + usage.totals.completionTokens)]
+              ].map(([label, value]) => (
+                <div key={label} className="bg-white rounded-2xl shadow-lg p-4">
+                  <p className="text-sm text-gray-500">{label}</p>
+                  <p className="text-2xl font-bold text-gray-900">{value}</p>
+                </div>
+              ))}
+            </div>
+
+            <section className="bg-white rounded-2xl shadow-lg p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Spend by day</h2>
+              {usage.byDay.length === 0 ? (
+                <p className="text-sm text-gray-500">No AI calls since {usage.since}.</p>
+              ) : (
+                <div className="space-y-2">
+                  {usage.byDay.map(day => (
+                    <div key={day.day} className="flex items-center gap-3 text-sm">
+                      <span className="w-24 text-gray-600">{day.day}</span>
+                      <div className="flex-1 bg-gray-100 rounded h-4">
+                        <div
+                          className="bg-emerald-500 h-4 rounded"
+                          style={{ width: `${maxDayCost > 0 ? (day.cost / maxDayCost) * 100 : 0}%` }}
+                        />
+                      </div>
+                      <span className="w-20 text-right font-medium text-gray-900">{formatUsd(day.cost)}</span>
+                      <span className="w-24 text-right text-gray-500">{day.calls} calls</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </section>
+
+            {[
+              ['Spend by task', usage.byTask, row => row.task],
+              ['Spend by user', usage.byUser, row => row.userId || 'unattributed']
+            ].map(([title, rows, label]) => (
+              <section key={title} className="bg-white rounded-2xl shadow-lg p-6">
+                <h2 className="text-lg font-semibold text-gray-900 mb-4">{title}</h2>
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b">
+                      <th className="py-2"></th>
+                      <th className="py-2 text-right">Calls</th>
+                      <th className="py-2 text-right">Cache hits</th>
+                      <th className="py-2 text-right">Downgraded</th>
+                      <th className="py-2 text-right">Tokens</th>
+                      <th className="py-2 text-right">Cost</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map(row => (
+                      <tr key={label(row)} className="border-b last:border-0">
+                        <td className="py-2 text-gray-900">{label(row)}</td>
+                        <td className="py-2 text-right">{row.calls}</td>
+                        <td className="py-2 text-right">{row.cacheHits}</td>
+                        <td className="py-2 text-right">{row.downgraded}</td>
+                        <td className="py-2 text-right">{formatTokens(row.promptTokens + row.completionTokens)}</td>
+                        <td className="py-2 text-right font-medium">{formatUsd(row.cost)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </section>
+            ))}
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,257 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { SERVER_TOKEN_KEY } from '@/lib/storage/adapters';
+
+const API_URL = (process.env.NEXT_PUBLIC_API_URL || '').replace(/\/$/, '');
+const PERIODS = [30, 90, 365];
+
+const formatPercent = (value) => `${Math.round((value || 0) * 100)}%`;
+
+/**
+ * A/B controls for one template: the running experiment, or a form to start one
+ */
+function ExperimentControls({ template, experiment, onStart, onStop, busy }) {
+  const versions = template.versions.map(v => v.version);
+  const [versionA, setVersionA] = useState(template.live);
+  const [versionB, setVersionB] = useState(versions.find(v => v !== template.live) ?? template.live);
+  const [split, setSplit] = useState(50);
+
+  if (experiment) {
+    return (
+      <div className="flex flex-wrap items-center justify-between gap-3 bg-indigo-50 border border-indigo-200 rounded-xl p-3 text-sm">
+        <span className="text-indigo-900">
+          A/B running: v{experiment.versionA} vs v{experiment.versionB}, {formatPercent(experiment.split)} of reports get v{experiment.versionB}
+          <span className="text-indigo-600"> · since {new Date(experiment.startedAt).toLocaleDateString()}</span>
+        </span>
+        <button
+          onClick={() => onStop(template.name)}
+          disabled={busy}
+          className="px-3 py-1.5 bg-white border border-indigo-300 text-indigo-700 rounded-lg font-medium hover:bg-indigo-100 disabled:opacity-50"
+        >
+          Stop experiment
+        </button>
+      </div>
+    );
+  }
+
+  if (versions.length < 2) {
+    return <p className="text-sm text-gray-500">Add a second version in lib/ai/prompts/templates.js to A/B test this prompt.</p>;
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <span className="text-gray-600">A/B test</span>
+      {[[versionA, setVersionA], [versionB, setVersionB]].map(([value, setValue], index) => (
+        <select
+          key={index}
+          value={value}
+          onChange={(e) => setValue(Number(e.target.value))}
+          className="px-2 py-1.5 border border-gray-300 rounded-lg"
+        >
+          {versions.map(version => (
+            <option key={version} value={version}>v{version}</option>
+          ))}
+        </select>
+      ))}
+      <label className="flex items-center gap-1 text-gray-600">
+        <input
+          type="number"
+          min="1"
+          max="99"
+          value={split}
+          onChange={(e) => setSplit(Number(e.target.value))}
+          className="w-16 px-2 py-1.5 border border-gray-300 rounded-lg"
+        />
+        % to the second
+      </label>
+      <button
+        onClick={() => onStart({ name: template.name, versionA, versionB, split: split / 100 })}
+        disabled={busy || versionA === versionB}
+        className="px-3 py-1.5 bg-indigo-600 text-white rounded-lg font-medium hover:bg-indigo-700 disabled:opacity-50"
+      >
+        Start
+      </button>
+    </div>
+  );
+}
+
+export default function PromptsPage() {
+  const [days, setDays] = useState(90);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const callApi = useCallback(async (path, options = {}) => {
+    const token = localStorage.getItem(SERVER_TOKEN_KEY);
+    if (!API_URL || !token) {
+      throw new Error('Prompts are managed on the server. Set NEXT_PUBLIC_API_URL and sign in to the server to see them.');
+    }
+
+    const response = await fetch(`${API_URL}/api/admin/prompts${path}`, {
+      ...options,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        ...(options.body ? { 'Content-Type': 'application/json' } : {})
+      }
+    });
+    const body = await response.json();
+    if (!response.ok) {
+      throw new Error(response.status === 403 ? 'Only admins can manage prompts.' : body.error || `HTTP ${response.status}`);
+    }
+    return body;
+  }, []);
+
+  const loadPrompts = useCallback(async () => {
+    setError('');
+    try {
+      setData(await callApi(`?days=${days}`));
+    } catch (err) {
+      console.error('Error loading prompts:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [callApi, days]);
+
+  useEffect(() => {
+    setLoading(true);
+    loadPrompts();
+  }, [loadPrompts]);
+
+  const changeExperiment = async (request) => {
+    setBusy(true);
+    try {
+      await request();
+      await loadPrompts();
+    } catch (err) {
+      console.error('Error changing experiment:', err);
+      alert(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startExperiment = (experiment) => changeExperiment(() => callApi('', {
+    method: 'POST',
+    body: JSON.stringify(experiment)
+  }));
+
+  const stopExperiment = (name) => changeExperiment(() => callApi(`?name=${encodeURIComponent(name)}`, {
+    method: 'DELETE'
+  }));
+
+  const feedbackFor = (name, version) =>
+    data?.feedback.find(row => row.name === name && row.version === version);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-indigo-50 to-purple-50">
+      {/* Header */}
+      <header className="bg-white/80 backdrop-blur-lg border-b border-gray-200 sticky top-0 z-50 shadow-sm">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <div className="flex items-center gap-4">
+              <button
+                onClick={() => window.location.href = '/Ward-rounds/dashboard/'}
+                className="text-gray-600 hover:text-gray-900 transition-colors"
+              >
+                ← Back
+              </button>
+              <div className="w-12 h-12 bg-gradient-to-br from-indigo-500 to-indigo-600 rounded-2xl flex items-center justify-center shadow-lg">
+                <span className="text-2xl">🧪</span>
+              </div>
+              <div>
+                <h1 className="text-xl font-bold text-gray-900">Prompts</h1>
+                <p className="text-sm text-gray-500">Template versions, A/B experiments and clinician ratings</p>
+              </div>
+            </div>
+            <select
+              value={days}
+              onChange={(e) => setDays(Number(e.target.value))}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            >
+              {PERIODS.map(period => (
+                <option key={period} value={period}>Ratings from the last {period} days</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="flex items-center gap-3">
+              <div className="w-8 h-8 border-4 border-primary/30 border-t-primary rounded-full animate-spin"></div>
+              <span className="text-gray-600 font-medium">Loading prompts...</span>
+            </div>
+          </div>
+        ) : error ? (
+          <div className="bg-white rounded-2xl shadow-lg p-6 text-gray-700">{error}</div>
+        ) : (
+          <>
+            {!data.available && (
+              <div className="bg-amber-50 border border-amber-200 rounded-xl p-4 text-sm text-amber-800">
+                The server has no audit database, so experiments cannot run and ratings are not recorded. Run npm run db:migrate on the server.
+              </div>
+            )}
+
+            {data.templates.map(template => {
+              const experiment = data.experiments.find(candidate => candidate.name === template.name);
+              return (
+                <section key={template.name} className="bg-white rounded-2xl shadow-lg p-6 space-y-4">
+                  <h2 className="text-lg font-semibold text-gray-900">{template.name}</h2>
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-gray-500 border-b">
+                        <th className="py-2">Version</th>
+                        <th className="py-2">Description</th>
+                        <th className="py-2 text-right">Ratings</th>
+                        <th className="py-2 text-right">Average (95% CI)</th>
+                        <th className="py-2 text-right">Rated 4+</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {template.versions.map(({ version, description }) => {
+                        const feedback = feedbackFor(template.name, version);
+                        const arm = experiment && (version === experiment.versionA ? 'A' : version === experiment.versionB ? 'B' : null);
+                        return (
+                          <tr key={version} className="border-b last:border-0">
+                            <td className="py-2 text-gray-900 whitespace-nowrap">
+                              v{version}
+                              {arm ? (
+                                <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-indigo-100 text-indigo-700 font-medium">{arm}</span>
+                              ) : !experiment && version === template.live && (
+                                <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-green-100 text-green-700 font-medium">live</span>
+                              )}
+                            </td>
+                            <td className="py-2 text-gray-600">{description}</td>
+                            <td className="py-2 text-right">{feedback?.ratings || 0}</td>
+                            <td className="py-2 text-right font-medium">
+                              {feedback
+                                ? `${feedback.averageRating.toFixed(2)}${feedback.interval != null ? ` ± ${feedback.interval.toFixed(2)}` : ''}`
+                                : '—'}
+                            </td>
+                            <td className="py-2 text-right">{feedback ? formatPercent(feedback.positive) : '—'}</td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                  <ExperimentControls
+                    template={template}
+                    experiment={experiment}
+                    onStart={startExperiment}
+                    onStop={stopExperiment}
+                    busy={busy || !data.available}
+                  />
+                </section>
+              );
+            })}
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -2,6 +2,7 @@
 
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
+import { getStorage, disconnectServer } from '@/lib/storage/adapters';
 
 export default function DashboardPage() {
   const [user, setUser] = useState(null);
@@ -25,21 +26,30 @@ export default function DashboardPage() {
 
     setUser(JSON.parse(userData));
 
-    // Load real stats from localStorage
-    const reports = JSON.parse(localStorage.getItem('medward_reports') || '[]');
-    const patients = JSON.parse(localStorage.getItem('medward_patients') || '[]');
+    // Load real stats from the active storage (server or localStorage)
+    const loadStats = async () => {
+      try {
+        const storage = await getStorage();
+        const [reports, patients] = await Promise.all([storage.listReports(), storage.listPatients()]);
 
-    setStats({
-      patients: patients.length,
-      reports: reports.length,
-      presentations: 0, // To be implemented
-      pearls: 0 // To be implemented
-    });
+        setStats({
+          patients: patients.length,
+          reports: reports.length,
+          presentations: 0, // To be implemented
+          pearls: 0 // To be implemented
+        });
+      } catch (error) {
+        console.error('Error loading stats:', error);
+      }
+    };
+
+    loadStats();
   }, []);
 
   const handleLogout = () => {
     localStorage.removeItem('medward_token');
     localStorage.removeItem('medward_user');
+    disconnectServer();
     window.location.href = '/Ward-rounds/login/';
   };
 
@@ -55,6 +65,10 @@ export default function DashboardPage() {
     alert('🎓 Study Pearls feature coming soon!\n\nYou\'ll be able to:\n• Review clinical pearls\n• Access teaching points\n• Study medical concepts');
   };
 
+  const handleHandover = () => {
+    window.location.href = '/Ward-rounds/handover/';
+  };
+
   const handleViewReports = () => {
     window.location.href = '/Ward-rounds/reports/';
   };
@@ -187,6 +201,14 @@ export default function DashboardPage() {
                 <h4 className="font-semibold text-gray-900 mb-2 text-lg">View Reports</h4>
                 <p className="text-sm text-gray-500">Browse all analyzed medical reports</p>
               </button>
+
+              <button onClick={handleHandover} className="bg-white rounded-2xl p-6 shadow-lg hover:shadow-xl transition-all hover:-translate-y-1 border border-gray-100 text-left group">
+                <div className="w-14 h-14 bg-gradient-to-br from-rose-500 to-rose-600 rounded-2xl flex items-center justify-center mb-4 shadow-lg group-hover:scale-110 transition-transform">
+                  <span className="text-3xl">🔁</span>
+                </div>
+                <h4 className="font-semibold text-gray-900 mb-2 text-lg">Ward Handover</h4>
+                <p className="text-sm text-gray-500">Print the end-of-shift handover list</p>
+              </button>
             </div>
           </div>
 
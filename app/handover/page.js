@@ -0,0 +1,142 @@
+'use client';
+
+import { useState, useEffect, useMemo } from 'react';
+import { HandoverSheet } from '@/components/handover/HandoverSheet';
+import { generateHandover } from '@/lib/presentation/handover';
+import { getStorage } from '@/lib/storage/adapters';
+
+const PAPER_SIZES = {
+  A4: 'A4',
+  Letter: 'letter'
+};
+
+export default function HandoverPage() {
+  const [patients, setPatients] = useState([]);
+  const [reports, setReports] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [ward, setWard] = useState('');
+  const [handedOverBy, setHandedOverBy] = useState('');
+  const [paper, setPaper] = useState('A4');
+
+  useEffect(() => {
+    const user = JSON.parse(localStorage.getItem('medward_user') || 'null');
+    setHandedOverBy(user?.username || '');
+    setWard(localStorage.getItem('medward_handover_ward') || '');
+
+    const loadRecords = async () => {
+      try {
+        const storage = await getStorage();
+        const [savedPatients, savedReports] = await Promise.all([storage.listPatients(), storage.listReports()]);
+        setPatients(savedPatients);
+        setReports(savedReports);
+      } catch (error) {
+        console.error('Error loading handover data:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadRecords();
+  }, []);
+
+  const handover = useMemo(
+    () => generateHandover(patients, reports, { ward, handedOverBy }),
+    [patients, reports, ward, handedOverBy]
+  );
+
+  const handleWardChange = (e) => {
+    setWard(e.target.value);
+    localStorage.setItem('medward_handover_ward', e.target.value);
+  };
+
+  const handleDownloadJson = () => {
+    const blob = new Blob([JSON.stringify(handover, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `handover-${handover.generatedAt.slice(0, 16).replace(/[:T]/g, '-')}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-indigo-50 to-purple-50 print:bg-white">
+      <style>{`@media print { @page { size: ${PAPER_SIZES[paper]}; margin: 12mm; } }`}</style>
+
+      {/* Header */}
+      <header className="bg-white/80 backdrop-blur-lg border-b border-gray-200 sticky top-0 z-50 shadow-sm print:hidden">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <div className="flex items-center gap-4">
+              <button
+                onClick={() => window.location.href = '/Ward-rounds/dashboard/'}
+                className="text-gray-600 hover:text-gray-900 transition-colors"
+              >
+                ← Back
+              </button>
+              <div className="w-12 h-12 bg-gradient-to-br from-rose-500 to-rose-600 rounded-2xl flex items-center justify-center shadow-lg">
+                <span className="text-2xl">🔁</span>
+              </div>
+              <div>
+                <h1 className="text-xl font-bold text-gray-900">Ward Handover</h1>
+                <p className="text-sm text-gray-500">{handover.summary.total} active patients</p>
+              </div>
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+              <input
+                type="text"
+                value={ward}
+                onChange={handleWardChange}
+                placeholder="Ward"
+                className="w-28 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+              <input
+                type="text"
+                value={handedOverBy}
+                onChange={(e) => setHandedOverBy(e.target.value)}
+                placeholder="Handed over by"
+                className="w-36 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+              <select
+                value={paper}
+                onChange={(e) => setPaper(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              >
+                {Object.keys(PAPER_SIZES).map(size => (
+                  <option key={size} value={size}>{size}</option>
+                ))}
+              </select>
+              <button
+                onClick={handleDownloadJson}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg font-medium hover:bg-gray-50 transition-colors"
+              >
+                ⬇ JSON
+              </button>
+              <button
+                onClick={() => window.print()}
+                className="px-4 py-2 bg-primary text-white rounded-lg font-medium hover:bg-primary-dark transition-colors shadow-md"
+              >
+                🖨 Print
+              </button>
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8 print:p-0 print:max-w-none">
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="flex items-center gap-3">
+              <div className="w-8 h-8 border-4 border-primary/30 border-t-primary rounded-full animate-spin"></div>
+              <span className="text-gray-600 font-medium">Building handover...</span>
+            </div>
+          </div>
+        ) : (
+          <div className="bg-white rounded-2xl shadow-lg p-6 print:shadow-none print:rounded-none print:p-0">
+            <HandoverSheet handover={handover} />
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -3,9 +3,12 @@
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import { PatientCard } from '@/components/patients/PatientCard';
+import { buildLabTrends } from '@/lib/labs/trends';
+import { getStorage } from '@/lib/storage/adapters';
 
 export default function PatientsPage() {
   const [patients, setPatients] = useState([]);
+  const [trendsByPatient, setTrendsByPatient] = useState({});
   const [loading, setLoading] = useState(true);
   const [showAddForm, setShowAddForm] = useState(false);
   const [formData, setFormData] = useState({
@@ -13,6 +16,7 @@ export default function PatientsPage() {
     age: '',
     gender: 'M',
     mrn: '',
+    bed: '',
     chiefComplaint: '',
     status: 'stable'
   });
@@ -25,9 +29,20 @@ export default function PatientsPage() {
   const fetchPatients = async () => {
     try {
       setLoading(true);
-      // Read patients from localStorage
-      const savedPatients = JSON.parse(localStorage.getItem('medward_patients') || '[]');
+      const storage = await getStorage();
+      const savedPatients = await storage.listPatients();
       setPatients(savedPatients);
+
+      // Lab trends per patient from their linked reports
+      const savedReports = await storage.listReports();
+      const trends = {};
+      savedPatients.forEach(patient => {
+        const patientReports = savedReports.filter(r => r.patientId == patient.id);
+        if (patientReports.length > 0) {
+          trends[patient.id] = buildLabTrends(patientReports, patient);
+        }
+      });
+      setTrendsByPatient(trends);
     } catch (error) {
       console.error('Error fetching patients:', error);
       setPatients([]);
@@ -49,18 +64,15 @@ export default function PatientsPage() {
       // Generate a unique MRN if not provided
       const mrn = formData.mrn || `MRN${Date.now().toString().slice(-6)}`;
 
-      const newPatient = {
-        id: Date.now(),
+      const storage = await getStorage();
+      const newPatient = await storage.createPatient({
         ...formData,
         mrn,
         reportCount: 0,
         admissionDate: new Date().toISOString()
-      };
+      });
 
-      // Save to localStorage
-      const updatedPatients = [newPatient, ...patients];
-      localStorage.setItem('medward_patients', JSON.stringify(updatedPatients));
-      setPatients(updatedPatients);
+      setPatients([newPatient, ...patients]);
 
       // Reset form and close modal
       setFormData({
@@ -68,6 +80,7 @@ export default function PatientsPage() {
         age: '',
         gender: 'M',
         mrn: '',
+        bed: '',
         chiefComplaint: '',
         status: 'stable'
       });
@@ -144,6 +157,7 @@ export default function PatientsPage() {
               <PatientCard
                 key={patient.id}
                 patient={patient}
+                trends={trendsByPatient[patient.id]}
                 onClick={handlePatientClick}
               />
             ))}
@@ -218,18 +232,34 @@ export default function PatientsPage() {
                   </div>
                 </div>
 
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    MRN (optional)
-                  </label>
-                  <input
-                    type="text"
-                    name="mrn"
-                    value={formData.mrn}
-                    onChange={handleInputChange}
-                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
-                    placeholder="Auto-generated if left empty"
-                  />
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      MRN (optional)
+                    </label>
+                    <input
+                      type="text"
+                      name="mrn"
+                      value={formData.mrn}
+                      onChange={handleInputChange}
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+                      placeholder="Auto-generated if left empty"
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Bed (optional)
+                    </label>
+                    <input
+                      type="text"
+                      name="bed"
+                      value={formData.bed}
+                      onChange={handleInputChange}
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+                      placeholder="e.g., 12B"
+                    />
+                  </div>
                 </div>
 
                 <div>
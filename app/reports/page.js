@@ -2,6 +2,24 @@
 
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
+import { getStorage } from '@/lib/storage/adapters';
+import {
+  getScanQueue,
+  reconcileScanQueue,
+  requestQueueSync,
+  onScanQueueUpdated,
+  jobToReport
+} from '@/lib/offline/scan-queue';
+
+const SYNC_STATUS = {
+  synced: { label: '✓ Synced', color: 'bg-green-100 text-green-800' },
+  pending: { label: '⏳ Pending sync', color: 'bg-yellow-100 text-yellow-800' },
+  failed: { label: '⚠️ Sync failed', color: 'bg-red-100 text-red-800' }
+};
+
+// Reports saved before the offline queue existed have no status and were analyzed online
+const getSyncStatus = (report) =>
+  report.status === 'pending' || report.status === 'failed' ? report.status : 'synced';
 
 export default function ReportsPage() {
   const [reports, setReports] = useState([]);
@@ -11,14 +29,29 @@ export default function ReportsPage() {
 
   useEffect(() => {
     fetchReports();
+    // Refresh when background sync finishes interpreting queued scans
+    return onScanQueueUpdated(() => fetchReports());
   }, []);
 
+  // Queued scans that synced become stored reports; the rest are listed from the queue
+  const loadQueuedReports = async (storage) => {
+    try {
+      const queue = getScanQueue();
+      await reconcileScanQueue(queue, storage);
+      const jobs = await queue.list();
+      return jobs.map(jobToReport).reverse();
+    } catch (error) {
+      console.warn('Scan queue unavailable:', error.message);
+      return [];
+    }
+  };
+
   const fetchReports = async () => {
     try {
       setLoading(true);
-      // Read reports from localStorage
-      const savedReports = JSON.parse(localStorage.getItem('medward_reports') || '[]');
-      setReports(savedReports);
+      const storage = await getStorage();
+      const queued = await loadQueuedReports(storage);
+      setReports([...queued, ...await storage.listReports()]);
     } catch (error) {
       console.error('Error fetching reports:', error);
       setReports([]);
@@ -27,6 +60,12 @@ export default function ReportsPage() {
     }
   };
 
+  const handleRetryFailed = async () => {
+    await getScanQueue().retryFailed();
+    await requestQueueSync();
+    fetchReports();
+  };
+
   const handleReportClick = (report) => {
     // Navigate to report detail page (to be implemented)
     console.log('Selected report:', report);
@@ -44,17 +83,6 @@ export default function ReportsPage() {
     }
   };
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'analyzed':
-        return 'bg-green-100 text-green-800';
-      case 'pending':
-        return 'bg-yellow-100 text-yellow-800';
-      default:
-        return 'bg-gray-100 text-gray-800';
-    }
-  };
-
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     const now = new Date();
@@ -123,6 +151,21 @@ export default function ReportsPage() {
           ))}
         </div>
 
+        {/* Scans that ran out of sync attempts */}
+        {reports.some(r => getSyncStatus(r) === 'failed') && (
+          <div className="mb-6 flex items-center justify-between gap-4 p-4 bg-red-50 border border-red-200 rounded-xl">
+            <p className="text-sm text-red-800">
+              {reports.filter(r => getSyncStatus(r) === 'failed').length} scanned document(s) could not be analyzed.
+            </p>
+            <button
+              onClick={handleRetryFailed}
+              className="px-4 py-2 bg-red-600 text-white rounded-lg text-sm font-medium hover:bg-red-700 transition-colors"
+            >
+              Retry
+            </button>
+          </div>
+        )}
+
         {loading ? (
           <div className="flex items-center justify-center py-12">
             <div className="flex items-center gap-3">
@@ -163,17 +206,18 @@ export default function ReportsPage() {
                     <div className="flex-1 min-w-0">
                       <div className="flex items-start justify-between gap-4 mb-2">
                         <div className="flex-1 min-w-0">
-                          <h3 className="font-semibold text-gray-900 mb-1">{report.title}</h3>
+                          <h3 className="font-semibold text-gray-900 mb-1">{report.title || report.fileName}</h3>
                           <p className="text-sm text-gray-600">
                             {report.patientName} • {report.patientMrn}
                           </p>
                         </div>
                         <span
-                          className={`px-3 py-1 rounded-full text-xs font-medium whitespace-nowrap ${getStatusColor(
-                            report.status
-                          )}`}
+                          title={report.syncError || undefined}
+                          className={`px-3 py-1 rounded-full text-xs font-medium whitespace-nowrap ${
+                            SYNC_STATUS[getSyncStatus(report)].color
+                          }`}
                         >
-                          {report.status === 'analyzed' ? '✓ Analyzed' : '⏳ Pending'}
+                          {SYNC_STATUS[getSyncStatus(report)].label}
                         </span>
                       </div>
 
@@ -203,19 +247,25 @@ export default function ReportsPage() {
         )}
 
         {/* Stats */}
-        <div className="mt-6 grid grid-cols-3 gap-4">
+        <div className="mt-6 grid grid-cols-2 sm:grid-cols-4 gap-4">
           <div className="bg-white rounded-xl p-4 shadow-md border border-gray-100">
             <div className="text-2xl font-bold text-gray-900 mb-1">
-              {reports.filter((r) => r.status === 'analyzed').length}
+              {reports.filter((r) => getSyncStatus(r) === 'synced').length}
             </div>
-            <div className="text-sm text-gray-500">Analyzed</div>
+            <div className="text-sm text-gray-500">Synced</div>
           </div>
           <div className="bg-white rounded-xl p-4 shadow-md border border-gray-100">
             <div className="text-2xl font-bold text-gray-900 mb-1">
-              {reports.filter((r) => r.status === 'pending').length}
+              {reports.filter((r) => getSyncStatus(r) === 'pending').length}
             </div>
             <div className="text-sm text-gray-500">Pending</div>
           </div>
+          <div className="bg-white rounded-xl p-4 shadow-md border border-gray-100">
+            <div className="text-2xl font-bold text-gray-900 mb-1">
+              {reports.filter((r) => getSyncStatus(r) === 'failed').length}
+            </div>
+            <div className="text-sm text-gray-500">Failed</div>
+          </div>
           <div className="bg-white rounded-xl p-4 shadow-md border border-gray-100">
             <div className="text-2xl font-bold text-gray-900 mb-1">{reports.length}</div>
             <div className="text-sm text-gray-500">Total</div>
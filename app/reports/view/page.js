@@ -1,7 +1,23 @@
 'use client';
 
-import { useState, useEffect, Suspense } from 'react';
+import { useState, useEffect, useMemo, useCallback, Suspense } from 'react';
 import { useSearchParams } from 'next/navigation';
+import { buildLabTrends } from '@/lib/labs/trends';
+import { generateProgressNote } from '@/lib/presentation/progress-note';
+import { TrendTable } from '@/components/labs/TrendTable';
+import { ProgressNote } from '@/components/presentation/ProgressNote';
+import { OcrReview } from '@/components/reports/OcrReview';
+import { GroundingCheck } from '@/components/reports/GroundingCheck';
+import { AnalysisProgress } from '@/components/reports/AnalysisProgress';
+import { SectionFeedback } from '@/components/reports/SectionFeedback';
+import { groundInterpretation } from '@/lib/ai/grounding';
+import { coerceAiOutput } from '@/lib/ai/schemas';
+import { getStorage } from '@/lib/storage/adapters';
+import { onScanQueueUpdated } from '@/lib/offline/scan-queue';
+import { subscribeToReport, isReportStreaming } from '@/lib/services/live-reports';
+
+// A report still processing on the server (stream dropped or opened elsewhere) is re-read this often
+const PROCESSING_POLL_MS = 3000;
 
 function ReportViewContent() {
   const searchParams = useSearchParams();
@@ -10,22 +26,156 @@ function ReportViewContent() {
   const [activeTab, setActiveTab] = useState('presentation');
   const [expandedSection, setExpandedSection] = useState('oneLiner');
   const [revealedAnswers, setRevealedAnswers] = useState({});
+  const [patient, setPatient] = useState(null);
+  const [patientReports, setPatientReports] = useState([]);
+  const [correcting, setCorrecting] = useState(false);
+  // Feedback is recorded on the server only
+  const [canRate, setCanRate] = useState(false);
 
-  useEffect(() => {
+  const reportId = searchParams?.get('id');
+
+  const loadReport = useCallback(async () => {
     // Get report ID from URL query parameter
-    const reportId = searchParams?.get('id');
     if (!reportId) {
       setLoading(false);
       return;
     }
 
-    // Load report from localStorage
-    const reports = JSON.parse(localStorage.getItem('medward_reports') || '[]');
-    const found = reports.find(r => r.id == reportId);
+    try {
+      const storage = await getStorage();
+      const found = await storage.getReport(reportId);
+      setCanRate(typeof storage.submitFeedback === 'function');
+
+      // Every report for the same patient (or just this one if unlinked)
+      if (found) {
+        setPatient(found.patientId ? await storage.getPatient(found.patientId) : null);
+        setPatientReports(found.patientId
+          ? await storage.listReports({ patientId: found.patientId })
+          : [found]);
+      }
+
+      // A report streaming to this page is newer than the saved copy
+      if (!isReportStreaming(reportId)) setReport(found);
+    } catch (error) {
+      console.error('Error loading report:', error);
+      setReport(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [reportId]);
+
+  useEffect(() => {
+    loadReport();
+    // Queued scans attached to this patient regenerate the trends and progress note
+    return onScanQueueUpdated(() => loadReport());
+  }, [loadReport]);
+
+  // Fill in findings, assessment, pearls and questions while the scanner streams them
+  useEffect(() => {
+    if (!reportId) return undefined;
+    return subscribeToReport(reportId, (live) => {
+      setReport(live);
+      setLoading(false);
+    });
+  }, [reportId]);
+
+  // Otherwise follow the saved report until the server finishes it
+  const processing = report?.status === 'processing';
+  useEffect(() => {
+    if (!processing || isReportStreaming(reportId)) return undefined;
+    const timer = setInterval(() => loadReport(), PROCESSING_POLL_MS);
+    return () => clearInterval(timer);
+  }, [processing, reportId, loadReport]);
+
+  const trends = useMemo(
+    () => (report ? buildLabTrends(patientReports, patient) : null),
+    [report, patientReports, patient]
+  );
+
+  const progressNote = useMemo(
+    () => (patient ? generateProgressNote(patient, patientReports) : null),
+    [patient, patientReports]
+  );
 
-    setReport(found);
-    setLoading(false);
-  }, [searchParams]);
+  // Reports saved before the grounding check are checked when opened
+  const interpretation = useMemo(() => {
+    if (!report?.interpretation) return null;
+    // Findings still streaming are shown by AnalysisProgress until they are grounded
+    if (report.status === 'processing' && !report.sources?.interpretation) return null;
+    if (report.interpretation.grounding) return report.interpretation;
+    return groundInterpretation(coerceAiOutput('interpretation', report.interpretation), {
+      text: report.extractedText,
+      structuredData: report.structuredData,
+      patient
+    });
+  }, [report, patient]);
+
+  const handleRoundComplete = async () => {
+    try {
+      const storage = await getStorage();
+      const lastRoundAt = new Date().toISOString();
+      const updated = await storage.updatePatient(patient.id, { lastRoundAt });
+      setPatient(updated || { ...patient, lastRoundAt });
+    } catch (error) {
+      console.error('Error saving round time:', error);
+      alert('Could not mark the round as complete. Please try again.');
+    }
+  };
+
+  // Save an OCR correction, then re-run interpretation on the corrected text
+  const applyCorrection = async (corrected) => {
+    if (!corrected) return;
+    setCorrecting(true);
+
+    try {
+      const storage = await getStorage();
+      let updated = await storage.correctReport(report.id, corrected.changes, corrected.correction);
+      if (!updated) throw new Error('Report not found');
+      setReport(updated);
+
+      try {
+        const { refreshInterpretation } = await import('@/lib/services/completeGoogleScriptFlow');
+        const interpretation = await refreshInterpretation(updated, { patient });
+        updated = await storage.updateReport(report.id, interpretation) || { ...updated, ...interpretation };
+      } catch (interpretError) {
+        console.error('Error re-interpreting corrected report:', interpretError);
+        alert('The correction was saved, but the analysis could not be refreshed. Try again when online.');
+      }
+
+      await loadReport();
+    } catch (error) {
+      console.error('Error saving correction:', error);
+      alert(`Could not save the correction: ${error.message}`);
+    } finally {
+      setCorrecting(false);
+    }
+  };
+
+  const handleRate = async (section, rating) => {
+    const storage = await getStorage();
+    await storage.submitFeedback(report.id, { section, rating });
+  };
+
+  // Rating widget for a section written from a versioned prompt
+  const feedbackFor = (section, label) => (
+    canRate && !processing && report.promptVersions?.[section] ? (
+      <SectionFeedback
+        label={label}
+        promptVersion={report.promptVersions[section]}
+        onRate={(rating) => handleRate(section, rating)}
+      />
+    ) : null
+  );
+
+  const handleCorrectText = async (text) => {
+    const { correctReportText } = await import('@/lib/ocr/textCorrection');
+    await applyCorrection(await correctReportText(report, text, { patient }));
+  };
+
+  const handleCorrectRows = async (edits) => {
+    const { correctLabRows } = await import('@/lib/ocr/textCorrection');
+    await applyCorrection(correctLabRows(report, edits, { patient }));
+  };
 
   if (loading) {
     return (
@@ -63,7 +213,10 @@ function ReportViewContent() {
   const tabs = [
     { id: 'presentation', label: 'Presentation', icon: '📋' },
     { id: 'pearls', label: 'Pearls', icon: '💎', count: pearls.length },
-    { id: 'questions', label: 'Questions', icon: '❓', count: questions.length }
+    { id: 'questions', label: 'Questions', icon: '❓', count: questions.length },
+    { id: 'trends', label: 'Trends', icon: '📈', count: trends?.alerts.length || 0 },
+    { id: 'progress', label: 'Progress Note', icon: '🗒️', count: progressNote?.sources.length || 0 },
+    { id: 'ocr', label: 'Source Text', icon: '🔍', count: report.corrections?.length || 0 }
   ];
 
   const sections = [
@@ -115,7 +268,7 @@ function ReportViewContent() {
               ✓ OCR Confidence: {Math.round(report.ocrConfidence * 100)}%
             </span>
             <span className="text-sm">
-              Status: {report.status === 'analyzed' ? '✓ Analyzed' : '⏳ Processing'}
+              Status: {report.status === 'analyzed' ? '✓ Analyzed' : report.status === 'partial' ? '⚠ Partly analysed' : '⏳ Processing'}
             </span>
           </div>
         </div>
@@ -152,6 +305,8 @@ function ReportViewContent() {
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 pb-20">
         {activeTab === 'presentation' && (
           <div className="space-y-3">
+            <AnalysisProgress report={report} />
+            <GroundingCheck interpretation={interpretation} />
             {sections.map(section => (
               <div key={section.id} className="bg-white rounded-2xl overflow-hidden shadow-sm border border-gray-100">
                 <button
@@ -167,13 +322,14 @@ function ReportViewContent() {
                   <div className="px-6 pb-6">
                     <div className="prose prose-slate max-w-none">
                       <pre className="whitespace-pre-wrap text-sm text-gray-700 font-sans leading-relaxed">
-                        {section.content || 'No content available'}
+                        {section.content || (processing ? 'Waiting for analysis…' : 'No content available')}
                       </pre>
                     </div>
                   </div>
                 )}
               </div>
             ))}
+            {feedbackFor('interpretation', 'interpretation')}
           </div>
         )}
 
@@ -208,9 +364,10 @@ function ReportViewContent() {
             ) : (
               <div className="text-center py-12 bg-white rounded-2xl">
                 <span className="text-6xl mb-4 block">💎</span>
-                <p className="text-gray-500">No clinical pearls available for this report</p>
+                <p className="text-gray-500">{processing ? 'Pearls are being written…' : 'No clinical pearls available for this report'}</p>
               </div>
             )}
+            {pearls.length > 0 && feedbackFor('pearls', 'pearls')}
           </div>
         )}
 
@@ -255,11 +412,43 @@ function ReportViewContent() {
             ) : (
               <div className="text-center py-12 bg-white rounded-2xl">
                 <span className="text-6xl mb-4 block">❓</span>
-                <p className="text-gray-500">No teaching questions available for this report</p>
+                <p className="text-gray-500">{processing ? 'Questions are being written…' : 'No teaching questions available for this report'}</p>
               </div>
             )}
+            {questions.length > 0 && feedbackFor('questions', 'questions')}
           </div>
         )}
+
+        {activeTab === 'trends' && (
+          <div className="bg-white rounded-2xl p-6 shadow-sm border border-gray-100">
+            {!report.patientId && (
+              <p className="text-sm text-gray-500 mb-4">
+                This report is not linked to a patient, so only its own results are shown.
+              </p>
+            )}
+            <TrendTable trends={trends} />
+          </div>
+        )}
+
+        {activeTab === 'progress' && (
+          progressNote ? (
+            <ProgressNote note={progressNote} onRoundComplete={handleRoundComplete} />
+          ) : (
+            <div className="text-center py-12 bg-white rounded-2xl">
+              <span className="text-6xl mb-4 block">🗒️</span>
+              <p className="text-gray-500">Link this report to a patient to build a daily progress note</p>
+            </div>
+          )
+        )}
+
+        {activeTab === 'ocr' && (
+          <OcrReview
+            report={report}
+            onCorrectText={handleCorrectText}
+            onCorrectRows={handleCorrectRows}
+            saving={correcting}
+          />
+        )}
       </main>
     </div>
   );
@@ -1,8 +1,30 @@
 'use client';
 
-import { useState } from 'react';
+import { useRef, useState } from 'react';
 import { useRouter } from 'next/navigation';
 import { DocumentScanner } from '@/components/scanner/DocumentScanner';
+import { DocumentTypeReview, DOCUMENT_TYPE_LABELS } from '@/components/scanner/DocumentTypeReview';
+import { PageCornerPreview } from '@/components/scanner/PageCornerPreview';
+import { needsConfirmation } from '@/lib/ocr/documentClassifier';
+import { getStorage } from '@/lib/storage/adapters';
+import { getSourceImageStore } from '@/lib/storage/source-images';
+import { isNetworkError } from '@/lib/services/googleScriptClient';
+import { handleReportEvent, endReportStream } from '@/lib/services/live-reports';
+
+// Scanner status line for each stage of a streamed analysis
+function describeStreamEvent({ event, data }) {
+  switch (event) {
+    case 'report': return 'Text read, interpreting...';
+    case 'interpretation': return data.partial
+      ? `Interpreting... ${data.interpretation?.findings?.length || 0} finding(s) so far`
+      : 'Interpretation ready, writing the assessment...';
+    case 'presentation': return 'Assessment ready, writing clinical pearls...';
+    case 'pearls': return data.partial ? 'Writing clinical pearls...' : 'Pearls ready, writing questions...';
+    case 'questions': return 'Writing attending questions...';
+    case 'complete': return 'Analysis complete';
+    default: return null;
+  }
+}
 
 export default function ScannerPage() {
   const [uploading, setUploading] = useState(false);
@@ -11,8 +33,62 @@ export default function ScannerPage() {
   const [error, setError] = useState('');
   const [batchProgress, setBatchProgress] = useState({ current: 0, total: 0, files: [] });
   const [processedReports, setProcessedReports] = useState([]);
+  const [documentType, setDocumentType] = useState('auto');
+  const [pendingReview, setPendingReview] = useState([]);
+  const [reviewSaving, setReviewSaving] = useState(false);
+  const [cornerReview, setCornerReview] = useState(null);
+  const [cancelling, setCancelling] = useState(false);
+  const batchAbortRef = useRef(null);
+  // Set once a streamed report has been opened while it is still being analysed
+  const openedReportRef = useRef(null);
   const router = useRouter();
 
+  // Redirect based on number of reports
+  const redirectToReports = (reports) => {
+    if (openedReportRef.current) return;
+    setTimeout(() => {
+      if (reports.length === 1 && reports[0].status !== 'pending') {
+        // Single report: go to detail page
+        router.push(`/reports/view/?id=${reports[0].id}`);
+      } else {
+        // Multiple or queued reports: go to reports list
+        router.push('/reports');
+      }
+    }, 2000);
+  };
+
+  // Re-interpret reports whose low-confidence type the user changed
+  const handleReviewConfirm = async (overrides) => {
+    setReviewSaving(true);
+
+    try {
+      const { reinterpretReport } = await import('@/lib/services/completeGoogleScriptFlow');
+      const updated = {};
+
+      for (const [reportId, type] of Object.entries(overrides)) {
+        const report = processedReports.find(r => r.id === reportId);
+        updated[reportId] = await reinterpretReport(report, type);
+      }
+
+      const storage = await getStorage();
+      for (const [reportId, report] of Object.entries(updated)) {
+        await storage.updateReport(reportId, report);
+      }
+
+      const reports = processedReports.map(r => updated[r.id] || r);
+      setProcessedReports(reports);
+      setPendingReview([]);
+      redirectToReports(reports);
+    } catch (reviewError) {
+      console.error('[Scanner] Re-interpretation error:', reviewError);
+      setError(`Could not re-analyze document: ${reviewError.message}`);
+      setPendingReview([]);
+    } finally {
+      setReviewSaving(false);
+    }
+  };
+
+  // Photos: check capture quality and page corners before spending an OCR/AI round-trip
   const handleCapture = async (files, method) => {
     // Handle both single file and array of files
     const fileArray = Array.isArray(files) ? files : [files];
@@ -22,12 +98,69 @@ export default function ScannerPage() {
       return;
     }
 
+    const images = fileArray.filter(file => file.type.startsWith('image/'));
+    if (images.length === 0) {
+      processFiles(fileArray, method, new Map());
+      return;
+    }
+
+    setError('');
+    setBatchProgress({ current: 0, total: 0, files: [] });
+    setProcessingStep('Checking photo quality and page edges...');
+    setUploading(true);
+
+    let pages = null;
+    try {
+      const { detectDocumentCorners } = await import('@/lib/ocr/imagePreprocessor');
+      pages = [];
+      for (const file of images) {
+        pages.push({ file, name: file.name, ...(await detectDocumentCorners(file)) });
+      }
+    } catch (detectError) {
+      // Corner preview is a convenience - fall back to the uncorrected photos
+      console.warn('[Scanner] Page detection failed:', detectError);
+      pages?.forEach(page => URL.revokeObjectURL(page.previewUrl));
+      pages = null;
+    }
+
+    setUploading(false);
+    if (pages) {
+      setCornerReview({ files: fileArray, method, pages });
+    } else {
+      processFiles(fileArray, method, new Map());
+    }
+  };
+
+  const closeCornerReview = () => {
+    cornerReview?.pages.forEach(page => URL.revokeObjectURL(page.previewUrl));
+    setCornerReview(null);
+  };
+
+  const handleCornersConfirm = (cornersPerPage) => {
+    const { files, method, pages } = cornerReview;
+    const cornersByFile = new Map(pages.map((page, i) => [page.file, cornersPerPage[i]]));
+    closeCornerReview();
+    processFiles(files, method, cornersByFile);
+  };
+
+  // Stop after the current file; local OCR in progress is cancelled straight away
+  const handleCancelBatch = () => {
+    setCancelling(true);
+    batchAbortRef.current?.abort();
+  };
+
+  const processFiles = async (fileArray, method, cornersByFile) => {
     console.log(`[Scanner] Processing ${fileArray.length} file(s)...`);
 
+    const controller = new AbortController();
+    batchAbortRef.current = controller;
+    openedReportRef.current = null;
+    setCancelling(false);
     setUploading(true);
     setUploadSuccess(false);
     setError('');
     setProcessedReports([]);
+    setPendingReview([]);
     setBatchProgress({ current: 0, total: fileArray.length, files: [] });
 
     try {
@@ -38,16 +171,25 @@ export default function ScannerPage() {
       }
 
       const { processDocumentAuto } = await import('@/lib/services/completeGoogleScriptFlow');
-      const { preprocessImage } = await import('@/lib/ocr/imagePreprocessor');
+      const { preprocessImageFull } = await import('@/lib/ocr/imagePreprocessor');
+      const { queueOfflineScan } = await import('@/lib/offline/offline-scan');
 
+      const storage = await getStorage();
       const allReports = [];
-      const existingReports = JSON.parse(localStorage.getItem('medward_reports') || '[]');
 
       // Process each file
       for (let i = 0; i < fileArray.length; i++) {
         const file = fileArray[i];
         const fileNum = i + 1;
 
+        if (controller.signal.aborted) {
+          setBatchProgress(prev => ({
+            ...prev,
+            files: [...prev.files, ...fileArray.slice(i).map(f => ({ name: f.name, status: 'cancelled' }))]
+          }));
+          break;
+        }
+
         console.log(`[Scanner] Processing file ${fileNum}/${fileArray.length}: ${file.name}`);
 
         setBatchProgress(prev => ({
@@ -59,46 +201,136 @@ export default function ScannerPage() {
         setProcessingStep(`File ${fileNum}/${fileArray.length}: Preprocessing image...`);
 
         try {
-          // Preprocess image for better OCR (handles rotation, enhancement)
+          // Preprocess image for better OCR: flatten the page to the confirmed corners, then deskew
           let processedFile = file;
           if (file.type.startsWith('image/')) {
             console.log(`[Scanner] Preprocessing image: ${file.name}`);
-            const preprocessedBlob = await preprocessImage(file);
-            processedFile = new File([preprocessedBlob], file.name, { type: 'image/jpeg' });
+            const corners = cornersByFile.get(file);
+            const preprocessedBlob = await preprocessImageFull(file, {
+              enableEnhancement: false,
+              perspective: corners ? { corners } : false,
+              deskew: true
+            });
+            processedFile = new File([preprocessedBlob], file.name, { type: preprocessedBlob.type || 'image/jpeg' });
           }
 
-          // Determine report type
-          const reportType = file.type.includes('pdf') ? 'general' : 'lab';
-
-          setProcessingStep(`File ${fileNum}/${fileArray.length}: OCR and AI analysis...`);
-
-          // Process document
-          const data = await processDocumentAuto(processedFile, reportType);
-
-          console.log(`[Scanner] File ${fileNum} complete:`, {
-            success: data.success,
-            reportId: data.report?.id,
-            hasInterpretation: !!data.report?.interpretation
-          });
+          // Report type chosen by the user, or 'auto' to classify the OCR text
+          const reportType = documentType;
 
-          // Save report
-          const newReport = {
-            ...data.report,
+          const reportFields = {
             uploadMethod: method,
             fileName: file.name,
             processingOrder: fileNum
           };
 
-          allReports.push(newReport);
-          existingReports.unshift(newReport);
+          // Kept on this device so the text can be checked against the image later
+          if (processedFile.type.startsWith('image/')) {
+            try {
+              reportFields.sourceImageId = await getSourceImageStore().save(processedFile);
+            } catch (imageError) {
+              console.warn('[Scanner] Could not keep source image:', imageError.message);
+            }
+          }
+
+          let newReport = null;
+          // Further reports split from a multi-report PDF
+          let splitReports = [];
+          let streamError = null;
+
+          // Storage server: analysis streams in, the report is saved on the server stage by stage
+          if (navigator.onLine && storage.streamDocument) {
+            setProcessingStep(`File ${fileNum}/${fileArray.length}: Reading text...`);
+
+            try {
+              const streamed = await storage.streamDocument(processedFile, {
+                reportType,
+                fields: reportFields,
+                signal: controller.signal,
+                onEvent: (message) => {
+                  const report = handleReportEvent(message);
+                  const step = describeStreamEvent(message);
+                  if (step) setProcessingStep(`File ${fileNum}/${fileArray.length}: ${step}`);
+
+                  // A single document opens as soon as its text is read and fills in there
+                  if (message.event === 'report' && fileArray.length === 1 && !openedReportRef.current &&
+                      !(report.classification && needsConfirmation(report.classification))) {
+                    openedReportRef.current = report.id;
+                    router.push(`/reports/view/?id=${report.id}`);
+                  }
+                }
+              });
+
+              streamed.reports.forEach(report => endReportStream(report.id));
+              [newReport = null, ...splitReports] = streamed.reports;
+              streamError = streamed.errors[0]?.error ||
+                (streamed.interrupted ? 'Connection lost; the analysis is finishing on the server' : null);
+            } catch (streamFailure) {
+              if (!isNetworkError(streamFailure) && streamFailure.name !== 'AbortError') throw streamFailure;
+              console.warn(`[Scanner] Storage server unreachable, queueing file ${fileNum}`);
+            }
+          } else if (navigator.onLine) {
+            setProcessingStep(`File ${fileNum}/${fileArray.length}: Reading text...`);
+
+            try {
+              // Text is read here and de-identified before it goes to the script; the image stays on the device
+              const data = await processDocumentAuto(processedFile, reportType, {
+                signal: controller.signal,
+                onProgress: ({ progress }) => {
+                  const percent = Math.round(progress * 100);
+                  setProcessingStep(`File ${fileNum}/${fileArray.length}: ${percent < 100 ? `Reading text... ${percent}%` : 'AI analysis...'}`);
+                }
+              });
+
+              console.log(`[Scanner] File ${fileNum} complete:`, {
+                success: data.success,
+                reportId: data.report?.id,
+                hasInterpretation: !!data.report?.interpretation
+              });
+
+              // Save report (the server assigns its own id)
+              newReport = await storage.createReport({
+                ...data.report,
+                ...reportFields,
+                status: 'synced'
+              });
+            } catch (processError) {
+              if (!isNetworkError(processError)) throw processError;
+              console.warn(`[Scanner] Apps Script unreachable, queueing file ${fileNum}`);
+            }
+          }
+
+          // Offline or script unreachable: local OCR now, AI interpretation when back online
+          const queued = !newReport;
+          if (queued) {
+            setProcessingStep(`File ${fileNum}/${fileArray.length}: Offline - reading locally and queueing for analysis...`);
+            newReport = await queueOfflineScan(processedFile, {
+              reportType,
+              fields: reportFields,
+              signal: controller.signal,
+              onProgress: ({ progress }) => {
+                const percent = Math.round(progress * 100);
+                setProcessingStep(`File ${fileNum}/${fileArray.length}: Reading text locally... ${percent}%`);
+                setBatchProgress(prev => {
+                  const updatedFiles = [...prev.files];
+                  updatedFiles[updatedFiles.length - 1] = { ...updatedFiles[updatedFiles.length - 1], progress: percent };
+                  return { ...prev, files: updatedFiles };
+                });
+              }
+            });
+          }
+
+          allReports.push(newReport, ...splitReports);
 
           // Update batch progress
           setBatchProgress(prev => {
             const updatedFiles = [...prev.files];
-            updatedFiles[updatedFiles.length - 1].status = 'complete';
+            updatedFiles[updatedFiles.length - 1].status = queued ? 'queued' : streamError ? 'partial' : 'complete';
+            updatedFiles[updatedFiles.length - 1].error = streamError || undefined;
             return { ...prev, files: updatedFiles };
           });
 
+          if (queued) continue;
+
           // Optional: Save to Google Sheets (async, don't wait)
           try {
             const { saveReportToSheets } = await import('@/lib/services/googleScript');
@@ -110,6 +342,15 @@ export default function ScannerPage() {
           }
 
         } catch (fileError) {
+          if (fileError.name === 'OcrCancelledError') {
+            setBatchProgress(prev => {
+              const updatedFiles = [...prev.files];
+              updatedFiles[updatedFiles.length - 1].status = 'cancelled';
+              return { ...prev, files: updatedFiles };
+            });
+            continue;
+          }
+
           console.error(`[Scanner] Error processing file ${fileNum}:`, fileError);
 
           // Mark file as failed but continue with others
@@ -122,25 +363,31 @@ export default function ScannerPage() {
         }
       }
 
-      // Save all reports to localStorage
-      localStorage.setItem('medward_reports', JSON.stringify(existingReports));
       setProcessedReports(allReports);
 
-      setProcessingStep('All files processed!');
+      if (controller.signal.aborted) {
+        console.log(`[Scanner] Batch cancelled after ${allReports.length}/${fileArray.length} file(s)`);
+        setProcessingStep('');
+        // Nothing saved yet - back to the camera
+        if (allReports.length === 0) return;
+      } else {
+        setProcessingStep('All files processed!');
+      }
+
       setUploadSuccess(true);
 
       console.log(`[Scanner] Batch complete: ${allReports.length}/${fileArray.length} successful`);
 
-      // Redirect based on number of reports
-      setTimeout(() => {
-        if (allReports.length === 1) {
-          // Single report: go to detail page
-          router.push(`/reports/view/?id=${allReports[0].id}`);
-        } else {
-          // Multiple reports: go to reports list
-          router.push('/reports');
-        }
-      }, 2000);
+      // Low-confidence type guesses are confirmed by the user before moving on
+      // (queued scans are interpreted later, so there is nothing to re-run yet)
+      const needsReview = allReports.filter(r =>
+        r.status !== 'pending' && r.classification && needsConfirmation(r.classification)
+      );
+      if (needsReview.length > 0) {
+        setPendingReview(needsReview);
+      } else {
+        redirectToReports(allReports);
+      }
 
     } catch (error) {
       console.error('[Scanner] Batch processing error:', error);
@@ -158,6 +405,7 @@ export default function ScannerPage() {
       setError(errorMessage);
       setProcessingStep('');
     } finally {
+      batchAbortRef.current = null;
       setUploading(false);
     }
   };
@@ -218,7 +466,10 @@ export default function ScannerPage() {
                       >
                         <span className="text-2xl">
                           {file.status === 'complete' ? '✅' :
+                           file.status === 'partial' ? '⚠️' :
+                           file.status === 'queued' ? '📥' :
                            file.status === 'failed' ? '❌' :
+                           file.status === 'cancelled' ? '⏹️' :
                            '⏳'}
                         </span>
                         <div className="flex-1 min-w-0">
@@ -227,6 +478,9 @@ export default function ScannerPage() {
                             <p className="text-xs text-red-600 truncate">{file.error}</p>
                           )}
                         </div>
+                        {file.status === 'processing' && file.progress !== undefined && (
+                          <span className="text-xs text-gray-500">{file.progress}%</span>
+                        )}
                         {file.status === 'processing' && (
                           <div className="w-4 h-4 border-2 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
                         )}
@@ -240,7 +494,29 @@ export default function ScannerPage() {
                 <p>This may take 10-30 seconds per document.</p>
                 <p className="mt-2">Steps: Preprocessing → OCR → AI Analysis → Pearls → Questions</p>
               </div>
+
+              {batchProgress.total > 0 && (
+                <button
+                  onClick={handleCancelBatch}
+                  disabled={cancelling}
+                  className="mt-6 px-6 py-2 bg-slate-100 text-slate-700 rounded-lg hover:bg-slate-200 transition-colors font-medium disabled:opacity-50"
+                >
+                  {cancelling ? 'Cancelling...' : 'Cancel'}
+                </button>
+              )}
             </div>
+          ) : cornerReview ? (
+            <PageCornerPreview
+              pages={cornerReview.pages}
+              onConfirm={handleCornersConfirm}
+              onCancel={closeCornerReview}
+            />
+          ) : pendingReview.length > 0 ? (
+            <DocumentTypeReview
+              reports={pendingReview}
+              onConfirm={handleReviewConfirm}
+              saving={reviewSaving}
+            />
           ) : uploadSuccess ? (
             <div className="flex flex-col items-center justify-center p-12">
               <div className="w-16 h-16 bg-green-100 rounded-full flex items-center justify-center mb-4">
@@ -249,10 +525,18 @@ export default function ScannerPage() {
               <p className="text-gray-900 font-bold text-xl mb-2">
                 {processedReports.length > 1
                   ? `${processedReports.length} Reports Processed!`
-                  : 'Analysis Complete!'}
+                  : processedReports[0]?.status === 'pending'
+                    ? 'Saved Offline'
+                    : 'Analysis Complete!'}
               </p>
+              {processedReports.some(r => r.status === 'pending') && (
+                <p className="text-amber-700 text-sm mb-2 text-center">
+                  📥 {processedReports.filter(r => r.status === 'pending').length} queued for AI analysis
+                  once you are back online.
+                </p>
+              )}
               <p className="text-gray-600">
-                {processedReports.length > 1
+                {processedReports.length > 1 || processedReports[0]?.status === 'pending'
                   ? 'Redirecting to reports list...'
                   : 'Redirecting to report...'}
               </p>
@@ -270,7 +554,25 @@ export default function ScannerPage() {
               )}
             </div>
           ) : (
-            <DocumentScanner onCapture={handleCapture} />
+            <>
+              {/* Document type */}
+              <div className="flex items-center gap-3 px-4 py-3 border-b border-gray-200">
+                <label htmlFor="documentType" className="text-sm font-medium text-gray-700">
+                  Document type
+                </label>
+                <select
+                  id="documentType"
+                  value={documentType}
+                  onChange={(e) => setDocumentType(e.target.value)}
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500"
+                >
+                  {Object.entries(DOCUMENT_TYPE_LABELS).map(([type, label]) => (
+                    <option key={type} value={type}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <DocumentScanner onCapture={handleCapture} />
+            </>
           )}
         </div>
 
@@ -300,12 +602,12 @@ export default function ScannerPage() {
             <div>
               <h4 className="font-semibold text-gray-900 mb-1">Tips for Best Results</h4>
               <ul className="text-sm text-gray-600 space-y-1">
-                <li>• <strong>Photos from any angle:</strong> Auto-rotation and enhancement enabled</li>
+                <li>• <strong>Photos at an angle:</strong> Page edges are detected and the page is flattened and straightened</li>
                 <li>• <strong>Multiple uploads:</strong> Select up to 10 files at once</li>
                 <li>• Use good lighting and avoid shadows</li>
                 <li>• Ensure text is clear and in focus</li>
                 <li>• Supported: Lab results, imaging reports, clinical notes</li>
-                <li>• Formats: JPG, PNG, PDF (up to 10MB each)</li>
+                <li>• Formats: JPG, PNG, PDF (up to 10MB each; PDFs need the MedWard server)</li>
               </ul>
             </div>
           </div>
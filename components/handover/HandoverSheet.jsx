@@ -0,0 +1,105 @@
+'use client';
+
+const STATUS_STYLES = {
+  critical: 'border-red-500 bg-red-50 text-red-800',
+  monitoring: 'border-amber-500 bg-amber-50 text-amber-800',
+  stable: 'border-green-500 bg-green-50 text-green-800'
+};
+
+/**
+ * Printable ward handover sheet
+ * Renders the output of generateHandover, one row per patient grouped by status.
+ * Layout is kept compact so a typical ward fits on a few A4/Letter pages.
+ */
+export function HandoverSheet({ handover }) {
+  const generated = new Date(handover.generatedAt);
+
+  return (
+    <div className="handover-sheet bg-white text-gray-900 text-sm">
+      {/* Header */}
+      <div className="flex items-end justify-between border-b-2 border-gray-900 pb-2 mb-4">
+        <div>
+          <h1 className="text-xl font-bold">Ward Handover{handover.ward ? ` - ${handover.ward}` : ''}</h1>
+          <p className="text-xs text-gray-600">
+            {generated.toLocaleDateString()} {generated.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+            {handover.handedOverBy && <> · Handed over by {handover.handedOverBy}</>}
+          </p>
+        </div>
+        <p className="text-xs text-gray-700 text-right">
+          {handover.summary.total} patients · {handover.summary.critical} critical · {handover.summary.monitoring} monitoring
+          · {handover.summary.stable} stable
+        </p>
+      </div>
+
+      {handover.groups.length === 0 && (
+        <p className="text-gray-500 py-8 text-center">No active patients.</p>
+      )}
+
+      {handover.groups.map(group => (
+        <section key={group.status} className="mb-5">
+          <h2 className={`px-2 py-1 border-l-4 font-bold uppercase tracking-wide text-xs mb-2 ${STATUS_STYLES[group.status]}`}>
+            {group.label} ({group.patients.length})
+          </h2>
+
+          <table className="w-full border-collapse">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 border-b border-gray-300">
+                <th className="py-1 pr-2 w-16">Bed</th>
+                <th className="py-1 pr-2 w-1/4">Patient</th>
+                <th className="py-1 pr-2">Alerts &amp; pending</th>
+                <th className="py-1 w-1/3">If - then</th>
+              </tr>
+            </thead>
+            <tbody>
+              {group.patients.map(entry => (
+                <tr key={entry.patientId} className="align-top border-b border-gray-200 break-inside-avoid">
+                  <td className="py-2 pr-2 font-bold">{entry.bed || '—'}</td>
+                  <td className="py-2 pr-2">
+                    <p className="font-semibold">{entry.name}</p>
+                    <p className="text-xs text-gray-600">
+                      {entry.mrn && <>MRN {entry.mrn}</>}
+                      {entry.hospitalDay && <> · Day {entry.hospitalDay}</>}
+                    </p>
+                    <p className="text-xs mt-1">{entry.oneLiner}</p>
+                  </td>
+                  <td className="py-2 pr-2">
+                    {entry.criticalAlerts.length > 0 && (
+                      <ul className="mb-1">
+                        {entry.criticalAlerts.map((alert, index) => (
+                          <li key={index} className="text-red-700 font-medium">⚠ {alert.alert}</li>
+                        ))}
+                      </ul>
+                    )}
+                    {entry.pendingActions.length > 0 ? (
+                      <ul className="list-disc pl-4 text-xs">
+                        {entry.pendingActions.map((action, index) => (
+                          <li key={index}>{action}</li>
+                        ))}
+                      </ul>
+                    ) : entry.criticalAlerts.length === 0 && (
+                      <p className="text-xs text-gray-500">Nothing outstanding</p>
+                    )}
+                  </td>
+                  <td className="py-2 text-xs">
+                    {entry.contingencies.map(item => (
+                      <p key={item.id} className="mb-1">
+                        <span className="font-semibold">If</span> {item.if}
+                        {' '}<span className="font-semibold">then</span> {item.then}
+                      </p>
+                    ))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      ))}
+
+      <p className="text-[10px] text-gray-500 mt-4">
+        Generated from scanned reports. Contingencies are suggestions - verify before handing over.
+      </p>
+    </div>
+  );
+}
+
+export default HandoverSheet;
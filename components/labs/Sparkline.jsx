@@ -0,0 +1,44 @@
+'use client';
+
+/**
+ * Sparkline component
+ * Inline SVG line chart for a short lab series; the last point is highlighted
+ */
+export function Sparkline({ values = [], width = 96, height = 28, color = '#0066CC', highlight = '#DC2626' }) {
+  if (values.length === 0) {
+    return <span className="text-xs text-slate-400">—</span>;
+  }
+
+  const padding = 3;
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const span = max - min || 1;
+
+  const points = values.map((value, index) => {
+    const x = values.length === 1
+      ? width / 2
+      : padding + (index / (values.length - 1)) * (width - padding * 2);
+    const y = height - padding - ((value - min) / span) * (height - padding * 2);
+    return [x, y];
+  });
+
+  const [lastX, lastY] = points[points.length - 1];
+
+  return (
+    <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} role="img" aria-label="trend">
+      {points.length > 1 && (
+        <polyline
+          points={points.map(([x, y]) => `${x},${y}`).join(' ')}
+          fill="none"
+          stroke={color}
+          strokeWidth="1.5"
+          strokeLinejoin="round"
+          strokeLinecap="round"
+        />
+      )}
+      <circle cx={lastX} cy={lastY} r="2.5" fill={highlight} />
+    </svg>
+  );
+}
+
+export default Sparkline;
@@ -0,0 +1,101 @@
+'use client';
+
+import { Sparkline } from './Sparkline';
+
+/**
+ * Trend table component
+ * One row per analyte with sparkline, latest value, delta and rate of change,
+ * plus any shift alerts from the trend service above the table
+ */
+export function TrendTable({ trends, compact = false, maxRows = null }) {
+  const series = trends?.series || [];
+  const alerts = trends?.alerts || [];
+  const rows = maxRows ? series.slice(0, maxRows) : series;
+
+  if (series.length === 0) {
+    return (
+      <p className="text-sm text-slate-500">
+        No lab results to trend yet.
+      </p>
+    );
+  }
+
+  const formatSigned = (value) => {
+    if (value === null || value === undefined) return '—';
+    return `${value > 0 ? '+' : ''}${value}`;
+  };
+
+  const flagClass = (flag) => {
+    if (flag === 'HH' || flag === 'LL') return 'text-red-700 font-bold';
+    if (flag === 'H' || flag === 'L') return 'text-amber-700 font-semibold';
+    return 'text-slate-900';
+  };
+
+  return (
+    <div className="space-y-3">
+      {!compact && alerts.length > 0 && (
+        <div className="space-y-2">
+          {alerts.map((alert, index) => (
+            <div
+              key={`${alert.rule}-${index}`}
+              className={`p-3 rounded-xl text-sm border ${
+                alert.severity === 'critical'
+                  ? 'bg-red-50 border-red-200 text-red-800'
+                  : 'bg-amber-50 border-amber-200 text-amber-800'
+              }`}
+            >
+              <p className="font-semibold">⚠️ {alert.message}</p>
+              <p className="mt-1">
+                {alert.name}: {alert.from.value} → {alert.to.value} {alert.unit} ({formatSigned(alert.change)} over {alert.hours}h)
+              </p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <table className="w-full text-sm">
+        {!compact && (
+          <thead>
+            <tr className="text-left text-xs text-slate-500 border-b border-slate-200">
+              <th className="py-2 font-medium">Test</th>
+              <th className="py-2 font-medium">Trend</th>
+              <th className="py-2 font-medium text-right">Latest</th>
+              <th className="py-2 font-medium text-right">Δ</th>
+              <th className="py-2 font-medium text-right">Per day</th>
+            </tr>
+          </thead>
+        )}
+        <tbody>
+          {rows.map(row => {
+            const hasAlert = alerts.some(alert => alert.analyte === row.analyte);
+            return (
+              <tr key={row.analyte} className="border-b border-slate-100 last:border-0">
+                <td className="py-2 pr-2">
+                  <span className="font-medium text-slate-900">{row.name}</span>
+                  {hasAlert && <span className="ml-1" title="Significant change">⚠️</span>}
+                  {!compact && <span className="block text-xs text-slate-400">{row.points.length} result{row.points.length !== 1 ? 's' : ''}</span>}
+                </td>
+                <td className="py-2 pr-2">
+                  <Sparkline
+                    values={row.points.map(point => point.value)}
+                    width={compact ? 64 : 96}
+                    height={compact ? 20 : 28}
+                  />
+                </td>
+                <td className={`py-2 text-right whitespace-nowrap ${flagClass(row.latestFlag)}`}>
+                  {row.latest} <span className="text-xs font-normal text-slate-500">{row.unit}</span>
+                </td>
+                <td className="py-2 text-right whitespace-nowrap text-slate-700">{formatSigned(row.delta)}</td>
+                {!compact && (
+                  <td className="py-2 text-right whitespace-nowrap text-slate-500">{formatSigned(row.ratePerDay)}</td>
+                )}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default TrendTable;
@@ -1,9 +1,12 @@
 'use client';
 
+import { TrendTable } from '@/components/labs/TrendTable';
+
 /**
  * Patient card component for displaying patient summary
+ * Pass `trends` (from buildLabTrends) to show a compact lab sparkline table
  */
-export function PatientCard({ patient, onClick }) {
+export function PatientCard({ patient, trends, onClick }) {
   const statusColors = {
     stable: 'bg-green-500',
     monitoring: 'bg-yellow-500',
@@ -48,6 +51,7 @@ export function PatientCard({ patient, onClick }) {
           </div>
           <p className="text-sm text-slate-500 dark:text-slate-400">
             {patient.age}yo {patient.gender?.charAt(0).toUpperCase()} • MRN: {patient.mrn}
+            {patient.bed && <> • Bed {patient.bed}</>}
           </p>
           <p className="text-sm text-slate-600 dark:text-slate-300 mt-1 truncate">
             CC: {patient.chiefComplaint || 'Not specified'}
@@ -75,6 +79,21 @@ export function PatientCard({ patient, onClick }) {
           <p className="font-semibold text-slate-900 dark:text-white capitalize">{patient.status || 'Stable'}</p>
         </div>
       </div>
+
+      {/* Lab trends */}
+      {trends?.series?.length > 0 && (
+        <div className="mt-4 pt-4 border-t border-slate-100 dark:border-slate-700">
+          <div className="flex items-center justify-between mb-2">
+            <p className="text-xs text-slate-500 dark:text-slate-400">Lab Trends</p>
+            {trends.alerts.length > 0 && (
+              <span className="text-xs px-2 py-0.5 rounded-full bg-red-100 text-red-700 font-medium">
+                ⚠️ {trends.alerts.length} significant change{trends.alerts.length !== 1 ? 's' : ''}
+              </span>
+            )}
+          </div>
+          <TrendTable trends={trends} compact maxRows={4} />
+        </div>
+      )}
     </button>
   );
 }
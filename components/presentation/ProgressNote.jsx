@@ -0,0 +1,84 @@
+'use client';
+
+const SOURCE_ICONS = {
+  lab: '🧪',
+  imaging: '🩻',
+  note: '📝',
+  ecg: '💓',
+  general: '📄'
+};
+
+/**
+ * Daily progress note
+ * Renders the output of generateProgressNote: SOAP sections with [R#] citations
+ * and the list of reports they refer to.
+ * @param {Object} note - Progress note
+ * @param {Function} onRoundComplete - Marks the round done so the next note starts from now
+ */
+export function ProgressNote({ note, onRoundComplete }) {
+  const since = new Date(note.since);
+
+  const sections = [
+    { id: 'oneLiner', title: 'One-Liner', content: note.oneLiner },
+    { id: 'subjective', title: 'Subjective', content: note.subjective },
+    { id: 'objective', title: 'Objective', content: note.objective },
+    { id: 'assessment', title: 'Assessment (by problem)', content: note.assessment },
+    { id: 'plan', title: 'Plan', content: note.plan }
+  ];
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3 bg-white rounded-2xl p-4 shadow-sm border border-gray-100">
+        <div>
+          <p className="font-semibold text-gray-900">
+            Since {since.toLocaleDateString()} {since.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+            {note.hospitalDay && <> · Day {note.hospitalDay}</>}
+          </p>
+          <p className="text-xs text-gray-500">
+            {note.sources.length} report{note.sources.length === 1 ? '' : 's'} merged · updates automatically when a new report is attached
+          </p>
+        </div>
+        {onRoundComplete && (
+          <button
+            onClick={onRoundComplete}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700"
+          >
+            ✓ Mark Round Complete
+          </button>
+        )}
+      </div>
+
+      {sections.map(section => (
+        <div key={section.id} className="bg-white rounded-2xl p-6 shadow-sm border border-gray-100">
+          <h3 className="text-lg font-semibold text-gray-900 mb-3">{section.title}</h3>
+          <pre className="whitespace-pre-wrap text-sm text-gray-700 font-sans leading-relaxed">
+            {section.content}
+          </pre>
+        </div>
+      ))}
+
+      {note.sources.length > 0 && (
+        <div className="bg-white rounded-2xl p-6 shadow-sm border border-gray-100">
+          <h3 className="text-lg font-semibold text-gray-900 mb-3">Sources</h3>
+          <ul className="space-y-2 text-sm">
+            {note.sources.map(source => (
+              <li key={source.ref}>
+                <a
+                  href={`/Ward-rounds/reports/view/?id=${encodeURIComponent(source.reportId)}`}
+                  className="flex items-center gap-2 text-gray-700 hover:text-blue-600"
+                >
+                  <span className="font-mono font-semibold text-blue-600">[{source.ref}]</span>
+                  <span>{SOURCE_ICONS[source.type] || SOURCE_ICONS.general}</span>
+                  <span>{source.fileName || source.label}</span>
+                  <span className="text-xs text-gray-400">{new Date(source.reportedAt).toLocaleString()}</span>
+                </a>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ProgressNote;
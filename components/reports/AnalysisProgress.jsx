@@ -0,0 +1,75 @@
+'use client';
+
+const FINDING_STYLES = {
+  critical: 'bg-red-100 text-red-700',
+  abnormal: 'bg-yellow-100 text-yellow-700',
+  normal: 'bg-green-100 text-green-700'
+};
+
+/**
+ * Stages of an analysis that is still arriving, with findings so far
+ * Shown while a report is processing (streaming from /api/reports/stream) or
+ * when its analysis stopped part-way (status partial).
+ * @param {Object} report - Report so far
+ */
+export function AnalysisProgress({ report }) {
+  if (report.status !== 'processing' && report.status !== 'partial') return null;
+
+  const sources = report.sources || {};
+  const findings = report.interpretation?.findings || [];
+  const stages = [
+    { label: 'Findings', done: !!sources.interpretation },
+    { label: 'Assessment', done: !!report.presentation?.assessment },
+    { label: 'Pearls', done: !!sources.pearls },
+    { label: 'Questions', done: !!sources.questions }
+  ];
+  const current = stages.findIndex(stage => !stage.done);
+
+  return (
+    <div className={`bg-white rounded-2xl p-6 shadow-sm border ${report.status === 'partial' ? 'border-amber-300' : 'border-gray-100'}`}>
+      <div className="flex flex-wrap items-center gap-2">
+        {stages.map((stage, index) => (
+          <span
+            key={stage.label}
+            className={`text-xs px-3 py-1 rounded-full font-medium ${
+              stage.done ? 'bg-green-100 text-green-700' :
+              index === current && report.status === 'processing' ? 'bg-blue-100 text-blue-700 animate-pulse' :
+              'bg-slate-100 text-slate-500'
+            }`}
+          >
+            {stage.done ? '✓' : index === current && report.status === 'processing' ? '⏳' : '·'} {stage.label}
+          </span>
+        ))}
+      </div>
+
+      {report.status === 'partial' && (
+        <p className="text-sm text-amber-800 mt-3">
+          The analysis stopped part-way{report.analysisError ? `: ${report.analysisError}` : ''}. What was generated is shown below.
+        </p>
+      )}
+
+      {!sources.interpretation && report.interpretation?.summary && (
+        <p className="text-sm text-gray-700 mt-4">{report.interpretation.summary}</p>
+      )}
+
+      {!sources.interpretation && findings.length > 0 && (
+        <ul className="mt-4 space-y-2">
+          {findings.map((finding, index) => (
+            <li key={index} className="flex items-start justify-between gap-3 p-3 rounded-xl border border-slate-100 text-sm">
+              <span className="text-gray-900">
+                {finding.finding}{finding.value ? `: ${finding.value}` : ''}
+              </span>
+              {finding.status && (
+                <span className={`text-xs px-2 py-0.5 rounded-full font-medium flex-shrink-0 ${FINDING_STYLES[finding.status] || FINDING_STYLES.normal}`}>
+                  {finding.status}
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default AnalysisProgress;
@@ -0,0 +1,91 @@
+'use client';
+
+import { useState } from 'react';
+
+const STATUS_STYLES = {
+  verified: { label: 'Verified', badge: 'bg-green-100 text-green-700', row: 'border-slate-100' },
+  unverified: { label: 'Unverified', badge: 'bg-slate-100 text-slate-600', row: 'border-slate-100' },
+  contradicted: { label: 'Contradicted', badge: 'bg-red-600 text-white', row: 'border-red-300 bg-red-50' }
+};
+
+/**
+ * Source check of AI findings
+ * Lists every finding with whether its values, analytes and sides were found
+ * in the report text. Contradicted findings and the critical alerts removed
+ * because of them are shown first and in red.
+ * @param {Object} interpretation - Interpretation run through groundInterpretation (lib/ai/grounding.js)
+ */
+export function GroundingCheck({ interpretation }) {
+  const [showAll, setShowAll] = useState(false);
+
+  const findings = (interpretation?.findings || []).filter(finding => finding.grounding);
+  const removedAlerts = interpretation?.removedAlerts || [];
+  if (findings.length === 0 && removedAlerts.length === 0) return null;
+
+  const contradicted = findings.filter(finding => finding.grounding.status === 'contradicted');
+  const others = findings.filter(finding => finding.grounding.status !== 'contradicted');
+  const summary = interpretation.grounding || {};
+
+  return (
+    <div className={`bg-white rounded-2xl p-6 shadow-sm border ${contradicted.length > 0 ? 'border-red-300' : 'border-gray-100'}`}>
+      <div className="flex items-center justify-between gap-4">
+        <h3 className="text-lg font-semibold text-gray-900">
+          {contradicted.length > 0 ? '⚠️ Findings contradicted by the report' : 'Source check'}
+        </h3>
+        <p className="text-xs text-gray-500">
+          {summary.verified || 0} verified · {summary.unverified || 0} unverified · {summary.contradicted || 0} contradicted
+        </p>
+      </div>
+
+      {contradicted.length > 0 && (
+        <p className="text-sm text-red-700 mt-2">
+          The AI cited values or sides that differ from the report. Check the source text before acting on them.
+        </p>
+      )}
+
+      <ul className="mt-4 space-y-2">
+        {[...contradicted, ...(showAll ? others : [])].map((finding, index) => {
+          const style = STATUS_STYLES[finding.grounding.status] || STATUS_STYLES.unverified;
+          return (
+            <li key={index} className={`p-3 rounded-xl border text-sm ${style.row}`}>
+              <div className="flex items-start justify-between gap-3">
+                <span className={finding.grounding.status === 'contradicted' ? 'line-through text-red-800' : 'text-gray-900'}>
+                  {finding.finding}{finding.value ? `: ${finding.value}` : ''}
+                </span>
+                <span className={`text-xs px-2 py-0.5 rounded-full font-medium flex-shrink-0 ${style.badge}`}>
+                  {style.label}
+                </span>
+              </div>
+              <p className="text-xs text-gray-600 mt-1">{finding.grounding.note}</p>
+            </li>
+          );
+        })}
+      </ul>
+
+      {removedAlerts.length > 0 && (
+        <div className="mt-4">
+          <p className="text-sm font-semibold text-red-800">Removed from critical alerts</p>
+          <ul className="mt-1 space-y-1">
+            {removedAlerts.map((removed, index) => (
+              <li key={index} className="text-sm text-red-700">
+                <span className="line-through">{removed.alert}</span>
+                <span className="text-xs text-gray-600"> — {removed.reason}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {others.length > 0 && (
+        <button
+          onClick={() => setShowAll(prev => !prev)}
+          className="mt-4 text-sm text-blue-600 hover:text-blue-700 font-medium"
+        >
+          {showAll ? 'Hide checked findings' : `Show ${others.length} other finding${others.length === 1 ? '' : 's'}`}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default GroundingCheck;
@@ -0,0 +1,241 @@
+'use client';
+
+import { useEffect, useMemo, useState } from 'react';
+import { markLowConfidence, findSuspectLabRows } from '@/lib/ocr/textCorrection';
+import { getSourceImageStore } from '@/lib/storage/source-images';
+
+/**
+ * OCR review and correction
+ * Shows the scanned image next to the extracted text with low-confidence words
+ * highlighted. The text, or single parsed lab rows, can be corrected; saving
+ * re-parses and re-interprets the report while the original extraction is kept.
+ * @param {Object} report - Report being reviewed
+ * @param {Function} onCorrectText - (correctedText) => Promise
+ * @param {Function} onCorrectRows - (edits: [{ index, test, value, unit }]) => Promise
+ * @param {boolean} saving - A correction is being saved and re-interpreted
+ */
+export function OcrReview({ report, onCorrectText, onCorrectRows, saving }) {
+  const [imageUrl, setImageUrl] = useState(null);
+  const [editingText, setEditingText] = useState(false);
+  const [draftText, setDraftText] = useState(report.extractedText || '');
+  const [rowEdits, setRowEdits] = useState({});
+  const [showOriginal, setShowOriginal] = useState(false);
+
+  useEffect(() => {
+    let url = null;
+    let cancelled = false;
+
+    getSourceImageStore().get(report.sourceImageId)
+      .then(blob => {
+        if (!blob || cancelled) return;
+        url = URL.createObjectURL(blob);
+        setImageUrl(url);
+      })
+      .catch(error => console.warn('[OcrReview] Source image unavailable:', error.message));
+
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [report.sourceImageId]);
+
+  useEffect(() => {
+    setDraftText(report.extractedText || '');
+    setRowEdits({});
+  }, [report.extractedText]);
+
+  const segments = useMemo(
+    () => markLowConfidence(report.extractedText, report.ocrWords),
+    [report.extractedText, report.ocrWords]
+  );
+  const lowCount = segments.filter(segment => segment.low).length;
+
+  const labResults = report.type === 'lab' ? report.structuredData?.results || [] : [];
+  const suspectRows = new Set(findSuspectLabRows(labResults));
+  const corrections = report.corrections || [];
+  const vocabularyFixes = report.vocabularyCorrections || [];
+
+  const editRow = (index, field, value) => {
+    setRowEdits(prev => ({ ...prev, [index]: { ...prev[index], [field]: value } }));
+  };
+
+  const saveText = async () => {
+    await onCorrectText(draftText);
+    setEditingText(false);
+  };
+
+  const saveRows = () => onCorrectRows(
+    Object.entries(rowEdits).map(([index, fields]) => ({ index: Number(index), ...fields }))
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="grid gap-4 lg:grid-cols-2">
+        <div className="bg-white rounded-2xl p-4 shadow-sm border border-gray-100">
+          <h3 className="text-lg font-semibold text-gray-900 mb-3">Scanned Image</h3>
+          {imageUrl ? (
+            <img src={imageUrl} alt={report.fileName || 'Scanned document'} className="w-full rounded-lg border border-gray-200" />
+          ) : (
+            <p className="text-sm text-gray-500 py-12 text-center">
+              The image is only kept on the device that scanned it.
+            </p>
+          )}
+        </div>
+
+        <div className="bg-white rounded-2xl p-4 shadow-sm border border-gray-100">
+          <div className="flex items-center justify-between gap-3 mb-3">
+            <h3 className="text-lg font-semibold text-gray-900">Extracted Text</h3>
+            {!editingText && (
+              <button
+                onClick={() => setEditingText(true)}
+                disabled={saving}
+                className="px-4 py-2 bg-slate-100 text-slate-700 rounded-lg text-sm font-medium hover:bg-slate-200 disabled:opacity-50"
+              >
+                ✏️ Correct Text
+              </button>
+            )}
+          </div>
+
+          {editingText ? (
+            <>
+              <textarea
+                value={draftText}
+                onChange={(e) => setDraftText(e.target.value)}
+                rows={16}
+                className="w-full p-3 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-blue-500"
+              />
+              <div className="flex gap-2 mt-3">
+                <button
+                  onClick={() => { setDraftText(report.extractedText || ''); setEditingText(false); }}
+                  disabled={saving}
+                  className="flex-1 py-2 bg-slate-100 text-slate-700 rounded-lg text-sm font-medium hover:bg-slate-200"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={saveText}
+                  disabled={saving || draftText === report.extractedText}
+                  className="flex-1 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {saving ? 'Re-analyzing...' : 'Save & Re-analyze'}
+                </button>
+              </div>
+            </>
+          ) : (
+            <>
+              {lowCount > 0 && (
+                <p className="text-xs text-amber-700 mb-2">
+                  {lowCount} word{lowCount === 1 ? '' : 's'} read with low confidence are highlighted.
+                </p>
+              )}
+              {vocabularyFixes.length > 0 && (
+                <details className="text-xs text-gray-600 mb-2">
+                  <summary className="cursor-pointer">
+                    {vocabularyFixes.length} misread medical word{vocabularyFixes.length === 1 ? ' was' : 's were'} corrected automatically
+                  </summary>
+                  <ul className="mt-1 space-y-0.5 font-mono">
+                    {vocabularyFixes.map((fix, i) => (
+                      <li key={i}>line {fix.line}: {fix.from} → {fix.to}</li>
+                    ))}
+                  </ul>
+                </details>
+              )}
+              <pre className="whitespace-pre-wrap text-sm text-gray-700 font-mono leading-relaxed max-h-[32rem] overflow-y-auto">
+                {segments.map((segment, i) => (segment.low ? (
+                  <mark
+                    key={i}
+                    className="bg-amber-200 rounded px-0.5"
+                    title={`OCR confidence ${Math.round(segment.confidence * 100)}%`}
+                  >
+                    {segment.text}
+                  </mark>
+                ) : segment.text))}
+              </pre>
+            </>
+          )}
+        </div>
+      </div>
+
+      {labResults.length > 0 && (
+        <div className="bg-white rounded-2xl p-4 shadow-sm border border-gray-100">
+          <div className="flex items-center justify-between gap-3 mb-3">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Parsed Lab Results</h3>
+              {suspectRows.size > 0 && (
+                <p className="text-xs text-red-700">
+                  {suspectRows.size} result{suspectRows.size === 1 ? ' looks' : 's look'} implausible - check against the image.
+                </p>
+              )}
+            </div>
+            <button
+              onClick={saveRows}
+              disabled={saving || Object.keys(rowEdits).length === 0}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving ? 'Re-analyzing...' : 'Save Rows & Re-analyze'}
+            </button>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b border-gray-200">
+                  <th className="py-2 pr-2 font-medium">Test</th>
+                  <th className="py-2 pr-2 font-medium">Value</th>
+                  <th className="py-2 pr-2 font-medium">Unit</th>
+                  <th className="py-2 font-medium">Flag</th>
+                </tr>
+              </thead>
+              <tbody>
+                {labResults.map((result, index) => {
+                  const edits = rowEdits[index] || {};
+                  const field = (name, fallback) => (
+                    <input
+                      value={edits[name] ?? fallback}
+                      onChange={(e) => editRow(index, name, e.target.value)}
+                      disabled={saving}
+                      className="w-full px-2 py-1 border border-gray-200 rounded focus:ring-2 focus:ring-blue-500"
+                    />
+                  );
+                  return (
+                    <tr key={index} className={`border-b border-gray-100 ${suspectRows.has(index) ? 'bg-red-50' : ''}`}>
+                      <td className="py-1 pr-2">{field('test', result.test || '')}</td>
+                      <td className="py-1 pr-2 w-28">{field('value', String(result.originalValue ?? result.value ?? ''))}</td>
+                      <td className="py-1 pr-2 w-32">{field('unit', result.originalUnit ?? result.unit ?? '')}</td>
+                      <td className="py-1 w-16 text-gray-700">
+                        {result.flag || '-'}{result.corrected && <span title="Corrected"> ✏️</span>}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {corrections.length > 0 && (
+        <div className="bg-white rounded-2xl p-4 shadow-sm border border-gray-100">
+          <div className="flex items-center justify-between gap-3">
+            <p className="text-sm text-gray-700">
+              Corrected {corrections.length} time{corrections.length === 1 ? '' : 's'}, last on{' '}
+              {new Date(corrections[corrections.length - 1].correctedAt).toLocaleString()}
+            </p>
+            <button
+              onClick={() => setShowOriginal(!showOriginal)}
+              className="text-sm text-blue-600 hover:text-blue-700 font-medium"
+            >
+              {showOriginal ? 'Hide original' : 'Show original'}
+            </button>
+          </div>
+          {showOriginal && (
+            <pre className="mt-3 whitespace-pre-wrap text-sm text-gray-500 font-mono leading-relaxed max-h-96 overflow-y-auto">
+              {report.originalExtractedText}
+            </pre>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default OcrReview;
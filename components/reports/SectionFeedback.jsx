@@ -0,0 +1,58 @@
+'use client';
+
+import { useState } from 'react';
+
+const RATINGS = [1, 2, 3, 4, 5];
+
+/**
+ * 1-5 rating of one AI-generated report section
+ * Ratings are scored against the prompt version that wrote the section, so
+ * prompt changes can be compared (see lib/ai/prompts/experiments.js).
+ * @param {string} label - What is being rated ("interpretation", "pearls")
+ * @param {string} promptVersion - name@version of the prompt behind the section
+ * @param {Function} onRate - async (rating) => void
+ */
+export function SectionFeedback({ label, promptVersion, onRate }) {
+  const [rating, setRating] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const rate = async (value) => {
+    setSaving(true);
+    setError('');
+    try {
+      await onRate(value);
+      setRating(value);
+    } catch (err) {
+      console.error('Error saving feedback:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm text-gray-500">
+      <span>{rating ? `Thanks - you rated the ${label} ${rating}/5` : `Rate the ${label}:`}</span>
+      <div className="flex gap-0.5">
+        {RATINGS.map(value => (
+          <button
+            key={value}
+            onClick={() => rate(value)}
+            disabled={saving}
+            aria-label={`Rate ${value} of 5`}
+            className={`text-xl leading-none transition-colors disabled:opacity-50 ${
+              rating && value <= rating ? 'text-amber-500' : 'text-gray-300 hover:text-amber-400'
+            }`}
+          >
+            ★
+          </button>
+        ))}
+      </div>
+      <span className="text-xs text-gray-400">{promptVersion}</span>
+      {error && <span className="text-xs text-red-600">{error}</span>}
+    </div>
+  );
+}
+
+export default SectionFeedback;
@@ -0,0 +1,84 @@
+'use client';
+
+import { useState } from 'react';
+import { DOCUMENT_TYPES } from '@/lib/ocr/documentClassifier';
+
+export const DOCUMENT_TYPE_LABELS = {
+  auto: '🔎 Auto-detect',
+  lab: '🧪 Lab Results',
+  imaging: '🩻 Imaging Report',
+  note: '📝 Clinical Note',
+  ecg: '💓 ECG',
+  general: '📄 General'
+};
+
+/**
+ * Confirm or override low-confidence document type guesses
+ * @param {Array} reports - Reports whose classification needs confirmation
+ * @param {Function} onConfirm - Called with { [reportId]: type } for changed types
+ * @param {boolean} saving - Re-interpretation in progress
+ */
+export function DocumentTypeReview({ reports, onConfirm, saving = false }) {
+  const [choices, setChoices] = useState(() =>
+    Object.fromEntries(reports.map(report => [report.id, report.type]))
+  );
+
+  const handleConfirm = () => {
+    const overrides = Object.fromEntries(
+      reports
+        .filter(report => choices[report.id] !== report.type)
+        .map(report => [report.id, choices[report.id]])
+    );
+    onConfirm(overrides);
+  };
+
+  return (
+    <div className="p-8">
+      <div className="flex items-start gap-3 mb-6">
+        <span className="text-3xl">🤔</span>
+        <div>
+          <h3 className="text-lg font-bold text-gray-900">Check Document Type</h3>
+          <p className="text-sm text-gray-600">
+            We weren&apos;t sure what kind of document {reports.length > 1 ? 'these are' : 'this is'}.
+            Confirm or change the type so it is interpreted correctly.
+          </p>
+        </div>
+      </div>
+
+      <div className="space-y-3 mb-6">
+        {reports.map(report => (
+          <div key={report.id} className="flex items-center gap-3 p-3 bg-gray-50 rounded-xl">
+            <div className="flex-1 min-w-0">
+              <p className="font-medium text-gray-900 truncate">{report.fileName || 'Document'}</p>
+              <p className="text-xs text-gray-500">
+                Guessed {DOCUMENT_TYPE_LABELS[report.classification?.type] || report.type}
+                {' · '}
+                {Math.round((report.classification?.confidence || 0) * 100)}% confidence
+              </p>
+            </div>
+            <select
+              value={choices[report.id]}
+              onChange={(e) => setChoices(prev => ({ ...prev, [report.id]: e.target.value }))}
+              disabled={saving}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500"
+            >
+              {DOCUMENT_TYPES.map(type => (
+                <option key={type} value={type}>{DOCUMENT_TYPE_LABELS[type]}</option>
+              ))}
+            </select>
+          </div>
+        ))}
+      </div>
+
+      <button
+        onClick={handleConfirm}
+        disabled={saving}
+        className="w-full py-3 bg-blue-600 text-white rounded-xl font-medium hover:bg-blue-700 transition-colors disabled:opacity-50"
+      >
+        {saving ? 'Re-analyzing...' : 'Confirm and Continue'}
+      </button>
+    </div>
+  );
+}
+
+export default DocumentTypeReview;
@@ -0,0 +1,175 @@
+'use client';
+
+import { useRef, useState } from 'react';
+
+// Used when no page outline is found but the user still wants to crop
+const DEFAULT_CORNERS = [
+  { x: 0.05, y: 0.05 },
+  { x: 0.95, y: 0.05 },
+  { x: 0.95, y: 0.95 },
+  { x: 0.05, y: 0.95 }
+];
+
+const CORNER_LABELS = ['Top left', 'Top right', 'Bottom right', 'Bottom left'];
+
+/**
+ * Preview the detected page corners and capture quality before OCR
+ * Each photo is shown with the detected page outline; corners can be dragged
+ * and perspective correction switched off per photo. Photos that fail the
+ * quality gate make "Retake" the primary action.
+ * @param {Array} pages - [{ name, previewUrl, corners, confidence, quality }] from detectDocumentCorners
+ * @param {Function} onConfirm - Called with one entry per page: corners to warp to, or null
+ * @param {Function} onCancel - Discard the photos (retake)
+ */
+export function PageCornerPreview({ pages, onConfirm, onCancel }) {
+  const needsRetake = pages.some(page => page.quality && !page.quality.acceptable);
+
+  const [edits, setEdits] = useState(() => pages.map(page => ({
+    enabled: !!page.corners,
+    corners: page.corners || DEFAULT_CORNERS
+  })));
+
+  const updatePage = (index, changes) => {
+    setEdits(prev => prev.map((edit, i) => (i === index ? { ...edit, ...changes } : edit)));
+  };
+
+  return (
+    <div className="p-6">
+      <div className="flex items-start gap-3 mb-6">
+        <span className="text-3xl">📐</span>
+        <div>
+          <h3 className="text-lg font-bold text-gray-900">Check Page Edges</h3>
+          <p className="text-sm text-gray-600">
+            Drag the corners onto the edges of the paper. The page is flattened and straightened before it is read.
+          </p>
+        </div>
+      </div>
+
+      <div className="space-y-6 mb-6">
+        {pages.map((page, index) => (
+          <div key={page.previewUrl} className="bg-gray-50 rounded-xl p-3">
+            <div className="flex items-center justify-between gap-3 mb-2">
+              <p className="font-medium text-gray-900 truncate">{page.name}</p>
+              <label className="flex items-center gap-2 text-sm text-gray-700 flex-shrink-0">
+                <input
+                  type="checkbox"
+                  checked={edits[index].enabled}
+                  onChange={(e) => updatePage(index, { enabled: e.target.checked })}
+                />
+                Correct perspective
+              </label>
+            </div>
+            <QualityNotice quality={page.quality} />
+            {!page.corners && (
+              <p className="text-xs text-amber-700 mb-2">
+                Page edges not found - place the corners yourself or scan the photo as it is.
+              </p>
+            )}
+            <CornerEditor
+              src={page.previewUrl}
+              corners={edits[index].corners}
+              enabled={edits[index].enabled}
+              onChange={(corners) => updatePage(index, { corners })}
+            />
+          </div>
+        ))}
+      </div>
+
+      <div className="flex gap-3">
+        <button
+          onClick={onCancel}
+          className={`flex-1 py-3 rounded-xl font-medium transition-colors ${
+            needsRetake
+              ? 'bg-blue-600 text-white hover:bg-blue-700'
+              : 'bg-slate-100 text-slate-700 hover:bg-slate-200'
+          }`}
+        >
+          {needsRetake ? '📷 Retake' : 'Cancel'}
+        </button>
+        <button
+          onClick={() => onConfirm(edits.map(edit => (edit.enabled ? edit.corners : null)))}
+          className={`flex-1 py-3 rounded-xl font-medium transition-colors ${
+            needsRetake
+              ? 'bg-slate-100 text-slate-700 hover:bg-slate-200'
+              : 'bg-blue-600 text-white hover:bg-blue-700'
+          }`}
+        >
+          {needsRetake ? 'Scan Anyway' : `Scan ${pages.length > 1 ? `${pages.length} Pages` : 'Page'}`}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function QualityNotice({ quality }) {
+  if (!quality || quality.reasons.length === 0) return null;
+
+  return (
+    <div className={`mb-2 p-2 rounded-lg text-xs ${
+      quality.acceptable ? 'bg-amber-50 text-amber-800' : 'bg-red-50 text-red-800'
+    }`}>
+      <p className="font-semibold mb-1">
+        {quality.acceptable ? 'Image quality could be better' : 'This photo is unlikely to read well'}
+        {' '}({quality.score}/100)
+      </p>
+      <ul className="space-y-0.5">
+        {quality.reasons.map(reason => (
+          <li key={reason.code}>• {reason.message}</li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function CornerEditor({ src, corners, enabled, onChange }) {
+  const containerRef = useRef(null);
+  const [dragging, setDragging] = useState(null);
+
+  const handlePointerMove = (e) => {
+    if (dragging === null || !containerRef.current) return;
+    const rect = containerRef.current.getBoundingClientRect();
+    const x = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+    const y = Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height));
+    onChange(corners.map((corner, i) => (i === dragging ? { x, y } : corner)));
+  };
+
+  const points = corners.map(c => `${c.x * 100},${c.y * 100}`).join(' ');
+
+  return (
+    <div
+      ref={containerRef}
+      className="relative select-none touch-none"
+      onPointerMove={handlePointerMove}
+      onPointerUp={() => setDragging(null)}
+      onPointerLeave={() => setDragging(null)}
+    >
+      <img src={src} alt="Captured page" className="w-full rounded-lg" draggable={false} />
+      {enabled && (
+        <svg className="absolute inset-0 w-full h-full" viewBox="0 0 100 100" preserveAspectRatio="none">
+          <polygon
+            points={points}
+            fill="rgba(37, 99, 235, 0.15)"
+            stroke="rgb(37, 99, 235)"
+            strokeWidth="2"
+            vectorEffect="non-scaling-stroke"
+          />
+        </svg>
+      )}
+      {enabled && corners.map((corner, i) => (
+        <button
+          key={i}
+          type="button"
+          aria-label={CORNER_LABELS[i]}
+          onPointerDown={(e) => {
+            e.currentTarget.releasePointerCapture?.(e.pointerId);
+            setDragging(i);
+          }}
+          className="absolute w-6 h-6 -ml-3 -mt-3 rounded-full bg-white border-4 border-blue-600 shadow cursor-move"
+          style={{ left: `${corner.x * 100}%`, top: `${corner.y * 100}%` }}
+        />
+      ))}
+    </div>
+  );
+}
+
+export default PageCornerPreview;
@@ -1,6 +1,6 @@
 /**
  * MedWard Backend - Google Apps Script
- * Handles medical document interpretation using OpenAI GPT-4
+ * Handles medical document interpretation using OpenAI, Anthropic or a local model
  *
  * Setup Instructions:
  * 1. Go to https://script.google.com
@@ -8,20 +8,35 @@
  * 3. Paste this code
  * 4. Set Script Properties:
  *    - OPENAI_API_KEY: Your OpenAI API key
+ *    - Optional: ANTHROPIC_API_KEY, ANTHROPIC_MODEL
+ *    - Optional: LOCAL_LLM_URL (OpenAI-compatible /v1 endpoint), LOCAL_LLM_MODEL, LOCAL_LLM_API_KEY
+ *    - Optional: LLM_PROVIDERS, fallback order (default: openai,anthropic,local)
  * 5. Deploy as Web App:
  *    - Execute as: Me
  *    - Who has access: Anyone
  * 6. Copy the Web App URL to your Next.js app
+ *
+ * Prompts come from Prompts.gs, generated from lib/ai/prompts (npm run prompts:gs).
  */
 
 // ============================================
 // CONFIGURATION
 // ============================================
 
+const SCRIPT_PROPERTIES = PropertiesService.getScriptProperties();
+
 const CONFIG = {
-  OPENAI_API_KEY: PropertiesService.getScriptProperties().getProperty('OPENAI_API_KEY'),
+  OPENAI_API_KEY: SCRIPT_PROPERTIES.getProperty('OPENAI_API_KEY'),
   OPENAI_MODEL: 'gpt-4-turbo-preview',
   OPENAI_API_URL: 'https://api.openai.com/v1/chat/completions',
+  ANTHROPIC_API_KEY: SCRIPT_PROPERTIES.getProperty('ANTHROPIC_API_KEY'),
+  ANTHROPIC_MODEL: SCRIPT_PROPERTIES.getProperty('ANTHROPIC_MODEL') || 'claude-sonnet-4-5',
+  ANTHROPIC_API_URL: 'https://api.anthropic.com/v1/messages',
+  LOCAL_LLM_URL: SCRIPT_PROPERTIES.getProperty('LOCAL_LLM_URL'),
+  LOCAL_LLM_MODEL: SCRIPT_PROPERTIES.getProperty('LOCAL_LLM_MODEL') || 'default',
+  LOCAL_LLM_API_KEY: SCRIPT_PROPERTIES.getProperty('LOCAL_LLM_API_KEY'),
+  LLM_PROVIDERS: (SCRIPT_PROPERTIES.getProperty('LLM_PROVIDERS') || 'openai,anthropic,local').split(',').map(p => p.trim()),
+  LLM_RETRIES: 2,
   MAX_TOKENS: 2000,
   TEMPERATURE: 0.7
 };
@@ -64,6 +79,7 @@ function doPost(e) {
     // Route to appropriate handler
     switch (action) {
       case 'interpret':
+      case 'interpretText':
         return handleInterpret(data);
 
       case 'login':
@@ -123,7 +139,8 @@ function handleInterpret(data) {
         presentation: presentation,
         metadata: {
           processedAt: new Date().toISOString(),
-          documentType: documentType
+          documentType: documentType,
+          promptVersions: getPromptVersions(documentType)
         }
       }))
       .setMimeType(ContentService.MimeType.JSON);
@@ -181,19 +198,61 @@ function handleProcessDocument(data) {
 }
 
 // ============================================
-// OPENAI INTEGRATION
+// LLM PROVIDERS
 // ============================================
 
+/**
+ * Call the first configured LLM provider that answers
+ * Providers are tried in LLM_PROVIDERS order. Rate limits and server errors are
+ * retried with backoff; other errors move on to the next provider.
+ */
+function callLLM(messages, temperature = CONFIG.TEMPERATURE, maxTokens = CONFIG.MAX_TOKENS) {
+  const providers = {
+    openai: CONFIG.OPENAI_API_KEY && CONFIG.OPENAI_API_KEY !== 'your-api-key-here' ? callOpenAI : null,
+    anthropic: CONFIG.ANTHROPIC_API_KEY ? callAnthropic : null,
+    local: CONFIG.LOCAL_LLM_URL ? callLocalLLM : null
+  };
+  const chain = CONFIG.LLM_PROVIDERS.filter(name => providers[name]);
+
+  if (chain.length === 0) {
+    throw new Error('No LLM provider configured. Set OPENAI_API_KEY, ANTHROPIC_API_KEY or LOCAL_LLM_URL in Script Properties.');
+  }
+
+  const failures = [];
+  for (const name of chain) {
+    for (let attempt = 0; attempt <= CONFIG.LLM_RETRIES; attempt++) {
+      try {
+        return providers[name](messages, temperature, maxTokens);
+      } catch (error) {
+        failures.push(`${name}: ${error.message}`);
+        Logger.log(`[LLM] ${name} attempt ${attempt + 1} failed: ${error.message}`);
+        if (!error.retryable || attempt === CONFIG.LLM_RETRIES) break;
+        Utilities.sleep(500 * Math.pow(2, attempt));
+      }
+    }
+  }
+
+  throw new Error(`All LLM providers failed (${failures.join('; ')})`);
+}
+
 /**
  * Call OpenAI API
  */
 function callOpenAI(messages, temperature = CONFIG.TEMPERATURE, maxTokens = CONFIG.MAX_TOKENS) {
-  if (!CONFIG.OPENAI_API_KEY || CONFIG.OPENAI_API_KEY === 'your-api-key-here') {
-    throw new Error('OpenAI API key not configured. Set OPENAI_API_KEY in Script Properties.');
-  }
+  return callChatCompletions(CONFIG.OPENAI_API_URL, CONFIG.OPENAI_API_KEY, CONFIG.OPENAI_MODEL, messages, temperature, maxTokens);
+}
+
+/**
+ * Call an OpenAI-compatible model server (vLLM, Ollama, llama.cpp)
+ */
+function callLocalLLM(messages, temperature = CONFIG.TEMPERATURE, maxTokens = CONFIG.MAX_TOKENS) {
+  const url = CONFIG.LOCAL_LLM_URL.replace(/\/$/, '') + '/chat/completions';
+  return callChatCompletions(url, CONFIG.LOCAL_LLM_API_KEY || 'local', CONFIG.LOCAL_LLM_MODEL, messages, temperature, maxTokens);
+}
 
+function callChatCompletions(url, apiKey, model, messages, temperature, maxTokens) {
   const payload = {
-    model: CONFIG.OPENAI_MODEL,
+    model: model,
     messages: messages,
     temperature: temperature,
     max_tokens: maxTokens
@@ -203,20 +262,65 @@ function callOpenAI(messages, temperature = CONFIG.TEMPERATURE, maxTokens = CONF
     method: 'post',
     contentType: 'application/json',
     headers: {
-      'Authorization': `Bearer ${CONFIG.OPENAI_API_KEY}`
+      'Authorization': `Bearer ${apiKey}`
+    },
+    payload: JSON.stringify(payload),
+    muteHttpExceptions: true
+  };
+
+  const response = fetchLLM(url, options);
+  return response.choices[0].message.content;
+}
+
+/**
+ * Call the Anthropic Messages API
+ */
+function callAnthropic(messages, temperature = CONFIG.TEMPERATURE, maxTokens = CONFIG.MAX_TOKENS) {
+  const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+
+  const payload = {
+    model: CONFIG.ANTHROPIC_MODEL,
+    system: system,
+    messages: messages.filter(m => m.role !== 'system'),
+    temperature: Math.min(temperature, 1),
+    max_tokens: maxTokens
+  };
+
+  const options = {
+    method: 'post',
+    contentType: 'application/json',
+    headers: {
+      'x-api-key': CONFIG.ANTHROPIC_API_KEY,
+      'anthropic-version': '2023-06-01'
     },
     payload: JSON.stringify(payload),
     muteHttpExceptions: true
   };
 
-  const response = UrlFetchApp.fetch(CONFIG.OPENAI_API_URL, options);
-  const result = JSON.parse(response.getContentText());
+  const response = fetchLLM(CONFIG.ANTHROPIC_API_URL, options);
+  return response.content.filter(block => block.type === 'text').map(block => block.text).join('');
+}
+
+/**
+ * POST to a provider; errors carry whether a retry can help (429, 5xx)
+ */
+function fetchLLM(url, options) {
+  const response = UrlFetchApp.fetch(url, options);
+  const code = response.getResponseCode();
+  let result;
+  try {
+    result = JSON.parse(response.getContentText());
+  } catch (e) {
+    result = {};
+  }
 
-  if (response.getResponseCode() !== 200) {
-    throw new Error(`OpenAI API error: ${result.error?.message || 'Unknown error'}`);
+  if (code !== 200) {
+    const error = new Error(`API error ${code}: ${result.error?.message || 'Unknown error'}`);
+    error.retryable = code === 429 || code >= 500;
+    throw error;
   }
 
-  return result.choices[0].message.content;
+  return result;
 }
 
 // ============================================
@@ -224,18 +328,11 @@ function callOpenAI(messages, temperature = CONFIG.TEMPERATURE, maxTokens = CONF
 // ============================================
 
 /**
- * Interpret medical text using OpenAI
+ * Interpret medical text with the configured LLM
  */
 function interpretMedicalText(text, documentType) {
-  const systemPrompt = getSystemPrompt(documentType);
-  const userPrompt = `Please interpret this medical ${documentType} report:\n\n${text}`;
-
-  const messages = [
-    { role: 'system', content: systemPrompt },
-    { role: 'user', content: userPrompt }
-  ];
-
-  const response = callOpenAI(messages);
+  const prompt = buildPrompt('interpretation', documentType, { reportType: documentType, reportText: text });
+  const response = callLLM(prompt.messages, prompt.temperature, prompt.maxTokens);
 
   // Parse JSON response
   try {
@@ -255,31 +352,8 @@ function interpretMedicalText(text, documentType) {
  * Generate clinical pearls
  */
 function generateClinicalPearls(interpretation, documentType) {
-  const prompt = `Based on this medical interpretation, generate 3-5 high-yield clinical teaching pearls:
-
-${JSON.stringify(interpretation, null, 2)}
-
-Return as JSON array with format:
-{
-  "pearls": [
-    {
-      "pearl": "Teaching point text",
-      "relevance": "Why this is important",
-      "difficulty": "basic|intermediate|advanced",
-      "category": "diagnosis|management|physiology|clinical_reasoning"
-    }
-  ]
-}`;
-
-  const messages = [
-    {
-      role: 'system',
-      content: 'You are a medical educator creating clinical teaching pearls for ward rounds.'
-    },
-    { role: 'user', content: prompt }
-  ];
-
-  const response = callOpenAI(messages, 0.8);
+  const prompt = buildPrompt('pearls', documentType, { reportType: documentType, interpretation: interpretation });
+  const response = callLLM(prompt.messages, prompt.temperature, prompt.maxTokens);
 
   try {
     return JSON.parse(response);
@@ -301,31 +375,8 @@ Return as JSON array with format:
  * Generate teaching questions
  */
 function generateTeachingQuestions(interpretation, documentType) {
-  const prompt = `Based on this medical case, generate 3-5 potential attending questions that might be asked on ward rounds:
-
-${JSON.stringify(interpretation, null, 2)}
-
-Return as JSON array with format:
-{
-  "questions": [
-    {
-      "question": "Question text",
-      "answer": "Detailed answer",
-      "teachingPoint": "Key learning point",
-      "difficulty": "basic|intermediate|advanced"
-    }
-  ]
-}`;
-
-  const messages = [
-    {
-      role: 'system',
-      content: 'You are an attending physician asking teaching questions on ward rounds.'
-    },
-    { role: 'user', content: prompt }
-  ];
-
-  const response = callOpenAI(messages, 0.7);
+  const prompt = buildPrompt('questions', documentType, { reportType: documentType, interpretation: interpretation });
+  const response = callLLM(prompt.messages, prompt.temperature, prompt.maxTokens);
 
   try {
     return JSON.parse(response);
@@ -369,44 +420,18 @@ function generateOneLiner(interpretation) {
 }
 
 // ============================================
-// SYSTEM PROMPTS
+// PROMPTS
 // ============================================
 
 /**
- * Get system prompt based on document type
+ * Prompt template ids (name@version) used for a document type, stored with the report
  */
-function getSystemPrompt(documentType) {
-  const basePrompt = `You are an expert medical AI assistant helping medical students and residents interpret ${documentType} reports.
-
-Your responses must be in valid JSON format with this structure:
-{
-  "summary": "Brief 2-3 sentence summary",
-  "findings": [
-    {
-      "finding": "Specific finding",
-      "status": "normal|abnormal|critical",
-      "significance": "Clinical significance"
-    }
-  ],
-  "criticalAlerts": ["Any critical findings that need immediate attention"],
-  "differentialConsiderations": ["Possible diagnoses to consider"],
-  "recommendations": ["Next steps in management"]
-}
-
-Focus on:
-- Clear, concise language
-- Clinical relevance
-- Actionable recommendations
-- Highlight critical/abnormal findings`;
-
-  const typeSpecific = {
-    'lab': '\n\nFor lab results, focus on:\n- Compare values to normal ranges\n- Identify trends\n- Clinical correlation\n- Urgent findings',
-    'imaging': '\n\nFor imaging reports, focus on:\n- Key anatomical findings\n- Comparison to prior studies\n- Clinical correlation\n- Need for follow-up',
-    'note': '\n\nFor clinical notes, focus on:\n- Patient presentation\n- Key history and physical findings\n- Assessment and plan\n- Follow-up needs',
-    'ecg': '\n\nFor ECG reports, focus on:\n- Rate and rhythm\n- Axis and intervals\n- Ischemic changes\n- Urgent findings'
+function getPromptVersions(documentType) {
+  return {
+    interpretation: getPromptTemplate('interpretation', documentType).id,
+    pearls: getPromptTemplate('pearls', documentType).id,
+    questions: getPromptTemplate('questions', documentType).id
   };
-
-  return basePrompt + (typeSpecific[documentType] || '');
 }
 
 // ============================================
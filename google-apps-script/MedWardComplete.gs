@@ -4,7 +4,7 @@
  *
  * Setup:
  * 1. Create new Google Apps Script project
- * 2. Copy this entire file
+ * 2. Copy this entire file, and Prompts.gs (generated from lib/ai/prompts by npm run prompts:gs)
  * 3. Set Script Properties:
  *    - OPENAI_API_KEY: Your OpenAI API key
  * 4. Deploy as Web App:
@@ -211,7 +211,8 @@ function handleInterpret(data) {
         metadata: {
           processedAt: new Date().toISOString(),
           documentType: documentType,
-          textLength: text.length
+          textLength: text.length,
+          promptVersions: getPromptVersions(documentType)
         }
       }))
       .setMimeType(ContentService.MimeType.JSON);
@@ -280,15 +281,8 @@ function callOpenAI(messages, temperature, maxTokens) {
  * Interpret medical text using OpenAI
  */
 function interpretMedicalText(text, documentType) {
-  const systemPrompt = getSystemPrompt(documentType);
-  const userPrompt = 'Please interpret this medical ' + documentType + ' report:\n\n' + text;
-
-  const messages = [
-    { role: 'system', content: systemPrompt },
-    { role: 'user', content: userPrompt }
-  ];
-
-  const response = callOpenAI(messages, 0.3, 2000);
+  const prompt = buildPrompt('interpretation', documentType, { reportType: documentType, reportText: text });
+  const response = callOpenAI(prompt.messages, prompt.temperature, prompt.maxTokens);
 
   // Try to parse as JSON
   try {
@@ -309,29 +303,8 @@ function interpretMedicalText(text, documentType) {
  * Generate clinical pearls
  */
 function generateClinicalPearls(interpretation, documentType) {
-  const prompt = 'Based on this medical interpretation, generate 3-5 high-yield clinical teaching pearls:\n\n' +
-    JSON.stringify(interpretation, null, 2) +
-    '\n\nReturn as JSON array with format:\n' +
-    '{\n' +
-    '  "pearls": [\n' +
-    '    {\n' +
-    '      "pearl": "Teaching point text",\n' +
-    '      "relevance": "Why this is important",\n' +
-    '      "difficulty": "basic|intermediate|advanced",\n' +
-    '      "category": "diagnosis|management|physiology|clinical_reasoning"\n' +
-    '    }\n' +
-    '  ]\n' +
-    '}';
-
-  const messages = [
-    {
-      role: 'system',
-      content: 'You are a medical educator creating clinical teaching pearls for ward rounds. Return valid JSON only.'
-    },
-    { role: 'user', content: prompt }
-  ];
-
-  const response = callOpenAI(messages, 0.8, 1500);
+  const prompt = buildPrompt('pearls', documentType, { reportType: documentType, interpretation: interpretation });
+  const response = callOpenAI(prompt.messages, prompt.temperature, prompt.maxTokens);
 
   try {
     return JSON.parse(response);
@@ -354,29 +327,8 @@ function generateClinicalPearls(interpretation, documentType) {
  * Generate teaching questions
  */
 function generateTeachingQuestions(interpretation, documentType) {
-  const prompt = 'Based on this medical case, generate 3-5 potential attending questions that might be asked on ward rounds:\n\n' +
-    JSON.stringify(interpretation, null, 2) +
-    '\n\nReturn as JSON array with format:\n' +
-    '{\n' +
-    '  "questions": [\n' +
-    '    {\n' +
-    '      "question": "Question text",\n' +
-    '      "answer": "Detailed answer",\n' +
-    '      "teachingPoint": "Key learning point",\n' +
-    '      "difficulty": "basic|intermediate|advanced"\n' +
-    '    }\n' +
-    '  ]\n' +
-    '}';
-
-  const messages = [
-    {
-      role: 'system',
-      content: 'You are an attending physician asking teaching questions on ward rounds. Return valid JSON only.'
-    },
-    { role: 'user', content: prompt }
-  ];
-
-  const response = callOpenAI(messages, 0.7, 1500);
+  const prompt = buildPrompt('questions', documentType, { reportType: documentType, interpretation: interpretation });
+  const response = callOpenAI(prompt.messages, prompt.temperature, prompt.maxTokens);
 
   try {
     return JSON.parse(response);
@@ -421,43 +373,18 @@ function generateOneLiner(interpretation) {
 }
 
 // ============================================
-// SYSTEM PROMPTS
+// PROMPTS
 // ============================================
 
 /**
- * Get system prompt based on document type
+ * Prompt template ids (name@version) used for a document type, stored with the report
  */
-function getSystemPrompt(documentType) {
-  const basePrompt = 'You are an expert medical AI assistant helping medical students and residents interpret ' + documentType + ' reports.\n\n' +
-    'Your responses must be in valid JSON format with this structure:\n' +
-    '{\n' +
-    '  "summary": "Brief 2-3 sentence summary",\n' +
-    '  "findings": [\n' +
-    '    {\n' +
-    '      "finding": "Specific finding",\n' +
-    '      "status": "normal|abnormal|critical",\n' +
-    '      "significance": "Clinical significance"\n' +
-    '    }\n' +
-    '  ],\n' +
-    '  "criticalAlerts": ["Any critical findings that need immediate attention"],\n' +
-    '  "differentialConsiderations": ["Possible diagnoses to consider"],\n' +
-    '  "recommendations": ["Next steps in management"]\n' +
-    '}\n\n' +
-    'Focus on:\n' +
-    '- Clear, concise language\n' +
-    '- Clinical relevance\n' +
-    '- Actionable recommendations\n' +
-    '- Highlight critical/abnormal findings';
-
-  const typeSpecific = {
-    'lab': '\n\nFor lab results, focus on:\n- Compare values to normal ranges\n- Identify trends\n- Clinical correlation\n- Urgent findings',
-    'imaging': '\n\nFor imaging reports, focus on:\n- Key anatomical findings\n- Comparison to prior studies\n- Clinical correlation\n- Need for follow-up',
-    'note': '\n\nFor clinical notes, focus on:\n- Patient presentation\n- Key history and physical findings\n- Assessment and plan\n- Follow-up needs',
-    'ecg': '\n\nFor ECG reports, focus on:\n- Rate and rhythm\n- Axis and intervals\n- Ischemic changes\n- Urgent findings',
-    'general': '\n\nProvide comprehensive medical interpretation with focus on clinical significance and next steps.'
+function getPromptVersions(documentType) {
+  return {
+    interpretation: getPromptTemplate('interpretation', documentType).id,
+    pearls: getPromptTemplate('pearls', documentType).id,
+    questions: getPromptTemplate('questions', documentType).id
   };
-
-  return basePrompt + (typeSpecific[documentType] || typeSpecific['general']);
 }
 
 // ============================================
@@ -0,0 +1,126 @@
+/**
+ * MedWard prompts - GENERATED by scripts/build-gs-prompts.js from lib/ai/prompts.
+ * Do not edit: change lib/ai/prompts/templates.js and run npm run prompts:gs.
+ * Live version of every prompt template, with the registry's renderer.
+ */
+
+const PROMPT_TEMPLATES = {
+  "interpretation": {
+    "id": "interpretation@1",
+    "system": "You are an expert medical AI assistant specializing in interpreting medical reports for ward presentations.\n\nYour role is to:\n1. Analyze medical reports accurately and comprehensively\n2. Identify critical findings and abnormalities\n3. Provide clinical context and significance\n4. Suggest differential diagnoses when appropriate\n5. Highlight teaching points for medical education\n\nAlways respond in JSON format with the structure:\n{\n  \"summary\": \"Brief 2-3 sentence summary\",\n  \"findings\": [{\"finding\": \"...\", \"value\": \"...\", \"reference\": \"...\", \"status\": \"normal|abnormal|critical\", \"significance\": \"...\"}],\n  \"criticalAlerts\": [\"...\"],\n  \"differentialConsiderations\": [\"...\"],\n  \"recommendedActions\": [\"...\"],\n  \"additionalNotes\": \"...\"\n}\n\nBe accurate, concise, and clinically relevant.",
+    "user": "Report Type: {{reportType}}\n{{patientContext}}\n\nReport Text:\n{{reportText}}\n\nPlease provide a comprehensive interpretation of this {{reportType}} report.",
+    "temperature": 0.3,
+    "maxTokens": 2000
+  },
+  "interpretation.ecg": {
+    "id": "interpretation.ecg@1",
+    "system": "You are an expert medical AI assistant specializing in interpreting medical reports for ward presentations.\n\nYour role is to:\n1. Analyze medical reports accurately and comprehensively\n2. Identify critical findings and abnormalities\n3. Provide clinical context and significance\n4. Suggest differential diagnoses when appropriate\n5. Highlight teaching points for medical education\n\nAlways respond in JSON format with the structure:\n{\n  \"summary\": \"Brief 2-3 sentence summary\",\n  \"findings\": [{\"finding\": \"...\", \"value\": \"...\", \"reference\": \"...\", \"status\": \"normal|abnormal|critical\", \"significance\": \"...\"}],\n  \"criticalAlerts\": [\"...\"],\n  \"differentialConsiderations\": [\"...\"],\n  \"recommendedActions\": [\"...\"],\n  \"additionalNotes\": \"...\"\n}\n\nBe accurate, concise, and clinically relevant.\n\nFor ECG reports, focus on:\n- Rate and rhythm\n- Axis and intervals\n- Ischemic changes\n- Urgent findings",
+    "user": "Report Type: {{reportType}}\n{{patientContext}}\n\nReport Text:\n{{reportText}}\n\nPlease provide a comprehensive interpretation of this {{reportType}} report.",
+    "temperature": 0.3,
+    "maxTokens": 2000
+  },
+  "interpretation.imaging": {
+    "id": "interpretation.imaging@1",
+    "system": "You are an expert medical AI assistant specializing in interpreting medical reports for ward presentations.\n\nYour role is to:\n1. Analyze medical reports accurately and comprehensively\n2. Identify critical findings and abnormalities\n3. Provide clinical context and significance\n4. Suggest differential diagnoses when appropriate\n5. Highlight teaching points for medical education\n\nAlways respond in JSON format with the structure:\n{\n  \"summary\": \"Brief 2-3 sentence summary\",\n  \"findings\": [{\"finding\": \"...\", \"value\": \"...\", \"reference\": \"...\", \"status\": \"normal|abnormal|critical\", \"significance\": \"...\"}],\n  \"criticalAlerts\": [\"...\"],\n  \"differentialConsiderations\": [\"...\"],\n  \"recommendedActions\": [\"...\"],\n  \"additionalNotes\": \"...\"\n}\n\nBe accurate, concise, and clinically relevant.\n\nFor imaging reports, focus on:\n- Key anatomical findings\n- Comparison to prior studies\n- Clinical correlation\n- Need for follow-up",
+    "user": "Report Type: {{reportType}}\n{{patientContext}}\n\nReport Text:\n{{reportText}}\n\nPlease provide a comprehensive interpretation of this {{reportType}} report.",
+    "temperature": 0.3,
+    "maxTokens": 2000
+  },
+  "interpretation.lab": {
+    "id": "interpretation.lab@1",
+    "system": "You are an expert medical AI assistant specializing in interpreting medical reports for ward presentations.\n\nYour role is to:\n1. Analyze medical reports accurately and comprehensively\n2. Identify critical findings and abnormalities\n3. Provide clinical context and significance\n4. Suggest differential diagnoses when appropriate\n5. Highlight teaching points for medical education\n\nAlways respond in JSON format with the structure:\n{\n  \"summary\": \"Brief 2-3 sentence summary\",\n  \"findings\": [{\"finding\": \"...\", \"value\": \"...\", \"reference\": \"...\", \"status\": \"normal|abnormal|critical\", \"significance\": \"...\"}],\n  \"criticalAlerts\": [\"...\"],\n  \"differentialConsiderations\": [\"...\"],\n  \"recommendedActions\": [\"...\"],\n  \"additionalNotes\": \"...\"\n}\n\nBe accurate, concise, and clinically relevant.\n\nFor lab results, focus on:\n- Compare values to normal ranges\n- Identify trends\n- Clinical correlation\n- Urgent findings",
+    "user": "Report Type: {{reportType}}\n{{patientContext}}\n\nReport Text:\n{{reportText}}\n\nPlease provide a comprehensive interpretation of this {{reportType}} report.",
+    "temperature": 0.3,
+    "maxTokens": 2000
+  },
+  "interpretation.note": {
+    "id": "interpretation.note@1",
+    "system": "You are an expert medical AI assistant specializing in interpreting medical reports for ward presentations.\n\nYour role is to:\n1. Analyze medical reports accurately and comprehensively\n2. Identify critical findings and abnormalities\n3. Provide clinical context and significance\n4. Suggest differential diagnoses when appropriate\n5. Highlight teaching points for medical education\n\nAlways respond in JSON format with the structure:\n{\n  \"summary\": \"Brief 2-3 sentence summary\",\n  \"findings\": [{\"finding\": \"...\", \"value\": \"...\", \"reference\": \"...\", \"status\": \"normal|abnormal|critical\", \"significance\": \"...\"}],\n  \"criticalAlerts\": [\"...\"],\n  \"differentialConsiderations\": [\"...\"],\n  \"recommendedActions\": [\"...\"],\n  \"additionalNotes\": \"...\"\n}\n\nBe accurate, concise, and clinically relevant.\n\nFor clinical notes, focus on:\n- Patient presentation\n- Key history and physical findings\n- Assessment and plan\n- Follow-up needs",
+    "user": "Report Type: {{reportType}}\n{{patientContext}}\n\nReport Text:\n{{reportText}}\n\nPlease provide a comprehensive interpretation of this {{reportType}} report.",
+    "temperature": 0.3,
+    "maxTokens": 2000
+  },
+  "pearls": {
+    "id": "pearls@1",
+    "system": "You are a medical educator creating teaching points for ward rounds.\n\nGenerate 3-5 high-yield clinical pearls based on the findings. Each pearl should be:\n- Clinically relevant and actionable\n- Appropriate for medical students and residents\n- Evidence-based when possible\n- Memorable and practical\n\nRespond in JSON format:\n{\n  \"pearls\": [\n    {\n      \"pearl\": \"The teaching point\",\n      \"relevance\": \"Why this matters clinically\",\n      \"difficulty\": \"basic|intermediate|advanced\",\n      \"category\": \"diagnosis|management|physiology|clinical_reasoning\"\n    }\n  ]\n}",
+    "user": "Report Type: {{reportType}}\n\nSummary: {{summary}}\n\nKey Findings:\n{{keyFindings}}\n\nGenerate clinical pearls for teaching rounds.",
+    "temperature": 0.7,
+    "maxTokens": 1500
+  },
+  "questions": {
+    "id": "questions@1",
+    "system": "You are an attending physician preparing questions for teaching rounds.\n\nGenerate 3-5 questions that an attending might ask, with detailed answers and teaching points.\n\nQuestions should:\n- Test clinical reasoning and knowledge application\n- Be appropriate difficulty for residents\n- Include both factual recall and critical thinking\n- Relate directly to the case findings\n\nRespond in JSON format:\n{\n  \"questions\": [\n    {\n      \"question\": \"The question\",\n      \"answer\": \"Detailed answer\",\n      \"teachingPoint\": \"Key educational takeaway\",\n      \"difficulty\": \"basic|intermediate|advanced\",\n      \"category\": \"diagnosis|management|mechanism|differential\"\n    }\n  ]\n}",
+    "user": "Report Type: {{reportType}}\n\nSummary: {{summary}}\n\nCritical Findings:\n{{criticalFindings}}\n\nKey Abnormalities:\n{{keyAbnormalities}}\n\nGenerate attending-level questions for rounds.",
+    "temperature": 0.8,
+    "maxTokens": 2000
+  }
+};
+
+/**
+ * Live template for a task and document type (interpretation.ecg over interpretation)
+ */
+function getPromptTemplate(task, documentType) {
+  return PROMPT_TEMPLATES[task + '.' + documentType] || PROMPT_TEMPLATES[task];
+}
+
+/**
+ * Rendered messages for a task: { id, messages, temperature, maxTokens }
+ */
+function buildPrompt(task, documentType, input) {
+  const template = getPromptTemplate(task, documentType);
+  const variables = promptVariables(task, input);
+  return {
+    id: template.id,
+    messages: [
+      { role: 'system', content: renderTemplate(template.system, variables) },
+      { role: 'user', content: renderTemplate(template.user, variables) }
+    ],
+    temperature: template.temperature,
+    maxTokens: template.maxTokens
+  };
+}
+
+function renderTemplate(text, variables) {
+  const values = variables || {};
+  return String(text)
+    .replace(/\{\{(\w+)\}\}/g, function (match, key) {
+      return values[key] === undefined || values[key] === null ? '' : String(values[key]);
+    })
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function promptVariables(task, input) {
+  const interpretation = input.interpretation || {};
+  const findings = interpretation.findings || [];
+
+  if (task === 'pearls') {
+    return {
+      reportType: input.reportType,
+      summary: interpretation.summary || '',
+      keyFindings: findings.slice(0, 5).map(function (f) { return '- ' + f.finding + ': ' + f.significance; }).join('\n')
+    };
+  }
+
+  if (task === 'questions') {
+    return {
+      reportType: input.reportType,
+      summary: interpretation.summary || '',
+      criticalFindings: (interpretation.criticalAlerts || []).join('\n') || 'None',
+      keyAbnormalities: findings
+        .filter(function (f) { return f.status !== 'normal'; })
+        .slice(0, 5)
+        .map(function (f) { return '- ' + f.finding; })
+        .join('\n')
+    };
+  }
+
+  return {
+    reportType: input.reportType,
+    reportText: input.reportText,
+    patientContext: [
+      input.patientAge ? 'Patient Age: ' + input.patientAge : '',
+      input.relevantHistory ? 'Relevant History: ' + input.relevantHistory : ''
+    ].filter(Boolean).join('\n')
+  };
+}
@@ -0,0 +1,327 @@
+/**
+ * Grounding verifier
+ * Checks what an AI interpretation says against the report it interprets.
+ * Numbers, analytes and laterality (left/right) are pulled out of each finding
+ * and critical alert and looked up in the OCR text and parsed lab results:
+ *
+ *   verified      every claim is found in the source
+ *   unverified    some claim cannot be found (e.g. a number with no analyte)
+ *   contradicted  the source says otherwise ("potassium 6.2" when the report has 5.2)
+ *
+ * Contradicted alerts, and alerts about an analyte whose finding was
+ * contradicted, are taken out of criticalAlerts and kept in removedAlerts.
+ * Analytes are matched by any lab dictionary alias or named condition, so a
+ * contradicted "Hyperkalaemia K 6.2" also removes "Potassium elevated at 5.2".
+ */
+
+import { ANALYTES, parseLabLine, normalizeLabResult, normalizeUnit, resolveAnalyte } from '../labs/lab-dictionary.js';
+
+export const GROUNDING_STATUS = {
+  VERIFIED: 'verified',
+  UNVERIFIED: 'unverified',
+  CONTRADICTED: 'contradicted'
+};
+
+// Relative difference still read as the same value (138.4 reported as 138)
+const VALUE_TOLERANCE = 0.01;
+
+// Conditions named after an analyte, so "severe hyperkalaemia" is a potassium claim
+const CONDITION_ANALYTES = [
+  [/kal(a)?emi/, 'potassium'],
+  [/natr(a)?emi/, 'sodium'],
+  [/calc(a)?emi/, 'calcium'],
+  [/magnes(a)?emi/, 'magnesium'],
+  [/phosphat(a)?emi/, 'phosphate'],
+  [/glyc(a)?emi/, 'glucose'],
+  [/bilirubin(a)?emi/, 'bilirubin'],
+  [/an(a)?emi/, 'hemoglobin'],
+  [/thrombocyt/, 'platelets'],
+  [/leuko(cyt|pen)|leucocyt/, 'wbc'],
+  [/acute kidney injury|\baki\b/, 'creatinine']
+];
+
+const SIDES = ['left', 'right', 'bilateral'];
+const SIDE_PATTERN = /\b(left|right|bilateral(?:ly)?)\b/g;
+const RANGE_PATTERN = /-?\d+(?:\.\d+)?\s*(?:-|–|to)\s*\d+(?:\.\d+)?/g;
+const THRESHOLD_PATTERN = /[<>≤≥]=?\s*\d+(?:\.\d+)?/g;
+// Not part of a word, code or power ("HbA1c", "CO2", "10^9/L")
+const NUMBER_PATTERN = /(?<![A-Za-z\d.^])\d+(?:\.\d+)?(?![\d^]|\.\d)/g;
+const STOPWORDS = new Set(['with', 'without', 'there', 'which', 'noted', 'within', 'normal', 'limits', 'signs', 'seen']);
+
+/**
+ * Index a report's source for claim lookups
+ * @param {Object} source
+ * @param {string} source.text - OCR text
+ * @param {Object} source.structuredData - Parsed data ({ results } for labs)
+ * @param {Object} source.patient - Patient context for reference ranges
+ * @returns {Object} - Source index for checkClaims
+ */
+export function buildSourceIndex({ text = '', structuredData = null, patient = null } = {}) {
+  const normalized = normalizeText(text);
+  const values = new Map();
+
+  const addResult = (result) => {
+    const normalizedResult = result.analyte === undefined ? normalizeLabResult(result, patient) : result;
+    if (!normalizedResult.analyte) return;
+
+    const list = values.get(normalizedResult.analyte) || [];
+    for (const value of [normalizedResult.value, normalizedResult.originalValue, result.value]) {
+      const number = parseFloat(value);
+      if (!Number.isNaN(number) && !list.includes(number)) list.push(number);
+    }
+    values.set(normalizedResult.analyte, list);
+  };
+
+  (structuredData?.results || []).forEach(addResult);
+  String(text || '').split('\n').flatMap(line => parseLabLine(line)).forEach(addResult);
+
+  const mentioned = new Set(values.keys());
+  const padded = ` ${normalized} `;
+  for (const [key, def] of Object.entries(ANALYTES)) {
+    if (def.aliases.some(alias => padded.includes(` ${normalizeText(alias)} `))) mentioned.add(key);
+  }
+  conditionAnalytes(String(text || '').toLowerCase()).forEach(key => mentioned.add(key));
+
+  return {
+    sentences: String(text || '').toLowerCase().split(/[.;\n]+/).map(sentence => sentence.trim()).filter(Boolean),
+    numbers: numbersIn(text),
+    values,
+    mentioned
+  };
+}
+
+/**
+ * Pull checkable claims out of a statement
+ * A number is paired with an analyte named between it and the previous number,
+ * or with the last analyte named when it carries one of that analyte's units
+ * ("1.4 then 2.1 mg/dL"). Other numbers - doses, times, "12-lead" - have no
+ * analyte and are only looked for in the text, so they can't contradict it.
+ * @param {string} statement - Finding or alert text
+ * @returns {{values: Array<{analyte: string|null, value: number, canonical: number, text: string}>, analytes: Array<string>, sides: Array<string>}} - canonical is the value in the analyte's canonical unit when a unit is given
+ */
+export function extractClaims(statement) {
+  const text = String(statement || '');
+  const lower = text.toLowerCase();
+  const cleaned = text.replace(RANGE_PATTERN, ' ').replace(THRESHOLD_PATTERN, ' ');
+
+  const values = [];
+  let previous = null;
+  let last = 0;
+
+  for (const match of cleaned.matchAll(NUMBER_PATTERN)) {
+    const before = cleaned.slice(last, match.index);
+    const named = resolveAnalyte(before) || conditionAnalytes(before.toLowerCase())[0] || null;
+    last = match.index + match[0].length;
+
+    const value = parseFloat(match[0]);
+    const unit = cleaned.slice(last).match(/^\s*([^\s,;()]+)/)?.[1];
+    const carried = !named && previous && unit && ANALYTES[previous].units[normalizeUnit(unit)] !== undefined
+      ? previous
+      : null;
+    const analyte = named || carried;
+    previous = named || previous;
+
+    const factor = analyte && unit ? ANALYTES[analyte].units[normalizeUnit(unit)] : undefined;
+    values.push({ analyte, value, canonical: factor ? value * factor : value, text: match[0] });
+  }
+
+  const analytes = new Set(values.map(claim => claim.analyte).filter(Boolean));
+  const named = resolveAnalyte(text);
+  if (named) analytes.add(named);
+  conditionAnalytes(lower).forEach(key => analytes.add(key));
+
+  return { values, analytes: [...analytes], sides: sidesIn(lower) };
+}
+
+/**
+ * Check a statement against the source
+ * @param {string} statement - Finding or alert text
+ * @param {Object} index - From buildSourceIndex
+ * @returns {{status: string, claims: Array<Object>, analytes: Array<string>, note: string}}
+ */
+export function checkClaims(statement, index) {
+  const { values, analytes, sides } = extractClaims(statement);
+  const claims = [];
+
+  for (const claim of values) {
+    const sourceValues = claim.analyte ? index.values.get(claim.analyte) : null;
+
+    if (sourceValues?.length) {
+      const found = sourceValues.some(value => sameValue(value, claim.value) || sameValue(value, claim.canonical));
+      claims.push({
+        type: 'value',
+        analyte: claim.analyte,
+        claimed: claim.text,
+        source: sourceValues,
+        status: found ? GROUNDING_STATUS.VERIFIED : GROUNDING_STATUS.CONTRADICTED
+      });
+    } else {
+      claims.push({
+        type: 'number',
+        analyte: claim.analyte,
+        claimed: claim.text,
+        status: index.numbers.some(value => sameValue(value, claim.value))
+          ? GROUNDING_STATUS.VERIFIED
+          : GROUNDING_STATUS.UNVERIFIED
+      });
+    }
+  }
+
+  for (const analyte of analytes) {
+    if (values.some(claim => claim.analyte === analyte)) continue;
+    claims.push({
+      type: 'analyte',
+      analyte,
+      claimed: ANALYTES[analyte].name,
+      status: index.mentioned.has(analyte) ? GROUNDING_STATUS.VERIFIED : GROUNDING_STATUS.UNVERIFIED
+    });
+  }
+
+  if (sides.length > 0) {
+    claims.push(checkLaterality(statement, sides, index));
+  }
+
+  return {
+    status: combineStatus(claims),
+    claims,
+    analytes,
+    note: describe(claims)
+  };
+}
+
+/**
+ * Tag every finding and critical alert of an interpretation
+ * @param {Object} interpretation - Validated interpretation (see schemas.js)
+ * @param {Object} source - { text, structuredData, patient }
+ * @returns {Object} - Interpretation with finding.grounding, filtered criticalAlerts, removedAlerts and a grounding summary
+ */
+export function groundInterpretation(interpretation, source = {}) {
+  if (!interpretation) return interpretation;
+
+  const index = buildSourceIndex(source);
+
+  const findings = (interpretation.findings || []).map(finding => {
+    const { status, claims, analytes, note } = checkClaims(
+      [finding.finding, finding.value].filter(Boolean).join(' '),
+      index
+    );
+    return { ...finding, grounding: { status, claims, analytes, note } };
+  });
+
+  const contradictedAnalytes = new Set(
+    findings
+      .filter(finding => finding.grounding.status === GROUNDING_STATUS.CONTRADICTED)
+      .flatMap(finding => finding.grounding.analytes)
+  );
+
+  // Earlier runs already moved some alerts aside; check them again against this source
+  const alerts = [
+    ...(interpretation.criticalAlerts || []),
+    ...(interpretation.removedAlerts || []).map(removed => removed.alert)
+  ];
+  const criticalAlerts = [];
+  const removedAlerts = [];
+
+  for (const alert of alerts) {
+    const check = checkClaims(alert, index);
+    const contradictedFinding = check.analytes.find(analyte => contradictedAnalytes.has(analyte));
+
+    if (check.status === GROUNDING_STATUS.CONTRADICTED) {
+      removedAlerts.push({ alert, reason: check.note });
+    } else if (contradictedFinding) {
+      removedAlerts.push({ alert, reason: `${ANALYTES[contradictedFinding].name} finding contradicted by the report` });
+    } else {
+      criticalAlerts.push(alert);
+    }
+  }
+
+  const count = status => findings.filter(finding => finding.grounding.status === status).length;
+
+  return {
+    ...interpretation,
+    findings,
+    criticalAlerts,
+    removedAlerts,
+    grounding: {
+      verified: count(GROUNDING_STATUS.VERIFIED),
+      unverified: count(GROUNDING_STATUS.UNVERIFIED),
+      contradicted: count(GROUNDING_STATUS.CONTRADICTED),
+      removedAlerts: removedAlerts.length,
+      checkedAt: new Date().toISOString()
+    }
+  };
+}
+
+function checkLaterality(statement, sides, index) {
+  // Judge the side by source sentences about the same thing, if there are any
+  const keywords = normalizeText(statement).split(' ')
+    .filter(word => word.length >= 5 && !SIDES.includes(word) && !STOPWORDS.has(word));
+  const related = index.sentences.filter(sentence => keywords.some(word => sentence.includes(word)));
+  const sourceSides = new Set((related.length > 0 ? related : index.sentences).flatMap(sidesIn));
+
+  const matches = side => side === 'bilateral'
+    ? sourceSides.has('bilateral') || (sourceSides.has('left') && sourceSides.has('right'))
+    : sourceSides.has(side) || sourceSides.has('bilateral');
+
+  let status = GROUNDING_STATUS.UNVERIFIED;
+  if (sourceSides.size > 0) {
+    status = sides.every(matches) ? GROUNDING_STATUS.VERIFIED : GROUNDING_STATUS.CONTRADICTED;
+  }
+
+  return { type: 'laterality', claimed: sides.join(', '), source: [...sourceSides], status };
+}
+
+function combineStatus(claims) {
+  if (claims.some(claim => claim.status === GROUNDING_STATUS.CONTRADICTED)) return GROUNDING_STATUS.CONTRADICTED;
+  if (claims.length > 0 && claims.every(claim => claim.status === GROUNDING_STATUS.VERIFIED)) return GROUNDING_STATUS.VERIFIED;
+  return GROUNDING_STATUS.UNVERIFIED;
+}
+
+function describe(claims) {
+  const contradicted = claims.filter(claim => claim.status === GROUNDING_STATUS.CONTRADICTED);
+  if (contradicted.length > 0) {
+    return contradicted.map(claim => claim.type === 'laterality'
+      ? `Report describes ${claim.source.join('/')} side, not ${claim.claimed}`
+      : `Report shows ${ANALYTES[claim.analyte].name} ${claim.source.join(' / ')}, not ${claim.claimed}`
+    ).join('; ');
+  }
+
+  const unverified = claims.filter(claim => claim.status === GROUNDING_STATUS.UNVERIFIED);
+  if (claims.length === 0) return 'Nothing in this statement could be checked against the report';
+  if (unverified.length > 0) return `Not found in the report: ${unverified.map(claim => claim.claimed).join(', ')}`;
+  return 'Matches the report';
+}
+
+function sameValue(a, b) {
+  return Math.abs(a - b) <= Math.max(Math.abs(a), Math.abs(b)) * VALUE_TOLERANCE;
+}
+
+// Reference ranges and thresholds are not results, so a claim cannot be verified by them
+function numbersIn(text) {
+  const cleaned = String(text || '').replace(RANGE_PATTERN, ' ').replace(THRESHOLD_PATTERN, ' ');
+  return [...cleaned.matchAll(NUMBER_PATTERN)].map(match => parseFloat(match[0]));
+}
+
+function sidesIn(text) {
+  return [...new Set([...String(text).matchAll(SIDE_PATTERN)].map(match => match[1].startsWith('bilateral') ? 'bilateral' : match[1]))];
+}
+
+function conditionAnalytes(text) {
+  return CONDITION_ANALYTES.filter(([pattern]) => pattern.test(text)).map(([, key]) => key);
+}
+
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9+\- ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+export default {
+  buildSourceIndex,
+  extractClaims,
+  checkClaims,
+  groundInterpretation,
+  GROUNDING_STATUS
+};
@@ -0,0 +1,181 @@
+/**
+ * LLM Client
+ * Runs completions and embeddings across a fallback chain of providers
+ * (OpenAI, Anthropic, an OpenAI-compatible local server). Each attempt has a
+ * timeout; rate limits, server errors and timeouts are retried with
+ * exponential backoff before the next provider is tried, while errors a retry
+ * cannot fix (bad key, bad request) move on straight away.
+ */
+
+import { providersFromEnv } from './providers/index.js';
+
+const DEFAULT_TIMEOUT_MS = 60000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_BACKOFF_MS = 500;
+
+/**
+ * Every provider in the chain failed
+ */
+export class LlmError extends Error {
+  /**
+   * @param {string} message
+   * @param {Array<{provider: string, attempt: number, status: number|null, message: string}>} failures - Every failed attempt in order
+   */
+  constructor(message, failures = []) {
+    super(message);
+    this.name = 'LlmError';
+    this.failures = failures;
+  }
+}
+
+/**
+ * A provider did not answer within its timeout
+ */
+export class LlmTimeoutError extends Error {
+  constructor(provider, timeout) {
+    super(`${provider} did not answer within ${timeout} ms`);
+    this.name = 'LlmTimeoutError';
+  }
+}
+
+/**
+ * Create an LLM client over a provider chain
+ * @param {Object} options
+ * @param {Array<Object>} options.providers - Completion providers in fallback order
+ * @param {Array<Object>} options.embeddingProviders - Embedding providers in fallback order
+ * @param {number} options.timeout - Per-attempt timeout in ms unless the provider sets its own
+ * @param {number} options.retries - Retries per provider after the first attempt unless the provider sets its own
+ * @param {number} options.backoff - First retry delay in ms, doubled on every retry
+ * @param {Function} options.sleep - (ms) => Promise, for tests
+ * @returns {{complete: Function, embed: Function, providers: Array<string>}}
+ */
+export function createLlmClient({
+  providers = [],
+  embeddingProviders = providers.filter(provider => provider.embed),
+  timeout = DEFAULT_TIMEOUT_MS,
+  retries = DEFAULT_RETRIES,
+  backoff = DEFAULT_BACKOFF_MS,
+  sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+} = {}) {
+  const runChain = async (chain, label, call) => {
+    if (chain.length === 0) {
+      throw new LlmError(`No LLM provider configured for ${label}`);
+    }
+
+    const failures = [];
+
+    for (const provider of chain) {
+      const attempts = (provider.retries ?? retries) + 1;
+      const limit = provider.timeout ?? timeout;
+
+      for (let attempt = 1; attempt <= attempts; attempt++) {
+        try {
+          const result = await withTimeout(signal => call(provider, signal), limit, provider.name);
+          if (failures.length > 0) {
+            console.log(`[LLM] ${label} answered by ${provider.name} after ${failures.length} failed attempt(s)`);
+          }
+          return { ...result, provider: provider.name };
+        } catch (error) {
+          failures.push({ provider: provider.name, attempt, status: error.status ?? null, message: error.message });
+          console.warn(`[LLM] ${provider.name} ${label} attempt ${attempt} failed: ${error.message}`);
+
+          if (!isRetryable(error) || attempt === attempts) break;
+          // Jitter keeps concurrent requests from retrying in lockstep
+          await sleep(backoff * 2 ** (attempt - 1) * (1 + Math.random() * 0.2));
+        }
+      }
+    }
+
+    const last = failures[failures.length - 1];
+    throw new LlmError(`All LLM providers failed for ${label} (last: ${last.provider}: ${last.message})`, failures);
+  };
+
+  return {
+    providers: providers.map(provider => provider.name),
+
+    /**
+     * Generate a completion
+     * @param {string} system - System instructions
+     * @param {string} prompt - User message
+     * @param {Object} options
+     * @param {string} options.task - Task for per-provider model selection (interpretation, pearls, questions)
+     * @param {number} options.temperature
+     * @param {number} options.maxTokens
+     * @param {string} options.responseFormat - 'json' for a JSON object
+     * @param {boolean} options.economy - Use each provider's economy model (over-budget users)
+     * @param {Function} options.onPartial - Streams the answer: called with the text so far on every
+     *   chunk; starts again from empty when a retry or the next provider takes over
+     * @returns {Promise<{content: string, usage: Object, model: string, finishReason: string, provider: string}>}
+     */
+    complete(system, prompt, options = {}) {
+      const { task = 'default', ...rest } = options;
+      return runChain(providers, task, (provider, signal) =>
+        provider.complete({ ...rest, system, prompt, task, signal })
+      );
+    },
+
+    /**
+     * Embed text
+     * @param {string} text
+     * @returns {Promise<{embedding: Array<number>, usage: Object, model: string, provider: string}>}
+     */
+    embed(text) {
+      return runChain(embeddingProviders, 'embedding', (provider, signal) => provider.embed(text, { signal }));
+    }
+  };
+}
+
+let defaultClient = null;
+
+/**
+ * The server's LLM client, configured from environment variables (see providers/index.js)
+ * @returns {Object}
+ */
+export function getLlmClient() {
+  if (!defaultClient) {
+    const { providers, embeddingProviders } = providersFromEnv();
+    defaultClient = createLlmClient({
+      providers,
+      embeddingProviders,
+      timeout: Number(process.env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+      retries: process.env.LLM_MAX_RETRIES ? Number(process.env.LLM_MAX_RETRIES) : DEFAULT_RETRIES
+    });
+    console.log(`[LLM] Provider chain: ${defaultClient.providers.join(' -> ') || 'none'}`);
+  }
+  return defaultClient;
+}
+
+/**
+ * Whether another attempt at the same provider can succeed
+ * Timeouts, dropped connections, 408, 409, 429 and 5xx are transient.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isRetryable(error) {
+  if (error instanceof LlmTimeoutError) return true;
+
+  const status = error?.status;
+  if (typeof status !== 'number') return true;
+
+  return status === 408 || status === 409 || status === 429 || status >= 500;
+}
+
+async function withTimeout(run, timeout, providerName) {
+  const controller = new AbortController();
+  let timer;
+
+  const timedOut = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new LlmTimeoutError(providerName, timeout));
+    }, timeout);
+  });
+
+  try {
+    return await Promise.race([run(controller.signal), timedOut]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export default getLlmClient;
@@ -5,6 +5,9 @@
  * UPDATED: Now uses Google Apps Script for AI interpretation with fallback to mock system
  */
 
+import { formatReferenceRange } from '../labs/lab-dictionary.js';
+import { parseEcgReport } from '../ecg/ecg-parser.js';
+
 /**
  * Interpret a medical document
  * @param {Object} ocrResult - Extracted text and metadata
@@ -12,7 +15,7 @@
  * @returns {Promise<Object>} Interpretation with findings, assessment, and recommendations
  */
 export async function interpretDocument(ocrResult, useGoogleScript = true) {
-  const { rawText, type, parsed } = ocrResult;
+  const { type } = ocrResult;
 
   console.log('[AI] Interpreting document...');
 
@@ -20,7 +23,7 @@ export async function interpretDocument(ocrResult, useGoogleScript = true) {
   if (useGoogleScript) {
     try {
       console.log('[AI] Attempting Google Apps Script interpretation...');
-      const { interpretWithGoogleScript } = await import('@/lib/services/googleScript');
+      const { interpretWithGoogleScript } = await import('../services/googleScript.js');
 
       const result = await interpretWithGoogleScript(ocrResult, type);
 
@@ -43,6 +46,17 @@ export async function interpretDocument(ocrResult, useGoogleScript = true) {
   // Simulate processing delay
   await delay(1500);
 
+  return mockInterpret(ocrResult);
+}
+
+/**
+ * Rule-based interpretation used when no AI backend answers
+ * @param {Object} ocrResult - { rawText, type, parsed } as returned by processDocument
+ * @returns {Object} Interpretation with source 'mock'
+ */
+export function mockInterpret(ocrResult) {
+  const { rawText, type, parsed } = ocrResult;
+
   const interpretation = (() => {
     switch (type) {
       case 'lab':
@@ -51,6 +65,8 @@ export async function interpretDocument(ocrResult, useGoogleScript = true) {
         return interpretImagingReport(parsed, rawText);
       case 'note':
         return interpretClinicalNote(parsed, rawText);
+      case 'ecg':
+        return interpretEcg(parsed, rawText);
       default:
         return interpretGeneral(rawText);
     }
@@ -63,101 +79,101 @@ export async function interpretDocument(ocrResult, useGoogleScript = true) {
   };
 }
 
+/**
+ * Clinical wording for common abnormal analytes, keyed by analyte and direction.
+ * `status` raises the floor: hyperkalemia and hypoglycemia are always treated as critical.
+ */
+const LAB_FINDINGS = {
+  hemoglobin: {
+    low: {
+      label: 'Low hemoglobin',
+      significance: 'Suggests anemia. Further workup needed to determine etiology.',
+      problem: 'anemia'
+    }
+  },
+  sodium: {
+    low: {
+      label: 'Hyponatremia',
+      significance: 'Low sodium. Check volume status and consider SIADH, CHF, or medications.',
+      problem: 'hyponatremia'
+    },
+    high: {
+      label: 'Hypernatremia',
+      significance: 'Elevated sodium. Assess hydration status and free water deficit.',
+      problem: 'hypernatremia'
+    }
+  },
+  potassium: {
+    low: {
+      label: 'Hypokalemia',
+      significance: 'Low potassium. Risk of arrhythmias. Check EKG and replete.',
+      problem: 'hypokalemia'
+    },
+    high: {
+      label: 'Hyperkalemia',
+      significance: 'Elevated potassium. Check EKG for peaked T waves. Consider treatment if >5.5.',
+      problem: 'hyperkalemia',
+      status: 'critical'
+    }
+  },
+  creatinine: {
+    high: {
+      label: 'Elevated creatinine',
+      significance: 'Possible acute or chronic kidney injury. Calculate GFR and trend values.',
+      problem: 'renal dysfunction'
+    }
+  },
+  glucose: {
+    low: {
+      label: 'Hypoglycemia',
+      significance: 'Low blood glucose. Treat urgently if symptomatic.',
+      status: 'critical'
+    },
+    high: {
+      label: 'Hyperglycemia',
+      significance: 'Elevated glucose. Consider diabetes workup or insulin adjustment.'
+    }
+  },
+  wbc: {
+    high: {
+      label: 'Leukocytosis',
+      significance: 'Elevated WBC. Consider infection, inflammation, or stress response.',
+      problem: 'leukocytosis'
+    }
+  }
+};
+
 /**
  * Interpret lab results
+ * Relies on the flags attached by the lab dictionary (see lib/labs/lab-dictionary.js)
  */
 function interpretLabResults(parsed, rawText) {
   const findings = [];
   const abnormals = [];
 
-  // Analyze each test result
   parsed.results?.forEach(result => {
-    const value = parseFloat(result.value);
-    const test = result.test.toLowerCase();
-
-    // Simple heuristics for common labs
-    if (test.includes('hemoglobin') || test.includes('hgb')) {
-      if (value < 12) {
-        findings.push({
-          finding: `Low hemoglobin (${result.value} ${result.unit})`,
-          significance: 'Suggests anemia. Further workup needed to determine etiology.',
-          status: 'abnormal',
-          category: 'Hematology'
-        });
-        abnormals.push('anemia');
-      }
-    } else if (test.includes('sodium') || test.includes('na')) {
-      if (value < 135) {
-        findings.push({
-          finding: `Hyponatremia (${result.value} ${result.unit})`,
-          significance: 'Low sodium. Check volume status and consider SIADH, CHF, or medications.',
-          status: 'abnormal',
-          category: 'Chemistry'
-        });
-        abnormals.push('hyponatremia');
-      } else if (value > 145) {
-        findings.push({
-          finding: `Hypernatremia (${result.value} ${result.unit})`,
-          significance: 'Elevated sodium. Assess hydration status and free water deficit.',
-          status: 'abnormal',
-          category: 'Chemistry'
-        });
-        abnormals.push('hypernatremia');
-      }
-    } else if (test.includes('potassium') || test.includes('k')) {
-      if (value < 3.5) {
-        findings.push({
-          finding: `Hypokalemia (${result.value} ${result.unit})`,
-          significance: 'Low potassium. Risk of arrhythmias. Check EKG and replete.',
-          status: 'abnormal',
-          category: 'Chemistry'
-        });
-        abnormals.push('hypokalemia');
-      } else if (value > 5.0) {
-        findings.push({
-          finding: `Hyperkalemia (${result.value} ${result.unit})`,
-          significance: 'Elevated potassium. Check EKG for peaked T waves. Consider treatment if >5.5.',
-          status: 'critical',
-          category: 'Chemistry'
-        });
-        abnormals.push('hyperkalemia');
-      }
-    } else if (test.includes('creatinine') || test.includes('cr')) {
-      if (value > 1.2) {
-        findings.push({
-          finding: `Elevated creatinine (${result.value} ${result.unit})`,
-          significance: 'Possible acute or chronic kidney injury. Calculate GFR and trend values.',
-          status: 'abnormal',
-          category: 'Renal'
-        });
-        abnormals.push('renal dysfunction');
-      }
-    } else if (test.includes('glucose')) {
-      if (value < 70) {
-        findings.push({
-          finding: `Hypoglycemia (${result.value} ${result.unit})`,
-          significance: 'Low blood glucose. Treat urgently if symptomatic.',
-          status: 'critical',
-          category: 'Endocrine'
-        });
-      } else if (value > 200) {
-        findings.push({
-          finding: `Hyperglycemia (${result.value} ${result.unit})`,
-          significance: 'Elevated glucose. Consider diabetes workup or insulin adjustment.',
-          status: 'abnormal',
-          category: 'Endocrine'
-        });
-      }
-    } else if (test.includes('wbc') || test.includes('white')) {
-      if (value > 11) {
-        findings.push({
-          finding: `Leukocytosis (${result.value} ${result.unit})`,
-          significance: 'Elevated WBC. Consider infection, inflammation, or stress response.',
-          status: 'abnormal',
-          category: 'Hematology'
-        });
-        abnormals.push('leukocytosis');
-      }
+    if (!result.analyte || !result.flag || result.flag === 'N') return;
+
+    const direction = result.flag.startsWith('L') ? 'low' : 'high';
+    const wording = LAB_FINDINGS[result.analyte]?.[direction];
+    const reference = formatReferenceRange(result.referenceRange, result.unit);
+    const label = wording?.label || `${direction === 'low' ? 'Low' : 'High'} ${result.name}`;
+
+    findings.push({
+      finding: `${label} (${result.value} ${result.unit})`.replace(' )', ')'),
+      value: `${result.value} ${result.unit}`.trim(),
+      reference,
+      significance: wording?.significance ||
+        `${result.name} is ${direction === 'low' ? 'below' : 'above'} the reference range${reference ? ` (${reference})` : ''}. Correlate clinically.`,
+      status: result.critical || wording?.status === 'critical' ? 'critical' : 'abnormal',
+      category: result.category,
+      analyte: result.analyte,
+      flag: result.flag,
+      ...(wording?.problem && { problem: wording.problem })
+    });
+
+    if (wording?.problem) {
+      abnormals.push(wording.problem);
     }
   });
 
@@ -174,6 +190,7 @@ function interpretLabResults(parsed, rawText) {
   return {
     summary: generateLabSummary(findings, abnormals),
     findings,
+    criticalAlerts: findings.filter(f => f.status === 'critical').map(f => f.finding),
     assessment: generateLabAssessment(abnormals),
     recommendations: generateLabRecommendations(abnormals),
     severity: findings.some(f => f.status === 'critical') ? 'critical' :
@@ -253,6 +270,52 @@ function interpretImagingReport(parsed, rawText) {
   };
 }
 
+/**
+ * Interpret ECG
+ * Findings come from the rule-based flags attached by the ECG parser (see lib/ecg/ecg-parser.js)
+ */
+function interpretEcg(parsed, rawText) {
+  const ecg = parsed?.flags ? parsed : parseEcgReport(rawText);
+
+  const findings = ecg.flags.map(flag => ({
+    finding: flag.value ? `${flag.label} (${flag.value})` : flag.label,
+    value: flag.value,
+    significance: flag.significance,
+    status: flag.severity,
+    category: 'Cardiac',
+    code: flag.code
+  }));
+
+  if (findings.length === 0) {
+    findings.push({
+      finding: 'ECG measurements within normal limits',
+      significance: 'No rate, conduction, axis or QTc abnormality detected in the printed measurements.',
+      status: 'normal',
+      category: 'Cardiac'
+    });
+  }
+
+  const measurements = [
+    ecg.rhythm,
+    ecg.rate && `rate ${ecg.rate} bpm`,
+    ecg.intervals?.qtc && `QTc ${ecg.intervals.qtc} ms${ecg.qtcSource === 'bazett' ? ' (Bazett)' : ''}`
+  ].filter(Boolean);
+
+  const abnormal = findings.filter(f => f.status === 'critical' || f.status === 'abnormal');
+
+  return {
+    summary: `ECG reviewed${measurements.length ? `: ${measurements.join(', ')}` : ''}. ${abnormal.length} abnormal finding(s).`,
+    findings,
+    criticalAlerts: findings.filter(f => f.status === 'critical').map(f => f.finding),
+    assessment: abnormal.length > 0
+      ? `ECG shows ${abnormal.map(f => f.finding.split(' (')[0].toLowerCase()).join(', ')}.`
+      : 'No acute ECG abnormality on the printed measurements.',
+    recommendations: generateEcgRecommendations(ecg.flags),
+    severity: findings.some(f => f.status === 'critical') ? 'critical' :
+              findings.some(f => f.status === 'abnormal') ? 'moderate' : 'low'
+  };
+}
+
 /**
  * Interpret clinical note
  */
@@ -331,6 +394,23 @@ function generateLabRecommendations(abnormals) {
   return recs;
 }
 
+function generateEcgRecommendations(flags) {
+  const codes = new Set(flags.map(flag => flag.code));
+  const recs = ['Compare with previous ECGs', 'Correlate with symptoms and electrolytes'];
+
+  if (codes.has('qtc_prolonged') || codes.has('qtc_critical')) {
+    recs.push('Review QT-prolonging medications; check K+, Mg2+ and Ca2+');
+  }
+  if (['av_block_second_2', 'av_block_complete', 'st_elevation', 'ventricular_tachycardia', 'ventricular_fibrillation'].some(code => codes.has(code))) {
+    recs.push('Urgent cardiology review and continuous cardiac monitoring');
+  }
+  if (codes.has('atrial_fibrillation') || codes.has('atrial_flutter')) {
+    recs.push('Assess rate control and anticoagulation');
+  }
+
+  return recs;
+}
+
 function generateImagingAssessment(findings) {
   const critical = findings.filter(f => f.status === 'critical');
   const abnormal = findings.filter(f => f.status === 'abnormal');
@@ -362,7 +442,7 @@ export async function generateClinicalPearls(interpretation, documentType = 'gen
   if (useGoogleScript) {
     try {
       console.log('[AI] Attempting Google Apps Script pearls generation...');
-      const { generatePearlsWithGoogleScript } = await import('@/lib/services/googleScript');
+      const { generatePearlsWithGoogleScript } = await import('../services/googleScript.js');
 
       const result = await generatePearlsWithGoogleScript(interpretation);
 
@@ -437,7 +517,7 @@ export async function generateTeachingQuestions(interpretation, documentType = '
   if (useGoogleScript) {
     try {
       console.log('[AI] Attempting Google Apps Script questions generation...');
-      const { generateQuestionsWithGoogleScript } = await import('@/lib/services/googleScript');
+      const { generateQuestionsWithGoogleScript } = await import('../services/googleScript.js');
 
       const result = await generateQuestionsWithGoogleScript(interpretation);
 
@@ -559,6 +639,7 @@ function generateQuestionFromFinding(finding) {
 
 export default {
   interpretDocument,
+  mockInterpret,
   generateClinicalPearls,
   generateTeachingQuestions
 };
@@ -1,220 +1,243 @@
-import OpenAI from 'openai';
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+/**
+ * AI client
+ * Report interpretation, clinical pearls and attending questions, with
+ * prompts from the versioned registry in prompts/. Completions and embeddings run on the provider fallback chain in
+ * llm-client.js (OpenAI, Anthropic, local model server), so no caller is tied
+ * to one vendor. Every call is recorded in the usage ledger (usage-ledger.js).
+ */
 
-const DEFAULT_MODEL = process.env.OPENAI_MODEL || 'gpt-4-turbo-preview';
+import { getLlmClient } from './llm-client.js';
+import { parseAiResponse, buildRepairPrompt } from './schemas.js';
+import { createPhiScrubber } from '../security/phi-scrubber.js';
+import { getUsageLedger, BudgetExceededError } from './usage-ledger.js';
+import { parsePartialJson } from './partial-json.js';
+import { getPromptRegistry, promptVariables, renderPrompt } from './prompts/index.js';
 
 /**
- * Generate a completion using OpenAI GPT-4
+ * Generate a completion on the first provider that answers
+ * The user message is de-identified before it is sent and the answer is
+ * re-identified locally (see lib/security/phi-scrubber.js). A user over their
+ * daily budget is answered by the economy model, or refused with a
+ * BudgetExceededError when AI_BUDGET_ACTION is block.
  * @param {string} systemPrompt - System instructions
  * @param {string} userPrompt - User message
  * @param {Object} options - Additional options
- * @returns {Promise<Object>} - Response with content and usage stats
+ * @param {string} options.task - interpretation, pearls or questions; picks each provider's model for the task
+ * @param {number} options.temperature
+ * @param {number} options.maxTokens
+ * @param {string} options.responseFormat - 'json' for a JSON object
+ * @param {Object} options.patient - Patient record whose name and MRN are scrubbed wherever they appear
+ * @param {string} options.userId - User the call is charged to
+ * @param {string} options.reportId - Report the call is for
+ * @param {Function} options.onPartial - Streams the answer: called with the re-identified text so far
+ * @returns {Promise<Object>} - Response with content, usage stats, model, provider, cost and redactions
  */
 export async function generateCompletion(systemPrompt, userPrompt, options = {}) {
   const {
-    model = DEFAULT_MODEL,
+    task = 'default',
     temperature = 0.7,
     maxTokens = 2000,
-    responseFormat = null
+    responseFormat = null,
+    patient = null,
+    userId = null,
+    reportId = null,
+    onPartial = null
   } = options;
 
+  const ledger = getUsageLedger();
+  const budget = ledger.checkBudget(userId);
+  if (budget.exceeded && budget.action === 'block') {
+    throw new BudgetExceededError(budget);
+  }
+
+  const phi = createPhiScrubber({ patient });
+  const started = Date.now();
+
   try {
-    const messages = [
-      { role: 'system', content: systemPrompt },
-      { role: 'user', content: userPrompt }
-    ];
-
-    const completionOptions = {
-      model,
-      messages,
+    const response = await getLlmClient().complete(systemPrompt, phi.scrub(userPrompt), {
+      task,
       temperature,
-      max_tokens: maxTokens
-    };
+      maxTokens,
+      responseFormat,
+      economy: budget.exceeded,
+      onPartial: onPartial && (text => onPartial(phi.restore(text)))
+    });
+    const entry = ledger.record({
+      userId,
+      reportId,
+      task,
+      provider: response.provider,
+      model: response.model,
+      usage: response.usage,
+      latencyMs: Date.now() - started,
+      downgraded: budget.exceeded
+    });
+    return { ...response, content: phi.restore(response.content), cost: entry?.cost ?? null, redactions: phi.report() };
+  } catch (error) {
+    ledger.record({ userId, reportId, task, latencyMs: Date.now() - started, success: false, errorMessage: error.message });
+    console.error('[AI] Completion error:', error);
+    throw new Error(`AI completion failed: ${error.message}`);
+  }
+}
 
-    // Add JSON mode if requested
-    if (responseFormat === 'json') {
-      completionOptions.response_format = { type: 'json_object' };
-    }
+/**
+ * Generate a JSON completion and validate it against the output schema
+ * A response that does not fit the schema is re-prompted once with the
+ * problems listed; if the repair fails too, the first response is coerced to
+ * safe defaults rather than failing the request.
+ * @param {string} kind - interpretation, pearls or questions (see schemas.js)
+ * @param {string} systemPrompt - System instructions
+ * @param {string} userPrompt - User message
+ * @param {Object} options - generateCompletion options; onPartial gets the object parsed so far
+ *   (see partial-json.js), and again from the start if the answer is re-prompted
+ * @returns {Promise<Object>} - Output matching the schema
+ */
+export async function generateValidatedJson(kind, systemPrompt, userPrompt, options = {}) {
+  const jsonOptions = {
+    ...options,
+    responseFormat: 'json',
+    onPartial: options.onPartial && partialObjects(options.onPartial)
+  };
+
+  const response = await generateCompletion(systemPrompt, userPrompt, jsonOptions);
+  const first = parseAiResponse(kind, response.content);
+  if (first.valid) return first.data;
 
-    const completion = await openai.chat.completions.create(completionOptions);
-
-    return {
-      content: completion.choices[0].message.content,
-      usage: {
-        promptTokens: completion.usage.prompt_tokens,
-        completionTokens: completion.usage.completion_tokens,
-        totalTokens: completion.usage.total_tokens
-      },
-      model: completion.model,
-      finishReason: completion.choices[0].finish_reason
-    };
+  console.warn(`[AI] ${kind} response failed validation, re-prompting once: ${first.issues.slice(0, 3).join('; ')}`);
+
+  try {
+    const repair = await generateCompletion(
+      systemPrompt,
+      buildRepairPrompt(userPrompt, response.content, first.issues),
+      { ...jsonOptions, temperature: 0 }
+    );
+    const repaired = parseAiResponse(kind, repair.content);
+    if (repaired.valid) return repaired.data;
+
+    console.warn(`[AI] ${kind} repair still invalid, using coerced output: ${repaired.issues.slice(0, 3).join('; ')}`);
+    // Prefer whichever reply was at least JSON
+    return first.parsed || !repaired.parsed ? first.data : repaired.data;
   } catch (error) {
-    console.error('[OpenAI] Error:', error);
-    throw new Error(`OpenAI API Error: ${error.message}`);
+    console.warn(`[AI] ${kind} repair failed, using coerced output: ${error.message}`);
+    return first.data;
   }
 }
 
+// Pass on each parsed partial object, skipping chunks that did not change it
+function partialObjects(onPartial) {
+  let last = null;
+  return (text) => {
+    const partial = parsePartialJson(text);
+    const serialized = JSON.stringify(partial);
+    if (partial && serialized !== last) {
+      last = serialized;
+      onPartial(partial);
+    }
+  };
+}
+
+// The template the caller picked (see smart-responder.js), or the registry's pick for this report
+function promptFor(task, reportType, context) {
+  return context.prompt || getPromptRegistry().select(task, reportType, { key: context.reportId });
+}
+
 /**
  * Interpret a medical report
  * @param {string} reportText - Extracted text from medical report
  * @param {string} reportType - Type of report (lab, imaging, note, etc.)
- * @param {Object} context - Additional context
+ * @param {Object} context - Additional context ({ patientAge, relevantHistory, patient, userId, reportId,
+ *   onPartial to stream the interpretation object as it is written, prompt to use a chosen template version })
  * @returns {Promise<Object>} - Structured interpretation
  */
 export async function interpretMedicalReport(reportText, reportType, context = {}) {
-  const systemPrompt = `You are an expert medical AI assistant specializing in interpreting medical reports for ward presentations.
-
-Your role is to:
-1. Analyze medical reports accurately and comprehensively
-2. Identify critical findings and abnormalities
-3. Provide clinical context and significance
-4. Suggest differential diagnoses when appropriate
-5. Highlight teaching points for medical education
-
-Always respond in JSON format with the structure:
-{
-  "summary": "Brief 2-3 sentence summary",
-  "findings": [{"finding": "...", "value": "...", "reference": "...", "status": "normal|abnormal|critical", "significance": "..."}],
-  "criticalAlerts": ["..."],
-  "differentialConsiderations": ["..."],
-  "recommendedActions": ["..."],
-  "additionalNotes": "..."
-}
-
-Be accurate, concise, and clinically relevant.`;
-
-  const userPrompt = `Report Type: ${reportType}
-${context.patientAge ? `Patient Age: ${context.patientAge}` : ''}
-${context.relevantHistory ? `Relevant History: ${context.relevantHistory}` : ''}
-
-Report Text:
-${reportText}
-
-Please provide a comprehensive interpretation of this ${reportType} report.`;
-
-  const response = await generateCompletion(systemPrompt, userPrompt, {
-    responseFormat: 'json',
-    temperature: 0.3, // Lower temperature for medical accuracy
-    maxTokens: 2000
+  const prompt = renderPrompt(
+    promptFor('interpretation', reportType, context),
+    promptVariables('interpretation', {
+      reportType,
+      reportText,
+      patientAge: context.patientAge,
+      relevantHistory: context.relevantHistory
+    })
+  );
+
+  return generateValidatedJson('interpretation', prompt.system, prompt.user, {
+    task: 'interpretation',
+    patient: context.patient,
+    userId: context.userId,
+    reportId: context.reportId,
+    onPartial: context.onPartial,
+    temperature: prompt.temperature,
+    maxTokens: prompt.maxTokens
   });
-
-  return JSON.parse(response.content);
 }
 
 /**
  * Generate clinical pearls from a medical report
  * @param {Object} interpretation - Report interpretation
  * @param {string} reportType - Type of report
+ * @param {Object} context - { userId, reportId } for the usage ledger, onPartial to stream the result,
+ *   prompt to use a chosen template version
  * @returns {Promise<Object>} - Clinical pearls
  */
-export async function generateClinicalPearls(interpretation, reportType) {
-  const systemPrompt = `You are a medical educator creating teaching points for ward rounds.
-
-Generate 3-5 high-yield clinical pearls based on the findings. Each pearl should be:
-- Clinically relevant and actionable
-- Appropriate for medical students and residents
-- Evidence-based when possible
-- Memorable and practical
-
-Respond in JSON format:
-{
-  "pearls": [
-    {
-      "pearl": "The teaching point",
-      "relevance": "Why this matters clinically",
-      "difficulty": "basic|intermediate|advanced",
-      "category": "diagnosis|management|physiology|clinical_reasoning"
-    }
-  ]
-}`;
-
-  const userPrompt = `Report Type: ${reportType}
-
-Summary: ${interpretation.summary}
-
-Key Findings:
-${interpretation.findings?.slice(0, 5).map(f => `- ${f.finding}: ${f.significance}`).join('\n')}
-
-Generate clinical pearls for teaching rounds.`;
-
-  const response = await generateCompletion(systemPrompt, userPrompt, {
-    responseFormat: 'json',
-    temperature: 0.7,
-    maxTokens: 1500
+export async function generateClinicalPearls(interpretation, reportType, context = {}) {
+  const prompt = renderPrompt(
+    promptFor('pearls', reportType, context),
+    promptVariables('pearls', { reportType, interpretation })
+  );
+
+  return generateValidatedJson('pearls', prompt.system, prompt.user, {
+    task: 'pearls',
+    userId: context.userId,
+    reportId: context.reportId,
+    onPartial: context.onPartial,
+    temperature: prompt.temperature,
+    maxTokens: prompt.maxTokens
   });
-
-  return JSON.parse(response.content);
 }
 
 /**
  * Generate potential attending questions
  * @param {Object} interpretation - Report interpretation
  * @param {string} reportType - Type of report
+ * @param {Object} context - { userId, reportId } for the usage ledger, onPartial to stream the result,
+ *   prompt to use a chosen template version
  * @returns {Promise<Object>} - Questions with answers
  */
-export async function generateAttendingQuestions(interpretation, reportType) {
-  const systemPrompt = `You are an attending physician preparing questions for teaching rounds.
-
-Generate 3-5 questions that an attending might ask, with detailed answers and teaching points.
-
-Questions should:
-- Test clinical reasoning and knowledge application
-- Be appropriate difficulty for residents
-- Include both factual recall and critical thinking
-- Relate directly to the case findings
-
-Respond in JSON format:
-{
-  "questions": [
-    {
-      "question": "The question",
-      "answer": "Detailed answer",
-      "teachingPoint": "Key educational takeaway",
-      "difficulty": "basic|intermediate|advanced",
-      "category": "diagnosis|management|mechanism|differential"
-    }
-  ]
-}`;
-
-  const userPrompt = `Report Type: ${reportType}
-
-Summary: ${interpretation.summary}
-
-Critical Findings:
-${interpretation.criticalAlerts?.join('\n') || 'None'}
-
-Key Abnormalities:
-${interpretation.findings?.filter(f => f.status !== 'normal').slice(0, 5).map(f => `- ${f.finding}`).join('\n')}
-
-Generate attending-level questions for rounds.`;
-
-  const response = await generateCompletion(systemPrompt, userPrompt, {
-    responseFormat: 'json',
-    temperature: 0.8,
-    maxTokens: 2000
+export async function generateAttendingQuestions(interpretation, reportType, context = {}) {
+  const prompt = renderPrompt(
+    promptFor('questions', reportType, context),
+    promptVariables('questions', { reportType, interpretation })
+  );
+
+  return generateValidatedJson('questions', prompt.system, prompt.user, {
+    task: 'questions',
+    userId: context.userId,
+    reportId: context.reportId,
+    onPartial: context.onPartial,
+    temperature: prompt.temperature,
+    maxTokens: prompt.maxTokens
   });
-
-  return JSON.parse(response.content);
 }
 
 /**
  * Generate embeddings for text (for knowledge base similarity search)
+ * Embeddings are recorded but never refused for budget: they are what lets
+ * the knowledge base answer without a completion.
  * @param {string} text - Text to embed
+ * @param {Object} context - { userId, reportId } for the usage ledger
  * @returns {Promise<Array<number>>} - Embedding vector
  */
-export async function generateEmbedding(text) {
-  try {
-    const response = await openai.embeddings.create({
-      model: 'text-embedding-3-small',
-      input: text
-    });
+export async function generateEmbedding(text, context = {}) {
+  const started = Date.now();
+  const entry = { userId: context.userId, reportId: context.reportId, task: 'embedding' };
 
-    return response.data[0].embedding;
+  try {
+    const { embedding, usage, model, provider } = await getLlmClient().embed(createPhiScrubber().scrub(text));
+    getUsageLedger().record({ ...entry, provider, model, usage, latencyMs: Date.now() - started });
+    return embedding;
   } catch (error) {
-    console.error('[OpenAI] Embedding error:', error);
+    getUsageLedger().record({ ...entry, latencyMs: Date.now() - started, success: false, errorMessage: error.message });
+    console.error('[AI] Embedding error:', error);
     throw new Error(`Embedding generation failed: ${error.message}`);
   }
 }
@@ -245,6 +268,7 @@ export function cosineSimilarity(a, b) {
 
 export default {
   generateCompletion,
+  generateValidatedJson,
   interpretMedicalReport,
   generateClinicalPearls,
   generateAttendingQuestions,
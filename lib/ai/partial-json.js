@@ -0,0 +1,81 @@
+/**
+ * Partial JSON
+ * Reads the JSON object a streaming completion has produced so far, so
+ * findings can be shown while the rest of the answer is still arriving.
+ */
+
+const MAX_CUTS = 50;
+
+/**
+ * Parse an unfinished JSON object
+ * Open strings, arrays and objects are closed; a trailing key without a value
+ * or a half-written literal is dropped. Text before the first "{" (prose some
+ * models put before the JSON) is ignored.
+ * @param {string} text - Streamed text so far
+ * @returns {Object|null} - The object so far, or null before it starts
+ */
+export function parsePartialJson(text) {
+  const source = String(text || '');
+  const start = source.indexOf('{');
+  if (start === -1) return null;
+
+  let fragment = source.slice(start);
+
+  for (let cuts = 0; cuts < MAX_CUTS && fragment; cuts++) {
+    const { closed, cut } = closeFragment(fragment);
+    try {
+      return JSON.parse(closed);
+    } catch {
+      // Drop the last member and try again
+      fragment = fragment.slice(0, Math.min(cut, fragment.length - 1));
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Close an unfinished fragment and find where its last member starts
+ * @param {string} fragment - Text from the first "{"
+ * @returns {{closed: string, cut: number}}
+ */
+function closeFragment(fragment) {
+  const closers = [];
+  let inString = false;
+  let escaped = false;
+  let cut = 0;
+
+  for (let i = 0; i < fragment.length; i++) {
+    const ch = fragment[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+
+    if (ch === '"') {
+      inString = true;
+    } else if (ch === '{' || ch === '[') {
+      closers.push(ch === '{' ? '}' : ']');
+      cut = i + 1;
+    } else if (ch === '}' || ch === ']') {
+      closers.pop();
+    } else if (ch === ',') {
+      cut = i;
+    }
+  }
+
+  let closed = fragment;
+  if (inString) {
+    closed = (escaped ? closed.slice(0, -1) : closed) + '"';
+  }
+  closed = closed.replace(/[\s,]+$/, '');
+
+  return { closed: closed + closers.reverse().join(''), cut };
+}
+
+export default {
+  parsePartialJson
+};
@@ -0,0 +1,61 @@
+/**
+ * Apps Script prompts
+ * Builds google-apps-script/Prompts.gs from the registry, so the Apps Script
+ * backend sends the same live prompts as the server instead of its own copies.
+ * Regenerate with npm run prompts:gs after changing templates.js.
+ */
+
+import { PROMPT_TEMPLATES } from './templates.js';
+import { createPromptRegistry, renderTemplate, promptVariables } from './index.js';
+
+/**
+ * Source of Prompts.gs
+ * @param {Array<Object>} templates - Template versions (default PROMPT_TEMPLATES)
+ * @returns {string}
+ */
+export function renderAppsScriptPrompts(templates = PROMPT_TEMPLATES) {
+  const registry = createPromptRegistry({ templates });
+  const live = Object.fromEntries(registry.list().map(({ name }) => {
+    const { id, system, user, temperature, maxTokens } = registry.get(name);
+    return [name, { id, system, user, temperature, maxTokens }];
+  }));
+
+  return `/**
+ * MedWard prompts - GENERATED by scripts/build-gs-prompts.js from lib/ai/prompts.
+ * Do not edit: change lib/ai/prompts/templates.js and run npm run prompts:gs.
+ * Live version of every prompt template, with the registry's renderer.
+ */
+
+const PROMPT_TEMPLATES = ${JSON.stringify(live, null, 2)};
+
+/**
+ * Live template for a task and document type (interpretation.ecg over interpretation)
+ */
+function getPromptTemplate(task, documentType) {
+  return PROMPT_TEMPLATES[task + '.' + documentType] || PROMPT_TEMPLATES[task];
+}
+
+/**
+ * Rendered messages for a task: { id, messages, temperature, maxTokens }
+ */
+function buildPrompt(task, documentType, input) {
+  const template = getPromptTemplate(task, documentType);
+  const variables = promptVariables(task, input);
+  return {
+    id: template.id,
+    messages: [
+      { role: 'system', content: renderTemplate(template.system, variables) },
+      { role: 'user', content: renderTemplate(template.user, variables) }
+    ],
+    temperature: template.temperature,
+    maxTokens: template.maxTokens
+  };
+}
+
+${renderTemplate.toString()}
+
+${promptVariables.toString()}
+`;
+}
+
+export default renderAppsScriptPrompts;
@@ -0,0 +1,227 @@
+/**
+ * Prompt experiments
+ * A/B tests between two versions of a prompt template, and the ratings
+ * clinicians give report sections (1-5), each stored with the prompt version
+ * that produced the section. Comparing ratings per version shows whether a
+ * prompt change helped. Rows live in audit.db; without it no experiment runs
+ * and feedback is not recorded.
+ */
+
+import { getAuditDatabase } from '../../storage/database.js';
+
+// Report section -> the task whose prompt produced it
+export const FEEDBACK_SECTIONS = ['interpretation', 'pearls', 'questions'];
+
+// z for a 95% confidence interval on the mean rating
+const Z_95 = 1.96;
+
+/**
+ * Create the experiment store
+ * @param {Object} options
+ * @param {Object|Function} options.db - audit database, or a function returning it (null disables experiments)
+ * @param {Function} options.now - Clock (for tests)
+ * @returns {Object}
+ */
+export function createPromptExperiments({ db = null, now = () => new Date() } = {}) {
+  const getDb = typeof db === 'function' ? db : () => db;
+
+  const toExperiment = (row) => ({
+    id: row.id,
+    name: row.prompt_name,
+    versionA: row.version_a,
+    versionB: row.version_b,
+    split: row.split,
+    startedBy: row.started_by,
+    startedAt: row.started_at,
+    endedAt: row.ended_at
+  });
+
+  return {
+    /**
+     * Whether experiments and feedback are being stored
+     * @returns {boolean}
+     */
+    available() {
+      return Boolean(getDb());
+    },
+
+    /**
+     * Running experiments; an unavailable or unreadable store has none
+     * @returns {Array<Object>} - { id, name, versionA, versionB, split, startedBy, startedAt }
+     */
+    active() {
+      try {
+        const database = getDb();
+        if (!database) return [];
+        return database
+          .prepare('SELECT * FROM prompt_experiments WHERE ended_at IS NULL ORDER BY started_at')
+          .all()
+          .map(toExperiment);
+      } catch (error) {
+        console.error('[Prompts] Could not read experiments:', error);
+        return [];
+      }
+    },
+
+    /**
+     * Experiments for a prompt, newest first
+     * @param {string} name - Template name
+     * @returns {Array<Object>}
+     */
+    history(name) {
+      const database = getDb();
+      if (!database) return [];
+      return database
+        .prepare('SELECT * FROM prompt_experiments WHERE prompt_name = ? ORDER BY started_at DESC, id DESC')
+        .all(name)
+        .map(toExperiment);
+    },
+
+    /**
+     * Start an A/B experiment, ending any running one for the same prompt
+     * @param {Object} experiment
+     * @param {string} experiment.name - Template name
+     * @param {number} experiment.versionA
+     * @param {number} experiment.versionB
+     * @param {number} experiment.split - Share of reports given version B (default 0.5)
+     * @param {string} experiment.startedBy - User ID
+     * @returns {Object|null} - The experiment, or null if the store is unavailable
+     */
+    start({ name, versionA, versionB, split = 0.5, startedBy = null }) {
+      const database = getDb();
+      if (!database) return null;
+
+      const startedAt = now().toISOString();
+      const insert = database.transaction(() => {
+        database
+          .prepare('UPDATE prompt_experiments SET ended_at = ? WHERE prompt_name = ? AND ended_at IS NULL')
+          .run(startedAt, name);
+        return database.prepare(`
+          INSERT INTO prompt_experiments (prompt_name, version_a, version_b, split, started_by, started_at)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `).run(name, versionA, versionB, split, startedBy, startedAt).lastInsertRowid;
+      });
+
+      const id = insert();
+      return toExperiment(database.prepare('SELECT * FROM prompt_experiments WHERE id = ?').get(id));
+    },
+
+    /**
+     * End the running experiment for a prompt
+     * @param {string} name - Template name
+     * @returns {boolean} - Whether an experiment was running
+     */
+    stop(name) {
+      const database = getDb();
+      if (!database) return false;
+      return database
+        .prepare('UPDATE prompt_experiments SET ended_at = ? WHERE prompt_name = ? AND ended_at IS NULL')
+        .run(now().toISOString(), name).changes > 0;
+    },
+
+    /**
+     * Record a rating of one report section; rating it again replaces the rating
+     * @param {Object} feedback
+     * @param {string} feedback.reportId
+     * @param {string} feedback.userId
+     * @param {string} feedback.section - interpretation, pearls or questions
+     * @param {{name: string, version: number}} feedback.prompt - Prompt that produced the section
+     * @param {number} feedback.rating - 1-5
+     * @param {string} feedback.comment
+     * @returns {Object|null} - The recorded feedback, or null if the store is unavailable
+     */
+    recordFeedback({ reportId, userId, section, prompt, rating, comment = null }) {
+      const database = getDb();
+      if (!database) return null;
+
+      const row = {
+        timestamp: now().toISOString(),
+        reportId,
+        userId,
+        section,
+        promptName: prompt.name,
+        promptVersion: prompt.version,
+        rating,
+        comment: comment || null
+      };
+
+      database.prepare(`
+        INSERT INTO prompt_feedback (timestamp, report_id, user_id, section, prompt_name, prompt_version, rating, comment)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (report_id, user_id, section) DO UPDATE SET
+          timestamp = excluded.timestamp,
+          prompt_name = excluded.prompt_name,
+          prompt_version = excluded.prompt_version,
+          rating = excluded.rating,
+          comment = excluded.comment
+      `).run(row.timestamp, reportId, userId, section, row.promptName, row.promptVersion, rating, row.comment);
+
+      return row;
+    },
+
+    /**
+     * Ratings per prompt version
+     * @param {Object} options
+     * @param {string} options.name - Only this template (default all)
+     * @param {string} options.since - ISO timestamp; only feedback from then on
+     * @returns {Array<Object>} - { name, version, ratings, averageRating, interval, positive } per version;
+     *   interval is the half-width of the 95% confidence interval on averageRating, positive the share rated 4 or 5
+     */
+    compare({ name = null, since = null } = {}) {
+      const database = getDb();
+      if (!database) return [];
+
+      const rows = database.prepare(`
+        SELECT prompt_name AS name,
+               prompt_version AS version,
+               COUNT(*) AS ratings,
+               AVG(rating) AS mean,
+               AVG(rating * rating) AS meanSquare,
+               SUM(CASE WHEN rating >= 4 THEN 1 ELSE 0 END) AS positive
+        FROM prompt_feedback
+        WHERE (? IS NULL OR prompt_name = ?) AND (? IS NULL OR timestamp >= ?)
+        GROUP BY prompt_name, prompt_version
+        ORDER BY prompt_name, prompt_version
+      `).all(name, name, since, since);
+
+      return rows.map(({ mean, meanSquare, positive, ...row }) => {
+        // Sample standard deviation; one rating has no interval
+        const variance = row.ratings > 1 ? ((meanSquare - mean * mean) * row.ratings) / (row.ratings - 1) : null;
+        return {
+          ...row,
+          averageRating: round(mean),
+          interval: variance == null ? null : round(Z_95 * Math.sqrt(Math.max(0, variance) / row.ratings)),
+          positive: round(positive / row.ratings)
+        };
+      });
+    }
+  };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+let experiments = null;
+
+/**
+ * Get the shared experiment store
+ * audit.db must exist and be migrated (npm run db:migrate); otherwise every
+ * report gets the newest prompt versions and feedback is not recorded.
+ * @returns {Object}
+ */
+export function getPromptExperiments() {
+  if (experiments) return experiments;
+
+  experiments = createPromptExperiments({
+    db: getAuditDatabase
+  });
+
+  return experiments;
+}
+
+export default {
+  FEEDBACK_SECTIONS,
+  createPromptExperiments,
+  getPromptExperiments
+};
@@ -0,0 +1,234 @@
+/**
+ * Prompt registry
+ * Picks the template for a task and document type (interpretation.ecg over
+ * interpretation), picks its version and renders it. A prompt is identified
+ * as name@version ("interpretation.lab@1"); reports keep the id of every
+ * prompt that produced them so feedback can be scored per version.
+ *
+ * The newest version of a template is live. While an A/B experiment runs
+ * for a template (see experiments.js), each report is given version A or B
+ * by a hash of its ID, so retries and streamed stages of one report use the
+ * same version. The Apps Script backend renders the live versions from its
+ * generated copy (apps-script.js) and takes no part in experiments.
+ */
+
+import { PROMPT_TEMPLATES } from './templates.js';
+import { getPromptExperiments } from './experiments.js';
+
+/**
+ * Fill {{variable}} placeholders; missing variables render empty and the blank lines they leave are collapsed
+ * Kept free of imports and newer syntax: it is copied into google-apps-script/Prompts.gs.
+ * @param {string} text - Template text
+ * @param {Object} variables
+ * @returns {string}
+ */
+export function renderTemplate(text, variables) {
+  const values = variables || {};
+  return String(text)
+    .replace(/\{\{(\w+)\}\}/g, function (match, key) {
+      return values[key] === undefined || values[key] === null ? '' : String(values[key]);
+    })
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Template variables for a task
+ * Kept free of imports and newer syntax: it is copied into google-apps-script/Prompts.gs.
+ * @param {string} task - interpretation, pearls or questions
+ * @param {Object} input - { reportType, reportText, patientAge, relevantHistory } for interpretation;
+ *   { reportType, interpretation } for pearls and questions
+ * @returns {Object}
+ */
+export function promptVariables(task, input) {
+  const interpretation = input.interpretation || {};
+  const findings = interpretation.findings || [];
+
+  if (task === 'pearls') {
+    return {
+      reportType: input.reportType,
+      summary: interpretation.summary || '',
+      keyFindings: findings.slice(0, 5).map(function (f) { return '- ' + f.finding + ': ' + f.significance; }).join('\n')
+    };
+  }
+
+  if (task === 'questions') {
+    return {
+      reportType: input.reportType,
+      summary: interpretation.summary || '',
+      criticalFindings: (interpretation.criticalAlerts || []).join('\n') || 'None',
+      keyAbnormalities: findings
+        .filter(function (f) { return f.status !== 'normal'; })
+        .slice(0, 5)
+        .map(function (f) { return '- ' + f.finding; })
+        .join('\n')
+    };
+  }
+
+  return {
+    reportType: input.reportType,
+    reportText: input.reportText,
+    patientContext: [
+      input.patientAge ? 'Patient Age: ' + input.patientAge : '',
+      input.relevantHistory ? 'Relevant History: ' + input.relevantHistory : ''
+    ].filter(Boolean).join('\n')
+  };
+}
+
+/**
+ * Id of a template version
+ * @param {{name: string, version: number}} template
+ * @returns {string} - name@version
+ */
+export function promptId({ name, version }) {
+  return `${name}@${version}`;
+}
+
+/**
+ * Split a prompt id into name and version
+ * @param {string} id - name@version
+ * @returns {{name: string, version: number}|null}
+ */
+export function parsePromptId(id) {
+  const match = /^([\w.]+)@(\d+)$/.exec(String(id || ''));
+  return match ? { name: match[1], version: Number(match[2]) } : null;
+}
+
+/**
+ * Render a template with its variables
+ * @param {Object} template - From select()
+ * @param {Object} variables - From promptVariables()
+ * @returns {{id: string, system: string, user: string, temperature: number, maxTokens: number}}
+ */
+export function renderPrompt(template, variables) {
+  return {
+    id: template.id,
+    system: renderTemplate(template.system, variables),
+    user: renderTemplate(template.user, variables),
+    temperature: template.temperature,
+    maxTokens: template.maxTokens
+  };
+}
+
+// FNV-1a of the key, as a fraction in [0, 1)
+function bucket(key) {
+  let hash = 0x811c9dc5;
+  for (const ch of String(key)) {
+    hash ^= ch.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash / 0x100000000;
+}
+
+/**
+ * Create a prompt registry
+ * @param {Object} options
+ * @param {Array<Object>} options.templates - Template versions (default PROMPT_TEMPLATES)
+ * @param {Object} options.experiments - Experiment store with active() (null for no experiments)
+ * @param {Function} options.random - Used to assign calls without a report ID
+ * @returns {Object} - Registry
+ */
+export function createPromptRegistry({ templates = PROMPT_TEMPLATES, experiments = null, random = Math.random } = {}) {
+  const byName = new Map();
+
+  for (const template of templates) {
+    const versions = byName.get(template.name) || new Map();
+    if (versions.has(template.version)) {
+      throw new Error(`Duplicate prompt template ${promptId(template)}`);
+    }
+    versions.set(template.version, Object.freeze({ ...template, id: promptId(template) }));
+    byName.set(template.name, versions);
+  }
+
+  const latest = (name) => {
+    const versions = byName.get(name);
+    return versions.get(Math.max(...versions.keys()));
+  };
+
+  const registry = {
+    /**
+     * Template name used for a task and document type
+     * @param {string} task - interpretation, pearls or questions
+     * @param {string} documentType - lab, imaging, note, ecg, general
+     * @returns {string}
+     */
+    resolve(task, documentType) {
+      const override = `${task}.${documentType}`;
+      if (byName.has(override)) return override;
+      if (byName.has(task)) return task;
+      throw new Error(`No prompt template for ${task}`);
+    },
+
+    /**
+     * A template version
+     * @param {string} name - Template name
+     * @param {number} version - Version (default the newest)
+     * @returns {Object|null}
+     */
+    get(name, version = null) {
+      if (!byName.has(name)) return null;
+      return version == null ? latest(name) : byName.get(name).get(Number(version)) || null;
+    },
+
+    /**
+     * Templates and their versions, for the admin page
+     * @returns {Array<{name: string, live: number, versions: Array<{version: number, description: string}>}>}
+     */
+    list() {
+      return [...byName.keys()].sort().map(name => ({
+        name,
+        live: latest(name).version,
+        versions: [...byName.get(name).values()]
+          .sort((a, b) => a.version - b.version)
+          .map(({ version, description }) => ({ version, description: description || '' }))
+      }));
+    },
+
+    /**
+     * Pick the template version for a call
+     * @param {string} task - interpretation, pearls or questions
+     * @param {string} documentType - Report type
+     * @param {Object} options
+     * @param {string} options.key - Report ID; the same key always gets the same side of an experiment
+     * @returns {Object} - Template with id
+     */
+    select(task, documentType, { key = null } = {}) {
+      const name = registry.resolve(task, documentType);
+      const experiment = experiments?.active().find(candidate => candidate.name === name);
+      if (!experiment) return latest(name);
+
+      const draw = key ? bucket(`${experiment.id}:${key}`) : random();
+      const version = draw < experiment.split ? experiment.versionB : experiment.versionA;
+      const template = registry.get(name, version);
+      if (template) return template;
+
+      console.warn(`[Prompts] Experiment ${experiment.id} names missing version ${name}@${version}; using the newest`);
+      return latest(name);
+    }
+  };
+
+  return registry;
+}
+
+let registry = null;
+
+/**
+ * Get the shared registry, with experiments from audit.db
+ * @returns {Object}
+ */
+export function getPromptRegistry() {
+  if (!registry) {
+    registry = createPromptRegistry({ experiments: getPromptExperiments() });
+  }
+  return registry;
+}
+
+export default {
+  renderTemplate,
+  promptVariables,
+  promptId,
+  parsePromptId,
+  renderPrompt,
+  createPromptRegistry,
+  getPromptRegistry
+};
@@ -0,0 +1,96 @@
+/**
+ * Anthropic Provider
+ * Chat completions through the Anthropic Messages API. Anthropic has no
+ * embeddings endpoint, so this provider only completes.
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+
+const STOP_REASONS = { end_turn: 'stop', stop_sequence: 'stop', max_tokens: 'length' };
+
+/**
+ * Create an Anthropic provider
+ * @param {Object} options
+ * @param {string} options.apiKey - API key
+ * @param {Object} options.models - Model per task ({ default, interpretation, pearls, questions, economy })
+ * @param {number} options.timeout - Per-attempt timeout in ms (overrides the client default)
+ * @param {number} options.retries - Retries after the first attempt (overrides the client default)
+ * @param {Object} options.client - SDK client to use instead of creating one
+ * @returns {Object} - LLM provider
+ */
+export function createAnthropicProvider({ apiKey, models = {}, timeout, retries, client = null } = {}) {
+  const getClient = () => {
+    if (!client) {
+      client = new Anthropic({ apiKey, maxRetries: 0 });
+    }
+    return client;
+  };
+
+  return {
+    name: 'anthropic',
+    models,
+    timeout,
+    retries,
+
+    async complete({ system, prompt, task, temperature = 0.7, maxTokens = 2000, responseFormat = null, economy = false, onPartial = null, signal }) {
+      // No JSON mode: ask for bare JSON and cut out the object in case of surrounding prose
+      const json = responseFormat === 'json';
+
+      const request = {
+        model: (economy && models.economy) || models[task] || models.default,
+        system: json ? `${system}\n\nRespond with a single JSON object and nothing else.` : system,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: Math.min(temperature, 1),
+        max_tokens: maxTokens
+      };
+
+      const message = onPartial
+        ? await collectStream(await getClient().messages.create({ ...request, stream: true }, { signal }), onPartial)
+        : await getClient().messages.create(request, { signal });
+
+      const text = message.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+
+      return {
+        content: json ? extractJsonObject(text) : text,
+        usage: {
+          promptTokens: message.usage?.input_tokens || 0,
+          completionTokens: message.usage?.output_tokens || 0,
+          totalTokens: (message.usage?.input_tokens || 0) + (message.usage?.output_tokens || 0)
+        },
+        model: message.model,
+        finishReason: STOP_REASONS[message.stop_reason] || message.stop_reason
+      };
+    }
+  };
+}
+
+// Rebuild the message from stream events, reporting the text so far on every delta
+async function collectStream(stream, onPartial) {
+  const message = { model: null, content: [{ type: 'text', text: '' }], stop_reason: null, usage: {} };
+
+  for await (const event of stream) {
+    if (event.type === 'message_start') {
+      message.model = event.message.model;
+      message.usage = { ...event.message.usage };
+    } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+      message.content[0].text += event.delta.text;
+      onPartial(message.content[0].text);
+    } else if (event.type === 'message_delta') {
+      message.stop_reason = event.delta.stop_reason;
+      message.usage.output_tokens = event.usage?.output_tokens ?? message.usage.output_tokens;
+    }
+  }
+
+  return message;
+}
+
+function extractJsonObject(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  return start !== -1 && end > start ? text.slice(start, end + 1) : text;
+}
+
+export default createAnthropicProvider;
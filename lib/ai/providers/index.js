@@ -0,0 +1,121 @@
+/**
+ * LLM provider selection
+ * Builds the provider fallback chain from environment variables:
+ *
+ *   LLM_PROVIDERS=anthropic,openai,local   order to try (default: every configured provider)
+ *   EMBEDDING_PROVIDERS=openai             order for embeddings (default: first one that embeds)
+ *
+ *   OPENAI_API_KEY, OPENAI_MODEL, OPENAI_EMBEDDING_MODEL
+ *   ANTHROPIC_API_KEY, ANTHROPIC_MODEL
+ *   LOCAL_LLM_URL, LOCAL_LLM_API_KEY, LOCAL_LLM_MODEL, LOCAL_EMBEDDING_MODEL, LOCAL_LLM_JSON_MODE
+ *
+ * Per provider, <PREFIX>_MODELS picks a model per task ("pearls=gpt-4o-mini,questions=gpt-4o-mini")
+ * and <PREFIX>_TIMEOUT_MS / <PREFIX>_MAX_RETRIES override the client defaults. The
+ * "economy" model answers users who are over their daily AI budget (see usage-ledger.js).
+ */
+
+import { createOpenAIProvider } from './openai-provider.js';
+import { createAnthropicProvider } from './anthropic-provider.js';
+import { createLocalProvider } from './local-provider.js';
+
+export { createOpenAIProvider, createAnthropicProvider, createLocalProvider };
+
+export const PROVIDER_NAMES = ['openai', 'anthropic', 'local'];
+
+const PREFIXES = { openai: 'OPENAI', anthropic: 'ANTHROPIC', local: 'LOCAL_LLM' };
+
+/**
+ * Create the configured providers in fallback order
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {{providers: Array<Object>, embeddingProviders: Array<Object>}}
+ */
+export function providersFromEnv(env = process.env) {
+  const available = {};
+
+  if (env.OPENAI_API_KEY) {
+    available.openai = createOpenAIProvider({
+      apiKey: env.OPENAI_API_KEY,
+      models: {
+        default: env.OPENAI_MODEL || 'gpt-4-turbo-preview',
+        embedding: env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small',
+        economy: 'gpt-4o-mini',
+        ...parseModels(env.OPENAI_MODELS)
+      },
+      ...limits(env, 'openai')
+    });
+  }
+
+  if (env.ANTHROPIC_API_KEY) {
+    available.anthropic = createAnthropicProvider({
+      apiKey: env.ANTHROPIC_API_KEY,
+      models: {
+        default: env.ANTHROPIC_MODEL || 'claude-sonnet-4-5',
+        economy: 'claude-haiku-4-5',
+        ...parseModels(env.ANTHROPIC_MODELS)
+      },
+      ...limits(env, 'anthropic')
+    });
+  }
+
+  if (env.LOCAL_LLM_URL) {
+    available.local = createLocalProvider({
+      baseURL: env.LOCAL_LLM_URL,
+      apiKey: env.LOCAL_LLM_API_KEY,
+      models: {
+        default: env.LOCAL_LLM_MODEL || 'default',
+        ...(env.LOCAL_EMBEDDING_MODEL ? { embedding: env.LOCAL_EMBEDDING_MODEL } : {}),
+        ...parseModels(env.LOCAL_LLM_MODELS)
+      },
+      jsonMode: env.LOCAL_LLM_JSON_MODE !== 'false',
+      ...limits(env, 'local')
+    });
+  }
+
+  const providers = pick(available, env.LLM_PROVIDERS, PROVIDER_NAMES);
+
+  // Vectors from different models cannot be compared, so embeddings only fall
+  // back when EMBEDDING_PROVIDERS asks for it explicitly
+  const embeddingProviders = env.EMBEDDING_PROVIDERS
+    ? pick(available, env.EMBEDDING_PROVIDERS, []).filter(provider => provider.embed)
+    : providers.filter(provider => provider.embed).slice(0, 1);
+
+  return { providers, embeddingProviders };
+}
+
+/**
+ * Parse "task=model,task=model"
+ * @param {string} value
+ * @returns {Object} - { task: model }
+ */
+export function parseModels(value) {
+  return Object.fromEntries(
+    String(value || '')
+      .split(',')
+      .map(pair => pair.split('=').map(part => part.trim()))
+      .filter(([task, model]) => task && model)
+  );
+}
+
+function pick(available, order, fallbackOrder) {
+  if (!order) {
+    return fallbackOrder.filter(name => available[name]).map(name => available[name]);
+  }
+
+  return order.split(',').map(name => name.trim().toLowerCase()).filter(Boolean).flatMap(name => {
+    if (available[name]) return [available[name]];
+    console.warn(`[LLM] Provider "${name}" is listed but not configured`);
+    return [];
+  });
+}
+
+function limits(env, name) {
+  const timeout = Number(env[`${PREFIXES[name]}_TIMEOUT_MS`]);
+  const retries = env[`${PREFIXES[name]}_MAX_RETRIES`];
+
+  return {
+    ...(timeout > 0 ? { timeout } : {}),
+    ...(retries !== undefined && retries !== '' ? { retries: Number(retries) } : {})
+  };
+}
+
+export default providersFromEnv;
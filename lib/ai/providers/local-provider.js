@@ -0,0 +1,31 @@
+/**
+ * Local Model Provider
+ * Any on-prem server that speaks the OpenAI chat completions API
+ * (vLLM, Ollama, llama.cpp server, LM Studio), so report text never has to
+ * leave the hospital network.
+ */
+
+import { createOpenAIProvider } from './openai-provider.js';
+
+/**
+ * Create a provider for an OpenAI-compatible local server
+ * @param {Object} options
+ * @param {string} options.baseURL - Server base URL including /v1, e.g. http://llm.ward.local:8000/v1
+ * @param {string} options.apiKey - Key if the server wants one
+ * @param {Object} options.models - Model per task ({ default, ..., embedding if the server embeds })
+ * @param {boolean} options.jsonMode - Server accepts response_format json_object (default true)
+ * @param {number} options.timeout - Per-attempt timeout in ms; local models are often slower
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {Object} options.client - SDK client to use instead of creating one
+ * @returns {Object} - LLM provider
+ */
+export function createLocalProvider({ baseURL, apiKey, ...options } = {}) {
+  if (!baseURL) {
+    throw new Error('Local LLM provider needs a baseURL');
+  }
+
+  // The SDK refuses an empty key; most local servers ignore it
+  return createOpenAIProvider({ ...options, name: 'local', baseURL, apiKey: apiKey || 'local' });
+}
+
+export default createLocalProvider;
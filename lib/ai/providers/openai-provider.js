@@ -0,0 +1,135 @@
+/**
+ * OpenAI Provider
+ * Chat completions and embeddings through the openai SDK. Also drives any
+ * OpenAI-compatible server (see local-provider.js) through baseURL.
+ */
+
+import OpenAI from 'openai';
+
+/**
+ * Create an OpenAI (or OpenAI-compatible) provider
+ * @param {Object} options
+ * @param {string} options.name - Provider name used in logs and results (default 'openai')
+ * @param {string} options.apiKey - API key
+ * @param {string} options.baseURL - API base URL (defaults to api.openai.com)
+ * @param {Object} options.models - Model per task ({ default, interpretation, pearls, questions, embedding, economy })
+ * @param {boolean} options.jsonMode - Server supports response_format json_object (default true)
+ * @param {number} options.timeout - Per-attempt timeout in ms (overrides the client default)
+ * @param {number} options.retries - Retries after the first attempt (overrides the client default)
+ * @param {Object} options.client - SDK client to use instead of creating one
+ * @returns {Object} - LLM provider
+ */
+export function createOpenAIProvider({
+  name = 'openai',
+  apiKey,
+  baseURL,
+  models = {},
+  jsonMode = true,
+  timeout,
+  retries,
+  client = null
+} = {}) {
+  // Created on first use so a provider can be configured before its key is checked.
+  // Retries are left to the LLM client so every provider backs off the same way.
+  const getClient = () => {
+    if (!client) {
+      client = new OpenAI({ apiKey, baseURL, maxRetries: 0 });
+    }
+    return client;
+  };
+
+  const provider = {
+    name,
+    models,
+    timeout,
+    retries,
+
+    async complete({ system, prompt, task, temperature = 0.7, maxTokens = 2000, responseFormat = null, economy = false, onPartial = null, signal }) {
+      const json = responseFormat === 'json';
+      const completionOptions = {
+        model: (economy && models.economy) || models[task] || models.default,
+        messages: [
+          { role: 'system', content: json && !jsonMode ? `${system}\n\nRespond with a single JSON object only.` : system },
+          { role: 'user', content: prompt }
+        ],
+        temperature,
+        max_tokens: maxTokens
+      };
+
+      if (json && jsonMode) {
+        completionOptions.response_format = { type: 'json_object' };
+      }
+
+      if (onPartial) {
+        const stream = await getClient().chat.completions.create(
+          { ...completionOptions, stream: true, stream_options: { include_usage: true } },
+          { signal }
+        );
+        return collectStream(stream, onPartial);
+      }
+
+      const completion = await getClient().chat.completions.create(completionOptions, { signal });
+
+      return {
+        content: completion.choices[0].message.content,
+        usage: {
+          promptTokens: completion.usage?.prompt_tokens || 0,
+          completionTokens: completion.usage?.completion_tokens || 0,
+          totalTokens: completion.usage?.total_tokens || 0
+        },
+        model: completion.model,
+        finishReason: completion.choices[0].finish_reason
+      };
+    }
+  };
+
+  if (models.embedding) {
+    provider.embed = async (text, { signal } = {}) => {
+      const response = await getClient().embeddings.create({ model: models.embedding, input: text }, { signal });
+      return {
+        embedding: response.data[0].embedding,
+        usage: {
+          promptTokens: response.usage?.prompt_tokens || 0,
+          completionTokens: 0,
+          totalTokens: response.usage?.total_tokens || 0
+        },
+        model: models.embedding
+      };
+    };
+  }
+
+  return provider;
+}
+
+// Streamed chunks carry content deltas; usage arrives on the last chunk
+async function collectStream(stream, onPartial) {
+  let content = '';
+  let model = null;
+  let finishReason = null;
+  let usage = null;
+
+  for await (const chunk of stream) {
+    model = chunk.model || model;
+    usage = chunk.usage || usage;
+    const choice = chunk.choices?.[0];
+    finishReason = choice?.finish_reason || finishReason;
+
+    if (choice?.delta?.content) {
+      content += choice.delta.content;
+      onPartial(content);
+    }
+  }
+
+  return {
+    content,
+    usage: {
+      promptTokens: usage?.prompt_tokens || 0,
+      completionTokens: usage?.completion_tokens || 0,
+      totalTokens: usage?.total_tokens || 0
+    },
+    model,
+    finishReason
+  };
+}
+
+export default createOpenAIProvider;
@@ -0,0 +1,316 @@
+/**
+ * AI output schemas
+ * The JSON contract for interpretations, clinical pearls, attending questions
+ * and presentations, whether they come from the LLM layer or the Apps Script.
+ *
+ * Each kind has a strict schema (what the prompts ask for; a failure triggers
+ * one repair re-prompt) and a lenient one that never fails: wrong types are
+ * coerced and missing or invalid fields fall back to safe defaults, so
+ * downstream code can rely on arrays being arrays and text being text.
+ */
+
+import { z } from 'zod';
+
+export const FINDING_STATUSES = ['normal', 'abnormal', 'critical'];
+export const DIFFICULTIES = ['basic', 'intermediate', 'advanced'];
+export const AI_OUTPUT_KINDS = ['interpretation', 'pearls', 'questions', 'presentation'];
+
+// Report field holding each kind on a report / Apps Script response
+export const REPORT_FIELDS = {
+  interpretation: 'interpretation',
+  pearls: 'clinicalPearls',
+  questions: 'potentialQuestions',
+  presentation: 'presentation'
+};
+
+// ---------------------------------------------------------------------------
+// Strict schemas
+// ---------------------------------------------------------------------------
+
+const requiredText = z.string().trim().min(1);
+
+const FindingSchema = z.object({
+  finding: requiredText,
+  value: z.union([z.string(), z.number()]).optional(),
+  reference: z.string().optional(),
+  status: z.enum(FINDING_STATUSES),
+  significance: z.string().optional()
+});
+
+const PearlSchema = z.object({
+  pearl: requiredText,
+  relevance: z.string().optional(),
+  difficulty: z.enum(DIFFICULTIES).optional(),
+  category: z.string().optional()
+});
+
+const QuestionSchema = z.object({
+  question: requiredText,
+  answer: requiredText,
+  teachingPoint: z.string().optional(),
+  difficulty: z.enum(DIFFICULTIES).optional(),
+  category: z.string().optional()
+});
+
+export const InterpretationSchema = z.object({
+  summary: requiredText,
+  findings: z.array(FindingSchema),
+  // Models tend to leave out empty lists; coercion fills them in
+  criticalAlerts: z.array(z.string()).optional(),
+  differentialConsiderations: z.array(z.string()).optional(),
+  recommendedActions: z.array(z.string()).optional(),
+  additionalNotes: z.string().optional()
+}).passthrough();
+
+export const PearlsSchema = z.object({
+  pearls: z.array(PearlSchema).min(1)
+}).passthrough();
+
+export const QuestionsSchema = z.object({
+  questions: z.array(QuestionSchema).min(1)
+}).passthrough();
+
+export const PresentationSchema = z.object({
+  oneLiner: z.string(),
+  subjective: z.string(),
+  objective: z.string(),
+  assessment: z.string(),
+  plan: z.string(),
+  pearls: z.array(PearlSchema),
+  questions: z.array(QuestionSchema),
+  generatedAt: z.string().optional()
+}).passthrough();
+
+// ---------------------------------------------------------------------------
+// Lenient schemas
+// ---------------------------------------------------------------------------
+
+const looseText = z.preprocess(toText, z.string()).catch('');
+
+const looseEnum = (values, fallback) =>
+  z.preprocess(value => String(value ?? '').trim().toLowerCase(), z.enum(values)).catch(fallback);
+
+// Items that cannot be read are dropped rather than failing the whole list
+const looseList = (item, keep) => z.preprocess(
+  value => (value == null ? [] : Array.isArray(value) ? value : [value]),
+  z.array(z.unknown())
+).catch([]).transform(items => items.map(entry => item.parse(entry)).filter(keep));
+
+const looseTextList = looseList(looseText, Boolean);
+
+// A bare string is read as the item's main field
+const looseItem = (mainField, shape) => {
+  const object = z.object(shape).passthrough();
+  return z.preprocess(
+    value => (typeof value === 'string' ? { [mainField]: value } : value),
+    object
+  ).catch(() => object.parse({}));
+};
+
+const LooseFinding = looseItem('finding', {
+  finding: looseText,
+  value: looseText,
+  reference: looseText,
+  // An unchecked finding is never shown as normal
+  status: looseEnum(FINDING_STATUSES, 'abnormal'),
+  significance: looseText
+});
+
+const LoosePearl = looseItem('pearl', {
+  pearl: looseText,
+  relevance: looseText,
+  difficulty: looseEnum(DIFFICULTIES, 'intermediate'),
+  category: looseText
+});
+
+const LooseQuestion = looseItem('question', {
+  question: looseText,
+  answer: looseText,
+  teachingPoint: looseText,
+  difficulty: looseEnum(DIFFICULTIES, 'intermediate'),
+  category: looseText
+});
+
+const looseObject = (shape, alias = value => value) => {
+  const object = z.object(shape).passthrough();
+  return z.preprocess(
+    value => (value && typeof value === 'object' && !Array.isArray(value) ? alias(value) : {}),
+    object
+  ).catch(() => object.parse({}));
+};
+
+const LooseInterpretation = looseObject({
+  summary: looseText,
+  findings: looseList(LooseFinding, finding => finding.finding),
+  criticalAlerts: looseTextList,
+  differentialConsiderations: looseTextList,
+  recommendedActions: looseTextList,
+  additionalNotes: looseText
+}, value => ({
+  ...value,
+  // The Apps Script fallback names them "recommendations"
+  recommendedActions: value.recommendedActions ?? value.recommendations
+}));
+
+const LoosePearls = looseObject({
+  pearls: looseList(LoosePearl, pearl => pearl.pearl)
+}, value => ({ ...value, pearls: value.pearls ?? value.clinicalPearls }));
+
+const LooseQuestions = looseObject({
+  questions: looseList(LooseQuestion, question => question.question)
+});
+
+const LoosePresentation = looseObject({
+  oneLiner: looseText,
+  subjective: looseText,
+  objective: looseText,
+  assessment: looseText,
+  plan: looseText,
+  pearls: looseList(LoosePearl, pearl => pearl.pearl),
+  questions: looseList(LooseQuestion, question => question.question),
+  generatedAt: looseText
+});
+
+const SCHEMAS = {
+  interpretation: { strict: InterpretationSchema, lenient: LooseInterpretation },
+  pearls: { strict: PearlsSchema, lenient: LoosePearls },
+  questions: { strict: QuestionsSchema, lenient: LooseQuestions },
+  presentation: { strict: PresentationSchema, lenient: LoosePresentation }
+};
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+/**
+ * Check AI output against its schema
+ * @param {string} kind - interpretation, pearls, questions or presentation
+ * @param {*} data - Output as received
+ * @returns {{valid: boolean, issues: Array<string>, data: Object}} - data is always the coerced output
+ */
+export function validateAiOutput(kind, data) {
+  const schemas = SCHEMAS[kind];
+  if (!schemas) {
+    throw new Error(`Unknown AI output kind: ${kind}`);
+  }
+
+  const result = schemas.strict.safeParse(data);
+
+  return {
+    valid: result.success,
+    issues: result.success ? [] : formatIssues(result.error),
+    data: schemas.lenient.parse(data)
+  };
+}
+
+/**
+ * Coerce AI output to its schema without validating (stored or cached output)
+ * @param {string} kind - interpretation, pearls, questions or presentation
+ * @param {*} data
+ * @returns {Object}
+ */
+export function coerceAiOutput(kind, data) {
+  return validateAiOutput(kind, data).data;
+}
+
+/**
+ * Parse and validate the text of an LLM response
+ * @param {string} kind - interpretation, pearls, questions or presentation
+ * @param {string} content - Response text, expected to be a JSON object
+ * @returns {{valid: boolean, parsed: boolean, issues: Array<string>, data: Object}} - parsed is false when the text was not JSON
+ */
+export function parseAiResponse(kind, content) {
+  let json;
+  try {
+    json = JSON.parse(extractJsonObject(content));
+  } catch (error) {
+    return {
+      valid: false,
+      parsed: false,
+      issues: [`response is not valid JSON (${error.message})`],
+      data: coerceAiOutput(kind, {})
+    };
+  }
+
+  return { ...validateAiOutput(kind, json), parsed: true };
+}
+
+/**
+ * Validate the AI sections of a report or Apps Script response
+ * A section missing from data is taken from previous (the report being re-interpreted).
+ * A missing presentation is not an error: it can be generated locally.
+ * @param {Object} data - { interpretation, clinicalPearls, potentialQuestions, presentation }
+ * @param {Object} previous - Sections to fall back to
+ * @returns {{valid: boolean, issues: Array<string>, sections: Object}} - sections are coerced
+ */
+export function validateReportOutputs(data = {}, previous = {}) {
+  const issues = [];
+  const sections = {};
+
+  for (const kind of AI_OUTPUT_KINDS) {
+    const field = REPORT_FIELDS[kind];
+    const value = data?.[field] ?? previous?.[field];
+
+    if (value == null && kind === 'presentation') {
+      sections[field] = coerceAiOutput(kind, {});
+      continue;
+    }
+
+    const result = validateAiOutput(kind, value);
+    sections[field] = result.data;
+    issues.push(...(value == null ? [`${field}: missing`] : result.issues.map(issue => `${field}.${issue}`)));
+  }
+
+  return { valid: issues.length === 0, issues, sections };
+}
+
+/**
+ * Prompt asking the model to fix a response that failed validation
+ * @param {string} userPrompt - The original request
+ * @param {string} content - The invalid response
+ * @param {Array<string>} issues - Validation problems
+ * @returns {string}
+ */
+export function buildRepairPrompt(userPrompt, content, issues) {
+  return `${userPrompt}
+
+Your previous reply did not match the required JSON format:
+${issues.slice(0, 10).map(issue => `- ${issue}`).join('\n')}
+
+Previous reply:
+${String(content || '').slice(0, 6000)}
+
+Reply again with only the corrected JSON object, keeping the same clinical content.`;
+}
+
+function formatIssues(error) {
+  return error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`);
+}
+
+// Text of a scalar, or of the first text field of an object ({ alert: "..." })
+function toText(value) {
+  if (value == null) return '';
+  if (typeof value === 'string') return value.trim();
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  if (Array.isArray(value)) return value.map(toText).filter(Boolean).join('; ');
+  if (typeof value === 'object') {
+    const first = Object.values(value).find(entry => typeof entry === 'string' && entry.trim());
+    return first ? first.trim() : '';
+  }
+  return '';
+}
+
+function extractJsonObject(content) {
+  const text = String(content ?? '');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  return start !== -1 && end > start ? text.slice(start, end + 1) : text;
+}
+
+export default {
+  validateAiOutput,
+  coerceAiOutput,
+  parseAiResponse,
+  validateReportOutputs,
+  buildRepairPrompt
+};
@@ -0,0 +1,316 @@
+/**
+ * AI usage ledger
+ * Records every completion, embedding and knowledge base hit with the user,
+ * report, task, model, tokens, latency and cost, and enforces per-user daily
+ * budgets. Rows live in the ai_usage table of audit.db.
+ *
+ *   LLM_PRICES=gpt-4o=2.5/10,my-model=0/0   USD per million prompt/completion tokens (added to DEFAULT_PRICES)
+ *   AI_DAILY_BUDGET_USD=2                   per-user daily spend limit (default: no limit)
+ *   AI_BUDGET_ACTION=downgrade|block        over budget: answer with each provider's economy model (default) or refuse
+ *
+ * A user's settings.aiDailyBudgetUsd overrides AI_DAILY_BUDGET_USD. Days are
+ * UTC dates. Like the audit log, recording never throws; budgets fail open
+ * when the ledger is unavailable.
+ */
+
+import { getAuditDatabase, UserDB } from '../storage/database.js';
+
+export const BUDGET_ACTIONS = ['downgrade', 'block'];
+
+// USD per million tokens, matched by longest model prefix ("gpt-4o-mini-2024-07-18")
+export const DEFAULT_PRICES = {
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 },
+  'claude-sonnet-4-5': { input: 3, output: 15 },
+  'claude-haiku-4-5': { input: 1, output: 5 }
+};
+
+/**
+ * Thrown when a user is over their daily budget and AI_BUDGET_ACTION is block
+ */
+export class BudgetExceededError extends Error {
+  constructor({ userId, budget, spent }) {
+    super(`Daily AI budget of $${budget.toFixed(2)} reached ($${spent.toFixed(2)} spent today)`);
+    this.name = 'BudgetExceededError';
+    this.userId = userId;
+    this.budget = budget;
+    this.spent = spent;
+  }
+}
+
+/**
+ * Parse LLM_PRICES ("gpt-4o=2.5/10,local-model=0/0")
+ * @param {string} value
+ * @returns {Object} - { model: { input, output } }
+ */
+export function parsePrices(value) {
+  return Object.fromEntries(
+    String(value || '')
+      .split(',')
+      .map(pair => pair.split('=').map(part => part.trim()))
+      .filter(([model, price]) => model && price)
+      .map(([model, price]) => {
+        const [input, output = 0] = price.split('/').map(Number);
+        return [model, { input, output }];
+      })
+      .filter(([, { input, output }]) => Number.isFinite(input) && Number.isFinite(output))
+  );
+}
+
+/**
+ * Price a call
+ * @param {string} model - Model that answered
+ * @param {{promptTokens: number, completionTokens: number}} usage
+ * @param {Object} prices - Price table (defaults to DEFAULT_PRICES)
+ * @returns {number} - USD; 0 for models without a price
+ */
+export function computeCost(model, usage = {}, prices = DEFAULT_PRICES) {
+  const price = priceFor(model, prices);
+  if (!price) return 0;
+
+  const cost = ((usage.promptTokens || 0) * price.input + (usage.completionTokens || 0) * price.output) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+function priceFor(model, prices) {
+  const name = String(model || '').toLowerCase();
+  const match = Object.keys(prices)
+    .filter(key => name.startsWith(key.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? prices[match] : null;
+}
+
+/**
+ * Create a usage ledger
+ * @param {Object} options
+ * @param {Object|Function} options.db - audit database, or a function returning it (null disables the ledger)
+ * @param {Object} options.prices - Price table (default DEFAULT_PRICES)
+ * @param {number} options.budget - Default daily budget in USD per user (null for none)
+ * @param {string} options.action - downgrade or block
+ * @param {Function} options.userBudget - userId => the user's own daily budget, if any
+ * @param {Function} options.now - Clock (for tests)
+ * @returns {Object} - Ledger
+ */
+export function createUsageLedger({
+  db = null,
+  prices = DEFAULT_PRICES,
+  budget = null,
+  action = 'downgrade',
+  userBudget = () => null,
+  now = () => new Date()
+} = {}) {
+  const getDb = typeof db === 'function' ? db : () => db;
+  const today = () => now().toISOString().slice(0, 10);
+  const since = (days) => new Date(now().getTime() - (days - 1) * 86400000).toISOString().slice(0, 10);
+
+  const budgetFor = (userId) => {
+    let own = null;
+    try {
+      own = userBudget(userId);
+    } catch (error) {
+      console.warn('[AI Usage] Could not read user budget:', error.message);
+    }
+    const value = Number(own ?? budget);
+    return own == null && budget == null ? null : Number.isFinite(value) ? value : null;
+  };
+
+  const spentOn = (userId, day = today()) => {
+    const database = getDb();
+    if (!database) return 0;
+    return database
+      .prepare('SELECT COALESCE(SUM(cost), 0) AS spent FROM ai_usage WHERE user_id = ? AND day = ?')
+      .get(userId, day).spent;
+  };
+
+  return {
+    prices,
+    budget,
+    action,
+
+    /**
+     * Record one AI call; never throws
+     * @param {Object} entry
+     * @param {string} entry.userId
+     * @param {string} entry.reportId
+     * @param {string} entry.task - interpretation, pearls, questions or embedding
+     * @param {string} entry.provider
+     * @param {string} entry.model
+     * @param {Object} entry.usage - { promptTokens, completionTokens }
+     * @param {number} entry.latencyMs
+     * @param {boolean} entry.cacheHit - Answered from the knowledge base (no tokens spent)
+     * @param {boolean} entry.downgraded - Answered by the economy model because the user was over budget
+     * @param {boolean} entry.success
+     * @param {string} entry.errorMessage
+     * @returns {Object|null} - The recorded row, or null if the ledger is unavailable
+     */
+    record(entry) {
+      const timestamp = now().toISOString();
+      const row = {
+        timestamp,
+        day: timestamp.slice(0, 10),
+        userId: entry.userId || null,
+        reportId: entry.reportId || null,
+        task: entry.task || 'default',
+        provider: entry.provider || null,
+        model: entry.model || null,
+        promptTokens: entry.usage?.promptTokens || 0,
+        completionTokens: entry.usage?.completionTokens || 0,
+        latencyMs: entry.latencyMs ?? null,
+        cacheHit: Boolean(entry.cacheHit),
+        downgraded: Boolean(entry.downgraded),
+        cost: entry.cacheHit ? 0 : computeCost(entry.model, entry.usage, prices),
+        success: entry.success !== false,
+        errorMessage: entry.errorMessage || null
+      };
+
+      try {
+        const database = getDb();
+        if (!database) return null;
+
+        database.prepare(`
+          INSERT INTO ai_usage
+          (timestamp, day, user_id, report_id, task, provider, model, prompt_tokens, completion_tokens,
+           latency_ms, cache_hit, downgraded, cost, success, error_message)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+          row.timestamp, row.day, row.userId, row.reportId, row.task, row.provider, row.model,
+          row.promptTokens, row.completionTokens, row.latencyMs,
+          row.cacheHit ? 1 : 0, row.downgraded ? 1 : 0, row.cost, row.success ? 1 : 0, row.errorMessage
+        );
+        return row;
+      } catch (error) {
+        console.error('[AI Usage] Failed to record usage:', error);
+        return null;
+      }
+    },
+
+    /**
+     * Where a user stands against their daily budget; fails open
+     * @param {string} userId
+     * @returns {{userId: string, budget: number|null, spent: number, remaining: number|null, exceeded: boolean, action: string}}
+     */
+    checkBudget(userId) {
+      const limit = userId ? budgetFor(userId) : null;
+      let spent = 0;
+
+      try {
+        spent = limit == null ? 0 : spentOn(userId);
+      } catch (error) {
+        console.error('[AI Usage] Budget check failed, allowing the call:', error);
+      }
+
+      return {
+        userId,
+        budget: limit,
+        spent,
+        remaining: limit == null ? null : Math.max(0, limit - spent),
+        exceeded: limit != null && spent >= limit,
+        action
+      };
+    },
+
+    /**
+     * Spend per user and day
+     * @param {string} userId
+     * @param {string} day - YYYY-MM-DD (default today, UTC)
+     * @returns {number} - USD
+     */
+    spentOn,
+
+    /**
+     * Usage for the admin page
+     * @param {Object} options
+     * @param {number} options.days - Days back, including today (default 30)
+     * @returns {{since: string, totals: Object, byDay: Array, byTask: Array, byUser: Array}}
+     */
+    summary({ days = 30 } = {}) {
+      const from = since(days);
+      const database = getDb();
+      const empty = { calls: 0, cacheHits: 0, downgraded: 0, failures: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+      if (!database) return { since: from, available: false, totals: empty, byDay: [], byTask: [], byUser: [] };
+
+      const columns = `
+        COUNT(*) AS calls,
+        COALESCE(SUM(cache_hit), 0) AS cacheHits,
+        COALESCE(SUM(downgraded), 0) AS downgraded,
+        COALESCE(SUM(1 - success), 0) AS failures,
+        COALESCE(SUM(prompt_tokens), 0) AS promptTokens,
+        COALESCE(SUM(completion_tokens), 0) AS completionTokens,
+        ROUND(COALESCE(SUM(cost), 0), 6) AS cost
+      `;
+      const grouped = (column, order) => database
+        .prepare(`SELECT ${column} AS key, ${columns} FROM ai_usage WHERE day >= ? GROUP BY ${column} ORDER BY ${order}`)
+        .all(from);
+
+      return {
+        since: from,
+        available: true,
+        totals: database.prepare(`SELECT ${columns} FROM ai_usage WHERE day >= ?`).get(from),
+        byDay: grouped('day', 'day').map(({ key, ...row }) => ({ day: key, ...row })),
+        byTask: grouped('task', 'cost DESC').map(({ key, ...row }) => ({ task: key, ...row })),
+        byUser: grouped('user_id', 'cost DESC').map(({ key, ...row }) => ({ userId: key, ...row }))
+      };
+    },
+
+    /**
+     * Totals over completions that reached a provider (no cache hits or embeddings)
+     * @param {Object} options
+     * @param {number} options.days - Days back (default 30)
+     * @returns {{calls: number, tokens: number, cost: number}}
+     */
+    averageCallCost({ days = 30 } = {}) {
+      try {
+        const database = getDb();
+        if (!database) return { calls: 0, tokens: 0, cost: 0 };
+        return database.prepare(`
+          SELECT COUNT(*) AS calls,
+                 COALESCE(SUM(prompt_tokens + completion_tokens), 0) AS tokens,
+                 COALESCE(SUM(cost), 0) AS cost
+          FROM ai_usage
+          WHERE day >= ? AND cache_hit = 0 AND success = 1 AND task != 'embedding'
+        `).get(since(days));
+      } catch (error) {
+        console.error('[AI Usage] Failed to read average call cost:', error);
+        return { calls: 0, tokens: 0, cost: 0 };
+      }
+    }
+  };
+}
+
+let ledger = null;
+
+/**
+ * Get the shared ledger, configured from the environment
+ * audit.db must exist and be migrated (npm run db:migrate); otherwise usage
+ * is not recorded and budgets are not enforced.
+ * @returns {Object}
+ */
+export function getUsageLedger() {
+  if (ledger) return ledger;
+
+  const action = String(process.env.AI_BUDGET_ACTION || 'downgrade').toLowerCase();
+  const budget = process.env.AI_DAILY_BUDGET_USD ? Number(process.env.AI_DAILY_BUDGET_USD) : null;
+
+  ledger = createUsageLedger({
+    db: getAuditDatabase,
+    prices: { ...DEFAULT_PRICES, ...parsePrices(process.env.LLM_PRICES) },
+    budget: Number.isFinite(budget) ? budget : null,
+    action: BUDGET_ACTIONS.includes(action) ? action : 'downgrade',
+    userBudget: (userId) => UserDB.findById(userId)?.settings?.aiDailyBudgetUsd ?? null
+  });
+
+  return ledger;
+}
+
+export default {
+  createUsageLedger,
+  getUsageLedger,
+  computeCost,
+  parsePrices,
+  BudgetExceededError,
+  DEFAULT_PRICES,
+  BUDGET_ACTIONS
+};
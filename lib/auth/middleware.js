@@ -1,5 +1,6 @@
 import { verifyToken, extractTokenFromHeader } from './token.js';
 import { logAudit } from '../security/audit-log.js';
+import { UserDB } from '../storage/database.js';
 
 /**
  * Authentication middleware for API routes
@@ -155,34 +156,52 @@ export async function verifyAuth(request) {
 }
 
 /**
- * Role-based authorization middleware
+ * Role-based authorization
+ * Roles come from users.role, so a role change applies to tokens already issued.
+ * Works as Express middleware, or in Next.js API routes after verifyAuth:
+ *   const denied = await authorize(['admin'])(request);
+ *   if (denied) return denied;
+ *
  * @param {Array<string>} allowedRoles - Array of allowed roles
- * @returns {Function} - Middleware function
+ * @returns {Function} - (req, res, next) middleware; called with a request alone it
+ *   resolves to an error Response, or null if the user has one of the roles
  */
 export function authorize(allowedRoles = []) {
-  return (req, res, next) => {
+  return async (req, res, next) => {
+    const isNext = typeof req.headers?.get === 'function';
+    const deny = (status, body) => (isNext
+      ? new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+      })
+      : res.status(status).json(body));
+
     if (!req.user) {
-      return res.status(401).json({
+      return deny(401, {
         error: 'Authentication required'
       });
     }
 
-    if (allowedRoles.length > 0 && !allowedRoles.includes(req.user.role)) {
+    const role = UserDB.findById(req.user.id)?.role || null;
+
+    if (allowedRoles.length > 0 && !allowedRoles.includes(role)) {
       logAudit({
         userId: req.user.id,
         action: 'AUTHORIZATION_FAILED',
-        ipAddress: req.ip,
-        userAgent: req.headers['user-agent'],
-        details: { requiredRoles: allowedRoles, userRole: req.user.role },
+        ipAddress: isNext ? req.headers.get('x-forwarded-for') || 'unknown' : req.ip,
+        userAgent: isNext ? req.headers.get('user-agent') : req.headers['user-agent'],
+        details: { requiredRoles: allowedRoles, userRole: role },
         success: false
       });
 
-      return res.status(403).json({
+      return deny(403, {
         error: 'Insufficient permissions',
         message: 'You do not have permission to access this resource'
       });
     }
 
+    req.user.role = role;
+    if (isNext) return null;
     next();
   };
 }
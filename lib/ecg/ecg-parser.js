@@ -0,0 +1,379 @@
+/**
+ * ECG Report Parser
+ * Reads the measurement header printed by ECG machines (rate, PR, QRS, QT/QTc,
+ * axes) plus the diagnostic statements, corrects QT for heart rate and applies
+ * rule-based flags (QTc prolongation, AV block, bundle branch block, axis, rate).
+ */
+
+// Normal limits (ms / degrees / bpm)
+export const ECG_LIMITS = {
+  pr: { high: 200 },
+  qrs: { incomplete: 110, complete: 120 },
+  qtc: { male: 450, female: 460, critical: 500 },
+  axis: { low: -30, high: 90 },
+  rate: { low: 60, high: 100, criticalLow: 40, criticalHigh: 150 }
+};
+
+const RATE_PATTERN = /\b(?:vent(?:ricular)?\.?\s*rate|heart\s*rate|hr|rate)\s*[:=]?\s*(\d{2,3})\s*(?:bpm|b\/min|\/min|beats)?/i;
+const PR_PATTERN = /\bpr(?:\s*int(?:erval)?)?\s*[:=]?\s*(\d{2,3})\s*ms\b/i;
+const QRS_PATTERN = /\bqrs(?:\s*(?:duration|dur|width|interval))?\s*[:=]?\s*(\d{2,3})\s*ms\b/i;
+const QT_QTC_PATTERN = /\bqt\s*\/\s*qtc[a-z]*\s*[:=]?\s*(\d{3})\s*\/\s*(\d{3})\s*ms\b/i;
+const QTC_PATTERN = /\bqtc[a-z]*(?:\s*interval)?\s*[:=]?\s*(\d{3})\s*ms\b/i;
+const QT_PATTERN = /\bqt(?!c)(?:\s*interval)?\s*[:=]?\s*(\d{3})\s*ms\b/i;
+const AXES_PATTERN = /\bp-?r-?t\s*axes\s*[:=]?\s*(-?\d{1,3})\s+(-?\d{1,3})\s+(-?\d{1,3})/i;
+const AXIS_PATTERN = /\b(?:qrs\s*)?axis\s*[:=]?\s*([+-]?\d{1,3})\s*(?:°|deg(?:rees)?)?/i;
+const RHYTHM_LABEL_PATTERN = /\brhythm\s*[:=]\s*([^\n]+)/i;
+
+/**
+ * Rhythm names, most specific first
+ */
+const RHYTHMS = [
+  /ventricular (tachycardia|fibrillation)/i,
+  /supraventricular tachycardia/i,
+  /atrial (fibrillation|flutter)/i,
+  /junctional rhythm/i,
+  /(electronic(ally)? )?paced rhythm/i,
+  /sinus (tachycardia|bradycardia|arrhythmia|rhythm)/i
+];
+
+/**
+ * Diagnostic statements recognized in the machine or reader interpretation.
+ * `flag` ties the statement to a rule below so it is reported once.
+ */
+const STATEMENTS = [
+  { flag: 'av_block_complete', pattern: /(third|3rd)[- ]degree (av |atrioventricular )?block|complete heart block/i },
+  { flag: 'av_block_second_2', pattern: /mobitz (type )?(ii|2)|(second|2nd)[- ]degree (av )?block,? type (ii|2)|2:1 (av )?block/i },
+  { flag: 'av_block_second_1', pattern: /mobitz (type )?(i|1)\b|wenckebach|(second|2nd)[- ]degree (av )?block/i },
+  { flag: 'av_block_first', pattern: /(first|1st)[- ]degree (av |atrioventricular )?block|prolonged pr/i },
+  { flag: 'lbbb', pattern: /left bundle branch block|\blbbb\b/i },
+  { flag: 'rbbb', pattern: /right bundle branch block|\brbbb\b/i },
+  { flag: 'incomplete_bbb', pattern: /incomplete (right |left )?bundle branch block|\bi[rl]bbb\b/i },
+  { flag: 'ivcd', pattern: /(nonspecific )?intraventricular conduction (delay|defect)|\bivcd\b/i },
+  { flag: 'left_axis_deviation', pattern: /left axis deviation/i },
+  { flag: 'right_axis_deviation', pattern: /right axis deviation/i },
+  { flag: 'long_qt', pattern: /prolonged qt|long qt/i },
+  { flag: 'st_elevation', pattern: /st[- ]elevation|\bstemi\b|acute (mi|myocardial infarction)|injury current/i },
+  { flag: 'atrial_fibrillation', pattern: /atrial fibrillation/i },
+  { flag: 'atrial_flutter', pattern: /atrial flutter/i },
+  { flag: 'ventricular_tachycardia', pattern: /ventricular tachycardia/i },
+  { flag: 'ventricular_fibrillation', pattern: /ventricular fibrillation/i }
+];
+
+/**
+ * Flag wording. `severity` is critical or abnormal.
+ */
+export const ECG_FLAGS = {
+  qtc_prolonged: {
+    label: 'Prolonged QTc',
+    significance: 'Risk of torsades de pointes. Review QT-prolonging drugs and check potassium, magnesium and calcium.',
+    severity: 'abnormal'
+  },
+  qtc_critical: {
+    label: 'Markedly prolonged QTc',
+    significance: 'QTc ≥500 ms carries a high risk of torsades de pointes. Stop QT-prolonging drugs, correct electrolytes and monitor on telemetry.',
+    severity: 'critical'
+  },
+  av_block_first: {
+    label: 'First-degree AV block',
+    significance: 'PR >200 ms. Usually benign; review AV-nodal blocking drugs.',
+    severity: 'abnormal'
+  },
+  av_block_second_1: {
+    label: 'Second-degree AV block (Mobitz I)',
+    significance: 'Progressive PR prolongation with dropped beats. Usually nodal; review AV-nodal blocking drugs and monitor.',
+    severity: 'abnormal'
+  },
+  av_block_second_2: {
+    label: 'Second-degree AV block (Mobitz II)',
+    significance: 'Infranodal block with risk of progression to complete heart block. Cardiology review and pacing assessment.',
+    severity: 'critical'
+  },
+  av_block_complete: {
+    label: 'Complete heart block',
+    significance: 'AV dissociation. Urgent cardiology review; prepare for temporary pacing.',
+    severity: 'critical'
+  },
+  lbbb: {
+    label: 'Left bundle branch block',
+    significance: 'QRS ≥120 ms with LBBB morphology. If new with chest pain, treat as possible acute MI (Sgarbossa criteria).',
+    severity: 'abnormal'
+  },
+  rbbb: {
+    label: 'Right bundle branch block',
+    significance: 'QRS ≥120 ms with RBBB morphology. Consider right heart strain or PE if new.',
+    severity: 'abnormal'
+  },
+  bbb: {
+    label: 'Bundle branch block',
+    significance: 'QRS ≥120 ms. Review morphology to distinguish LBBB, RBBB or IVCD.',
+    severity: 'abnormal'
+  },
+  incomplete_bbb: {
+    label: 'Incomplete bundle branch block',
+    significance: 'QRS 110-119 ms. Often a normal variant; compare with previous ECGs.',
+    severity: 'abnormal'
+  },
+  ivcd: {
+    label: 'Intraventricular conduction delay',
+    significance: 'Broad QRS without typical bundle branch morphology. Consider hyperkalemia or sodium channel blockers.',
+    severity: 'abnormal'
+  },
+  left_axis_deviation: {
+    label: 'Left axis deviation',
+    significance: 'QRS axis below -30°. Consider left anterior fascicular block, LVH or inferior MI.',
+    severity: 'abnormal'
+  },
+  right_axis_deviation: {
+    label: 'Right axis deviation',
+    significance: 'QRS axis above +90°. Consider RVH, PE, lateral MI or left posterior fascicular block.',
+    severity: 'abnormal'
+  },
+  extreme_axis_deviation: {
+    label: 'Extreme axis deviation',
+    significance: 'QRS axis between -90° and ±180°. Consider ventricular rhythm, lead reversal or hyperkalemia.',
+    severity: 'abnormal'
+  },
+  bradycardia: {
+    label: 'Bradycardia',
+    significance: 'Heart rate below 60 bpm. Review rate-limiting drugs and check for heart block.',
+    severity: 'abnormal'
+  },
+  tachycardia: {
+    label: 'Tachycardia',
+    significance: 'Heart rate above 100 bpm. Look for sepsis, hypovolemia, pain, PE or arrhythmia.',
+    severity: 'abnormal'
+  },
+  atrial_fibrillation: {
+    label: 'Atrial fibrillation',
+    significance: 'Assess rate control, anticoagulation (CHA2DS2-VASc) and reversible triggers.',
+    severity: 'abnormal'
+  },
+  atrial_flutter: {
+    label: 'Atrial flutter',
+    significance: 'Assess rate control and anticoagulation as for atrial fibrillation.',
+    severity: 'abnormal'
+  },
+  st_elevation: {
+    label: 'ST elevation',
+    significance: 'Possible acute STEMI. Activate the chest pain pathway and compare with previous ECGs.',
+    severity: 'critical'
+  },
+  ventricular_tachycardia: {
+    label: 'Ventricular tachycardia',
+    significance: 'Life-threatening arrhythmia. Check pulse and follow the ALS tachycardia algorithm.',
+    severity: 'critical'
+  },
+  ventricular_fibrillation: {
+    label: 'Ventricular fibrillation',
+    significance: 'Cardiac arrest rhythm. Immediate defibrillation.',
+    severity: 'critical'
+  }
+};
+
+/**
+ * Correct QT for heart rate
+ * @param {number} qt - QT interval (ms)
+ * @param {number} rate - Heart rate (bpm)
+ * @returns {{bazett: number, fridericia: number}|null}
+ */
+export function computeQtc(qt, rate) {
+  if (!qt || !rate) return null;
+
+  const rr = 60 / rate; // seconds
+
+  return {
+    bazett: Math.round(qt / Math.sqrt(rr)),
+    fridericia: Math.round(qt / Math.cbrt(rr))
+  };
+}
+
+function toNumber(match, group = 1) {
+  return match ? Number(match[group]) : null;
+}
+
+/**
+ * Parse the text of an ECG report
+ * @param {string} text - OCR text
+ * @returns {Object} - { type, rate, rhythm, axis, axes, intervals, qtcBazett, qtcFridericia, qtcSource, statements }
+ */
+export function parseEcgText(text) {
+  const source = String(text || '');
+
+  const rate = toNumber(source.match(RATE_PATTERN));
+  const pr = toNumber(source.match(PR_PATTERN));
+  const qrs = toNumber(source.match(QRS_PATTERN));
+
+  let qt = null;
+  let qtc = null;
+  const combined = source.match(QT_QTC_PATTERN);
+  if (combined) {
+    qt = Number(combined[1]);
+    qtc = Number(combined[2]);
+  } else {
+    qtc = toNumber(source.match(QTC_PATTERN));
+    qt = toNumber(source.match(QT_PATTERN));
+  }
+
+  // "P-R-T axes 60 -45 30": the middle value is the QRS axis
+  const axesMatch = source.match(AXES_PATTERN);
+  const axes = axesMatch
+    ? { p: Number(axesMatch[1]), qrs: Number(axesMatch[2]), t: Number(axesMatch[3]) }
+    : null;
+  const axis = axes ? axes.qrs : toNumber(source.match(AXIS_PATTERN));
+
+  const lines = source.split('\n').map(line => line.trim()).filter(Boolean);
+
+  const rhythmLine = lines.find(line => RHYTHMS.some(pattern => pattern.test(line)));
+  const rhythmLabel = source.match(RHYTHM_LABEL_PATTERN);
+  const rhythmMatch = rhythmLine && RHYTHMS.map(pattern => rhythmLine.match(pattern)).find(Boolean);
+  const rhythm = rhythmLabel
+    ? rhythmLabel[1].trim()
+    : rhythmMatch ? capitalize(rhythmMatch[0]) : null;
+
+  const statements = lines.filter(line => STATEMENTS.some(({ pattern }) => pattern.test(line)));
+
+  const corrected = computeQtc(qt, rate);
+
+  return {
+    type: 'ecg',
+    rate,
+    rhythm,
+    axis,
+    axes,
+    intervals: { pr, qrs, qt, qtc: qtc ?? corrected?.bazett ?? null },
+    qtcBazett: corrected?.bazett ?? null,
+    qtcFridericia: corrected?.fridericia ?? null,
+    qtcSource: qtc ? 'report' : corrected ? 'bazett' : null,
+    statements
+  };
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1).toLowerCase();
+}
+
+/**
+ * Apply rule-based flags to a parsed ECG
+ * @param {Object} ecg - Result of parseEcgText
+ * @param {Object} patient - Patient ({ sex|gender }) for the QTc limit
+ * @returns {Array<{code: string, label: string, significance: string, severity: string, value: string|null}>}
+ */
+export function evaluateEcg(ecg, patient = {}) {
+  const flags = new Map();
+  const raise = (code, value = null) => {
+    if (!flags.has(code)) {
+      flags.set(code, { code, ...ECG_FLAGS[code], value });
+    }
+  };
+
+  const { rate, axis, intervals = {} } = ecg;
+  const statementText = (ecg.statements || []).join('\n');
+
+  // Statements printed on the report take precedence for block type and morphology
+  const stated = new Set(
+    STATEMENTS.filter(({ pattern }) => pattern.test(statementText)).map(({ flag }) => flag)
+  );
+
+  // Keep only the most specific statement of each group
+  if (stated.has('av_block_complete')) {
+    ['av_block_second_2', 'av_block_second_1', 'av_block_first'].forEach(code => stated.delete(code));
+  }
+  if (stated.has('av_block_second_2')) {
+    stated.delete('av_block_second_1');
+  }
+  if (stated.has('incomplete_bbb')) {
+    stated.delete('lbbb');
+    stated.delete('rbbb');
+  }
+
+  stated.forEach(code => {
+    if (ECG_FLAGS[code]) raise(code);
+  });
+
+  // QTc: at rates outside 60-100 Bazett over/under-corrects, so prefer Fridericia
+  const sex = String(patient?.sex || patient?.gender || '').toLowerCase();
+  const qtcLimit = sex.startsWith('f') ? ECG_LIMITS.qtc.female : ECG_LIMITS.qtc.male;
+  const qtc = ecg.qtcSource === 'bazett' && rate && (rate < ECG_LIMITS.rate.low || rate > ECG_LIMITS.rate.high)
+    ? ecg.qtcFridericia
+    : intervals.qtc;
+
+  if (qtc >= ECG_LIMITS.qtc.critical) {
+    raise('qtc_critical', `${qtc} ms`);
+  } else if (qtc > qtcLimit || stated.has('long_qt')) {
+    raise('qtc_prolonged', qtc ? `${qtc} ms` : null);
+  }
+
+  // AV conduction
+  const hasHigherBlock = ['av_block_second_1', 'av_block_second_2', 'av_block_complete'].some(code => flags.has(code));
+  if (intervals.pr > ECG_LIMITS.pr.high && !hasHigherBlock) {
+    raise('av_block_first', `PR ${intervals.pr} ms`);
+  }
+  if (flags.has('av_block_first') && intervals.pr) {
+    flags.get('av_block_first').value = `PR ${intervals.pr} ms`;
+  }
+
+  // Ventricular conduction
+  if (intervals.qrs >= ECG_LIMITS.qrs.complete) {
+    if (!flags.has('lbbb') && !flags.has('rbbb') && !flags.has('ivcd')) {
+      raise('bbb', `QRS ${intervals.qrs} ms`);
+    }
+    flags.delete('incomplete_bbb');
+  } else if (intervals.qrs >= ECG_LIMITS.qrs.incomplete && !flags.has('ivcd')) {
+    raise('incomplete_bbb', `QRS ${intervals.qrs} ms`);
+    flags.delete('lbbb');
+    flags.delete('rbbb');
+  }
+  for (const code of ['lbbb', 'rbbb', 'ivcd', 'incomplete_bbb']) {
+    if (flags.has(code) && intervals.qrs && !flags.get(code).value) {
+      flags.get(code).value = `QRS ${intervals.qrs} ms`;
+    }
+  }
+
+  // Axis (degrees, -180..180)
+  if (axis !== null && axis !== undefined) {
+    if (axis < -90 || axis > 180) {
+      raise('extreme_axis_deviation', `${axis}°`);
+    } else if (axis < ECG_LIMITS.axis.low) {
+      raise('left_axis_deviation', `${axis}°`);
+    } else if (axis > ECG_LIMITS.axis.high) {
+      raise('right_axis_deviation', `${axis}°`);
+    }
+  }
+  if (flags.has('extreme_axis_deviation')) {
+    flags.delete('left_axis_deviation');
+    flags.delete('right_axis_deviation');
+  }
+
+  // Rate
+  if (rate) {
+    if (rate < ECG_LIMITS.rate.low) {
+      raise('bradycardia', `${rate} bpm`);
+      if (rate < ECG_LIMITS.rate.criticalLow) flags.get('bradycardia').severity = 'critical';
+    } else if (rate > ECG_LIMITS.rate.high) {
+      raise('tachycardia', `${rate} bpm`);
+      if (rate > ECG_LIMITS.rate.criticalHigh) flags.get('tachycardia').severity = 'critical';
+    }
+  }
+
+  return [...flags.values()];
+}
+
+/**
+ * Parse and evaluate an ECG report
+ * @param {string} text - OCR text
+ * @param {Object} patient - Patient context
+ * @returns {Object} - Parsed ECG with `flags`
+ */
+export function parseEcgReport(text, patient = {}) {
+  const ecg = parseEcgText(text);
+  return { ...ecg, flags: evaluateEcg(ecg, patient) };
+}
+
+export default {
+  parseEcgText,
+  parseEcgReport,
+  evaluateEcg,
+  computeQtc,
+  ECG_FLAGS,
+  ECG_LIMITS
+};
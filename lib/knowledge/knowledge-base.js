@@ -1,13 +1,25 @@
 import { getKnowledgeDatabase } from '../storage/database.js';
-import { generateEmbedding, cosineSimilarity } from '../ai/openai-client.js';
+import { generateEmbedding } from '../ai/openai-client.js';
+import { createPhiScrubber } from '../security/phi-scrubber.js';
+import { createKnowledgeIndexes } from './knowledge-index.js';
+import { toVectorBlob } from './vector-index.js';
 
 /**
  * Knowledge Base for self-learning system
- * Stores and retrieves previous interpretations to reduce API costs
+ * Stores and retrieves previous interpretations to reduce API costs.
+ * Embeddings are stored as float32 blobs and searched through a vector
+ * index per category (knowledge-index.js), so every entry can match.
  */
 export class KnowledgeBase {
-  constructor() {
-    this.db = getKnowledgeDatabase();
+  /**
+   * @param {Object} options
+   * @param {Database} options.db - knowledge.db (default the shared connection)
+   * @param {string} options.indexDirectory - Where vector indexes are saved (default next to knowledge.db)
+   * @param {number} options.saveDelayMs - Delay before index changes are saved
+   */
+  constructor({ db = getKnowledgeDatabase(), indexDirectory, saveDelayMs } = {}) {
+    this.db = db;
+    this.indexes = createKnowledgeIndexes({ db, directory: indexDirectory, saveDelayMs });
   }
 
   /**
@@ -17,23 +29,36 @@ export class KnowledgeBase {
    * @param {string} query - Original query/text
    * @param {string} response - AI response (JSON stringified)
    * @param {number} confidence - Initial confidence score
+   * @param {Object} context - { userId, reportId } the embedding is recorded against
    * @returns {Promise<number>} - Entry ID
    */
-  async store(category, topic, query, response, confidence = 0.8) {
+  async store(category, topic, query, response, confidence = 0.8, context = {}) {
     try {
+      // Callers scrub with the patient record; this catches identifiers they missed
+      const phi = createPhiScrubber();
+      query = phi.scrub(query);
+      response = phi.scrub(response);
+
       // Generate embedding for semantic search
-      const embedding = await generateEmbedding(query);
-      const embeddingJson = JSON.stringify(embedding);
+      const embedding = await generateEmbedding(query, context);
 
       const stmt = this.db.prepare(`
         INSERT INTO knowledge (category, topic, query, response, embedding, confidence, usage_count, created_at, last_used)
         VALUES (?, ?, ?, ?, ?, ?, 0, datetime('now'), datetime('now'))
       `);
 
-      const result = stmt.run(category, topic, query, response, embeddingJson, confidence);
-      console.log(`[KnowledgeBase] Stored new entry: ${topic} (ID: ${result.lastInsertRowid})`);
+      const result = stmt.run(category, topic, query, response, toVectorBlob(embedding), confidence);
+      const id = Number(result.lastInsertRowid);
+      console.log(`[KnowledgeBase] Stored new entry: ${topic} (ID: ${id})`);
 
-      return result.lastInsertRowid;
+      try {
+        this.indexes.add(category, id, embedding);
+      } catch (error) {
+        // The row is stored; the index picks it up the next time it is searched
+        console.error('[KnowledgeBase] Index update error:', error);
+      }
+
+      return id;
     } catch (error) {
       console.error('[KnowledgeBase] Store error:', error);
       throw error;
@@ -46,42 +71,35 @@ export class KnowledgeBase {
    * @param {string} category - Category filter
    * @param {number} threshold - Similarity threshold (0-1)
    * @param {number} limit - Maximum results
+   * @param {Object} context - { userId, reportId } the embedding is recorded against
    * @returns {Promise<Array>} - Matching entries with similarity scores
    */
-  async search(query, category, threshold = 0.85, limit = 5) {
+  async search(query, category, threshold = 0.85, limit = 5, context = {}) {
     try {
       // Generate embedding for query
-      const queryEmbedding = await generateEmbedding(query);
-
-      // Get all entries in category
-      const stmt = this.db.prepare(`
-        SELECT id, topic, query, response, embedding, confidence, usage_count, created_at, last_used
-        FROM knowledge
-        WHERE category = ?
-        ORDER BY confidence DESC, usage_count DESC
-        LIMIT 50
-      `);
-
-      const entries = stmt.all(category);
-
-      // Calculate similarity scores
-      const results = [];
-      for (const entry of entries) {
-        const entryEmbedding = JSON.parse(entry.embedding);
-        const similarity = cosineSimilarity(queryEmbedding, entryEmbedding);
-
-        if (similarity >= threshold) {
-          results.push({
-            ...entry,
-            similarity,
-            response: JSON.parse(entry.response)
-          });
-        }
-      }
-
-      // Sort by similarity and limit results
-      results.sort((a, b) => b.similarity - a.similarity);
-      const topResults = results.slice(0, limit);
+      const queryEmbedding = await generateEmbedding(query, context);
+
+      // Nearest entries across the whole category, most similar first
+      const matches = this.indexes
+        .search(category, queryEmbedding, limit)
+        .filter(match => match.similarity >= threshold);
+
+      const rows = matches.length
+        ? this.db.prepare(`
+            SELECT id, topic, query, response, confidence, usage_count, created_at, last_used
+            FROM knowledge
+            WHERE id IN (${matches.map(() => '?').join(', ')})
+          `).all(...matches.map(match => match.id))
+        : [];
+      const byId = new Map(rows.map(row => [row.id, row]));
+
+      const topResults = matches
+        .filter(match => byId.has(match.id))
+        .map(match => ({
+          ...byId.get(match.id),
+          similarity: match.similarity,
+          response: JSON.parse(byId.get(match.id).response)
+        }));
 
       console.log(`[KnowledgeBase] Found ${topResults.length} matches above threshold ${threshold}`);
 
@@ -167,16 +185,21 @@ export class KnowledgeBase {
    * @returns {number} - Number of entries deleted
    */
   cleanup(minConfidence = 0.3, daysUnused = 90) {
-    const stmt = this.db.prepare(`
-      DELETE FROM knowledge
+    const where = `
       WHERE confidence < ?
          OR (usage_count = 0 AND julianday('now') - julianday(created_at) > ?)
-    `);
+    `;
+
+    const ids = this.db.transaction(() => {
+      const matching = this.db.prepare(`SELECT id FROM knowledge ${where}`).pluck().all(minConfidence, daysUnused);
+      this.db.prepare(`DELETE FROM knowledge ${where}`).run(minConfidence, daysUnused);
+      return matching;
+    })();
 
-    const result = stmt.run(minConfidence, daysUnused);
-    console.log(`[KnowledgeBase] Cleaned up ${result.changes} entries`);
+    this.indexes.remove(ids);
+    console.log(`[KnowledgeBase] Cleaned up ${ids.length} entries`);
 
-    return result.changes;
+    return ids.length;
   }
 
   /**
@@ -0,0 +1,223 @@
+/**
+ * Knowledge indexes
+ * One vector index per knowledge category over the float32 embeddings in
+ * knowledge.db, saved as <category>.hnsw in a knowledge-index directory
+ * beside the database. A category is indexed on first use - from its saved
+ * graph if there is one - and then kept up to date entry by entry.
+ *
+ * A saved graph is a head start, not the truth: when a category's row count
+ * or newest id no longer matches its index (entries written by another
+ * process, a save lost when the process exited) the index catches up from
+ * the table before it is searched.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { resolveDatabasePath } from '../storage/migrations/index.js';
+import { createVectorIndex, loadVectorIndex, fromVectorBlob } from './vector-index.js';
+
+/**
+ * Directory the indexes are saved in: knowledge-index/ next to knowledge.db
+ * @returns {string}
+ */
+export function resolveIndexDirectory() {
+  const file = resolveDatabasePath('knowledge');
+  return path.join(path.dirname(file), `${path.basename(file, path.extname(file))}-index`);
+}
+
+/**
+ * Create the per-category indexes for a knowledge database
+ * @param {Object} options
+ * @param {Database} options.db - knowledge.db
+ * @param {string} options.directory - Where indexes are saved (default resolveIndexDirectory())
+ * @param {number} options.saveDelayMs - Changes are saved this long after the last one (0 saves at once)
+ * @param {Object} options.indexOptions - Passed to createVectorIndex (m, efConstruction, efSearch)
+ * @returns {Object}
+ */
+export function createKnowledgeIndexes({ db, directory = resolveIndexDirectory(), saveDelayMs = 2000, indexOptions = {} }) {
+  // category -> { index, skipped: ids not indexed, maxId, timer }
+  const categories = new Map();
+
+  const fileFor = (category) => path.join(directory, `${encodeURIComponent(category)}.hnsw`);
+  const countOf = (entry) => (entry.index?.size || 0) + entry.skipped.size;
+
+  function readGraph(category) {
+    try {
+      const file = fileFor(category);
+      return fs.existsSync(file) ? fs.readFileSync(file) : null;
+    } catch (error) {
+      console.warn(`[KnowledgeIndex] Could not read the ${category} index: ${error.message}`);
+      return null;
+    }
+  }
+
+  function save(category) {
+    const entry = categories.get(category);
+    if (!entry?.index) return;
+
+    try {
+      fs.mkdirSync(directory, { recursive: true });
+      const file = fileFor(category);
+      fs.writeFileSync(`${file}.tmp`, entry.index.serialize());
+      fs.renameSync(`${file}.tmp`, file);
+    } catch (error) {
+      console.error(`[KnowledgeIndex] Could not save the ${category} index:`, error);
+    }
+  }
+
+  function scheduleSave(category) {
+    const entry = categories.get(category);
+    if (saveDelayMs <= 0) {
+      save(category);
+      return;
+    }
+    if (entry.timer) return;
+
+    entry.timer = setTimeout(() => {
+      entry.timer = null;
+      save(category);
+    }, saveDelayMs);
+    entry.timer.unref?.();
+  }
+
+  // Index every embedded entry in the category, reusing the graph where it still fits
+  function build(category, graph) {
+    const started = Date.now();
+    const rows = db
+      .prepare('SELECT id, embedding FROM knowledge WHERE category = ? AND embedding IS NOT NULL ORDER BY id')
+      .all(category);
+    const vectors = new Map(rows.map(row => [row.id, fromVectorBlob(row.embedding)]));
+
+    // Vectors from different embedding models can't be compared; the newest model's length wins
+    const dimensions = rows.length ? vectors.get(rows[rows.length - 1].id).length : null;
+
+    let index = null;
+    if (graph && dimensions) {
+      try {
+        index = loadVectorIndex(graph, vectors, indexOptions);
+        if (index.dimensions !== dimensions) index = null;
+      } catch (error) {
+        console.warn(`[KnowledgeIndex] Rebuilding the ${category} index: ${error.message}`);
+      }
+    }
+    if (!index && dimensions) {
+      index = createVectorIndex({ ...indexOptions, dimensions });
+    }
+
+    const skipped = new Set();
+    let added = 0;
+    for (const [id, vector] of vectors) {
+      if (vector.length !== dimensions) skipped.add(id);
+      else if (index.add(id, vector)) added++;
+    }
+    if (skipped.size) {
+      console.warn(`[KnowledgeIndex] ${skipped.size} ${category} entries were embedded by another model and cannot be matched`);
+    }
+
+    const previous = categories.get(category);
+    if (previous?.timer) clearTimeout(previous.timer);
+    categories.set(category, { index, skipped, maxId: rows.length ? rows[rows.length - 1].id : 0, timer: null });
+
+    if (added) {
+      console.log(`[KnowledgeIndex] Indexed ${added} ${category} entries in ${Date.now() - started}ms (${index.size} total)`);
+      scheduleSave(category);
+    }
+    return categories.get(category);
+  }
+
+  // The category's index, caught up with the table
+  function current(category) {
+    const entry = categories.get(category);
+    if (!entry) return build(category, readGraph(category));
+
+    const table = db.prepare(`
+      SELECT COUNT(*) AS count, COALESCE(MAX(id), 0) AS maxId
+      FROM knowledge
+      WHERE category = ? AND embedding IS NOT NULL
+    `).get(category);
+    if (table.count === countOf(entry) && table.maxId === entry.maxId) return entry;
+
+    console.log(`[KnowledgeIndex] ${category} entries changed outside this process; updating the index`);
+    return build(category, entry.index?.serialize() || null);
+  }
+
+  return {
+    /**
+     * Index a category now instead of on its first search
+     * @param {string} category
+     * @returns {number} - Entries in the index
+     */
+    prepare(category) {
+      return current(category).index?.size || 0;
+    },
+
+    /**
+     * Nearest entries in a category
+     * @param {string} category
+     * @param {Array<number>} embedding - Query embedding
+     * @param {number} limit - Maximum results
+     * @returns {Array<{id: number, similarity: number}>} - Most similar first
+     */
+    search(category, embedding, limit) {
+      const { index } = current(category);
+      if (!index) return [];
+      if (index.dimensions !== embedding.length) {
+        console.warn(`[KnowledgeIndex] Query has ${embedding.length} dimensions; ${category} entries have ${index.dimensions}`);
+        return [];
+      }
+      return index.search(embedding, limit);
+    },
+
+    /**
+     * Index a stored entry
+     * @param {string} category
+     * @param {number} id - Entry ID (already in the table)
+     * @param {Array<number>} embedding
+     */
+    add(category, id, embedding) {
+      const entry = categories.get(category);
+      // First use indexes the whole category, this entry included; a new model re-indexes it
+      if (!entry || !entry.index || entry.index.dimensions !== embedding.length) {
+        build(category, entry ? null : readGraph(category));
+        return;
+      }
+
+      if (entry.index.add(id, embedding)) {
+        entry.maxId = Math.max(entry.maxId, id);
+        scheduleSave(category);
+      }
+    },
+
+    /**
+     * Drop deleted entries from every loaded index
+     * @param {Array<number>} ids - Deleted entry IDs
+     */
+    remove(ids) {
+      for (const [category, entry] of categories) {
+        const skipped = ids.filter(id => entry.skipped.delete(id)).length;
+        const removed = entry.index ? entry.index.remove(ids) : 0;
+        if (!removed && !skipped) continue;
+
+        entry.maxId = [...(entry.index?.ids() || []), ...entry.skipped].reduce((max, id) => Math.max(max, id), 0);
+        if (removed) scheduleSave(category);
+      }
+    },
+
+    /**
+     * Save changes that are waiting for their delay
+     */
+    flush() {
+      for (const [category, entry] of categories) {
+        if (!entry.timer) continue;
+        clearTimeout(entry.timer);
+        entry.timer = null;
+        save(category);
+      }
+    }
+  };
+}
+
+export default {
+  resolveIndexDirectory,
+  createKnowledgeIndexes
+};
@@ -4,6 +4,19 @@ import {
   generateClinicalPearls,
   generateAttendingQuestions
 } from '../ai/openai-client.js';
+import { coerceAiOutput } from '../ai/schemas.js';
+import { createPhiScrubber } from '../security/phi-scrubber.js';
+import { getUsageLedger } from '../ai/usage-ledger.js';
+import { getPromptRegistry } from '../ai/prompts/index.js';
+
+// Used for cost savings until the usage ledger has recorded calls
+const ESTIMATED_TOKENS_PER_CALL = 2000;
+const ESTIMATED_COST_PER_1K_TOKENS = 0.03;
+
+// Schema kind of a knowledge base category
+function outputKind(category) {
+  return category === 'pearls' || category === 'questions' ? category : 'interpretation';
+}
 
 /**
  * Smart Responder - Orchestrates between knowledge base and OpenAI
@@ -17,21 +30,32 @@ class SmartResponder {
 
   /**
    * Get response with smart caching
-   * First checks knowledge base, falls back to OpenAI if needed
+   * First checks knowledge base, falls back to OpenAI if needed. The query is
+   * de-identified first: the knowledge base and the LLM only see placeholders,
+   * and the response is re-identified before it is returned.
    * @param {string} query - Query text
    * @param {string} category - Category (lab, imaging, note, pearls, questions)
-   * @param {Object} context - Additional context
-   * @returns {Promise<Object>} - Response with source information
+   * @param {Object} context - Additional context ({ patient } adds the patient's name and MRN to the scrub;
+   *   { userId, reportId } charge the calls to a user and report in the usage ledger;
+   *   onPartial receives the re-identified result so far while the LLM streams it)
+   * @returns {Promise<Object>} - Response with source information, redactionReport and promptVersion
+   *   (name@version of the prompt that produced it; null when answered from the knowledge base)
    */
   async getResponse(query, category, context = {}) {
     console.log(`[SmartResponder] Processing ${category} query...`);
 
+    const phi = createPhiScrubber({ patient: context.patient });
+    const safeQuery = phi.scrub(query);
+    const usage = { userId: context.userId, reportId: context.reportId };
+    const onPartial = context.onPartial && (partial => context.onPartial(phi.restore(partial)));
+
     // Search knowledge base first
     const cachedResults = await this.knowledgeBase.search(
-      query,
+      safeQuery,
       category,
       this.similarityThreshold,
-      3
+      3,
+      usage
     );
 
     // If we found a high-confidence match, use it
@@ -44,50 +68,62 @@ class SmartResponder {
 
       // Increment usage count
       this.knowledgeBase.incrementUsage(match.id);
+      getUsageLedger().record({ ...usage, task: outputKind(category), cacheHit: true });
 
       return {
-        response: match.response,
+        // Entries cached before schema validation may not match the current shape
+        response: phi.restore(coerceAiOutput(outputKind(category), match.response)),
         source: 'knowledge_base',
         confidence: match.confidence,
         similarity: match.similarity,
         usageCount: match.usage_count + 1,
-        apiCallSaved: true
+        apiCallSaved: true,
+        redactionReport: phi.report(),
+        promptVersion: null
       };
     }
 
-    // No good match found, use OpenAI
-    console.log('[SmartResponder] No cached match found, using OpenAI API...');
+    // No good match found, ask the LLM provider chain
+    console.log('[SmartResponder] No cached match found, calling the LLM...');
+
+    const task = outputKind(category);
+    const reportType = task === 'interpretation' ? category : context.reportType || 'general';
+    // Picked here so the report can record which prompt version answered
+    const prompt = getPromptRegistry().select(task, reportType, { key: context.reportId });
 
     let response;
     try {
       if (category === 'pearls') {
-        const interpretationData = typeof query === 'string' ? JSON.parse(query) : query;
-        response = await generateClinicalPearls(interpretationData, context.reportType || 'general');
+        const interpretationData = typeof safeQuery === 'string' ? JSON.parse(safeQuery) : safeQuery;
+        response = await generateClinicalPearls(interpretationData, reportType, { ...usage, onPartial, prompt });
       } else if (category === 'questions') {
-        const interpretationData = typeof query === 'string' ? JSON.parse(query) : query;
-        response = await generateAttendingQuestions(interpretationData, context.reportType || 'general');
+        const interpretationData = typeof safeQuery === 'string' ? JSON.parse(safeQuery) : safeQuery;
+        response = await generateAttendingQuestions(interpretationData, reportType, { ...usage, onPartial, prompt });
       } else {
         // Interpret medical report
-        response = await interpretMedicalReport(query, category, context);
+        response = await interpretMedicalReport(safeQuery, category, { ...context, onPartial, prompt });
       }
 
-      // Store in knowledge base for future use
-      const topic = this.extractTopic(query, category);
+      // Store in knowledge base for future use (still de-identified)
+      const topic = this.extractTopic(safeQuery, category);
       await this.knowledgeBase.store(
         category,
         topic,
-        query,
+        safeQuery,
         JSON.stringify(response),
-        0.8 // Initial confidence
+        0.8, // Initial confidence
+        usage
       );
 
       return {
-        response,
+        response: phi.restore(response),
         source: 'openai_api',
         confidence: 0.8,
         similarity: 1.0,
         usageCount: 1,
-        apiCallSaved: false
+        apiCallSaved: false,
+        redactionReport: phi.report(),
+        promptVersion: prompt.id
       };
     } catch (error) {
       console.error('[SmartResponder] Error getting response:', error);
@@ -151,20 +187,26 @@ class SmartResponder {
 
   /**
    * Calculate estimated cost savings
+   * Priced at the average cost of a completion in the usage ledger over the
+   * last 30 days, or a GPT-4 estimate until the ledger has calls.
    * @param {number} apiCallsSaved - Number of API calls saved
    * @returns {Object} - Cost savings breakdown
    */
   calculateCostSavings(apiCallsSaved) {
-    // Rough estimates based on GPT-4 pricing
-    const avgTokensPerCall = 2000; // Average prompt + completion
-    const costPer1kTokens = 0.03; // GPT-4 average cost
-    const totalTokensSaved = apiCallsSaved * avgTokensPerCall;
-    const dollarsaved = (totalTokensSaved / 1000) * costPer1kTokens;
+    const recorded = getUsageLedger().averageCallCost({ days: 30 });
+    const measured = recorded.calls > 0;
+    const avgTokensPerCall = measured ? recorded.tokens / recorded.calls : ESTIMATED_TOKENS_PER_CALL;
+    const costPerCall = measured
+      ? recorded.cost / recorded.calls
+      : (ESTIMATED_TOKENS_PER_CALL / 1000) * ESTIMATED_COST_PER_1K_TOKENS;
+    const totalTokensSaved = Math.round(apiCallsSaved * avgTokensPerCall);
+    const dollarsSaved = apiCallsSaved * costPerCall;
 
     return {
       apiCallsSaved,
       totalTokensSaved,
       estimatedDollarsSaved: dollarsSaved.toFixed(2),
+      costBasis: measured ? 'usage_ledger' : 'estimate',
       savingsPercentage: apiCallsSaved > 0 ?
         ((apiCallsSaved / (apiCallsSaved + 100)) * 100).toFixed(1) : 0
     };
@@ -0,0 +1,433 @@
+/**
+ * Vector index
+ * Approximate nearest-neighbour search with an HNSW graph (hierarchical
+ * navigable small world, Malkov & Yashunin 2016). Every vector is a node on
+ * layer 0 and, with exponentially falling odds, on sparser layers above it.
+ * A search walks greedily down from the top layer's entry point, then runs a
+ * best-first search of ef candidates on layer 0, so it touches a few hundred
+ * vectors instead of all of them.
+ *
+ * Similarity is cosine: vectors are normalised when added, and distance is
+ * 1 - dot product. The graph serialises without its vectors - they already
+ * live in knowledge.db - and loadVectorIndex() pairs the two up again.
+ */
+
+const FORMAT_VERSION = 1;
+
+/**
+ * Embedding as a float32 blob for SQLite (4 bytes per dimension)
+ * @param {Array<number>|Float32Array} embedding
+ * @returns {Buffer}
+ */
+export function toVectorBlob(embedding) {
+  const vector = Float32Array.from(embedding);
+  return Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength);
+}
+
+/**
+ * Embedding from a float32 blob
+ * @param {Buffer} blob
+ * @returns {Float32Array}
+ */
+export function fromVectorBlob(blob) {
+  // Copied: a Float32Array view needs a 4-byte aligned offset, which SQLite's buffers don't promise
+  return new Float32Array(Uint8Array.from(blob).buffer);
+}
+
+function normalise(embedding, dimensions) {
+  if (embedding.length !== dimensions) {
+    throw new Error(`Vector has ${embedding.length} dimensions; the index holds ${dimensions}`);
+  }
+  const vector = Float32Array.from(embedding);
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm) || 1;
+  for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+  return vector;
+}
+
+// Unrolled by four: this loop is where indexing and search spend their time
+function distance(a, b) {
+  const length = a.length;
+  const rest = length % 4;
+  let d0 = 0;
+  let d1 = 0;
+  let d2 = 0;
+  let d3 = 0;
+  for (let i = 0; i < length - rest; i += 4) {
+    d0 += a[i] * b[i];
+    d1 += a[i + 1] * b[i + 1];
+    d2 += a[i + 2] * b[i + 2];
+    d3 += a[i + 3] * b[i + 3];
+  }
+  for (let i = length - rest; i < length; i++) d0 += a[i] * b[i];
+  return 1 - (d0 + d1 + d2 + d3);
+}
+
+const byDistance = (a, b) => a.distance - b.distance;
+
+// Binary heap, smallest first by compare
+function createHeap(compare) {
+  const items = [];
+  const swap = (i, j) => { [items[i], items[j]] = [items[j], items[i]]; };
+
+  return {
+    get size() { return items.length; },
+    peek: () => items[0],
+    push(item) {
+      items.push(item);
+      let i = items.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (compare(items[i], items[parent]) >= 0) break;
+        swap(i, parent);
+        i = parent;
+      }
+    },
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length) {
+        items[0] = last;
+        let i = 0;
+        for (;;) {
+          const left = 2 * i + 1;
+          const right = left + 1;
+          let smallest = i;
+          if (left < items.length && compare(items[left], items[smallest]) < 0) smallest = left;
+          if (right < items.length && compare(items[right], items[smallest]) < 0) smallest = right;
+          if (smallest === i) break;
+          swap(i, smallest);
+          i = smallest;
+        }
+      }
+      return top;
+    },
+    items: () => [...items]
+  };
+}
+
+/**
+ * Create an empty vector index
+ * @param {Object} options
+ * @param {number} options.dimensions - Vector length
+ * @param {number} options.m - Links per node on the upper layers (twice this on layer 0)
+ * @param {number} options.efConstruction - Candidates considered when linking a new node
+ * @param {number} options.efSearch - Candidates considered by a search (at least the number asked for)
+ * @param {Function} options.random - Draws node levels (for tests)
+ * @param {Object} options.graph - Saved graph to restore (used by loadVectorIndex)
+ * @returns {Object} - Index
+ */
+export function createVectorIndex({
+  dimensions,
+  m = 16,
+  efConstruction = 100,
+  efSearch = 64,
+  random = Math.random,
+  graph = null
+}) {
+  const nodes = new Map(); // id -> { vector, links: one id list per layer }
+  const levelFactor = 1 / Math.log(m);
+  let entryPoint = null;
+  let maxLevel = -1;
+
+  const maxLinks = (layer) => (layer === 0 ? 2 * m : m);
+  const vectorOf = (id) => nodes.get(id).vector;
+
+  function searchLayer(query, entries, ef, layer) {
+    const visited = new Set(entries);
+    const candidates = createHeap(byDistance);
+    const found = createHeap((a, b) => b.distance - a.distance);
+
+    for (const id of entries) {
+      const item = { id, distance: distance(query, vectorOf(id)) };
+      candidates.push(item);
+      found.push(item);
+    }
+
+    while (candidates.size) {
+      const nearest = candidates.pop();
+      if (found.size >= ef && nearest.distance > found.peek().distance) break;
+
+      for (const id of nodes.get(nearest.id).links[layer] || []) {
+        if (visited.has(id)) continue;
+        visited.add(id);
+
+        const item = { id, distance: distance(query, vectorOf(id)) };
+        if (found.size < ef || item.distance < found.peek().distance) {
+          candidates.push(item);
+          found.push(item);
+          if (found.size > ef) found.pop();
+        }
+      }
+    }
+
+    return found.items().sort(byDistance);
+  }
+
+  // Nearest candidates that are not better reached through an already chosen one,
+  // topped up with the nearest of the rest; keeps links pointing in different directions
+  function selectNeighbours(candidates, count) {
+    const chosen = [];
+    const skipped = [];
+    for (const candidate of candidates) {
+      if (chosen.length >= count) break;
+      const vector = vectorOf(candidate.id);
+      if (chosen.every(other => distance(vector, vectorOf(other.id)) > candidate.distance)) {
+        chosen.push(candidate);
+      } else {
+        skipped.push(candidate);
+      }
+    }
+    for (const candidate of skipped) {
+      if (chosen.length >= count) break;
+      chosen.push(candidate);
+    }
+    return chosen.map(candidate => candidate.id);
+  }
+
+  function linksFrom(id, ids, layer) {
+    const vector = vectorOf(id);
+    const candidates = ids.map(other => ({ id: other, distance: distance(vector, vectorOf(other)) })).sort(byDistance);
+    return selectNeighbours(candidates, maxLinks(layer));
+  }
+
+  function descend(query, toLayer) {
+    let entry = entryPoint;
+    for (let layer = maxLevel; layer > toLayer; layer--) {
+      entry = searchLayer(query, [entry], 1, layer)[0].id;
+    }
+    return entry;
+  }
+
+  if (graph) {
+    for (const [id, links] of graph.nodes) {
+      nodes.set(id, { vector: graph.vectors.get(id) || null, links });
+    }
+    entryPoint = graph.entryPoint;
+    maxLevel = graph.maxLevel;
+  }
+
+  const index = {
+    dimensions,
+
+    /**
+     * Number of vectors
+     * @returns {number}
+     */
+    get size() {
+      return nodes.size;
+    },
+
+    /**
+     * Whether an id is indexed
+     * @param {number} id
+     * @returns {boolean}
+     */
+    has(id) {
+      return nodes.has(id);
+    },
+
+    /**
+     * Indexed ids
+     * @returns {Array<number>}
+     */
+    ids() {
+      return [...nodes.keys()];
+    },
+
+    /**
+     * Add a vector
+     * @param {number} id - Entry ID
+     * @param {Array<number>|Float32Array} embedding
+     * @returns {boolean} - false if the id was already indexed
+     */
+    add(id, embedding) {
+      if (nodes.has(id)) return false;
+
+      const vector = normalise(embedding, dimensions);
+      const level = Math.floor(-Math.log(1 - random()) * levelFactor);
+      nodes.set(id, { vector, links: Array.from({ length: level + 1 }, () => []) });
+
+      if (entryPoint === null) {
+        entryPoint = id;
+        maxLevel = level;
+        return true;
+      }
+
+      let entries = [descend(vector, level)];
+      for (let layer = Math.min(level, maxLevel); layer >= 0; layer--) {
+        const found = searchLayer(vector, entries, efConstruction, layer);
+        const neighbours = selectNeighbours(found, m);
+        nodes.get(id).links[layer] = neighbours;
+
+        for (const neighbour of neighbours) {
+          const links = nodes.get(neighbour).links;
+          links[layer].push(id);
+          if (links[layer].length > maxLinks(layer)) {
+            links[layer] = linksFrom(neighbour, links[layer], layer);
+          }
+        }
+        entries = found.map(item => item.id);
+      }
+
+      if (level > maxLevel) {
+        entryPoint = id;
+        maxLevel = level;
+      }
+      return true;
+    },
+
+    /**
+     * Remove vectors, relinking their neighbours to each other so the graph stays connected
+     * @param {Array<number>} ids
+     * @returns {number} - Number removed
+     */
+    remove(ids) {
+      const removed = new Set(ids.filter(id => nodes.has(id)));
+      if (!removed.size) return 0;
+
+      for (const [id, node] of nodes) {
+        if (removed.has(id)) continue;
+        node.links.forEach((links, layer) => {
+          if (!links.some(other => removed.has(other))) return;
+
+          const candidates = new Set();
+          for (const other of links) {
+            if (!removed.has(other)) {
+              candidates.add(other);
+              continue;
+            }
+            for (const next of nodes.get(other).links[layer] || []) {
+              if (next !== id && !removed.has(next)) candidates.add(next);
+            }
+          }
+          node.links[layer] = linksFrom(id, [...candidates], layer);
+        });
+      }
+      removed.forEach(id => nodes.delete(id));
+
+      if (removed.has(entryPoint)) {
+        entryPoint = null;
+        maxLevel = -1;
+        for (const [id, node] of nodes) {
+          if (node.links.length - 1 > maxLevel) {
+            entryPoint = id;
+            maxLevel = node.links.length - 1;
+          }
+        }
+      }
+      return removed.size;
+    },
+
+    /**
+     * Nearest vectors to a query
+     * @param {Array<number>|Float32Array} embedding - Query vector
+     * @param {number} k - Number of results
+     * @param {Object} options
+     * @param {number} options.ef - Candidates to consider (default efSearch)
+     * @returns {Array<{id: number, similarity: number}>} - Most similar first
+     */
+    search(embedding, k, { ef = efSearch } = {}) {
+      if (entryPoint === null) return [];
+
+      const query = normalise(embedding, dimensions);
+      return searchLayer(query, [descend(query, 0)], Math.max(ef, k), 0)
+        .slice(0, k)
+        .map(({ id, distance: d }) => ({ id, similarity: 1 - d }));
+    },
+
+    /**
+     * The graph without its vectors
+     * Layout: 4-byte header length, JSON header, padding to 4 bytes, then per
+     * node int32 [id, level, and per layer: link count, links...].
+     * @returns {Buffer}
+     */
+    serialize() {
+      const body = [];
+      for (const [id, node] of nodes) {
+        body.push(id, node.links.length - 1);
+        for (const links of node.links) body.push(links.length, ...links);
+      }
+
+      const header = Buffer.from(JSON.stringify({
+        format: FORMAT_VERSION,
+        dimensions,
+        m,
+        efConstruction,
+        efSearch,
+        entryPoint,
+        maxLevel,
+        count: nodes.size
+      }));
+      const length = Buffer.alloc(4);
+      length.writeUInt32LE(header.length);
+      const padding = Buffer.alloc((4 - ((4 + header.length) % 4)) % 4);
+      const links = Int32Array.from(body);
+
+      return Buffer.concat([length, header, padding, Buffer.from(links.buffer)]);
+    }
+  };
+
+  return index;
+}
+
+/**
+ * Restore a serialised index
+ * Graph nodes without a vector of the index's length (entries deleted since
+ * the save) are removed;
+ * vectors without a node (entries stored since) are left for the caller to add.
+ * @param {Buffer} buffer - From serialize()
+ * @param {Map<number, Float32Array>} vectors - Vector of every current entry
+ * @param {Object} options - random, as for createVectorIndex
+ * @returns {Object} - Index
+ */
+export function loadVectorIndex(buffer, vectors, options = {}) {
+  const headerLength = buffer.readUInt32LE(0);
+  const header = JSON.parse(buffer.subarray(4, 4 + headerLength).toString());
+  if (header.format !== FORMAT_VERSION) {
+    throw new Error(`Unsupported vector index format ${header.format}`);
+  }
+
+  const start = 4 + headerLength + ((4 - ((4 + headerLength) % 4)) % 4);
+  const body = new Int32Array(Uint8Array.from(buffer.subarray(start)).buffer);
+  const nodes = [];
+  let offset = 0;
+  while (offset < body.length) {
+    const id = body[offset++];
+    const level = body[offset++];
+    const links = [];
+    for (let layer = 0; layer <= level; layer++) {
+      const count = body[offset++];
+      links.push(Array.from(body.subarray(offset, offset + count)));
+      offset += count;
+    }
+    nodes.push([id, links]);
+  }
+  if (nodes.length !== header.count) {
+    throw new Error(`Vector index is truncated: ${nodes.length} of ${header.count} nodes`);
+  }
+
+  const normalised = new Map();
+  for (const [id] of nodes) {
+    if (vectors.get(id)?.length === header.dimensions) normalised.set(id, normalise(vectors.get(id), header.dimensions));
+  }
+
+  const index = createVectorIndex({
+    ...options,
+    dimensions: header.dimensions,
+    m: header.m,
+    efConstruction: header.efConstruction,
+    efSearch: header.efSearch,
+    graph: { nodes, vectors: normalised, entryPoint: header.entryPoint, maxLevel: header.maxLevel }
+  });
+  index.remove(nodes.map(([id]) => id).filter(id => !normalised.has(id)));
+  return index;
+}
+
+export default {
+  toVectorBlob,
+  fromVectorBlob,
+  createVectorIndex,
+  loadVectorIndex
+};
@@ -0,0 +1,94 @@
+/**
+ * Specimen Collection Time
+ * Reads when a sample was taken from the "Collected:" line of a lab printout,
+ * so trends are timed by collection rather than by when the report was saved.
+ *
+ * Numeric dates are read day first (01/03/2024 is 1 March), as printed by the
+ * labs this app is used with. The result is a local wall-clock time without a
+ * zone ("2024-03-01T08:15"); a date printed without a time is taken as midnight.
+ */
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+
+// "Collected:", "Collection Date/Time:", "Date Collected", "Specimen taken", "Sampled", "Drawn"
+const COLLECTION_LABEL = /\b(?:collect(?:ed|ion)(?:\s+(?:date|time|on|at)(?:\s*[/&]\s*time)?)?|date\s*(?:[/&]\s*time\s+)?collected|(?:specimen|sample)\s+(?:collected|taken|date)|sampled|drawn)\b\s*[:#-]?\s*(.*)$/i;
+
+const DATE_FORMS = [
+  // 2024-03-01
+  { pattern: /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/, read: m => [m[1], m[2], m[3]] },
+  // 01/03/2024, 01.03.24, 01-03-2024
+  { pattern: /\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})\b/, read: m => [m[3], m[2], m[1]] },
+  // 01-Mar-2024, 1 March 2024
+  { pattern: new RegExp(`\\b(\\d{1,2})[ -]${MONTH}[ ,-]\\s*(\\d{4}|\\d{2})\\b`, 'i'), read: m => [m[3], monthNumber(m[2]), m[1]] },
+  // Mar 1, 2024
+  { pattern: new RegExp(`\\b${MONTH} (\\d{1,2}),? (\\d{4})\\b`, 'i'), read: m => [m[3], monthNumber(m[1]), m[2]] }
+];
+
+const TIME = /\b(\d{1,2}):(\d{2})(?::\d{2})?\s*([ap]\.?m\.?)?(?![\d:])/i;
+
+/**
+ * Find the specimen collection time in lab report text
+ * @param {string} text - Extracted report text
+ * @returns {string|null} - Local time as YYYY-MM-DDTHH:MM, or null when no collection date is printed
+ */
+export function parseCollectionTime(text) {
+  for (const line of String(text || '').split('\n')) {
+    const label = line.match(COLLECTION_LABEL);
+    if (!label) continue;
+
+    const date = readDate(label[1]);
+    if (date) return `${date}T${readTime(label[1]) || '00:00'}`;
+  }
+
+  return null;
+}
+
+function readDate(text) {
+  for (const { pattern, read } of DATE_FORMS) {
+    const match = text.match(pattern);
+    if (!match) continue;
+
+    const [yearText, monthText, dayText] = read(match);
+    const year = yearText.length === 2 ? 2000 + Number(yearText) : Number(yearText);
+    const month = Number(monthText);
+    const day = Number(dayText);
+
+    // Rejects 31/02 and month-first dates such as 03/15/2024
+    const check = new Date(Date.UTC(year, month - 1, day));
+    if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+      return null;
+    }
+
+    return `${year}-${pad(month)}-${pad(day)}`;
+  }
+
+  return null;
+}
+
+function readTime(text) {
+  const match = text.match(TIME);
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  const meridiem = match[3]?.[0].toLowerCase();
+
+  if (meridiem === 'p' && hours < 12) hours += 12;
+  if (meridiem === 'a' && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59) return null;
+
+  return `${pad(hours)}:${pad(minutes)}`;
+}
+
+function monthNumber(name) {
+  return MONTHS.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+export default {
+  parseCollectionTime
+};
@@ -0,0 +1,599 @@
+/**
+ * Lab Dictionary
+ * Maps free-text test names from OCR to canonical analytes, converts units
+ * and attaches sex/age-specific reference ranges with H/L/critical flags.
+ *
+ * Codes follow LOINC. Every analyte is stored in one canonical unit; other
+ * units carry a multiplicative factor into that unit.
+ */
+
+/**
+ * Analyte definitions
+ * - aliases: lowercase names as they appear on printouts (matched as whole words)
+ * - unit: canonical unit, units: accepted unit spellings -> factor to canonical
+ * - ranges: most specific first; { sex, minAge, maxAge, low, high }
+ * - critical: panic values in canonical units
+ * - plausible: canonical values a real result can take, used to guess a missing unit
+ */
+export const ANALYTES = {
+  sodium: {
+    code: '2951-2',
+    name: 'Sodium',
+    category: 'Chemistry',
+    aliases: ['sodium', 'na', 'na+', 'serum sodium'],
+    unit: 'mmol/L',
+    units: { 'mmol/l': 1, 'meq/l': 1 },
+    ranges: [{ low: 135, high: 145 }],
+    critical: { low: 120, high: 160 },
+    plausible: [90, 200]
+  },
+  potassium: {
+    code: '2823-3',
+    name: 'Potassium',
+    category: 'Chemistry',
+    aliases: ['potassium', 'k', 'k+', 'serum potassium'],
+    unit: 'mmol/L',
+    units: { 'mmol/l': 1, 'meq/l': 1 },
+    ranges: [{ low: 3.5, high: 5.0 }],
+    critical: { low: 2.5, high: 6.5 },
+    plausible: [1, 10]
+  },
+  chloride: {
+    code: '2075-0',
+    name: 'Chloride',
+    category: 'Chemistry',
+    aliases: ['chloride', 'cl', 'cl-'],
+    unit: 'mmol/L',
+    units: { 'mmol/l': 1, 'meq/l': 1 },
+    ranges: [{ low: 98, high: 107 }],
+    critical: { low: 80, high: 120 },
+    plausible: [60, 150]
+  },
+  bicarbonate: {
+    code: '1963-8',
+    name: 'Bicarbonate',
+    category: 'Chemistry',
+    aliases: ['bicarbonate', 'bicarb', 'hco3', 'total co2', 'co2'],
+    unit: 'mmol/L',
+    units: { 'mmol/l': 1, 'meq/l': 1 },
+    ranges: [{ low: 22, high: 29 }],
+    critical: { low: 10, high: 40 },
+    plausible: [2, 60]
+  },
+  urea: {
+    code: '3094-0',
+    name: 'Urea Nitrogen (BUN)',
+    category: 'Renal',
+    aliases: ['bun', 'urea nitrogen', 'blood urea nitrogen', 'urea'],
+    unit: 'mg/dL',
+    units: { 'mg/dl': 1, 'mmol/l': 2.8 },
+    ranges: [{ low: 7, high: 20 }],
+    critical: { high: 100 },
+    plausible: [1, 300]
+  },
+  creatinine: {
+    code: '2160-0',
+    name: 'Creatinine',
+    category: 'Renal',
+    aliases: ['creatinine', 'creat', 'cr', 'serum creatinine'],
+    unit: 'mg/dL',
+    units: { 'mg/dl': 1, 'umol/l': 1 / 88.4, 'mmol/l': 1000 / 88.4 },
+    ranges: [
+      { maxAge: 17, low: 0.3, high: 0.9 },
+      { sex: 'male', low: 0.74, high: 1.35 },
+      { sex: 'female', low: 0.59, high: 1.04 },
+      { low: 0.59, high: 1.35 }
+    ],
+    critical: { high: 10 },
+    plausible: [0.1, 25]
+  },
+  glucose: {
+    code: '2345-7',
+    name: 'Glucose',
+    category: 'Endocrine',
+    aliases: ['glucose', 'glu', 'blood glucose', 'serum glucose', 'fasting glucose', 'random glucose', 'fbs', 'rbs'],
+    unit: 'mg/dL',
+    units: { 'mg/dl': 1, 'mmol/l': 18.016 },
+    ranges: [{ low: 70, high: 140 }],
+    critical: { low: 50, high: 450 },
+    plausible: [10, 2000]
+  },
+  calcium: {
+    code: '17861-6',
+    name: 'Calcium',
+    category: 'Chemistry',
+    aliases: ['calcium', 'ca', 'total calcium'],
+    unit: 'mg/dL',
+    units: { 'mg/dl': 1, 'mmol/l': 4.008 },
+    ranges: [{ low: 8.6, high: 10.3 }],
+    critical: { low: 6.5, high: 13 },
+    plausible: [3, 20]
+  },
+  magnesium: {
+    code: '19123-9',
+    name: 'Magnesium',
+    category: 'Chemistry',
+    aliases: ['magnesium', 'mg'],
+    unit: 'mg/dL',
+    units: { 'mg/dl': 1, 'mmol/l': 2.431 },
+    ranges: [{ low: 1.7, high: 2.2 }],
+    critical: { low: 1.0, high: 4.9 },
+    plausible: [0.3, 10]
+  },
+  phosphate: {
+    code: '2777-1',
+    name: 'Phosphate',
+    category: 'Chemistry',
+    aliases: ['phosphate', 'phosphorus', 'phos', 'po4'],
+    unit: 'mg/dL',
+    units: { 'mg/dl': 1, 'mmol/l': 3.097 },
+    ranges: [
+      { maxAge: 17, low: 4.0, high: 7.0 },
+      { low: 2.5, high: 4.5 }
+    ],
+    critical: { low: 1.0 },
+    plausible: [0.3, 20]
+  },
+  albumin: {
+    code: '1751-7',
+    name: 'Albumin',
+    category: 'Hepatic',
+    aliases: ['albumin', 'alb'],
+    unit: 'g/dL',
+    units: { 'g/dl': 1, 'g/l': 0.1 },
+    ranges: [{ low: 3.5, high: 5.0 }],
+    plausible: [0.5, 7]
+  },
+  bilirubin: {
+    code: '1975-2',
+    name: 'Total Bilirubin',
+    category: 'Hepatic',
+    aliases: ['total bilirubin', 'bilirubin total', 'bilirubin', 't bili', 'tbili', 'tbil'],
+    unit: 'mg/dL',
+    units: { 'mg/dl': 1, 'umol/l': 1 / 17.1 },
+    ranges: [{ low: 0.1, high: 1.2 }],
+    critical: { high: 15 },
+    plausible: [0, 60]
+  },
+  alt: {
+    code: '1742-6',
+    name: 'ALT',
+    category: 'Hepatic',
+    aliases: ['alt', 'sgpt', 'alanine aminotransferase', 'alanine transaminase'],
+    unit: 'U/L',
+    units: { 'u/l': 1, 'iu/l': 1 },
+    ranges: [
+      { sex: 'female', low: 7, high: 35 },
+      { low: 7, high: 56 }
+    ],
+    plausible: [0, 20000]
+  },
+  ast: {
+    code: '1920-8',
+    name: 'AST',
+    category: 'Hepatic',
+    aliases: ['ast', 'sgot', 'aspartate aminotransferase', 'aspartate transaminase'],
+    unit: 'U/L',
+    units: { 'u/l': 1, 'iu/l': 1 },
+    ranges: [{ low: 8, high: 40 }],
+    plausible: [0, 20000]
+  },
+  alp: {
+    code: '6768-6',
+    name: 'Alkaline Phosphatase',
+    category: 'Hepatic',
+    aliases: ['alkaline phosphatase', 'alk phos', 'alp'],
+    unit: 'U/L',
+    units: { 'u/l': 1, 'iu/l': 1 },
+    ranges: [
+      { maxAge: 17, low: 100, high: 390 },
+      { low: 44, high: 147 }
+    ],
+    plausible: [0, 5000]
+  },
+  hemoglobin: {
+    code: '718-7',
+    name: 'Hemoglobin',
+    category: 'Hematology',
+    aliases: ['hemoglobin', 'haemoglobin', 'hgb', 'hb'],
+    unit: 'g/dL',
+    units: { 'g/dl': 1, 'g/l': 0.1, 'mmol/l': 1.611 },
+    ranges: [
+      { maxAge: 11, low: 11.5, high: 15.5 },
+      { sex: 'male', low: 13.5, high: 17.5 },
+      { sex: 'female', low: 12.0, high: 15.5 },
+      { low: 12.0, high: 17.5 }
+    ],
+    critical: { low: 7, high: 20 },
+    plausible: [2, 25]
+  },
+  hematocrit: {
+    code: '4544-3',
+    name: 'Hematocrit',
+    category: 'Hematology',
+    aliases: ['hematocrit', 'haematocrit', 'hct', 'pcv'],
+    unit: '%',
+    units: { '%': 1, 'l/l': 100 },
+    ranges: [
+      { sex: 'male', low: 41, high: 53 },
+      { sex: 'female', low: 36, high: 46 },
+      { low: 36, high: 53 }
+    ],
+    critical: { low: 20, high: 60 },
+    plausible: [5, 80]
+  },
+  wbc: {
+    code: '6690-2',
+    name: 'White Blood Cells',
+    category: 'Hematology',
+    aliases: ['wbc', 'white blood cells', 'white blood cell count', 'white cell count', 'wcc', 'leukocytes', 'total leukocyte count', 'tlc'],
+    unit: '10^9/L',
+    units: { '10^9/l': 1, 'k/ul': 1, '10^3/ul': 1, '/ul': 0.001, '/mm3': 0.001 },
+    ranges: [{ low: 4.0, high: 11.0 }],
+    critical: { low: 1.0, high: 50 },
+    plausible: [0.1, 500]
+  },
+  platelets: {
+    code: '777-3',
+    name: 'Platelets',
+    category: 'Hematology',
+    aliases: ['platelets', 'platelet count', 'plt', 'plts'],
+    unit: '10^9/L',
+    units: { '10^9/l': 1, 'k/ul': 1, '10^3/ul': 1, '/ul': 0.001, '/mm3': 0.001 },
+    ranges: [{ low: 150, high: 400 }],
+    critical: { low: 20, high: 1000 },
+    plausible: [1, 3000]
+  },
+  inr: {
+    code: '6301-6',
+    name: 'INR',
+    category: 'Coagulation',
+    aliases: ['inr', 'pt inr'],
+    unit: '',
+    units: { '': 1, 'ratio': 1 },
+    ranges: [{ low: 0.8, high: 1.2 }],
+    critical: { high: 5 },
+    plausible: [0.5, 20]
+  },
+  troponin: {
+    code: '10839-9',
+    name: 'Troponin I',
+    category: 'Cardiac',
+    aliases: ['troponin i', 'troponin', 'trop i', 'tni', 'hs troponin', 'hs-tni'],
+    unit: 'ng/L',
+    units: { 'ng/l': 1, 'pg/ml': 1, 'ng/ml': 1000, 'ug/l': 1000 },
+    ranges: [
+      { sex: 'female', low: 0, high: 16 },
+      { low: 0, high: 34 }
+    ],
+    critical: { high: 100 },
+    plausible: [0, 100000]
+  },
+  lactate: {
+    code: '2524-7',
+    name: 'Lactate',
+    category: 'Chemistry',
+    aliases: ['lactate', 'lactic acid'],
+    unit: 'mmol/L',
+    units: { 'mmol/l': 1, 'mg/dl': 1 / 9.01 },
+    ranges: [{ low: 0.5, high: 2.0 }],
+    critical: { high: 4 },
+    plausible: [0.1, 30]
+  },
+  crp: {
+    code: '1988-5',
+    name: 'C-Reactive Protein',
+    category: 'Inflammatory',
+    aliases: ['crp', 'c reactive protein', 'c-reactive protein'],
+    unit: 'mg/L',
+    units: { 'mg/l': 1, 'mg/dl': 10 },
+    ranges: [{ low: 0, high: 5 }],
+    plausible: [0, 700]
+  }
+};
+
+// Test name, optional comparator, value, optional printed flag, unit and reference range.
+// Units must contain a slash or be a known bare unit so a following test name ("Na 140 K 4.2")
+// is never swallowed as a unit.
+const LAB_RESULT_PATTERN = new RegExp(
+  '([A-Za-z][A-Za-z0-9()+\\-\\/.,]*(?:[ \\t]+[A-Za-z(][A-Za-z0-9()+\\-\\/.,]*)*?)' +
+  '(?:\\s*[:=]\\s*|\\s+)' +
+  '([<>])?\\s*(\\d+(?:\\.\\d+)?)' +
+  '(?:\\s*(HH|LL|H|L|\\*)(?=\\s|$))?' +
+  '(?:\\s*((?:x\\s*)?10\\s*[\\^*e]\\s*\\d+\\s*\\/\\s*[A-Za-zµμ]+|[A-Za-zµμ]+\\/[A-Za-zµμ0-9^]+|%|fL|pg|IU|U|ratio)(?=[\\s\\[(]|$))?' +
+  '(?:\\s*[\\[(]?\\s*(\\d+(?:\\.\\d+)?\\s*(?:-|–|to)\\s*\\d+(?:\\.\\d+)?)\\s*[\\])]?)?',
+  'g'
+);
+
+/**
+ * Extract lab results from one line of OCR text
+ * A line can hold several results when the printout has more than one column.
+ * @param {string} line - OCR text line
+ * @returns {Array<{test: string, value: string, comparator: string|null, unit: string, referenceRange: string, printedFlag: string|null, raw: string}>}
+ */
+export function parseLabLine(line) {
+  const results = [];
+
+  for (const match of String(line || '').matchAll(LAB_RESULT_PATTERN)) {
+    const test = match[1].trim();
+    if (test.length > 50) continue;
+
+    results.push({
+      test,
+      value: match[3],
+      comparator: match[2] || null,
+      unit: (match[5] || '').replace(/\s+/g, ''),
+      referenceRange: (match[6] || '').replace(/\s+/g, ''),
+      printedFlag: match[4] || null,
+      raw: match[0].trim()
+    });
+  }
+
+  return results;
+}
+
+const TABLE_VALUE_PATTERN = /^([<>])?\s*(\d+(?:\.\d+)?)\s*(HH|LL|H|L|\*)?$/;
+const PRINTED_FLAGS = { hh: 'HH', ll: 'LL', h: 'H', l: 'L', '*': '*', high: 'H', low: 'L' };
+
+/**
+ * Extract lab results from a table rebuilt from OCR word positions
+ * Each record already pairs a test with its own result, flag, unit and range
+ * cells (see buildLayout in lib/ocr/layout.js), so no line-level matching is needed.
+ * @param {Object} table - { rows: [{ text, records: [{ test, result, flag, unit, range }] }] }
+ * @returns {Array<{test: string, value: string, comparator: string|null, unit: string, referenceRange: string, printedFlag: string|null, raw: string}>}
+ */
+export function parseLabTable(table) {
+  return (table?.rows || []).flatMap(row => row.records.flatMap(record => {
+    const value = String(record.result || '').trim().match(TABLE_VALUE_PATTERN);
+    const test = String(record.test || '').trim();
+    if (!value || !test || test.length > 50) return [];
+
+    const range = String(record.range || '').match(/-?\d+(?:\.\d+)?\s*(?:-|–|to)\s*\d+(?:\.\d+)?/);
+    const flag = PRINTED_FLAGS[String(record.flag || value[3] || '').trim().toLowerCase()] || null;
+
+    return [{
+      test,
+      value: value[2],
+      comparator: value[1] || null,
+      unit: String(record.unit || '').replace(/\s+/g, ''),
+      referenceRange: range ? range[0].replace(/\s+/g, '') : '',
+      printedFlag: flag,
+      raw: row.text
+    }];
+  }));
+}
+
+// Alias -> analyte key, longest aliases first so "total bilirubin" wins over "bilirubin"
+const ALIAS_INDEX = Object.entries(ANALYTES)
+  .flatMap(([key, def]) => def.aliases.map(alias => ({ alias: normalizeName(alias), key })))
+  .sort((a, b) => b.alias.length - a.alias.length);
+
+/**
+ * Find the canonical analyte for a test name as printed
+ * @param {string} testName - Raw test name (e.g. "Hgb", "Sodium Na")
+ * @returns {string|null} - Analyte key or null if unknown
+ */
+export function resolveAnalyte(testName) {
+  const normalized = normalizeName(testName);
+  if (!normalized) return null;
+
+  const padded = ` ${normalized} `;
+  const match = ALIAS_INDEX.find(({ alias }) => padded.includes(` ${alias} `));
+
+  return match ? match.key : null;
+}
+
+/**
+ * Normalize a unit string for lookup ("µmol/L" -> "umol/l", "x10^9/L" -> "10^9/l")
+ * @param {string} unit - Unit as printed
+ * @returns {string}
+ */
+export function normalizeUnit(unit) {
+  if (!unit) return '';
+
+  return unit
+    .toLowerCase()
+    .replace(/\s+/g, '')
+    .replace(/[µμ]/g, 'u')
+    .replace(/^mcmol/, 'umol')
+    .replace(/^mcg/, 'ug')
+    .replace(/^x(?=10)/, '')
+    .replace(/10\*(\d)/, '10^$1')
+    .replace(/10e(\d)/, '10^$1')
+    .replace(/^thou\/ul$/, 'k/ul')
+    .replace(/^10\^3\/mm3$/, '10^3/ul')
+    .replace(/^giga\/l$/, '10^9/l');
+}
+
+/**
+ * Pick the reference range for a patient
+ * @param {string} analyteKey - Analyte key
+ * @param {Object} patient - { sex|gender, age }
+ * @returns {{low: number|undefined, high: number|undefined}|null}
+ */
+export function getReferenceRange(analyteKey, patient = {}) {
+  const def = ANALYTES[analyteKey];
+  if (!def) return null;
+
+  const { sex: rawSex, gender, age: rawAge } = patient || {};
+  const sex = normalizeSex(rawSex || gender);
+  const age = rawAge !== undefined && rawAge !== null && rawAge !== '' ? Number(rawAge) : null;
+
+  const range = def.ranges.find(r => {
+    if (r.sex && r.sex !== sex) return false;
+    if (r.minAge !== undefined && (age === null || age < r.minAge)) return false;
+    if (r.maxAge !== undefined && (age === null || age > r.maxAge)) return false;
+    return true;
+  });
+
+  return range ? { low: range.low, high: range.high } : null;
+}
+
+/**
+ * Normalize a single parsed lab result
+ * @param {Object} result - { test, value, unit, referenceRange }
+ * @param {Object} patient - { sex|gender, age } for range selection
+ * @returns {Object} - Original fields plus analyte, code, canonical value/unit, range and flag
+ */
+export function normalizeLabResult(result, patient = {}) {
+  const analyte = resolveAnalyte(result.test);
+  const rawValue = parseFloat(result.value);
+
+  if (!analyte || Number.isNaN(rawValue)) {
+    return { ...result, analyte: null, flag: null, critical: false };
+  }
+
+  const def = ANALYTES[analyte];
+  const unitKey = resolveUnitKey(def, rawValue, result.unit);
+  const factor = unitKey !== null ? def.units[unitKey] : null;
+
+  // Unit we cannot convert - keep the value but do not flag against canonical ranges
+  if (factor === null) {
+    return {
+      ...result,
+      analyte,
+      code: def.code,
+      name: def.name,
+      category: def.category,
+      flag: null,
+      critical: false,
+      unitRecognized: false
+    };
+  }
+
+  const value = roundValue(rawValue * factor);
+  const printedRange = parseRange(result.referenceRange);
+  const referenceRange = printedRange
+    ? { low: roundValue(printedRange.low * factor), high: roundValue(printedRange.high * factor), source: 'report' }
+    : withSource(getReferenceRange(analyte, patient), 'dictionary');
+
+  const flag = computeFlag(value, referenceRange, def.critical);
+
+  return {
+    ...result,
+    analyte,
+    code: def.code,
+    name: def.name,
+    category: def.category,
+    value,
+    unit: def.unit,
+    originalValue: result.value,
+    originalUnit: result.unit || '',
+    unitRecognized: true,
+    referenceRange,
+    flag,
+    critical: flag === 'HH' || flag === 'LL'
+  };
+}
+
+/**
+ * Normalize a list of parsed lab results
+ * @param {Array<Object>} results - Parsed results
+ * @param {Object} patient - Patient context for reference ranges
+ * @returns {Array<Object>}
+ */
+export function normalizeLabResults(results = [], patient = {}) {
+  return results.map(result => normalizeLabResult(result, patient));
+}
+
+/**
+ * Whether a normalized result is a value the analyte can really take
+ * A misread decimal point ("K 58" for 5.8) usually lands far outside this range.
+ * @param {Object} result - Result from normalizeLabResult
+ * @returns {boolean|null} - null when the analyte or unit is unknown
+ */
+export function isPlausibleResult(result) {
+  const def = result?.analyte ? ANALYTES[result.analyte] : null;
+  if (!def?.plausible || !result.unitRecognized || typeof result.value !== 'number') return null;
+  return isPlausible(def, result.value);
+}
+
+/**
+ * Format a reference range for display ("135-145 mmol/L")
+ * @param {Object} range - { low, high }
+ * @param {string} unit - Unit
+ * @returns {string}
+ */
+export function formatReferenceRange(range, unit = '') {
+  if (!range) return '';
+  const suffix = unit ? ` ${unit}` : '';
+  if (range.low !== undefined && range.high !== undefined) return `${range.low}-${range.high}${suffix}`;
+  if (range.high !== undefined) return `<${range.high}${suffix}`;
+  if (range.low !== undefined) return `>${range.low}${suffix}`;
+  return '';
+}
+
+function resolveUnitKey(def, value, unit) {
+  const normalized = normalizeUnit(unit);
+
+  if (normalized) {
+    return def.units[normalized] !== undefined ? normalized : null;
+  }
+
+  // No unit printed: assume canonical unless the value is only plausible in an alternative unit
+  const canonicalKey = normalizeUnit(def.unit);
+  if (!def.plausible || isPlausible(def, value)) return canonicalKey;
+
+  const alternative = Object.keys(def.units).find(key => isPlausible(def, value * def.units[key]));
+  return alternative !== undefined ? alternative : canonicalKey;
+}
+
+function isPlausible(def, canonicalValue) {
+  const [min, max] = def.plausible;
+  return canonicalValue >= min && canonicalValue <= max;
+}
+
+function computeFlag(value, range, critical = {}) {
+  if (critical.low !== undefined && value < critical.low) return 'LL';
+  if (critical.high !== undefined && value > critical.high) return 'HH';
+  if (!range) return null;
+  if (range.low !== undefined && value < range.low) return 'L';
+  if (range.high !== undefined && value > range.high) return 'H';
+  return 'N';
+}
+
+function parseRange(text) {
+  if (!text) return null;
+  const match = String(text).match(/(-?\d+(?:\.\d+)?)\s*(?:-|–|to)\s*(\d+(?:\.\d+)?)/);
+  if (!match) return null;
+
+  const low = parseFloat(match[1]);
+  const high = parseFloat(match[2]);
+  return low < high ? { low, high } : null;
+}
+
+function withSource(range, source) {
+  return range ? { ...range, source } : null;
+}
+
+function normalizeName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9+\- ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function normalizeSex(sex) {
+  const value = String(sex || '').toLowerCase();
+  if (value === 'm' || value === 'male') return 'male';
+  if (value === 'f' || value === 'female') return 'female';
+  return null;
+}
+
+function roundValue(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+export default {
+  ANALYTES,
+  parseLabLine,
+  parseLabTable,
+  resolveAnalyte,
+  normalizeUnit,
+  getReferenceRange,
+  normalizeLabResult,
+  normalizeLabResults,
+  isPlausibleResult,
+  formatReferenceRange
+};
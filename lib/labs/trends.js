@@ -0,0 +1,291 @@
+/**
+ * Longitudinal Lab Trends
+ * Builds per-analyte time series across a patient's reports and flags
+ * clinically meaningful shifts (e.g. KDIGO creatinine rise, hemoglobin drop).
+ * Shift rules only compare results whose specimen collection time is known;
+ * a report without one is placed by when it was saved but never triggers them.
+ *
+ * Pure functions - used by the trends API route and directly by client pages.
+ */
+
+import { ANALYTES, parseLabLine, normalizeLabResult, normalizeLabResults } from './lab-dictionary.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Shift rules, evaluated against earlier points inside `windowHours`.
+ * `change` is absolute in the analyte's canonical unit; `percent` is relative to the earlier value.
+ */
+export const TREND_RULES = [
+  {
+    id: 'aki_absolute',
+    analyte: 'creatinine',
+    direction: 'rise',
+    change: 0.3,
+    windowHours: 48,
+    severity: 'critical',
+    label: 'Creatinine rise ≥0.3 mg/dL within 48h (KDIGO AKI criterion)'
+  },
+  {
+    id: 'aki_relative',
+    analyte: 'creatinine',
+    direction: 'rise',
+    percent: 50,
+    windowHours: 7 * 24,
+    severity: 'critical',
+    label: 'Creatinine ≥1.5× baseline within 7 days (KDIGO AKI criterion)'
+  },
+  {
+    id: 'hemoglobin_drop',
+    analyte: 'hemoglobin',
+    direction: 'drop',
+    change: 2,
+    windowHours: 48,
+    severity: 'critical',
+    label: 'Hemoglobin drop ≥2 g/dL within 48h - assess for bleeding'
+  },
+  {
+    id: 'potassium_rise',
+    analyte: 'potassium',
+    direction: 'rise',
+    change: 1,
+    windowHours: 24,
+    severity: 'abnormal',
+    label: 'Potassium rise ≥1 mmol/L within 24h'
+  },
+  {
+    id: 'sodium_rapid_change',
+    analyte: 'sodium',
+    direction: 'either',
+    change: 10,
+    windowHours: 24,
+    severity: 'critical',
+    label: 'Sodium change ≥10 mmol/L within 24h - risk of osmotic demyelination'
+  },
+  {
+    id: 'platelet_drop',
+    analyte: 'platelets',
+    direction: 'drop',
+    percent: 50,
+    windowHours: 10 * 24,
+    severity: 'abnormal',
+    label: 'Platelet fall ≥50% within 10 days - consider HIT and consumption'
+  }
+];
+
+/**
+ * Get normalized lab results for a report
+ * Falls back to parsing the extracted text for reports saved before normalization existed.
+ * @param {Object} report - Report (DB row or local report)
+ * @param {Object} patient - Patient context for reference ranges
+ * @returns {Array<Object>} - Normalized results with a recognized analyte
+ */
+export function getReportLabResults(report, patient = null) {
+  const structured = report.structuredData?.results;
+  const text = report.extractedText ?? report.extracted_text;
+
+  let results;
+  if (Array.isArray(structured) && structured.length > 0) {
+    results = structured.map(result =>
+      result.analyte === undefined ? normalizeLabResult(result, patient) : result
+    );
+  } else if ((report.type || report.report_type) === 'lab' && text) {
+    results = normalizeLabResults(
+      text.split('\n').flatMap(line => parseLabLine(line)),
+      patient
+    );
+  } else {
+    results = [];
+  }
+
+  return results.filter(result => result.analyte && result.unitRecognized !== false);
+}
+
+/**
+ * Build lab trends for a patient
+ * @param {Array<Object>} reports - Patient reports, any order
+ * @param {Object} patient - Patient context for reference ranges
+ * @returns {{series: Array<Object>, alerts: Array<Object>, reportCount: number}}
+ */
+export function buildLabTrends(reports = [], patient = null) {
+  const byAnalyte = new Map();
+
+  reports.forEach(report => {
+    const takenAt = getReportTime(report);
+    if (!takenAt) return;
+    const timeKnown = Boolean(getCollectionTime(report));
+
+    getReportLabResults(report, patient).forEach(result => {
+      if (!byAnalyte.has(result.analyte)) {
+        byAnalyte.set(result.analyte, []);
+      }
+      byAnalyte.get(result.analyte).push({
+        value: Number(result.value),
+        flag: result.flag,
+        takenAt: takenAt.toISOString(),
+        time: takenAt.getTime(),
+        timeKnown,
+        reportId: report.id
+      });
+    });
+  });
+
+  const series = [];
+  const alerts = [];
+
+  for (const [analyte, points] of byAnalyte) {
+    points.sort((a, b) => a.time - b.time);
+
+    const withDeltas = points.map((point, index) => {
+      const previous = points[index - 1];
+      if (!previous) {
+        return { ...point, delta: null, ratePerDay: null };
+      }
+      const hours = (point.time - previous.time) / HOUR_MS;
+      const delta = round(point.value - previous.value);
+      return {
+        ...point,
+        delta,
+        ratePerDay: hours > 0 && point.timeKnown && previous.timeKnown ? round(delta / hours * 24) : null
+      };
+    });
+
+    const def = ANALYTES[analyte];
+    const first = withDeltas[0];
+    const latest = withDeltas[withDeltas.length - 1];
+
+    series.push({
+      analyte,
+      name: def.name,
+      code: def.code,
+      unit: def.unit,
+      category: def.category,
+      points: withDeltas.map(({ time, ...point }) => point),
+      latest: latest.value,
+      latestFlag: latest.flag,
+      delta: latest.delta,
+      ratePerDay: latest.ratePerDay,
+      changeFromFirst: withDeltas.length > 1 ? round(latest.value - first.value) : null,
+      min: Math.min(...points.map(p => p.value)),
+      max: Math.max(...points.map(p => p.value))
+    });
+
+    alerts.push(...evaluateRules(analyte, def, points.filter(point => point.timeKnown)));
+  }
+
+  series.sort((a, b) => {
+    const alertDiff = countAlerts(alerts, b.analyte) - countAlerts(alerts, a.analyte);
+    return alertDiff !== 0 ? alertDiff : a.name.localeCompare(b.name);
+  });
+
+  return {
+    series,
+    alerts: alerts.sort((a, b) => new Date(b.to.takenAt) - new Date(a.to.takenAt)),
+    reportCount: reports.length
+  };
+}
+
+/**
+ * Check every rule for an analyte; reports the most recent trigger per rule
+ */
+function evaluateRules(analyte, def, points) {
+  const alerts = [];
+
+  TREND_RULES.filter(rule => rule.analyte === analyte).forEach(rule => {
+    for (let i = points.length - 1; i > 0; i--) {
+      const current = points[i];
+      const windowStart = current.time - rule.windowHours * HOUR_MS;
+      const earlier = points.slice(0, i).filter(p => p.time >= windowStart);
+
+      const trigger = earlier
+        .map(p => ({ from: p, change: current.value - p.value }))
+        .filter(({ from, change }) => meetsRule(rule, from.value, change))
+        .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))[0];
+
+      if (trigger) {
+        alerts.push({
+          rule: rule.id,
+          analyte,
+          name: def.name,
+          unit: def.unit,
+          severity: rule.severity,
+          message: rule.label,
+          change: round(trigger.change),
+          percentChange: trigger.from.value !== 0 ? round(trigger.change / trigger.from.value * 100) : null,
+          hours: round((current.time - trigger.from.time) / HOUR_MS),
+          from: { value: trigger.from.value, takenAt: trigger.from.takenAt, reportId: trigger.from.reportId },
+          to: { value: current.value, takenAt: current.takenAt, reportId: current.reportId }
+        });
+        break;
+      }
+    }
+  });
+
+  return alerts;
+}
+
+function meetsRule(rule, fromValue, change) {
+  const directional = rule.direction === 'rise' ? change
+    : rule.direction === 'drop' ? -change
+      : Math.abs(change);
+
+  if (directional <= 0) return false;
+  if (rule.change !== undefined && directional >= rule.change) return true;
+  if (rule.percent !== undefined && fromValue > 0 && directional / fromValue * 100 >= rule.percent) return true;
+  return false;
+}
+
+/**
+ * When the report's specimen was collected, as parsed from the printout
+ * @param {Object} report - Report (DB row or local report)
+ * @returns {Date|null} - null when the collection time is unknown
+ */
+export function getCollectionTime(report) {
+  const structured = report.structuredData ?? parseJson(report.structured_data);
+  return toDate(report.collectedAt || structured?.collectedAt);
+}
+
+/**
+ * When a report was taken: collection time if known, otherwise when it was saved
+ * @param {Object} report - Report (DB row or local report)
+ * @returns {Date|null}
+ */
+export function getReportTime(report) {
+  return getCollectionTime(report) || toDate(report.createdAt || report.created_at);
+}
+
+function toDate(raw) {
+  if (!raw) return null;
+
+  // SQLite CURRENT_TIMESTAMP is UTC without a zone marker
+  const normalized = typeof raw === 'string' && /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(raw)
+    ? `${raw.replace(' ', 'T')}Z`
+    : raw;
+  const date = new Date(normalized);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function parseJson(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+function countAlerts(alerts, analyte) {
+  return alerts.filter(a => a.analyte === analyte).length;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export default {
+  TREND_RULES,
+  getReportLabResults,
+  getCollectionTime,
+  getReportTime,
+  buildLabTrends
+};
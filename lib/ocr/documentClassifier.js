@@ -0,0 +1,211 @@
+/**
+ * Document Type Classifier
+ * Guesses whether OCR text is a lab, imaging, note or ECG report from header
+ * keywords, section headings and the density of tabular result rows.
+ * Runs in the browser and on the server.
+ */
+
+import { parseLabLine, resolveAnalyte } from '../labs/lab-dictionary.js';
+
+export const DOCUMENT_TYPES = ['lab', 'imaging', 'note', 'ecg', 'general'];
+
+// Below this the scanner asks the user to confirm the type
+export const LOW_CONFIDENCE_THRESHOLD = 0.6;
+
+// Only the top of a document (or PDF page) is searched for a report header
+const HEADER_LINES = 8;
+
+// Scores below this are not evidence of any particular type
+const MIN_EVIDENCE = 2;
+
+// Score at which evidence is considered strong
+const STRONG_EVIDENCE = 6;
+
+const WEIGHTS = {
+  header: 4,
+  section: 2,
+  keyword: 1,
+  resultRow: 1,
+  tabular: 2
+};
+
+/**
+ * Report headers that name the document type.
+ * Checked in order; the first match wins.
+ */
+export const REPORT_HEADERS = [
+  {
+    type: 'ecg',
+    pattern: /\b(ecg|ekg|electrocardiogra(m|ph)|12[- ]lead)\b/i
+  },
+  {
+    type: 'lab',
+    pattern: /\b(laboratory|lab results?|haematology|hematology|biochemistry|clinical chemistry|complete blood count|full blood count|renal profile|liver function|blood gas)\b/i
+  },
+  {
+    type: 'imaging',
+    pattern: /\b(radiology|imaging report|x-?ray|radiograph|ct (scan|head|chest|abdomen)|computed tomography|mri|magnetic resonance|ultrasound|sonograph)/i
+  },
+  {
+    type: 'note',
+    pattern: /\b(discharge summary|progress note|clinical note|admission note|consultation|history of present(ing)? illness|ward round)\b/i
+  }
+];
+
+/**
+ * Section headings (start of a line) that belong to a document type
+ */
+const SECTION_HEADINGS = {
+  imaging: /^(impression|findings|technique|comparison|conclusion|clinical (history|indication))\b\s*:?/i,
+  note: /^(subjective|objective|assessment(\s*(\/|and|&)\s*plan)?|a\/p|plan|hpi|history of present(ing)? illness|physical exam(ination)?|chief complaint|presenting complaint|past medical history|medications|allergies)\b\s*:?/i,
+  ecg: /^(rhythm|rate|axis|intervals?|interpretation)\b\s*:?/i
+};
+
+/**
+ * Body keywords; each distinct match adds a point
+ */
+const KEYWORDS = {
+  lab: [
+    /\breference (range|interval)\b/i,
+    /\bspecimen\b/i,
+    /\b(collected|received|reported)\s*:/i,
+    /\b(serum|plasma|whole blood)\b/i,
+    /\bmmol\/l\b/i,
+    /\b(mg|g)\/dl\b/i,
+    /\b10\^?9\/l\b/i
+  ],
+  imaging: [
+    /\bcontrast\b/i,
+    /\bunremarkable\b/i,
+    /\b(opacit(y|ies)|consolidation|effusion|pneumothorax|nodule|lesion)\b/i,
+    /\b(axial|coronal|sagittal)\b/i,
+    /\bradiologist\b/i,
+    /\bno acute (findings|abnormality|intracranial)\b/i
+  ],
+  note: [
+    /\bpatient (reports|denies|states|complains)\b/i,
+    /\b(c\/o|pmh|hx|sob|o\/e)\b/i,
+    /\b(plan|continue|monitor|review)\b.*\b(tomorrow|today|daily|mane|nocte|bd|tds)\b/i,
+    /\bon examination\b/i,
+    /\bdiagnos(is|es)\b/i
+  ],
+  ecg: [
+    /\bpr( interval)?\s*[:=]?\s*\d{2,3}\s*ms\b/i,
+    /\bqrs( duration)?\s*[:=]?\s*\d{2,3}\s*ms\b/i,
+    /\bqtc?\s*[:=]?\s*\d{3}\s*ms\b/i,
+    /\bsinus (rhythm|tachycardia|bradycardia)\b/i,
+    /\b(atrial fibrillation|atrial flutter|av block|bundle branch block|[lr]bbb)\b/i,
+    /\b(left|right) axis deviation\b/i,
+    /\bst (elevation|depression)\b/i,
+    /\b(heart )?rate\s*[:=]?\s*\d{2,3}\s*(bpm|\/min)\b/i
+  ]
+};
+
+/**
+ * Detect the report type named in the header lines of a document or page
+ * @param {string} text - Document or page text
+ * @returns {string|null} - lab, imaging, note, ecg or null when no header matches
+ */
+export function detectReportHeader(text) {
+  const header = toLines(text).slice(0, HEADER_LINES).join('\n');
+  const match = REPORT_HEADERS.find(({ pattern }) => pattern.test(header));
+  return match ? match.type : null;
+}
+
+function toLines(text) {
+  return (text || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Classify a document from its OCR text
+ * @param {string} text - OCR text
+ * @returns {{type: string, confidence: number, scores: Object, reasons: string[]}}
+ */
+export function classifyDocument(text) {
+  const lines = toLines(text);
+  const scores = { lab: 0, imaging: 0, note: 0, ecg: 0 };
+  const reasons = [];
+
+  const add = (type, points, reason) => {
+    scores[type] += points;
+    reasons.push(`${type}: ${reason}`);
+  };
+
+  // Header keywords
+  const headerType = detectReportHeader(text);
+  if (headerType) {
+    add(headerType, WEIGHTS.header, 'report header');
+  }
+
+  // Section headings
+  for (const [type, pattern] of Object.entries(SECTION_HEADINGS)) {
+    const headings = new Set(
+      lines
+        .map(line => line.match(pattern)?.[1]?.toLowerCase())
+        .filter(Boolean)
+    );
+    if (headings.size > 0) {
+      add(type, headings.size * WEIGHTS.section, `section headings (${[...headings].join(', ')})`);
+    }
+  }
+
+  // Body keywords
+  for (const [type, patterns] of Object.entries(KEYWORDS)) {
+    const matched = patterns.filter(pattern => pattern.test(text || '')).length;
+    if (matched > 0) {
+      add(type, matched * WEIGHTS.keyword, `${matched} keyword(s)`);
+    }
+  }
+
+  // Tabular result rows: recognized analytes with a value on the same line
+  const resultRows = lines.filter(line =>
+    parseLabLine(line).some(result => resolveAnalyte(result.test))
+  ).length;
+  if (resultRows > 0) {
+    add('lab', Math.min(resultRows, STRONG_EVIDENCE) * WEIGHTS.resultRow, `${resultRows} result row(s)`);
+  }
+
+  // Layout: a table of numbers (several numeric columns per line)
+  const numericRows = lines.filter(line => (line.match(/\d+(\.\d+)?/g) || []).length >= 2).length;
+  if (lines.length >= 4 && numericRows / lines.length >= 0.4 && scores.ecg < STRONG_EVIDENCE) {
+    add('lab', WEIGHTS.tabular, `tabular layout (${numericRows}/${lines.length} numeric rows)`);
+  }
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [[topType, topScore], [, secondScore]] = ranked;
+
+  if (topScore < MIN_EVIDENCE) {
+    return {
+      type: 'general',
+      confidence: 0.3,
+      scores,
+      reasons: reasons.length > 0 ? reasons : ['no type-specific cues']
+    };
+  }
+
+  // Share of the evidence, scaled down when the evidence itself is thin
+  const margin = topScore / (topScore + secondScore);
+  const strength = Math.min(1, topScore / STRONG_EVIDENCE);
+  const confidence = Math.round(margin * strength * 100) / 100;
+
+  return { type: topType, confidence, scores, reasons };
+}
+
+/**
+ * Whether a classification should be confirmed by the user
+ * @param {{confidence: number}} classification
+ */
+export function needsConfirmation(classification) {
+  return !classification || classification.confidence < LOW_CONFIDENCE_THRESHOLD;
+}
+
+export default {
+  classifyDocument,
+  detectReportHeader,
+  needsConfirmation,
+  DOCUMENT_TYPES,
+  LOW_CONFIDENCE_THRESHOLD
+};
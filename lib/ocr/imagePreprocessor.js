@@ -3,7 +3,17 @@
  * Fast, lightweight preprocessing - 10x faster than before
  */
 
+import {
+  detectPageCorners,
+  warpPerspective,
+  estimateSkewAngle,
+  rotateImage,
+  sauvolaBinarize
+} from './pageGeometry.js';
+import { analyzeImageQuality } from './imageQuality.js';
+
 const MAX_DIMENSION = 2048; // Resize large images
+const MIN_DESKEW_ANGLE = 0.2; // Degrees - smaller skews don't affect OCR
 
 /**
  * Quick preprocessing - DEFAULT (recommended for speed)
@@ -57,32 +67,43 @@ export async function preprocessImage(file) {
 
 /**
  * Full preprocessing with enhancements (SLOWER - use only when needed)
+ * Document-geometry steps are opt-in:
+ * - perspective: true to detect the page, or { corners } (normalized TL, TR, BR, BL)
+ *   confirmed in the scanner preview; the page is warped to an upright rectangle
+ * - deskew: rotate so the text lines are horizontal
+ * - binarize: 'sauvola' (or an options object for sauvolaBinarize) for local Tesseract OCR
  */
 export async function preprocessImageFull(file, options = {}) {
   const {
     enableEnhancement = true,
     enableGrayscale = false,
-    enableSharpening = false
+    enableSharpening = false,
+    perspective = false,
+    deskew = false,
+    binarize = false
   } = options;
 
   console.log('[ImagePreprocessor] Full preprocessing...');
 
   try {
-    const resized = await preprocessImage(file);
-    const img = await loadImage(resized);
-    
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d', { willReadFrequently: true });
-
-    canvas.width = img.width;
-    canvas.height = img.height;
+    const { canvas, ctx, resized } = await drawOriented(file);
+
+    if (perspective) {
+      const corners = perspective.corners || detectPageCorners(readImage(ctx))?.corners;
+      if (corners) {
+        writeImage(ctx, warpPerspective(readImage(ctx), corners));
+        console.log(`[ImagePreprocessor] Perspective corrected → ${canvas.width}x${canvas.height}`);
+      } else {
+        console.log('[ImagePreprocessor] No page outline found, skipping perspective correction');
+      }
+    }
 
-    // Auto-rotate based on EXIF
-    const orientation = await getImageOrientation(file);
-    if (orientation !== 1) {
-      drawImageWithOrientation(ctx, img, orientation);
-    } else {
-      ctx.drawImage(img, 0, 0);
+    if (deskew) {
+      const angle = estimateSkewAngle(readImage(ctx));
+      if (Math.abs(angle) >= MIN_DESKEW_ANGLE) {
+        writeImage(ctx, rotateImage(readImage(ctx), -angle));
+        console.log(`[ImagePreprocessor] Deskewed by ${angle}°`);
+      }
     }
 
     if (enableEnhancement) {
@@ -97,12 +118,17 @@ export async function preprocessImageFull(file, options = {}) {
       sharpenImageFast(ctx, canvas.width, canvas.height);
     }
 
+    if (binarize) {
+      writeImage(ctx, sauvolaBinarize(readImage(ctx), typeof binarize === 'object' ? binarize : {}));
+    }
+
     console.log('[ImagePreprocessor] Complete (full mode)');
 
+    // Binarized pages compress far better (and without artefacts) as PNG
     return new Promise((resolve) => {
       canvas.toBlob((blob) => {
         resolve(blob || resized);
-      }, 'image/jpeg', 0.92);
+      }, binarize ? 'image/png' : 'image/jpeg', 0.92);
     });
   } catch (error) {
     console.error('[ImagePreprocessor] Error:', error);
@@ -110,6 +136,77 @@ export async function preprocessImageFull(file, options = {}) {
   }
 }
 
+/**
+ * Detect the page corners and check capture quality for the scanner preview
+ * Runs on the same resized, EXIF-rotated image preprocessImageFull works on, so
+ * the returned corners can be passed back as `perspective: { corners }`.
+ * @param {File|Blob} file - Photo of the document
+ * @returns {Promise<{corners: Array|null, confidence: number, quality: Object, previewUrl: string, width: number, height: number}>}
+ *   quality is the analyzeImageQuality result; previewUrl is an object URL of the
+ *   oriented image - revoke it when done
+ */
+export async function detectDocumentCorners(file) {
+  const { canvas, ctx } = await drawOriented(file);
+  const image = readImage(ctx);
+  const detected = detectPageCorners(image);
+  const quality = analyzeImageQuality(image, { corners: detected?.corners || null });
+
+  const previewBlob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.85));
+
+  return {
+    corners: detected?.corners || null,
+    confidence: detected?.confidence || 0,
+    quality,
+    previewUrl: URL.createObjectURL(previewBlob),
+    width: canvas.width,
+    height: canvas.height
+  };
+}
+
+async function drawOriented(file) {
+  const resized = await preprocessImage(file);
+  const img = await loadImage(resized);
+
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+  canvas.width = img.width;
+  canvas.height = img.height;
+
+  // Auto-rotate based on EXIF
+  const orientation = await getImageOrientation(file);
+  if (orientation !== 1) {
+    drawImageWithOrientation(ctx, img, orientation);
+  } else {
+    ctx.drawImage(img, 0, 0);
+  }
+
+  return { canvas, ctx, resized };
+}
+
+function readImage(ctx) {
+  const { width, height, data } = ctx.getImageData(0, 0, ctx.canvas.width, ctx.canvas.height);
+  return { width, height, data };
+}
+
+// Replace the canvas contents (and size) with a pageGeometry image
+function writeImage(ctx, image) {
+  const { width, height, data } = image;
+  let rgba = data;
+
+  if (data.length === width * height) {
+    rgba = new Uint8ClampedArray(width * height * 4);
+    for (let p = 0, i = 0; p < data.length; p++, i += 4) {
+      rgba[i] = rgba[i + 1] = rgba[i + 2] = data[p];
+      rgba[i + 3] = 255;
+    }
+  }
+
+  ctx.canvas.width = width;
+  ctx.canvas.height = height;
+  ctx.putImageData(new ImageData(rgba, width, height), 0, 0);
+}
+
 function loadImage(file) {
   return new Promise((resolve, reject) => {
     const img = new Image();
@@ -238,6 +335,17 @@ function sharpenImageFast(ctx, width, height) {
   ctx.putImageData(data, 0, 0);
 }
 
-export async function correctPerspective(file) {
-  return preprocessImage(file);
+/**
+ * Straighten a photographed page: detect its corners, warp it flat and deskew
+ * @param {File|Blob} file - Photo of the document
+ * @param {Object} options - preprocessImageFull options (e.g. perspective: { corners })
+ * @returns {Promise<Blob>}
+ */
+export async function correctPerspective(file, options = {}) {
+  return preprocessImageFull(file, {
+    enableEnhancement: false,
+    perspective: true,
+    deskew: true,
+    ...options
+  });
 }
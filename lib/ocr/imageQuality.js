@@ -0,0 +1,291 @@
+/**
+ * Capture quality gate
+ * Scores a document photo before it is sent for OCR so the scanner can ask for a
+ * retake instead of spending an OCR/AI round-trip on an unreadable image.
+ *
+ * Measures blur (variance of the Laplacian on text-bearing tiles), glare
+ * (saturated highlights on otherwise unsaturated paper), text x-height in pixels
+ * (median glyph height) and crop completeness (page corners or text running off
+ * the frame). Pure functions on { width, height, data } images, like pageGeometry.
+ */
+
+import { toGrayscale, downscale, otsuThreshold } from './pageGeometry.js';
+
+const ANALYSIS_SIZE = 1000;
+const TILES = 8;
+
+export const QUALITY_THRESHOLDS = {
+  blurRetake: 100,
+  blurWarning: 200,
+  glareRetake: 0.08,
+  glareWarning: 0.03,
+  xHeightRetake: 7,
+  xHeightWarning: 11,
+  minDimension: 600,
+  edgeMargin: 0.01
+};
+
+const PENALTIES = { retake: 40, warning: 15 };
+
+/**
+ * Analyze a captured document image
+ * @param {Object} image - RGBA or gray image at the resolution OCR will see
+ * @param {Object} options
+ * @param {Array<{x: number, y: number}>|null} options.corners - Detected page corners (normalized), if any
+ * @returns {{score: number, acceptable: boolean, metrics: Object, reasons: Array<{code: string, severity: string, message: string}>}}
+ */
+export function analyzeImageQuality(image, options = {}) {
+  const { corners = null } = options;
+  const gray = toGrayscale(image);
+  const { image: small, scale } = downscale(gray, ANALYSIS_SIZE);
+
+  const metrics = {
+    width: gray.width,
+    height: gray.height,
+    blur: measureSharpness(small),
+    glare: measureGlare(small),
+    // Glyph heights are measured on the analysis copy and scaled back to OCR pixels
+    xHeight: round(measureXHeight(small) / scale, 1),
+    crop: measureCrop(small, corners)
+  };
+
+  const reasons = [];
+  const add = (code, severity, message) => reasons.push({ code, severity, message });
+  const t = QUALITY_THRESHOLDS;
+
+  if (Math.min(gray.width, gray.height) < t.minDimension) {
+    add('low_resolution', 'retake', `Image is only ${gray.width}×${gray.height} px - use the camera at full resolution.`);
+  }
+
+  if (metrics.blur !== null && metrics.blur < t.blurRetake) {
+    add('blurry', 'retake', 'Photo is blurred - hold the phone steady and tap to focus on the text.');
+  } else if (metrics.blur !== null && metrics.blur < t.blurWarning) {
+    add('soft_focus', 'warning', 'Text is slightly out of focus.');
+  }
+
+  if (metrics.glare >= t.glareRetake) {
+    add('glare', 'retake', 'Glare is washing out part of the page - tilt the page or switch off the flash.');
+  } else if (metrics.glare >= t.glareWarning) {
+    add('glare_minor', 'warning', 'Some glare on the page.');
+  }
+
+  if (metrics.xHeight > 0 && metrics.xHeight < t.xHeightRetake) {
+    add('text_too_small', 'retake', `Text is only ~${Math.round(metrics.xHeight)} px high - move closer or photograph half the page at a time.`);
+  } else if (metrics.xHeight > 0 && metrics.xHeight < t.xHeightWarning) {
+    add('text_small', 'warning', 'Text is small - moving closer will improve accuracy.');
+  }
+
+  if (metrics.crop.cutEdges.length > 0) {
+    add(
+      'cropped',
+      metrics.crop.cutEdges.length > 1 ? 'retake' : 'warning',
+      `Page looks cut off at the ${metrics.crop.cutEdges.join(' and ')} - fit the whole page in the frame.`
+    );
+  }
+
+  const score = Math.max(0, 100 - reasons.reduce((sum, r) => sum + PENALTIES[r.severity], 0));
+
+  return {
+    score,
+    acceptable: !reasons.some(r => r.severity === 'retake'),
+    metrics,
+    reasons
+  };
+}
+
+/**
+ * Variance of the Laplacian over the tiles that contain text
+ * Blank paper and background have little high-frequency content whether or not
+ * the photo is in focus, so only tiles with contrast are scored (median).
+ * @returns {number|null} - null when no tile has enough contrast to judge
+ */
+function measureSharpness(gray) {
+  const { width, height, data } = gray;
+  const laplacian = new Float32Array(width * height);
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      laplacian[i] = data[i - 1] + data[i + 1] + data[i - width] + data[i + width] - 4 * data[i];
+    }
+  }
+
+  const variances = [];
+  forEachTile(width, height, (x0, y0, x1, y1) => {
+    const pixel = stats();
+    const lap = stats();
+    for (let y = Math.max(1, y0); y < Math.min(height - 1, y1); y++) {
+      for (let x = Math.max(1, x0); x < Math.min(width - 1, x1); x++) {
+        pixel.add(data[y * width + x]);
+        lap.add(laplacian[y * width + x]);
+      }
+    }
+    if (pixel.count > 0 && pixel.deviation() > 20) variances.push(lap.variance());
+  });
+
+  if (variances.length === 0) return null;
+  variances.sort((a, b) => a - b);
+  return round(variances[Math.floor(variances.length / 2)], 1);
+}
+
+/**
+ * Share of the image lost to blown-out highlights
+ * A clean scan or screenshot has saturated white paper everywhere, so glare is
+ * only counted when the typical paper tone is not itself saturated.
+ */
+function measureGlare(gray) {
+  const { data } = gray;
+  const sorted = Uint8Array.from(data).sort();
+  const paper = sorted[Math.floor(sorted.length * 0.75)];
+  if (paper >= 250) return 0;
+
+  let saturated = 0;
+  for (let i = 0; i < data.length; i++) {
+    if (data[i] >= 250) saturated++;
+  }
+  return round(saturated / data.length, 3);
+}
+
+/**
+ * Median height of glyph-sized dark components
+ * Lowercase letters without ascenders dominate running text, so the median
+ * glyph height approximates the x-height.
+ * @returns {number} - Height in pixels of this image, 0 when no text is found
+ */
+function measureXHeight(gray) {
+  const { width, height, data } = gray;
+  const threshold = otsuThreshold(data);
+  const labels = new Int32Array(width * height);
+  const queue = new Int32Array(width * height);
+  const heights = [];
+
+  for (let start = 0; start < data.length; start++) {
+    if (data[start] > threshold || labels[start]) continue;
+
+    let head = 0;
+    let tail = 0;
+    let minX = width, maxX = 0, minY = height, maxY = 0;
+    queue[tail++] = start;
+    labels[start] = 1;
+
+    while (head < tail) {
+      const i = queue[head++];
+      const x = i % width;
+      const y = (i - x) / width;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+
+      const neighbours = [
+        x > 0 ? i - 1 : -1,
+        x < width - 1 ? i + 1 : -1,
+        y > 0 ? i - width : -1,
+        y < height - 1 ? i + width : -1
+      ];
+      for (const n of neighbours) {
+        if (n >= 0 && !labels[n] && data[n] <= threshold) {
+          labels[n] = 1;
+          queue[tail++] = n;
+        }
+      }
+    }
+
+    const w = maxX - minX + 1;
+    const h = maxY - minY + 1;
+    // Glyph-like: not a speck, not a rule line or table border, not a shadow
+    if (h >= 3 && h <= height / 8 && w <= h * 4 && tail >= 4) heights.push(h);
+  }
+
+  if (heights.length < 10) return 0;
+  heights.sort((a, b) => a - b);
+  return heights[Math.floor(heights.length / 2)];
+}
+
+/**
+ * Which sides of the frame the page appears to run off
+ * With detected corners: any corner on the frame border. Without: text (dark
+ * pixels) in the outermost band of a side means the content continues beyond it.
+ */
+function measureCrop(gray, corners) {
+  const { width, height, data } = gray;
+  const margin = QUALITY_THRESHOLDS.edgeMargin;
+  const cutEdges = new Set();
+
+  if (corners) {
+    corners.forEach(({ x, y }) => {
+      if (y <= margin) cutEdges.add('top');
+      if (y >= 1 - margin) cutEdges.add('bottom');
+      if (x <= margin) cutEdges.add('left');
+      if (x >= 1 - margin) cutEdges.add('right');
+    });
+  } else {
+    const threshold = otsuThreshold(data);
+    const band = Math.max(2, Math.round(Math.min(width, height) * 0.015));
+    const darkShare = (x0, y0, x1, y1) => {
+      let dark = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          if (data[y * width + x] <= threshold) dark++;
+        }
+      }
+      return dark / ((x1 - x0) * (y1 - y0));
+    };
+
+    // Some ink but not a solid border or dark background
+    const cut = (share) => share > 0.02 && share < 0.5;
+    if (cut(darkShare(0, 0, width, band))) cutEdges.add('top');
+    if (cut(darkShare(0, height - band, width, height))) cutEdges.add('bottom');
+    if (cut(darkShare(0, 0, band, height))) cutEdges.add('left');
+    if (cut(darkShare(width - band, 0, width, height))) cutEdges.add('right');
+  }
+
+  return {
+    pageDetected: !!corners,
+    cutEdges: ['top', 'bottom', 'left', 'right'].filter(edge => cutEdges.has(edge))
+  };
+}
+
+function forEachTile(width, height, callback) {
+  const tileWidth = Math.ceil(width / TILES);
+  const tileHeight = Math.ceil(height / TILES);
+  for (let y0 = 0; y0 < height; y0 += tileHeight) {
+    for (let x0 = 0; x0 < width; x0 += tileWidth) {
+      callback(x0, y0, Math.min(width, x0 + tileWidth), Math.min(height, y0 + tileHeight));
+    }
+  }
+}
+
+// Running mean / variance
+function stats() {
+  let count = 0;
+  let sum = 0;
+  let squares = 0;
+  return {
+    add(value) {
+      count++;
+      sum += value;
+      squares += value * value;
+    },
+    get count() {
+      return count;
+    },
+    variance() {
+      const mean = sum / count;
+      return Math.max(0, squares / count - mean * mean);
+    },
+    deviation() {
+      return Math.sqrt(this.variance());
+    }
+  };
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+export default {
+  analyzeImageQuality,
+  QUALITY_THRESHOLDS
+};
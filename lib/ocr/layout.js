@@ -0,0 +1,339 @@
+/**
+ * OCR page layout
+ * Keeps OCR words with their bounding boxes and rebuilds lines, cells and tables
+ * from them. Flattened OCR text loses the page geometry: on multi-column lab
+ * sheets Tesseract and Vision emit the test-name column before the value column,
+ * so names and values interleave. Reading rows from the reconstructed table keeps
+ * every result next to its test name.
+ *
+ * Words: { text, confidence (0-1), page, bbox: { x0, y0, x1, y1 } } in image pixels.
+ */
+
+// Column roles on lab printouts
+export const TABLE_ROLES = ['test', 'result', 'flag', 'unit', 'range'];
+
+const HEADER_PATTERNS = [
+  ['range', /\b(?:reference|ref|range|normal|interval)\b/i],
+  ['unit', /\bunits?\b/i],
+  ['flag', /\b(?:flag|abn|abnormal)\b/i],
+  ['result', /\b(?:results?|value)\b/i],
+  ['test', /\b(?:tests?|investigation|analyte|parameter|component|examination)\b/i]
+];
+
+const CELL_PATTERNS = [
+  ['range', /^[[(]?\s*[<>]?\s*-?\d+(?:\.\d+)?\s*(?:-|–|to)\s*\d+(?:\.\d+)?\s*[\])]?$/i],
+  ['flag', /^(?:HH|LL|H|L|\*|high|low|crit(?:ical)?)$/i],
+  ['result', /^[<>]?\s*\d+(?:\.\d+)?\s*(?:HH|LL|H|L|\*)?$/],
+  ['unit', /^(?:(?:x\s*)?10\s*[\^*e]\s*\d+\s*\/\s*[A-Za-zµμ]+|[A-Za-zµμ]+\/[A-Za-zµμ0-9^]+|%|fL|pg|IU|U|ratio)$/],
+  ['test', /[A-Za-z]{2,}/]
+];
+
+/**
+ * Words from a tesseract.js recognize() result
+ * @param {Object} data - Result data (words with text, confidence 0-100 and bbox)
+ * @returns {Array<Object>}
+ */
+export function wordsFromTesseract(data) {
+  return (data?.words || [])
+    .filter(word => word.text?.trim() && word.bbox)
+    .map(word => ({
+      text: word.text.trim(),
+      confidence: (word.confidence ?? 0) / 100,
+      page: 1,
+      bbox: { x0: word.bbox.x0, y0: word.bbox.y0, x1: word.bbox.x1, y1: word.bbox.y1 }
+    }));
+}
+
+/**
+ * Words from a Vision documentTextDetection fullTextAnnotation
+ * Vertices omit zero coordinates, so missing x/y are read as 0.
+ * @param {Object} annotation - fullTextAnnotation
+ * @returns {Array<Object>}
+ */
+export function wordsFromVision(annotation) {
+  return (annotation?.pages || []).flatMap((page, pageIndex) =>
+    (page.blocks || []).flatMap(block =>
+      (block.paragraphs || []).flatMap(paragraph =>
+        (paragraph.words || []).map(word => {
+          const vertices = word.boundingBox?.vertices || [];
+          const xs = vertices.map(v => v.x || 0);
+          const ys = vertices.map(v => v.y || 0);
+          return {
+            text: (word.symbols || []).map(symbol => symbol.text).join(''),
+            confidence: word.confidence || 0,
+            page: pageIndex + 1,
+            bbox: { x0: Math.min(...xs), y0: Math.min(...ys), x1: Math.max(...xs), y1: Math.max(...ys) }
+          };
+        })
+      )
+    )
+  ).filter(word => word.text && Number.isFinite(word.bbox.x0));
+}
+
+/**
+ * Rebuild lines, cells and tables from positioned words
+ * @param {Array<Object>} words - Words from wordsFromTesseract / wordsFromVision
+ * @param {Object} options
+ * @param {number} options.cellGap - Horizontal gap, in word heights, that separates cells (default 1)
+ * @param {number} options.minRows - Rows a table needs (default 3)
+ * @returns {{lines: Array<Object>, tables: Array<Object>}}
+ */
+export function buildLayout(words = [], options = {}) {
+  const { cellGap = 1, minRows = 3 } = options;
+  const pages = [...new Set(words.map(word => word.page || 1))].sort((a, b) => a - b);
+
+  const lines = [];
+  const tables = [];
+
+  for (const page of pages) {
+    const pageWords = words.filter(word => (word.page || 1) === page);
+    const wordHeight = median(pageWords.map(height)) || 1;
+    const pageLines = groupLines(pageWords).map(line => ({
+      ...line,
+      page,
+      cells: splitCells(line.words, wordHeight * cellGap)
+    }));
+
+    lines.push(...pageLines);
+
+    const table = detectTable(pageLines, { minRows });
+    if (table) tables.push({ ...table, page });
+  }
+
+  return { lines, tables };
+}
+
+/**
+ * Group words into lines (top to bottom, words left to right)
+ * A word joins the line whose last word overlaps it vertically by at least half
+ * the smaller height, which tolerates the slight skew left after deskewing.
+ * @param {Array<Object>} words
+ * @returns {Array<{text: string, words: Array<Object>, bbox: Object}>}
+ */
+export function groupLines(words) {
+  const lines = [];
+
+  [...words].sort((a, b) => a.bbox.x0 - b.bbox.x0).forEach(word => {
+    let best = null;
+    let bestOverlap = 0;
+
+    for (const line of lines) {
+      const last = line[line.length - 1];
+      if (last.bbox.x1 > word.bbox.x0 + height(word)) continue;
+      const overlap = Math.min(last.bbox.y1, word.bbox.y1) - Math.max(last.bbox.y0, word.bbox.y0);
+      if (overlap >= 0.5 * Math.min(height(last), height(word)) && overlap > bestOverlap) {
+        best = line;
+        bestOverlap = overlap;
+      }
+    }
+
+    if (best) best.push(word);
+    else lines.push([word]);
+  });
+
+  return lines
+    .map(lineWords => ({
+      text: lineWords.map(word => word.text).join(' '),
+      words: lineWords,
+      bbox: unionBox(lineWords)
+    }))
+    .sort((a, b) => centerY(a) - centerY(b));
+}
+
+/**
+ * Split a line into cells at wide horizontal gaps
+ * @param {Array<Object>} words - Words of one line, left to right
+ * @param {number} minGap - Gap in pixels that starts a new cell
+ * @returns {Array<{text: string, words: Array<Object>, bbox: Object}>}
+ */
+export function splitCells(words, minGap) {
+  const cells = [];
+
+  words.forEach((word, i) => {
+    if (i === 0 || word.bbox.x0 - words[i - 1].bbox.x1 > minGap) {
+      cells.push([word]);
+    } else {
+      cells[cells.length - 1].push(word);
+    }
+  });
+
+  return cells.map(cellWords => ({
+    text: cellWords.map(word => word.text).join(' '),
+    words: cellWords,
+    bbox: unionBox(cellWords)
+  }));
+}
+
+/**
+ * Find the lab table on a page
+ * Columns are the x ranges covered by cells in a good share of multi-cell lines;
+ * roles come from a header row when there is one, else from what the cells hold.
+ * Side-by-side tables (test | result | ... | test | result | ...) give several
+ * records per row, one per test column.
+ * @param {Array<Object>} lines - Lines with cells, top to bottom
+ * @param {Object} options
+ * @param {number} options.minRows - Rows a table needs
+ * @returns {{columns: Array<{x0: number, x1: number, role: string|null}>, header: string|null, rows: Array<Object>}|null}
+ */
+export function detectTable(lines, options = {}) {
+  const { minRows = 3 } = options;
+  let candidates = lines.filter(line => line.cells.length >= 2);
+  if (candidates.length < minRows) return null;
+
+  const columns = findColumns(candidates);
+  if (columns.length < 2) return null;
+
+  const headerIndex = candidates.findIndex(line => headerRoles(line).length >= 2);
+  const header = headerIndex !== -1 ? candidates[headerIndex] : null;
+  if (header) {
+    // Demographics and titles above the header row are not part of the table
+    candidates = candidates.slice(headerIndex + 1);
+    headerRoles(header).forEach(({ cell, role }) => {
+      const column = columnFor(columns, cell.bbox);
+      if (column && !column.role) column.role = role;
+    });
+  }
+
+  const grid = candidates.map(line => {
+    const cells = columns.map(() => []);
+    line.cells.forEach(cell => {
+      const column = columnFor(columns, cell.bbox);
+      if (column) cells[columns.indexOf(column)].push(cell.text);
+    });
+    return { line, cells: cells.map(texts => texts.join(' ')) };
+  });
+
+  columns.forEach((column, index) => {
+    if (!column.role) column.role = majorityRole(grid.map(row => row.cells[index]));
+  });
+
+  if (!columns.some(c => c.role === 'test') || !columns.some(c => c.role === 'result')) return null;
+
+  const rows = grid.map(({ line, cells }) => ({
+    text: line.text,
+    bbox: line.bbox,
+    cells,
+    records: toRecords(columns, cells)
+  }));
+
+  return {
+    columns: columns.map(({ x0, x1, role }) => ({ x0, x1, role })),
+    header: header?.text || null,
+    rows
+  };
+}
+
+// Guess the role of one cell from its content
+export function classifyCell(text) {
+  const value = String(text || '').trim();
+  if (!value) return null;
+  const match = CELL_PATTERNS.find(([, pattern]) => pattern.test(value));
+  return match ? match[0] : null;
+}
+
+function findColumns(lines) {
+  const right = Math.max(...lines.flatMap(line => line.cells.map(cell => Math.ceil(cell.bbox.x1)))) + 2;
+  const coverage = new Int32Array(right + 1);
+
+  lines.forEach(line => line.cells.forEach(cell => {
+    coverage[Math.max(0, Math.floor(cell.bbox.x0))]++;
+    coverage[Math.ceil(cell.bbox.x1) + 1]--;
+  }));
+
+  // A column is a run of x covered by cells in at least a fifth of the rows;
+  // stray wide lines (titles, footers) do not bridge the gutters
+  const minCoverage = Math.max(2, Math.ceil(lines.length * 0.2));
+  const columns = [];
+  let count = 0;
+  let start = null;
+
+  for (let x = 0; x <= right; x++) {
+    count += coverage[x];
+    if (count >= minCoverage && start === null) start = x;
+    if (count < minCoverage && start !== null) {
+      columns.push({ x0: start, x1: x - 1, role: null });
+      start = null;
+    }
+  }
+
+  return columns;
+}
+
+function columnFor(columns, bbox) {
+  let best = null;
+  let bestOverlap = 0;
+  columns.forEach(column => {
+    const overlap = Math.min(column.x1, bbox.x1) - Math.max(column.x0, bbox.x0);
+    if (overlap > bestOverlap) {
+      best = column;
+      bestOverlap = overlap;
+    }
+  });
+  return best;
+}
+
+function headerRoles(line) {
+  if (line.cells.some(cell => /\d/.test(cell.text))) return [];
+  return line.cells.flatMap(cell => {
+    const match = HEADER_PATTERNS.find(([, pattern]) => pattern.test(cell.text));
+    return match ? [{ cell, role: match[0] }] : [];
+  });
+}
+
+function majorityRole(texts) {
+  const counts = {};
+  texts.forEach(text => {
+    const role = classifyCell(text);
+    if (role) counts[role] = (counts[role] || 0) + 1;
+  });
+
+  const [role, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || [];
+  const filled = texts.filter(text => text.trim()).length;
+  return role && count >= filled / 2 ? role : null;
+}
+
+// One record per test column: { test, result, flag, unit, range }
+function toRecords(columns, cells) {
+  const records = [];
+  columns.forEach((column, index) => {
+    if (!column.role) return;
+    if (column.role === 'test' || records.length === 0) records.push({});
+    const record = records[records.length - 1];
+    if (cells[index] && !record[column.role]) record[column.role] = cells[index];
+  });
+  return records.filter(record => record.test && record.result);
+}
+
+function unionBox(words) {
+  return {
+    x0: Math.min(...words.map(word => word.bbox.x0)),
+    y0: Math.min(...words.map(word => word.bbox.y0)),
+    x1: Math.max(...words.map(word => word.bbox.x1)),
+    y1: Math.max(...words.map(word => word.bbox.y1))
+  };
+}
+
+function height(word) {
+  return word.bbox.y1 - word.bbox.y0;
+}
+
+function centerY(item) {
+  return (item.bbox.y0 + item.bbox.y1) / 2;
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+export default {
+  TABLE_ROLES,
+  wordsFromTesseract,
+  wordsFromVision,
+  buildLayout,
+  groupLines,
+  splitCells,
+  detectTable,
+  classifyCell
+};
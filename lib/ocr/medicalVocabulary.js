@@ -0,0 +1,270 @@
+/**
+ * Medical vocabulary correction for OCR output
+ * Tesseract misreads printed reports in predictable ways: "Creatlnine",
+ * "Hemoglobln", "mmoI/L". Each word is checked against a lexicon of analytes,
+ * units, drugs, anatomy and ward abbreviations and replaced when it matches a
+ * term up to confusable characters (l/1/I, O/0, rn/m) or is one edit away from
+ * a long term. Every replacement is recorded so it can be reviewed.
+ */
+
+import { ANALYTES } from '../labs/lab-dictionary.js';
+
+// Units as they should be printed; lab-dictionary unit keys are lowercase lookups
+const UNITS = [
+  'mmol/L', 'mEq/L', 'mg/dL', 'umol/L', 'µmol/L', 'g/dL', 'g/L', 'mg/L', 'U/L', 'IU/L',
+  'ng/L', 'ng/mL', 'pg/mL', 'ug/L', 'mU/L', 'pmol/L', 'nmol/L', 'mL/min', 'mL/min/1.73m2',
+  '10^9/L', '10^12/L', '10^3/uL', '10^6/uL', 'x10^9/L', 'K/uL', 'cells/uL', 'fL', 'pg',
+  'mm/hr', 'mmHg', 'kPa', 'bpm', 'mL', 'mg', 'mcg', 'kg', 'cm', 'sec', 'ms'
+];
+
+const DRUGS = [
+  'paracetamol', 'acetaminophen', 'ibuprofen', 'naproxen', 'diclofenac', 'aspirin', 'clopidogrel',
+  'ticagrelor', 'prasugrel', 'warfarin', 'apixaban', 'rivaroxaban', 'dabigatran', 'edoxaban',
+  'heparin', 'enoxaparin', 'dalteparin', 'fondaparinux', 'alteplase', 'tenecteplase',
+  'atorvastatin', 'rosuvastatin', 'simvastatin', 'pravastatin', 'ezetimibe',
+  'amlodipine', 'nifedipine', 'diltiazem', 'verapamil', 'bisoprolol', 'metoprolol', 'atenolol',
+  'carvedilol', 'propranolol', 'labetalol', 'ramipril', 'lisinopril', 'enalapril', 'perindopril',
+  'losartan', 'candesartan', 'valsartan', 'irbesartan', 'sacubitril', 'spironolactone',
+  'eplerenone', 'furosemide', 'frusemide', 'bumetanide', 'torsemide', 'indapamide',
+  'bendroflumethiazide', 'hydrochlorothiazide', 'chlorthalidone', 'hydralazine', 'doxazosin',
+  'digoxin', 'amiodarone', 'adenosine', 'glyceryl', 'trinitrate', 'nitroglycerin',
+  'isosorbide', 'mononitrate', 'dinitrate', 'ivabradine', 'ranolazine',
+  'metformin', 'gliclazide', 'glimepiride', 'sitagliptin', 'linagliptin', 'empagliflozin',
+  'dapagliflozin', 'canagliflozin', 'pioglitazone', 'insulin', 'glargine', 'detemir', 'degludec',
+  'aspart', 'lispro', 'liraglutide', 'semaglutide', 'dulaglutide',
+  'levothyroxine', 'carbimazole', 'propylthiouracil', 'hydrocortisone', 'prednisolone',
+  'prednisone', 'methylprednisolone', 'dexamethasone', 'fludrocortisone',
+  'amoxicillin', 'ampicillin', 'flucloxacillin', 'benzylpenicillin', 'piperacillin', 'tazobactam',
+  'clavulanate', 'cefalexin', 'cephalexin', 'cefuroxime', 'ceftriaxone', 'cefotaxime',
+  'ceftazidime', 'cefepime', 'meropenem', 'imipenem', 'ertapenem', 'gentamicin', 'amikacin',
+  'vancomycin', 'teicoplanin', 'linezolid', 'daptomycin', 'clarithromycin', 'azithromycin',
+  'erythromycin', 'doxycycline', 'ciprofloxacin', 'levofloxacin', 'moxifloxacin',
+  'metronidazole', 'trimethoprim', 'sulfamethoxazole', 'nitrofurantoin', 'clindamycin',
+  'rifampicin', 'isoniazid', 'pyrazinamide', 'ethambutol', 'fluconazole', 'voriconazole',
+  'aciclovir', 'acyclovir', 'valaciclovir', 'oseltamivir',
+  'omeprazole', 'esomeprazole', 'lansoprazole', 'pantoprazole', 'ranitidine', 'famotidine',
+  'ondansetron', 'metoclopramide', 'cyclizine', 'domperidone', 'prochlorperazine', 'lactulose',
+  'senna', 'macrogol', 'loperamide', 'mesalazine',
+  'morphine', 'oxycodone', 'codeine', 'tramadol', 'fentanyl', 'buprenorphine', 'hydromorphone',
+  'naloxone', 'gabapentin', 'pregabalin', 'amitriptyline', 'nortriptyline', 'duloxetine',
+  'sertraline', 'citalopram', 'escitalopram', 'fluoxetine', 'mirtazapine', 'venlafaxine',
+  'haloperidol', 'olanzapine', 'quetiapine', 'risperidone', 'lorazepam', 'diazepam',
+  'midazolam', 'zopiclone', 'levetiracetam', 'phenytoin', 'valproate', 'carbamazepine',
+  'lamotrigine', 'donepezil', 'levodopa', 'carbidopa',
+  'salbutamol', 'albuterol', 'ipratropium', 'tiotropium', 'budesonide', 'fluticasone',
+  'beclometasone', 'formoterol', 'salmeterol', 'montelukast', 'theophylline', 'aminophylline',
+  'allopurinol', 'febuxostat', 'colchicine', 'methotrexate', 'hydroxychloroquine',
+  'tacrolimus', 'ciclosporin', 'mycophenolate', 'azathioprine', 'alendronate',
+  'potassium', 'chloride', 'sodium', 'bicarbonate', 'magnesium', 'sulfate', 'sulphate',
+  'phosphate', 'calcium', 'carbonate', 'cholecalciferol', 'thiamine', 'folic', 'ferrous',
+  'cyanocobalamin', 'dextrose', 'saline', 'albumin', 'tranexamic', 'vitamin'
+];
+
+const ANATOMY = [
+  'abdomen', 'abdominal', 'adrenal', 'aorta', 'aortic', 'appendix', 'artery', 'arterial',
+  'atrium', 'atrial', 'ventricle', 'ventricular', 'bladder', 'bowel', 'brain', 'bronchus',
+  'bronchial', 'caecum', 'cecum', 'cardiac', 'carotid', 'cerebral', 'cerebellum', 'cervical',
+  'chest', 'colon', 'colonic', 'coronary', 'diaphragm', 'duodenum', 'esophagus', 'oesophagus',
+  'femur', 'femoral', 'gallbladder', 'heart', 'hepatic', 'humerus', 'ileum', 'iliac', 'jejunum',
+  'jugular', 'kidney', 'renal', 'larynx', 'liver', 'lumbar', 'lung', 'lungs', 'mediastinum',
+  'mediastinal', 'mitral', 'pancreas', 'pancreatic', 'pelvis', 'pelvic', 'pericardium',
+  'pericardial', 'peritoneum', 'peritoneal', 'pleura', 'pleural', 'prostate', 'pulmonary',
+  'rectum', 'rectal', 'sacrum', 'sacral', 'spine', 'spinal', 'spleen', 'splenic', 'sternum',
+  'stomach', 'thoracic', 'thorax', 'thyroid', 'tibia', 'trachea', 'tricuspid', 'ureter',
+  'urethra', 'uterus', 'vertebra', 'vertebral', 'valve', 'vein', 'venous', 'hilar', 'lobe',
+  'parenchyma', 'cortex', 'cortical', 'anterior', 'posterior', 'lateral', 'medial', 'bilateral',
+  'superior', 'inferior', 'proximal', 'distal'
+];
+
+// Ward and report abbreviations (matched case-insensitively, printed upper case)
+const ABBREVIATIONS = [
+  'ABG', 'VBG', 'ECG', 'EKG', 'CXR', 'MRI', 'CTPA', 'ECHO', 'EEG', 'FBC', 'CBC', 'BMP', 'CMP',
+  'LFT', 'LFTs', 'U&E', 'TFT', 'TSH', 'PTH', 'HbA1c', 'eGFR', 'MCV', 'MCH', 'MCHC', 'RDW', 'ESR',
+  'BNP', 'NT-proBNP', 'LDH', 'GGT', 'APTT', 'PT', 'INR', 'pCO2', 'pO2', 'SpO2', 'FiO2',
+  'COPD', 'CHF', 'CCF', 'AKI', 'CKD', 'STEMI', 'NSTEMI', 'ACS', 'DVT', 'PE', 'UTI', 'CAP',
+  'HAP', 'AF', 'SVT', 'VT', 'LBBB', 'RBBB', 'LVH', 'GCS', 'NEWS', 'NBM', 'NPO', 'PRN', 'STAT',
+  'BD', 'BID', 'TDS', 'TID', 'QDS', 'QID', 'OD', 'IV', 'IM', 'SC', 'PO', 'SL', 'NG', 'TPN'
+];
+
+const MIN_TOKEN_LENGTH = 3;
+// Shorter words are too often ordinary English one edit away from a term ("medical" / "medial")
+const MIN_EDIT_LENGTH = 8;
+
+// Real words one edit away from a term that must not be "corrected"
+const NEAR_MISSES = new Set(['chlorine', 'lactated', 'material']);
+
+export const LEXICON = buildLexicon();
+
+// Skeleton -> lexicon entry; a skeleton shared by different terms is ambiguous (null)
+const SKELETON_INDEX = new Map();
+LEXICON.forEach(entry => {
+  const key = skeleton(entry.term);
+  const existing = SKELETON_INDEX.get(key);
+  if (existing === undefined) {
+    SKELETON_INDEX.set(key, entry);
+  } else if (existing && existing.term.toLowerCase() !== entry.term.toLowerCase()) {
+    SKELETON_INDEX.set(key, null);
+  }
+});
+
+// Letter-only terms long enough to match by edit distance
+const EDIT_CANDIDATES = [...LEXICON.values()]
+  .filter(entry => /^[a-z]+$/i.test(entry.term) && entry.term.length >= MIN_EDIT_LENGTH - 1)
+  .map(entry => ({ entry, key: skeleton(entry.term) }));
+
+/**
+ * Correct one OCR token against the lexicon
+ * Surrounding punctuation ("Creatlnine:", "(mmoI/L)") is kept.
+ * @param {string} token - Word as read by OCR
+ * @returns {{text: string, reason: 'confusion'|'edit_distance', category: string}|null} - null when it is left alone
+ */
+export function correctToken(token) {
+  const [, lead, core, trail] = String(token || '').match(/^([(\["']*)(.*?)([)\]"',.;:]*)$/);
+  if (core.length < MIN_TOKEN_LENGTH) return null;
+
+  const lower = core.toLowerCase();
+  if (LEXICON.has(lower) || (lower.endsWith('s') && LEXICON.has(lower.slice(0, -1)))) return null;
+
+  // Numbers and values ("5.8", "10^9") are never touched; units need a slash
+  const letters = (core.match(/[a-z]/gi) || []).length;
+  if (letters < 2 && !core.includes('/')) return null;
+
+  const key = skeleton(core);
+  const confused = SKELETON_INDEX.get(key);
+  if (confused) {
+    return { text: lead + matchCase(confused, core) + trail, reason: 'confusion', category: confused.category };
+  }
+
+  if (!/^[a-z]+$/.test(key) || key.length < MIN_EDIT_LENGTH || NEAR_MISSES.has(lower)) return null;
+
+  let best = null;
+  let tie = false;
+  for (const candidate of EDIT_CANDIDATES) {
+    if (Math.abs(candidate.key.length - key.length) > 1) continue;
+    if (editDistance(key, candidate.key, 1) > 1) continue;
+    if (best && best.term.toLowerCase() !== candidate.entry.term.toLowerCase()) tie = true;
+    best = best || candidate.entry;
+  }
+
+  if (!best || tie) return null;
+  return { text: lead + matchCase(best, core) + trail, reason: 'edit_distance', category: best.category };
+}
+
+/**
+ * Correct medical words in OCR text
+ * @param {string} text - OCR text
+ * @returns {{text: string, corrections: Array<{from: string, to: string, line: number, reason: string, category: string}>}}
+ */
+export function correctMedicalText(text) {
+  const corrections = [];
+
+  const corrected = String(text || '').split('\n').map((line, index) =>
+    line.split(/(\s+)/).map(part => {
+      if (!part || /^\s+$/.test(part)) return part;
+
+      const fix = correctToken(part);
+      if (!fix) return part;
+
+      corrections.push({ from: part, to: fix.text, line: index + 1, reason: fix.reason, category: fix.category });
+      return fix.text;
+    }).join('')
+  ).join('\n');
+
+  return { text: corrected, corrections };
+}
+
+/**
+ * Apply vocabulary correction to an OCR extraction
+ * The word boxes are corrected the same way so tables rebuilt from them agree with the text.
+ * @param {Object} extraction - { text, wordBoxes, ... } from extractTextFromImage or Vision
+ * @returns {Object} - The extraction with corrected text and words, plus vocabularyCorrections
+ */
+export function correctExtraction(extraction) {
+  const { text, corrections } = correctMedicalText(extraction.text);
+
+  const wordBoxes = extraction.wordBoxes?.map(word => {
+    const fix = correctToken(word.text);
+    return fix ? { ...word, text: fix.text } : word;
+  });
+
+  if (corrections.length > 0) {
+    console.log(`[OCR] Vocabulary corrected ${corrections.length} word(s)`);
+  }
+
+  return { ...extraction, text, ...(wordBoxes ? { wordBoxes } : {}), vocabularyCorrections: corrections };
+}
+
+function buildLexicon() {
+  const lexicon = new Map();
+  const add = (term, category) => {
+    const lower = term.toLowerCase();
+    if (!lexicon.has(lower)) lexicon.set(lower, { term, category });
+  };
+
+  UNITS.forEach(unit => add(unit, 'unit'));
+  Object.values(ANALYTES).forEach(def => {
+    [def.name, ...def.aliases].forEach(name =>
+      name.split(/[\s()]+/).filter(word => word.length >= MIN_TOKEN_LENGTH).forEach(word => add(word, 'analyte'))
+    );
+  });
+  ABBREVIATIONS.forEach(abbreviation => add(abbreviation, 'abbreviation'));
+  DRUGS.forEach(drug => add(drug, 'drug'));
+  ANATOMY.forEach(part => add(part, 'anatomy'));
+
+  return lexicon;
+}
+
+// Fold the characters OCR confuses so "Creatlnine", "Creat1nine" and "Creatinine" compare equal
+function skeleton(word) {
+  return word
+    .toLowerCase()
+    .replace(/rn/g, 'm')
+    .replace(/vv/g, 'w')
+    .replace(/[1i|!]/g, 'l')
+    .replace(/0/g, 'o');
+}
+
+// Print the term in the token's case unless the term has its own (units, "HbA1c")
+function matchCase(entry, token) {
+  const { term } = entry;
+  if (entry.category === 'unit' || entry.category === 'abbreviation' || /[A-Z]/.test(term.slice(1))) {
+    return term;
+  }
+
+  const letters = token.replace(/[^a-z]/gi, '');
+  const upper = letters.replace(/[^A-Z]/g, '').length;
+  if (letters.length > 1 && upper > letters.length / 2) return term.toUpperCase();
+  if (/^[A-Z]/.test(token)) return term[0].toUpperCase() + term.slice(1).toLowerCase();
+  return term.toLowerCase();
+}
+
+// Optimal string alignment distance, giving up once it exceeds max
+function editDistance(a, b, max) {
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous2 = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+export default {
+  LEXICON,
+  correctToken,
+  correctMedicalText,
+  correctExtraction
+};
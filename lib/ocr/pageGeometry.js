@@ -0,0 +1,654 @@
+/**
+ * Page geometry for photographed documents
+ * Pure pixel operations behind correctPerspective / preprocessImageFull: page
+ * corner detection, four-point perspective warp, text-line deskew and Sauvola
+ * adaptive binarization.
+ *
+ * Images are plain { width, height, data } objects where `data` is either RGBA
+ * (ImageData layout) or a single gray channel, so nothing here needs a canvas.
+ */
+
+const DETECTION_SIZE = 400;
+const SKEW_SIZE = 800;
+const MAX_SKEW_POINTS = 20000;
+const WHITE = 255;
+
+/**
+ * Convert an RGBA image to one gray channel (returned as-is if already gray)
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+ */
+export function toGrayscale(image) {
+  const { width, height, data } = image;
+  if (data.length === width * height) return image;
+
+  const gray = new Uint8ClampedArray(width * height);
+  for (let i = 0, p = 0; p < gray.length; i += 4, p++) {
+    gray[p] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  }
+  return { width, height, data: gray };
+}
+
+/**
+ * Area-average downscale of a gray image so its longest side is at most maxDimension
+ * @returns {{image: Object, scale: number}} - Scaled image and the factor applied
+ */
+export function downscale(gray, maxDimension) {
+  const scale = Math.min(1, maxDimension / Math.max(gray.width, gray.height));
+  if (scale === 1) return { image: gray, scale };
+
+  const width = Math.max(1, Math.round(gray.width * scale));
+  const height = Math.max(1, Math.round(gray.height * scale));
+  const sums = new Float64Array(width * height);
+  const counts = new Uint32Array(width * height);
+
+  for (let y = 0; y < gray.height; y++) {
+    const row = Math.min(height - 1, Math.floor(y * scale)) * width;
+    for (let x = 0; x < gray.width; x++) {
+      const o = row + Math.min(width - 1, Math.floor(x * scale));
+      sums[o] += gray.data[y * gray.width + x];
+      counts[o]++;
+    }
+  }
+
+  const data = new Uint8ClampedArray(width * height);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = counts[i] ? sums[i] / counts[i] : WHITE;
+  }
+  return { image: { width, height, data }, scale };
+}
+
+/**
+ * Box blur using an integral image
+ * @param {Object} gray - Gray image
+ * @param {number} radius - Half window size in pixels
+ * @returns {Object} - Blurred gray image
+ */
+export function boxBlur(gray, radius) {
+  const { width, height } = gray;
+  const { sum } = integralImages(gray, false);
+  const data = new Uint8ClampedArray(width * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data[y * width + x] = windowMean(sum, width, height, x, y, radius).mean;
+    }
+  }
+  return { width, height, data };
+}
+
+/**
+ * Otsu's global threshold for 8-bit values
+ * @param {ArrayLike<number>} values - Pixel values 0-255
+ * @returns {number} - Threshold (values above it are foreground/bright)
+ */
+export function otsuThreshold(values) {
+  const histogram = new Float64Array(256);
+  for (let i = 0; i < values.length; i++) histogram[values[i] | 0]++;
+
+  const total = values.length;
+  let sumAll = 0;
+  for (let t = 0; t < 256; t++) sumAll += t * histogram[t];
+
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let best = 0;
+  let threshold = 127;
+
+  for (let t = 0; t < 256; t++) {
+    weightBackground += histogram[t];
+    if (weightBackground === 0) continue;
+    const weightForeground = total - weightBackground;
+    if (weightForeground === 0) break;
+
+    sumBackground += t * histogram[t];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sumAll - sumBackground) / weightForeground;
+    const between = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+
+    if (between > best) {
+      best = between;
+      threshold = t;
+    }
+  }
+  return threshold;
+}
+
+/**
+ * Sobel gradient magnitude
+ * @param {Object} gray - Gray image
+ * @returns {Float32Array} - Magnitude per pixel (0 on the border)
+ */
+export function sobelMagnitude(gray) {
+  const { width, height, data } = gray;
+  const magnitude = new Float32Array(width * height);
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const gx = data[i - width + 1] + 2 * data[i + 1] + data[i + width + 1]
+        - data[i - width - 1] - 2 * data[i - 1] - data[i + width - 1];
+      const gy = data[i + width - 1] + 2 * data[i + width] + data[i + width + 1]
+        - data[i - width - 1] - 2 * data[i - width] - data[i - width + 1];
+      magnitude[i] = Math.sqrt(gx * gx + gy * gy);
+    }
+  }
+  return magnitude;
+}
+
+/**
+ * Find the four corners of a sheet of paper photographed on a darker surface
+ * The page is segmented from the background (Otsu on a blurred, downscaled copy),
+ * its outline's convex hull is reduced to a quadrilateral, and the result is only
+ * accepted when the quad's sides run along real edges in the gradient image.
+ * @param {Object} image - RGBA or gray image
+ * @param {Object} options
+ * @param {number} options.minAreaRatio - Smallest page area as a fraction of the photo
+ * @param {number} options.maxAreaRatio - Larger pages fill the frame and need no correction
+ * @param {number} options.minEdgeSupport - Fraction of the outline that must lie on an edge
+ * @returns {{corners: Array<{x: number, y: number}>, areaRatio: number, confidence: number}|null}
+ *   Corners are normalized (0-1) in top-left, top-right, bottom-right, bottom-left order;
+ *   null when no page outline is found or the page already fills the photo.
+ */
+export function detectPageCorners(image, options = {}) {
+  const { minAreaRatio = 0.2, maxAreaRatio = 0.97, minEdgeSupport = 0.5 } = options;
+
+  const { image: small } = downscale(toGrayscale(image), DETECTION_SIZE);
+  const blurred = boxBlur(small, 2);
+  const { width, height } = blurred;
+  if (width < 8 || height < 8) return null;
+
+  const threshold = otsuThreshold(blurred.data);
+  const mask = new Uint8Array(width * height);
+  for (let i = 0; i < mask.length; i++) mask[i] = blurred.data[i] > threshold ? 1 : 0;
+
+  const component = largestComponent(mask, width, height);
+  if (!component || component.size < minAreaRatio * width * height) return null;
+
+  const hull = convexHull(componentBoundary(component, width, height));
+  if (hull.length < 4) return null;
+
+  const quad = orderCorners(reduceToQuad(hull));
+  const areaRatio = polygonArea(quad) / (width * height);
+  if (areaRatio < minAreaRatio || areaRatio > maxAreaRatio) return null;
+
+  const confidence = edgeSupport(blurred, quad);
+  if (confidence < minEdgeSupport) return null;
+
+  return {
+    corners: quad.map(point => ({
+      x: round(point.x / (width - 1), 4),
+      y: round(point.y / (height - 1), 4)
+    })),
+    areaRatio: round(areaRatio, 3),
+    confidence: round(confidence, 3)
+  };
+}
+
+/**
+ * Solve the homography that maps four source points onto four destination points
+ * @param {Array<{x: number, y: number}>} src
+ * @param {Array<{x: number, y: number}>} dst
+ * @returns {Array<number>} - 3x3 matrix in row-major order
+ */
+export function computeHomography(src, dst) {
+  const a = [];
+  const b = [];
+
+  for (let i = 0; i < 4; i++) {
+    const { x, y } = src[i];
+    const { x: u, y: v } = dst[i];
+    a.push([x, y, 1, 0, 0, 0, -x * u, -y * u]);
+    b.push(u);
+    a.push([0, 0, 0, x, y, 1, -x * v, -y * v]);
+    b.push(v);
+  }
+
+  return [...solveLinearSystem(a, b), 1];
+}
+
+/**
+ * Apply a homography to a point
+ * @returns {{x: number, y: number}}
+ */
+export function applyHomography(h, x, y) {
+  const w = h[6] * x + h[7] * y + h[8];
+  return {
+    x: (h[0] * x + h[1] * y + h[2]) / w,
+    y: (h[3] * x + h[4] * y + h[5]) / w
+  };
+}
+
+/**
+ * Four-point perspective warp of the page onto an upright rectangle
+ * @param {Object} image - RGBA or gray image
+ * @param {Array<{x: number, y: number}>} corners - Normalized TL, TR, BR, BL page corners
+ * @returns {Object} - Warped image, sized from the page's own edge lengths
+ */
+export function warpPerspective(image, corners) {
+  const quad = corners.map(c => ({ x: c.x * (image.width - 1), y: c.y * (image.height - 1) }));
+  const [tl, tr, br, bl] = quad;
+
+  const width = Math.max(2, Math.round(Math.max(distance(tl, tr), distance(bl, br))));
+  const height = Math.max(2, Math.round(Math.max(distance(tl, bl), distance(tr, br))));
+  const rect = [
+    { x: 0, y: 0 },
+    { x: width - 1, y: 0 },
+    { x: width - 1, y: height - 1 },
+    { x: 0, y: height - 1 }
+  ];
+
+  // Output pixel -> source pixel
+  const h = computeHomography(rect, quad);
+  const channels = image.data.length / (image.width * image.height);
+  const data = new Uint8ClampedArray(width * height * channels);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const source = applyHomography(h, x, y);
+      sampleInto(image, channels, source.x, source.y, data, (y * width + x) * channels);
+    }
+  }
+  return { width, height, data };
+}
+
+/**
+ * Estimate the skew of the text lines from horizontal projection profiles
+ * Dark pixels are projected at each candidate angle; the angle whose profile is
+ * sharpest (text lines falling into the fewest rows) wins.
+ * @param {Object} image - RGBA or gray image
+ * @param {Object} options
+ * @param {number} options.maxAngle - Largest skew considered, in degrees
+ * @returns {number} - Angle of the text lines in degrees (positive = descending to the right)
+ */
+export function estimateSkewAngle(image, options = {}) {
+  const { maxAngle = 15 } = options;
+  const { image: small } = downscale(toGrayscale(image), SKEW_SIZE);
+  const { width, height, data } = small;
+
+  const threshold = otsuThreshold(data);
+  const dark = [];
+  for (let i = 0; i < data.length; i++) {
+    if (data[i] <= threshold) dark.push(i);
+  }
+  if (dark.length < 50 || dark.length > data.length * 0.5) return 0;
+
+  const stride = Math.max(1, Math.ceil(dark.length / MAX_SKEW_POINTS));
+  const xs = [];
+  const ys = [];
+  for (let i = 0; i < dark.length; i += stride) {
+    xs.push(dark[i] % width);
+    ys.push(Math.floor(dark[i] / width));
+  }
+
+  const offset = width + height;
+  const bins = new Float64Array(2 * offset + 1);
+  const score = (degrees) => {
+    const radians = degrees * Math.PI / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    bins.fill(0);
+    for (let i = 0; i < xs.length; i++) {
+      bins[Math.round(ys[i] * cos - xs[i] * sin) + offset]++;
+    }
+    let total = 0;
+    for (let i = 0; i < bins.length; i++) total += bins[i] * bins[i];
+    return total;
+  };
+
+  let best = 0;
+  let bestScore = score(0);
+  const search = (from, to, step) => {
+    for (let angle = from; angle <= to + 1e-9; angle += step) {
+      const s = score(angle);
+      if (s > bestScore) {
+        bestScore = s;
+        best = angle;
+      }
+    }
+  };
+
+  search(-maxAngle, maxAngle, 1);
+  search(best - 1, best + 1, 0.1);
+  return round(best, 1);
+}
+
+/**
+ * Rotate an image about its centre, growing the canvas so no corner is cut off
+ * @param {Object} image - RGBA or gray image
+ * @param {number} degrees - Clockwise rotation
+ * @returns {Object} - Rotated image on a white background
+ */
+export function rotateImage(image, degrees) {
+  if (!degrees) return image;
+
+  const radians = degrees * Math.PI / 180;
+  const sin = Math.sin(radians);
+  const cos = Math.cos(radians);
+  const width = Math.ceil(Math.abs(image.width * cos) + Math.abs(image.height * sin));
+  const height = Math.ceil(Math.abs(image.width * sin) + Math.abs(image.height * cos));
+  const channels = image.data.length / (image.width * image.height);
+  const data = new Uint8ClampedArray(width * height * channels);
+
+  const cx = (image.width - 1) / 2;
+  const cy = (image.height - 1) / 2;
+  const ox = (width - 1) / 2;
+  const oy = (height - 1) / 2;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const dx = x - ox;
+      const dy = y - oy;
+      sampleInto(image, channels, dx * cos + dy * sin + cx, -dx * sin + dy * cos + cy, data, (y * width + x) * channels);
+    }
+  }
+  return { width, height, data };
+}
+
+/**
+ * Sauvola adaptive binarization
+ * Threshold per pixel: mean * (1 + k * (stddev / r - 1)) over a local window,
+ * which copes with shadows and uneven bedside lighting far better than one
+ * global threshold.
+ * @param {Object} image - RGBA or gray image
+ * @param {Object} options
+ * @param {number} options.windowSize - Odd window size in pixels (scales with the image by default)
+ * @param {number} options.k - Sensitivity (0.2-0.5)
+ * @param {number} options.r - Dynamic range of the standard deviation
+ * @returns {Object} - Gray image with text 0 and background 255
+ */
+export function sauvolaBinarize(image, options = {}) {
+  const gray = toGrayscale(image);
+  const { width, height } = gray;
+  const {
+    windowSize = Math.max(15, Math.round(Math.min(width, height) / 40)) | 1,
+    k = 0.34,
+    r = 128
+  } = options;
+
+  const radius = windowSize >> 1;
+  const { sum, sumSquares } = integralImages(gray, true);
+  const data = new Uint8ClampedArray(width * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const { mean, count, x0, y0, x1, y1 } = windowMean(sum, width, height, x, y, radius);
+      const squares = rectSum(sumSquares, width, x0, y0, x1, y1) / count;
+      const deviation = Math.sqrt(Math.max(0, squares - mean * mean));
+      const threshold = mean * (1 + k * (deviation / r - 1));
+      data[y * width + x] = gray.data[y * width + x] > threshold ? WHITE : 0;
+    }
+  }
+  return { width, height, data };
+}
+
+function integralImages(gray, withSquares) {
+  const { width, height, data } = gray;
+  const stride = width + 1;
+  const sum = new Float64Array(stride * (height + 1));
+  const sumSquares = withSquares ? new Float64Array(stride * (height + 1)) : null;
+
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    let rowSquares = 0;
+    for (let x = 0; x < width; x++) {
+      const value = data[y * width + x];
+      rowSum += value;
+      const i = (y + 1) * stride + x + 1;
+      sum[i] = sum[i - stride] + rowSum;
+      if (withSquares) {
+        rowSquares += value * value;
+        sumSquares[i] = sumSquares[i - stride] + rowSquares;
+      }
+    }
+  }
+  return { sum, sumSquares };
+}
+
+function rectSum(integral, width, x0, y0, x1, y1) {
+  const stride = width + 1;
+  return integral[(y1 + 1) * stride + x1 + 1] - integral[y0 * stride + x1 + 1]
+    - integral[(y1 + 1) * stride + x0] + integral[y0 * stride + x0];
+}
+
+function windowMean(sum, width, height, x, y, radius) {
+  const x0 = Math.max(0, x - radius);
+  const y0 = Math.max(0, y - radius);
+  const x1 = Math.min(width - 1, x + radius);
+  const y1 = Math.min(height - 1, y + radius);
+  const count = (x1 - x0 + 1) * (y1 - y0 + 1);
+  return { mean: rectSum(sum, width, x0, y0, x1, y1) / count, count, x0, y0, x1, y1 };
+}
+
+// Largest 4-connected region of mask pixels
+function largestComponent(mask, width, height) {
+  const labels = new Int32Array(width * height);
+  const queue = new Int32Array(width * height);
+  let best = null;
+  let next = 0;
+
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || labels[start]) continue;
+
+    const label = ++next;
+    let head = 0;
+    let tail = 0;
+    queue[tail++] = start;
+    labels[start] = label;
+
+    while (head < tail) {
+      const i = queue[head++];
+      const x = i % width;
+      const neighbours = [
+        x > 0 ? i - 1 : -1,
+        x < width - 1 ? i + 1 : -1,
+        i >= width ? i - width : -1,
+        i < mask.length - width ? i + width : -1
+      ];
+      for (const n of neighbours) {
+        if (n >= 0 && mask[n] && !labels[n]) {
+          labels[n] = label;
+          queue[tail++] = n;
+        }
+      }
+    }
+
+    if (!best || tail > best.size) best = { label, size: tail };
+  }
+
+  return best && { ...best, labels };
+}
+
+// Component pixels with a neighbour outside the component
+function componentBoundary({ labels, label }, width, height) {
+  const points = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (labels[i] !== label) continue;
+      const edge = x === 0 || y === 0 || x === width - 1 || y === height - 1 ||
+        labels[i - 1] !== label || labels[i + 1] !== label ||
+        labels[i - width] !== label || labels[i + width] !== label;
+      if (edge) points.push({ x, y });
+    }
+  }
+  return points;
+}
+
+// Andrew's monotone chain
+function convexHull(points) {
+  if (points.length < 3) return points;
+  const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+  const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+
+  const lower = [];
+  for (const p of sorted) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  }
+  const upper = [];
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    const p = sorted[i];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  }
+  return [...lower.slice(0, -1), ...upper.slice(0, -1)];
+}
+
+// Drop the hull vertex that loses the least area until four remain
+function reduceToQuad(hull) {
+  const polygon = [...hull];
+  while (polygon.length > 4) {
+    let smallest = Infinity;
+    let index = 0;
+    for (let i = 0; i < polygon.length; i++) {
+      const prev = polygon[(i - 1 + polygon.length) % polygon.length];
+      const next = polygon[(i + 1) % polygon.length];
+      const area = Math.abs(
+        (polygon[i].x - prev.x) * (next.y - prev.y) - (next.x - prev.x) * (polygon[i].y - prev.y)
+      );
+      if (area < smallest) {
+        smallest = area;
+        index = i;
+      }
+    }
+    polygon.splice(index, 1);
+  }
+  return polygon;
+}
+
+// Top-left, top-right, bottom-right, bottom-left (clockwise on screen)
+function orderCorners(points) {
+  const cx = points.reduce((s, p) => s + p.x, 0) / points.length;
+  const cy = points.reduce((s, p) => s + p.y, 0) / points.length;
+  const sorted = [...points].sort((a, b) => Math.atan2(a.y - cy, a.x - cx) - Math.atan2(b.y - cy, b.x - cx));
+
+  let start = 0;
+  sorted.forEach((p, i) => {
+    if (p.x + p.y < sorted[start].x + sorted[start].y) start = i;
+  });
+  return [...sorted.slice(start), ...sorted.slice(0, start)];
+}
+
+function polygonArea(points) {
+  let area = 0;
+  points.forEach((p, i) => {
+    const q = points[(i + 1) % points.length];
+    area += p.x * q.y - q.x * p.y;
+  });
+  return Math.abs(area) / 2;
+}
+
+// Share of points along the quad's sides that sit on a strong gradient
+function edgeSupport(gray, quad) {
+  const { width, height } = gray;
+  const magnitude = sobelMagnitude(gray);
+
+  let max = 0;
+  for (let i = 0; i < magnitude.length; i++) if (magnitude[i] > max) max = magnitude[i];
+  if (max === 0) return 0;
+
+  const scaled = new Uint8ClampedArray(magnitude.length);
+  for (let i = 0; i < magnitude.length; i++) scaled[i] = magnitude[i] / max * 255;
+  const strong = otsuThreshold(scaled);
+
+  const samplesPerSide = 40;
+  let supported = 0;
+  let total = 0;
+
+  quad.forEach((from, side) => {
+    const to = quad[(side + 1) % 4];
+    for (let s = 1; s < samplesPerSide; s++) {
+      const t = s / samplesPerSide;
+      const px = Math.round(from.x + (to.x - from.x) * t);
+      const py = Math.round(from.y + (to.y - from.y) * t);
+      total++;
+
+      let found = false;
+      for (let dy = -2; dy <= 2 && !found; dy++) {
+        for (let dx = -2; dx <= 2 && !found; dx++) {
+          const x = px + dx;
+          const y = py + dy;
+          if (x > 0 && y > 0 && x < width - 1 && y < height - 1 && scaled[y * width + x] > strong) {
+            found = true;
+          }
+        }
+      }
+      if (found) supported++;
+    }
+  });
+
+  return supported / total;
+}
+
+// Bilinear sample of every channel at (x, y), white outside the image
+function sampleInto(image, channels, x, y, out, offset) {
+  const { width, height, data } = image;
+  if (x < 0 || y < 0 || x > width - 1 || y > height - 1) {
+    for (let c = 0; c < channels; c++) out[offset + c] = WHITE;
+    return;
+  }
+
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const x1 = Math.min(width - 1, x0 + 1);
+  const y1 = Math.min(height - 1, y0 + 1);
+  const fx = x - x0;
+  const fy = y - y0;
+
+  for (let c = 0; c < channels; c++) {
+    const a = data[(y0 * width + x0) * channels + c];
+    const b = data[(y0 * width + x1) * channels + c];
+    const d = data[(y1 * width + x0) * channels + c];
+    const e = data[(y1 * width + x1) * channels + c];
+    out[offset + c] = (a * (1 - fx) + b * fx) * (1 - fy) + (d * (1 - fx) + e * fx) * fy;
+  }
+}
+
+// Gaussian elimination with partial pivoting
+function solveLinearSystem(a, b) {
+  const n = b.length;
+  const m = a.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    if (Math.abs(m[pivot][col]) < 1e-12) {
+      throw new Error('Degenerate corner points');
+    }
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+
+    for (let row = 0; row < n; row++) {
+      if (row === col) continue;
+      const factor = m[row][col] / m[col][col];
+      for (let k = col; k <= n; k++) m[row][k] -= factor * m[col][k];
+    }
+  }
+  return m.map((row, i) => row[n] / row[i]);
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+export default {
+  toGrayscale,
+  downscale,
+  boxBlur,
+  otsuThreshold,
+  sobelMagnitude,
+  detectPageCorners,
+  computeHomography,
+  applyHomography,
+  warpPerspective,
+  estimateSkewAngle,
+  rotateImage,
+  sauvolaBinarize
+};
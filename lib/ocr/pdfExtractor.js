@@ -0,0 +1,329 @@
+/**
+ * Server-side PDF Text Extraction
+ * Reads the embedded text layer with pdf-parse, falls back to OCR page by page
+ * for scanned pages, and splits multi-report bundles into typed segments.
+ * Node only - depends on pdf-parse, sharp and the tesseract.js Node worker -
+ * so only server code imports it; textExtractor.processDocument takes its
+ * result as options.extraction.
+ */
+
+import pdfParse from 'pdf-parse';
+import { detectReportHeader } from './documentClassifier.js';
+
+// Pages with less embedded text than this are treated as scanned
+const MIN_PAGE_TEXT_LENGTH = 20;
+
+// pdf.js ImageKind -> channels per pixel
+const IMAGE_CHANNELS = { 1: 1, 2: 3, 3: 4 };
+
+/**
+ * Render a page's text content the way pdf-parse does (new line on Y change)
+ * @param {Object} textContent - pdf.js text content
+ * @returns {string}
+ */
+function textContentToString(textContent) {
+  let lastY;
+  let text = '';
+
+  for (const item of textContent.items) {
+    if (lastY === undefined || lastY === item.transform[5]) {
+      text += item.str;
+    } else {
+      text += '\n' + item.str;
+    }
+    lastY = item.transform[5];
+  }
+
+  return text;
+}
+
+/**
+ * Read the embedded text layer of every page
+ * @param {Uint8Array} data - PDF bytes
+ * @returns {Promise<{pages: Array<{pageNumber: number, text: string}>, info: Object|null}>}
+ */
+async function readTextLayer(data) {
+  const pages = [];
+
+  const result = await pdfParse(data, {
+    // pdf-parse renders pages sequentially, so page order is preserved
+    pagerender: async (pageData) => {
+      const textContent = await pageData.getTextContent({
+        normalizeWhitespace: false,
+        disableCombineTextItems: false
+      });
+      const text = textContentToString(textContent);
+      pages.push({ pageNumber: pageData.pageNumber, text });
+      return text;
+    }
+  });
+
+  // pdf-parse swallows per-page render errors; keep a slot for those pages
+  for (let pageNumber = 1; pageNumber <= result.numpages; pageNumber++) {
+    if (!pages.some(page => page.pageNumber === pageNumber)) {
+      pages.push({ pageNumber, text: '' });
+    }
+  }
+
+  pages.sort((a, b) => a.pageNumber - b.pageNumber);
+
+  return { pages, info: result.info };
+}
+
+/**
+ * Open a PDF with pdf.js so page images can be decoded in Node
+ * @param {Uint8Array} data - PDF bytes
+ */
+async function openPdfForImages(data) {
+  // pdf.js build shipped with pdf-parse
+  const { default: PDFJS } = await import('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+  PDFJS.disableWorker = true;
+
+  // Decode JPEGs in pdf.js itself; the default path needs a browser Image
+  return PDFJS.getDocument({
+    data,
+    nativeImageDecoderSupport: 'none'
+  }).then(doc => ({ doc, OPS: PDFJS.OPS }));
+}
+
+/**
+ * Get the largest embedded image on a page as a PNG buffer
+ * Scanned PDFs carry one full-page image per page.
+ * @param {Object} pdf - Result of openPdfForImages
+ * @param {number} pageNumber - 1-based page number
+ * @returns {Promise<Buffer|null>}
+ */
+export async function getPageImage(pdf, pageNumber) {
+  const page = await pdf.doc.getPage(pageNumber);
+  const operatorList = await page.getOperatorList();
+
+  let largest = null;
+
+  operatorList.fnArray.forEach((fn, index) => {
+    if (fn !== pdf.OPS.paintImageXObject) return;
+
+    const image = page.objs.get(operatorList.argsArray[index][0]);
+    if (!image || !image.data || !IMAGE_CHANNELS[image.kind]) return;
+
+    if (!largest || image.width * image.height > largest.width * largest.height) {
+      largest = image;
+    }
+  });
+
+  if (!largest) return null;
+
+  const { default: sharp } = await import('sharp');
+  const channels = IMAGE_CHANNELS[largest.kind];
+
+  // 1bpp images are packed bits; expand them to one byte per pixel
+  const data = largest.kind === 1
+    ? unpackBits(largest.data, largest.width, largest.height)
+    : Buffer.from(largest.data.buffer, largest.data.byteOffset, largest.data.byteLength);
+
+  return sharp(data, {
+    raw: { width: largest.width, height: largest.height, channels }
+  }).png().toBuffer();
+}
+
+/**
+ * Expand a 1-bit-per-pixel bitmap (rows padded to whole bytes)
+ */
+function unpackBits(packed, width, height) {
+  const rowBytes = Math.ceil(width / 8);
+  const pixels = Buffer.alloc(width * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const byte = packed[y * rowBytes + (x >> 3)];
+      pixels[y * width + x] = (byte >> (7 - (x & 7))) & 1 ? 255 : 0;
+    }
+  }
+
+  return pixels;
+}
+
+/**
+ * Create the default page OCR function (one Tesseract worker per PDF)
+ * @returns {{recognize: Function, terminate: Function}}
+ */
+async function createPageRecognizer() {
+  const { createWorker } = await import('tesseract.js');
+
+  // tesseract.js throws worker errors out of band and never settles createWorker
+  // when language data fails to load, so surface the first error as a rejection
+  let failWorker;
+  const workerFailed = new Promise((resolve, reject) => { failWorker = reject; });
+
+  const worker = await Promise.race([
+    createWorker('eng', 1, {
+      errorHandler: (error) => failWorker(new Error(`OCR worker error: ${error}`))
+    }),
+    workerFailed
+  ]);
+
+  return {
+    recognize: async (image) => {
+      const { data } = await worker.recognize(image);
+      return { text: data.text || '', confidence: (data.confidence || 0) / 100 };
+    },
+    terminate: () => worker.terminate()
+  };
+}
+
+/**
+ * Split extracted pages into separate reports
+ * A page with a report header of a new type starts a new report;
+ * pages without a header continue the current one.
+ * @param {Array<{pageNumber: number, text: string, confidence?: number}>} pages
+ * @param {string} defaultType - Type for leading pages without a header
+ * @returns {Array<{type: string, pages: number[], text: string, confidence: number}>}
+ */
+export function splitReports(pages, defaultType = 'general') {
+  const segments = [];
+  let current = null;
+
+  for (const page of pages) {
+    const headerType = detectReportHeader(page.text);
+
+    if (current && headerType && !current.typed) {
+      // Leading pages without a header (cover sheets) belong to the first report
+      current.type = headerType;
+      current.typed = true;
+    } else if (!current || (headerType && headerType !== current.type)) {
+      current = { type: headerType || defaultType, typed: Boolean(headerType), pages: [], texts: [], confidences: [] };
+      segments.push(current);
+    }
+
+    current.pages.push(page.pageNumber);
+    current.texts.push(page.text);
+    current.confidences.push(page.confidence ?? 1);
+  }
+
+  return segments.map(({ type, pages: pageNumbers, texts, confidences }) => ({
+    type,
+    pages: pageNumbers,
+    text: texts.join('\n\n'),
+    confidence: confidences.reduce((sum, value) => sum + value, 0) / confidences.length
+  }));
+}
+
+/**
+ * Extract text from a PDF, page by page
+ * @param {Buffer|Uint8Array} input - PDF bytes
+ * @param {Object} options
+ * @param {boolean} options.ocrFallback - OCR pages without a text layer (default true)
+ * @param {number} options.minTextLength - Text layer length below which a page is OCR'd
+ * @param {Function} options.recognize - Custom OCR (imageBuffer) => {text, confidence}
+ * @param {string} options.defaultType - Report type for pages without a header
+ * @returns {Promise<Object>} - { text, pages, pageCount, ocrPages, confidence, reports, info }
+ */
+export async function extractPdf(input, options = {}) {
+  const {
+    ocrFallback = true,
+    minTextLength = MIN_PAGE_TEXT_LENGTH,
+    recognize = null,
+    defaultType = 'general'
+  } = options;
+
+  // pdf.js misreads some Buffers (its xref lexer relies on Uint8Array slice
+  // semantics), so hand it a plain Uint8Array copy
+  const data = new Uint8Array(input);
+
+  console.log(`[PDF] Extracting text layer (${data.length} bytes)...`);
+  const { pages: textPages, info } = await readTextLayer(data);
+
+  const pages = textPages.map(page => ({
+    pageNumber: page.pageNumber,
+    text: page.text.trim(),
+    source: page.text.trim().length >= minTextLength ? 'text' : 'none',
+    confidence: page.text.trim().length >= minTextLength ? 1 : 0
+  }));
+
+  const scanned = pages.filter(page => page.source === 'none');
+
+  if (ocrFallback && scanned.length > 0) {
+    console.log(`[PDF] ${scanned.length} of ${pages.length} page(s) have no text layer, running OCR...`);
+
+    let pdf = null;
+    let recognizer = null;
+
+    try {
+      pdf = await openPdfForImages(data);
+      recognizer = recognize ? { recognize, terminate: async () => {} } : await createPageRecognizer();
+
+      for (const page of scanned) {
+        try {
+          const image = await getPageImage(pdf, page.pageNumber);
+          if (!image) {
+            console.warn(`[PDF] Page ${page.pageNumber}: no image to OCR`);
+            continue;
+          }
+
+          const ocr = await recognizer.recognize(image);
+          if (ocr.text && ocr.text.trim()) {
+            page.text = ocr.text.trim();
+            page.source = 'ocr';
+            page.confidence = ocr.confidence;
+          }
+
+          console.log(`[PDF] Page ${page.pageNumber}: OCR confidence ${(page.confidence * 100).toFixed(0)}%`);
+        } catch (pageError) {
+          console.error(`[PDF] Page ${page.pageNumber}: OCR failed:`, pageError.message);
+        }
+      }
+    } catch (ocrError) {
+      // Keep the text layer result; scanned pages stay empty
+      console.error('[PDF] OCR fallback unavailable:', ocrError.message);
+    } finally {
+      if (recognizer) await recognizer.terminate();
+      if (pdf) pdf.doc.destroy();
+    }
+  }
+
+  const withText = pages.filter(page => page.text);
+  const confidence = withText.length > 0
+    ? withText.reduce((sum, page) => sum + page.confidence, 0) / withText.length
+    : 0;
+
+  const reports = splitReports(withText, defaultType);
+
+  console.log(`[PDF] Extracted ${pages.length} page(s), ${pages.filter(p => p.source === 'ocr').length} via OCR, ${reports.length} report(s)`);
+
+  return {
+    text: withText.map(page => page.text).join('\n\n'),
+    pages,
+    pageCount: pages.length,
+    ocrPages: pages.filter(page => page.source === 'ocr').map(page => page.pageNumber),
+    confidence,
+    reports,
+    info
+  };
+}
+
+/**
+ * Extract a PDF in the shape textExtractor.processDocument takes as options.extraction
+ * @param {Buffer|Uint8Array} input - PDF bytes
+ * @param {Object} options - extractPdf options (ocrFallback, defaultType, ...)
+ * @returns {Promise<{text: string, confidence: number, pages: number, pageNumbers: Array<number>, pageDetails: Array, ocrPages: Array<number>, reports: Array, error?: string}>}
+ */
+export async function extractPdfText(input, options = {}) {
+  const result = await extractPdf(input, options);
+
+  return {
+    text: result.text,
+    confidence: result.confidence,
+    pages: result.pageCount,
+    pageNumbers: result.pages.filter(page => page.text).map(page => page.pageNumber),
+    pageDetails: result.pages,
+    ocrPages: result.ocrPages,
+    reports: result.reports,
+    ...(result.text ? {} : { error: 'No text found in PDF' })
+  };
+}
+
+export default {
+  extractPdf,
+  extractPdfText,
+  splitReports,
+  getPageImage
+};
@@ -0,0 +1,264 @@
+/**
+ * Tesseract worker pool
+ * Keeps OCR workers warm across the pages of a batch instead of paying worker,
+ * core and traineddata initialization on every file. Workers load their assets
+ * from our own origin (public/tesseract, copied by scripts/copy-tesseract-assets.js)
+ * because the hospital network blocks the jsdelivr and projectnaptha CDNs.
+ *
+ * Jobs are queued and handed to the next idle worker; progress is reported per
+ * job and pending or running jobs can be cancelled.
+ */
+
+import { createWorker } from 'tesseract.js';
+
+// Served by Next.js from public/ under the GitHub Pages basePath
+export const TESSERACT_ASSET_PATH = '/Ward-rounds/tesseract';
+
+const DEFAULT_IDLE_TIMEOUT = 60 * 1000;
+const MAX_POOL_SIZE = 4;
+
+/**
+ * Thrown (as a rejection) for jobs cancelled before they finished
+ */
+export class OcrCancelledError extends Error {
+  constructor(message = 'OCR cancelled') {
+    super(message);
+    this.name = 'OcrCancelledError';
+  }
+}
+
+/**
+ * Number of workers this device can run side by side
+ * Each worker holds its own copy of the engine and language model (~100 MB),
+ * so low-memory phones get a single worker.
+ * @param {Object} nav - navigator (injectable for tests)
+ * @returns {number}
+ */
+export function defaultPoolSize(nav = typeof navigator !== 'undefined' ? navigator : {}) {
+  const cores = nav.hardwareConcurrency || 2;
+  const memory = nav.deviceMemory;
+
+  if (memory !== undefined && memory <= 2) return 1;
+  return Math.max(1, Math.min(MAX_POOL_SIZE, cores - 1));
+}
+
+/**
+ * Worker options pointing at the self-hosted assets
+ * @param {string} assetPath - Base URL path of the copied assets
+ * @returns {Object} - createWorker options
+ */
+export function selfHostedWorkerOptions(assetPath = TESSERACT_ASSET_PATH) {
+  const base = typeof window !== 'undefined'
+    ? new URL(assetPath, window.location.origin).href
+    : assetPath;
+
+  return {
+    workerPath: `${base}/worker.min.js`,
+    corePath: `${base}/core`,
+    langPath: `${base}/lang`,
+    // Load the worker script directly (same origin) rather than through a blob URL
+    workerBlobURL: false
+  };
+}
+
+/**
+ * Create a worker pool
+ * @param {Object} options
+ * @param {number} options.size - Maximum number of workers
+ * @param {number} options.idleTimeout - Terminate all workers after this long without jobs (ms)
+ * @param {Function} options.createWorker - (logger) => Promise<worker>; defaults to a self-hosted Tesseract worker
+ * @returns {Object} - Pool with recognize, cancelAll, terminate and stats
+ */
+export function createOcrPool(options = {}) {
+  const {
+    size = defaultPoolSize(),
+    idleTimeout = DEFAULT_IDLE_TIMEOUT,
+    createWorker: spawnWorker = createSelfHostedWorker
+  } = options;
+
+  const workers = []; // { worker, job, ready }
+  const queue = [];
+  let idleTimer = null;
+
+  const scheduleIdleShutdown = () => {
+    clearTimeout(idleTimer);
+    if (!idleTimeout) return;
+    idleTimer = setTimeout(() => {
+      if (queue.length === 0 && workers.every(slot => !slot.job)) {
+        console.log('[OCR Pool] Idle - terminating workers');
+        terminateWorkers();
+      }
+    }, idleTimeout);
+  };
+
+  const terminateWorkers = () => {
+    const slots = workers.splice(0);
+    return Promise.all(slots.map(slot =>
+      slot.ready.then(worker => worker.terminate()).catch(() => {})
+    ));
+  };
+
+  const spawn = () => {
+    const slot = { job: null, worker: null, ready: null };
+    // Progress from the worker is routed to whichever job it is running
+    const logger = (message) => {
+      if (slot.job?.onProgress && message.status === 'recognizing text') {
+        slot.job.onProgress({ status: message.status, progress: message.progress });
+      }
+    };
+    slot.ready = spawnWorker(logger).then(worker => {
+      slot.worker = worker;
+      return worker;
+    });
+    workers.push(slot);
+    return slot;
+  };
+
+  const runNext = () => {
+    if (queue.length === 0) {
+      if (workers.every(slot => !slot.job)) scheduleIdleShutdown();
+      return;
+    }
+    clearTimeout(idleTimer);
+
+    let slot = workers.find(s => !s.job);
+    if (!slot && workers.length < size) slot = spawn();
+    if (!slot) return;
+
+    const job = queue.shift();
+    slot.job = job;
+    job.slot = slot;
+    job.onProgress?.({ status: 'starting', progress: 0 });
+
+    slot.ready
+      .then(worker => worker.recognize(job.image))
+      .then(
+        ({ data }) => {
+          if (job.cancelled) return;
+          job.onProgress?.({ status: 'done', progress: 1 });
+          job.resolve(data);
+        },
+        (error) => {
+          if (job.cancelled) return;
+          // A worker that failed to start is dropped so the next job spawns a fresh one
+          const index = workers.indexOf(slot);
+          if (!slot.worker && index !== -1) workers.splice(index, 1);
+          job.reject(error);
+        }
+      )
+      .finally(() => {
+        if (slot.job === job) slot.job = null;
+        job.cleanup();
+        runNext();
+      });
+
+    runNext();
+  };
+
+  const cancelJob = (job) => {
+    if (job.cancelled) return;
+    job.cancelled = true;
+    job.cleanup();
+
+    const queued = queue.indexOf(job);
+    if (queued !== -1) {
+      queue.splice(queued, 1);
+    } else if (job.slot) {
+      // Tesseract cannot abort a recognition in progress - replace the worker
+      const slot = job.slot;
+      const index = workers.indexOf(slot);
+      if (index !== -1) workers.splice(index, 1);
+      slot.job = null;
+      slot.ready.then(worker => worker.terminate()).catch(() => {});
+    }
+
+    job.reject(new OcrCancelledError());
+    // Deferred so jobs aborted by the same signal are all removed before a replacement worker starts
+    Promise.resolve().then(runNext);
+  };
+
+  return {
+    /**
+     * Queue an image for recognition
+     * @param {File|Blob|string} image - Anything tesseract.js accepts
+     * @param {Object} jobOptions
+     * @param {Function} jobOptions.onProgress - ({status, progress 0-1}) for this image only
+     * @param {AbortSignal} jobOptions.signal - Cancels the job
+     * @returns {Promise<Object>} - Tesseract result data
+     */
+    recognize(image, jobOptions = {}) {
+      const { onProgress, signal } = jobOptions;
+
+      if (signal?.aborted) return Promise.reject(new OcrCancelledError());
+
+      return new Promise((resolve, reject) => {
+        const job = { image, onProgress, resolve, reject, cancelled: false, slot: null };
+        const onAbort = () => cancelJob(job);
+        job.cleanup = () => signal?.removeEventListener('abort', onAbort);
+        signal?.addEventListener('abort', onAbort);
+
+        queue.push(job);
+        runNext();
+      });
+    },
+
+    /** Cancel every queued and running job */
+    cancelAll() {
+      [...queue, ...workers.map(slot => slot.job).filter(Boolean)].forEach(cancelJob);
+    },
+
+    /** Cancel everything and shut the workers down */
+    async terminate() {
+      clearTimeout(idleTimer);
+      this.cancelAll();
+      await terminateWorkers();
+    },
+
+    stats() {
+      return {
+        size,
+        workers: workers.length,
+        busy: workers.filter(slot => slot.job).length,
+        queued: queue.length
+      };
+    }
+  };
+}
+
+let defaultPool = null;
+
+/**
+ * Shared pool for the app (created on first use)
+ * @returns {Object}
+ */
+export function getOcrPool() {
+  if (!defaultPool) {
+    defaultPool = createOcrPool();
+  }
+  return defaultPool;
+}
+
+async function createSelfHostedWorker(logger) {
+  // tesseract.js reports worker errors out of band and never settles createWorker
+  // when an asset fails to load, so surface the first error as a rejection
+  let failWorker;
+  const workerFailed = new Promise((resolve, reject) => { failWorker = reject; });
+
+  return Promise.race([
+    createWorker('eng', 1, {
+      ...(typeof window !== 'undefined' ? selfHostedWorkerOptions() : {}),
+      logger,
+      errorHandler: (error) => failWorker(new Error(`OCR worker error: ${error}`))
+    }),
+    workerFailed
+  ]);
+}
+
+export default {
+  createOcrPool,
+  getOcrPool,
+  defaultPoolSize,
+  selfHostedWorkerOptions,
+  OcrCancelledError,
+  TESSERACT_ASSET_PATH
+};
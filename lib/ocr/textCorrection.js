@@ -0,0 +1,272 @@
+/**
+ * OCR text review and correction
+ * Lets the user fix misread text ("K 58" for "K 5.8") or individual parsed lab
+ * rows instead of rescanning. The corrected text is parsed again; the first
+ * extraction is kept alongside it (originalExtractedText / originalStructuredData)
+ * and every correction is described by an entry for the report's history and
+ * the audit log.
+ */
+
+import { normalizeLabResult, isPlausibleResult } from '../labs/lab-dictionary.js';
+import { processDocument } from './textExtractor.js';
+
+// Tesseract word confidence (0-1) below which a word is highlighted for review
+export const LOW_CONFIDENCE_THRESHOLD = 0.6;
+
+const MAX_DIFF_TOKENS = 3000;
+
+/**
+ * Split text into segments marking words OCR was unsure of
+ * Words are matched to the text in order, so repeated words keep their own confidence.
+ * @param {string} text - Extracted text
+ * @param {Array<{text: string, confidence: number}>} words - OCR words in reading order
+ * @param {Object} options
+ * @param {number} options.threshold - Confidence below which a word is low
+ * @returns {Array<{text: string, confidence: number|null, low: boolean}>}
+ */
+export function markLowConfidence(text, words = [], options = {}) {
+  const { threshold = LOW_CONFIDENCE_THRESHOLD } = options;
+  const segments = [];
+  let next = 0;
+
+  for (const part of String(text || '').split(/(\s+)/)) {
+    if (!part) continue;
+    if (/^\s+$/.test(part)) {
+      segments.push({ text: part, confidence: null, low: false });
+      continue;
+    }
+
+    // Look a few words ahead so a merged or dropped word does not derail the rest
+    let confidence = null;
+    for (let i = next; i < Math.min(words.length, next + 5); i++) {
+      if (words[i].text === part) {
+        confidence = words[i].confidence;
+        next = i + 1;
+        break;
+      }
+    }
+
+    segments.push({ text: part, confidence, low: confidence !== null && confidence < threshold });
+  }
+
+  return segments;
+}
+
+/**
+ * Lab results that need a second look: implausible values or unrecognized units
+ * @param {Array<Object>} results - Normalized lab results
+ * @returns {Array<number>} - Indexes into results
+ */
+export function findSuspectLabRows(results = []) {
+  return results.flatMap((result, index) =>
+    isPlausibleResult(result) === false || (result.analyte && result.unitRecognized === false) ? [index] : []
+  );
+}
+
+/**
+ * Word-level changes between two versions of a text
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{from: string, to: string}>} - Replaced, removed (to '') or added (from '') runs
+ */
+export function diffWords(before, after) {
+  const a = String(before || '').split(/\s+/).filter(Boolean).slice(0, MAX_DIFF_TOKENS);
+  const b = String(after || '').split(/\s+/).filter(Boolean).slice(0, MAX_DIFF_TOKENS);
+
+  // Longest common subsequence table, filled from the end
+  const width = b.length + 1;
+  const lcs = new Uint16Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[i] === b[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const changes = [];
+  let removed = [];
+  let added = [];
+  const flush = () => {
+    if (removed.length || added.length) changes.push({ from: removed.join(' '), to: added.join(' ') });
+    removed = [];
+    added = [];
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      flush();
+      i++;
+      j++;
+    } else if (j < b.length && (i === a.length || lcs[i * width + j + 1] >= lcs[(i + 1) * width + j])) {
+      added.push(b[j++]);
+    } else {
+      removed.push(a[i++]);
+    }
+  }
+  flush();
+
+  return changes;
+}
+
+/**
+ * Correct a report's extracted text and parse it again
+ * @param {Object} report - Report being corrected
+ * @param {string} correctedText - Text as fixed by the user
+ * @param {Object} options
+ * @param {Object} options.patient - Patient ({ gender, age }) for lab reference ranges
+ * @returns {Promise<{changes: Object, correction: Object}|null>} - null when nothing changed
+ */
+export async function correctReportText(report, correctedText, options = {}) {
+  const textChanges = diffWords(report.extractedText, correctedText);
+  if (textChanges.length === 0) return null;
+
+  const parsed = await processDocument(
+    { name: report.fileName || 'document', size: correctedText.length },
+    'text/plain',
+    report.type || 'general',
+    { patient: options.patient, extraction: { text: correctedText, confidence: 1 } }
+  );
+
+  return {
+    changes: {
+      ...keepOriginal(report),
+      extractedText: correctedText,
+      structuredData: parsed.structuredData
+    },
+    correction: createCorrection('text', textChanges)
+  };
+}
+
+/**
+ * Correct individual parsed lab rows
+ * Each row is normalized again; its printed line in the text is patched as well so
+ * re-interpretation sees the corrected value.
+ * @param {Object} report - Lab report being corrected
+ * @param {Array<{index: number, test?: string, value?: string, unit?: string}>} edits - Fields changed per row
+ * @param {Object} options
+ * @param {Object} options.patient - Patient ({ gender, age }) for lab reference ranges
+ * @returns {{changes: Object, correction: Object}|null} - null when nothing changed
+ */
+export function correctLabRows(report, edits = [], options = {}) {
+  const results = [...(report.structuredData?.results || [])];
+  let text = report.extractedText || '';
+  const rowChanges = [];
+
+  for (const edit of edits) {
+    const original = results[edit.index];
+    if (!original) continue;
+
+    const before = printedFields(original);
+    const after = {
+      test: edit.test ?? before.test,
+      value: edit.value ?? before.value,
+      unit: edit.unit ?? before.unit
+    };
+    if (before.test === after.test && before.value === after.value && before.unit === after.unit) continue;
+
+    results[edit.index] = normalizeLabResult({
+      test: after.test,
+      value: after.value,
+      comparator: original.comparator ?? null,
+      unit: after.unit,
+      referenceRange: printedRange(original),
+      printedFlag: original.printedFlag ?? null,
+      raw: original.raw ?? original.rawText,
+      corrected: true
+    }, options.patient);
+
+    text = patchLine(text, original.raw ?? original.rawText, before, after);
+    rowChanges.push({ index: edit.index, from: before, to: after });
+  }
+
+  if (rowChanges.length === 0) return null;
+
+  return {
+    changes: {
+      ...keepOriginal(report),
+      extractedText: text,
+      structuredData: { ...report.structuredData, results }
+    },
+    correction: createCorrection('lab_rows', rowChanges)
+  };
+}
+
+// The first extraction is kept once, however many corrections follow
+function keepOriginal(report) {
+  return {
+    originalExtractedText: report.originalExtractedText ?? report.extractedText ?? '',
+    originalStructuredData: report.originalStructuredData ?? report.structuredData ?? null
+  };
+}
+
+function createCorrection(kind, changes) {
+  return {
+    id: `${Date.now()}${Math.random().toString(36).slice(2, 6)}`,
+    kind,
+    correctedAt: new Date().toISOString(),
+    changes
+  };
+}
+
+// Fields as printed on the report (before unit conversion)
+function printedFields(result) {
+  return {
+    test: result.test || '',
+    value: String(result.originalValue ?? result.value ?? ''),
+    unit: result.originalUnit ?? result.unit ?? ''
+  };
+}
+
+function printedRange(result) {
+  const range = result.referenceRange;
+  if (!range || typeof range === 'string') return range || '';
+  return range.source === 'report' && range.low !== undefined && range.high !== undefined
+    ? `${range.low}-${range.high}`
+    : '';
+}
+
+// Replace the edited fields inside the row's printed line, or append the corrected row
+function patchLine(text, raw, before, after) {
+  const replacement = `${after.test} ${after.value} ${after.unit}`.trim();
+
+  if (!raw || !text.includes(raw)) {
+    return `${text}\nCorrected: ${replacement}`;
+  }
+
+  let line = raw;
+  const testAt = line.indexOf(before.test);
+  if (testAt !== -1 && before.test !== after.test) {
+    line = line.slice(0, testAt) + after.test + line.slice(testAt + before.test.length);
+  }
+  let from = testAt !== -1 ? testAt + after.test.length : 0;
+  ['value', 'unit'].forEach(field => {
+    if (before[field] === after[field]) {
+      const at = line.indexOf(before[field], from);
+      if (before[field] && at !== -1) from = at + before[field].length;
+      return;
+    }
+    // A missing field (no unit printed) goes straight after the previous one
+    const at = before[field] ? line.indexOf(before[field], from) : -1;
+    if (at !== -1) {
+      line = line.slice(0, at) + after[field] + line.slice(at + before[field].length);
+      from = at + after[field].length;
+    } else {
+      line = `${line.slice(0, from)} ${after[field]}${line.slice(from)}`;
+      from += after[field].length + 1;
+    }
+  });
+
+  return text.replace(raw, line);
+}
+
+export default {
+  LOW_CONFIDENCE_THRESHOLD,
+  markLowConfidence,
+  findSuspectLabRows,
+  diffWords,
+  correctReportText,
+  correctLabRows
+};
@@ -3,44 +3,32 @@
  * Extracts text from medical documents (images/PDFs)
  */
 
-import { createWorker } from 'tesseract.js';
+import { getOcrPool, OcrCancelledError } from './tesseractPool.js';
+import { parseLabLine, parseLabTable, normalizeLabResults } from '../labs/lab-dictionary.js';
+import { parseCollectionTime } from '../labs/collection-time.js';
+import { wordsFromTesseract, buildLayout } from './layout.js';
+import { correctExtraction } from './medicalVocabulary.js';
+import { classifyDocument } from './documentClassifier.js';
+import { parseEcgReport } from '../ecg/ecg-parser.js';
 
 /**
  * Extract text from an image file using OCR
+ * Runs on the shared worker pool, so consecutive files in a batch reuse warm
+ * workers and the self-hosted Tesseract assets.
  * @param {File|Blob} file - The image file to process
- * @returns {Promise<{text: string, confidence: number}>}
+ * @param {Object} options
+ * @param {Function} options.onProgress - ({status, progress 0-1}) for this file
+ * @param {AbortSignal} options.signal - Cancels the recognition
+ * @returns {Promise<{text: string, confidence: number, wordBoxes: Array<Object>}>} - wordBoxes keep each word's position (see layout.js)
  */
-export async function extractTextFromImage(file) {
-  let worker = null;
+export async function extractTextFromImage(file, options = {}) {
+  const { onProgress, signal } = options;
 
   try {
     console.log('[OCR] Starting text extraction...');
     console.log('[OCR] File type:', file.type, 'Size:', file.size, 'bytes');
 
-    // Create worker with proper configuration
-    worker = await createWorker('eng', 1, {
-      logger: (m) => {
-        if (m.status === 'recognizing text') {
-          console.log(`[OCR] Progress: ${Math.round(m.progress * 100)}%`);
-        } else if (m.status === 'loading tesseract core') {
-          console.log('[OCR] Loading Tesseract core...');
-        } else if (m.status === 'initializing tesseract') {
-          console.log('[OCR] Initializing Tesseract...');
-        } else if (m.status === 'initializing api') {
-          console.log('[OCR] Initializing API...');
-        } else if (m.status === 'loading language traineddata') {
-          console.log('[OCR] Loading language data...');
-        }
-      },
-      // Configure worker path for CDN
-      workerPath: 'https://cdn.jsdelivr.net/npm/tesseract.js@5.1.1/dist/worker.min.js',
-      langPath: 'https://tessdata.projectnaptha.com/4.0.0',
-      corePath: 'https://cdn.jsdelivr.net/npm/tesseract.js-core@5.0.0/tesseract-core.wasm.js'
-    });
-
-    console.log('[OCR] Worker initialized, starting recognition...');
-
-    const { data } = await worker.recognize(file);
+    const data = await getOcrPool().recognize(file, { onProgress, signal });
 
     console.log('[OCR] Extraction complete');
     console.log(`[OCR] Confidence: ${data.confidence}%`);
@@ -50,89 +38,115 @@ export async function extractTextFromImage(file) {
     // Check if any text was actually detected
     if (!data.text || data.text.trim().length === 0) {
       console.warn('[OCR] No text detected in image');
-      await worker.terminate();
       return {
         text: '',
         confidence: 0,
         words: 0,
         lines: 0,
+        wordBoxes: [],
         error: 'No text detected in image. Please ensure the image is clear and contains readable text.'
       };
     }
 
-    await worker.terminate();
-
     return {
       text: data.text,
       confidence: data.confidence / 100, // Convert to 0-1 scale
       words: data.words?.length || 0,
-      lines: data.lines?.length || 0
+      lines: data.lines?.length || 0,
+      wordBoxes: wordsFromTesseract(data)
     };
   } catch (error) {
+    // Cancellation is not a failure - let callers tell the two apart
+    if (error instanceof OcrCancelledError) throw error;
+
     console.error('[OCR] Error:', error);
     console.error('[OCR] Error stack:', error.stack);
 
-    // Clean up worker if it was created
-    if (worker) {
-      try {
-        await worker.terminate();
-      } catch (terminateError) {
-        console.error('[OCR] Error terminating worker:', terminateError);
-      }
-    }
-
     throw new Error(`Failed to extract text: ${error.message}`);
   }
 }
 
 /**
- * Extract text from PDF file
- * Note: PDF parsing is disabled for client-side builds (GitHub Pages)
- * PDFs should be processed by Google Apps Script backend instead
- * @param {File|Buffer} file - The PDF file
- * @returns {Promise<{text: string, confidence: number}>}
+ * Result for a PDF whose text was not extracted beforehand
+ * PDFs are read by lib/ocr/pdfExtractor.js, which is Node only and imported by
+ * server code alone (see report-pipeline.js); callers pass its extractPdfText()
+ * result to processDocument as options.extraction.
+ * @returns {{text: string, confidence: number, pages: number, error: string}}
  */
-async function extractTextFromPDF(file) {
-  console.warn('[PDF] Client-side PDF processing not available in browser.');
-  console.log('[PDF] Please use Google Apps Script backend for PDF processing.');
+function unextractedPdf() {
+  console.warn('[PDF] PDF passed without extracted text; use pdfExtractor.extractPdfText on the server');
 
-  // Return empty result - Google Script will handle PDFs
   return {
     text: '',
     confidence: 0,
     pages: 0,
-    error: 'PDF processing requires server-side processing. Use Google Apps Script backend.'
+    error: 'PDF text is extracted on the server. Pass pdfExtractor.extractPdfText() as options.extraction.'
   };
 }
 
 /**
  * Process a file and extract relevant medical information
+ * A multi-report PDF (e.g. a discharge bundle) is split into typed reports,
+ * each processed through this function and returned in `reports`.
  * @param {File|Buffer} file - The document file
  * @param {string} fileType - MIME type of the file
- * @param {string} documentType - Type of document (lab, imaging, note, etc.)
+ * @param {string} documentType - Type of document (lab, imaging, note, etc.); 'auto' classifies the text
+ * @param {Object} options - Additional options
+ * @param {Object} options.patient - Patient ({ gender, age }) for lab reference ranges
+ * @param {boolean} options.splitReports - Split multi-report PDFs (default true)
+ * @param {Object} options.extraction - Already extracted text ({ text, confidence, pages, wordBoxes }, or pdfExtractor.extractPdfText() for PDFs); skips OCR
+ * @param {boolean} options.correctVocabulary - Fix misread medical words in image OCR text (default true)
+ * @param {Function} options.onProgress - Image OCR progress ({status, progress 0-1})
+ * @param {AbortSignal} options.signal - Cancels image OCR
  * @returns {Promise<Object>}
  */
-export async function processDocument(file, fileType, documentType = 'general') {
+export async function processDocument(file, fileType, documentType = 'auto', options = {}) {
   console.log(`[OCR] Processing ${documentType} document...`);
 
   let extractionResult;
 
-  // Handle PDFs
-  if (fileType === 'application/pdf' || (typeof file === 'object' && file.type === 'application/pdf')) {
-    extractionResult = await extractTextFromPDF(file);
+  if (options.extraction) {
+    extractionResult = options.extraction;
+  } else if (fileType === 'application/pdf' || (typeof file === 'object' && file.type === 'application/pdf')) {
+    extractionResult = unextractedPdf();
   } else {
     // Handle images with OCR
-    extractionResult = await extractTextFromImage(file);
+    extractionResult = await extractTextFromImage(file, {
+      onProgress: options.onProgress,
+      signal: options.signal
+    });
+
+    // "Creatlnine", "mmoI/L": fix misread medical words before the text is classified and parsed
+    if (options.correctVocabulary !== false) {
+      extractionResult = correctExtraction(extractionResult);
+    }
+  }
+
+  // Classify the text unless the caller fixed the type
+  let classification = null;
+  if (documentType === 'auto') {
+    classification = classifyDocument(extractionResult.text);
+    documentType = classification.type;
+    console.log(`[OCR] Classified as ${documentType} (confidence ${classification.confidence})`);
   }
 
+  // Word positions let tabular printouts be read row by row
+  const layout = extractionResult.wordBoxes?.length ? buildLayout(extractionResult.wordBoxes) : null;
+
   // Parse based on document type
-  const parsed = parseByDocumentType(extractionResult.text, documentType);
+  const parsed = parseByDocumentType(extractionResult.text, documentType, { ...options, layout });
 
-  return {
+  // Keep source page numbers with the parsed report (PDF input)
+  if (extractionResult.pageNumbers) {
+    parsed.pages = extractionResult.pageNumbers;
+  }
+
+  const result = {
     fullText: extractionResult.text,
     rawText: extractionResult.text, // Alias for compatibility
     confidence: extractionResult.confidence,
     type: documentType,
+    classification,
     structuredData: parsed,
     parsed, // Alias for compatibility
     metadata: {
@@ -140,27 +154,69 @@ export async function processDocument(file, fileType, documentType = 'general')
       fileSize: file.size || (file.length || 0),
       fileType: fileType || file.type,
       pages: extractionResult.pages,
+      pageNumbers: extractionResult.pageNumbers,
+      pageDetails: extractionResult.pageDetails,
+      ocrPages: extractionResult.ocrPages,
       extractedAt: new Date().toISOString()
     }
   };
+
+  // Per-word confidence lets the review screen highlight words OCR was unsure of
+  if (extractionResult.wordBoxes?.length) {
+    result.ocrWords = extractionResult.wordBoxes.map(({ text, confidence }) => ({
+      text,
+      confidence: Math.round(confidence * 100) / 100
+    }));
+  }
+
+  // Every automatic word change, for review next to the text
+  if (extractionResult.vocabularyCorrections) {
+    result.vocabularyCorrections = extractionResult.vocabularyCorrections;
+  }
+
+  if (extractionResult.error) {
+    result.error = extractionResult.error;
+  }
+
+  // Split bundles: each segment goes through the same parsing path
+  if (extractionResult.reports?.length > 1 && options.splitReports !== false) {
+    result.reports = [];
+
+    for (const segment of extractionResult.reports) {
+      result.reports.push(await processDocument(file, fileType, segment.type, {
+        ...options,
+        extraction: {
+          text: segment.text,
+          confidence: segment.confidence,
+          pages: segment.pages.length,
+          pageNumbers: segment.pages
+        }
+      }));
+    }
+  }
+
+  return result;
 }
 
 /**
  * Parse extracted text based on document type
  * @param {string} text - Raw OCR text
  * @param {string} type - Document type
+ * @param {Object} options - Parsing options (patient context, layout from buildLayout)
  * @returns {Object}
  */
-function parseByDocumentType(text, type) {
+export function parseByDocumentType(text, type, options = {}) {
   const lines = text.split('\n').filter(line => line.trim());
 
   switch (type) {
     case 'lab':
-      return parseLabResults(lines);
+      return parseLabResults(lines, options.patient, options.layout);
     case 'imaging':
       return parseImagingReport(lines);
     case 'note':
       return parseClinicalNote(lines);
+    case 'ecg':
+      return parseEcgReport(text, options.patient);
     default:
       return { lines, summary: text.substring(0, 200) };
   }
@@ -168,29 +224,29 @@ function parseByDocumentType(text, type) {
 
 /**
  * Parse lab results
+ * Rows of a detected results table are read cell by cell; without one, each
+ * line (in page order when word positions are known) is matched as text.
+ * Results are normalized against the lab dictionary (canonical analyte, unit and flag).
+ * collectedAt is the printed specimen collection time, or null when none is found.
  */
-function parseLabResults(lines) {
-  const results = [];
+function parseLabResults(lines, patient = {}, layout = null) {
+  const tableResults = (layout?.tables || []).flatMap(table => parseLabTable(table));
+  const source = tableResults.length > 0 ? 'table' : 'text';
 
-  // Simple pattern matching for lab values
-  const labPattern = /([A-Za-z\s]+)\s*[:-]?\s*([\d.]+)\s*([a-zA-Z/%]+)?/;
+  const textLines = layout?.lines.length ? layout.lines.map(line => line.text) : lines;
+  const parsed = source === 'table'
+    ? tableResults
+    : textLines.flatMap(line => parseLabLine(line).map(result => ({ ...result, raw: line })));
 
-  lines.forEach(line => {
-    const match = line.match(labPattern);
-    if (match) {
-      results.push({
-        test: match[1].trim(),
-        value: match[2],
-        unit: match[3] || '',
-        raw: line
-      });
-    }
-  });
+  const results = normalizeLabResults(parsed, patient);
 
   return {
     type: 'lab',
+    source,
+    collectedAt: parseCollectionTime(lines.join('\n')),
     results,
-    totalTests: results.length
+    totalTests: results.length,
+    recognizedTests: results.filter(r => r.analyte).length
   };
 }
 
@@ -266,5 +322,6 @@ function parseClinicalNote(lines) {
 
 export default {
   extractTextFromImage,
-  processDocument
+  processDocument,
+  parseByDocumentType
 };
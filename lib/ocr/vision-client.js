@@ -1,4 +1,9 @@
 import vision from '@google-cloud/vision';
+import { parseLabLine, parseLabTable, normalizeLabResults } from '../labs/lab-dictionary.js';
+import { wordsFromVision, buildLayout } from './layout.js';
+import { correctExtraction } from './medicalVocabulary.js';
+import { classifyDocument } from './documentClassifier.js';
+import { parseEcgReport } from '../ecg/ecg-parser.js';
 
 let client = null;
 
@@ -28,10 +33,13 @@ function getVisionClient() {
 /**
  * Process a document image with OCR
  * @param {Buffer} imageBuffer - Image buffer
- * @param {string} reportType - Type of report (lab, imaging, note, etc.)
- * @returns {Promise<Object>} - OCR results with extracted text and structured data
+ * @param {string} reportType - Type of report (lab, imaging, note, etc.); 'auto' classifies the text
+ * @param {Object} options - Additional options
+ * @param {Object} options.patient - Patient ({ gender, age }) for lab reference ranges
+ * @param {boolean} options.correctVocabulary - Fix misread medical words in the OCR text (default true)
+ * @returns {Promise<Object>} - OCR results with extracted text, type and structured data
  */
-export async function processDocument(imageBuffer, reportType = 'general') {
+export async function processDocument(imageBuffer, reportType = 'auto', options = {}) {
   try {
     const visionClient = getVisionClient();
 
@@ -52,8 +60,10 @@ export async function processDocument(imageBuffer, reportType = 'general') {
       };
     }
 
-    // Extract full text
-    const fullText = fullTextAnnotation.text;
+    // Misread medical words are fixed in the text and the word boxes alike
+    const ocrText = { text: fullTextAnnotation.text, wordBoxes: wordsFromVision(fullTextAnnotation) };
+    const extraction = options.correctVocabulary === false ? ocrText : correctExtraction(ocrText);
+    const fullText = extraction.text;
 
     // Calculate average confidence
     const confidences = fullTextAnnotation.pages.flatMap(page =>
@@ -69,14 +79,28 @@ export async function processDocument(imageBuffer, reportType = 'general') {
 
     console.log(`[Vision] Text extracted. Length: ${fullText.length}, Confidence: ${avgConfidence.toFixed(3)}`);
 
+    // Classify the text unless the caller fixed the type
+    let classification = null;
+    if (reportType === 'auto') {
+      classification = classifyDocument(fullText);
+      reportType = classification.type;
+      console.log(`[Vision] Classified as ${reportType} (confidence ${classification.confidence})`);
+    }
+
+    // Word positions let tabular printouts be read row by row
+    const layout = buildLayout(extraction.wordBoxes);
+
     // Extract structured data based on report type
-    const structuredData = await extractStructuredData(fullText, reportType);
+    const structuredData = await extractStructuredData(fullText, reportType, { ...options, layout });
 
     return {
       fullText,
       pages: fullTextAnnotation.pages.length,
+      type: reportType,
+      classification,
       structuredData,
       confidence: avgConfidence,
+      vocabularyCorrections: extraction.vocabularyCorrections || [],
       language: result.textAnnotations?.[0]?.locale || 'en'
     };
   } catch (error) {
@@ -89,18 +113,19 @@ export async function processDocument(imageBuffer, reportType = 'general') {
  * Extract structured data from text based on report type
  * @param {string} text - Full extracted text
  * @param {string} reportType - Type of report
+ * @param {Object} options - Extraction options (patient context, layout from buildLayout)
  * @returns {Promise<Object>} - Structured data
  */
-async function extractStructuredData(text, reportType) {
+async function extractStructuredData(text, reportType, options = {}) {
   switch (reportType) {
     case 'lab':
-      return extractLabData(text);
+      return extractLabData(text, options.patient, options.layout);
     case 'imaging':
       return extractImagingData(text);
     case 'note':
       return extractNoteData(text);
     case 'ecg':
-      return extractECGData(text);
+      return extractECGData(text, options.patient);
     default:
       return null;
   }
@@ -108,46 +133,27 @@ async function extractStructuredData(text, reportType) {
 
 /**
  * Extract lab results from text
+ * Rows of a detected results table are read cell by cell; otherwise each line is
+ * matched as text (in page order when the layout has lines).
  * @param {string} text - Lab report text
+ * @param {Object} patient - Patient context for reference ranges
+ * @param {Object} layout - Lines and tables from buildLayout
  * @returns {Object} - Structured lab data
  */
-function extractLabData(text) {
-  const results = [];
-  const lines = text.split('\n');
+export function extractLabData(text, patient = {}, layout = null) {
+  const tableResults = (layout?.tables || []).flatMap(table => parseLabTable(table));
+  const source = tableResults.length > 0 ? 'table' : 'text';
 
-  // Common lab test patterns
-  const patterns = [
-    // Pattern: TestName Value Unit (RefRange)
-    /([A-Za-z][A-Za-z\s\(\)]+?)\s+([\d.]+)\s*([a-zA-Z/%]+)?\s*(?:\(([^)]+)\))?/gi,
-    // Pattern: TestName: Value
-    /([A-Za-z][A-Za-z\s]+):\s*([\d.]+)\s*([a-zA-Z/%]+)?/gi
-  ];
+  const lines = layout?.lines.length ? layout.lines.map(line => line.text) : text.split('\n');
+  const parsed = (source === 'table' ? tableResults : lines.flatMap(line => parseLabLine(line)))
+    .map(({ raw, ...result }) => ({ ...result, rawText: raw }));
 
-  for (const line of lines) {
-    for (const pattern of patterns) {
-      const matches = [...line.matchAll(pattern)];
-      for (const match of matches) {
-        const testName = match[1]?.trim();
-        const value = match[2];
-        const unit = match[3] || '';
-        const refRange = match[4] || '';
-
-        if (testName && value && testName.length < 50) {
-          results.push({
-            test: testName,
-            value: parseFloat(value),
-            unit: unit.trim(),
-            referenceRange: refRange.trim(),
-            rawText: match[0]
-          });
-        }
-      }
-    }
-  }
+  const results = normalizeLabResults(parsed.slice(0, 50), patient); // Limit to 50 results
 
   return {
     type: 'lab',
-    results: results.slice(0, 50), // Limit to 50 results
+    source,
+    results,
     timestamp: extractTimestamp(text),
     patientInfo: extractPatientInfo(text)
   };
@@ -195,20 +201,14 @@ function extractNoteData(text) {
 
 /**
  * Extract ECG data
+ * Measurements and rule-based flags come from the ECG parser (lib/ecg/ecg-parser.js)
  * @param {string} text - ECG report text
+ * @param {Object} patient - Patient context for the QTc limit
  * @returns {Object} - Structured ECG data
  */
-function extractECGData(text) {
+function extractECGData(text, patient = {}) {
   return {
-    type: 'ecg',
-    rate: extractValue(text, ['rate', 'hr', 'heart rate'], /(\d+)\s*bpm/i),
-    rhythm: extractValue(text, ['rhythm'], /rhythm[:\s]+([^\n.]+)/i),
-    axis: extractValue(text, ['axis'], /axis[:\s]+([^\n.]+)/i),
-    intervals: {
-      pr: extractValue(text, ['pr interval'], /pr[:\s]+(\d+)\s*ms/i),
-      qrs: extractValue(text, ['qrs'], /qrs[:\s]+(\d+)\s*ms/i),
-      qt: extractValue(text, ['qt interval', 'qtc'], /qtc?[:\s]+(\d+)\s*ms/i)
-    },
+    ...parseEcgReport(text, patient),
     findings: extractSection(text, ['findings', 'interpretation', 'impression']),
     timestamp: extractTimestamp(text),
     patientInfo: extractPatientInfo(text)
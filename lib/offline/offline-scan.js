@@ -0,0 +1,88 @@
+/**
+ * Offline capture path for the scanner
+ * Reads the document with local OCR right away and queues it, with a draft
+ * report, for AI interpretation once the Apps Script is reachable again.
+ * Browser only (kept out of scan-queue.js so the service worker bundle stays small).
+ */
+
+import { getScanQueue, requestQueueSync, jobToReport } from './scan-queue.js';
+
+/**
+ * Read a captured document on this device
+ * Images are OCR'd from a Sauvola-binarized copy, which Tesseract reads much
+ * better on shadowed ward photos. PDFs are refused: they are read on the
+ * server only (lib/ocr/pdfExtractor.js), through /api/reports/stream.
+ * @param {File} file - Captured (preprocessed) document
+ * @param {Object} options
+ * @param {string} options.reportType - Chosen type or 'auto' to classify the text
+ * @param {Function} options.onProgress - Local OCR progress ({status, progress 0-1})
+ * @param {AbortSignal} options.signal - Cancels local OCR
+ * @returns {Promise<Object>} - textExtractor.processDocument result
+ * @throws {Error} - For a PDF
+ */
+export async function readDocumentLocally(file, { reportType = 'auto', onProgress, signal } = {}) {
+  if (file.type === 'application/pdf') {
+    throw new Error('PDFs can only be read by the MedWard server. Upload it while connected to the server, or photograph the pages instead.');
+  }
+
+  const { processDocument } = await import('../ocr/textExtractor.js');
+
+  let ocrInput = file;
+  if (file.type.startsWith('image/')) {
+    const { preprocessImageFull } = await import('../ocr/imagePreprocessor.js');
+    ocrInput = await preprocessImageFull(file, { enableEnhancement: false, binarize: 'sauvola' });
+  }
+
+  return processDocument(ocrInput, ocrInput.type || file.type, reportType, { onProgress, signal });
+}
+
+/**
+ * Queue a captured document for later interpretation
+ * @param {File} file - Captured (preprocessed) document
+ * @param {Object} options
+ * @param {string} options.reportType - Chosen type or 'auto'
+ * @param {Object} options.fields - Extra report fields (uploadMethod, processingOrder, ...)
+ * @param {Function} options.onProgress - Local OCR progress ({status, progress 0-1})
+ * @param {AbortSignal} options.signal - Cancels local OCR; a cancelled scan is not queued
+ * @returns {Promise<Object>} - Draft report (status 'pending')
+ */
+export async function queueOfflineScan(file, { reportType = 'auto', fields = {}, onProgress, signal } = {}) {
+  // Only de-identified text is ever sent, so a scan without text cannot be queued
+  const ocr = await readDocumentLocally(file, { reportType, onProgress, signal });
+  if (!ocr.fullText || ocr.fullText.trim().length === 0) {
+    throw new Error('No text extracted from document. Please try a clearer image.');
+  }
+
+  const type = ocr.type || (reportType === 'auto' ? 'general' : reportType);
+  const extractedText = ocr.fullText;
+
+  const job = await getScanQueue().enqueue({
+    fileName: file.name,
+    fileType: file.type,
+    reportType: type,
+    extractedText,
+    ocrConfidence: ocr.confidence || 0,
+    report: {
+      ...fields,
+      type,
+      classification: ocr.classification || null,
+      fileName: file.name,
+      extractedText,
+      ocrConfidence: ocr.confidence || 0,
+      structuredData: ocr.structuredData || null,
+      ocrWords: ocr.ocrWords || [],
+      vocabularyCorrections: ocr.vocabularyCorrections || [],
+      createdAt: new Date().toISOString()
+    }
+  });
+
+  console.log(`[OfflineScan] Queued ${file.name} as ${job.id}`);
+
+  await requestQueueSync().catch(error =>
+    console.warn('[OfflineScan] Could not schedule sync:', error.message)
+  );
+
+  return jobToReport(job);
+}
+
+export default queueOfflineScan;
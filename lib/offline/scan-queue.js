@@ -0,0 +1,307 @@
+/**
+ * Offline Scan Queue
+ * Captured documents that could not reach the Apps Script are kept in
+ * IndexedDB (local OCR text) and interpreted later, either by the
+ * service worker's background sync (worker/index.js) or by the page when
+ * background sync is unavailable.
+ *
+ * Each job carries a draft report. Until the job syncs, the reports list shows
+ * the draft from the queue (jobToReport); once synced, the page saves the
+ * interpreted report to the report store and drops the job (reconcileScanQueue).
+ *
+ * Job lifecycle: pending -> synced (interpretation stored on the job)
+ *                pending -> failed (after MAX_ATTEMPTS, retryable by the user)
+ */
+
+import { fetchInterpretation } from '../services/googleScriptClient.js';
+
+export const SCAN_QUEUE_SYNC_TAG = 'medward-scan-queue';
+export const SCAN_QUEUE_MESSAGE = 'scan-queue-updated';
+
+export const JOB_STATUS = {
+  PENDING: 'pending',
+  SYNCED: 'synced',
+  FAILED: 'failed'
+};
+
+// Interpretation attempts before a job is marked failed
+export const MAX_ATTEMPTS = 5;
+
+const DB_NAME = 'medward-offline';
+const DB_VERSION = 1;
+const STORE_NAME = 'scanJobs';
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * IndexedDB-backed job store
+ * @param {IDBFactory} idb - IndexedDB factory (window or service worker global)
+ * @returns {{getAll, get, put, delete}}
+ */
+export function createIndexedDbBackend(idb = globalThis.indexedDB) {
+  let dbPromise = null;
+
+  const open = () => {
+    if (!dbPromise) {
+      const request = idb.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        }
+      };
+      dbPromise = promisify(request);
+    }
+    return dbPromise;
+  };
+
+  const withStore = async (mode, fn) => {
+    const db = await open();
+    return promisify(fn(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)));
+  };
+
+  return {
+    getAll: () => withStore('readonly', store => store.getAll()),
+    get: async (id) => (await withStore('readonly', store => store.get(id))) || null,
+    put: (job) => withStore('readwrite', store => store.put(job)),
+    delete: (id) => withStore('readwrite', store => store.delete(id))
+  };
+}
+
+/**
+ * Send a queued job's text to the Apps Script for interpretation
+ * The text is de-identified on the way (see fetchInterpretation); the image is never sent.
+ * @param {Object} job - Queue job
+ * @returns {Promise<Object>} - Report fields to merge into the placeholder report
+ * @throws {Error} - If the job has no text (queued by an older version with the image only)
+ */
+export async function interpretJob(job) {
+  if (!job.extractedText) {
+    throw new Error('No text was read from this scan on the device. Please scan it again.');
+  }
+
+  const documentType = job.reportType === 'auto' ? 'general' : job.reportType;
+  const data = await fetchInterpretation({ action: 'interpretText', text: job.extractedText, documentType });
+
+  if (!data || data.success === false) {
+    throw new Error(data?.error || 'Processing failed');
+  }
+
+  return {
+    extractedText: job.extractedText,
+    ocrConfidence: job.ocrConfidence,
+    interpretation: data.interpretation,
+    clinicalPearls: data.clinicalPearls,
+    potentialQuestions: data.potentialQuestions,
+    presentation: data.presentation,
+    redactionReport: data.redactionReport || null,
+    promptVersions: data.metadata?.promptVersions || null
+  };
+}
+
+/**
+ * Create a scan queue over a job store
+ * @param {Object} backend - Job store ({getAll, get, put, delete})
+ * @param {Object} options
+ * @param {Function} options.interpret - Job interpreter (defaults to interpretJob)
+ */
+export function createScanQueue(backend, { interpret = interpretJob } = {}) {
+  const update = async (id, changes) => {
+    const job = await backend.get(id);
+    if (!job) return null;
+
+    const updated = { ...job, ...changes, updatedAt: new Date().toISOString() };
+    await backend.put(updated);
+    return updated;
+  };
+
+  return {
+    /**
+     * Add a captured document to the queue
+     * @param {Object} job - {id?, report, fileName, fileType, reportType, extractedText, ocrConfidence}
+     */
+    async enqueue(job) {
+      const now = new Date().toISOString();
+      const queued = {
+        ...job,
+        id: job.id || `scan-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        status: JOB_STATUS.PENDING,
+        attempts: 0,
+        lastError: null,
+        result: null,
+        createdAt: now,
+        updatedAt: now
+      };
+      await backend.put(queued);
+      return queued;
+    },
+
+    async list() {
+      const jobs = await backend.getAll();
+      return jobs.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    },
+
+    get: (id) => backend.get(id),
+    update,
+    remove: (id) => backend.delete(id),
+
+    /**
+     * Interpret every pending job once
+     * @returns {Promise<{synced: number, failed: number, pending: number}>}
+     */
+    async process() {
+      const summary = { synced: 0, failed: 0, pending: 0 };
+
+      for (const job of await this.list()) {
+        if (job.status !== JOB_STATUS.PENDING) continue;
+
+        try {
+          const result = await interpret(job);
+          await update(job.id, { status: JOB_STATUS.SYNCED, result, lastError: null });
+          summary.synced++;
+        } catch (error) {
+          const attempts = job.attempts + 1;
+          const failed = attempts >= MAX_ATTEMPTS;
+          console.warn(`[ScanQueue] Job ${job.id} attempt ${attempts} failed:`, error.message);
+
+          await update(job.id, {
+            status: failed ? JOB_STATUS.FAILED : JOB_STATUS.PENDING,
+            attempts,
+            lastError: error.message
+          });
+          summary[failed ? 'failed' : 'pending']++;
+        }
+      }
+
+      console.log(`[ScanQueue] Processed queue: ${summary.synced} synced, ${summary.pending} pending, ${summary.failed} failed`);
+      return summary;
+    },
+
+    /**
+     * Put failed jobs back in the queue with a fresh attempt budget
+     * @returns {Promise<number>} - Number of jobs re-queued
+     */
+    async retryFailed() {
+      const failed = (await this.list()).filter(job => job.status === JOB_STATUS.FAILED);
+      for (const job of failed) {
+        await update(job.id, { status: JOB_STATUS.PENDING, attempts: 0, lastError: null });
+      }
+      return failed.length;
+    }
+  };
+}
+
+let defaultQueue = null;
+
+/**
+ * The IndexedDB scan queue shared by the pages and the service worker
+ */
+export function getScanQueue() {
+  if (!defaultQueue) {
+    defaultQueue = createScanQueue(createIndexedDbBackend());
+  }
+  return defaultQueue;
+}
+
+/**
+ * Report-shaped view of a queued job for the reports list
+ * @param {Object} job - Queue job
+ * @returns {Object} - Draft report with status pending/synced/failed
+ */
+export function jobToReport(job) {
+  return {
+    ...job.report,
+    ...(job.result || {}),
+    id: job.id,
+    queueJobId: job.id,
+    status: job.status,
+    syncError: job.lastError,
+    createdAt: job.report?.createdAt || job.createdAt
+  };
+}
+
+/**
+ * Save synced jobs to the report store and remove them from the queue
+ * @param {Object} queue - Scan queue
+ * @param {Object} storage - Storage adapter (lib/storage/adapters)
+ * @returns {Promise<Object[]>} - Reports created
+ */
+export async function reconcileScanQueue(queue, storage) {
+  const created = [];
+
+  for (const job of await queue.list()) {
+    if (job.status !== JOB_STATUS.SYNCED) continue;
+
+    const { id, queueJobId, syncError, ...report } = jobToReport(job);
+    created.push(await storage.createReport(report));
+    await queue.remove(job.id);
+  }
+
+  return created;
+}
+
+/**
+ * Subscribe to queue updates from the service worker or a page-side run
+ * @param {Function} callback - Called with the processing summary
+ * @returns {Function} - Unsubscribe
+ */
+export function onScanQueueUpdated(callback) {
+  const onMessage = (event) => {
+    if (event.data?.type === SCAN_QUEUE_MESSAGE) callback(event.data.summary);
+  };
+  const onLocal = (event) => callback(event.detail);
+
+  navigator.serviceWorker?.addEventListener('message', onMessage);
+  window.addEventListener(SCAN_QUEUE_MESSAGE, onLocal);
+
+  return () => {
+    navigator.serviceWorker?.removeEventListener('message', onMessage);
+    window.removeEventListener(SCAN_QUEUE_MESSAGE, onLocal);
+  };
+}
+
+/**
+ * Ask for the queue to be processed when connectivity returns
+ * Registers a background sync with the service worker; browsers without
+ * background sync process the queue from the page once online.
+ */
+export async function requestQueueSync() {
+  try {
+    if ('serviceWorker' in navigator && 'SyncManager' in window) {
+      const registration = await navigator.serviceWorker.ready;
+      await registration.sync.register(SCAN_QUEUE_SYNC_TAG);
+      console.log('[ScanQueue] Background sync registered');
+      return;
+    }
+  } catch (error) {
+    console.warn('[ScanQueue] Background sync unavailable:', error.message);
+  }
+
+  const run = async () => {
+    const summary = await getScanQueue().process();
+    window.dispatchEvent(new CustomEvent(SCAN_QUEUE_MESSAGE, { detail: summary }));
+  };
+
+  if (navigator.onLine) {
+    await run();
+  } else {
+    window.addEventListener('online', run, { once: true });
+  }
+}
+
+export default {
+  getScanQueue,
+  createScanQueue,
+  reconcileScanQueue,
+  requestQueueSync,
+  onScanQueueUpdated,
+  jobToReport,
+  interpretJob,
+  JOB_STATUS,
+  SCAN_QUEUE_SYNC_TAG
+};
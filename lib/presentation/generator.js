@@ -3,6 +3,9 @@
  * Creates structured SOAP format presentation
  */
 
+import { formatReferenceRange } from '../labs/lab-dictionary.js';
+import { coerceAiOutput } from '../ai/schemas.js';
+
 /**
  * Generate a complete ward presentation
  * @param {Object} report - Report with interpretation, pearls, and questions
@@ -10,9 +13,10 @@
  * @returns {Object} - Structured presentation
  */
 export function generatePresentation(report, patient = null) {
-  const interpretation = report.interpretation || {};
-  const pearls = report.clinicalPearls || {};
-  const questions = report.potentialQuestions || {};
+  // Stored reports may predate schema validation
+  const interpretation = coerceAiOutput('interpretation', report.interpretation);
+  const pearls = coerceAiOutput('pearls', report.clinicalPearls);
+  const questions = coerceAiOutput('questions', report.potentialQuestions);
 
   // Generate one-liner
   const oneLiner = generateOneLiner(patient, interpretation);
@@ -29,8 +33,8 @@ export function generatePresentation(report, patient = null) {
     objective,
     assessment,
     plan,
-    pearls: pearls.pearls || [],
-    questions: questions.questions || [],
+    pearls: pearls.pearls,
+    questions: questions.questions,
     generatedAt: new Date().toISOString()
   };
 }
@@ -41,9 +45,10 @@ export function generatePresentation(report, patient = null) {
  * @param {Object} interpretation - Report interpretation
  * @returns {string} - One-liner
  */
-function generateOneLiner(patient, interpretation) {
+export function generateOneLiner(patient, interpretation) {
   const age = patient?.age || 'XX';
-  const gender = patient?.gender === 'male' ? 'M' : patient?.gender === 'female' ? 'F' : 'X';
+  const genderCode = String(patient?.gender || '').charAt(0).toUpperCase();
+  const gender = genderCode === 'M' || genderCode === 'F' ? genderCode : 'X';
   const chiefComplaint = patient?.chiefComplaint || 'presenting complaint';
   const summary = interpretation.summary || '';
 
@@ -104,6 +109,10 @@ function generateObjective(report, interpretation) {
       if (finding.value) text += `: ${finding.value}`;
       if (finding.reference) text += ` (${finding.reference})`;
       text += `\n`;
+      // Set by the grounding check (lib/ai/grounding.js)
+      if (finding.grounding?.status === 'contradicted') {
+        text += `   ⚠️ CONTRADICTED BY REPORT: ${finding.grounding.note}\n`;
+      }
     });
   }
 
@@ -128,7 +137,7 @@ function generateAssessment(interpretation) {
   }
 
   // Summary
-  text += `Summary:\n${interpretation.summary}\n\n`;
+  text += `Summary:\n${interpretation.summary || 'No summary available.'}\n\n`;
 
   // Differential considerations
   if (interpretation.differentialConsiderations && interpretation.differentialConsiderations.length > 0) {
@@ -195,9 +204,15 @@ function formatStructuredData(data, type) {
   if (type === 'lab' && data.results) {
     text += `Laboratory Results (${data.results.length} tests):\n`;
     data.results.slice(0, 10).forEach(result => {
-      text += `  ${result.test}: ${result.value} ${result.unit}`;
-      if (result.referenceRange) {
-        text += ` (Ref: ${result.referenceRange})`;
+      text += `  ${result.name || result.test}: ${result.value} ${result.unit}`;
+      const reference = typeof result.referenceRange === 'object'
+        ? formatReferenceRange(result.referenceRange)
+        : result.referenceRange;
+      if (reference) {
+        text += ` (Ref: ${reference})`;
+      }
+      if (result.flag && result.flag !== 'N') {
+        text += ` [${result.flag}]`;
       }
       text += '\n';
     });
@@ -208,10 +223,18 @@ function formatStructuredData(data, type) {
   } else if (type === 'ecg' && data.rate) {
     text += `Rate: ${data.rate} bpm\n`;
     if (data.rhythm) text += `Rhythm: ${data.rhythm}\n`;
-    if (data.axis) text += `Axis: ${data.axis}\n`;
+    if (data.axis !== null && data.axis !== undefined) text += `Axis: ${data.axis}°\n`;
     if (data.intervals) {
       text += `Intervals: PR ${data.intervals.pr || 'N/A'}, QRS ${data.intervals.qrs || 'N/A'}, QT ${data.intervals.qt || 'N/A'}\n`;
+      if (data.intervals.qtc) {
+        text += `QTc: ${data.intervals.qtc} ms${data.qtcSource === 'report' ? '' : ' (Bazett)'}`;
+        if (data.qtcFridericia) text += `, Fridericia ${data.qtcFridericia} ms`;
+        text += '\n';
+      }
     }
+    data.flags?.forEach(flag => {
+      text += `  [${flag.severity === 'critical' ? 'CRITICAL' : 'ABN'}] ${flag.label}${flag.value ? ` (${flag.value})` : ''}\n`;
+    });
   }
 
   return text;
@@ -223,7 +246,7 @@ function formatStructuredData(data, type) {
  * @returns {string} - Quick summary
  */
 export function generateQuickSummary(report) {
-  const interpretation = report.interpretation || {};
+  const interpretation = coerceAiOutput('interpretation', report.interpretation);
 
   let summary = interpretation.summary || 'Report processed';
 
@@ -236,5 +259,6 @@ export function generateQuickSummary(report) {
 
 export default {
   generatePresentation,
+  generateOneLiner,
   generateQuickSummary
 };
@@ -0,0 +1,319 @@
+/**
+ * Ward handover generator
+ * Builds an end-of-shift handover for every active patient from the existing
+ * patient and report records: one-liner, status, outstanding critical alerts,
+ * pending actions and "if-then" contingencies, grouped by status and bed.
+ *
+ * Pure functions - used by the handover API route and directly by the handover page.
+ */
+
+import { generateOneLiner } from './generator.js';
+import { buildLabTrends } from '../labs/trends.js';
+
+export const HANDOVER_STATUSES = ['critical', 'monitoring', 'stable'];
+
+export const STATUS_LABELS = {
+  critical: 'Critical',
+  monitoring: 'Monitoring',
+  stable: 'Stable'
+};
+
+// Patients with any of these are not on the ward any more
+const INACTIVE_STATUSES = ['discharged', 'deceased', 'transferred'];
+
+const MAX_PENDING_ACTIONS = 6;
+
+/**
+ * "If-then" contingencies for the night team, matched against a patient's
+ * outstanding alerts and abnormal findings. Suggestions only - the handing-over
+ * doctor reviews them before the list is printed.
+ */
+export const CONTINGENCY_RULES = [
+  {
+    id: 'hyperkalemia',
+    pattern: /(hyperkal|potassium.*(high|elevat|rise|↑)|\bK\+?\s*(high|>))/i,
+    if: 'K+ rises further or ECG shows peaked T waves / widened QRS',
+    then: 'Give IV calcium gluconate, insulin-dextrose; repeat K+ and ECG; call registrar'
+  },
+  {
+    id: 'hypokalemia',
+    pattern: /(hypokal|potassium.*(low|↓))/i,
+    if: 'K+ remains low or arrhythmia develops',
+    then: 'Replace potassium per protocol, check magnesium, put on cardiac monitoring'
+  },
+  {
+    id: 'sodium',
+    pattern: /(hyponat|hypernat|sodium)/i,
+    if: 'Sodium changes >8-10 mmol/L in 24h or new confusion/seizure',
+    then: 'Stop/adjust fluids, urgent repeat sodium, discuss with registrar'
+  },
+  {
+    id: 'hypoglycemia',
+    pattern: /(hypoglyc|glucose.*low)/i,
+    if: 'Capillary glucose < 4 mmol/L (72 mg/dL)',
+    then: 'Follow hypoglycaemia protocol, recheck in 15 min, review insulin doses'
+  },
+  {
+    id: 'hemoglobin',
+    pattern: /(hemoglobin|haemoglobin|anemi|anaemi|bleed)/i,
+    if: 'Hb falls further, tachycardia or hypotension',
+    then: 'Repeat FBC, group and save/crossmatch, look for bleeding source, escalate'
+  },
+  {
+    id: 'aki',
+    pattern: /(creatinine|\baki\b|acute kidney|renal)/i,
+    if: 'Urine output < 0.5 mL/kg/h for 6h or creatinine keeps rising',
+    then: 'Fluid assessment, stop nephrotoxics, repeat U&E, consider renal input'
+  },
+  {
+    id: 'troponin',
+    pattern: /(troponin|\bstemi\b|st elevation|ischemi|ischaemi)/i,
+    if: 'New chest pain or dynamic ECG changes',
+    then: '12-lead ECG, repeat troponin, start ACS pathway, call cardiology'
+  },
+  {
+    id: 'qtc',
+    pattern: /\bqtc?\b.*prolong|prolonged qtc/i,
+    if: 'QTc > 500 ms or syncope / palpitations',
+    then: 'Stop QT-prolonging drugs, correct K+/Mg2+, continuous monitoring'
+  },
+  {
+    id: 'bradyarrhythmia',
+    pattern: /(heart block|bradycardia|av block)/i,
+    if: 'HR < 40 or hemodynamic compromise',
+    then: 'Atropine per ALS, pacing pads on, call cardiology/outreach'
+  },
+  {
+    id: 'tachyarrhythmia',
+    pattern: /(atrial fibrillation|flutter|tachycardia|\bsvt\b|\bvt\b)/i,
+    if: 'HR > 130 or hypotension',
+    then: 'ECG, check electrolytes, rate control per protocol; DC cardioversion if unstable'
+  },
+  {
+    id: 'sepsis',
+    pattern: /(sepsis|septic|lactate|white (blood )?cell|leukocytosis|\bwbc\b)/i,
+    if: 'Temp > 38°C, rising NEWS or lactate > 2',
+    then: 'Sepsis six: cultures, lactate, IV antibiotics and fluids within 1 hour'
+  },
+  {
+    id: 'coagulation',
+    pattern: /(\binr\b|coagulopath|platelet|thrombocytop)/i,
+    if: 'Active bleeding or INR/platelets worsen',
+    then: 'Hold anticoagulants, repeat coagulation screen, discuss reversal with haematology'
+  },
+  {
+    id: 'pneumothorax',
+    pattern: /(pneumothorax)/i,
+    if: 'Increasing breathlessness, falling SpO2 or tracheal deviation',
+    then: 'Urgent CXR; needle decompression if tension; call registrar'
+  }
+];
+
+// Fallback contingency by status when no specific rule matches
+const STATUS_CONTINGENCIES = {
+  critical: {
+    id: 'deterioration',
+    if: 'NEWS ≥ 7 or any acute deterioration',
+    then: 'Immediate review, call outreach/ICU and the on-call registrar'
+  },
+  monitoring: {
+    id: 'deterioration',
+    if: 'NEWS rises by 2 or more or new concern from nursing staff',
+    then: 'Review within 30 min and escalate to registrar if not improving'
+  }
+};
+
+/**
+ * Generate the ward handover
+ * @param {Array<Object>} patients - Patient records (client shape)
+ * @param {Array<Object>} reports - Report records for those patients
+ * @param {Object} options
+ * @param {string} options.ward - Ward name shown in the header
+ * @param {string} options.handedOverBy - Name of the doctor handing over
+ * @param {Date|string} options.now - Generation time (defaults to now)
+ * @returns {Object} - Structured handover
+ */
+export function generateHandover(patients, reports = [], options = {}) {
+  const now = options.now ? new Date(options.now) : new Date();
+  const active = patients.filter(isActivePatient);
+
+  const entries = active.map(patient => buildHandoverEntry(
+    patient,
+    reports.filter(r => r.patientId != null && String(r.patientId) === String(patient.id)),
+    now
+  ));
+
+  const groups = HANDOVER_STATUSES
+    .map(status => ({
+      status,
+      label: STATUS_LABELS[status],
+      patients: entries.filter(e => e.status === status).sort(compareBeds)
+    }))
+    .filter(group => group.patients.length > 0);
+
+  return {
+    ward: options.ward || null,
+    handedOverBy: options.handedOverBy || null,
+    generatedAt: now.toISOString(),
+    summary: {
+      total: entries.length,
+      ...Object.fromEntries(HANDOVER_STATUSES.map(status => [
+        status,
+        entries.filter(e => e.status === status).length
+      ])),
+      criticalAlerts: entries.reduce((sum, e) => sum + e.criticalAlerts.length, 0)
+    },
+    groups
+  };
+}
+
+/**
+ * Whether a patient is still on the ward
+ * @param {Object} patient - Patient record
+ * @returns {boolean}
+ */
+export function isActivePatient(patient) {
+  if (!patient) return false;
+  if (patient.dischargeDate || patient.dischargedAt) return false;
+  return !INACTIVE_STATUSES.includes(String(patient.status || '').toLowerCase());
+}
+
+/**
+ * Build one patient's handover entry
+ * @param {Object} patient - Patient record
+ * @param {Array<Object>} reports - That patient's reports
+ * @param {Date} now - Generation time
+ * @returns {Object} - Handover entry
+ */
+export function buildHandoverEntry(patient, reports, now = new Date()) {
+  const sorted = [...reports].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  const latestByType = latestReportPerType(sorted);
+  const latest = sorted[0] || null;
+
+  const criticalAlerts = collectCriticalAlerts(latestByType);
+
+  // Critical lab shifts ending at the most recent lab report
+  const latestLab = latestByType.find(report => report.type === 'lab');
+  const trendAlerts = latestLab && reports.length > 1
+    ? buildLabTrends(reports, patient).alerts.filter(alert =>
+      alert.severity === 'critical' && String(alert.to.reportId) === String(latestLab.id)
+    )
+    : [];
+
+  trendAlerts.forEach(alert => {
+    criticalAlerts.push({
+      alert: `${alert.message} (${alert.from.value} → ${alert.to.value} ${alert.unit})`,
+      reportId: alert.to.reportId,
+      reportType: 'lab',
+      reportedAt: alert.to.takenAt,
+      source: 'trend'
+    });
+  });
+
+  const status = HANDOVER_STATUSES.includes(patient.status) ? patient.status : 'stable';
+
+  return {
+    patientId: patient.id,
+    name: patient.name || 'Unnamed patient',
+    mrn: patient.mrn || null,
+    bed: patient.bed || patient.metadata?.bed || null,
+    age: patient.age ?? null,
+    gender: patient.gender || null,
+    status,
+    hospitalDay: hospitalDay(patient.admissionDate, now),
+    oneLiner: generateOneLiner(patient, latest?.interpretation || {}).trim(),
+    criticalAlerts,
+    pendingActions: collectPendingActions(latestByType, sorted),
+    contingencies: buildContingencies(status, criticalAlerts, latestByType),
+    latestReportAt: latest?.createdAt || null,
+    reportCount: reports.length
+  };
+}
+
+/**
+ * Latest report of each type, newest first
+ * A newer report of the same type supersedes the alerts of an older one.
+ */
+function latestReportPerType(sortedReports) {
+  const seen = new Set();
+  return sortedReports.filter(report => {
+    const type = report.type || 'general';
+    if (seen.has(type)) return false;
+    seen.add(type);
+    return true;
+  });
+}
+
+function collectCriticalAlerts(latestByType) {
+  return latestByType.flatMap(report =>
+    (report.interpretation?.criticalAlerts || []).map(alert => ({
+      alert,
+      reportId: report.id,
+      reportType: report.type || 'general',
+      reportedAt: report.createdAt,
+      source: 'report'
+    }))
+  );
+}
+
+function collectPendingActions(latestByType, sortedReports) {
+  const actions = [];
+
+  // Scans still waiting for AI interpretation (offline queue)
+  sortedReports
+    .filter(report => report.status === 'pending' || report.status === 'failed')
+    .forEach(report => actions.push(`Awaiting analysis: ${report.fileName || report.type || 'scanned report'}`));
+
+  latestByType.forEach(report => {
+    const interpretation = report.interpretation || {};
+    const recommended = interpretation.recommendedActions || interpretation.recommendations || [];
+    recommended.forEach(action => actions.push(action));
+  });
+
+  const unique = [...new Set(actions.map(a => String(a).trim()).filter(Boolean))];
+  return unique.slice(0, MAX_PENDING_ACTIONS);
+}
+
+function buildContingencies(status, criticalAlerts, latestByType) {
+  const evidence = [
+    ...criticalAlerts.map(a => a.alert),
+    ...latestByType.flatMap(report =>
+      (report.interpretation?.findings || [])
+        .filter(f => f.status === 'critical' || f.status === 'abnormal')
+        .map(f => `${f.finding} ${f.value || ''} ${f.significance || ''}`)
+    )
+  ].join('\n');
+
+  const contingencies = CONTINGENCY_RULES
+    .filter(rule => rule.pattern.test(evidence))
+    .map(({ id, if: condition, then }) => ({ id, if: condition, then }));
+
+  if (contingencies.length === 0 && STATUS_CONTINGENCIES[status]) {
+    contingencies.push({ ...STATUS_CONTINGENCIES[status] });
+  }
+
+  return contingencies;
+}
+
+function hospitalDay(admissionDate, now) {
+  if (!admissionDate) return null;
+  const admitted = new Date(admissionDate).getTime();
+  if (Number.isNaN(admitted)) return null;
+  return Math.max(1, Math.ceil((now.getTime() - admitted) / (1000 * 60 * 60 * 24)));
+}
+
+// Natural bed order (Bed 2 before Bed 10); patients without a bed go last
+function compareBeds(a, b) {
+  if (!a.bed && !b.bed) return a.name.localeCompare(b.name);
+  if (!a.bed) return 1;
+  if (!b.bed) return -1;
+  return String(a.bed).localeCompare(String(b.bed), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+export default {
+  generateHandover,
+  buildHandoverEntry,
+  isActivePatient,
+  CONTINGENCY_RULES,
+  HANDOVER_STATUSES
+};
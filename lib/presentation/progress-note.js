@@ -0,0 +1,355 @@
+/**
+ * Daily progress note synthesis
+ * Merges every report attached to a patient since the last ward round into one
+ * SOAP note: labs with deltas and imaging impressions under Objective, an
+ * Assessment organized by problem, and a Plan. Every statement carries the
+ * references ([R1], [R2]...) of the reports it came from.
+ *
+ * Pure functions - the note is rebuilt from the report list, so attaching a new
+ * report changes `sourceKey` and the next render picks it up.
+ */
+
+import { generateOneLiner } from './generator.js';
+import { buildLabTrends, getReportLabResults, getReportTime } from '../labs/trends.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const REPORT_TYPE_LABELS = {
+  lab: 'Labs',
+  imaging: 'Imaging',
+  note: 'Clinical note',
+  ecg: 'ECG',
+  general: 'Document'
+};
+
+// Problem heading for findings that don't name a specific problem
+const CATEGORY_PROBLEMS = {
+  Chemistry: 'Electrolyte / metabolic derangement',
+  Renal: 'Renal dysfunction',
+  Hematology: 'Hematological abnormality',
+  Hepatic: 'Deranged liver function',
+  Coagulation: 'Coagulopathy',
+  Inflammatory: 'Inflammation / infection',
+  Endocrine: 'Endocrine abnormality',
+  Cardiac: 'Cardiac rhythm / conduction',
+  Pulmonary: 'Respiratory',
+  Musculoskeletal: 'Musculoskeletal',
+  Oncology: 'Mass / lesion under investigation'
+};
+
+const CLINICIAN_PROBLEM = 'Clinical impression (from notes)';
+
+const STATUS_RANK = { critical: 0, abnormal: 1, normal: 2 };
+
+/**
+ * Generate a patient-level progress note
+ * @param {Object} patient - Patient record (client shape)
+ * @param {Array<Object>} reports - All of the patient's reports, any order
+ * @param {Object} options
+ * @param {Date|string} options.since - Start of the window (defaults to patient.lastRoundAt, else 24h ago)
+ * @param {Date|string} options.now - Generation time (defaults to now)
+ * @returns {Object} - SOAP sections as text plus the structured, cited statements
+ */
+export function generateProgressNote(patient, reports = [], options = {}) {
+  const now = options.now ? new Date(options.now) : new Date();
+  const since = resolveSince(patient, options.since, now);
+
+  const inWindow = reports
+    .map(report => ({ report, takenAt: getReportTime(report) }))
+    .filter(({ takenAt }) => takenAt && takenAt > since && takenAt <= now)
+    .sort((a, b) => a.takenAt - b.takenAt);
+
+  const sources = inWindow.map(({ report, takenAt }, index) => ({
+    ref: `R${index + 1}`,
+    reportId: report.id,
+    type: report.type || 'general',
+    label: REPORT_TYPE_LABELS[report.type] || REPORT_TYPE_LABELS.general,
+    fileName: report.fileName || null,
+    reportedAt: takenAt.toISOString()
+  }));
+  const refOf = new Map(sources.map(source => [String(source.reportId), source.ref]));
+  const windowReports = inWindow.map(({ report }) => report);
+
+  const trends = buildLabTrends(reports, patient);
+  const day = hospitalDay(patient?.admissionDate, now);
+
+  const subjective = buildSubjective(patient, windowReports, refOf, day);
+  const objective = buildObjective(windowReports, trends, refOf, patient);
+  const problems = buildProblems(windowReports, trends, refOf);
+  const plan = buildPlan(windowReports, refOf);
+
+  const oneLiner = generateOneLiner(patient, {
+    summary: sources.length > 0
+      ? `${sources.length} new report${sources.length === 1 ? '' : 's'} since the last round.`
+      : 'No new reports since the last round.'
+  }).trim();
+
+  return {
+    patientId: patient?.id ?? null,
+    since: since.toISOString(),
+    generatedAt: now.toISOString(),
+    hospitalDay: day,
+    sourceKey: progressNoteSourceKey(windowReports),
+    sources,
+    oneLiner,
+    subjective: renderStatements(subjective, 'No new subjective information since the last round.'),
+    objective: renderObjective(objective),
+    assessment: renderProblems(problems),
+    plan: renderStatements(plan, '• Continue current management', true),
+    structured: { subjective, objective, problems, plan }
+  };
+}
+
+/**
+ * Fingerprint of the reports a note was built from
+ * Changes whenever a report is attached, removed or edited.
+ * @param {Array<Object>} reports - Reports in the note's window
+ * @returns {string}
+ */
+export function progressNoteSourceKey(reports = []) {
+  return reports
+    .map(report => `${report.id}@${report.updatedAt || report.updated_at || report.createdAt || report.created_at || ''}`)
+    .sort()
+    .join('|');
+}
+
+/**
+ * Whether a previously generated note no longer matches the patient's reports
+ * @param {Object} note - Note from generateProgressNote
+ * @param {Object} patient - Patient record
+ * @param {Array<Object>} reports - The patient's current reports
+ * @returns {boolean}
+ */
+export function isProgressNoteStale(note, patient, reports = []) {
+  if (!note) return true;
+  const fresh = generateProgressNote(patient, reports, { since: note.since, now: new Date() });
+  return fresh.sourceKey !== note.sourceKey;
+}
+
+function resolveSince(patient, since, now) {
+  const raw = since ?? patient?.lastRoundAt ?? patient?.metadata?.lastRoundAt;
+  const date = raw ? new Date(raw) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : new Date(now.getTime() - DAY_MS);
+}
+
+function buildSubjective(patient, reports, refOf, day) {
+  const statements = [];
+
+  if (patient?.chiefComplaint) {
+    statements.push({ text: `Admitted with ${patient.chiefComplaint}`, refs: [] });
+  }
+  if (day) {
+    statements.push({ text: `Hospital day ${day}`, refs: [] });
+  }
+
+  reports
+    .filter(report => report.type === 'note')
+    .forEach(report => {
+      noteSection(report, 'subjective').forEach(line => addStatement(statements, line, refOf.get(String(report.id))));
+    });
+
+  return statements;
+}
+
+function buildObjective(reports, trends, refOf, patient) {
+  const labs = [];
+  const imaging = [];
+  const ecg = [];
+  const other = [];
+
+  // Latest value of each analyte within the window, with the change from the value before it
+  const latestLab = new Map();
+  reports.filter(report => report.type === 'lab').forEach(report => {
+    getReportLabResults(report, patient).forEach(result => {
+      latestLab.set(result.analyte, { result, report });
+    });
+  });
+
+  latestLab.forEach(({ result, report }, analyte) => {
+    const series = trends.series.find(s => s.analyte === analyte);
+    const points = series?.points || [];
+    const index = points.findIndex(point => String(point.reportId) === String(report.id));
+    const previous = index > 0 ? points[index - 1] : null;
+
+    const delta = previous ? Math.round((Number(result.value) - previous.value) * 100) / 100 : null;
+
+    let text = `${result.name} ${result.value} ${result.unit || ''}`.trim();
+    if (result.flag && result.flag !== 'N') text += ` [${result.flag}]`;
+    if (previous) {
+      text += delta === 0
+        ? ` (unchanged from ${previous.value})`
+        : ` (${delta > 0 ? '↑' : '↓'}${Math.abs(delta)} from ${previous.value})`;
+    }
+
+    labs.push({
+      text,
+      refs: [refOf.get(String(report.id)), previous && refOf.get(String(previous.reportId))].filter(Boolean),
+      analyte,
+      delta,
+      flag: result.flag || null
+    });
+  });
+
+  reports.forEach(report => {
+    const ref = refOf.get(String(report.id));
+    const data = report.structuredData || {};
+
+    if (report.type === 'imaging') {
+      const impression = data.impression || data.findings?.[0] || report.interpretation?.summary;
+      const study = data.modality || report.fileName || 'Imaging';
+      if (impression) imaging.push({ text: `${study}: ${impression}`, refs: [ref] });
+    } else if (report.type === 'ecg') {
+      const parts = [];
+      if (data.rhythm) parts.push(data.rhythm);
+      if (data.rate) parts.push(`rate ${data.rate} bpm`);
+      if (data.intervals?.qtc) parts.push(`QTc ${data.intervals.qtc} ms`);
+      const text = parts.length > 0 ? parts.join(', ') : report.interpretation?.summary;
+      if (text) ecg.push({ text: `ECG: ${text}`, refs: [ref] });
+    } else if (report.type === 'note') {
+      noteSection(report, 'objective').forEach(line => addStatement(other, line, ref));
+    }
+  });
+
+  return { labs, imaging, ecg, other };
+}
+
+function buildProblems(reports, trends, refOf) {
+  const problems = new Map();
+  const problemByAnalyte = {};
+
+  const addToProblem = (name, status, text, ref) => {
+    if (!problems.has(name)) {
+      problems.set(name, { problem: name, status, statements: [] });
+    }
+    const problem = problems.get(name);
+    if (STATUS_RANK[status] < STATUS_RANK[problem.status]) problem.status = status;
+    addStatement(problem.statements, text, ref);
+  };
+
+  reports.forEach(report => {
+    const ref = refOf.get(String(report.id));
+
+    (report.interpretation?.findings || [])
+      .filter(finding => finding.status === 'critical' || finding.status === 'abnormal')
+      .forEach(finding => {
+        const name = finding.problem
+          ? capitalize(finding.problem)
+          : CATEGORY_PROBLEMS[finding.category] || finding.category || 'Other findings';
+        if (finding.analyte) problemByAnalyte[finding.analyte] = name;
+        addToProblem(name, finding.status, finding.finding, ref);
+      });
+
+    if (report.type === 'note') {
+      noteSection(report, 'assessment').forEach(line => addToProblem(CLINICIAN_PROBLEM, 'normal', line, ref));
+    }
+  });
+
+  // Lab shifts that ended inside the window belong to the analyte's problem
+  trends.alerts
+    .filter(alert => refOf.has(String(alert.to.reportId)))
+    .forEach(alert => {
+      const series = trends.series.find(s => s.analyte === alert.analyte);
+      const name = problemByAnalyte[alert.analyte] ||
+        CATEGORY_PROBLEMS[series?.category] || series?.category || 'Other findings';
+      const refs = [refOf.get(String(alert.from.reportId)), refOf.get(String(alert.to.reportId))];
+      addToProblem(
+        name,
+        alert.severity === 'critical' ? 'critical' : 'abnormal',
+        `${alert.message} (${alert.from.value} → ${alert.to.value} ${alert.unit})`,
+        refs
+      );
+    });
+
+  return [...problems.values()].sort((a, b) =>
+    (a.problem === CLINICIAN_PROBLEM) - (b.problem === CLINICIAN_PROBLEM) ||
+    STATUS_RANK[a.status] - STATUS_RANK[b.status]
+  );
+}
+
+function buildPlan(reports, refOf) {
+  const plan = [];
+
+  reports.forEach(report => {
+    const ref = refOf.get(String(report.id));
+    const interpretation = report.interpretation || {};
+    const actions = interpretation.recommendedActions || interpretation.recommendations || [];
+    actions.forEach(action => addStatement(plan, action, ref));
+
+    if (report.type === 'note') {
+      noteSection(report, 'plan').forEach(line => addStatement(plan, line, ref));
+    }
+  });
+
+  return plan;
+}
+
+function noteSection(report, section) {
+  return report.structuredData?.sections?.[section] || [];
+}
+
+// Same statement from several reports is listed once with every reference
+function addStatement(statements, text, refs) {
+  const clean = String(text || '').trim();
+  if (!clean) return;
+
+  const newRefs = [refs].flat().filter(Boolean);
+  const existing = statements.find(s => s.text.toLowerCase() === clean.toLowerCase());
+  if (existing) {
+    existing.refs = [...new Set([...existing.refs, ...newRefs])];
+  } else {
+    statements.push({ text: clean, refs: [...new Set(newRefs)] });
+  }
+}
+
+function cite(statement) {
+  return statement.refs.length > 0 ? ` [${statement.refs.join(', ')}]` : '';
+}
+
+function renderStatements(statements, empty, numbered = false) {
+  if (statements.length === 0) return empty;
+  return statements
+    .map((s, index) => `${numbered ? `${index + 1}.` : '•'} ${s.text}${cite(s)}`)
+    .join('\n');
+}
+
+function renderObjective({ labs, imaging, ecg, other }) {
+  const blocks = [
+    ['Labs', labs],
+    ['Imaging', imaging],
+    ['ECG', ecg],
+    ['Other', other]
+  ]
+    .filter(([, statements]) => statements.length > 0)
+    .map(([title, statements]) => `${title}:\n${statements.map(s => `  ${s.text}${cite(s)}`).join('\n')}`);
+
+  return blocks.length > 0 ? blocks.join('\n\n') : 'No new results since the last round.';
+}
+
+function renderProblems(problems) {
+  if (problems.length === 0) return 'No new problems identified since the last round.';
+
+  return problems
+    .map((problem, index) => {
+      const marker = problem.status === 'critical' ? ' ⚠️' : '';
+      const lines = problem.statements.map(s => `   - ${s.text}${cite(s)}`);
+      return `${index + 1}. ${problem.problem}${marker}\n${lines.join('\n')}`;
+    })
+    .join('\n\n');
+}
+
+function hospitalDay(admissionDate, now) {
+  if (!admissionDate) return null;
+  const admitted = new Date(admissionDate).getTime();
+  if (Number.isNaN(admitted)) return null;
+  return Math.max(1, Math.ceil((now.getTime() - admitted) / DAY_MS));
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+export default {
+  generateProgressNote,
+  progressNoteSourceKey,
+  isProgressNoteStale
+};
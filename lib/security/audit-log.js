@@ -1,41 +1,4 @@
-import Database from 'better-sqlite3';
-import path from 'path';
-
-let auditDb = null;
-
-/**
- * Initialize audit log database
- */
-function getAuditDb() {
-  if (auditDb) return auditDb;
-
-  const dbPath = process.env.AUDIT_DB_PATH || path.join(process.cwd(), 'data', 'audit.db');
-  auditDb = new Database(dbPath);
-
-  // Create audit_log table if not exists
-  auditDb.exec(`
-    CREATE TABLE IF NOT EXISTS audit_log (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      timestamp TEXT DEFAULT CURRENT_TIMESTAMP,
-      user_id TEXT,
-      action TEXT NOT NULL,
-      resource_type TEXT,
-      resource_id TEXT,
-      ip_address TEXT,
-      user_agent TEXT,
-      details TEXT,
-      success BOOLEAN,
-      error_message TEXT
-    );
-
-    CREATE INDEX IF NOT EXISTS idx_audit_user ON audit_log(user_id);
-    CREATE INDEX IF NOT EXISTS idx_audit_timestamp ON audit_log(timestamp);
-    CREATE INDEX IF NOT EXISTS idx_audit_action ON audit_log(action);
-    CREATE INDEX IF NOT EXISTS idx_audit_resource ON audit_log(resource_type, resource_id);
-  `);
-
-  return auditDb;
-}
+import { getAuditDatabase } from '../storage/database.js';
 
 /**
  * Log an audit event
@@ -52,7 +15,9 @@ function getAuditDb() {
  */
 export function logAudit(event) {
   try {
-    const db = getAuditDb();
+    const db = getAuditDatabase();
+    if (!db) return;
+
     const stmt = db.prepare(`
       INSERT INTO audit_log
       (user_id, action, resource_type, resource_id, ip_address, user_agent, details, success, error_message)
@@ -134,7 +99,9 @@ export function auditMiddleware(action, resourceType) {
  * @returns {Array} - Array of audit log entries
  */
 export function queryAuditLogs(filters = {}) {
-  const db = getAuditDb();
+  const db = getAuditDatabase();
+  if (!db) return [];
+
   let query = 'SELECT * FROM audit_log WHERE 1=1';
   const params = [];
 
@@ -192,7 +159,8 @@ export function queryAuditLogs(filters = {}) {
  * @returns {Object} - Audit statistics
  */
 export function getAuditStats(userId = null) {
-  const db = getAuditDb();
+  const db = getAuditDatabase();
+  if (!db) return { total: 0, successful: 0, failed: 0, topActions: [] };
 
   const whereClause = userId ? 'WHERE user_id = ?' : '';
   const params = userId ? [userId] : [];
@@ -221,7 +189,9 @@ export function getAuditStats(userId = null) {
  * @param {number} daysToKeep - Number of days to keep logs (default 90)
  */
 export function cleanupOldLogs(daysToKeep = 90) {
-  const db = getAuditDb();
+  const db = getAuditDatabase();
+  if (!db) return 0;
+
   const cutoffDate = new Date();
   cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
 
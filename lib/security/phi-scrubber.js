@@ -0,0 +1,304 @@
+/**
+ * PHI scrubber
+ * De-identifies report text before it leaves the device or server: patient
+ * names, MRNs, dates of birth, phone numbers and e-mail addresses are replaced
+ * with stable placeholders ([NAME_1], [MRN_1], ...). The same value always gets
+ * the same placeholder within a scrubber, so the AI can still refer to it and
+ * restore() puts the real values back into its response locally.
+ *
+ * Identifiers are found with header patterns ("MRN: 1234567", "DOB 03/04/1961",
+ * "Mr John Smith") and, when given, the current patient record's name, MRN and
+ * date of birth wherever they appear. Forms of one name ("SMITH, John",
+ * "John Smith", "Mr. Smith") share a placeholder.
+ *
+ * Only text can be scrubbed, so documents are read on the device and their
+ * text sent for interpretation, never the image.
+ */
+
+import { LEXICON } from '../ocr/medicalVocabulary.js';
+
+export const PHI_TYPES = ['NAME', 'MRN', 'DOB', 'PHONE', 'EMAIL'];
+
+const PLACEHOLDER_PATTERN = /\[(NAME|MRN|DOB|PHONE|EMAIL)_(\d+)\]/g;
+
+const MONTHS = '(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec)[a-z]*\\.?';
+const DATE = `(?:\\d{1,2}[\\/.-]\\d{1,2}[\\/.-]\\d{2,4}|\\d{4}-\\d{2}-\\d{2}|\\d{1,2}[ -]${MONTHS}[ -]\\d{2,4}|${MONTHS} \\d{1,2},? \\d{4})`;
+// A capitalised word that is not the next header label ("SMITH, John MRN: ...")
+const NAME_WORD = "(?![A-Za-z'’-]+[ \\t]*[:#])[A-Z][A-Za-z'’-]+";
+
+// Each pattern's last group is the identifier; the label before it is kept
+const PATTERNS = [
+  {
+    type: 'NAME',
+    pattern: new RegExp(
+      `\\b(?:[Pp]atient(?:'s)?[ \\t]*[Nn]ame|PATIENT(?:[ \\t]*NAME)?|[Pp]atient|P[Tt]\\.?[ \\t]*[Nn]ame|[Nn]ame|NAME|[Ss]urname|SURNAME)[ \\t]*:[ \\t]*(${NAME_WORD}(?:,?[ \\t]${NAME_WORD}){0,3})`,
+      'g'
+    )
+  },
+  {
+    type: 'NAME',
+    pattern: new RegExp(`\\b(?:Mr|Mrs|Ms|Miss|Mstr|MR|MRS|MS)\\.?[ \\t]+(${NAME_WORD}(?:[ \\t]${NAME_WORD}){0,2})`, 'g')
+  },
+  {
+    type: 'MRN',
+    pattern: /\b(?:MRN|M\.R\.N\.?|URN?|UR No\.?|Hospital (?:No\.?|Number)|Medical Record (?:No\.?|Number)|Patient ID|Pt\.? ID|NHS (?:No\.?|Number)|Civil ID)[ \t]*[:#.]?[ \t]*([A-Z0-9][A-Z0-9-]{3,})/gi,
+    accept: value => /\d/.test(value)
+  },
+  {
+    type: 'DOB',
+    pattern: new RegExp(`\\b(?:DOB|D\\.O\\.B\\.?|Date of Birth|Birth ?Date|Born)[ \\t]*[:.]?[ \\t]*(${DATE})`, 'gi')
+  },
+  {
+    type: 'PHONE',
+    // No "Ph" label: it would read "pH 7.35 (7.35-7.45)" as a number
+    pattern: /\b(?:Tel|Phone|Mobile|Mob|Cell|Fax|Contact(?: No\.?)?)\.?[ \t]*[:#]?[ \t]*(\+?\d[\d ().-]{6,}\d)/gi,
+    accept: value => value.replace(/\D/g, '').length >= 7
+  },
+  { type: 'PHONE', pattern: /(?<![\d.])(\+\d{1,3}[ .-]?\(?\d{1,4}\)?(?:[ .-]?\d{2,4}){2,4})(?!\d|\.\d)/g },
+  { type: 'PHONE', pattern: /(?<![\d.])(\(\d{3}\)[ ]?\d{3}[-. ]\d{4}|\d{3}[-.]\d{3}[-.]\d{4})(?!\d|\.\d)/g },
+  { type: 'EMAIL', pattern: /([A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,})/g }
+];
+
+/**
+ * Create a scrubber for one document
+ * @param {Object} options
+ * @param {Object} options.patient - Current patient record ({ name, mrn, dateOfBirth|dob }) to scrub wherever it appears
+ * @returns {{scrub: Function, restore: Function, report: Function}}
+ */
+export function createPhiScrubber({ patient = null } = {}) {
+  const known = knownIdentifiers(patient);
+  const placeholders = new Map(); // type:key -> placeholder
+  const originals = new Map(); // placeholder -> original text
+  const items = new Map(); // placeholder -> { type, source, occurrences }
+  const names = []; // { parts: Set of name words, placeholder }
+  const counters = Object.fromEntries(PHI_TYPES.map(type => [type, 0]));
+
+  const placeholderFor = (type, value, source) => {
+    const key = `${type}:${identifierKey(type, value)}`;
+    let placeholder = placeholders.get(key) || (type === 'NAME' ? sameName(names, key) : null);
+
+    if (!placeholder) {
+      counters[type] += 1;
+      placeholder = `[${type}_${counters[type]}]`;
+      placeholders.set(key, placeholder);
+      originals.set(placeholder, value);
+      items.set(placeholder, { placeholder, type, source, occurrences: 0 });
+    }
+    placeholders.set(key, placeholder);
+    if (type === 'NAME') rememberName(names, key, placeholder);
+
+    items.get(placeholder).occurrences += 1;
+    return placeholder;
+  };
+
+  const scrubText = (text) => {
+    const spans = [...findKnown(text, known), ...findPatterns(text)];
+    let result = '';
+    let position = 0;
+
+    for (const span of resolveOverlaps(spans)) {
+      result += text.slice(position, span.start) + placeholderFor(span.type, span.value, span.source);
+      position = span.end;
+    }
+
+    return result + text.slice(position);
+  };
+
+  return {
+    /**
+     * Replace identifiers with placeholders
+     * @param {*} value - String, array or object (walked deeply)
+     * @returns {*}
+     */
+    scrub(value) {
+      return mapStrings(value, scrubText);
+    },
+
+    /**
+     * Put the original values back into a response
+     * @param {*} value - String, array or object (walked deeply)
+     * @returns {*}
+     */
+    restore(value) {
+      return mapStrings(value, text =>
+        text.replace(PLACEHOLDER_PATTERN, placeholder => originals.get(placeholder) ?? placeholder)
+      );
+    },
+
+    /**
+     * What was redacted, without the identifiers themselves
+     * @returns {{total: number, byType: Object, items: Array<{placeholder: string, type: string, source: string, occurrences: number}>, createdAt: string}}
+     */
+    report() {
+      const list = [...items.values()].map(item => ({ ...item }));
+      return {
+        total: list.reduce((sum, item) => sum + item.occurrences, 0),
+        byType: Object.fromEntries(
+          PHI_TYPES.map(type => [type, list.filter(item => item.type === type).reduce((sum, item) => sum + item.occurrences, 0)])
+            .filter(([, count]) => count > 0)
+        ),
+        items: list,
+        createdAt: new Date().toISOString()
+      };
+    }
+  };
+}
+
+/**
+ * Scrub text with a new scrubber
+ * @param {string} text
+ * @param {Object} options - createPhiScrubber options
+ * @returns {{text: string, scrubber: Object, report: Object}}
+ */
+export function deidentify(text, options = {}) {
+  const scrubber = createPhiScrubber(options);
+  const scrubbed = scrubber.scrub(text);
+  return { text: scrubbed, scrubber, report: scrubber.report() };
+}
+
+/**
+ * Whether text still holds placeholders (it was scrubbed before)
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function hasPlaceholders(text) {
+  return new RegExp(PLACEHOLDER_PATTERN.source).test(String(text || ''));
+}
+
+function findPatterns(text) {
+  return PATTERNS.flatMap(({ type, pattern, accept }) =>
+    [...text.matchAll(pattern)].flatMap(match => {
+      const value = match[match.length - 1];
+      if (!value || (accept && !accept(value))) return [];
+      const start = match.index + match[0].lastIndexOf(value);
+      return [{ start, end: start + value.length, type, value, source: 'pattern' }];
+    })
+  );
+}
+
+function findKnown(text, known) {
+  return known.flatMap(({ type, pattern }) =>
+    [...text.matchAll(pattern)].map(match => ({
+      start: match.index,
+      end: match.index + match[0].length,
+      type,
+      value: match[0],
+      source: 'patient'
+    }))
+  );
+}
+
+// Longest span wins where detectors overlap
+function resolveOverlaps(spans) {
+  const sorted = [...spans].sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+  const kept = [];
+
+  for (const span of sorted) {
+    const last = kept[kept.length - 1];
+    if (!last || span.start >= last.end) {
+      kept.push(span);
+    } else if (span.end - span.start > last.end - last.start) {
+      kept[kept.length - 1] = span;
+    }
+  }
+
+  return kept;
+}
+
+function knownIdentifiers(patient) {
+  if (!patient) return [];
+  const identifiers = [];
+
+  const name = String(patient.name || '').trim();
+  if (name) {
+    // Full name first, then each part that is not also a medical word ("Heart", "Valve").
+    // Initials are left out; they would match every "a" or "I" in the text.
+    const parts = name.split(/[\s,]+/)
+      .map(part => part.replace(/\.+$/, ''))
+      .filter(part => part.length >= 2 && !LEXICON.has(part.toLowerCase()));
+    identifiers.push({ type: 'NAME', pattern: wordPattern(name) });
+    parts.forEach(part => identifiers.push({ type: 'NAME', pattern: namePartPattern(part) }));
+  }
+
+  const mrn = String(patient.mrn || '').trim();
+  if (mrn.length >= 3) identifiers.push({ type: 'MRN', pattern: wordPattern(mrn) });
+
+  dateVariants(patient.dateOfBirth || patient.dob).forEach(value =>
+    identifiers.push({ type: 'DOB', pattern: wordPattern(value) })
+  );
+
+  return identifiers;
+}
+
+function dateVariants(value) {
+  const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!match) return value ? [String(value)] : [];
+
+  const [, year, month, day] = match;
+  const d = String(Number(day));
+  const m = String(Number(month));
+  return [...new Set([
+    `${year}-${month}-${day}`,
+    `${day}/${month}/${year}`, `${d}/${m}/${year}`, `${month}/${day}/${year}`, `${m}/${d}/${year}`,
+    `${day}.${month}.${year}`, `${day}-${month}-${year}`
+  ])];
+}
+
+function wordPattern(value) {
+  const escaped = value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  return new RegExp(`(?<![\\w])${escaped}(?![\\w])`, 'gi');
+}
+
+/**
+ * Whole-word pattern for one part of the patient's name
+ * Two-letter parts ("Wu", "Li", "An") are also common words or abbreviations,
+ * so they only match capitalised as a name ("Wu", "WU"), never "an" or "li".
+ */
+function namePartPattern(part) {
+  if (part.length >= 3) return wordPattern(part);
+  const escape = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const forms = [...new Set([part, part[0].toUpperCase() + part.slice(1).toLowerCase(), part.toUpperCase()])];
+  return new RegExp(`(?<![\\w])(?:${forms.map(escape).join('|')})(?![\\w])`, 'g');
+}
+
+function identifierKey(type, value) {
+  const lower = String(value).toLowerCase().trim();
+  if (type === 'NAME') return lower.replace(/[\s,]+/g, ' ');
+  if (type === 'EMAIL') return lower;
+  return lower.replace(/[^a-z0-9]/g, '');
+}
+
+// "Mr. Smith" and "SMITH, John" are one person when one name's words are all in the other
+function sameName(names, key) {
+  const parts = nameParts(key);
+  const match = names.find(name =>
+    [...parts].every(part => name.parts.has(part)) || [...name.parts].every(part => parts.has(part))
+  );
+  return match ? match.placeholder : null;
+}
+
+function rememberName(names, key, placeholder) {
+  const entry = names.find(name => name.placeholder === placeholder);
+  if (entry) nameParts(key).forEach(part => entry.parts.add(part));
+  else names.push({ parts: nameParts(key), placeholder });
+}
+
+function nameParts(key) {
+  return new Set(key.slice(key.indexOf(':') + 1).split(' ').filter(Boolean));
+}
+
+function mapStrings(value, fn) {
+  if (typeof value === 'string') return fn(value);
+  if (Array.isArray(value)) return value.map(item => mapStrings(item, fn));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapStrings(item, fn)]));
+  }
+  return value;
+}
+
+export default {
+  createPhiScrubber,
+  deidentify,
+  hasPlaceholders,
+  PHI_TYPES
+};
@@ -3,28 +3,44 @@
  * Optimized for GitHub Pages with proper CORS handling
  */
 
-const GOOGLE_SCRIPT_URL = 'https://script.google.com/macros/s/AKfycbxJfUS-CHHi3I9zq5f2WTtaK4s0fqNRM3_FZejsoGDwKL9I4fqdn_P-RKZFIsvw-8PiqA/exec';
+import { fetchInterpretation } from './googleScriptClient.js';
 
 /**
- * Process document using Google Apps Script with retry logic
+ * Read a document on this device and interpret its text with Google Apps Script
+ * The image never leaves the device: the OCR text is de-identified before it is
+ * sent (see fetchInterpretation). With reportType 'auto' the text is classified
+ * first and interpreted as the classified type.
+ * @param {File} file - Captured (preprocessed) document
+ * @param {string} reportType - Chosen type or 'auto'
+ * @param {Object} options
+ * @param {Function} options.onProgress - Local OCR progress ({status, progress 0-1})
+ * @param {AbortSignal} options.signal - Cancels local OCR
+ * @returns {Promise<{success: boolean, report: Object}>}
  */
-export async function processDocumentAuto(file, reportType = 'lab') {
+export async function processDocumentAuto(file, reportType = 'auto', { onProgress, signal } = {}) {
   console.log('[GoogleScript] Processing document...');
 
   try {
-    const base64Data = await fileToBase64(file);
-
-    const payload = {
-      action: 'processDocument',
-      documentType: reportType,
-      fileName: file.name,
-      fileType: file.type,
-      fileSize: file.size,
-      fileData: base64Data
-    };
+    const { readDocumentLocally } = await import('../offline/offline-scan.js');
+
+    console.log('[GoogleScript] Extracting text locally...');
+    const ocr = await readDocumentLocally(file, { reportType, onProgress, signal });
 
-    // Try with proper CORS first
-    let data = await fetchWithRetry(payload);
+    if (!ocr.fullText || ocr.fullText.trim().length === 0) {
+      throw new Error('No text extracted from document');
+    }
+
+    const type = ocr.type || (reportType === 'auto' ? 'general' : reportType);
+    if (ocr.classification) {
+      console.log(`[GoogleScript] Classified as ${type} (confidence ${ocr.classification.confidence})`);
+    }
+
+    console.log('[GoogleScript] Text extracted, sending to AI...');
+    const data = await fetchInterpretation({
+      action: 'interpretText',
+      text: ocr.fullText,
+      documentType: type
+    });
 
     if (!data || !data.success) {
       throw new Error(data?.error || 'Processing failed');
@@ -34,14 +50,20 @@ export async function processDocumentAuto(file, reportType = 'lab') {
       success: true,
       report: {
         id: data.reportId || Date.now().toString(),
-        type: reportType,
+        type,
+        classification: ocr.classification || null,
         fileName: file.name,
-        extractedText: data.extractedText || '',
-        ocrConfidence: data.ocrConfidence || 0.7,
-        interpretation: data.interpretation || {},
-        clinicalPearls: data.clinicalPearls || { pearls: [] },
-        potentialQuestions: data.potentialQuestions || { questions: [] },
-        presentation: data.presentation || {},
+        extractedText: ocr.fullText,
+        ocrConfidence: ocr.confidence,
+        structuredData: ocr.structuredData || null,
+        ocrWords: ocr.ocrWords || [],
+        vocabularyCorrections: ocr.vocabularyCorrections || [],
+        interpretation: data.interpretation,
+        clinicalPearls: data.clinicalPearls,
+        potentialQuestions: data.potentialQuestions,
+        presentation: data.presentation,
+        redactionReport: data.redactionReport || null,
+        promptVersions: data.metadata?.promptVersions || null,
         createdAt: new Date().toISOString()
       }
     };
@@ -52,117 +74,71 @@ export async function processDocumentAuto(file, reportType = 'lab') {
 }
 
 /**
- * Fetch with automatic retry on network errors
+ * Re-interpret an already processed report as another document type
+ * Used when the user overrides a low-confidence classification.
+ * @param {Object} report - Report from processDocumentAuto
+ * @param {string} type - Document type chosen by the user
+ * @returns {Promise<Object>} - Updated report
  */
-async function fetchWithRetry(payload, maxRetries = 3) {
-  let lastError;
-
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      console.log(`[GoogleScript] Attempt ${attempt}/${maxRetries}...`);
-
-      const response = await fetch(GOOGLE_SCRIPT_URL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(payload),
-        // Don't use no-cors - let CORS errors surface properly
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const data = await response.json();
-      console.log('[GoogleScript] Success!');
-      return data;
-
-    } catch (error) {
-      lastError = error;
-      console.warn(`[GoogleScript] Attempt ${attempt} failed:`, error.message);
-
-      // If it's a CORS or network error, wait and retry
-      if (attempt < maxRetries && (
-        error.message.includes('CORS') ||
-        error.message.includes('fetch') ||
-        error.message.includes('NetworkError') ||
-        error.message.includes('Failed to fetch')
-      )) {
-        const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000);
-        console.log(`[GoogleScript] Retrying in ${delay}ms...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-        continue;
-      }
-
-      // For other errors, throw immediately
-      throw error;
-    }
-  }
-
-  throw lastError;
+export async function reinterpretReport(report, type) {
+  console.log(`[GoogleScript] Re-interpreting report ${report.id} as ${type}...`);
+
+  const data = await interpretAs(report.extractedText, type, report);
+
+  return {
+    ...report,
+    ...data,
+    type,
+    classification: report.classification
+      ? { ...report.classification, overriddenFrom: report.classification.type, type }
+      : null
+  };
 }
 
 /**
- * Convert file to base64
+ * Re-run interpretation on a report's (corrected) text
+ * Unlike reinterpretReport this does not fall back to the old results: an
+ * interpretation of the uncorrected text must not pass for the new one.
+ * @param {Object} report - Report with corrected extractedText
+ * @param {Object} options
+ * @param {Object} options.patient - Linked patient, whose name and MRN are scrubbed from the text
+ * @returns {Promise<Object>} - interpretation, clinicalPearls, potentialQuestions, presentation, redactionReport and promptVersions
  */
-function fileToBase64(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = () => {
-      const base64 = reader.result.split(',')[1];
-      resolve(base64);
-    };
-    reader.onerror = reject;
-    reader.readAsDataURL(file);
-  });
+export async function refreshInterpretation(report, { patient = null } = {}) {
+  console.log(`[GoogleScript] Re-interpreting corrected text of report ${report.id}...`);
+  return interpretAs(report.extractedText, report.type || 'general', report, { fallback: false, patient });
 }
 
 /**
- * Fallback using local OCR + Google Script AI
+ * Interpret text as the given document type
+ * Falls back to the previous results if the script call fails (unless fallback is false).
  */
-export async function processWithLocalOCR(file, reportType = 'lab') {
-  console.log('[GoogleScript] Using local OCR fallback...');
-
+async function interpretAs(text, documentType, previous = {}, { fallback = true, patient = null } = {}) {
   try {
-    // Dynamic import to avoid loading OCR libs unless needed
-    const { extractText } = await import('@/lib/ocr/textExtractor');
-    
-    console.log('[GoogleScript] Extracting text locally...');
-    const extractedText = await extractText(file);
-
-    if (!extractedText || extractedText.trim().length === 0) {
-      throw new Error('No text extracted from document');
-    }
-
-    console.log('[GoogleScript] Text extracted, sending to AI...');
-
-    const payload = {
+    const data = await fetchInterpretation({
       action: 'interpretText',
-      text: extractedText,
-      documentType: reportType
-    };
-
-    const data = await fetchWithRetry(payload);
+      text,
+      documentType
+    }, previous, { patient });
 
     return {
-      success: true,
-      report: {
-        id: Date.now().toString(),
-        type: reportType,
-        fileName: file.name,
-        extractedText,
-        ocrConfidence: 0.8,
-        interpretation: data.interpretation || {},
-        clinicalPearls: data.clinicalPearls || { pearls: [] },
-        potentialQuestions: data.potentialQuestions || { questions: [] },
-        presentation: data.presentation || {},
-        createdAt: new Date().toISOString()
-      }
+      interpretation: data.interpretation,
+      clinicalPearls: data.clinicalPearls,
+      potentialQuestions: data.potentialQuestions,
+      presentation: data.presentation,
+      redactionReport: data.redactionReport,
+      promptVersions: data.metadata?.promptVersions || null
     };
   } catch (error) {
-    console.error('[GoogleScript] Fallback error:', error);
-    throw error;
+    console.warn(`[GoogleScript] Re-interpretation as ${documentType} failed:`, error.message);
+    if (!fallback) throw error;
+    return {
+      interpretation: previous.interpretation || {},
+      clinicalPearls: previous.clinicalPearls || { pearls: [] },
+      potentialQuestions: previous.potentialQuestions || { questions: [] },
+      presentation: previous.presentation || {},
+      promptVersions: previous.promptVersions || null
+    };
   }
 }
 
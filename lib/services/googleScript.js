@@ -1,25 +1,32 @@
 /**
  * Google Apps Script Integration
  * Connects to the deployed Google Apps Script for AI interpretation
+ * Report text and interpretations are de-identified before they are sent
+ * (see lib/security/phi-scrubber.js); document images are never sent.
  */
 
+import { createPhiScrubber } from '../security/phi-scrubber.js';
+
 const GOOGLE_SCRIPT_URL = 'https://script.google.com/macros/s/AKfycbxJfUS-CHHi3I9zq5f2WTtaK4s0fqNRM3_FZejsoGDwKL9I4fqdn_P-RKZFIsvw-8PiqA/exec';
 
 /**
  * Call Google Apps Script with OCR results
  * @param {Object} ocrResult - The OCR extraction result
  * @param {string} documentType - Type of document (lab, imaging, note, etc.)
- * @returns {Promise<Object>} AI interpretation from Google Script
+ * @param {Object} options - { patient } adds the patient's name and MRN to the scrub
+ * @returns {Promise<Object>} AI interpretation from Google Script, with redactionReport
  */
-export async function interpretWithGoogleScript(ocrResult, documentType = 'general') {
+export async function interpretWithGoogleScript(ocrResult, documentType = 'general', { patient = null } = {}) {
   try {
     console.log('[Google Script] Sending request...');
 
+    const phi = createPhiScrubber({ patient });
+
     // Prepare the payload
     const payload = {
       action: 'interpret',
       documentType: documentType,
-      text: ocrResult.rawText || ocrResult.text,
+      text: phi.scrub(ocrResult.rawText || ocrResult.text),
       metadata: {
         confidence: ocrResult.confidence,
         fileName: ocrResult.metadata?.fileName,
@@ -44,7 +51,7 @@ export async function interpretWithGoogleScript(ocrResult, documentType = 'gener
     const data = await response.json();
     console.log('[Google Script] Response received:', data);
 
-    return data;
+    return { ...phi.restore(data), redactionReport: phi.report() };
 
   } catch (error) {
     console.error('[Google Script] Error:', error);
@@ -61,9 +68,10 @@ export async function generatePearlsWithGoogleScript(interpretation) {
   try {
     console.log('[Google Script] Generating pearls...');
 
+    const phi = createPhiScrubber();
     const payload = {
       action: 'generatePearls',
-      interpretation: interpretation
+      interpretation: phi.scrub(interpretation)
     };
 
     const response = await fetch(GOOGLE_SCRIPT_URL, {
@@ -82,7 +90,7 @@ export async function generatePearlsWithGoogleScript(interpretation) {
     const data = await response.json();
     console.log('[Google Script] Pearls received');
 
-    return data;
+    return phi.restore(data);
 
   } catch (error) {
     console.error('[Google Script] Error generating pearls:', error);
@@ -99,9 +107,10 @@ export async function generateQuestionsWithGoogleScript(interpretation) {
   try {
     console.log('[Google Script] Generating questions...');
 
+    const phi = createPhiScrubber();
     const payload = {
       action: 'generateQuestions',
-      interpretation: interpretation
+      interpretation: phi.scrub(interpretation)
     };
 
     const response = await fetch(GOOGLE_SCRIPT_URL, {
@@ -120,7 +129,7 @@ export async function generateQuestionsWithGoogleScript(interpretation) {
     const data = await response.json();
     console.log('[Google Script] Questions received');
 
-    return data;
+    return phi.restore(data);
 
   } catch (error) {
     console.error('[Google Script] Error generating questions:', error);
@@ -128,56 +137,6 @@ export async function generateQuestionsWithGoogleScript(interpretation) {
   }
 }
 
-/**
- * Upload file to Google Drive via Google Script
- * @param {File} file - The file to upload
- * @returns {Promise<Object>} Upload result with Drive file ID
- */
-export async function uploadToGoogleDrive(file) {
-  try {
-    console.log('[Google Script] Uploading to Google Drive...');
-
-    // Convert file to base64
-    const reader = new FileReader();
-    const base64Promise = new Promise((resolve, reject) => {
-      reader.onload = () => resolve(reader.result.split(',')[1]);
-      reader.onerror = reject;
-      reader.readAsDataURL(file);
-    });
-
-    const base64Data = await base64Promise;
-
-    const payload = {
-      action: 'uploadFile',
-      fileName: file.name,
-      fileType: file.type,
-      fileData: base64Data
-    };
-
-    const response = await fetch(GOOGLE_SCRIPT_URL, {
-      method: 'POST',
-      mode: 'cors',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(payload)
-    });
-
-    if (!response.ok) {
-      throw new Error(`Google Script returned ${response.status}`);
-    }
-
-    const data = await response.json();
-    console.log('[Google Script] File uploaded successfully');
-
-    return data;
-
-  } catch (error) {
-    console.error('[Google Script] Error uploading file:', error);
-    throw error;
-  }
-}
-
 /**
  * Save report to Google Sheets via Google Script
  * @param {Object} report - The complete report object
@@ -187,17 +146,17 @@ export async function saveReportToSheets(report) {
   try {
     console.log('[Google Script] Saving to Google Sheets...');
 
+    // The sheet only gets de-identified content; name and MRN stay on the device
+    const phi = createPhiScrubber({ patient: { name: report.patientName, mrn: report.patientMrn } });
     const payload = {
       action: 'saveReport',
       report: {
         id: report.id,
-        title: report.title,
+        title: phi.scrub(report.title),
         type: report.type,
-        patientName: report.patientName,
-        patientMrn: report.patientMrn,
-        extractedText: report.extractedText,
+        extractedText: phi.scrub(report.extractedText),
         ocrConfidence: report.ocrConfidence,
-        interpretation: report.interpretation,
+        interpretation: phi.scrub(report.interpretation),
         date: report.date
       }
     };
@@ -275,7 +234,6 @@ export default {
   interpretWithGoogleScript,
   generatePearlsWithGoogleScript,
   generateQuestionsWithGoogleScript,
-  uploadToGoogleDrive,
   saveReportToSheets,
   testConnection
 };
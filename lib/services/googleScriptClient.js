@@ -0,0 +1,141 @@
+/**
+ * Google Apps Script transport
+ * POST with retry on network errors. No DOM APIs, so the service worker
+ * (worker/index.js) can use it for background sync as well as the pages.
+ */
+
+import { validateReportOutputs } from '../ai/schemas.js';
+import { groundInterpretation } from '../ai/grounding.js';
+import { createPhiScrubber } from '../security/phi-scrubber.js';
+
+export const GOOGLE_SCRIPT_URL = 'https://script.google.com/macros/s/AKfycbxJfUS-CHHi3I9zq5f2WTtaK4s0fqNRM3_FZejsoGDwKL9I4fqdn_P-RKZFIsvw-8PiqA/exec';
+
+/**
+ * Whether an error means the script could not be reached (offline, CORS, DNS)
+ * rather than the script rejecting the request
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isNetworkError(error) {
+  if (!error) return false;
+  if (error.name === 'TypeError') return true;
+
+  const message = error.message || '';
+  return (
+    message.includes('CORS') ||
+    message.includes('fetch') ||
+    message.includes('NetworkError') ||
+    message.includes('Failed to fetch') ||
+    message.includes('Load failed')
+  );
+}
+
+/**
+ * Fetch with automatic retry on network errors
+ * @param {Object} payload - Script action payload
+ * @param {number} maxRetries - Attempts before giving up
+ * @returns {Promise<Object>} - Parsed script response
+ */
+export async function fetchWithRetry(payload, maxRetries = 3) {
+  let lastError;
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      console.log(`[GoogleScript] Attempt ${attempt}/${maxRetries}...`);
+
+      const response = await fetch(GOOGLE_SCRIPT_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(payload),
+        // Don't use no-cors - let CORS errors surface properly
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      console.log('[GoogleScript] Success!');
+      return data;
+
+    } catch (error) {
+      lastError = error;
+      console.warn(`[GoogleScript] Attempt ${attempt} failed:`, error.message);
+
+      // If it's a CORS or network error, wait and retry
+      if (attempt < maxRetries && isNetworkError(error)) {
+        const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000);
+        console.log(`[GoogleScript] Retrying in ${delay}ms...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        continue;
+      }
+
+      // For other errors, throw immediately
+      throw error;
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Fetch an interpretation and validate its AI sections
+ * Text is de-identified before it is sent and the response re-identified here
+ * (see lib/security/phi-scrubber.js). Images cannot be, so payloads without
+ * text are refused.
+ * A response whose interpretation, pearls, questions or presentation do not
+ * match the schemas is asked for once more as interpretText; if that is not
+ * valid either, the first response is coerced to safe defaults. The
+ * interpretation's findings are then checked against the text (see grounding.js).
+ * @param {Object} payload - interpretText payload ({ action, text, documentType })
+ * @param {Object} previous - Sections to use where the response has none (report being re-interpreted)
+ * @param {Object} options
+ * @param {Object} options.patient - Patient record whose name and MRN are scrubbed wherever they appear
+ * @returns {Promise<Object>} - Script response with validated sections and redactionReport; failed responses are returned as they are
+ */
+export async function fetchInterpretation(payload, previous = {}, { patient = null } = {}) {
+  if (!payload.text || payload.fileData) {
+    throw new Error('Only de-identified text can be sent for interpretation');
+  }
+
+  const phi = createPhiScrubber({ patient });
+  const data = phi.restore(await fetchWithRetry({ ...payload, text: phi.scrub(payload.text) }));
+  if (!data || data.success === false) return data;
+
+  const { text } = payload;
+  const withSections = sections => ({
+    ...data,
+    ...sections,
+    interpretation: groundInterpretation(sections.interpretation, { text }),
+    redactionReport: phi.report()
+  });
+
+  const checked = validateReportOutputs(data, previous);
+  if (checked.valid) return withSections(checked.sections);
+
+  console.warn('[GoogleScript] Response failed validation, asking again:', checked.issues.slice(0, 3).join('; '));
+
+  try {
+    const retry = phi.restore(await fetchWithRetry({
+      action: 'interpretText',
+      text: phi.scrub(text),
+      documentType: payload.documentType
+    }));
+    const rechecked = retry && retry.success !== false && validateReportOutputs(retry, previous);
+    if (rechecked?.valid) return withSections(rechecked.sections);
+  } catch (error) {
+    console.warn('[GoogleScript] Validation retry failed:', error.message);
+  }
+
+  console.warn('[GoogleScript] Using coerced response');
+  return withSections(checked.sections);
+}
+
+export default {
+  GOOGLE_SCRIPT_URL,
+  isNetworkError,
+  fetchWithRetry,
+  fetchInterpretation
+};
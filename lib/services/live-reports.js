@@ -0,0 +1,98 @@
+/**
+ * Live reports
+ * Reports whose analysis is still streaming in from /api/reports/stream. The
+ * scanner feeds the stream events in and the report view subscribes, so the
+ * view can open as soon as the text is read and fill in findings, assessment,
+ * pearls and questions as they arrive.
+ */
+
+// Stream event -> report field it carries
+const EVENT_FIELDS = {
+  interpretation: 'interpretation',
+  presentation: 'presentation',
+  pearls: 'clinicalPearls',
+  questions: 'potentialQuestions'
+};
+
+const live = new Map(); // reportId -> report so far
+const listeners = new Map(); // reportId -> Set of listeners
+
+/**
+ * Apply one stream event to a report
+ * @param {Object|null} report - Report so far
+ * @param {{event: string, data: Object}} message - Parsed server-sent event
+ * @returns {Object|null} - Updated report (a new object), or the same report for other events
+ */
+export function applyReportEvent(report, { event, data }) {
+  if (event === 'report' || event === 'complete') return { ...data.report };
+  if (!report) return report;
+
+  const field = EVENT_FIELDS[event];
+  if (field) {
+    // A stage's final result names its source (openai_api or knowledge_base)
+    const sources = data.source ? { ...report.sources, [event]: data.source } : report.sources;
+    return { ...report, [field]: data[field], sources };
+  }
+  if (event === 'error') return { ...report, status: 'partial', analysisError: data.error };
+  return report;
+}
+
+/**
+ * Feed a stream event in and pass the updated report to its subscribers
+ * @param {{event: string, data: Object}} message - Parsed server-sent event
+ * @returns {Object|null} - The report after the event, or null for events without one
+ */
+export function handleReportEvent(message) {
+  const id = message.data?.report?.id || message.data?.reportId;
+  if (!id) return null;
+
+  const report = applyReportEvent(live.get(id) || null, message);
+  if (!report) return null;
+
+  live.set(id, report);
+  listeners.get(id)?.forEach(listener => listener(report));
+  return report;
+}
+
+/**
+ * Stop tracking a report once its stream has ended (complete, failed or dropped)
+ * @param {string} id - Report ID
+ */
+export function endReportStream(id) {
+  live.delete(id);
+}
+
+/**
+ * Whether a report is being streamed to this page right now
+ * @param {string} id - Report ID
+ * @returns {boolean}
+ */
+export function isReportStreaming(id) {
+  return live.has(id);
+}
+
+/**
+ * Follow a report while it streams; the listener gets the current state straight away
+ * @param {string} id - Report ID
+ * @param {Function} listener - (report) => void
+ * @returns {Function} - Unsubscribe
+ */
+export function subscribeToReport(id, listener) {
+  if (!listeners.has(id)) listeners.set(id, new Set());
+  listeners.get(id).add(listener);
+
+  if (live.has(id)) listener(live.get(id));
+
+  return () => {
+    listeners.get(id)?.delete(listener);
+    if (listeners.get(id)?.size === 0) listeners.delete(id);
+  };
+}
+
+export default {
+  applyReportEvent,
+  handleReportEvent,
+  endReportStream,
+  isReportStreaming,
+  subscribeToReport
+};
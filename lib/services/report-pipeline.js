@@ -0,0 +1,220 @@
+/**
+ * Report pipeline
+ * The server-side path from an uploaded document to an analysed report,
+ * shared by /api/reports/upload (one response at the end) and
+ * /api/reports/stream (an event per stage):
+ *   readUploadedDocument  form fields, the user's patient, OCR
+ *   createReport          report in client shape, status processing
+ *   analyzeReport         interpretation (grounded), pearls, questions, presentation
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { visionClient } from '../ocr/vision-client.js';
+import { processDocument as processPdfDocument } from '../ocr/textExtractor.js';
+import { extractPdfText } from '../ocr/pdfExtractor.js';
+import { smartResponder } from '../knowledge/smart-responder.js';
+import { PatientDB } from '../storage/database.js';
+import { generatePresentation } from '../presentation/generator.js';
+import { groundInterpretation } from '../ai/grounding.js';
+
+// Stage -> report field it fills
+export const REPORT_STAGES = {
+  interpretation: 'interpretation',
+  pearls: 'clinicalPearls',
+  questions: 'potentialQuestions'
+};
+
+/**
+ * An upload that cannot be processed; status is the HTTP status to answer with
+ */
+export class DocumentUploadError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'DocumentUploadError';
+    this.status = status;
+  }
+}
+
+/**
+ * Read an uploaded document and extract its text
+ * Form fields: document, reportType ('auto' lets OCR classify), patientId,
+ * correctVocabulary ('false' keeps the OCR text exactly as read).
+ * @param {Request} request - multipart/form-data request
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<{formData: FormData, patientId: string|null, patient: Object|null, documents: Array<Object>}>}
+ *   documents holds one OCR result per report (a PDF may hold several)
+ * @throws {DocumentUploadError} - 400 without a document or readable text, 404 for a patient the user doesn't own
+ */
+export async function readUploadedDocument(request, user) {
+  const formData = await request.formData();
+  const file = formData.get('document');
+  const reportType = formData.get('reportType') || 'auto';
+  const patientId = formData.get('patientId') || null;
+  const correctVocabulary = formData.get('correctVocabulary') !== 'false';
+
+  if (!file) {
+    throw new DocumentUploadError('No document provided', 400);
+  }
+
+  // Patient context drives sex/age-specific lab reference ranges, scrubbing and grounding
+  const patient = patientId ? PatientDB.findById(patientId) : null;
+  if (patientId && (!patient || patient.user_id !== user.id)) {
+    throw new DocumentUploadError('Patient not found', 404);
+  }
+
+  console.log(`[Reports] Processing ${reportType} document for user ${user.id}`);
+
+  // PDFs use the embedded text layer (OCR per scanned page) and may hold several reports
+  const buffer = Buffer.from(await file.arrayBuffer());
+  const isPdf = file.type === 'application/pdf';
+  const ocrResult = isPdf
+    ? await processPdfDocument(buffer, file.type, reportType, {
+      patient,
+      extraction: await extractPdfText(buffer, { defaultType: reportType })
+    })
+    : await visionClient.processDocument(buffer, reportType, { patient, correctVocabulary });
+
+  if (!ocrResult.fullText || ocrResult.confidence < 0.5) {
+    throw new DocumentUploadError(
+      isPdf
+        ? 'Could not extract text from PDF. Please try a clearer scan.'
+        : 'Could not extract text from document. Please try a clearer image.',
+      400
+    );
+  }
+
+  console.log(`[Reports] OCR complete. Confidence: ${ocrResult.confidence.toFixed(3)}`);
+
+  const documents = ocrResult.reports || [ocrResult];
+  if (documents.length > 1) {
+    console.log(`[Reports] PDF split into ${documents.length} reports: ${documents.map(d => d.type).join(', ')}`);
+  }
+
+  return { formData, patientId, patient, documents };
+}
+
+/**
+ * Report for one extracted document, before analysis
+ * @param {Object} ocrResult - { fullText, confidence, type, structuredData, classification, metadata }
+ * @param {Object} context - { user, patientId, fields: extra client fields }
+ * @returns {Object} - Report in client shape, status processing
+ */
+export function createReport(ocrResult, { user, patientId = null, fields = {} }) {
+  return {
+    ...fields,
+    id: uuidv4(),
+    userId: user.id,
+    patientId,
+    type: ocrResult.type,
+    classification: ocrResult.classification || null,
+    extractedText: ocrResult.fullText,
+    ocrConfidence: ocrResult.confidence,
+    structuredData: ocrResult.structuredData,
+    vocabularyCorrections: ocrResult.vocabularyCorrections || [],
+    pages: ocrResult.metadata?.pageNumbers || null,
+    interpretation: {},
+    clinicalPearls: {},
+    potentialQuestions: {},
+    presentation: {},
+    sources: {},
+    // Prompt template (name@version) behind each section, for feedback and A/B comparison
+    promptVersions: {},
+    status: 'processing',
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Analyse a report stage by stage, filling it in place
+ * A failed stage throws; the report keeps what the stages before it produced.
+ * @param {Object} report - From createReport()
+ * @param {Object} context
+ * @param {Object} context.patient - Patient row, for scrubbing and grounding
+ * @param {Function} context.onStage - (stage, result) after a stage has filled the report; stage is a REPORT_STAGES key
+ * @param {Function} context.onPartial - (stage, partial) while a stage's result is being written
+ * @returns {Promise<{interpretation: Object, pearls: Object, questions: Object}>} - Smart responder results per stage
+ */
+export async function analyzeReport(report, { patient = null, onStage = () => {}, onPartial = null }) {
+  const reportType = report.type;
+  // AI calls are charged to the user and this report in the usage ledger
+  const context = { patient, userId: report.userId, reportId: report.id };
+  const partials = (stage) => (onPartial ? partial => onPartial(stage, partial) : undefined);
+
+  const complete = (stage, result) => {
+    report[REPORT_STAGES[stage]] = result.response;
+    report.sources[stage] = result.source;
+    report.promptVersions[stage] = result.promptVersion;
+  };
+
+  console.log(`[Reports] Interpreting ${reportType} report ${report.id}...`);
+  const interpretation = await smartResponder.getResponse(report.extractedText, reportType, {
+    ...context,
+    patientId: report.patientId,
+    structuredData: report.structuredData,
+    onPartial: partials('interpretation')
+  });
+
+  // Check cited values and sides against the report before anything builds on them
+  interpretation.response = groundInterpretation(interpretation.response, {
+    text: report.extractedText,
+    structuredData: report.structuredData,
+    patient
+  });
+  if (interpretation.response.grounding.contradicted > 0) {
+    console.warn(`[Reports] ${interpretation.response.grounding.contradicted} finding(s) contradicted by the report text`);
+  }
+  complete('interpretation', interpretation);
+  // What was de-identified before the text went to the LLM (placeholders and counts only)
+  report.redactionReport = interpretation.redactionReport || null;
+  report.presentation = generatePresentation({
+    type: reportType,
+    interpretation: report.interpretation,
+    structuredData: report.structuredData
+  });
+  onStage('interpretation', interpretation);
+
+  console.log('[Reports] Generating clinical pearls...');
+  const pearls = await smartResponder.getResponse(
+    JSON.stringify({
+      summary: report.interpretation.summary,
+      findings: report.interpretation.findings,
+      diagnosis: report.interpretation.differentialConsiderations?.[0]
+    }),
+    'pearls',
+    { ...context, reportType, onPartial: partials('pearls') }
+  );
+  complete('pearls', pearls);
+  onStage('pearls', pearls);
+
+  console.log('[Reports] Generating questions...');
+  const questions = await smartResponder.getResponse(
+    JSON.stringify({
+      summary: report.interpretation.summary,
+      findings: report.interpretation.findings,
+      keyLabs: report.structuredData?.results?.slice(0, 5)
+    }),
+    'questions',
+    { ...context, reportType, onPartial: partials('questions') }
+  );
+  complete('questions', questions);
+
+  report.presentation = generatePresentation({
+    type: reportType,
+    interpretation: report.interpretation,
+    clinicalPearls: report.clinicalPearls,
+    potentialQuestions: report.potentialQuestions,
+    structuredData: report.structuredData
+  });
+  report.status = 'analyzed';
+  onStage('questions', questions);
+
+  return { interpretation, pearls, questions };
+}
+
+export default {
+  REPORT_STAGES,
+  DocumentUploadError,
+  readUploadedDocument,
+  createReport,
+  analyzeReport
+};
@@ -0,0 +1,77 @@
+/**
+ * Server-sent events
+ * Encoding for streaming API routes and an incremental parser for reading
+ * them from a fetch() body (EventSource cannot POST a file or send headers).
+ */
+
+/**
+ * Encode one event
+ * @param {string} event - Event name
+ * @param {*} data - JSON-serialisable payload
+ * @returns {string}
+ */
+export function formatSseEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Create a parser that takes text chunks and returns the complete events in them
+ * @returns {{push: Function, flush: Function}}
+ */
+export function createSseParser() {
+  let buffer = '';
+
+  const parseBlock = (block) => {
+    let event = 'message';
+    const data = [];
+
+    for (const line of block.split(/\r?\n/)) {
+      if (line.startsWith(':')) continue; // comment / keep-alive
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.slice(0, colon);
+      const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+
+      if (field === 'event') event = value;
+      else if (field === 'data') data.push(value);
+    }
+
+    if (data.length === 0) return null;
+
+    const text = data.join('\n');
+    try {
+      return { event, data: JSON.parse(text) };
+    } catch {
+      return { event, data: text };
+    }
+  };
+
+  return {
+    /**
+     * Add a chunk of the stream
+     * @param {string} chunk
+     * @returns {Array<{event: string, data: *}>} - Events completed by this chunk
+     */
+    push(chunk) {
+      buffer += chunk;
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      buffer = blocks.pop();
+      return blocks.map(parseBlock).filter(Boolean);
+    },
+
+    /**
+     * End of stream: parse whatever is left
+     * @returns {Array<{event: string, data: *}>}
+     */
+    flush() {
+      const rest = buffer;
+      buffer = '';
+      const event = rest.trim() ? parseBlock(rest) : null;
+      return event ? [event] : [];
+    }
+  };
+}
+
+export default {
+  formatSseEvent,
+  createSseParser
+};
@@ -0,0 +1,183 @@
+/**
+ * Storage adapter selection
+ * Uses the SQLite-backed API when NEXT_PUBLIC_API_URL points at a reachable
+ * server and the user holds a server token; otherwise falls back to localStorage.
+ * On first server login, existing localStorage data is copied to the server.
+ */
+
+import { createLocalAdapter } from './local-adapter.js';
+import { createServerAdapter } from './server-adapter.js';
+
+export { createLocalAdapter, createServerAdapter };
+
+export const SERVER_TOKEN_KEY = 'medward_server_token';
+export const MIGRATION_KEY = 'medward_server_migration';
+
+const API_URL = (process.env.NEXT_PUBLIC_API_URL || '').replace(/\/$/, '');
+const HEALTH_TIMEOUT_MS = 3000;
+
+let storagePromise = null;
+
+/**
+ * Get the active storage adapter (resolved once per page load)
+ * @returns {Promise<Object>} - Local or server storage adapter
+ */
+export function getStorage() {
+  if (!storagePromise) {
+    storagePromise = selectStorage();
+  }
+  return storagePromise;
+}
+
+/**
+ * Forget the selected adapter so the next getStorage() re-checks the server
+ */
+export function resetStorage() {
+  storagePromise = null;
+}
+
+async function selectStorage() {
+  const token = localStorage.getItem(SERVER_TOKEN_KEY);
+
+  if (API_URL && token && await isServerReachable()) {
+    console.log('[Storage] Using server storage');
+    return createServerAdapter({ baseUrl: API_URL, token });
+  }
+
+  return createLocalAdapter();
+}
+
+/**
+ * Check whether the storage server answers its health check
+ * @param {string} baseUrl - API origin
+ * @returns {Promise<boolean>}
+ */
+export async function isServerReachable(baseUrl = API_URL) {
+  if (!baseUrl) return false;
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), HEALTH_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(`${baseUrl}/api/health`, { signal: controller.signal });
+    return response.ok;
+  } catch {
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Log in to the storage server and move local data across on first login.
+ * Never throws: the app keeps working on localStorage when the server is unavailable.
+ * @param {string} username - Username used for the Apps Script login
+ * @returns {Promise<Object|null>} - Migration summary, or null when the server is not used
+ */
+export async function connectServer(username) {
+  if (!(await isServerReachable())) return null;
+
+  try {
+    const response = await fetch(`${API_URL}/api/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username })
+    });
+    const data = await response.json();
+
+    if (!response.ok || !data.token) {
+      throw new Error(data.error || `Server returned ${response.status}`);
+    }
+
+    localStorage.setItem(SERVER_TOKEN_KEY, data.token);
+    resetStorage();
+
+    const server = createServerAdapter({ baseUrl: API_URL, token: data.token });
+    return await migrateLocalData(createLocalAdapter(), server, data.user.id);
+  } catch (error) {
+    console.warn('[Storage] Server login failed, staying on local storage:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Drop the server token (logout)
+ */
+export function disconnectServer() {
+  localStorage.removeItem(SERVER_TOKEN_KEY);
+  resetStorage();
+}
+
+/**
+ * Copy patients and reports from one adapter to another, relinking reports
+ * to the new patient ids. Progress is recorded per record so an interrupted
+ * migration resumes without creating duplicates.
+ * @param {Object} source - Adapter to read from (local)
+ * @param {Object} target - Adapter to write to (server)
+ * @param {string} userId - Target account; a different account starts a fresh migration
+ * @param {Storage} storage - Where migration progress is kept
+ * @returns {Promise<{patients: number, reports: number, failed: number, skipped: boolean}>}
+ */
+export async function migrateLocalData(source, target, userId, storage = globalThis.localStorage) {
+  let state = JSON.parse(storage.getItem(MIGRATION_KEY) || 'null');
+  if (!state || state.userId !== userId) {
+    state = { userId, patients: {}, reports: {}, completedAt: null };
+  }
+
+  if (state.completedAt) {
+    return { patients: 0, reports: 0, failed: 0, skipped: true };
+  }
+
+  const save = () => storage.setItem(MIGRATION_KEY, JSON.stringify(state));
+  const summary = { patients: 0, reports: 0, failed: 0, skipped: false };
+
+  for (const patient of await source.listPatients()) {
+    if (state.patients[patient.id]) continue;
+    try {
+      const { id, ...fields } = patient;
+      const created = await target.createPatient(fields);
+      state.patients[id] = created.id;
+      summary.patients++;
+      save();
+    } catch (error) {
+      console.error(`[Storage] Could not migrate patient ${patient.id}:`, error.message);
+      summary.failed++;
+    }
+  }
+
+  // Oldest first so the server keeps the original order
+  const reports = [...await source.listReports()].reverse();
+  for (const report of reports) {
+    if (state.reports[report.id]) continue;
+    try {
+      const { id, ...fields } = report;
+      const created = await target.createReport({
+        ...fields,
+        patientId: report.patientId != null ? state.patients[report.patientId] ?? null : null
+      });
+      state.reports[id] = created.id;
+      summary.reports++;
+      save();
+    } catch (error) {
+      console.error(`[Storage] Could not migrate report ${report.id}:`, error.message);
+      summary.failed++;
+    }
+  }
+
+  if (summary.failed === 0) {
+    state.completedAt = new Date().toISOString();
+  }
+  save();
+
+  console.log(`[Storage] Migrated ${summary.patients} patient(s) and ${summary.reports} report(s) to the server`);
+  return summary;
+}
+
+export default {
+  getStorage,
+  resetStorage,
+  isServerReachable,
+  connectServer,
+  disconnectServer,
+  migrateLocalData
+};
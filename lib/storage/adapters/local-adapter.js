@@ -0,0 +1,118 @@
+/**
+ * Local Storage Adapter
+ * Keeps reports and patients in the browser's localStorage under the
+ * medward_reports / medward_patients keys the app has always used.
+ * Same async interface as the server adapter.
+ */
+
+export const REPORTS_KEY = 'medward_reports';
+export const PATIENTS_KEY = 'medward_patients';
+
+function newId() {
+  return `${Date.now()}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Create a localStorage-backed storage adapter
+ * @param {Storage} storage - Web Storage implementation (defaults to window.localStorage)
+ * @returns {Object} - Storage adapter
+ */
+export function createLocalAdapter(storage = globalThis.localStorage) {
+  const read = (key) => {
+    try {
+      return JSON.parse(storage.getItem(key) || '[]');
+    } catch (error) {
+      console.warn(`[Storage] Discarding unreadable ${key}:`, error.message);
+      return [];
+    }
+  };
+
+  const write = (key, records) => storage.setItem(key, JSON.stringify(records));
+
+  // Ids are compared loosely: older patients were saved with numeric Date.now() ids
+  const sameId = (a, b) => a != null && b != null && String(a) === String(b);
+
+  const create = (key, record) => {
+    const saved = {
+      ...record,
+      id: record.id ?? newId(),
+      createdAt: record.createdAt || new Date().toISOString()
+    };
+    write(key, [saved, ...read(key).filter(r => !sameId(r.id, saved.id))]);
+    return saved;
+  };
+
+  const update = (key, id, changes) => {
+    const records = read(key);
+    const index = records.findIndex(r => sameId(r.id, id));
+    if (index === -1) return null;
+
+    records[index] = { ...records[index], ...changes, id: records[index].id, updatedAt: new Date().toISOString() };
+    write(key, records);
+    return records[index];
+  };
+
+  const remove = (key, id) => {
+    const records = read(key);
+    const remaining = records.filter(r => !sameId(r.id, id));
+    write(key, remaining);
+    return remaining.length < records.length;
+  };
+
+  return {
+    name: 'local',
+
+    async listReports({ patientId } = {}) {
+      const reports = read(REPORTS_KEY);
+      return patientId != null ? reports.filter(r => sameId(r.patientId, patientId)) : reports;
+    },
+
+    async getReport(id) {
+      return read(REPORTS_KEY).find(r => sameId(r.id, id)) || null;
+    },
+
+    async createReport(report) {
+      return create(REPORTS_KEY, report);
+    },
+
+    async updateReport(id, changes) {
+      return update(REPORTS_KEY, id, changes);
+    },
+
+    // Local mode has no audit log: the correction history travels with the report
+    async correctReport(id, changes, correction) {
+      const report = read(REPORTS_KEY).find(r => sameId(r.id, id));
+      if (!report) return null;
+      return update(REPORTS_KEY, id, { ...changes, corrections: [...(report.corrections || []), correction] });
+    },
+
+    async deleteReport(id) {
+      return remove(REPORTS_KEY, id);
+    },
+
+    async listPatients() {
+      return read(PATIENTS_KEY);
+    },
+
+    async getPatient(id) {
+      return read(PATIENTS_KEY).find(p => sameId(p.id, id)) || null;
+    },
+
+    async createPatient(patient) {
+      return create(PATIENTS_KEY, patient);
+    },
+
+    async updatePatient(id, changes) {
+      return update(PATIENTS_KEY, id, changes);
+    },
+
+    async deletePatient(id) {
+      // Match the server: the patient's reports are kept but unlinked
+      const reports = read(REPORTS_KEY);
+      write(REPORTS_KEY, reports.map(r => sameId(r.patientId, id) ? { ...r, patientId: null } : r));
+      return remove(PATIENTS_KEY, id);
+    }
+  };
+}
+
+export default createLocalAdapter;
@@ -0,0 +1,200 @@
+/**
+ * Server Storage Adapter
+ * Reads and writes reports and patients through the SQLite-backed
+ * /api/reports and /api/patients routes. Same async interface as the local adapter,
+ * plus streamDocument() for uploads analysed on the server and submitFeedback()
+ * for rating report sections.
+ */
+
+import { createSseParser } from '../../services/sse.js';
+import { applyReportEvent } from '../../services/live-reports.js';
+
+/**
+ * Error returned by the storage API
+ */
+export class StorageRequestError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'StorageRequestError';
+    this.status = status;
+  }
+}
+
+/**
+ * Create a server-backed storage adapter
+ * @param {Object} options
+ * @param {string} options.baseUrl - API origin, e.g. https://medward.example.com
+ * @param {string} options.token - Server JWT from /api/auth/login
+ * @param {Function} options.fetch - fetch implementation (defaults to global fetch)
+ * @returns {Object} - Storage adapter
+ */
+export function createServerAdapter({ baseUrl, token, fetch: fetchImpl = globalThis.fetch.bind(globalThis) }) {
+  const request = async (path, { method = 'GET', body } = {}) => {
+    const response = await fetchImpl(`${baseUrl}/api${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        ...(body ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new StorageRequestError(data.error || `Server returned ${response.status}`, response.status);
+    }
+
+    return data;
+  };
+
+  // Missing records resolve to null, matching the local adapter
+  const orNull = (promise) => promise.catch(error => {
+    if (error.status === 404) return null;
+    throw error;
+  });
+
+  const query = (params) => {
+    const search = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value != null)
+    ).toString();
+    return search ? `?${search}` : '';
+  };
+
+  return {
+    name: 'server',
+
+    async listReports({ patientId, limit = 500 } = {}) {
+      const data = await request(`/reports${query({ patientId, limit })}`);
+      return data.reports;
+    },
+
+    async getReport(id) {
+      const data = await orNull(request(`/reports/${encodeURIComponent(id)}`));
+      return data ? data.report : null;
+    },
+
+    async createReport(report) {
+      const data = await request('/reports', { method: 'POST', body: report });
+      return data.report;
+    },
+
+    async updateReport(id, changes) {
+      const data = await orNull(request(`/reports/${encodeURIComponent(id)}`, { method: 'PUT', body: changes }));
+      return data ? data.report : null;
+    },
+
+    async correctReport(id, changes, correction) {
+      const data = await orNull(request(`/reports/${encodeURIComponent(id)}/corrections`, {
+        method: 'POST',
+        body: { changes, correction }
+      }));
+      return data ? data.report : null;
+    },
+
+    async deleteReport(id) {
+      const data = await orNull(request(`/reports/${encodeURIComponent(id)}`, { method: 'DELETE' }));
+      return !!data;
+    },
+
+    /**
+     * Rate a section of a report against the prompt version that produced it
+     * @param {string} id - Report ID
+     * @param {{section: string, rating: number, comment: string}} feedback - section is interpretation, pearls or questions; rating 1-5
+     * @returns {Promise<Object>} - The recorded feedback
+     */
+    async submitFeedback(id, feedback) {
+      const data = await request(`/reports/${encodeURIComponent(id)}/feedback`, { method: 'POST', body: feedback });
+      return data.feedback;
+    },
+
+    async listPatients({ limit = 500 } = {}) {
+      const data = await request(`/patients${query({ limit })}`);
+      return data.patients;
+    },
+
+    async getPatient(id) {
+      const data = await orNull(request(`/patients/${encodeURIComponent(id)}`));
+      return data ? data.patient : null;
+    },
+
+    async createPatient(patient) {
+      const data = await request('/patients', { method: 'POST', body: patient });
+      return data.patient;
+    },
+
+    async updatePatient(id, changes) {
+      const data = await orNull(request(`/patients/${encodeURIComponent(id)}`, { method: 'PUT', body: changes }));
+      return data ? data.patient : null;
+    },
+
+    async deletePatient(id) {
+      const data = await orNull(request(`/patients/${encodeURIComponent(id)}`, { method: 'DELETE' }));
+      return !!data;
+    },
+
+    /**
+     * Upload a document and follow its analysis as the server streams it
+     * The server saves each report after every stage and finishes the analysis
+     * if the connection drops, so an interrupted stream still resolves with the
+     * reports created so far.
+     * @param {File|Blob} file - Image or PDF
+     * @param {Object} options
+     * @param {string} options.reportType - lab, imaging, note, ecg or auto
+     * @param {string} options.patientId - Patient to link the report to
+     * @param {Object} options.fields - Extra report fields (fileName, uploadMethod, processingOrder, sourceImageId)
+     * @param {Function} options.onEvent - ({ event, data }) for every server-sent event
+     * @param {AbortSignal} options.signal
+     * @returns {Promise<{reports: Array<Object>, errors: Array<Object>, interrupted: boolean}>}
+     */
+    async streamDocument(file, { reportType = 'auto', patientId = null, fields = {}, onEvent = () => {}, signal } = {}) {
+      const form = new FormData();
+      form.append('document', file, file.name || 'document');
+      form.append('reportType', reportType);
+      form.append('fields', JSON.stringify(fields));
+      if (patientId) form.append('patientId', patientId);
+
+      const response = await fetchImpl(`${baseUrl}/api/reports/stream`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` },
+        body: form,
+        signal
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new StorageRequestError(data.error || `Server returned ${response.status}`, response.status);
+      }
+
+      const reports = new Map();
+      const errors = [];
+      const handle = (message) => {
+        const id = message.data?.report?.id || message.data?.reportId;
+        if (id) reports.set(id, applyReportEvent(reports.get(id) || null, message));
+        if (message.event === 'error') errors.push(message.data);
+        onEvent(message);
+      };
+
+      const parser = createSseParser();
+      const decoder = new TextDecoder();
+      const reader = response.body.getReader();
+      let interrupted = false;
+
+      try {
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          parser.push(decoder.decode(value, { stream: true })).forEach(handle);
+        }
+        parser.flush().forEach(handle);
+      } catch (error) {
+        if (reports.size === 0) throw error;
+        interrupted = true;
+      }
+
+      return { reports: [...reports.values()].filter(Boolean), errors, interrupted };
+    }
+  };
+}
+
+export default createServerAdapter;
@@ -1,20 +1,24 @@
+import fs from 'fs';
 import Database from 'better-sqlite3';
-import path from 'path';
+import { resolveDatabasePath } from './migrations/index.js';
+import { assertSchemaCurrent } from './migrator.js';
 
 let db = null;
 let knowledgeDb = null;
+// undefined until first use; null when audit.db is missing or unusable
+let auditDb;
 
 /**
  * Get the main application database instance
  * @returns {Database} - SQLite database instance
+ * @throws {SchemaOutOfDateError} - If medward.db has pending migrations
  */
 export function getDatabase() {
   if (db) return db;
 
-  const dbPath = process.env.DATABASE_PATH || path.join(process.cwd(), 'data', 'medward.db');
-  db = new Database(dbPath);
-  db.pragma('journal_mode = WAL');
-  db.pragma('foreign_keys = ON');
+  const instance = openMigratedDatabase('main');
+  instance.pragma('foreign_keys = ON');
+  db = instance;
 
   return db;
 }
@@ -22,17 +26,60 @@ export function getDatabase() {
 /**
  * Get the knowledge base database instance
  * @returns {Database} - SQLite database instance
+ * @throws {SchemaOutOfDateError} - If knowledge.db has pending migrations
  */
 export function getKnowledgeDatabase() {
   if (knowledgeDb) return knowledgeDb;
 
-  const dbPath = process.env.KNOWLEDGE_DB_PATH || path.join(process.cwd(), 'data', 'knowledge.db');
-  knowledgeDb = new Database(dbPath);
-  knowledgeDb.pragma('journal_mode = WAL');
+  knowledgeDb = openMigratedDatabase('knowledge');
 
   return knowledgeDb;
 }
 
+/**
+ * Get the audit database instance (audit log, AI usage ledger, prompt experiments)
+ * audit.db is optional: if it doesn't exist or can't be opened this warns once
+ * and returns null, and callers carry on without recording.
+ * @returns {Database|null} - SQLite database instance, or null without audit.db
+ */
+export function getAuditDatabase() {
+  if (auditDb !== undefined) return auditDb;
+  auditDb = null;
+
+  const file = resolveDatabasePath('audit');
+  if (!fs.existsSync(file)) {
+    console.warn(`[Database] ${file} not found (npm run db:migrate); audit logging, AI usage and prompt experiments are off`);
+    return auditDb;
+  }
+
+  try {
+    auditDb = openMigratedDatabase('audit');
+  } catch (error) {
+    console.error('[Database] Could not open the audit database; audit logging, AI usage and prompt experiments are off:', error.message);
+  }
+
+  return auditDb;
+}
+
+/**
+ * Open a managed database and refuse to use it if its schema is behind
+ * @param {string} dbName - Database name (main, knowledge, audit)
+ * @returns {Database} - SQLite database instance
+ */
+export function openMigratedDatabase(dbName) {
+  const instance = new Database(resolveDatabasePath(dbName));
+
+  try {
+    assertSchemaCurrent(instance, dbName);
+  } catch (error) {
+    instance.close();
+    throw error;
+  }
+
+  instance.pragma('journal_mode = WAL');
+  return instance;
+}
+
 /**
  * Close all database connections
  */
@@ -45,6 +92,10 @@ export function closeDatabases() {
     knowledgeDb.close();
     knowledgeDb = null;
   }
+  if (auditDb) {
+    auditDb.close();
+  }
+  auditDb = undefined;
 }
 
 /**
@@ -196,8 +247,8 @@ export const ReportDB = {
     const stmt = db.prepare(`
       INSERT INTO reports (id, user_id, patient_id, report_type, extracted_text, ocr_confidence,
                           structured_data, interpretation, clinical_pearls, potential_questions,
-                          presentation, sources, google_drive_file_id)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                          presentation, sources, google_drive_file_id, metadata, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
     return stmt.run(
       report.id,
@@ -212,7 +263,9 @@ export const ReportDB = {
       JSON.stringify(report.potentialQuestions || {}),
       JSON.stringify(report.presentation || {}),
       JSON.stringify(report.sources || {}),
-      report.googleDriveFileId || null
+      report.googleDriveFileId || null,
+      JSON.stringify(report.metadata || {}),
+      report.createdAt || new Date().toISOString()
     );
   },
 
@@ -220,15 +273,7 @@ export const ReportDB = {
     const db = getDatabase();
     const stmt = db.prepare('SELECT * FROM reports WHERE id = ?');
     const report = stmt.get(id);
-    if (report) {
-      report.structuredData = JSON.parse(report.structured_data || '{}');
-      report.interpretation = JSON.parse(report.interpretation || '{}');
-      report.clinicalPearls = JSON.parse(report.clinical_pearls || '{}');
-      report.potentialQuestions = JSON.parse(report.potential_questions || '{}');
-      report.presentation = JSON.parse(report.presentation || '{}');
-      report.sources = JSON.parse(report.sources || '{}');
-    }
-    return report;
+    return report ? parseReportRow(report) : report;
   },
 
   findByPatientId(patientId, limit = 50) {
@@ -239,11 +284,7 @@ export const ReportDB = {
       ORDER BY created_at DESC
       LIMIT ?
     `);
-    return stmt.all(patientId, limit).map(report => ({
-      ...report,
-      structuredData: JSON.parse(report.structured_data || '{}'),
-      interpretation: JSON.parse(report.interpretation || '{}')
-    }));
+    return stmt.all(patientId, limit).map(parseReportRow);
   },
 
   findByUserId(userId, limit = 50, offset = 0) {
@@ -254,10 +295,46 @@ export const ReportDB = {
       ORDER BY created_at DESC
       LIMIT ? OFFSET ?
     `);
-    return stmt.all(userId, limit, offset);
+    return stmt.all(userId, limit, offset).map(parseReportRow);
+  },
+
+  update(reportId, updates) {
+    const db = getDatabase();
+    const fields = ['updated_at = ?'];
+    const values = [new Date().toISOString()];
+
+    for (const [key, value] of Object.entries(updates)) {
+      fields.push(`${key} = ?`);
+      values.push(value !== null && typeof value === 'object' ? JSON.stringify(value) : value);
+    }
+
+    const stmt = db.prepare(`UPDATE reports SET ${fields.join(', ')} WHERE id = ?`);
+    return stmt.run(...values, reportId);
+  },
+
+  delete(reportId) {
+    const db = getDatabase();
+    const stmt = db.prepare('DELETE FROM reports WHERE id = ?');
+    return stmt.run(reportId);
   }
 };
 
+/**
+ * Parse the JSON columns of a reports row, keeping the raw snake_case columns
+ */
+function parseReportRow(report) {
+  return {
+    ...report,
+    structuredData: JSON.parse(report.structured_data || '{}'),
+    interpretation: JSON.parse(report.interpretation || '{}'),
+    clinicalPearls: JSON.parse(report.clinical_pearls || '{}'),
+    potentialQuestions: JSON.parse(report.potential_questions || '{}'),
+    presentation: JSON.parse(report.presentation || '{}'),
+    sources: JSON.parse(report.sources || '{}'),
+    metadata: JSON.parse(report.metadata || '{}')
+  };
+}
+
 /**
  * Session database operations
  */
@@ -0,0 +1,41 @@
+/**
+ * Migration 002 - AI usage ledger
+ * One row per completion, embedding or knowledge base hit, with tokens,
+ * latency and computed cost (see lib/ai/usage-ledger.js).
+ */
+
+export const version = 2;
+export const name = 'ai_usage';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS ai_usage (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      timestamp TEXT NOT NULL,
+      day TEXT NOT NULL,
+      user_id TEXT,
+      report_id TEXT,
+      task TEXT NOT NULL,
+      provider TEXT,
+      model TEXT,
+      prompt_tokens INTEGER DEFAULT 0,
+      completion_tokens INTEGER DEFAULT 0,
+      latency_ms INTEGER,
+      cache_hit BOOLEAN DEFAULT 0,
+      downgraded BOOLEAN DEFAULT 0,
+      cost REAL DEFAULT 0,
+      success BOOLEAN DEFAULT 1,
+      error_message TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_ai_usage_user_day ON ai_usage(user_id, day);
+    CREATE INDEX IF NOT EXISTS idx_ai_usage_day ON ai_usage(day);
+    CREATE INDEX IF NOT EXISTS idx_ai_usage_report ON ai_usage(report_id);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS ai_usage;
+  `);
+}
@@ -0,0 +1,47 @@
+/**
+ * Migration 003 - Prompt experiments
+ * A/B experiments between two versions of a prompt template, and clinician
+ * ratings of report sections with the prompt version that produced them
+ * (see lib/ai/prompts/experiments.js).
+ */
+
+export const version = 3;
+export const name = 'prompt_experiments';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS prompt_experiments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      prompt_name TEXT NOT NULL,
+      version_a INTEGER NOT NULL,
+      version_b INTEGER NOT NULL,
+      split REAL NOT NULL DEFAULT 0.5,
+      started_by TEXT,
+      started_at TEXT NOT NULL,
+      ended_at TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS prompt_feedback (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      timestamp TEXT NOT NULL,
+      report_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      section TEXT NOT NULL,
+      prompt_name TEXT NOT NULL,
+      prompt_version INTEGER NOT NULL,
+      rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+      comment TEXT,
+      UNIQUE (report_id, user_id, section)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_prompt_experiments_active ON prompt_experiments(prompt_name, ended_at);
+    CREATE INDEX IF NOT EXISTS idx_prompt_feedback_prompt ON prompt_feedback(prompt_name, prompt_version);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS prompt_feedback;
+    DROP TABLE IF EXISTS prompt_experiments;
+  `);
+}
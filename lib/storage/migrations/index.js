@@ -0,0 +1,66 @@
+/**
+ * Migration registry
+ * Every migration must be listed here - the runner never scans the filesystem,
+ * so bundled server builds see exactly the same list as the CLI.
+ */
+
+import path from 'path';
+
+import * as main001 from './main/001_initial_schema.js';
+import * as main002 from './main/002_report_metadata.js';
+
+import * as knowledge001 from './knowledge/001_initial_schema.js';
+import * as knowledge002 from './knowledge/002_binary_embeddings.js';
+
+import * as audit001 from './audit/001_initial_schema.js';
+import * as audit002 from './audit/002_ai_usage.js';
+import * as audit003 from './audit/003_prompt_experiments.js';
+
+/**
+ * Databases managed by the migration runner
+ * Keyed by the name used on the command line (--db main|knowledge|audit)
+ */
+export const DATABASES = {
+  main: {
+    file: 'medward.db',
+    envVar: 'DATABASE_PATH',
+    migrations: [main001, main002]
+  },
+  knowledge: {
+    file: 'knowledge.db',
+    envVar: 'KNOWLEDGE_DB_PATH',
+    migrations: [knowledge001, knowledge002]
+  },
+  audit: {
+    file: 'audit.db',
+    envVar: 'AUDIT_DB_PATH',
+    migrations: [audit001, audit002, audit003]
+  }
+};
+
+/**
+ * Resolve the on-disk path of a managed database
+ * @param {string} dbName - Database name (main, knowledge, audit)
+ * @returns {string} - Absolute or env-provided path
+ */
+export function resolveDatabasePath(dbName) {
+  const config = getDatabaseConfig(dbName);
+  return process.env[config.envVar] || path.join(process.cwd(), 'data', config.file);
+}
+
+/**
+ * Get the migration list for a database, sorted by version
+ * @param {string} dbName - Database name
+ * @returns {Array<Object>} - Migration modules
+ */
+export function getMigrations(dbName) {
+  return [...getDatabaseConfig(dbName).migrations].sort((a, b) => a.version - b.version);
+}
+
+function getDatabaseConfig(dbName) {
+  const config = DATABASES[dbName];
+  if (!config) {
+    throw new Error(`Unknown database "${dbName}". Expected one of: ${Object.keys(DATABASES).join(', ')}`);
+  }
+  return config;
+}
@@ -0,0 +1,59 @@
+/**
+ * Migration 001 - Initial schema for knowledge.db
+ * Knowledge entries plus the FTS5 index and its sync triggers.
+ */
+
+export const version = 1;
+export const name = 'initial_schema';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS knowledge (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      category TEXT NOT NULL,
+      topic TEXT NOT NULL,
+      query TEXT NOT NULL,
+      response TEXT NOT NULL,
+      embedding TEXT,
+      confidence REAL DEFAULT 0.0,
+      usage_count INTEGER DEFAULT 0,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      last_used TEXT,
+      metadata TEXT DEFAULT '{}'
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_knowledge_category ON knowledge(category);
+    CREATE INDEX IF NOT EXISTS idx_knowledge_topic ON knowledge(topic);
+    CREATE INDEX IF NOT EXISTS idx_knowledge_usage ON knowledge(usage_count);
+    CREATE INDEX IF NOT EXISTS idx_knowledge_confidence ON knowledge(confidence);
+
+    CREATE VIRTUAL TABLE IF NOT EXISTS knowledge_fts USING fts5(
+      query,
+      topic,
+      content='knowledge',
+      content_rowid='id'
+    );
+
+    CREATE TRIGGER IF NOT EXISTS knowledge_ai AFTER INSERT ON knowledge BEGIN
+      INSERT INTO knowledge_fts(rowid, query, topic) VALUES (new.id, new.query, new.topic);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS knowledge_ad AFTER DELETE ON knowledge BEGIN
+      DELETE FROM knowledge_fts WHERE rowid = old.id;
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS knowledge_au AFTER UPDATE ON knowledge BEGIN
+      UPDATE knowledge_fts SET query = new.query, topic = new.topic WHERE rowid = new.id;
+    END;
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TRIGGER IF EXISTS knowledge_au;
+    DROP TRIGGER IF EXISTS knowledge_ad;
+    DROP TRIGGER IF EXISTS knowledge_ai;
+    DROP TABLE IF EXISTS knowledge_fts;
+    DROP TABLE IF EXISTS knowledge;
+  `);
+}
@@ -0,0 +1,46 @@
+/**
+ * Migration 002 - Binary embeddings
+ * Embeddings move from JSON text to float32 blobs (4 bytes per dimension),
+ * the format the knowledge vector indexes read. Rows are converted in pages
+ * so a large knowledge base is never held in memory at once.
+ */
+
+export const version = 2;
+export const name = 'binary_embeddings';
+
+const PAGE_SIZE = 500;
+
+export function up(db) {
+  convertEmbeddings(db, 'BLOB', (json) => {
+    const vector = Float32Array.from(JSON.parse(json));
+    return Buffer.from(vector.buffer);
+  });
+}
+
+export function down(db) {
+  convertEmbeddings(db, 'TEXT', (blob) => {
+    const vector = new Float32Array(Uint8Array.from(blob).buffer);
+    return JSON.stringify(Array.from(vector));
+  });
+}
+
+// Rewrite the embedding column as the given type, converting each value
+function convertEmbeddings(db, type, convert) {
+  db.exec(`ALTER TABLE knowledge ADD COLUMN embedding_converted ${type}`);
+
+  const page = db.prepare('SELECT id, embedding FROM knowledge WHERE id > ? AND embedding IS NOT NULL ORDER BY id LIMIT ?');
+  const update = db.prepare('UPDATE knowledge SET embedding_converted = ? WHERE id = ?');
+
+  let lastId = 0;
+  for (let rows = page.all(lastId, PAGE_SIZE); rows.length; rows = page.all(lastId, PAGE_SIZE)) {
+    for (const row of rows) {
+      update.run(convert(row.embedding), row.id);
+    }
+    lastId = rows[rows.length - 1].id;
+  }
+
+  db.exec(`
+    ALTER TABLE knowledge DROP COLUMN embedding;
+    ALTER TABLE knowledge RENAME COLUMN embedding_converted TO embedding;
+  `);
+}
@@ -0,0 +1,97 @@
+/**
+ * Migration 001 - Initial schema for medward.db
+ * Baseline users, patients, reports and sessions tables.
+ * Uses IF NOT EXISTS so installs created by the old init script adopt it cleanly.
+ */
+
+export const version = 1;
+export const name = 'initial_schema';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id TEXT PRIMARY KEY,
+      username TEXT UNIQUE,
+      device_fingerprint TEXT UNIQUE,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      last_access TEXT,
+      google_drive_folder_id TEXT,
+      google_refresh_token TEXT,
+      settings TEXT DEFAULT '{}',
+      role TEXT DEFAULT 'user'
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
+    CREATE INDEX IF NOT EXISTS idx_users_fingerprint ON users(device_fingerprint);
+
+    CREATE TABLE IF NOT EXISTS patients (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      mrn TEXT NOT NULL,
+      name TEXT,
+      age INTEGER,
+      gender TEXT CHECK(gender IN ('male', 'female', 'other')),
+      admission_date TEXT,
+      chief_complaint TEXT,
+      status TEXT DEFAULT 'stable' CHECK(status IN ('stable', 'monitoring', 'critical')),
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      google_drive_file_id TEXT,
+      metadata TEXT DEFAULT '{}',
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_patients_user ON patients(user_id);
+    CREATE INDEX IF NOT EXISTS idx_patients_mrn ON patients(mrn);
+    CREATE INDEX IF NOT EXISTS idx_patients_status ON patients(status);
+
+    CREATE TABLE IF NOT EXISTS reports (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      patient_id TEXT,
+      report_type TEXT NOT NULL CHECK(report_type IN ('lab', 'imaging', 'note', 'ecg', 'general')),
+      extracted_text TEXT,
+      ocr_confidence REAL,
+      structured_data TEXT,
+      interpretation TEXT,
+      clinical_pearls TEXT,
+      potential_questions TEXT,
+      presentation TEXT,
+      sources TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      google_drive_file_id TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE SET NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_reports_user ON reports(user_id);
+    CREATE INDEX IF NOT EXISTS idx_reports_patient ON reports(patient_id);
+    CREATE INDEX IF NOT EXISTS idx_reports_type ON reports(report_type);
+    CREATE INDEX IF NOT EXISTS idx_reports_created ON reports(created_at);
+
+    CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      token TEXT NOT NULL UNIQUE,
+      device_info TEXT,
+      ip_address TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      expires_at TEXT NOT NULL,
+      last_used TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+    CREATE INDEX IF NOT EXISTS idx_sessions_token ON sessions(token);
+    CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expires_at);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS sessions;
+    DROP TABLE IF EXISTS reports;
+    DROP TABLE IF EXISTS patients;
+    DROP TABLE IF EXISTS users;
+  `);
+}
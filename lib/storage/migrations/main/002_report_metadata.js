@@ -0,0 +1,22 @@
+/**
+ * Migration 002 - Report metadata
+ * Client-side report fields (file name, classification, pages, upload method)
+ * have no dedicated column; they round-trip through a JSON metadata column.
+ */
+
+export const version = 2;
+export const name = 'report_metadata';
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE reports ADD COLUMN metadata TEXT DEFAULT '{}';
+    ALTER TABLE reports ADD COLUMN updated_at TEXT;
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    ALTER TABLE reports DROP COLUMN updated_at;
+    ALTER TABLE reports DROP COLUMN metadata;
+  `);
+}
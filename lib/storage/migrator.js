@@ -0,0 +1,199 @@
+/**
+ * Schema migration runner
+ * Applies numbered up/down migrations and tracks them in a schema_migrations table
+ * inside each SQLite file (medward.db, knowledge.db, audit.db).
+ */
+
+import { getMigrations } from './migrations/index.js';
+
+const DRY_RUN_ROLLBACK = Symbol('dry-run-rollback');
+
+/**
+ * Thrown when a database is opened against a schema older than the code expects
+ */
+export class SchemaOutOfDateError extends Error {
+  constructor(dbName, currentVersion, latestVersion) {
+    super(
+      `Database "${dbName}" is at schema version ${currentVersion} but version ${latestVersion} is required. ` +
+      'Run `npm run db:migrate` before starting the server.'
+    );
+    this.name = 'SchemaOutOfDateError';
+    this.dbName = dbName;
+    this.currentVersion = currentVersion;
+    this.latestVersion = latestVersion;
+  }
+}
+
+/**
+ * Create the schema_migrations tracking table if needed
+ * @param {Database} db - SQLite database instance
+ */
+export function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+/**
+ * Get applied migration rows, oldest first
+ * Does not create the tracking table, so it is safe on a read-only check.
+ * @param {Database} db - SQLite database instance
+ * @returns {Array<{version: number, name: string, applied_at: string}>}
+ */
+export function getAppliedMigrations(db) {
+  const table = db.prepare(`
+    SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'
+  `).get();
+
+  if (!table) return [];
+
+  return db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC').all();
+}
+
+/**
+ * Get the current schema version (0 when nothing is applied)
+ * @param {Database} db - SQLite database instance
+ * @returns {number}
+ */
+export function getCurrentVersion(db) {
+  const applied = getAppliedMigrations(db);
+  return applied.length > 0 ? applied[applied.length - 1].version : 0;
+}
+
+/**
+ * Describe applied and pending migrations for a database
+ * @param {Database} db - SQLite database instance
+ * @param {string} dbName - Database name (main, knowledge, audit)
+ * @returns {Object} - Status with currentVersion, latestVersion and per-migration state
+ */
+export function getMigrationStatus(db, dbName) {
+  const migrations = getMigrations(dbName);
+  const applied = new Map(getAppliedMigrations(db).map(row => [row.version, row]));
+
+  return {
+    database: dbName,
+    currentVersion: getCurrentVersion(db),
+    latestVersion: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+    migrations: migrations.map(m => ({
+      version: m.version,
+      name: m.name,
+      applied: applied.has(m.version),
+      appliedAt: applied.get(m.version)?.applied_at || null
+    })),
+    pending: migrations.filter(m => !applied.has(m.version)).map(m => m.version)
+  };
+}
+
+/**
+ * Apply pending migrations
+ * @param {Database} db - SQLite database instance
+ * @param {string} dbName - Database name
+ * @param {Object} options - Options
+ * @param {number} options.to - Stop after this version (default: latest)
+ * @param {boolean} options.dryRun - Run each migration inside a transaction and roll it back
+ * @returns {Array<{version: number, name: string}>} - Migrations applied (or that would be)
+ */
+export function migrateUp(db, dbName, options = {}) {
+  const { to = Infinity, dryRun = false } = options;
+
+  const applied = new Set(getAppliedMigrations(db).map(row => row.version));
+  const pending = getMigrations(dbName).filter(m => !applied.has(m.version) && m.version <= to);
+
+  return runInTransaction(db, dryRun, () => {
+    ensureMigrationsTable(db);
+    const record = db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+
+    for (const migration of pending) {
+      console.log(`[Migrate] ${dbName}: ${dryRun ? 'would apply' : 'applying'} ${formatMigration(migration)}`);
+      migration.up(db);
+      record.run(migration.version, migration.name);
+    }
+    return pending.map(({ version, name }) => ({ version, name }));
+  });
+}
+
+/**
+ * Roll back applied migrations, newest first
+ * @param {Database} db - SQLite database instance
+ * @param {string} dbName - Database name
+ * @param {Object} options - Options
+ * @param {number} options.steps - Number of migrations to roll back (default 1)
+ * @param {number} options.to - Roll back until this version is the current one (overrides steps)
+ * @param {boolean} options.dryRun - Run inside a transaction and roll it back
+ * @returns {Array<{version: number, name: string}>} - Migrations rolled back (or that would be)
+ */
+export function migrateDown(db, dbName, options = {}) {
+  const { steps = 1, to = null, dryRun = false } = options;
+
+  const byVersion = new Map(getMigrations(dbName).map(m => [m.version, m]));
+  const applied = getAppliedMigrations(db).reverse();
+  const targets = to !== null
+    ? applied.filter(row => row.version > to)
+    : applied.slice(0, steps);
+
+  const unknown = targets.find(row => !byVersion.has(row.version));
+  if (unknown) {
+    throw new Error(`Cannot roll back ${dbName} migration ${unknown.version} (${unknown.name}): no matching migration file`);
+  }
+
+  return runInTransaction(db, dryRun, () => {
+    if (targets.length === 0) return [];
+    const remove = db.prepare('DELETE FROM schema_migrations WHERE version = ?');
+
+    for (const row of targets) {
+      const migration = byVersion.get(row.version);
+      console.log(`[Migrate] ${dbName}: ${dryRun ? 'would roll back' : 'rolling back'} ${formatMigration(migration)}`);
+      migration.down(db);
+      remove.run(migration.version);
+    }
+    return targets.map(({ version, name }) => ({ version, name }));
+  });
+}
+
+/**
+ * Throw if a database has pending migrations
+ * Called when the application opens a connection so it never runs on an old schema.
+ * @param {Database} db - SQLite database instance
+ * @param {string} dbName - Database name
+ * @throws {SchemaOutOfDateError}
+ */
+export function assertSchemaCurrent(db, dbName) {
+  const status = getMigrationStatus(db, dbName);
+  if (status.pending.length > 0) {
+    throw new SchemaOutOfDateError(dbName, status.currentVersion, status.latestVersion);
+  }
+}
+
+function runInTransaction(db, dryRun, fn) {
+  let result;
+  const transaction = db.transaction(() => {
+    result = fn();
+    if (dryRun) {
+      // Throwing is the only way to make better-sqlite3 roll back a transaction function
+      throw DRY_RUN_ROLLBACK;
+    }
+  });
+
+  try {
+    transaction();
+  } catch (error) {
+    if (error !== DRY_RUN_ROLLBACK) throw error;
+  }
+
+  return result;
+}
+
+function formatMigration(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+export default {
+  migrateUp,
+  migrateDown,
+  getMigrationStatus,
+  assertSchemaCurrent
+};
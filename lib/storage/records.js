@@ -0,0 +1,146 @@
+/**
+ * Record mapping between the client report/patient shape and SQLite rows
+ * Fields without a dedicated column round-trip through the JSON metadata column,
+ * so a report read back from the server matches what the browser saved.
+ */
+
+const REPORT_FIELDS = [
+  'id', 'userId', 'user_id', 'patientId', 'patient_id', 'type', 'extractedText', 'ocrConfidence',
+  'structuredData', 'interpretation', 'clinicalPearls', 'potentialQuestions', 'presentation',
+  'sources', 'googleDriveFileId', 'createdAt', 'updatedAt', 'metadata'
+];
+
+const PATIENT_FIELDS = [
+  'id', 'userId', 'user_id', 'mrn', 'name', 'age', 'gender', 'admissionDate', 'chiefComplaint',
+  'status', 'createdAt', 'updatedAt', 'metadata', 'reportCount'
+];
+
+const REPORT_TYPES = ['lab', 'imaging', 'note', 'ecg', 'general'];
+const PATIENT_STATUSES = ['stable', 'monitoring', 'critical'];
+
+function pickExtra(record, known) {
+  return Object.fromEntries(
+    Object.entries(record || {}).filter(([key, value]) => !known.includes(key) && value !== undefined)
+  );
+}
+
+function parseJson(value, fallback) {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Normalize a gender value to the patients.gender column domain
+ * @param {string} gender - M/F/male/female/other (any case)
+ * @returns {string|null} - male, female, other or null
+ */
+export function normalizeGender(gender) {
+  if (!gender) return null;
+  const value = String(gender).trim().toLowerCase();
+  if (value === 'm' || value === 'male') return 'male';
+  if (value === 'f' || value === 'female') return 'female';
+  return 'other';
+}
+
+/**
+ * Convert a client report into ReportDB.create/update fields
+ * @param {Object} report - Client report
+ * @returns {Object} - Column fields plus metadata for everything else
+ */
+export function toReportFields(report) {
+  return {
+    id: report.id,
+    patientId: report.patientId ?? null,
+    type: REPORT_TYPES.includes(report.type) ? report.type : 'general',
+    extractedText: report.extractedText ?? null,
+    ocrConfidence: report.ocrConfidence ?? null,
+    structuredData: report.structuredData ?? {},
+    interpretation: report.interpretation ?? {},
+    clinicalPearls: report.clinicalPearls ?? {},
+    potentialQuestions: report.potentialQuestions ?? {},
+    presentation: report.presentation ?? {},
+    sources: report.sources ?? {},
+    createdAt: report.createdAt,
+    metadata: { ...parseJson(report.metadata, {}), ...pickExtra(report, REPORT_FIELDS) }
+  };
+}
+
+/**
+ * Convert a reports row into the client report shape
+ * @param {Object} row - Row from ReportDB
+ * @returns {Object|null} - Client report
+ */
+export function fromReportRow(row) {
+  if (!row) return null;
+  return {
+    ...parseJson(row.metadata, {}),
+    id: row.id,
+    patientId: row.patient_id ?? null,
+    type: row.report_type,
+    extractedText: row.extracted_text,
+    ocrConfidence: row.ocr_confidence,
+    structuredData: parseJson(row.structured_data, {}),
+    interpretation: parseJson(row.interpretation, {}),
+    clinicalPearls: parseJson(row.clinical_pearls, {}),
+    potentialQuestions: parseJson(row.potential_questions, {}),
+    presentation: parseJson(row.presentation, {}),
+    sources: parseJson(row.sources, {}),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at || row.created_at
+  };
+}
+
+/**
+ * Convert a client patient into PatientDB.create fields
+ * @param {Object} patient - Client patient
+ * @returns {Object} - Column fields plus metadata for everything else
+ */
+export function toPatientFields(patient) {
+  const age = parseInt(patient.age, 10);
+  return {
+    id: patient.id,
+    mrn: patient.mrn,
+    name: patient.name ?? null,
+    age: Number.isNaN(age) ? null : age,
+    gender: normalizeGender(patient.gender),
+    admissionDate: patient.admissionDate ?? null,
+    chiefComplaint: patient.chiefComplaint ?? null,
+    status: PATIENT_STATUSES.includes(patient.status) ? patient.status : 'stable',
+    metadata: { ...parseJson(patient.metadata, {}), ...pickExtra(patient, PATIENT_FIELDS) }
+  };
+}
+
+/**
+ * Convert a patients row into the client patient shape
+ * @param {Object} row - Row from PatientDB
+ * @returns {Object|null} - Client patient
+ */
+export function fromPatientRow(row) {
+  if (!row) return null;
+  return {
+    ...parseJson(row.metadata, {}),
+    id: row.id,
+    mrn: row.mrn,
+    name: row.name,
+    age: row.age,
+    gender: row.gender,
+    admissionDate: row.admission_date,
+    chiefComplaint: row.chief_complaint,
+    status: row.status,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+export default {
+  toReportFields,
+  fromReportRow,
+  toPatientFields,
+  fromPatientRow,
+  normalizeGender
+};
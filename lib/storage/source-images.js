@@ -0,0 +1,81 @@
+/**
+ * Source image store
+ * Keeps the scanned image a report was read from in IndexedDB so the OCR
+ * review screen can show it next to the extracted text. Images stay on the
+ * device that scanned them; reports only carry the sourceImageId key.
+ */
+
+const DB_NAME = 'medward-source-images';
+const DB_VERSION = 1;
+const STORE_NAME = 'images';
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Create an IndexedDB-backed image store
+ * @param {IDBFactory} idb - IndexedDB factory
+ * @returns {{save: Function, get: Function, remove: Function}}
+ */
+export function createSourceImageStore(idb = globalThis.indexedDB) {
+  let dbPromise = null;
+
+  const open = () => {
+    if (!dbPromise) {
+      const request = idb.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        }
+      };
+      dbPromise = promisify(request);
+    }
+    return dbPromise;
+  };
+
+  const withStore = async (mode, fn) => {
+    const db = await open();
+    return promisify(fn(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)));
+  };
+
+  return {
+    /**
+     * Store an image and return its key
+     * @param {Blob} blob - Image as sent to OCR
+     * @returns {Promise<string>} - sourceImageId for the report
+     */
+    async save(blob) {
+      const id = `img_${Date.now()}${Math.random().toString(36).slice(2, 6)}`;
+      await withStore('readwrite', store => store.put({ id, blob, savedAt: new Date().toISOString() }));
+      return id;
+    },
+
+    /** @returns {Promise<Blob|null>} */
+    async get(id) {
+      if (!id) return null;
+      const record = await withStore('readonly', store => store.get(id));
+      return record?.blob || null;
+    },
+
+    remove: (id) => withStore('readwrite', store => store.delete(id))
+  };
+}
+
+let defaultStore = null;
+
+/**
+ * The browser's source image store
+ */
+export function getSourceImageStore() {
+  if (!defaultStore) {
+    defaultStore = createSourceImageStore();
+  }
+  return defaultStore;
+}
+
+export default getSourceImageStore;
@@ -4,10 +4,19 @@ const withPWA = require('next-pwa')({
   disable: process.env.NODE_ENV === 'development',
   register: true,
   skipWaiting: true,
-  // Ensure the PWA works with your GitHub Pages subpath
-  sw: '/Ward-rounds/sw.js', 
-  publicExcludes: ['!nprogress/nprogress.css'],
+  // Relative to dest; next-pwa prefixes the basePath, so the worker is served
+  // from /Ward-rounds/sw.js and can control the /Ward-rounds/ scope.
+  // Custom worker code (offline scan queue background sync) lives in worker/.
+  sw: 'sw.js',
+  // The OCR engine and language data (~11 MB) are too large to precache
+  publicExcludes: ['!nprogress/nprogress.css', '!tesseract/**/*'],
   runtimeCaching: [
+    {
+      // Self-hosted Tesseract assets: cached on first use so offline scans can still be read
+      urlPattern: /\/tesseract\/.*\.(?:js|gz)$/i,
+      handler: 'CacheFirst',
+      options: { cacheName: 'tesseract-assets', expiration: { maxEntries: 8 } }
+    },
     {
       urlPattern: /^https:\/\/fonts\.(?:gstatic|googleapis)\.com\/.*/i,
       handler: 'CacheFirst',
@@ -69,6 +78,13 @@ const nextConfig = {
       config.externals.push({
         'better-sqlite3': 'commonjs better-sqlite3'
       });
+    } else {
+      // Server-only PDF pipeline (lib/ocr/pdfExtractor.js) must not reach the browser bundle
+      config.resolve.alias = {
+        ...config.resolve.alias,
+        'pdf-parse': false,
+        sharp: false
+      };
     }
     return config;
   }
@@ -1 +0,0 @@
-if(!self.define){let s,e={};const r=(r,a)=>(r=new URL(r+".js",a).href,e[r]||new Promise(e=>{if("document"in self){const s=document.createElement("script");s.src=r,s.onload=e,document.head.appendChild(s)}else s=r,importScripts(r),e()}).then(()=>{let s=e[r];if(!s)throw new Error(`Module ${r} didn’t register its module`);return s}));self.define=(a,n)=>{const t=s||("document"in self?document.currentScript.src:"")||location.href;if(e[t])return;let i={};const o=s=>r(s,t),d={module:{uri:t},exports:i,require:o};e[t]=Promise.all(a.map(s=>d[s]||o(s))).then(s=>(n(...s),i))}}define(["./workbox-00a24876"],function(s){"use strict";importScripts(),self.skipWaiting(),s.clientsClaim(),s.precacheAndRoute([{url:"/Ward-rounds/Ward-rounds/workbox-00a24876.js",revision:"2f569fb030b2a09996588b309a8d636e"},{url:"/Ward-rounds/_next/app-build-manifest.json",revision:"f0e1c4f7c5f18c38af011d456a8aa46b"},{url:"/Ward-rounds/_next/static/_2-o8k-O6vfEQv1fwDrFE/_buildManifest.js",revision:"c155cce658e53418dec34664328b51ac"},{url:"/Ward-rounds/_next/static/_2-o8k-O6vfEQv1fwDrFE/_ssgManifest.js",revision:"b6652df95db52feb4daf4eca35380933"},{url:"/Ward-rounds/_next/static/chunks/117-eed82210b5b01a33.js",revision:"_2-o8k-O6vfEQv1fwDrFE"},{url:"/Ward-rounds/_next/static/chunks/199.e25eaf89112adc79.js",revision:"e25eaf89112adc79"},{url:"/Ward-rounds/_next/static/chunks/205.34b7ff4cd89297b2.js",revision:"34b7ff4cd89297b2"},{url:"/Ward-rounds/_next/static/chunks/46-2babd3c5280862ab.js",revision:"_2-o8k-O6vfEQv1fwDrFE"},{url:"/Ward-rounds/_next/static/chunks/483-6845e2005a44892d.js",revision:"_2-o8k-O6vfEQv1fwDrFE"},{url:"/Ward-rounds/_next/static/chunks/775.94646d46f5ac03f7.js",revision:"94646d46f5ac03f7"},{url:"/Ward-rounds/_next/static/chunks/785.f5de1957b46a451e.js",revision:"f5de1957b46a451e"},{url:"/Ward-rounds/_next/static/chunks/859.a0d5c897b56b2eb8.js",revision:"a0d5c897b56b2eb8"},{url:"/Ward-rounds/_next/static/chunks/960.bc237efea15d83bb.js",revision:"bc237efea15d83bb"},{url:"/Ward-rounds/_next/static/chunks/972-1bce70bde8d674e6.js",revision:"_2-o8k-O6vfEQv1fwDrFE"},{url:"/Ward-rounds/_next/static/chunks/app/(auth)/login/page-a5b0f6abac22285a.js",revision:"_2-o8k-O6vfEQv1fwDrFE"},{url:"/Ward-rounds/_next/static/chunks/app/_not-found/page-c1bbe1b4bc8170a6.js",revision:"_2-o8k-O6vfEQv1fwDrFE"},{url:"/Ward-rounds/_next/static/chunks/app/admin/login-failures/page-d7e49a1174220281.js",revision:"_2-o8k-O6vfEQv1fwDrFE"},{url:"/Ward-rounds/_next/static/chunks/app/dashboard/page-0fca6ab1924ba392.js",revision:"_2-o8k-O6vfEQv1fwDrFE"},{url:"/Ward-rounds/_next/static/chunks/app/debug-upload/page-601d1cd9b841b15e.js",revision:"_2-o8k-O6vfEQv1fwDrFE"},{url:"/Ward-rounds/_next/static/chunks/app/debug/page-726c669a0da57223.js",revision:"_2-o8k-O6vfEQv1fwDrFE"},{url:"/Ward-rounds/_next/static/chunks/app/layout-4d08039b05cd196a.js",revision:"_2-o8k-O6vfEQv1fwDrFE"},{url:"/Ward-rounds/_next/static/chunks/app/not-found-034ff0418431a780.js",revision:"_2-o8k-O6vfEQv1fwDrFE"},{url:"/Ward-rounds/_next/static/chunks/app/page-f5e7a297472e2fa2.js",revision:"_2-o8k-O6vfEQv1fwDrFE"},{url:"/Ward-rounds/_next/static/chunks/app/patients/page-d9a2df021d406925.js",revision:"_2-o8k-O6vfEQv1fwDrFE"},{url:"/Ward-rounds/_next/static/chunks/app/reports/page-8a55f76081a875b1.js",revision:"_2-o8k-O6vfEQv1fwDrFE"},{url:"/Ward-rounds/_next/static/chunks/app/reports/view/page-670a264f0ed8c003.js",revision:"_2-o8k-O6vfEQv1fwDrFE"},{url:"/Ward-rounds/_next/static/chunks/app/scanner/page-4583a321a04ad644.js",revision:"_2-o8k-O6vfEQv1fwDrFE"},{url:"/Ward-rounds/_next/static/chunks/fd9d1056-0a73e5988bda9cb2.js",revision:"_2-o8k-O6vfEQv1fwDrFE"},{url:"/Ward-rounds/_next/static/chunks/framework-f66176bb897dc684.js",revision:"_2-o8k-O6vfEQv1fwDrFE"},{url:"/Ward-rounds/_next/static/chunks/main-1ca26fe228f109dd.js",revision:"_2-o8k-O6vfEQv1fwDrFE"},{url:"/Ward-rounds/_next/static/chunks/main-app-5b7ecb6e26995180.js",revision:"_2-o8k-O6vfEQv1fwDrFE"},{url:"/Ward-rounds/_next/static/chunks/pages/_app-72b849fbd24ac258.js",revision:"_2-o8k-O6vfEQv1fwDrFE"},{url:"/Ward-rounds/_next/static/chunks/pages/_error-7ba65e1336b92748.js",revision:"_2-o8k-O6vfEQv1fwDrFE"},{url:"/Ward-rounds/_next/static/chunks/polyfills-42372ed130431b0a.js",revision:"846118c33b2c0e922d7b3a7676f81f6f"},{url:"/Ward-rounds/_next/static/chunks/webpack-832f3f7127a065b3.js",revision:"_2-o8k-O6vfEQv1fwDrFE"},{url:"/Ward-rounds/_next/static/css/e10b3fe6dc3a915b.css",revision:"e10b3fe6dc3a915b"},{url:"/Ward-rounds/manifest.json",revision:"808588580a4e4b23693a4719ef04abbf"}],{ignoreURLParametersMatching:[]}),s.cleanupOutdatedCaches(),s.registerRoute("/Ward-rounds",new s.NetworkFirst({cacheName:"start-url",plugins:[{cacheWillUpdate:async({request:s,response:e,event:r,state:a})=>e&&"opaqueredirect"===e.type?new Response(e.body,{status:200,statusText:"OK",headers:e.headers}):e}]}),"GET"),s.registerRoute(/^https:\/\/fonts\.(?:gstatic|googleapis)\.com\/.*/i,new s.CacheFirst({cacheName:"google-fonts",plugins:[new s.ExpirationPlugin({maxEntries:4,maxAgeSeconds:31536e3})]}),"GET"),s.registerRoute(/\.(?:jpg|jpeg|gif|png|svg|ico|webp)$/i,new s.StaleWhileRevalidate({cacheName:"static-image-assets",plugins:[new s.ExpirationPlugin({maxEntries:64})]}),"GET"),s.registerRoute(/\.(?:js|css)$/i,new s.StaleWhileRevalidate({cacheName:"static-assets",plugins:[new s.ExpirationPlugin({maxEntries:32})]}),"GET"),s.registerRoute(/^https:\/\/script\.google\.com\/.*/i,new s.NetworkFirst({cacheName:"google-script-api",networkTimeoutSeconds:15,plugins:[new s.ExpirationPlugin({maxEntries:10,maxAgeSeconds:3600})]}),"GET")});
@@ -0,0 +1,44 @@
+/**
+ * Apps Script Prompt Generator for MedWard
+ * Writes google-apps-script/Prompts.gs from the prompt registry
+ * (lib/ai/prompts), so the Apps Script backend uses the live templates.
+ *
+ * Usage:
+ *   node scripts/build-gs-prompts.js [--check]
+ *
+ * Options:
+ *   --check   Exit with an error if Prompts.gs is out of date instead of writing it
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const OUTPUT = path.join(__dirname, '..', 'google-apps-script', 'Prompts.gs');
+
+async function main() {
+  const { renderAppsScriptPrompts } = await import('../lib/ai/prompts/apps-script.js');
+  const source = renderAppsScriptPrompts();
+  const current = fs.existsSync(OUTPUT) ? fs.readFileSync(OUTPUT, 'utf8') : null;
+
+  if (process.argv.includes('--check')) {
+    if (current !== source) {
+      console.error('✗ google-apps-script/Prompts.gs is out of date. Run npm run prompts:gs');
+      process.exit(1);
+    }
+    console.log('✓ google-apps-script/Prompts.gs is up to date');
+    return;
+  }
+
+  if (current === source) {
+    console.log('✓ google-apps-script/Prompts.gs already up to date');
+    return;
+  }
+
+  fs.writeFileSync(OUTPUT, source);
+  console.log('✓ Wrote google-apps-script/Prompts.gs');
+}
+
+main().catch(error => {
+  console.error('Prompt generation failed:', error);
+  process.exit(1);
+});
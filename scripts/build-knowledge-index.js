@@ -0,0 +1,32 @@
+/**
+ * Knowledge Index Builder for MedWard
+ * Indexes every knowledge base category and saves the vector indexes next to
+ * knowledge.db, so the server's first search in a category doesn't have to
+ * build one. Safe to re-run: up-to-date indexes are only checked.
+ *
+ * Usage:
+ *   node scripts/build-knowledge-index.js
+ */
+
+async function main() {
+  const { openMigratedDatabase } = await import('../lib/storage/database.js');
+  const { createKnowledgeIndexes, resolveIndexDirectory } = await import('../lib/knowledge/knowledge-index.js');
+
+  const db = openMigratedDatabase('knowledge');
+  const indexes = createKnowledgeIndexes({ db, saveDelayMs: 0 });
+  const categories = db.prepare('SELECT DISTINCT category FROM knowledge ORDER BY category').pluck().all();
+
+  for (const category of categories) {
+    const started = Date.now();
+    const size = indexes.prepare(category);
+    console.log(`✓ ${category}: ${size} entries (${Date.now() - started}ms)`);
+  }
+
+  db.close();
+  console.log(`Indexes are in ${resolveIndexDirectory()}`);
+}
+
+main().catch(error => {
+  console.error('Knowledge index build failed:', error);
+  process.exit(1);
+});
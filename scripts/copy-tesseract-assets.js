@@ -0,0 +1,59 @@
+/**
+ * Copy Tesseract OCR assets into public/
+ * The hospital network blocks the jsdelivr and projectnaptha CDNs tesseract.js
+ * loads from by default, so the worker, the WebAssembly core and the English
+ * traineddata are served from our own origin (see lib/ocr/tesseractPool.js).
+ *
+ * Runs automatically before `npm run dev` and `npm run build`.
+ *
+ * Usage:
+ *   node scripts/copy-tesseract-assets.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const target = path.join(root, 'public', 'tesseract');
+
+// Workers are created with OEM 1 (LSTM only), which loads the -lstm cores;
+// tesseract.js picks the SIMD build when the browser supports it
+const ASSETS = [
+  { from: 'tesseract.js/dist/worker.min.js', to: 'worker.min.js' },
+  { from: 'tesseract.js-core/tesseract-core-lstm.wasm.js', to: 'core/tesseract-core-lstm.wasm.js' },
+  { from: 'tesseract.js-core/tesseract-core-simd-lstm.wasm.js', to: 'core/tesseract-core-simd-lstm.wasm.js' },
+  { from: '@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz', to: 'lang/eng.traineddata.gz' }
+];
+
+function main() {
+  let copied = 0;
+
+  for (const asset of ASSETS) {
+    let source;
+    try {
+      source = require.resolve(asset.from, { paths: [root] });
+    } catch (error) {
+      console.error(`❌ Missing ${asset.from} - run npm install first`);
+      process.exit(1);
+    }
+
+    const destination = path.join(target, asset.to);
+    const sourceStat = fs.statSync(source);
+
+    // Skip unchanged files so `npm run dev` starts quickly
+    if (fs.existsSync(destination)) {
+      const destinationStat = fs.statSync(destination);
+      if (destinationStat.size === sourceStat.size && destinationStat.mtimeMs >= sourceStat.mtimeMs) {
+        continue;
+      }
+    }
+
+    fs.mkdirSync(path.dirname(destination), { recursive: true });
+    fs.copyFileSync(source, destination);
+    copied++;
+  }
+
+  console.log(`✅ Tesseract assets ready in public/tesseract (${copied} updated)`);
+}
+
+main();
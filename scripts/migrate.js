@@ -0,0 +1,139 @@
+/**
+ * Database Migration Script for MedWard
+ * Applies, rolls back and reports versioned schema migrations
+ *
+ * Usage:
+ *   node scripts/migrate.js [up|down|status] [options]
+ *
+ * Options:
+ *   --db <name>     Only act on one database (main, knowledge, audit)
+ *   --to <version>  Migrate up/down to a specific version
+ *   --steps <n>     Number of migrations to roll back (down only, default 1)
+ *   --dry-run       Run migrations inside a transaction and roll them back
+ */
+
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+
+const COMMANDS = ['up', 'down', 'status'];
+
+function parseArgs(argv) {
+  const options = { command: 'up', db: null, to: null, steps: 1, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (COMMANDS.includes(arg)) {
+      options.command = arg;
+    } else if (arg === '--db') {
+      options.db = argv[++i];
+    } else if (arg === '--to') {
+      options.to = parseInt(argv[++i], 10);
+    } else if (arg === '--steps') {
+      options.steps = parseInt(argv[++i], 10);
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--help' || arg === '-h') {
+      options.command = 'help';
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  if (options.to !== null && Number.isNaN(options.to)) {
+    throw new Error('--to expects a numeric version');
+  }
+  if (Number.isNaN(options.steps) || options.steps < 1) {
+    throw new Error('--steps expects a positive number');
+  }
+
+  return options;
+}
+
+function printHelp() {
+  console.log(`Usage: npm run db:migrate -- [up|down|status] [--db main|knowledge|audit] [--to <version>] [--steps <n>] [--dry-run]
+
+  up       Apply all pending migrations (default)
+  down     Roll back the most recent migration (or --steps / --to)
+  status   Show applied and pending migrations`);
+}
+
+function openDatabase(dbPath) {
+  const dir = path.dirname(dbPath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+    console.log(`✓ Created ${dir}`);
+  }
+  return new Database(dbPath);
+}
+
+function printStatus(status, dbPath) {
+  console.log(`\n${status.database} (${dbPath})`);
+  console.log(`  Version: ${status.currentVersion}/${status.latestVersion}`);
+
+  status.migrations.forEach(m => {
+    const marker = m.applied ? '✓' : '·';
+    const version = String(m.version).padStart(3, '0');
+    console.log(`  ${marker} ${version}_${m.name}${m.appliedAt ? `  (${m.appliedAt})` : '  pending'}`);
+  });
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.command === 'help') {
+    printHelp();
+    return;
+  }
+
+  const { DATABASES, resolveDatabasePath } = await import('../lib/storage/migrations/index.js');
+  const { migrateUp, migrateDown, getMigrationStatus } = await import('../lib/storage/migrator.js');
+
+  const targets = options.db ? [options.db] : Object.keys(DATABASES);
+  const unknown = targets.find(name => !DATABASES[name]);
+  if (unknown) {
+    throw new Error(`Unknown database "${unknown}". Expected one of: ${Object.keys(DATABASES).join(', ')}`);
+  }
+
+  if (options.dryRun) {
+    console.log('Dry run - no changes will be committed\n');
+  }
+
+  for (const name of targets) {
+    const dbPath = resolveDatabasePath(name);
+    const db = openDatabase(dbPath);
+
+    try {
+      if (options.command === 'status') {
+        printStatus(getMigrationStatus(db, name), dbPath);
+        continue;
+      }
+
+      const ran = options.command === 'down'
+        ? migrateDown(db, name, {
+          steps: options.steps,
+          to: options.to,
+          dryRun: options.dryRun
+        })
+        : migrateUp(db, name, {
+          to: options.to ?? Infinity,
+          dryRun: options.dryRun
+        });
+
+      if (ran.length === 0) {
+        console.log(`✓ ${name}: nothing to ${options.command === 'down' ? 'roll back' : 'migrate'}`);
+      } else {
+        const verb = options.command === 'down' ? 'rolled back' : 'applied';
+        console.log(`✓ ${name}: ${options.dryRun ? `${ran.length} migration(s) would be ${verb}` : `${verb} ${ran.length} migration(s)`}`);
+      }
+    } finally {
+      db.close();
+    }
+  }
+}
+
+main().catch(error => {
+  console.error(`\n❌ Migration failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,115 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const complete = vi.fn();
+vi.mock('../lib/ai/llm-client.js', () => ({
+  getLlmClient: () => ({ complete })
+}));
+
+const { validateAiOutput, parseAiResponse, validateReportOutputs } = await import('../lib/ai/schemas.js');
+const { interpretMedicalReport, generateClinicalPearls } = await import('../lib/ai/openai-client.js');
+const { generatePresentation } = await import('../lib/presentation/generator.js');
+
+const reply = content => ({ content, usage: {}, model: 'test', provider: 'openai' });
+
+const validInterpretation = {
+  summary: 'Hyperkalaemia with acute kidney injury.',
+  findings: [{ finding: 'Potassium', value: '6.1', reference: '3.5-5.1', status: 'critical', significance: 'Arrhythmia risk' }],
+  criticalAlerts: ['K 6.1 mmol/L'],
+  differentialConsiderations: ['AKI', 'ACE inhibitor'],
+  recommendedActions: ['Repeat ECG']
+};
+
+describe('AI output schemas', () => {
+  beforeEach(() => {
+    complete.mockReset();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  it('coerces malformed output to safe defaults', () => {
+    const result = validateAiOutput('interpretation', {
+      summary: 42,
+      findings: ['Low haemoglobin', { finding: 'Sodium', value: 128, status: 'LOW' }, { value: '7' }],
+      criticalAlerts: 'Sodium 128',
+      recommendedActions: null
+    });
+
+    expect(result.valid).toBe(false);
+    expect(result.issues.join('\n')).toMatch(/summary/);
+    expect(result.data).toMatchObject({
+      summary: '42',
+      criticalAlerts: ['Sodium 128'],
+      differentialConsiderations: [],
+      recommendedActions: [],
+      additionalNotes: ''
+    });
+    // Unknown statuses are flagged rather than shown as normal; items without a finding are dropped
+    expect(result.data.findings.map(f => [f.finding, f.value, f.status])).toEqual([
+      ['Low haemoglobin', '', 'abnormal'],
+      ['Sodium', '128', 'abnormal']
+    ]);
+
+    expect(validateAiOutput('interpretation', validInterpretation).valid).toBe(true);
+    expect(parseAiResponse('pearls', 'Sure! {"pearls":[{"pearl":"Check the ECG"}]}').valid).toBe(true);
+    expect(parseAiResponse('pearls', 'I cannot help with that')).toMatchObject({ valid: false, parsed: false, data: { pearls: [] } });
+  });
+
+  it('never renders undefined in a presentation built from incomplete output', () => {
+    const presentation = generatePresentation({
+      type: 'lab',
+      interpretation: { findings: [{ finding: 'Creatinine' }] },
+      clinicalPearls: 'not an object',
+      potentialQuestions: { questions: [{ question: 'Why?' }, 'What next?'] }
+    });
+
+    expect(JSON.stringify(presentation)).not.toMatch(/undefined|null/);
+    expect(presentation.assessment).toMatch(/No summary available/);
+    expect(presentation.pearls).toEqual([]);
+    expect(presentation.questions.map(q => q.question)).toEqual(['Why?', 'What next?']);
+  });
+
+  it('re-prompts once when the model reply does not match the schema', async () => {
+    complete
+      .mockResolvedValueOnce(reply('{"summary":"","findings":"potassium high"}'))
+      .mockResolvedValueOnce(reply(JSON.stringify(validInterpretation)));
+
+    const interpretation = await interpretMedicalReport('K 6.1', 'lab');
+
+    expect(interpretation).toMatchObject(validInterpretation);
+    expect(complete).toHaveBeenCalledTimes(2);
+    const [, repairPrompt, repairOptions] = complete.mock.calls[1];
+    expect(repairPrompt).toMatch(/did not match the required JSON format/);
+    expect(repairPrompt).toMatch(/summary/);
+    expect(repairOptions).toMatchObject({ task: 'interpretation', temperature: 0, responseFormat: 'json' });
+  });
+
+  it('falls back to coerced output when the repair is invalid too', async () => {
+    complete
+      .mockResolvedValueOnce(reply('{"pearls":["Always repeat a haemolysed potassium"]}'))
+      .mockResolvedValueOnce(reply('not json'));
+
+    const pearls = await generateClinicalPearls(validInterpretation, 'lab');
+
+    expect(complete).toHaveBeenCalledTimes(2);
+    expect(pearls.pearls).toEqual([
+      { pearl: 'Always repeat a haemolysed potassium', relevance: '', difficulty: 'intermediate', category: '' }
+    ]);
+  });
+
+  it('validates Apps Script sections, reading the fallback field names', () => {
+    const checked = validateReportOutputs({
+      interpretation: { summary: 'Fallback interpretation', findings: [], recommendations: ['Review with senior'] },
+      clinicalPearls: { pearls: [{ pearl: 'Trend, do not react to a single value' }] }
+    }, {
+      potentialQuestions: { questions: [{ question: 'Causes of AKI?', answer: 'Pre-renal, renal, post-renal' }] }
+    });
+
+    expect(checked.valid).toBe(true);
+    expect(checked.sections.interpretation.recommendedActions).toEqual(['Review with senior']);
+    expect(checked.sections.potentialQuestions.questions).toHaveLength(1);
+    expect(checked.sections.presentation).toMatchObject({ oneLiner: '', pearls: [] });
+
+    const missing = validateReportOutputs({ interpretation: validInterpretation });
+    expect(missing.valid).toBe(false);
+    expect(missing.issues).toEqual(['clinicalPearls: missing', 'potentialQuestions: missing']);
+  });
+});
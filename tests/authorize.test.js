@@ -0,0 +1,54 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const findUser = vi.fn();
+const logAudit = vi.fn();
+vi.mock('../lib/storage/database.js', () => ({
+  UserDB: { findById: findUser }
+}));
+vi.mock('../lib/security/audit-log.js', () => ({ logAudit }));
+
+const { authorize } = await import('../lib/auth/middleware.js');
+
+function routeRequest(user) {
+  return { user, headers: new Headers({ 'user-agent': 'vitest' }) };
+}
+
+describe('authorize', () => {
+  beforeEach(() => {
+    findUser.mockReset();
+    logAudit.mockReset();
+  });
+
+  it('lets a route through for a user whose row has the role', async () => {
+    findUser.mockReturnValue({ id: 'u1', role: 'admin' });
+    const request = routeRequest({ id: 'u1', username: 'alice' });
+
+    expect(await authorize(['admin'])(request)).toBeNull();
+    expect(request.user.role).toBe('admin');
+  });
+
+  it('answers 403 from the users.role column, not the username', async () => {
+    findUser.mockReturnValue({ id: 'u2', role: 'user' });
+
+    const denied = await authorize(['admin'])(routeRequest({ id: 'u2', username: 'admin' }));
+
+    expect(denied.status).toBe(403);
+    expect(await denied.json()).toMatchObject({ error: 'Insufficient permissions' });
+    expect(logAudit).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'AUTHORIZATION_FAILED',
+      details: { requiredRoles: ['admin'], userRole: 'user' }
+    }));
+  });
+
+  it('still works as Express middleware', async () => {
+    findUser.mockReturnValue({ id: 'u1', role: 'admin' });
+    const next = vi.fn();
+    const res = { status: vi.fn(() => res), json: vi.fn() };
+
+    await authorize(['admin'])({ user: { id: 'u1' }, headers: {} }, res, next);
+    expect(next).toHaveBeenCalled();
+
+    await authorize(['admin'])({ headers: {} }, res, next);
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { classifyDocument, needsConfirmation } from '../lib/ocr/documentClassifier.js';
+
+describe('document classifier', () => {
+  it('classifies a tabular lab printout', () => {
+    const result = classifyDocument([
+      'CHEMISTRY PANEL',
+      'Sodium 138 mmol/L 135-145',
+      'Potassium 5.9 mmol/L H 3.5-5.0',
+      'Creatinine 1.4 mg/dL 0.6-1.2',
+      'Glucose 7.2 mmol/L 3.9-7.8',
+      'Reference ranges apply to adults'
+    ].join('\n'));
+
+    expect(result.type).toBe('lab');
+    expect(needsConfirmation(result)).toBe(false);
+  });
+
+  it('classifies an imaging report from its sections', () => {
+    const result = classifyDocument([
+      'CT CHEST WITH CONTRAST',
+      'Clinical indication: cough',
+      'Technique: axial images were obtained',
+      'Findings:',
+      'Right lower lobe consolidation with small effusion.',
+      'Impression:',
+      'Right lower lobe pneumonia.'
+    ].join('\n'));
+
+    expect(result.type).toBe('imaging');
+    expect(result.confidence).toBeGreaterThanOrEqual(0.6);
+  });
+
+  it('classifies a progress note by ASSESSMENT/PLAN headings', () => {
+    const result = classifyDocument([
+      'Subjective: patient reports less SOB overnight',
+      'Objective: afebrile, chest clear',
+      'Assessment/Plan:',
+      'Improving CAP - continue antibiotics, review tomorrow'
+    ].join('\n'));
+
+    expect(result.type).toBe('note');
+  });
+
+  it('classifies an ECG report from intervals and rhythm', () => {
+    const result = classifyDocument([
+      '12-lead ECG',
+      'Rate: 72 bpm',
+      'PR 210 ms  QRS 98 ms  QT/QTc 400/440 ms',
+      'Sinus rhythm with first degree AV block'
+    ].join('\n'));
+
+    expect(result.type).toBe('ecg');
+    expect(needsConfirmation(result)).toBe(false);
+  });
+
+  it('falls back to general with low confidence when there are no cues', () => {
+    const result = classifyDocument('Thank you for referring this patient.');
+
+    expect(result.type).toBe('general');
+    expect(needsConfirmation(result)).toBe(true);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { parseEcgText, parseEcgReport, computeQtc } from '../lib/ecg/ecg-parser.js';
+import { interpretDocument } from '../lib/ai/medicalInterpreter.js';
+
+const GE_HEADER = [
+  'Vent. rate 48 BPM',
+  'PR interval 232 ms',
+  'QRS duration 134 ms',
+  'QT/QTc 520/470 ms',
+  'P-R-T axes 60 -45 30',
+  'Sinus bradycardia',
+  'Left bundle branch block',
+  'Abnormal ECG'
+].join('\n');
+
+const codes = (report) => report.flags.map(flag => flag.code);
+
+describe('ECG parser', () => {
+  it('reads a machine-printed measurement header', () => {
+    const ecg = parseEcgText(GE_HEADER);
+
+    expect(ecg.rate).toBe(48);
+    expect(ecg.rhythm).toBe('Sinus bradycardia');
+    expect(ecg.intervals).toEqual({ pr: 232, qrs: 134, qt: 520, qtc: 470 });
+    expect(ecg.axis).toBe(-45);
+    expect(ecg.qtcSource).toBe('report');
+  });
+
+  it('computes QTc with Bazett and Fridericia when only QT and rate are printed', () => {
+    expect(computeQtc(400, 60)).toEqual({ bazett: 400, fridericia: 400 });
+
+    const ecg = parseEcgText('HR: 75 bpm\nQT 400 ms');
+    expect(ecg.qtcBazett).toBe(447);
+    expect(ecg.qtcFridericia).toBe(431);
+    expect(ecg.intervals.qtc).toBe(447);
+    expect(ecg.qtcSource).toBe('bazett');
+  });
+
+  it('flags AV block, bundle branch block, axis deviation, rate and prolonged QTc', () => {
+    const report = parseEcgReport(GE_HEADER, { gender: 'male' });
+
+    expect(codes(report)).toEqual(expect.arrayContaining([
+      'av_block_first', 'lbbb', 'left_axis_deviation', 'bradycardia', 'qtc_prolonged'
+    ]));
+    expect(report.flags.find(f => f.code === 'av_block_first').value).toBe('PR 232 ms');
+  });
+
+  it('applies the sex-specific QTc limit', () => {
+    const text = 'Rate 70 bpm\nQTc 455 ms';
+    expect(codes(parseEcgReport(text, { sex: 'M' }))).toContain('qtc_prolonged');
+    expect(codes(parseEcgReport(text, { sex: 'F' }))).not.toContain('qtc_prolonged');
+  });
+
+  it('separates incomplete from complete bundle branch block by QRS width', () => {
+    expect(codes(parseEcgReport('QRS 114 ms'))).toEqual(['incomplete_bbb']);
+    expect(codes(parseEcgReport('QRS 126 ms'))).toEqual(['bbb']);
+    expect(codes(parseEcgReport('QRS 126 ms\nRight bundle branch block'))).toEqual(['rbbb']);
+  });
+
+  it('uses Fridericia at fast rates so Bazett does not overcall QTc', () => {
+    const report = parseEcgReport('Rate 120 bpm\nQT 360 ms', { sex: 'male' });
+
+    expect(report.qtcBazett).toBe(509);
+    expect(codes(report)).not.toContain('qtc_critical');
+    expect(codes(report)).toContain('tachycardia');
+  });
+});
+
+describe('ECG interpretation', () => {
+  it('turns flags into findings and critical alerts', async () => {
+    const text = 'Rate 38 bpm\nQRS 100 ms\nQT/QTc 560/520 ms\nComplete heart block';
+    const interpretation = await interpretDocument({
+      rawText: text,
+      type: 'ecg',
+      parsed: parseEcgReport(text)
+    }, false);
+
+    expect(interpretation.severity).toBe('critical');
+    expect(interpretation.criticalAlerts).toEqual(expect.arrayContaining([
+      'Complete heart block',
+      'Markedly prolonged QTc (520 ms)',
+      'Bradycardia (38 bpm)'
+    ]));
+    expect(interpretation.findings.every(f => f.category === 'Cardiac')).toBe(true);
+  });
+});
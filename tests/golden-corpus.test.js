@@ -0,0 +1,138 @@
+import { describe, it, expect, vi } from 'vitest';
+
+const llm = vi.hoisted(() => ({ client: null }));
+vi.mock('../lib/ai/llm-client.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  getLlmClient: () => llm.client
+}));
+
+const { parseByDocumentType } = await import('../lib/ocr/textExtractor.js');
+const { extractLabData } = await import('../lib/ocr/vision-client.js');
+const { mockInterpret } = await import('../lib/ai/medicalInterpreter.js');
+const { interpretMedicalReport } = await import('../lib/ai/openai-client.js');
+const { groundInterpretation } = await import('../lib/ai/grounding.js');
+const { createLlmClient } = await import('../lib/ai/llm-client.js');
+const { providersFromEnv } = await import('../lib/ai/providers/index.js');
+const golden = await import('./golden/harness.js');
+
+const SEVERITIES = ['critical', 'abnormal'];
+
+async function loadCases() {
+  const cases = golden.loadCorpus();
+  return process.env.GOLDEN_OCR ? golden.ocrImages(cases) : cases;
+}
+
+// Record live responses first so the replay below scores them
+async function recordProviders(cases) {
+  const { providers } = providersFromEnv();
+  if (providers.length === 0) {
+    throw new Error('GOLDEN_RECORD needs an LLM provider configured in the environment');
+  }
+
+  for (const provider of providers) {
+    for (const kase of cases) {
+      const recorder = golden.createRecordingProvider(provider);
+      llm.client = createLlmClient({ providers: [recorder.provider] });
+      await interpretMedicalReport(golden.sourceText(kase), kase.type);
+      golden.saveRecording(provider.name, kase.id, recorder.recording);
+    }
+  }
+}
+
+async function scoreCorpus(cases) {
+  const board = golden.createScoreboard();
+  const recordings = golden.loadRecordings();
+
+  for (const kase of cases) {
+    const text = golden.sourceText(kase);
+    const expected = golden.expectedFacts(kase);
+
+    const parsed = parseByDocumentType(text, kase.type);
+    board.add(`parseByDocumentType/${kase.type}`, kase.id, golden.scoreFacts(expected, golden.parsedFacts(kase.type, parsed)));
+
+    if (kase.type === 'lab') {
+      board.add('extractLabData/lab', kase.id, golden.scoreFacts(expected, golden.parsedFacts('lab', extractLabData(text))));
+    }
+
+    const interpretations = { mockInterpret: mockInterpret({ rawText: text, type: kase.type, parsed }) };
+
+    for (const [provider, recorded] of Object.entries(recordings)) {
+      if (!recorded[kase.id]) continue;
+      llm.client = createLlmClient({ providers: [golden.createRecordedProvider(recorded[kase.id])], retries: 0 });
+      // Grounded, as the upload route shows it
+      const interpretation = await interpretMedicalReport(text, kase.type);
+      interpretations[`llm:${provider}`] = groundInterpretation(interpretation, { text, structuredData: parsed });
+    }
+
+    Object.entries(interpretations).forEach(([name, interpretation]) => {
+      SEVERITIES.forEach(level => {
+        board.add(`${name}/${level}`, kase.id, golden.scoreFindings(kase.expected[level], golden.raisedFindings(interpretation, level)));
+      });
+    });
+  }
+
+  return board;
+}
+
+describe('golden corpus', () => {
+  it('holds lab, imaging, note and ECG cases with expected output', () => {
+    const cases = golden.loadCorpus();
+
+    expect(new Set(cases.map(kase => kase.type))).toEqual(new Set(['lab', 'imaging', 'note', 'ecg']));
+    expect(cases.filter(kase => kase.image).length).toBeGreaterThan(0);
+    cases.forEach(kase => {
+      expect(golden.expectedFacts(kase).length).toBeGreaterThan(0);
+      SEVERITIES.forEach(level => expect(Array.isArray(kase.expected[level])).toBe(true));
+    });
+  });
+
+  it('scores parsers and interpreters without regressing from the baseline', async () => {
+    const cases = await loadCases();
+    if (process.env.GOLDEN_RECORD) await recordProviders(cases);
+
+    const board = await scoreCorpus(cases);
+    const metrics = board.metrics();
+
+    if (process.env.GOLDEN_UPDATE) {
+      golden.saveBaseline(metrics);
+    }
+
+    const baseline = golden.loadBaseline();
+    const comparison = golden.compareToBaseline(metrics, baseline);
+    if (comparison.regressions.length > 0 || comparison.improvements.length > 0 || comparison.added.length > 0) {
+      console.log(`Golden corpus (${cases.length} cases)\n${golden.formatReport(metrics, baseline, comparison, board)}`);
+    }
+
+    expect(comparison.regressions).toEqual([]);
+    expect(comparison.added).toEqual([]);
+  }, 60000);
+
+  it('scores facts and findings as precision and recall', () => {
+    const board = golden.createScoreboard();
+    board.add('parser', 'a', golden.scoreFacts(['potassium=6.8:HH', 'sodium=131:L'], ['potassium=6.8:HH', 'potassium=5:N']));
+    board.add('interpreter', 'a', golden.scoreFindings(['potassium', 'fracture'], [
+      { finding: 'Hyperkalaemia', value: '6.8 mmol/L', status: 'critical' },
+      { finding: 'Fracture identified', status: 'critical' },
+      { finding: 'Mass or lesion identified', status: 'critical' }
+    ]));
+
+    expect(board.metrics().parser).toMatchObject({ precision: 0.5, recall: 0.5, tp: 1, fp: 1, fn: 1 });
+    expect(board.metrics().interpreter).toMatchObject({ precision: 0.667, recall: 1 });
+    expect(board.misses('parser')).toEqual([{ caseId: 'a', missing: ['sodium=131:L'], unexpected: ['potassium=5:N'] }]);
+  });
+
+  it('prints the cases behind a regression', () => {
+    const board = golden.createScoreboard();
+    board.add('parseByDocumentType/lab', 'lab-renal-profile', golden.scoreFacts(['potassium=6.8:HH'], ['potassium=5:N']));
+    const metrics = board.metrics();
+    const baseline = { 'parseByDocumentType/lab': { precision: 1, recall: 1 } };
+
+    const comparison = golden.compareToBaseline(metrics, baseline);
+    const report = golden.formatReport(metrics, baseline, comparison, board);
+
+    expect(comparison.regressions.map(({ measure }) => measure)).toEqual(['precision', 'recall']);
+    expect(report).toContain('parseByDocumentType/lab precision 1.000 -> 0.000');
+    expect(report).toContain('missing    potassium=6.8:HH');
+    expect(report).toContain('unexpected potassium=5:N');
+  });
+});
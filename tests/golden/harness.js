@@ -0,0 +1,459 @@
+/**
+ * Golden corpus harness
+ * Scores the report parsers and interpreters against hand-labelled synthetic
+ * reports in tests/golden/cases:
+ *
+ *   <id>.json   { id, type, image?, description, expected }
+ *   <id>.txt    report text; for scanned cases, the recorded OCR transcript of <id>.png
+ *
+ * Parsers are scored on the facts they extract (lab results with value and
+ * flag, ECG measurements and flags, report sections); interpreters on the
+ * critical and abnormal findings they raise. LLM providers are replayed from
+ * tests/golden/recorded/<provider>/<id>.json, so no network is needed.
+ *
+ * Scores are compared with baseline.json and a diff is printed when one drops.
+ *
+ *   GOLDEN_UPDATE=1   write the current scores to baseline.json
+ *   GOLDEN_OCR=1      OCR the case images with Tesseract instead of reading the transcripts
+ *   GOLDEN_RECORD=1   call the providers configured in the environment and save their responses
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { correctMedicalText } from '../../lib/ocr/medicalVocabulary.js';
+import { extractClaims, GROUNDING_STATUS } from '../../lib/ai/grounding.js';
+
+const GOLDEN_DIR = path.dirname(fileURLToPath(import.meta.url));
+export const CASES_DIR = path.join(GOLDEN_DIR, 'cases');
+export const RECORDED_DIR = path.join(GOLDEN_DIR, 'recorded');
+export const BASELINE_PATH = path.join(GOLDEN_DIR, 'baseline.json');
+
+// Score drop tolerated before it counts as a regression
+const TOLERANCE = 0.001;
+
+/**
+ * Load the corpus
+ * @param {string} dir - Cases directory
+ * @returns {Array<Object>} - Cases with their text, sorted by id
+ */
+export function loadCorpus(dir = CASES_DIR) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => {
+      const kase = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      return { ...kase, text: fs.readFileSync(path.join(dir, `${kase.id}.txt`), 'utf8') };
+    });
+}
+
+/**
+ * OCR the scanned cases with Tesseract, replacing their recorded transcripts
+ * Uses the English model from node_modules, so it runs offline.
+ * @param {Array<Object>} cases
+ * @returns {Promise<Array<Object>>}
+ */
+export async function ocrImages(cases) {
+  const { createWorker } = await import('tesseract.js');
+  const worker = await createWorker('eng', 1, {
+    langPath: path.resolve('node_modules/@tesseract.js-data/eng/4.0.0_best_int'),
+    cachePath: os.tmpdir()
+  });
+
+  try {
+    const result = [];
+    for (const kase of cases) {
+      if (!kase.image) {
+        result.push(kase);
+        continue;
+      }
+      const { data } = await worker.recognize(path.join(CASES_DIR, kase.image));
+      result.push({ ...kase, text: data.text });
+    }
+    return result;
+  } finally {
+    await worker.terminate();
+  }
+}
+
+/**
+ * Text as the OCR pipeline hands it to the parsers
+ * Scanned cases go through the same vocabulary correction as processDocument.
+ * @param {Object} kase
+ * @returns {string}
+ */
+export function sourceText(kase) {
+  return kase.image ? correctMedicalText(kase.text).text : kase.text;
+}
+
+/**
+ * Facts a parser extracted, as comparable strings
+ * @param {string} type - lab, imaging, note or ecg
+ * @param {Object} parsed - Parser output
+ * @returns {Array<string>}
+ */
+export function parsedFacts(type, parsed) {
+  switch (type) {
+    case 'lab':
+      return (parsed.results || [])
+        .filter(result => result.analyte)
+        .map(result => labFact(result.analyte, result.originalValue ?? result.value, result.flag));
+    case 'ecg':
+      return ecgFacts(parsed, (parsed.flags || []).map(flag => flag.code));
+    case 'imaging':
+      return [
+        ...(parsed.findings || []).map(line => `finding:${normalize(line)}`),
+        ...(parsed.impression ? [`impression:${normalize(parsed.impression)}`] : [])
+      ];
+    case 'note':
+      return Object.entries(parsed.sections || {}).flatMap(([section, lines]) =>
+        lines.map(line => `${section}:${normalize(line)}`)
+      );
+    default:
+      return [];
+  }
+}
+
+/**
+ * Facts a case expects, in the same form as parsedFacts
+ * @param {Object} kase
+ * @returns {Array<string>}
+ */
+export function expectedFacts(kase) {
+  const { expected } = kase;
+
+  switch (kase.type) {
+    case 'lab':
+      return expected.results.map(result => labFact(result.analyte, result.value, result.flag));
+    case 'ecg':
+      return ecgFacts(expected, expected.flags);
+    case 'imaging':
+      return [
+        ...expected.findings.map(line => `finding:${normalize(line)}`),
+        `impression:${normalize(expected.impression)}`
+      ];
+    case 'note':
+      return Object.entries(expected.sections).flatMap(([section, lines]) =>
+        lines.map(line => `${section}:${normalize(line)}`)
+      );
+    default:
+      return [];
+  }
+}
+
+/**
+ * Compare extracted facts with the expected ones
+ * @param {Array<string>} expected
+ * @param {Array<string>} predicted
+ * @returns {{tp: number, fp: number, fn: number, missing: Array<string>, unexpected: Array<string>}}
+ */
+export function scoreFacts(expected, predicted) {
+  const remaining = [...expected];
+  const unexpected = [];
+
+  predicted.forEach(fact => {
+    const index = remaining.indexOf(fact);
+    if (index >= 0) {
+      remaining.splice(index, 1);
+    } else {
+      unexpected.push(fact);
+    }
+  });
+
+  return {
+    tp: predicted.length - unexpected.length,
+    fp: unexpected.length,
+    fn: remaining.length,
+    missing: remaining,
+    unexpected
+  };
+}
+
+/**
+ * Findings an interpretation stands behind, by severity
+ * Findings the grounding check contradicted are left out: the report view
+ * strikes them through.
+ * @param {Object} interpretation
+ * @param {string} level - 'critical', or 'abnormal' for critical and abnormal
+ * @returns {Array<Object>}
+ */
+export function raisedFindings(interpretation, level) {
+  const statuses = level === 'critical' ? ['critical'] : ['critical', 'abnormal'];
+  return (interpretation?.findings || []).filter(finding =>
+    statuses.includes(finding.status) && finding.grounding?.status !== GROUNDING_STATUS.CONTRADICTED
+  );
+}
+
+/**
+ * Compare raised findings with the expected terms
+ * A term (analyte, ECG flag code or word) matches a finding that carries it as
+ * analyte or code, names the analyte, or mentions the word.
+ * @param {Array<string>} terms - Expected terms
+ * @param {Array<Object>} findings - From raisedFindings
+ * @returns {{tp: number, fp: number, fn: number, missing: Array<string>, unexpected: Array<string>}}
+ */
+export function scoreFindings(terms, findings) {
+  const unmatched = findings.map(finding => ({ finding, keys: findingKeys(finding) }));
+  const missing = [];
+
+  terms.forEach(term => {
+    const index = unmatched.findIndex(({ keys }) => keys.ids.includes(term) || keys.text.includes(term));
+    if (index >= 0) {
+      unmatched.splice(index, 1);
+    } else {
+      missing.push(term);
+    }
+  });
+
+  return {
+    tp: terms.length - missing.length,
+    fp: unmatched.length,
+    fn: missing.length,
+    missing,
+    unexpected: unmatched.map(({ finding }) => finding.finding)
+  };
+}
+
+/**
+ * Collect per-case scores into precision and recall per metric
+ * @returns {{add: Function, metrics: Function, misses: Function}}
+ */
+export function createScoreboard() {
+  const entries = new Map(); // metric -> [{ caseId, score }]
+
+  return {
+    add(metric, caseId, score) {
+      if (!entries.has(metric)) entries.set(metric, []);
+      entries.get(metric).push({ caseId, score });
+    },
+
+    metrics() {
+      return Object.fromEntries([...entries.keys()].sort().map(metric => {
+        const totals = entries.get(metric).reduce((sum, { score }) => ({
+          tp: sum.tp + score.tp,
+          fp: sum.fp + score.fp,
+          fn: sum.fn + score.fn
+        }), { tp: 0, fp: 0, fn: 0 });
+        const precision = ratio(totals.tp, totals.tp + totals.fp);
+        const recall = ratio(totals.tp, totals.tp + totals.fn);
+        const f1 = precision + recall > 0 ? round(2 * precision * recall / (precision + recall)) : 0;
+        return [metric, { precision, recall, f1, ...totals, cases: entries.get(metric).length }];
+      }));
+    },
+
+    misses(metric) {
+      return (entries.get(metric) || [])
+        .filter(({ score }) => score.missing.length > 0 || score.unexpected.length > 0)
+        .map(({ caseId, score }) => ({ caseId, missing: score.missing, unexpected: score.unexpected }));
+    }
+  };
+}
+
+/**
+ * Compare scores with the baseline
+ * @param {Object} metrics - From scoreboard.metrics()
+ * @param {Object} baseline - Saved metrics
+ * @returns {{regressions: Array<Object>, improvements: Array<Object>, added: Array<string>, removed: Array<string>}}
+ */
+export function compareToBaseline(metrics, baseline = {}) {
+  const regressions = [];
+  const improvements = [];
+
+  Object.entries(metrics).forEach(([metric, current]) => {
+    const before = baseline[metric];
+    if (!before) return;
+
+    ['precision', 'recall'].forEach(measure => {
+      const change = { metric, measure, before: before[measure], after: current[measure] };
+      if (current[measure] < before[measure] - TOLERANCE) regressions.push(change);
+      if (current[measure] > before[measure] + TOLERANCE) improvements.push(change);
+    });
+  });
+
+  return {
+    regressions,
+    improvements,
+    added: Object.keys(metrics).filter(metric => !baseline[metric]),
+    removed: Object.keys(baseline).filter(metric => !metrics[metric])
+  };
+}
+
+/**
+ * Diff report for the console
+ * @param {Object} metrics - From scoreboard.metrics()
+ * @param {Object} baseline - Saved metrics
+ * @param {Object} comparison - From compareToBaseline
+ * @param {Object} board - Scoreboard, for the per-case misses of regressed metrics
+ * @returns {string}
+ */
+export function formatReport(metrics, baseline, comparison, board) {
+  const width = Math.max(...Object.keys(metrics).map(metric => metric.length), 6) + 2;
+  const cell = (measure, metric) => {
+    const after = metrics[metric][measure].toFixed(3);
+    const before = baseline[metric]?.[measure];
+    if (before === undefined) return `${after} (new)`.padEnd(18);
+    const delta = metrics[metric][measure] - before;
+    return `${after} (${Math.abs(delta) <= TOLERANCE ? '=' : `${delta > 0 ? '+' : ''}${delta.toFixed(3)}`})`.padEnd(18);
+  };
+
+  const lines = [
+    `${'metric'.padEnd(width)}${'precision'.padEnd(18)}${'recall'.padEnd(18)}cases`,
+    ...Object.keys(metrics).map(metric =>
+      `${metric.padEnd(width)}${cell('precision', metric)}${cell('recall', metric)}${metrics[metric].cases}`
+    )
+  ];
+
+  if (comparison.regressions.length > 0) {
+    lines.push('', 'Regressions:');
+    comparison.regressions.forEach(({ metric, measure, before, after }) => {
+      lines.push(`  ${metric} ${measure} ${before.toFixed(3)} -> ${after.toFixed(3)}`);
+    });
+
+    [...new Set(comparison.regressions.map(({ metric }) => metric))].forEach(metric => {
+      board.misses(metric).forEach(({ caseId, missing, unexpected }) => {
+        lines.push(`  ${metric} ${caseId}:`);
+        if (missing.length) lines.push(`    missing    ${missing.join(' | ')}`);
+        if (unexpected.length) lines.push(`    unexpected ${unexpected.join(' | ')}`);
+      });
+    });
+  }
+
+  if (comparison.improvements.length > 0) {
+    lines.push('', 'Improved - run with GOLDEN_UPDATE=1 to raise the baseline:');
+    comparison.improvements.forEach(({ metric, measure, before, after }) => {
+      lines.push(`  ${metric} ${measure} ${before.toFixed(3)} -> ${after.toFixed(3)}`);
+    });
+  }
+
+  if (comparison.removed.length > 0) {
+    lines.push('', `No longer scored: ${comparison.removed.join(', ')}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Read the saved baseline
+ * @returns {Object}
+ */
+export function loadBaseline() {
+  return fs.existsSync(BASELINE_PATH) ? JSON.parse(fs.readFileSync(BASELINE_PATH, 'utf8')) : {};
+}
+
+/**
+ * Save scores as the new baseline
+ * @param {Object} metrics
+ */
+export function saveBaseline(metrics) {
+  fs.writeFileSync(BASELINE_PATH, `${JSON.stringify(metrics, null, 2)}\n`);
+}
+
+/**
+ * Recorded responses per provider
+ * @returns {Object} - { provider: { caseId: recording } }
+ */
+export function loadRecordings() {
+  if (!fs.existsSync(RECORDED_DIR)) return {};
+
+  return Object.fromEntries(fs.readdirSync(RECORDED_DIR).sort().map(provider => [
+    provider,
+    Object.fromEntries(fs.readdirSync(path.join(RECORDED_DIR, provider))
+      .filter(file => file.endsWith('.json'))
+      .map(file => [path.basename(file, '.json'), JSON.parse(fs.readFileSync(path.join(RECORDED_DIR, provider, file), 'utf8'))]))
+  ]));
+}
+
+/**
+ * Save a provider's responses for one case
+ * @param {string} provider
+ * @param {string} caseId
+ * @param {Object} recording - { provider, model, task, responses }
+ */
+export function saveRecording(provider, caseId, recording) {
+  fs.mkdirSync(path.join(RECORDED_DIR, provider), { recursive: true });
+  fs.writeFileSync(path.join(RECORDED_DIR, provider, `${caseId}.json`), `${JSON.stringify(recording, null, 2)}\n`);
+}
+
+/**
+ * LLM provider that answers with recorded responses, in order
+ * @param {Object} recording - { provider, responses }
+ * @returns {Object} - LLM provider (see lib/ai/providers)
+ */
+export function createRecordedProvider(recording) {
+  let calls = 0;
+
+  return {
+    name: recording.provider,
+    async complete() {
+      const content = recording.responses[calls];
+      calls += 1;
+      if (content === undefined) {
+        // Not retryable: a replay has nothing more to say
+        throw Object.assign(new Error(`No recorded response #${calls} for ${recording.provider}`), { status: 404 });
+      }
+      return { content, usage: {}, model: recording.model || 'recorded', finishReason: 'stop' };
+    }
+  };
+}
+
+/**
+ * Wrap a live provider so its responses can be saved
+ * @param {Object} provider - LLM provider
+ * @returns {{provider: Object, recording: Object}}
+ */
+export function createRecordingProvider(provider) {
+  const recording = { provider: provider.name, model: null, task: 'interpretation', responses: [] };
+
+  return {
+    recording,
+    provider: {
+      ...provider,
+      async complete(request) {
+        const response = await provider.complete(request);
+        recording.model = response.model || recording.model;
+        recording.responses.push(response.content);
+        return response;
+      }
+    }
+  };
+}
+
+function labFact(analyte, value, flag) {
+  return `${analyte}=${Number(value)}:${flag || '?'}`;
+}
+
+function ecgFacts(ecg, codes = []) {
+  const measurements = {
+    rate: ecg.rate,
+    axis: ecg.axis,
+    ...Object.fromEntries(['pr', 'qrs', 'qt', 'qtc'].map(key => [key, ecg.intervals?.[key]]))
+  };
+
+  return [
+    ...Object.entries(measurements)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) => `${key}=${value}`),
+    ...codes.map(code => `flag:${code}`)
+  ];
+}
+
+function findingKeys(finding) {
+  const text = `${finding.finding || ''} ${finding.value || ''}`;
+  return {
+    ids: [finding.analyte, finding.code, ...extractClaims(text).analytes].filter(Boolean),
+    text: text.toLowerCase()
+  };
+}
+
+function normalize(text) {
+  return String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function ratio(part, whole) {
+  return whole > 0 ? round(part / whole) : 1;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
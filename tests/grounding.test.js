@@ -0,0 +1,131 @@
+import { describe, it, expect } from 'vitest';
+import { groundInterpretation, checkClaims, buildSourceIndex, extractClaims } from '../lib/ai/grounding.js';
+import { generatePresentation } from '../lib/presentation/generator.js';
+
+const LAB_TEXT = `RENAL PROFILE
+Sodium 138 mmol/L (135-145)
+Potassium 5.2 mmol/L (3.5-5.0) H
+Creatinine 1.9 mg/dL (0.6-1.2) H`;
+
+const CXR_TEXT = `CHEST X-RAY PA
+Right lower lobe consolidation with small right pleural effusion.
+Left lung clear. No pneumothorax.`;
+
+describe('grounding verifier', () => {
+  it('pairs each cited number with the analyte named before it', () => {
+    const claims = extractClaims('Hyperkalaemia: K+ 6.2 mmol/L (ref 3.5-5.0) with Na 128, HbA1c >6.5');
+
+    expect(claims.values.map(claim => [claim.analyte, claim.value])).toEqual([
+      ['potassium', 6.2],
+      ['sodium', 128]
+    ]);
+    expect(claims.analytes).toEqual(expect.arrayContaining(['potassium', 'sodium']));
+  });
+
+  it('leaves doses, times and counts after a lab value unpaired', () => {
+    const alert = 'Potassium 6.2 mmol/L - repeat within 1 hour and obtain 12-lead ECG';
+
+    expect(extractClaims(alert).values.map(claim => [claim.analyte, claim.value])).toEqual([
+      ['potassium', 6.2],
+      [null, 1],
+      [null, 12]
+    ]);
+    expect(extractClaims('Creatinine 1.4 then 2.1 mg/dL').values.map(claim => claim.analyte))
+      .toEqual(['creatinine', 'creatinine']);
+
+    const grounded = groundInterpretation({
+      summary: 'Hyperkalaemia.',
+      findings: [{ finding: 'Potassium', value: '6.2', status: 'critical' }],
+      criticalAlerts: [alert]
+    }, { text: 'Potassium 6.2 mmol/L' });
+
+    expect(checkClaims(alert, buildSourceIndex({ text: 'Potassium 6.2 mmol/L' })).status).toBe('unverified');
+    expect(grounded.criticalAlerts).toEqual([alert]);
+    expect(grounded.removedAlerts).toEqual([]);
+  });
+
+  it('tags findings as verified, unverified or contradicted', () => {
+    const grounded = groundInterpretation({
+      summary: 'Hyperkalaemia with raised creatinine.',
+      findings: [
+        { finding: 'Potassium', value: '6.2 mmol/L', status: 'critical' },
+        { finding: 'Sodium', value: '138', status: 'normal' },
+        // Creatinine 1.9 mg/dL is 168 umol/L once converted
+        { finding: 'Creatinine', value: '168 umol/L', status: 'abnormal' },
+        { finding: 'Magnesium', value: '0.6', status: 'abnormal' },
+        { finding: 'Likely pre-renal picture', status: 'abnormal' }
+      ],
+      criticalAlerts: []
+    }, { text: LAB_TEXT });
+
+    expect(grounded.findings.map(finding => finding.grounding.status)).toEqual([
+      'contradicted', 'verified', 'verified', 'unverified', 'unverified'
+    ]);
+    expect(grounded.findings[0].grounding.note).toBe('Report shows Potassium 5.2, not 6.2');
+    expect(grounded.grounding).toMatchObject({ verified: 2, unverified: 2, contradicted: 1 });
+  });
+
+  it('removes contradicted and dependent critical alerts', () => {
+    const grounded = groundInterpretation({
+      summary: 'AKI with hyperkalaemia.',
+      findings: [{ finding: 'Potassium', value: '6.2', status: 'critical' }],
+      criticalAlerts: ['Potassium 6.2 mmol/L - treat urgently', 'Severe hyperkalaemia', 'Creatinine 1.9 - AKI']
+    }, {
+      text: 'Results below',
+      structuredData: { results: [
+        { test: 'Potassium', value: '5.2', unit: 'mmol/L' },
+        { test: 'Creatinine', value: '1.9', unit: 'mg/dL' }
+      ] }
+    });
+
+    expect(grounded.criticalAlerts).toEqual(['Creatinine 1.9 - AKI']);
+    expect(grounded.removedAlerts.map(removed => removed.alert)).toEqual([
+      'Potassium 6.2 mmol/L - treat urgently',
+      'Severe hyperkalaemia'
+    ]);
+
+    // A corrected report brings a removed alert back once it matches the source
+    const regrounded = groundInterpretation(grounded, { text: 'Potassium 6.2 mmol/L\nCreatinine 1.9 mg/dL' });
+    expect(regrounded.criticalAlerts).toHaveLength(3);
+    expect(regrounded.removedAlerts).toEqual([]);
+  });
+
+  it('removes alerts naming the contradicted analyte by another alias', () => {
+    const grounded = groundInterpretation({
+      summary: 'Hyperkalaemia.',
+      findings: [{ finding: 'Hyperkalaemia K 6.2', status: 'critical' }],
+      criticalAlerts: ['Potassium elevated at 5.2', 'Creatinine 1.9 - AKI']
+    }, { text: 'Potassium 5.2 mmol/L\nCreatinine 1.9 mg/dL' });
+
+    expect(grounded.findings[0].grounding.status).toBe('contradicted');
+    expect(grounded.criticalAlerts).toEqual(['Creatinine 1.9 - AKI']);
+    expect(grounded.removedAlerts).toEqual([
+      { alert: 'Potassium elevated at 5.2', reason: 'Potassium finding contradicted by the report' }
+    ]);
+  });
+
+  it('checks laterality against the sentence about the same structure', () => {
+    const index = buildSourceIndex({ text: CXR_TEXT });
+
+    expect(checkClaims('Right lower lobe consolidation', index).status).toBe('verified');
+    expect(checkClaims('Left lower lobe consolidation', index)).toMatchObject({
+      status: 'contradicted',
+      note: 'Report describes right side, not left'
+    });
+    expect(checkClaims('Bilateral pleural effusions', index).status).toBe('contradicted');
+    expect(checkClaims('Left lung clear', index).status).toBe('verified');
+  });
+
+  it('marks contradicted findings in the presentation', () => {
+    const interpretation = groundInterpretation({
+      summary: 'Hyperkalaemia.',
+      findings: [{ finding: 'Potassium', value: '6.2', status: 'critical' }],
+      criticalAlerts: ['K 6.2']
+    }, { text: LAB_TEXT });
+
+    const presentation = generatePresentation({ type: 'lab', interpretation });
+
+    expect(presentation.objective).toMatch(/CONTRADICTED BY REPORT: Report shows Potassium 5.2, not 6.2/);
+    expect(presentation.assessment).not.toMatch(/CRITICAL ALERTS/);
+  });
+});
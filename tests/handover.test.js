@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { generateHandover } from '../lib/presentation/handover.js';
+
+const NOW = '2024-05-03T18:00:00Z';
+
+const patients = [
+  { id: 1, name: 'Stable Sam', bed: '10', status: 'stable', age: 60, gender: 'M', chiefComplaint: 'cellulitis' },
+  { id: 2, name: 'Critical Cara', bed: '3', status: 'critical', age: 72, gender: 'F', chiefComplaint: 'sepsis', admissionDate: '2024-05-01T09:00:00Z' },
+  { id: 3, name: 'Monitor Max', bed: '2', status: 'monitoring', age: 45, gender: 'M', chiefComplaint: 'chest pain' },
+  { id: 4, name: 'Bed Two Stable', bed: '2', status: 'stable', age: 30, gender: 'F', chiefComplaint: 'asthma' },
+  { id: 5, name: 'Gone Home', status: 'discharged' }
+];
+
+const reports = [
+  {
+    id: 'old-lab',
+    patientId: 2,
+    type: 'lab',
+    createdAt: '2024-05-02T08:00:00Z',
+    interpretation: { criticalAlerts: ['Potassium 6.8 mmol/L (critical high)'] }
+  },
+  {
+    id: 'new-lab',
+    patientId: 2,
+    type: 'lab',
+    createdAt: '2024-05-03T08:00:00Z',
+    interpretation: {
+      summary: 'Lactate rising.',
+      criticalAlerts: ['Lactate 4.1 mmol/L (critical high)'],
+      recommendations: ['Repeat lactate in 2 hours', 'Blood cultures']
+    }
+  },
+  {
+    id: 'ecg',
+    patientId: 3,
+    type: 'ecg',
+    createdAt: '2024-05-03T10:00:00Z',
+    interpretation: { criticalAlerts: [], findings: [{ finding: 'Atrial fibrillation', status: 'abnormal' }] }
+  }
+];
+
+describe('ward handover', () => {
+  const handover = generateHandover(patients, reports, { now: NOW, ward: '7A' });
+
+  it('groups active patients by status, then bed in natural order', () => {
+    expect(handover.groups.map(g => g.status)).toEqual(['critical', 'monitoring', 'stable']);
+    expect(handover.groups[2].patients.map(p => p.bed)).toEqual(['2', '10']);
+    expect(handover.summary).toMatchObject({ total: 4, critical: 1, monitoring: 1, stable: 2 });
+  });
+
+  it('keeps only alerts from the latest report of each type', () => {
+    const cara = handover.groups[0].patients[0];
+    expect(cara.criticalAlerts.map(a => a.alert)).toEqual(['Lactate 4.1 mmol/L (critical high)']);
+    expect(cara.pendingActions).toEqual(['Repeat lactate in 2 hours', 'Blood cultures']);
+    expect(cara.hospitalDay).toBe(3);
+    expect(cara.oneLiner).toMatch(/^72yo F with sepsis/);
+  });
+
+  it('suggests if-then contingencies from alerts and falls back by status', () => {
+    const cara = handover.groups[0].patients[0];
+    const max = handover.groups[1].patients[0];
+    const sam = handover.groups[2].patients[1];
+
+    expect(cara.contingencies.map(c => c.id)).toContain('sepsis');
+    expect(cara.contingencies.map(c => c.id)).not.toContain('hyperkalemia');
+    expect(max.contingencies.map(c => c.id)).toEqual(['tachyarrhythmia']);
+    expect(sam.contingencies).toEqual([]);
+  });
+
+  it('serializes to plain JSON', () => {
+    expect(JSON.parse(JSON.stringify(handover))).toEqual(handover);
+  });
+});
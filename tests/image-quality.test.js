@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { analyzeImageQuality } from '../lib/ocr/imageQuality.js';
+import { boxBlur } from '../lib/ocr/pageGeometry.js';
+
+// Gray "page" of glyph-sized ink blocks laid out in lines, with a margin all round
+function textPage({ width = 900, height = 700, glyph = 14, paper = 225, ink = 30 } = {}) {
+  const data = new Uint8ClampedArray(width * height).fill(paper);
+  const margin = 40;
+  const lineHeight = glyph * 2;
+  const glyphWidth = Math.round(glyph * 0.7);
+
+  for (let top = margin; top + glyph < height - margin; top += lineHeight) {
+    for (let left = margin; left + glyphWidth < width - margin; left += glyphWidth + 4) {
+      for (let y = top; y < top + glyph; y++) {
+        for (let x = left; x < left + glyphWidth; x++) data[y * width + x] = ink;
+      }
+    }
+  }
+  return { width, height, data };
+}
+
+const codes = (result) => result.reasons.map(r => r.code);
+
+describe('capture quality gate', () => {
+  it('accepts a sharp, well-framed page', () => {
+    const result = analyzeImageQuality(textPage());
+
+    expect(result.acceptable).toBe(true);
+    expect(result.score).toBe(100);
+    expect(result.metrics.xHeight).toBeGreaterThanOrEqual(12);
+  });
+
+  it('asks for a retake when the photo is blurred', () => {
+    const result = analyzeImageQuality(boxBlur(textPage(), 4));
+
+    expect(codes(result)).toContain('blurry');
+    expect(result.acceptable).toBe(false);
+  });
+
+  it('flags glare that washes out part of the page', () => {
+    const page = textPage();
+    for (let y = 100; y < 400; y++) {
+      for (let x = 200; x < 500; x++) page.data[y * page.width + x] = 255;
+    }
+
+    expect(codes(analyzeImageQuality(page))).toContain('glare');
+  });
+
+  it('does not mistake a clean white scan for glare', () => {
+    expect(codes(analyzeImageQuality(textPage({ paper: 255 })))).not.toContain('glare');
+  });
+
+  it('flags text too small to read', () => {
+    const result = analyzeImageQuality(textPage({ glyph: 5 }));
+
+    expect(codes(result)).toContain('text_too_small');
+    expect(result.reasons.find(r => r.code === 'text_too_small').message).toMatch(/move closer/);
+  });
+
+  it('flags a page cut off by the frame', () => {
+    const corners = [{ x: 0, y: 0.1 }, { x: 0.9, y: 0.1 }, { x: 0.9, y: 1 }, { x: 0, y: 1 }];
+    const result = analyzeImageQuality(textPage(), { corners });
+
+    expect(result.metrics.crop.cutEdges).toEqual(['bottom', 'left']);
+    expect(result.acceptable).toBe(false);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseLabLine,
+  resolveAnalyte,
+  normalizeLabResult,
+  getReferenceRange
+} from '../lib/labs/lab-dictionary.js';
+
+describe('lab dictionary', () => {
+  it('resolves aliases to canonical analytes as whole words', () => {
+    expect(resolveAnalyte('Hgb')).toBe('hemoglobin');
+    expect(resolveAnalyte('Sodium Na')).toBe('sodium');
+    expect(resolveAnalyte('K')).toBe('potassium');
+    expect(resolveAnalyte('Total Bilirubin')).toBe('bilirubin');
+    expect(resolveAnalyte('CRP')).toBe('crp');
+    expect(resolveAnalyte('Anion gap')).toBeNull();
+  });
+
+  it('parses several results from one printed line', () => {
+    const results = parseLabLine('Na 140 mmol/L   K 5.8 H mmol/L (3.5-5.0)');
+    expect(results.map(r => r.test)).toEqual(['Na', 'K']);
+    expect(results[1]).toMatchObject({ value: '5.8', unit: 'mmol/L', printedFlag: 'H', referenceRange: '3.5-5.0' });
+  });
+
+  it('converts SI units into the canonical unit', () => {
+    const glucose = normalizeLabResult({ test: 'Glucose', value: '11.1', unit: 'mmol/L' });
+    expect(glucose.unit).toBe('mg/dL');
+    expect(glucose.value).toBeCloseTo(200, 0);
+
+    const hemoglobin = normalizeLabResult({ test: 'Hb', value: '95', unit: 'g/L' });
+    expect(hemoglobin.value).toBe(9.5);
+    expect(hemoglobin.unit).toBe('g/dL');
+
+    const creatinine = normalizeLabResult({ test: 'Creatinine', value: '176.8', unit: 'µmol/L' });
+    expect(creatinine.value).toBeCloseTo(2, 2);
+  });
+
+  it('guesses the unit when none is printed and the value only fits the SI unit', () => {
+    const glucose = normalizeLabResult({ test: 'Glucose', value: '5.6', unit: '' });
+    expect(glucose.value).toBeGreaterThan(90);
+  });
+
+  it('selects sex- and age-specific reference ranges', () => {
+    expect(getReferenceRange('hemoglobin', { gender: 'male', age: 40 })).toEqual({ low: 13.5, high: 17.5 });
+    expect(getReferenceRange('hemoglobin', { gender: 'female', age: 40 })).toEqual({ low: 12.0, high: 15.5 });
+    expect(getReferenceRange('hemoglobin', { age: 8 })).toEqual({ low: 11.5, high: 15.5 });
+    expect(getReferenceRange('hemoglobin', null)).toEqual({ low: 12.0, high: 17.5 });
+  });
+
+  it('flags high, low and critical values', () => {
+    expect(normalizeLabResult({ test: 'K', value: '5.4', unit: 'mmol/L' }).flag).toBe('H');
+    expect(normalizeLabResult({ test: 'Na', value: '131', unit: 'mmol/L' }).flag).toBe('L');
+
+    const critical = normalizeLabResult({ test: 'Potassium', value: '6.9', unit: 'mmol/L' });
+    expect(critical.flag).toBe('HH');
+    expect(critical.critical).toBe(true);
+  });
+
+  it('prefers the range printed on the report', () => {
+    const result = normalizeLabResult({ test: 'Na', value: '146', unit: 'mmol/L', referenceRange: '136-148' });
+    expect(result.referenceRange).toMatchObject({ low: 136, high: 148, source: 'report' });
+    expect(result.flag).toBe('N');
+  });
+});
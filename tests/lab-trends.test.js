@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import { buildLabTrends } from '../lib/labs/trends.js';
+import { parseCollectionTime } from '../lib/labs/collection-time.js';
+import { parseByDocumentType } from '../lib/ocr/textExtractor.js';
+
+function labReport(id, collectedAt, lines) {
+  return { id, type: 'lab', structuredData: { collectedAt }, extractedText: lines.join('\n') };
+}
+
+describe('lab trends', () => {
+  it('builds a sorted series with deltas and rate of change', () => {
+    const trends = buildLabTrends([
+      labReport('r2', '2024-03-02T08:00:00Z', ['Creatinine 1.2 mg/dL']),
+      labReport('r1', '2024-03-01T08:00:00Z', ['Creatinine 1.0 mg/dL'])
+    ]);
+
+    const creatinine = trends.series.find(s => s.analyte === 'creatinine');
+    expect(creatinine.points.map(p => p.reportId)).toEqual(['r1', 'r2']);
+    expect(creatinine.delta).toBe(0.2);
+    expect(creatinine.ratePerDay).toBe(0.2);
+  });
+
+  it('flags a creatinine rise of 0.3 mg/dL within 48h', () => {
+    const trends = buildLabTrends([
+      labReport('r1', '2024-03-01T08:00:00Z', ['Creatinine 1.0 mg/dL']),
+      labReport('r2', '2024-03-02T20:00:00Z', ['Creatinine 1.4 mg/dL'])
+    ]);
+
+    const alert = trends.alerts.find(a => a.rule === 'aki_absolute');
+    expect(alert).toBeDefined();
+    expect(alert.change).toBe(0.4);
+    expect(alert.hours).toBe(36);
+  });
+
+  it('ignores the same rise spread over more than 48h', () => {
+    const trends = buildLabTrends([
+      labReport('r1', '2024-03-01T08:00:00Z', ['Creatinine 1.0 mg/dL']),
+      labReport('r2', '2024-03-05T08:00:00Z', ['Creatinine 1.35 mg/dL'])
+    ]);
+
+    expect(trends.alerts.find(a => a.rule === 'aki_absolute')).toBeUndefined();
+  });
+
+  it('flags a hemoglobin drop of 2 g/dL across unit systems', () => {
+    const trends = buildLabTrends([
+      labReport('r1', '2024-03-01T08:00:00Z', ['Hb 11.0 g/dL']),
+      labReport('r2', '2024-03-02T08:00:00Z', ['Hb 85 g/L'])
+    ]);
+
+    const alert = trends.alerts.find(a => a.rule === 'hemoglobin_drop');
+    expect(alert.from.value).toBe(11);
+    expect(alert.to.value).toBe(8.5);
+  });
+
+  it('reads the text of reports as ReportDB returns them', () => {
+    const row = (id, collectedAt, lines) => ({
+      id,
+      report_type: 'lab',
+      created_at: '2024-03-05 10:00:00',
+      extracted_text: lines.join('\n'),
+      structured_data: JSON.stringify({ collectedAt })
+    });
+
+    const trends = buildLabTrends([
+      row('r1', '2024-03-01T08:00:00Z', ['Creatinine 1.0 mg/dL']),
+      row('r2', '2024-03-02T08:00:00Z', ['Creatinine 1.4 mg/dL'])
+    ]);
+
+    expect(trends.series.find(s => s.analyte === 'creatinine').points).toHaveLength(2);
+    expect(trends.alerts.map(a => a.rule)).toContain('aki_absolute');
+  });
+
+  it('orders reports without a collection time by when they were saved but never alerts on them', () => {
+    const trends = buildLabTrends([
+      { id: 'r1', type: 'lab', createdAt: '2024-03-01T08:00:00Z', extractedText: 'Creatinine 1.0 mg/dL\nHb 12.0 g/dL' },
+      labReport('r2', '2024-03-02T08:00:00Z', ['Creatinine 1.6 mg/dL', 'Hb 9.0 g/dL'])
+    ]);
+
+    const creatinine = trends.series.find(s => s.analyte === 'creatinine');
+    expect(creatinine.points.map(p => [p.reportId, p.timeKnown])).toEqual([['r1', false], ['r2', true]]);
+    expect(creatinine.delta).toBe(0.6);
+    expect(creatinine.ratePerDay).toBeNull();
+    expect(trends.alerts).toEqual([]);
+  });
+});
+
+describe('collection time', () => {
+  it('reads the printed collection date and time', () => {
+    expect(parseCollectionTime('Collected: 01/03/2024 08:15')).toBe('2024-03-01T08:15');
+    expect(parseCollectionTime('Collection Date/Time: 2024-03-01 21:40')).toBe('2024-03-01T21:40');
+    expect(parseCollectionTime('Specimen taken 4:05 pm 2 Mar 24')).toBe('2024-03-02T16:05');
+    expect(parseCollectionTime('Date Collected: Mar 1, 2024')).toBe('2024-03-01T00:00');
+  });
+
+  it('finds no collection time in other dates or impossible ones', () => {
+    expect(parseCollectionTime('Reported: 01/03/2024 08:15\nDOB: 04/03/1961')).toBeNull();
+    expect(parseCollectionTime('Collected: 03/15/2024 08:15')).toBeNull();
+    expect(parseCollectionTime('')).toBeNull();
+  });
+
+  it('is stored with the parsed lab results', () => {
+    const parsed = parseByDocumentType('CHEMISTRY\nCollected: 02/03/2024 06:30\nCreatinine 1.4 mg/dL', 'lab');
+    expect(parsed.collectedAt).toBe('2024-03-02T06:30');
+    expect(parseByDocumentType('Creatinine 1.4 mg/dL', 'lab').collectedAt).toBeNull();
+  });
+});
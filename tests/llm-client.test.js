@@ -0,0 +1,135 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createLlmClient, LlmError, isRetryable } from '../lib/ai/llm-client.js';
+import { providersFromEnv, parseModels, createOpenAIProvider, createAnthropicProvider } from '../lib/ai/providers/index.js';
+
+function httpError(status, message = `HTTP ${status}`) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Provider answering from a list of outcomes (Error instances are thrown)
+function scripted(name, outcomes) {
+  const calls = [];
+  return {
+    name,
+    calls,
+    async complete(request) {
+      calls.push(request);
+      const outcome = outcomes[Math.min(calls.length - 1, outcomes.length - 1)];
+      if (outcome instanceof Error) throw outcome;
+      return { content: outcome, usage: {}, model: `${name}-model`, finishReason: 'stop' };
+    }
+  };
+}
+
+const noSleep = vi.fn(async () => {});
+
+describe('LLM client', () => {
+  it('retries transient errors with backoff before answering', async () => {
+    const sleep = vi.fn(async () => {});
+    const openai = scripted('openai', [httpError(429), httpError(503), '{"ok":true}']);
+    const client = createLlmClient({ providers: [openai], retries: 2, backoff: 100, sleep });
+
+    const result = await client.complete('system', 'prompt', { task: 'interpretation' });
+
+    expect(result).toMatchObject({ content: '{"ok":true}', provider: 'openai' });
+    expect(openai.calls).toHaveLength(3);
+    expect(openai.calls[0]).toMatchObject({ system: 'system', prompt: 'prompt', task: 'interpretation' });
+    expect(sleep.mock.calls[0][0]).toBeGreaterThanOrEqual(100);
+    expect(sleep.mock.calls[1][0]).toBeGreaterThanOrEqual(200);
+  });
+
+  it('falls back to the next provider, skipping retries for errors a retry cannot fix', async () => {
+    const openai = scripted('openai', [httpError(401, 'Invalid API key')]);
+    const anthropic = scripted('anthropic', [httpError(529), '{"from":"anthropic"}']);
+    const client = createLlmClient({ providers: [openai, anthropic], sleep: noSleep });
+
+    const result = await client.complete('system', 'prompt');
+
+    expect(result.provider).toBe('anthropic');
+    expect(openai.calls).toHaveLength(1);
+    expect(anthropic.calls).toHaveLength(2);
+  });
+
+  it('times out a hanging provider and reports every failed attempt', async () => {
+    const hanging = { name: 'local', retries: 0, timeout: 20, complete: () => new Promise(() => {}) };
+    const down = scripted('openai', [httpError(500)]);
+    const client = createLlmClient({ providers: [hanging, down], retries: 1, sleep: noSleep });
+
+    const error = await client.complete('system', 'prompt').catch(e => e);
+
+    expect(error).toBeInstanceOf(LlmError);
+    expect(error.failures.map(f => [f.provider, f.attempt, f.status])).toEqual([
+      ['local', 1, null],
+      ['openai', 1, 500],
+      ['openai', 2, 500]
+    ]);
+    expect(error.failures[0].message).toMatch(/did not answer within 20 ms/);
+  });
+
+  it('classifies retryable errors', () => {
+    expect(isRetryable(httpError(429))).toBe(true);
+    expect(isRetryable(httpError(502))).toBe(true);
+    expect(isRetryable(new Error('socket hang up'))).toBe(true);
+    expect(isRetryable(httpError(400))).toBe(false);
+    expect(isRetryable(httpError(403))).toBe(false);
+  });
+
+  it('picks each provider model per task and maps Anthropic responses', async () => {
+    const openaiCreate = vi.fn(async (body) => ({
+      model: body.model,
+      choices: [{ message: { content: '{}' }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+    }));
+    const openai = createOpenAIProvider({
+      models: { default: 'gpt-4o', pearls: 'gpt-4o-mini' },
+      client: { chat: { completions: { create: openaiCreate } } }
+    });
+
+    await openai.complete({ system: 's', prompt: 'p', task: 'pearls', responseFormat: 'json' });
+    await openai.complete({ system: 's', prompt: 'p', task: 'interpretation' });
+    expect(openaiCreate.mock.calls.map(([body]) => body.model)).toEqual(['gpt-4o-mini', 'gpt-4o']);
+    expect(openaiCreate.mock.calls[0][0].response_format).toEqual({ type: 'json_object' });
+
+    const anthropicCreate = vi.fn(async (body) => ({
+      model: body.model,
+      content: [{ type: 'text', text: 'Here is the result:\n{"summary":"ok"}' }],
+      stop_reason: 'max_tokens',
+      usage: { input_tokens: 12, output_tokens: 8 }
+    }));
+    const anthropic = createAnthropicProvider({
+      models: { default: 'claude-sonnet-4-5' },
+      client: { messages: { create: anthropicCreate } }
+    });
+
+    const result = await anthropic.complete({ system: 'Interpret', prompt: 'K 5.8', responseFormat: 'json', temperature: 1.5 });
+    expect(result).toEqual({
+      content: '{"summary":"ok"}',
+      usage: { promptTokens: 12, completionTokens: 8, totalTokens: 20 },
+      model: 'claude-sonnet-4-5',
+      finishReason: 'length'
+    });
+    expect(anthropicCreate.mock.calls[0][0]).toMatchObject({ temperature: 1, messages: [{ role: 'user', content: 'K 5.8' }] });
+    expect(anthropic.embed).toBeUndefined();
+  });
+
+  it('builds the fallback chain from the environment', () => {
+    const env = {
+      OPENAI_API_KEY: 'sk-test',
+      ANTHROPIC_API_KEY: 'sk-ant-test',
+      ANTHROPIC_MODELS: 'pearls=claude-haiku-4-5',
+      LOCAL_LLM_URL: 'http://llm.ward.local:8000/v1',
+      LOCAL_LLM_TIMEOUT_MS: '120000',
+      LLM_PROVIDERS: 'local, anthropic, openai'
+    };
+
+    const { providers, embeddingProviders } = providersFromEnv(env);
+
+    expect(providers.map(p => p.name)).toEqual(['local', 'anthropic', 'openai']);
+    expect(providers[0].timeout).toBe(120000);
+    expect(providers[1].models).toEqual({ default: 'claude-sonnet-4-5', economy: 'claude-haiku-4-5', pearls: 'claude-haiku-4-5' });
+    expect(embeddingProviders.map(p => p.name)).toEqual(['openai']);
+
+    expect(providersFromEnv({ ANTHROPIC_API_KEY: 'k' }).embeddingProviders).toEqual([]);
+    expect(parseModels('pearls = a, questions=b, broken')).toEqual({ pearls: 'a', questions: 'b' });
+  });
+});
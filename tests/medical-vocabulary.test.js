@@ -0,0 +1,72 @@
+import { describe, it, expect, vi } from 'vitest';
+import { correctToken, correctMedicalText, correctExtraction } from '../lib/ocr/medicalVocabulary.js';
+import { processDocument } from '../lib/ocr/textExtractor.js';
+
+const MISREAD = 'Creatlnine 88 umoI/L\nHemoglobln 9.8 g/dI (13.0-17.0)';
+
+// Image OCR without Tesseract: the pool returns MISREAD as recognized text
+vi.mock('../lib/ocr/tesseractPool.js', () => ({
+  OcrCancelledError: class OcrCancelledError extends Error {},
+  getOcrPool: () => ({
+    recognize: async () => ({
+      text: MISREAD,
+      confidence: 85,
+      words: MISREAD.split(/\s+/).map((text, i) => ({
+        text,
+        confidence: 85,
+        bbox: { x0: i * 100, y0: 0, x1: i * 100 + 90, y1: 20 }
+      }))
+    })
+  })
+}));
+
+describe('Medical vocabulary correction', () => {
+  it('fixes confusable characters in analytes, units and drugs', () => {
+    const { text, corrections } = correctMedicalText('CREATlNINE 88 umoI/L\nAIT 45 U/I\nFurosernide 40 mg');
+
+    expect(text).toBe('CREATININE 88 umol/L\nALT 45 U/L\nFurosemide 40 mg');
+    expect(corrections).toEqual([
+      { from: 'CREATlNINE', to: 'CREATININE', line: 1, reason: 'confusion', category: 'analyte' },
+      { from: 'umoI/L', to: 'umol/L', line: 1, reason: 'confusion', category: 'unit' },
+      { from: 'AIT', to: 'ALT', line: 2, reason: 'confusion', category: 'analyte' },
+      { from: 'U/I', to: 'U/L', line: 2, reason: 'confusion', category: 'unit' },
+      { from: 'Furosernide', to: 'Furosemide', line: 3, reason: 'confusion', category: 'drug' }
+    ]);
+  });
+
+  it('corrects long words one edit away and keeps punctuation', () => {
+    expect(correctToken('Bilirubn:')).toEqual({ text: 'Bilirubin:', reason: 'edit_distance', category: 'analyte' });
+    expect(correctToken('(Sodiurn)')).toMatchObject({ text: '(Sodium)', reason: 'confusion' });
+  });
+
+  it('leaves known words, values and ordinary English alone', () => {
+    const text = 'Medical history: spiral fracture, medial aspect\nPotassium 5.8 mmol/L 10^9/L\nK 4.1 chlorine modern';
+
+    expect(correctMedicalText(text)).toEqual({ text, corrections: [] });
+  });
+
+  it('corrects word boxes along with the text', () => {
+    const corrected = correctExtraction({
+      text: 'Hemoglobln 9.8',
+      confidence: 0.8,
+      wordBoxes: [{ text: 'Hemoglobln', confidence: 0.5, page: 1, bbox: { x0: 0, y0: 0, x1: 90, y1: 20 } }]
+    });
+
+    expect(corrected.text).toBe('Hemoglobin 9.8');
+    expect(corrected.wordBoxes[0]).toMatchObject({ text: 'Hemoglobin', confidence: 0.5 });
+    expect(corrected.vocabularyCorrections).toHaveLength(1);
+  });
+
+  it('runs between image OCR and parsing unless turned off', async () => {
+    const file = { name: 'labs.jpg', size: 1, type: 'image/jpeg' };
+
+    const corrected = await processDocument(file, 'image/jpeg', 'lab');
+    expect(corrected.fullText).toBe('Creatinine 88 umol/L\nHemoglobin 9.8 g/dL (13.0-17.0)');
+    expect(corrected.structuredData.results.map(r => r.analyte)).toEqual(['creatinine', 'hemoglobin']);
+    expect(corrected.vocabularyCorrections.map(c => c.to)).toEqual(['Creatinine', 'umol/L', 'Hemoglobin', 'g/dL']);
+
+    const raw = await processDocument(file, 'image/jpeg', 'lab', { correctVocabulary: false });
+    expect(raw.fullText).toBe(MISREAD);
+    expect(raw.vocabularyCorrections).toBeUndefined();
+  });
+});
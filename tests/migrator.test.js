@@ -0,0 +1,99 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+import {
+  migrateUp,
+  migrateDown,
+  getMigrationStatus,
+  assertSchemaCurrent,
+  SchemaOutOfDateError
+} from '../lib/storage/migrator.js';
+import { DATABASES } from '../lib/storage/migrations/index.js';
+import { getAuditDatabase, closeDatabases } from '../lib/storage/database.js';
+
+function tableExists(db, name) {
+  return !!db.prepare("SELECT name FROM sqlite_master WHERE name = ?").get(name);
+}
+
+describe('migrator', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('reports every migration as pending on an empty database', () => {
+    const status = getMigrationStatus(db, 'main');
+    expect(status.currentVersion).toBe(0);
+    expect(status.pending).toEqual(DATABASES.main.migrations.map(m => m.version));
+  });
+
+  it('applies pending migrations and records them', () => {
+    const applied = migrateUp(db, 'main');
+    expect(applied.length).toBe(DATABASES.main.migrations.length);
+    expect(tableExists(db, 'reports')).toBe(true);
+    expect(getMigrationStatus(db, 'main').pending).toEqual([]);
+    expect(migrateUp(db, 'main')).toEqual([]);
+  });
+
+  it('leaves the database untouched on a dry run', () => {
+    const wouldApply = migrateUp(db, 'knowledge', { dryRun: true });
+    expect(wouldApply.length).toBeGreaterThan(0);
+    expect(tableExists(db, 'knowledge')).toBe(false);
+    expect(tableExists(db, 'schema_migrations')).toBe(false);
+  });
+
+  it('rolls back the most recent migration', () => {
+    migrateUp(db, 'audit');
+    const latest = getMigrationStatus(db, 'audit').latestVersion;
+    const rolledBack = migrateDown(db, 'audit');
+    expect(rolledBack.map(m => m.version)).toEqual([latest]);
+    expect(getMigrationStatus(db, 'audit').pending).toContain(latest);
+  });
+
+  it('refuses an out-of-date schema', () => {
+    expect(() => assertSchemaCurrent(db, 'main')).toThrow(SchemaOutOfDateError);
+    migrateUp(db, 'main');
+    expect(() => assertSchemaCurrent(db, 'main')).not.toThrow();
+  });
+});
+
+describe('audit database', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'medward-audit-'));
+    vi.stubEnv('AUDIT_DB_PATH', path.join(dir, 'audit.db'));
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    closeDatabases();
+    vi.unstubAllEnvs();
+    vi.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('is null without audit.db, warning once and creating nothing', () => {
+    expect(getAuditDatabase()).toBeNull();
+    expect(getAuditDatabase()).toBeNull();
+    expect(console.warn).toHaveBeenCalledTimes(1);
+    expect(fs.existsSync(process.env.AUDIT_DB_PATH)).toBe(false);
+  });
+
+  it('opens a migrated audit.db once and shares it', () => {
+    const file = new Database(process.env.AUDIT_DB_PATH);
+    migrateUp(file, 'audit');
+    file.close();
+
+    const db = getAuditDatabase();
+    expect(tableExists(db, 'audit_log')).toBe(true);
+    expect(getAuditDatabase()).toBe(db);
+  });
+});
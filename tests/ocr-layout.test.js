@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest';
+import { buildLayout, wordsFromVision, classifyCell } from '../lib/ocr/layout.js';
+import { parseLabTable } from '../lib/labs/lab-dictionary.js';
+import { processDocument } from '../lib/ocr/textExtractor.js';
+
+// Words of one cell starting at x, 10 px per character, 20 px high
+function cell(text, x, y, page = 1) {
+  const words = [];
+  let left = x;
+  text.split(' ').forEach(part => {
+    words.push({ text: part, confidence: 0.9, page, bbox: { x0: left, y0: y, x1: left + part.length * 10, y1: y + 20 } });
+    left += part.length * 10 + 6;
+  });
+  return words;
+}
+
+// Two side-by-side result tables under a demographics header
+const LEFT = [40, 220, 310, 380, 480];
+const RIGHT = [680, 860, 950, 1020, 1120];
+const ROWS = [
+  [['Sodium', '140', '', 'mmol/L', '135-145'], ['Hemoglobin', '9.8', 'L', 'g/dL', '13.0-17.0']],
+  [['Potassium', '5.8', 'H', 'mmol/L', '3.5-5.0'], ['WBC', '11.2', 'H', '10^9/L', '4.0-11.0']],
+  [['Creatinine', '88', '', 'umol/L', '60-110'], ['Platelets', '250', '', '10^9/L', '150-400']],
+  [['Urea', '6.1', '', 'mmol/L', '2.5-7.8'], ['MCV', '85', '', 'fL', '80-100']]
+];
+
+function labSheet({ header = true } = {}) {
+  const words = [
+    ...cell('City Hospital Laboratory', 40, 10),
+    ...cell('Name: John Smith', 40, 50),
+    ...cell('MRN: 123456', 680, 50)
+  ];
+  let y = 90;
+  if (header) {
+    ['Test', 'Result', 'Flag', 'Units', 'Reference Range'].forEach((title, i) => {
+      words.push(...cell(title, LEFT[i], y), ...cell(title, RIGHT[i], y));
+    });
+    y += 30;
+  }
+  ROWS.forEach(([left, right]) => {
+    left.forEach((text, i) => text && words.push(...cell(text, LEFT[i], y)));
+    right.forEach((text, i) => text && words.push(...cell(text, RIGHT[i], y)));
+    y += 30;
+  });
+  return words;
+}
+
+describe('OCR layout', () => {
+  it('groups words into lines and cells', () => {
+    const { lines } = buildLayout(labSheet());
+
+    expect(lines[0].text).toBe('City Hospital Laboratory');
+    expect(lines[1].cells.map(c => c.text)).toEqual(['Name: John Smith', 'MRN: 123456']);
+    expect(lines).toHaveLength(7);
+  });
+
+  it('finds side-by-side lab tables under a header row', () => {
+    const [table] = buildLayout(labSheet()).tables;
+
+    expect(table.columns.map(c => c.role)).toEqual(['test', 'result', 'flag', 'unit', 'range', 'test', 'result', 'flag', 'unit', 'range']);
+    expect(table.rows).toHaveLength(4);
+    expect(table.rows[1].records).toEqual([
+      { test: 'Potassium', result: '5.8', flag: 'H', unit: 'mmol/L', range: '3.5-5.0' },
+      { test: 'WBC', result: '11.2', flag: 'H', unit: '10^9/L', range: '4.0-11.0' }
+    ]);
+  });
+
+  it('infers column roles from cell contents when there is no header', () => {
+    const [table] = buildLayout(labSheet({ header: false })).tables;
+
+    expect(table.header).toBeNull();
+    expect(table.columns.filter(c => c.role === 'test')).toHaveLength(2);
+    expect(parseLabTable(table)).toHaveLength(8);
+  });
+
+  it('classifies cell contents', () => {
+    expect(classifyCell('3.5 - 5.0')).toBe('range');
+    expect(classifyCell('5.8 H')).toBe('result');
+    expect(classifyCell('x10^9/L')).toBe('unit');
+    expect(classifyCell('HIGH')).toBe('flag');
+    expect(classifyCell('Alkaline phosphatase')).toBe('test');
+  });
+
+  it('reads lab rows from the table instead of the interleaved OCR text', async () => {
+    // Column-by-column text as OCR engines emit it for multi-column sheets
+    const interleaved = [
+      'Sodium', 'Potassium', 'Creatinine', 'Urea',
+      '140 mmol/L', '5.8 H mmol/L', '88 umol/L', '6.1 mmol/L',
+      'Hemoglobin', 'WBC', 'Platelets', 'MCV',
+      '9.8 L g/dL', '11.2 H 10^9/L', '250 10^9/L', '85 fL'
+    ].join('\n');
+
+    const result = await processDocument({ name: 'labs.jpg', size: 1 }, 'image/jpeg', 'lab', {
+      extraction: { text: interleaved, confidence: 0.9, wordBoxes: labSheet() }
+    });
+    const byAnalyte = Object.fromEntries(result.structuredData.results.map(r => [r.analyte, r]));
+
+    expect(result.structuredData.source).toBe('table');
+    expect(result.structuredData.results).toHaveLength(8);
+    expect(byAnalyte.potassium).toMatchObject({ value: 5.8, flag: 'H', printedFlag: 'H' });
+    expect(byAnalyte.hemoglobin.flag).toBe('L');
+    expect(byAnalyte.wbc.referenceRange).toMatchObject({ low: 4, high: 11, source: 'report' });
+  });
+
+  it('converts Vision word annotations', () => {
+    const words = wordsFromVision({
+      pages: [{
+        blocks: [{
+          paragraphs: [{
+            words: [{
+              confidence: 0.97,
+              symbols: [{ text: 'N' }, { text: 'a' }],
+              boundingBox: { vertices: [{ x: 10 }, { x: 30 }, { x: 30, y: 20 }, { x: 10, y: 20 }] }
+            }]
+          }]
+        }]
+      }]
+    });
+
+    expect(words).toEqual([{ text: 'Na', confidence: 0.97, page: 1, bbox: { x0: 10, y0: 0, x1: 30, y1: 20 } }]);
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import {
+  detectPageCorners,
+  computeHomography,
+  applyHomography,
+  warpPerspective,
+  estimateSkewAngle,
+  rotateImage,
+  sauvolaBinarize
+} from '../lib/ocr/pageGeometry.js';
+
+// Gray test image filled by a per-pixel function
+function makeImage(width, height, fill) {
+  const data = new Uint8ClampedArray(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) data[y * width + x] = fill(x, y);
+  }
+  return { width, height, data };
+}
+
+function insideQuad(quad, x, y) {
+  return quad.every((p, i) => {
+    const q = quad[(i + 1) % quad.length];
+    return (q.x - p.x) * (y - p.y) - (q.y - p.y) * (x - p.x) >= 0;
+  });
+}
+
+// Horizontal "text lines" of dark dashes on white
+const textLines = (x, y) => (y % 12 < 3 && x % 9 < 6 && x > 10 && x < 290 ? 20 : 235);
+
+describe('page geometry', () => {
+  it('finds the corners of a page photographed at an angle', () => {
+    const page = [{ x: 60, y: 30 }, { x: 250, y: 50 }, { x: 270, y: 220 }, { x: 40, y: 200 }];
+    const photo = makeImage(300, 250, (x, y) => (insideQuad(page, x, y) ? 225 : 60));
+
+    const result = detectPageCorners(photo);
+
+    expect(result).not.toBeNull();
+    result.corners.forEach((corner, i) => {
+      expect(Math.abs(corner.x * 299 - page[i].x)).toBeLessThan(4);
+      expect(Math.abs(corner.y * 249 - page[i].y)).toBeLessThan(4);
+    });
+  });
+
+  it('returns null when the page fills the frame', () => {
+    expect(detectPageCorners(makeImage(200, 150, textLines))).toBeNull();
+  });
+
+  it('maps the four reference points exactly', () => {
+    const src = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 50 }, { x: 0, y: 50 }];
+    const dst = [{ x: 10, y: 5 }, { x: 90, y: 15 }, { x: 95, y: 70 }, { x: 5, y: 60 }];
+    const h = computeHomography(src, dst);
+
+    src.forEach((p, i) => {
+      const mapped = applyHomography(h, p.x, p.y);
+      expect(mapped.x).toBeCloseTo(dst[i].x, 6);
+      expect(mapped.y).toBeCloseTo(dst[i].y, 6);
+    });
+  });
+
+  it('warps the page onto an upright rectangle', () => {
+    const photo = makeImage(100, 100, (x, y) => (x >= 20 && x <= 80 && y >= 10 && y <= 90 ? 200 : 0));
+    const warped = warpPerspective(photo, [
+      { x: 20 / 99, y: 10 / 99 }, { x: 80 / 99, y: 10 / 99 }, { x: 80 / 99, y: 90 / 99 }, { x: 20 / 99, y: 90 / 99 }
+    ]);
+
+    expect(warped.width).toBe(60);
+    expect(warped.height).toBe(80);
+    expect(Math.min(...warped.data)).toBeGreaterThan(150);
+  });
+
+  it('measures text-line skew and straightens it', () => {
+    const straight = makeImage(300, 200, textLines);
+    const skewed = rotateImage(straight, 4);
+
+    expect(estimateSkewAngle(straight)).toBe(0);
+    expect(Math.abs(estimateSkewAngle(skewed) - 4)).toBeLessThanOrEqual(0.3);
+    expect(Math.abs(estimateSkewAngle(rotateImage(skewed, -4)))).toBeLessThanOrEqual(0.3);
+  });
+
+  it('binarizes text under a shadow that defeats a global threshold', () => {
+    // Background fades from 240 to 90 left to right; text ink is 35% of the paper
+    const shaded = makeImage(200, 100, (x, y) => {
+      const background = 240 - x * 0.75;
+      return y % 12 < 3 && x % 9 < 6 ? background * 0.35 : background;
+    });
+    const binary = sauvolaBinarize(shaded, { windowSize: 15 });
+
+    const at = (x, y) => binary.data[y * 200 + x];
+    expect(at(20, 1)).toBe(0);
+    expect(at(20, 7)).toBe(255);
+    expect(at(185, 1)).toBe(0);
+    expect(at(185, 7)).toBe(255);
+  });
+});
@@ -0,0 +1,152 @@
+import { describe, it, expect } from 'vitest';
+import sharp from 'sharp';
+import { extractPdf, extractPdfText, splitReports } from '../lib/ocr/pdfExtractor.js';
+import { processDocument } from '../lib/ocr/textExtractor.js';
+
+/**
+ * Build a minimal PDF. Pages are { lines } (text layer) or { jpeg, width, height } (scanned).
+ */
+function buildPdf(pages) {
+  const objects = [];
+  const add = (object) => objects.push(object) && objects.length;
+
+  const catalogId = add(null);
+  const pagesId = add(null);
+  const fontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+  const kids = [];
+
+  for (const page of pages) {
+    let content;
+    let resources;
+
+    if (page.lines) {
+      content = `BT /F1 12 Tf 50 750 Td 14 TL ${page.lines.map(line => `(${line}) Tj T*`).join(' ')} ET`;
+      resources = `<< /Font << /F1 ${fontId} 0 R >> >>`;
+    } else {
+      const imageId = add({
+        dict: `<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>`,
+        stream: page.jpeg
+      });
+      content = 'q 612 0 0 792 0 0 cm /Im1 Do Q';
+      resources = `<< /XObject << /Im1 ${imageId} 0 R >> >>`;
+    }
+
+    const contentId = add({ dict: `<< /Length ${content.length} >>`, stream: Buffer.from(content) });
+    kids.push(add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 612 792] /Contents ${contentId} 0 R /Resources ${resources} >>`));
+  }
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${kids.map(id => `${id} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+
+  const chunks = [Buffer.from('%PDF-1.4\n')];
+  const offsets = [];
+  let length = chunks[0].length;
+
+  objects.forEach((object, index) => {
+    offsets.push(length);
+    const chunk = typeof object === 'string'
+      ? Buffer.from(`${index + 1} 0 obj\n${object}\nendobj\n`)
+      : Buffer.concat([
+        Buffer.from(`${index + 1} 0 obj\n${object.dict}\nstream\n`),
+        object.stream,
+        Buffer.from('\nendstream\nendobj\n')
+      ]);
+    chunks.push(chunk);
+    length += chunk.length;
+  });
+
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>`,
+    'startxref',
+    String(length),
+    '%%EOF'
+  ].join('\n');
+
+  return Buffer.concat([...chunks, Buffer.from(xref)]);
+}
+
+async function scannedPage() {
+  const svg = '<svg width="400" height="200" xmlns="http://www.w3.org/2000/svg"><rect width="100%" height="100%" fill="white"/></svg>';
+  const jpeg = await sharp(Buffer.from(svg)).grayscale().jpeg().toBuffer();
+  return { jpeg, width: 400, height: 200 };
+}
+
+describe('PDF extraction', () => {
+  it('reads the text layer with page numbers and OCRs scanned pages', async () => {
+    const pdf = buildPdf([
+      { lines: ['LABORATORY REPORT', 'Sodium 140 mmol/L'] },
+      await scannedPage()
+    ]);
+
+    const ocrCalls = [];
+    const result = await extractPdf(pdf, {
+      recognize: async (image) => {
+        ocrCalls.push(image);
+        return { text: 'Potassium 4.1 mmol/L', confidence: 0.8 };
+      }
+    });
+
+    expect(result.pageCount).toBe(2);
+    expect(result.pages[0]).toMatchObject({ pageNumber: 1, source: 'text', confidence: 1 });
+    expect(result.pages[0].text).toContain('Sodium 140 mmol/L');
+    expect(result.pages[1]).toMatchObject({ pageNumber: 2, source: 'ocr', text: 'Potassium 4.1 mmol/L' });
+    expect(result.ocrPages).toEqual([2]);
+
+    // The OCR input is a PNG of the embedded page image
+    expect(ocrCalls).toHaveLength(1);
+    expect(ocrCalls[0].subarray(1, 4).toString()).toBe('PNG');
+  });
+
+  it('leaves scanned pages empty when OCR fallback is disabled', async () => {
+    const pdf = buildPdf([await scannedPage()]);
+    const result = await extractPdf(pdf, { ocrFallback: false });
+
+    expect(result.pages[0].source).toBe('none');
+    expect(result.text).toBe('');
+    expect(result.confidence).toBe(0);
+  });
+
+  it('splits a bundle by report headers, keeping continuation and cover pages together', () => {
+    const reports = splitReports([
+      { pageNumber: 1, text: 'St Elsewhere Hospital\nDischarge bundle' },
+      { pageNumber: 2, text: 'LABORATORY REPORT\nSodium 140 mmol/L' },
+      { pageNumber: 3, text: 'Potassium 4.1 mmol/L' },
+      { pageNumber: 4, text: 'RADIOLOGY REPORT\nCT Chest\nImpression: no acute findings' },
+      { pageNumber: 5, text: 'DISCHARGE SUMMARY\nDiagnosis: pneumonia' }
+    ]);
+
+    expect(reports.map(r => [r.type, r.pages])).toEqual([
+      ['lab', [1, 2, 3]],
+      ['imaging', [4]],
+      ['note', [5]]
+    ]);
+  });
+
+  it('processes each report of a multi-report PDF through processDocument', async () => {
+    const pdf = buildPdf([
+      { lines: ['LABORATORY REPORT', 'Sodium 120 mmol/L', 'Creatinine 1.0 mg/dL'] },
+      { lines: ['RADIOLOGY REPORT', 'Findings', 'Clear lungs', 'Impression', 'No acute disease'] }
+    ]);
+
+    const result = await processDocument(pdf, 'application/pdf', 'general', {
+      extraction: await extractPdfText(pdf, { defaultType: 'general' })
+    });
+
+    expect(result.metadata.pages).toBe(2);
+    expect(result.reports).toHaveLength(2);
+
+    const [lab, imaging] = result.reports;
+    expect(lab.type).toBe('lab');
+    expect(lab.structuredData.pages).toEqual([1]);
+    expect(lab.structuredData.results.find(r => r.analyte === 'sodium').flag).toBe('L');
+
+    expect(imaging.type).toBe('imaging');
+    expect(imaging.structuredData.pages).toEqual([2]);
+    expect(imaging.structuredData.impression).toBe('No acute disease');
+  });
+});
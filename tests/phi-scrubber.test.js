@@ -0,0 +1,156 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const complete = vi.fn();
+vi.mock('../lib/ai/llm-client.js', () => ({
+  getLlmClient: () => ({ complete })
+}));
+
+const readDocumentLocally = vi.fn();
+vi.mock('../lib/offline/offline-scan.js', () => ({ readDocumentLocally }));
+
+const { createPhiScrubber, deidentify } = await import('../lib/security/phi-scrubber.js');
+const { generateCompletion } = await import('../lib/ai/openai-client.js');
+const { fetchInterpretation } = await import('../lib/services/googleScriptClient.js');
+const { processDocumentAuto } = await import('../lib/services/completeGoogleScriptFlow.js');
+const { interpretJob } = await import('../lib/offline/scan-queue.js');
+
+const HEADER = `ROYAL HOSPITAL - BIOCHEMISTRY
+Patient Name: SMITH, John MRN: A1234567
+DOB: 04/03/1961  Tel: +965 2222 3333
+Requested by Dr Rahman, ward 5B
+Potassium 5.2 mmol/L (3.5-5.0)
+pH 7.35 (7.35-7.45)
+Mr Smith to repeat in 6 hours. Queries: lab@royal.example.org or 555-123-4567.`;
+
+const PATIENT = { name: 'John Smith', mrn: 'A1234567', dateOfBirth: '1961-03-04' };
+
+describe('PHI scrubber', () => {
+  beforeEach(() => {
+    complete.mockReset();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('replaces header identifiers with placeholders and keeps clinical content', () => {
+    const { text } = deidentify(HEADER, { patient: PATIENT });
+
+    expect(text).toBe(`ROYAL HOSPITAL - BIOCHEMISTRY
+Patient Name: [NAME_1] MRN: [MRN_1]
+DOB: [DOB_1]  Tel: [PHONE_1]
+Requested by Dr Rahman, ward 5B
+Potassium 5.2 mmol/L (3.5-5.0)
+pH 7.35 (7.35-7.45)
+Mr [NAME_1] to repeat in 6 hours. Queries: [EMAIL_1] or [PHONE_2].`);
+  });
+
+  it('uses stable placeholders and restores them in nested responses', () => {
+    const scrubber = createPhiScrubber({ patient: PATIENT });
+
+    const first = scrubber.scrub('MRN: A1234567, Mr Smith');
+    const second = scrubber.scrub({ note: 'Smith reviewed; mrn a1234567', list: ['John Smith'] });
+
+    expect(first).toBe('MRN: [MRN_1], Mr [NAME_1]');
+    expect(second).toEqual({ note: '[NAME_1] reviewed; mrn [MRN_1]', list: ['[NAME_1]'] });
+    expect(scrubber.restore({ summary: '[NAME_1] has hyperkalaemia', ids: ['[MRN_1]', '[NAME_9]'] })).toEqual({
+      summary: 'Smith has hyperkalaemia',
+      ids: ['A1234567', '[NAME_9]']
+    });
+  });
+
+  it('reports what was redacted without the identifiers', () => {
+    const { report } = deidentify(HEADER, { patient: PATIENT });
+
+    expect(report.total).toBe(7);
+    expect(report.byType).toEqual({ NAME: 2, MRN: 1, DOB: 1, PHONE: 2, EMAIL: 1 });
+    expect(report.items.find(item => item.placeholder === '[MRN_1]')).toMatchObject({ type: 'MRN', source: 'patient' });
+    expect(JSON.stringify(report)).not.toMatch(/Smith|A1234567|1961|2222/);
+  });
+
+  it('does not scrub name parts that are medical words', () => {
+    const { text } = deidentify('Mary Heart: bloods reviewed. Heart size normal. Mary seen.', {
+      patient: { name: 'Mary Heart' }
+    });
+
+    expect(text).toBe('[NAME_1]: bloods reviewed. Heart size normal. [NAME_1] seen.');
+  });
+
+  it('scrubs short name parts as whole, capitalised words', () => {
+    const { text } = deidentify('Li Wu, 58F. Wu has AKI; WU seen. Creatinine rising as li-ion tube wuxi an aside.', {
+      patient: { name: 'Li Wu' }
+    });
+
+    expect(text).toBe('[NAME_1], 58F. [NAME_1] has AKI; [NAME_1] seen. Creatinine rising as li-ion tube wuxi an aside.');
+  });
+
+  it('gives every form of one name the same placeholder', () => {
+    const scrubber = createPhiScrubber();
+
+    expect(scrubber.scrub('Name: SMITH, John. Mr. Smith seen on the ward round.'))
+      .toBe('Name: [NAME_1]. Mr. [NAME_1] seen on the ward round.');
+    expect(scrubber.scrub('Mr John Smith and Mrs Jane Smith')).toBe('Mr [NAME_1] and Mrs [NAME_2]');
+    expect(scrubber.restore('[NAME_1] and [NAME_2]')).toBe('SMITH, John and Jane Smith');
+  });
+
+  it('de-identifies LLM prompts and re-identifies the answer', async () => {
+    complete.mockResolvedValue({ content: '{"summary":"[NAME_1] (MRN [MRN_1]) has a potassium of 5.2"}', usage: {}, provider: 'openai' });
+
+    const response = await generateCompletion('system', HEADER, { task: 'interpretation', patient: PATIENT });
+
+    const sent = complete.mock.calls[0][1];
+    expect(sent).not.toMatch(/Smith|SMITH|A1234567|04\/03\/1961/);
+    expect(response.content).toBe('{"summary":"SMITH, John (MRN A1234567) has a potassium of 5.2"}');
+    expect(response.redactions.total).toBe(7);
+  });
+
+  it('de-identifies text sent to the Apps Script', async () => {
+    const fetchMock = vi.fn(async () => ({
+      ok: true,
+      json: async () => ({
+        success: true,
+        interpretation: { summary: 'Mild hyperkalaemia in [NAME_1]', findings: [] },
+        clinicalPearls: { pearls: [{ pearl: 'Repeat a haemolysed potassium' }] },
+        potentialQuestions: { questions: [{ question: 'Causes?', answer: 'Haemolysis, AKI' }] }
+      })
+    }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const data = await fetchInterpretation({ action: 'interpretText', text: HEADER, documentType: 'lab' }, {}, { patient: PATIENT });
+
+    const body = JSON.parse(fetchMock.mock.calls[0][1].body);
+    expect(body.text).not.toMatch(/Smith|SMITH|A1234567|\+965/);
+    expect(data.interpretation.summary).toBe('Mild hyperkalaemia in SMITH, John');
+    expect(data.redactionReport.byType.NAME).toBe(2);
+  });
+
+  it('reads scans on the device and sends only their scrubbed text', async () => {
+    const fetchMock = vi.fn(async () => ({
+      ok: true,
+      json: async () => ({
+        success: true,
+        interpretation: { summary: 'Hyperkalaemia in [NAME_1]', findings: [] },
+        clinicalPearls: { pearls: [{ pearl: 'Repeat a haemolysed potassium' }] },
+        potentialQuestions: { questions: [{ question: 'Causes?', answer: 'Haemolysis, AKI' }] }
+      })
+    }));
+    vi.stubGlobal('fetch', fetchMock);
+    readDocumentLocally.mockResolvedValue({ fullText: HEADER, confidence: 0.9, type: 'lab', structuredData: { results: [] } });
+
+    const { report } = await processDocumentAuto({ name: 'k.jpg', type: 'image/jpeg' }, 'auto');
+    await interpretJob({ reportType: 'lab', extractedText: HEADER, ocrConfidence: 0.9 });
+
+    const bodies = fetchMock.mock.calls.map(([, request]) => JSON.parse(request.body));
+    expect(bodies.map(body => body.action)).toEqual(['interpretText', 'interpretText']);
+    bodies.forEach(body => {
+      expect(body).not.toHaveProperty('fileData');
+      expect(body.text).not.toMatch(/Smith|SMITH|A1234567|\+965/);
+    });
+    expect(report).toMatchObject({ type: 'lab', extractedText: HEADER, interpretation: { summary: 'Hyperkalaemia in SMITH, John' } });
+
+    // Nothing without text leaves the device
+    await expect(interpretJob({ reportType: 'lab', extractedText: '' })).rejects.toThrow(/scan it again/);
+    await expect(fetchInterpretation({ action: 'processDocument', fileData: 'aW1hZ2U=' })).rejects.toThrow(/de-identified text/);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import { generateProgressNote, isProgressNoteStale } from '../lib/presentation/progress-note.js';
+
+const NOW = '2024-05-04T07:00:00Z';
+
+const patient = {
+  id: 7,
+  name: 'Day Four',
+  age: 68,
+  gender: 'M',
+  chiefComplaint: 'community-acquired pneumonia',
+  admissionDate: '2024-05-01T09:00:00Z',
+  lastRoundAt: '2024-05-03T08:00:00Z'
+};
+
+const reports = [
+  {
+    id: 'lab-day2',
+    patientId: 7,
+    type: 'lab',
+    createdAt: '2024-05-02T06:00:00Z',
+    structuredData: { collectedAt: '2024-05-02T06:00:00Z' },
+    extractedText: 'Potassium 4.6 mmol/L\nCreatinine 1.0 mg/dL',
+    interpretation: { findings: [] }
+  },
+  {
+    id: 'lab-today',
+    patientId: 7,
+    type: 'lab',
+    createdAt: '2024-05-04T05:00:00Z',
+    structuredData: { collectedAt: '2024-05-04T05:00:00Z' },
+    extractedText: 'Potassium 5.9 mmol/L\nCreatinine 1.9 mg/dL',
+    interpretation: {
+      findings: [
+        { finding: 'Hyperkalemia (5.9 mmol/L)', status: 'critical', category: 'Chemistry', analyte: 'potassium', problem: 'hyperkalemia' },
+        { finding: 'Elevated creatinine (1.9 mg/dL)', status: 'abnormal', category: 'Renal', analyte: 'creatinine', problem: 'renal dysfunction' }
+      ],
+      recommendations: ['Repeat U&E in 6 hours']
+    }
+  },
+  {
+    id: 'cxr',
+    patientId: 7,
+    type: 'imaging',
+    createdAt: '2024-05-03T14:00:00Z',
+    fileName: 'CXR portable',
+    structuredData: { findings: ['Right lower zone opacity'], impression: 'Right lower lobe consolidation, improving.' },
+    interpretation: {
+      findings: [{ finding: 'Possible pneumonia or infiltrate', status: 'abnormal', category: 'Pulmonary' }],
+      recommendations: ['Repeat U&E in 6 hours', 'Follow-up imaging as indicated']
+    }
+  },
+  {
+    id: 'note',
+    patientId: 7,
+    type: 'note',
+    createdAt: '2024-05-03T20:00:00Z',
+    structuredData: {
+      sections: {
+        subjective: ['Less short of breath overnight'],
+        objective: ['Afebrile, SpO2 95% on air'],
+        assessment: ['Improving CAP'],
+        plan: ['Switch to oral antibiotics']
+      }
+    }
+  }
+];
+
+describe('progress note synthesis', () => {
+  const note = generateProgressNote(patient, reports, { now: NOW });
+
+  it('merges only reports since the last round, cited in time order', () => {
+    expect(note.sources.map(s => s.reportId)).toEqual(['cxr', 'note', 'lab-today']);
+    expect(note.sources.map(s => s.ref)).toEqual(['R1', 'R2', 'R3']);
+    expect(note.hospitalDay).toBe(3);
+  });
+
+  it('reports labs with deltas against the previous value and imaging impressions', () => {
+    const potassium = note.structured.objective.labs.find(l => l.analyte === 'potassium');
+    expect(potassium.delta).toBe(1.3);
+    expect(potassium.refs).toEqual(['R3']);
+    expect(note.objective).toMatch(/Potassium 5\.9 mmol\/L \[H\] \(↑1\.3 from 4\.6\) \[R3\]/);
+    expect(note.objective).toContain('CXR portable: Right lower lobe consolidation, improving. [R1]');
+  });
+
+  it('organizes the assessment by problem with critical problems first', () => {
+    const problems = note.structured.problems.map(p => p.problem);
+    expect(problems[0]).toBe('Hyperkalemia');
+    expect(problems).toEqual(expect.arrayContaining(['Renal dysfunction', 'Respiratory']));
+    expect(problems[problems.length - 1]).toBe('Clinical impression (from notes)');
+
+    // The creatinine rise since day 2 is listed under the same problem
+    const renal = note.structured.problems.find(p => p.problem === 'Renal dysfunction');
+    expect(renal.statements.length).toBeGreaterThan(1);
+  });
+
+  it('merges duplicate plan items and keeps every citation', () => {
+    expect(note.plan).toContain('Repeat U&E in 6 hours [R1, R3]');
+    expect(note.plan).toContain('Switch to oral antibiotics [R2]');
+    expect(note.subjective).toContain('Less short of breath overnight [R2]');
+  });
+
+  it('goes stale when a new report is attached', () => {
+    expect(isProgressNoteStale(note, patient, reports)).toBe(false);
+
+    const attached = [...reports, { id: 'ecg', patientId: 7, type: 'ecg', createdAt: '2024-05-04T06:30:00Z' }];
+    expect(isProgressNoteStale(note, patient, attached)).toBe(true);
+  });
+});
@@ -0,0 +1,269 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import Database from 'better-sqlite3';
+import { migrateUp } from '../lib/storage/migrator.js';
+
+const complete = vi.fn();
+const experimentStore = vi.hoisted(() => ({ current: null }));
+vi.mock('../lib/ai/llm-client.js', () => ({
+  getLlmClient: () => ({ complete })
+}));
+vi.mock('../lib/ai/usage-ledger.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  getUsageLedger: () => ({ checkBudget: () => ({ exceeded: false }), record: () => null })
+}));
+vi.mock('../lib/ai/prompts/experiments.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  getPromptExperiments: () => ({ active: () => experimentStore.current?.active() || [] })
+}));
+
+const {
+  renderTemplate,
+  promptVariables,
+  parsePromptId,
+  renderPrompt,
+  createPromptRegistry,
+  getPromptRegistry
+} = await import('../lib/ai/prompts/index.js');
+const { createPromptExperiments } = await import('../lib/ai/prompts/experiments.js');
+const { PROMPT_TEMPLATES } = await import('../lib/ai/prompts/templates.js');
+const { renderAppsScriptPrompts } = await import('../lib/ai/prompts/apps-script.js');
+const { interpretMedicalReport, generateClinicalPearls } = await import('../lib/ai/openai-client.js');
+
+const template = (name, version, system = `${name} v${version}`) => ({
+  name,
+  version,
+  description: `${name} version ${version}`,
+  system,
+  user: 'Report: {{reportText}}',
+  temperature: 0.3,
+  maxTokens: 100
+});
+
+const interpretation = {
+  summary: 'Hyperkalaemia',
+  findings: [
+    { finding: 'Potassium 6.1', significance: 'Arrhythmia risk', status: 'critical' },
+    { finding: 'Sodium 139', significance: 'Normal', status: 'normal' }
+  ],
+  criticalAlerts: ['Potassium 6.1 mmol/L']
+};
+
+describe('prompt templates', () => {
+  it('fills variables and collapses the gaps missing ones leave', () => {
+    expect(renderTemplate('Type: {{reportType}}\n\n{{patientContext}}\n\nText: {{reportText}}', { reportType: 'lab', reportText: 'K 6.1' }))
+      .toBe('Type: lab\n\nText: K 6.1');
+    expect(renderTemplate('{{count}} and {{none}}', { count: 0, none: null })).toBe('0 and');
+  });
+
+  it('builds the variables each task needs', () => {
+    expect(promptVariables('interpretation', { reportType: 'lab', reportText: 'K 6.1', patientAge: 70 }))
+      .toEqual({ reportType: 'lab', reportText: 'K 6.1', patientContext: 'Patient Age: 70' });
+    expect(promptVariables('pearls', { reportType: 'lab', interpretation }).keyFindings)
+      .toBe('- Potassium 6.1: Arrhythmia risk\n- Sodium 139: Normal');
+    expect(promptVariables('questions', { reportType: 'lab', interpretation })).toMatchObject({
+      criticalFindings: 'Potassium 6.1 mmol/L',
+      keyAbnormalities: '- Potassium 6.1'
+    });
+    expect(promptVariables('questions', { reportType: 'lab', interpretation: {} }).criticalFindings).toBe('None');
+  });
+
+  it('parses prompt ids', () => {
+    expect(parsePromptId('interpretation.lab@2')).toEqual({ name: 'interpretation.lab', version: 2 });
+    expect(parsePromptId('interpretation')).toBeNull();
+    expect(parsePromptId(null)).toBeNull();
+  });
+
+  it('has a unique name@version and a user template for every shipped template', () => {
+    expect(() => createPromptRegistry({ templates: PROMPT_TEMPLATES })).not.toThrow();
+    for (const shipped of PROMPT_TEMPLATES) {
+      expect(shipped.system, shipped.name).toBeTruthy();
+      expect(shipped.user, shipped.name).toBeTruthy();
+    }
+  });
+});
+
+describe('prompt registry', () => {
+  const templates = [
+    template('interpretation', 1),
+    template('interpretation', 2),
+    template('interpretation.ecg', 1),
+    template('pearls', 1)
+  ];
+
+  it('prefers the document-type override and the newest version', () => {
+    const registry = createPromptRegistry({ templates });
+
+    expect(registry.resolve('interpretation', 'ecg')).toBe('interpretation.ecg');
+    expect(registry.resolve('interpretation', 'lab')).toBe('interpretation');
+    expect(registry.select('interpretation', 'lab').id).toBe('interpretation@2');
+    expect(registry.select('interpretation', 'ecg').id).toBe('interpretation.ecg@1');
+    expect(registry.get('interpretation', 1).system).toBe('interpretation v1');
+    expect(registry.get('interpretation', 3)).toBeNull();
+    expect(() => registry.resolve('summary', 'lab')).toThrow('No prompt template for summary');
+  });
+
+  it('rejects a version published twice', () => {
+    expect(() => createPromptRegistry({ templates: [template('pearls', 1), template('pearls', 1)] }))
+      .toThrow('Duplicate prompt template pearls@1');
+  });
+
+  it('lists templates with their live version', () => {
+    const registry = createPromptRegistry({ templates });
+
+    expect(registry.list()[0]).toEqual({
+      name: 'interpretation',
+      live: 2,
+      versions: [
+        { version: 1, description: 'interpretation version 1' },
+        { version: 2, description: 'interpretation version 2' }
+      ]
+    });
+  });
+
+  it('splits reports between the versions of a running experiment, the same way every time', () => {
+    const experiments = { active: () => [{ id: 7, name: 'interpretation', versionA: 2, versionB: 1, split: 0.3 }] };
+    const registry = createPromptRegistry({ templates, experiments });
+    const keys = Array.from({ length: 400 }, (_, i) => `report-${i}`);
+
+    const versions = keys.map(key => registry.select('interpretation', 'lab', { key }).version);
+    const shareB = versions.filter(version => version === 1).length / keys.length;
+
+    expect(shareB).toBeGreaterThan(0.2);
+    expect(shareB).toBeLessThan(0.4);
+    expect(keys.map(key => registry.select('interpretation', 'lab', { key }).version)).toEqual(versions);
+    // Other templates are untouched
+    expect(registry.select('interpretation', 'ecg', { key: 'report-1' }).id).toBe('interpretation.ecg@1');
+  });
+
+  it('draws at random without a key and falls back to the newest for a missing version', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const experiments = { active: () => [{ id: 1, name: 'interpretation', versionA: 1, versionB: 9, split: 0.5 }] };
+
+    expect(createPromptRegistry({ templates, experiments, random: () => 0.9 }).select('interpretation', 'lab').id)
+      .toBe('interpretation@1');
+    expect(createPromptRegistry({ templates, experiments, random: () => 0.1 }).select('interpretation', 'lab').id)
+      .toBe('interpretation@2');
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
+
+describe('prompt experiments', () => {
+  let db;
+  let now;
+  let store;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    migrateUp(db, 'audit');
+    now = new Date('2026-05-01T10:00:00Z');
+    store = createPromptExperiments({ db, now: () => now });
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('runs one experiment per prompt', () => {
+    const first = store.start({ name: 'pearls', versionA: 1, versionB: 2, startedBy: 'admin' });
+    now = new Date('2026-05-02T10:00:00Z');
+    const second = store.start({ name: 'pearls', versionA: 1, versionB: 3, split: 0.2 });
+
+    expect(store.active()).toEqual([expect.objectContaining({ id: second.id, versionB: 3, split: 0.2, endedAt: null })]);
+    expect(store.history('pearls').map(experiment => experiment.id)).toEqual([second.id, first.id]);
+    expect(store.history('pearls')[1].endedAt).toBe('2026-05-02T10:00:00.000Z');
+
+    expect(store.stop('pearls')).toBe(true);
+    expect(store.stop('pearls')).toBe(false);
+    expect(store.active()).toEqual([]);
+  });
+
+  it('keeps one rating per user and section, and compares versions', () => {
+    const rate = (reportId, userId, version, rating) =>
+      store.recordFeedback({ reportId, userId, section: 'pearls', prompt: { name: 'pearls', version }, rating });
+
+    rate('r1', 'u1', 1, 2);
+    rate('r1', 'u1', 1, 3);
+    rate('r2', 'u1', 1, 5);
+    rate('r3', 'u2', 2, 4);
+    store.recordFeedback({ reportId: 'r1', userId: 'u1', section: 'questions', prompt: { name: 'questions', version: 1 }, rating: 1 });
+
+    expect(store.compare({ name: 'pearls' })).toEqual([
+      { name: 'pearls', version: 1, ratings: 2, averageRating: 4, interval: 1.96, positive: 0.5 },
+      { name: 'pearls', version: 2, ratings: 1, averageRating: 4, interval: null, positive: 1 }
+    ]);
+    expect(store.compare()).toHaveLength(3);
+    expect(store.compare({ since: '2026-06-01T00:00:00Z' })).toEqual([]);
+  });
+
+  it('stores nothing without a database', () => {
+    const disabled = createPromptExperiments();
+
+    expect(disabled.available()).toBe(false);
+    expect(disabled.active()).toEqual([]);
+    expect(disabled.start({ name: 'pearls', versionA: 1, versionB: 2 })).toBeNull();
+    expect(disabled.recordFeedback({ reportId: 'r1', userId: 'u1', section: 'pearls', prompt: { name: 'pearls', version: 1 }, rating: 4 })).toBeNull();
+  });
+});
+
+describe('prompted generation', () => {
+  beforeEach(() => {
+    complete.mockReset();
+    experimentStore.current = null;
+  });
+
+  it('sends the document-type prompt with its sampling settings', async () => {
+    complete.mockRejectedValue(new Error('offline'));
+
+    await interpretMedicalReport('Potassium 6.1 mmol/L', 'lab', { patientAge: 70 }).catch(() => null);
+
+    const [system, user, options] = complete.mock.calls[0];
+    expect(system).toContain('For lab results, focus on:');
+    expect(user).toContain('Potassium 6.1 mmol/L');
+    expect(user).toContain('Patient Age: 70');
+    expect(options).toMatchObject({ task: 'interpretation', temperature: 0.3, maxTokens: 2000 });
+  });
+
+  it('uses the experiment version for the report', async () => {
+    const pearlsV2 = { ...PROMPT_TEMPLATES.find(t => t.name === 'pearls'), version: 2, system: 'Pearls, shorter' };
+    const registry = createPromptRegistry({
+      templates: [...PROMPT_TEMPLATES, pearlsV2],
+      experiments: { active: () => [{ id: 1, name: 'pearls', versionA: 1, versionB: 2, split: 1 }] }
+    });
+    complete.mockResolvedValue({ content: '{"pearls":[{"pearl":"Check an ECG"}]}', usage: {}, provider: 'openai' });
+
+    await generateClinicalPearls(interpretation, 'lab', { prompt: registry.select('pearls', 'lab', { key: 'r1' }) });
+    expect(complete.mock.calls[0][0]).toBe('Pearls, shorter');
+
+    // Without a chosen prompt the shared registry picks the live version
+    experimentStore.current = { active: () => [] };
+    await generateClinicalPearls(interpretation, 'lab', { reportId: 'r1' });
+    expect(complete.mock.calls[1][0]).toBe(getPromptRegistry().get('pearls').system);
+  });
+});
+
+describe('Apps Script prompts', () => {
+  const source = renderAppsScriptPrompts();
+  const { buildPrompt } = new Function(`${source}\nreturn { buildPrompt };`)();
+  const registry = createPromptRegistry({ templates: PROMPT_TEMPLATES });
+
+  it.each([
+    ['interpretation', 'lab', { reportType: 'lab', reportText: 'K 6.1', relevantHistory: 'CKD' }],
+    ['interpretation', 'ecg', { reportType: 'ecg', reportText: 'Rate 110' }],
+    ['interpretation', 'general', { reportType: 'general', reportText: 'Discharge letter' }],
+    ['pearls', 'lab', { reportType: 'lab', interpretation }],
+    ['questions', 'lab', { reportType: 'lab', interpretation }]
+  ])('renders %s for %s the same as the registry', (task, documentType, input) => {
+    const expected = renderPrompt(registry.select(task, documentType), promptVariables(task, input));
+
+    expect(buildPrompt(task, documentType, input)).toEqual({
+      id: expected.id,
+      messages: [
+        { role: 'system', content: expected.system },
+        { role: 'user', content: expected.user }
+      ],
+      temperature: expected.temperature,
+      maxTokens: expected.maxTokens
+    });
+  });
+});
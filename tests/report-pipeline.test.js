@@ -0,0 +1,113 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const getResponse = vi.fn();
+const findPatient = vi.fn();
+const processImage = vi.fn();
+vi.mock('../lib/knowledge/smart-responder.js', () => ({
+  smartResponder: { getResponse }
+}));
+vi.mock('../lib/storage/database.js', () => ({
+  PatientDB: { findById: findPatient }
+}));
+vi.mock('../lib/ocr/vision-client.js', () => ({
+  visionClient: { processDocument: processImage }
+}));
+vi.mock('../lib/ocr/textExtractor.js', () => ({
+  processDocument: vi.fn()
+}));
+
+const {
+  readUploadedDocument,
+  createReport,
+  analyzeReport,
+  DocumentUploadError
+} = await import('../lib/services/report-pipeline.js');
+
+const user = { id: 'u1' };
+const ocrResult = {
+  type: 'lab',
+  fullText: 'Potassium 6.1 mmol/L (3.5-5.1)',
+  confidence: 0.92,
+  structuredData: { results: [] }
+};
+
+function uploadRequest(fields) {
+  const formData = new FormData();
+  Object.entries(fields).forEach(([key, value]) => formData.append(key, value));
+  return { formData: async () => formData };
+}
+
+describe('report pipeline', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    getResponse.mockReset();
+    findPatient.mockReset();
+    processImage.mockReset();
+  });
+
+  it('refuses a patient that belongs to another user before reading the document', async () => {
+    findPatient.mockReturnValue({ id: 'p1', user_id: 'u2' });
+    const request = uploadRequest({ document: new Blob(['scan']), patientId: 'p1' });
+
+    await expect(readUploadedDocument(request, user)).rejects.toMatchObject({
+      name: 'DocumentUploadError',
+      message: 'Patient not found',
+      status: 404
+    });
+    expect(processImage).not.toHaveBeenCalled();
+  });
+
+  it('rejects uploads without a document or without readable text', async () => {
+    await expect(readUploadedDocument(uploadRequest({}), user)).rejects.toBeInstanceOf(DocumentUploadError);
+
+    processImage.mockResolvedValue({ fullText: 'x', confidence: 0.2 });
+    await expect(readUploadedDocument(uploadRequest({ document: new Blob(['scan']) }), user))
+      .rejects.toMatchObject({ status: 400 });
+  });
+
+  it('fills the report stage by stage and reports partial results', async () => {
+    getResponse.mockImplementation(async (text, category, context) => {
+      context.onPartial?.({ partial: category });
+      const responses = {
+        lab: { summary: 'Hyperkalaemia', findings: [], criticalAlerts: [] },
+        pearls: { pearls: [{ pearl: 'Check an ECG' }] },
+        questions: { questions: [{ question: 'Why is K high?' }] }
+      };
+      return { response: responses[category], source: 'openai_api', promptVersion: `${category === 'lab' ? 'interpretation.lab' : category}@1` };
+    });
+    const report = createReport(ocrResult, { user, patientId: 'p1', fields: { fileName: 'k.jpg' } });
+    const stages = [];
+    const partials = [];
+
+    const results = await analyzeReport(report, {
+      patient: null,
+      onStage: (stage) => stages.push([stage, report.status]),
+      onPartial: (stage, partial) => partials.push([stage, partial])
+    });
+
+    expect(stages).toEqual([['interpretation', 'processing'], ['pearls', 'processing'], ['questions', 'analyzed']]);
+    expect(partials.map(([stage]) => stage)).toEqual(['interpretation', 'pearls', 'questions']);
+    expect(getResponse.mock.calls[0][2]).toMatchObject({ userId: 'u1', reportId: report.id, patientId: 'p1' });
+    expect(report).toMatchObject({
+      fileName: 'k.jpg',
+      type: 'lab',
+      interpretation: { summary: 'Hyperkalaemia', grounding: expect.any(Object) },
+      clinicalPearls: { pearls: [{ pearl: 'Check an ECG' }] },
+      sources: { interpretation: 'openai_api', pearls: 'openai_api', questions: 'openai_api' },
+      promptVersions: { interpretation: 'interpretation.lab@1', pearls: 'pearls@1', questions: 'questions@1' }
+    });
+    expect(results.questions.source).toBe('openai_api');
+  });
+
+  it('keeps the finished stages when a later one fails', async () => {
+    getResponse
+      .mockResolvedValueOnce({ response: { summary: 'ok', findings: [] }, source: 'knowledge_base', promptVersion: null })
+      .mockRejectedValueOnce(new Error('Daily budget reached'));
+    const report = createReport(ocrResult, { user });
+
+    await expect(analyzeReport(report, {})).rejects.toThrow('Daily budget reached');
+    expect(report.interpretation.summary).toBe('ok');
+    expect(report.clinicalPearls).toEqual({});
+    expect(report.status).toBe('processing');
+  });
+});
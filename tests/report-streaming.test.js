@@ -0,0 +1,227 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { parsePartialJson } from '../lib/ai/partial-json.js';
+import { formatSseEvent, createSseParser } from '../lib/services/sse.js';
+import {
+  applyReportEvent,
+  handleReportEvent,
+  endReportStream,
+  isReportStreaming,
+  subscribeToReport
+} from '../lib/services/live-reports.js';
+import { createOpenAIProvider, createAnthropicProvider } from '../lib/ai/providers/index.js';
+import { createServerAdapter } from '../lib/storage/adapters/server-adapter.js';
+
+const complete = vi.fn();
+vi.mock('../lib/ai/llm-client.js', () => ({
+  getLlmClient: () => ({ complete })
+}));
+vi.mock('../lib/ai/usage-ledger.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  getUsageLedger: () => ({ checkBudget: () => ({ exceeded: false }), record: () => null })
+}));
+
+const { generateValidatedJson } = await import('../lib/ai/openai-client.js');
+
+async function* iterate(items) {
+  for (const item of items) yield item;
+}
+
+// A fetch body that yields the chunks, then fails if fail is set
+function bodyOf(chunks, { fail = false } = {}) {
+  const encoder = new TextEncoder();
+  let index = 0;
+  return {
+    getReader: () => ({
+      read: async () => {
+        if (index < chunks.length) return { done: false, value: encoder.encode(chunks[index++]) };
+        if (fail) throw new TypeError('network error');
+        return { done: true, value: undefined };
+      }
+    })
+  };
+}
+
+describe('partial JSON', () => {
+  it('reads the object written so far', () => {
+    expect(parsePartialJson('')).toBeNull();
+    expect(parsePartialJson('Here you go: {')).toEqual({});
+    expect(parsePartialJson('{"summary": "Mild hyperkal')).toEqual({ summary: 'Mild hyperkal' });
+    expect(parsePartialJson('{"summary": "ok", "findings": [{"finding": "K", "value": 5.')).toEqual({
+      summary: 'ok',
+      findings: [{ finding: 'K' }]
+    });
+    expect(parsePartialJson('{"summary": "ok", "findin')).toEqual({ summary: 'ok' });
+    expect(parsePartialJson('{"a": "line \\')).toEqual({ a: 'line ' });
+    expect(parsePartialJson('{"a": [1, 2], "b": tr')).toEqual({ a: [1, 2] });
+    expect(parsePartialJson('{"a": {"b": "}"}, ')).toEqual({ a: { b: '}' } });
+  });
+});
+
+describe('server-sent events', () => {
+  it('parses events split across chunks', () => {
+    // The last event is missing its blank line, as when a stream is cut short
+    const text = formatSseEvent('report', { report: { id: 'r1' } }) + ': keep-alive\n\n' + formatSseEvent('done', { reportIds: ['r1'] }).trim();
+    const parser = createSseParser();
+
+    const events = [text.slice(0, 20), text.slice(20, 60), text.slice(60)]
+      .flatMap(chunk => parser.push(chunk));
+
+    expect(events).toEqual([{ event: 'report', data: { report: { id: 'r1' } } }]);
+    expect(parser.flush()).toEqual([{ event: 'done', data: { reportIds: ['r1'] } }]);
+  });
+});
+
+describe('live reports', () => {
+  beforeEach(() => endReportStream('r1'));
+
+  it('fills a report in stage by stage and marks a failed analysis partial', () => {
+    let report = applyReportEvent(null, { event: 'report', data: { report: { id: 'r1', status: 'processing', sources: {} } } });
+    report = applyReportEvent(report, { event: 'interpretation', data: { reportId: 'r1', interpretation: { summary: 'So far' }, partial: true } });
+    expect(report).toMatchObject({ interpretation: { summary: 'So far' }, sources: {} });
+
+    report = applyReportEvent(report, { event: 'interpretation', data: { reportId: 'r1', interpretation: { summary: 'Done' }, source: 'openai_api' } });
+    report = applyReportEvent(report, { event: 'pearls', data: { reportId: 'r1', clinicalPearls: { pearls: [] }, partial: true } });
+    report = applyReportEvent(report, { event: 'error', data: { reportId: 'r1', error: 'Daily AI budget reached' } });
+
+    expect(report).toMatchObject({
+      status: 'partial',
+      analysisError: 'Daily AI budget reached',
+      interpretation: { summary: 'Done' },
+      clinicalPearls: { pearls: [] },
+      sources: { interpretation: 'openai_api' }
+    });
+  });
+
+  it('passes each update to subscribers, including the state when they join', () => {
+    handleReportEvent({ event: 'report', data: { report: { id: 'r1', status: 'processing' } } });
+    expect(isReportStreaming('r1')).toBe(true);
+
+    const seen = [];
+    const unsubscribe = subscribeToReport('r1', report => seen.push(report.presentation?.assessment || report.status));
+    handleReportEvent({ event: 'presentation', data: { reportId: 'r1', presentation: { assessment: 'Hyperkalaemia' } } });
+    unsubscribe();
+    handleReportEvent({ event: 'complete', data: { report: { id: 'r1', status: 'analyzed' } } });
+
+    expect(seen).toEqual(['processing', 'Hyperkalaemia']);
+    endReportStream('r1');
+    expect(isReportStreaming('r1')).toBe(false);
+  });
+});
+
+describe('provider streaming', () => {
+  it('streams OpenAI deltas and reads usage from the final chunk', async () => {
+    const create = vi.fn(async () => iterate([
+      { model: 'gpt-4o', choices: [{ delta: { content: '{"sum' } }] },
+      { model: 'gpt-4o', choices: [{ delta: { content: 'mary":"ok"}' }, finish_reason: 'stop' }] },
+      { model: 'gpt-4o', choices: [], usage: { prompt_tokens: 10, completion_tokens: 4, total_tokens: 14 } }
+    ]));
+    const provider = createOpenAIProvider({ models: { default: 'gpt-4o' }, client: { chat: { completions: { create } } } });
+    const partials = [];
+
+    const result = await provider.complete({ system: 's', prompt: 'p', responseFormat: 'json', onPartial: text => partials.push(text) });
+
+    expect(create.mock.calls[0][0]).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+    expect(partials).toEqual(['{"sum', '{"summary":"ok"}']);
+    expect(result).toEqual({
+      content: '{"summary":"ok"}',
+      usage: { promptTokens: 10, completionTokens: 4, totalTokens: 14 },
+      model: 'gpt-4o',
+      finishReason: 'stop'
+    });
+  });
+
+  it('rebuilds the Anthropic message from stream events', async () => {
+    const create = vi.fn(async () => iterate([
+      { type: 'message_start', message: { model: 'claude-sonnet-4-5', usage: { input_tokens: 12, output_tokens: 1 } } },
+      { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Result: {"summary":' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: '"ok"}' } },
+      { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 9 } },
+      { type: 'message_stop' }
+    ]));
+    const provider = createAnthropicProvider({ models: { default: 'claude-sonnet-4-5' }, client: { messages: { create } } });
+    const partials = [];
+
+    const result = await provider.complete({ system: 's', prompt: 'p', responseFormat: 'json', onPartial: text => partials.push(text) });
+
+    expect(create.mock.calls[0][0].stream).toBe(true);
+    expect(partials).toHaveLength(2);
+    expect(result).toEqual({
+      content: '{"summary":"ok"}',
+      usage: { promptTokens: 12, completionTokens: 9, totalTokens: 21 },
+      model: 'claude-sonnet-4-5',
+      finishReason: 'stop'
+    });
+  });
+});
+
+describe('streamed completions', () => {
+  beforeEach(() => {
+    complete.mockReset();
+  });
+
+  it('passes re-identified partial objects on, skipping chunks that change nothing', async () => {
+    const final = '{"pearls":[{"pearl":"[NAME_1] has a high potassium"}]}';
+    complete.mockImplementation(async (system, prompt, options) => {
+      ['{"pearls":[', '{"pearls":[{"pe', '{"pearls":[{"pearl":"[NAME_1] has', final].forEach(options.onPartial);
+      return { content: final, usage: {}, provider: 'openai' };
+    });
+    const partials = [];
+
+    const result = await generateValidatedJson('pearls', 'system', 'John Smith K 6.1', {
+      task: 'pearls',
+      patient: { name: 'John Smith' },
+      onPartial: partial => partials.push(partial)
+    });
+
+    expect(partials).toEqual([
+      { pearls: [] },
+      { pearls: [{}] },
+      { pearls: [{ pearl: 'John Smith has' }] },
+      { pearls: [{ pearl: 'John Smith has a high potassium' }] }
+    ]);
+    expect(result.pearls[0].pearl).toBe('John Smith has a high potassium');
+  });
+});
+
+describe('server adapter streaming', () => {
+  const stageEvents = [
+    formatSseEvent('report', { report: { id: 'r1', status: 'processing', sources: {} } }),
+    formatSseEvent('interpretation', { reportId: 'r1', interpretation: { summary: 'ok' }, partial: false, source: 'openai_api' })
+  ];
+
+  it('posts the document and collects the reports from the stream', async () => {
+    const fetch = vi.fn(async () => ({
+      ok: true,
+      body: bodyOf([...stageEvents, formatSseEvent('complete', { report: { id: 'r1', status: 'analyzed' } }), formatSseEvent('done', { reportIds: ['r1'] })])
+    }));
+    const adapter = createServerAdapter({ baseUrl: 'https://ward.test', token: 't', fetch });
+    const events = [];
+
+    const result = await adapter.streamDocument(new Blob(['scan']), { reportType: 'lab', onEvent: message => events.push(message.event) });
+
+    expect(fetch.mock.calls[0][0]).toBe('https://ward.test/api/reports/stream');
+    expect(fetch.mock.calls[0][1].body.get('reportType')).toBe('lab');
+    expect(events).toEqual(['report', 'interpretation', 'complete', 'done']);
+    expect(result).toEqual({ reports: [{ id: 'r1', status: 'analyzed' }], errors: [], interrupted: false });
+  });
+
+  it('keeps what arrived when the connection drops', async () => {
+    const fetch = vi.fn(async () => ({ ok: true, body: bodyOf(stageEvents, { fail: true }) }));
+    const adapter = createServerAdapter({ baseUrl: 'https://ward.test', token: 't', fetch });
+
+    const result = await adapter.streamDocument(new Blob(['scan']));
+
+    expect(result.interrupted).toBe(true);
+    expect(result.reports).toEqual([
+      { id: 'r1', status: 'processing', interpretation: { summary: 'ok' }, sources: { interpretation: 'openai_api' } }
+    ]);
+  });
+
+  it('rejects a refused upload before any report exists', async () => {
+    const fetch = vi.fn(async () => ({ ok: false, status: 400, json: async () => ({ error: 'Could not extract text' }) }));
+    const adapter = createServerAdapter({ baseUrl: 'https://ward.test', token: 't', fetch });
+
+    await expect(adapter.streamDocument(new Blob(['scan']))).rejects.toMatchObject({ status: 400, message: 'Could not extract text' });
+  });
+});
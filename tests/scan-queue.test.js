@@ -0,0 +1,116 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  createScanQueue,
+  reconcileScanQueue,
+  jobToReport,
+  JOB_STATUS,
+  MAX_ATTEMPTS
+} from '../lib/offline/scan-queue.js';
+import { createLocalAdapter } from '../lib/storage/adapters/local-adapter.js';
+import { processDocumentAuto } from '../lib/services/completeGoogleScriptFlow.js';
+import { queueOfflineScan } from '../lib/offline/offline-scan.js';
+
+function memoryBackend() {
+  const jobs = new Map();
+  return {
+    getAll: async () => [...jobs.values()],
+    get: async (id) => jobs.get(id) || null,
+    put: async (job) => { jobs.set(job.id, job); },
+    delete: async (id) => { jobs.delete(id); }
+  };
+}
+
+function memoryStorage() {
+  const data = new Map();
+  return {
+    getItem: key => data.get(key) ?? null,
+    setItem: (key, value) => data.set(key, String(value))
+  };
+}
+
+const draft = {
+  fileName: 'cbc.jpg',
+  reportType: 'lab',
+  extractedText: 'Hemoglobin 9.1 g/dL',
+  report: { type: 'lab', fileName: 'cbc.jpg', extractedText: 'Hemoglobin 9.1 g/dL', createdAt: '2024-05-01T08:00:00Z' }
+};
+
+describe('offline scan queue', () => {
+  let online;
+  let queue;
+
+  beforeEach(() => {
+    online = false;
+    queue = createScanQueue(memoryBackend(), {
+      interpret: async (job) => {
+        if (!online) throw new TypeError('Failed to fetch');
+        return { interpretation: { summary: `Interpreted ${job.fileName}` } };
+      }
+    });
+  });
+
+  it('keeps jobs pending while offline and syncs them when back online', async () => {
+    const job = await queue.enqueue(draft);
+    expect(jobToReport(job)).toMatchObject({ id: job.id, status: 'pending', fileName: 'cbc.jpg' });
+
+    expect(await queue.process()).toEqual({ synced: 0, failed: 0, pending: 1 });
+    expect((await queue.get(job.id)).attempts).toBe(1);
+
+    online = true;
+    expect(await queue.process()).toEqual({ synced: 1, failed: 0, pending: 0 });
+    expect((await queue.get(job.id)).status).toBe(JOB_STATUS.SYNCED);
+  });
+
+  it('marks a job failed after the attempt budget and re-queues it on retry', async () => {
+    const job = await queue.enqueue(draft);
+
+    for (let i = 0; i < MAX_ATTEMPTS; i++) {
+      await queue.process();
+    }
+
+    const failed = await queue.get(job.id);
+    expect(failed.status).toBe(JOB_STATUS.FAILED);
+    expect(jobToReport(failed).syncError).toBe('Failed to fetch');
+
+    expect(await queue.retryFailed()).toBe(1);
+    expect(await queue.get(job.id)).toMatchObject({ status: JOB_STATUS.PENDING, attempts: 0 });
+  });
+
+  it('moves synced jobs into the report store', async () => {
+    const storage = createLocalAdapter(memoryStorage());
+    online = true;
+    await queue.enqueue(draft);
+    await queue.enqueue({ ...draft, fileName: 'later.jpg' });
+    await queue.process();
+
+    const created = await reconcileScanQueue(queue, storage);
+
+    expect(created).toHaveLength(2);
+    expect(await queue.list()).toEqual([]);
+    const [report] = await storage.listReports();
+    expect(report).toMatchObject({
+      status: 'synced',
+      type: 'lab',
+      interpretation: { summary: 'Interpreted later.jpg' },
+      createdAt: '2024-05-01T08:00:00Z'
+    });
+    expect(report.queueJobId).toBeUndefined();
+  });
+
+  describe('PDFs', () => {
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('refuses them on the device with a clear message instead of sending them', async () => {
+      const fetchMock = vi.fn();
+      vi.stubGlobal('fetch', fetchMock);
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const pdf = new File(['%PDF-1.4'], 'bundle.pdf', { type: 'application/pdf' });
+
+      await expect(processDocumentAuto(pdf, 'auto')).rejects.toThrow(/PDFs can only be read by the MedWard server/);
+      await expect(queueOfflineScan(pdf, { reportType: 'auto' })).rejects.toThrow(/PDFs can only be read by the MedWard server/);
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+  });
+});
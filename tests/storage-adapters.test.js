@@ -0,0 +1,119 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createLocalAdapter } from '../lib/storage/adapters/local-adapter.js';
+import { migrateLocalData, MIGRATION_KEY } from '../lib/storage/adapters/index.js';
+import { toReportFields, fromReportRow, toPatientFields } from '../lib/storage/records.js';
+
+function memoryStorage(initial = {}) {
+  const data = new Map(Object.entries(initial));
+  return {
+    getItem: key => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: key => data.delete(key)
+  };
+}
+
+describe('local storage adapter', () => {
+  it('creates, updates and lists reports newest first', async () => {
+    const local = createLocalAdapter(memoryStorage());
+
+    const first = await local.createReport({ type: 'lab', patientId: 1 });
+    const second = await local.createReport({ type: 'ecg' });
+    await local.updateReport(first.id, { type: 'imaging' });
+
+    expect((await local.listReports()).map(r => r.id)).toEqual([second.id, first.id]);
+    expect((await local.getReport(first.id)).type).toBe('imaging');
+    expect(await local.listReports({ patientId: '1' })).toHaveLength(1);
+    expect(await local.getReport('missing')).toBeNull();
+  });
+
+  it('unlinks reports when their patient is deleted', async () => {
+    const local = createLocalAdapter(memoryStorage());
+    const patient = await local.createPatient({ name: 'A', mrn: 'MRN1' });
+    const report = await local.createReport({ type: 'lab', patientId: patient.id });
+
+    await local.deletePatient(patient.id);
+
+    expect(await local.listPatients()).toEqual([]);
+    expect((await local.getReport(report.id)).patientId).toBeNull();
+  });
+});
+
+describe('localStorage migration', () => {
+  let storage;
+  let local;
+
+  beforeEach(() => {
+    storage = memoryStorage({
+      medward_patients: JSON.stringify([{ id: 1700000000000, name: 'Jane', mrn: 'MRN001', gender: 'F' }]),
+      medward_reports: JSON.stringify([
+        { id: 'r2', type: 'lab', patientId: 1700000000000, createdAt: '2024-05-02T08:00:00Z' },
+        { id: 'r1', type: 'note', patientId: null, createdAt: '2024-05-01T08:00:00Z' }
+      ])
+    });
+    local = createLocalAdapter(storage);
+  });
+
+  it('copies patients and reports and relinks them to the new patient ids', async () => {
+    const target = createLocalAdapter(memoryStorage());
+
+    const summary = await migrateLocalData(local, target, 'user-1', storage);
+
+    expect(summary).toEqual({ patients: 1, reports: 2, failed: 0, skipped: false });
+    const [patient] = await target.listPatients();
+    expect(patient.id).not.toBe(1700000000000);
+    const reports = await target.listReports();
+    expect(reports.map(r => r.type)).toEqual(['lab', 'note']);
+    expect(reports[0].patientId).toBe(patient.id);
+    expect(reports[0].createdAt).toBe('2024-05-02T08:00:00Z');
+  });
+
+  it('runs once per account and resumes after a failure without duplicates', async () => {
+    const target = createLocalAdapter(memoryStorage());
+    let failNext = true;
+    const flaky = {
+      ...target,
+      async createReport(report) {
+        if (failNext) {
+          failNext = false;
+          throw new Error('offline');
+        }
+        return target.createReport(report);
+      }
+    };
+
+    expect((await migrateLocalData(local, flaky, 'user-1', storage)).failed).toBe(1);
+    expect((await migrateLocalData(local, flaky, 'user-1', storage)).reports).toBe(1);
+    expect((await migrateLocalData(local, flaky, 'user-1', storage)).skipped).toBe(true);
+
+    expect(await target.listPatients()).toHaveLength(1);
+    expect(await target.listReports()).toHaveLength(2);
+    expect(JSON.parse(storage.getItem(MIGRATION_KEY)).completedAt).toBeTruthy();
+  });
+});
+
+describe('storage records', () => {
+  it('round-trips client-only report fields through metadata', () => {
+    const fields = toReportFields({
+      id: 'r1',
+      type: 'lab',
+      fileName: 'cbc.jpg',
+      classification: { type: 'lab', confidence: 0.9 },
+      interpretation: { summary: 'ok' }
+    });
+    expect(fields.metadata).toEqual({ fileName: 'cbc.jpg', classification: { type: 'lab', confidence: 0.9 } });
+
+    const report = fromReportRow({
+      id: 'r1',
+      report_type: fields.type,
+      interpretation: JSON.stringify(fields.interpretation),
+      metadata: JSON.stringify(fields.metadata),
+      created_at: '2024-05-01T08:00:00Z'
+    });
+    expect(report).toMatchObject({ id: 'r1', type: 'lab', fileName: 'cbc.jpg', interpretation: { summary: 'ok' } });
+  });
+
+  it('maps the form gender codes to the patients column values', () => {
+    expect(toPatientFields({ mrn: 'X', gender: 'M', age: '54' })).toMatchObject({ gender: 'male', age: 54 });
+    expect(toPatientFields({ mrn: 'X', gender: 'F' }).gender).toBe('female');
+  });
+});
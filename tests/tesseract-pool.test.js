@@ -0,0 +1,127 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createOcrPool, defaultPoolSize, OcrCancelledError } from '../lib/ocr/tesseractPool.js';
+
+// Fake Tesseract worker: each recognize() stays pending until finish(image) is called
+function fakeWorkers() {
+  const created = [];
+  const running = new Map();
+
+  const createWorker = vi.fn(async (logger) => {
+    const worker = {
+      logger,
+      terminated: false,
+      recognize: vi.fn(image => new Promise(resolve => {
+        running.set(image, { worker, resolve });
+      })),
+      terminate: vi.fn(async () => { worker.terminated = true; })
+    };
+    created.push(worker);
+    return worker;
+  });
+
+  const finish = (image) => {
+    const { resolve } = running.get(image);
+    running.delete(image);
+    resolve({ data: { text: `text of ${image}`, confidence: 90 } });
+  };
+
+  return { createWorker, created, running, finish };
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('OCR worker pool', () => {
+  it('runs no more jobs at once than the pool size', async () => {
+    const fake = fakeWorkers();
+    const pool = createOcrPool({ size: 2, idleTimeout: 0, createWorker: fake.createWorker });
+
+    const results = ['a', 'b', 'c'].map(image => pool.recognize(image));
+    await flush();
+
+    expect(fake.running.size).toBe(2);
+    expect(pool.stats()).toMatchObject({ workers: 2, busy: 2, queued: 1 });
+
+    fake.finish('a');
+    await flush();
+    expect([...fake.running.keys()]).toEqual(['b', 'c']);
+
+    fake.finish('b');
+    fake.finish('c');
+    expect((await Promise.all(results)).map(data => data.text)).toEqual(['text of a', 'text of b', 'text of c']);
+  });
+
+  it('keeps workers warm across files in a batch', async () => {
+    const fake = fakeWorkers();
+    const pool = createOcrPool({ size: 1, idleTimeout: 0, createWorker: fake.createWorker });
+
+    for (const image of ['page-1', 'page-2', 'page-3']) {
+      const result = pool.recognize(image);
+      await flush();
+      fake.finish(image);
+      await result;
+    }
+
+    expect(fake.createWorker).toHaveBeenCalledTimes(1);
+    expect(fake.created[0].recognize).toHaveBeenCalledTimes(3);
+  });
+
+  it('reports progress to the job the worker is running', async () => {
+    const fake = fakeWorkers();
+    const pool = createOcrPool({ size: 2, idleTimeout: 0, createWorker: fake.createWorker });
+    const progressA = [];
+    const progressB = [];
+
+    const a = pool.recognize('a', { onProgress: p => progressA.push(p.progress) });
+    const b = pool.recognize('b', { onProgress: p => progressB.push(p.progress) });
+    await flush();
+
+    fake.running.get('a').worker.logger({ status: 'recognizing text', progress: 0.5 });
+    fake.running.get('b').worker.logger({ status: 'recognizing text', progress: 0.25 });
+    fake.running.get('a').worker.logger({ status: 'loading language traineddata', progress: 1 });
+    fake.finish('a');
+    fake.finish('b');
+    await Promise.all([a, b]);
+
+    expect(progressA).toEqual([0, 0.5, 1]);
+    expect(progressB).toEqual([0, 0.25, 1]);
+  });
+
+  it('cancels queued and running jobs and recovers with a fresh worker', async () => {
+    const fake = fakeWorkers();
+    const pool = createOcrPool({ size: 1, idleTimeout: 0, createWorker: fake.createWorker });
+    const controller = new AbortController();
+
+    const running = pool.recognize('a', { signal: controller.signal });
+    const queued = pool.recognize('b', { signal: controller.signal });
+    await flush();
+
+    controller.abort();
+
+    await expect(running).rejects.toBeInstanceOf(OcrCancelledError);
+    await expect(queued).rejects.toBeInstanceOf(OcrCancelledError);
+    await flush();
+    expect(fake.created[0].terminated).toBe(true);
+    expect(pool.stats()).toMatchObject({ workers: 0, queued: 0 });
+
+    const next = pool.recognize('c');
+    await flush();
+    fake.finish('c');
+    expect((await next).text).toBe('text of c');
+    expect(fake.createWorker).toHaveBeenCalledTimes(2);
+  });
+
+  it('rejects a job whose signal is already aborted without starting a worker', async () => {
+    const fake = fakeWorkers();
+    const pool = createOcrPool({ size: 1, idleTimeout: 0, createWorker: fake.createWorker });
+
+    await expect(pool.recognize('a', { signal: AbortSignal.abort() })).rejects.toBeInstanceOf(OcrCancelledError);
+    expect(fake.createWorker).not.toHaveBeenCalled();
+  });
+
+  it('sizes the pool to the device', () => {
+    expect(defaultPoolSize({ hardwareConcurrency: 8, deviceMemory: 8 })).toBe(4);
+    expect(defaultPoolSize({ hardwareConcurrency: 4 })).toBe(3);
+    expect(defaultPoolSize({ hardwareConcurrency: 1 })).toBe(1);
+    expect(defaultPoolSize({ hardwareConcurrency: 8, deviceMemory: 2 })).toBe(1);
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import {
+  markLowConfidence,
+  findSuspectLabRows,
+  diffWords,
+  correctReportText,
+  correctLabRows
+} from '../lib/ocr/textCorrection.js';
+import { processDocument } from '../lib/ocr/textExtractor.js';
+import { createLocalAdapter } from '../lib/storage/adapters/local-adapter.js';
+
+const MISREAD = 'Na 140 mmol/L\nK 58 mmol/L (3.5-5.0)\nCreatinine 88 umol/L';
+
+async function labReport(text = MISREAD) {
+  const parsed = await processDocument({ name: 'labs.jpg', size: 1 }, 'image/jpeg', 'lab', {
+    extraction: { text, confidence: 0.8 }
+  });
+  return { id: 'r1', type: 'lab', extractedText: text, structuredData: parsed.structuredData };
+}
+
+function memoryStorage() {
+  const data = new Map();
+  return {
+    getItem: key => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value))
+  };
+}
+
+describe('OCR text correction', () => {
+  it('highlights words OCR was unsure of, matching repeated words in order', () => {
+    const segments = markLowConfidence('K 58 K 4.1', [
+      { text: 'K', confidence: 0.95 },
+      { text: '58', confidence: 0.41 },
+      { text: 'K', confidence: 0.3 },
+      { text: '4.1', confidence: 0.9 }
+    ]);
+
+    expect(segments.filter(s => s.low).map(s => s.text)).toEqual(['58', 'K']);
+    expect(segments.map(s => s.text).join('')).toBe('K 58 K 4.1');
+  });
+
+  it('flags a misread decimal point as an implausible lab row', async () => {
+    const report = await labReport();
+
+    expect(findSuspectLabRows(report.structuredData.results)).toEqual([1]);
+  });
+
+  it('describes word-level changes', () => {
+    expect(diffWords('K 58 mmol/L', 'K 5.8 mmol/L')).toEqual([{ from: '58', to: '5.8' }]);
+    expect(diffWords('Na 140', 'Na 140 mmol/L')).toEqual([{ from: '', to: 'mmol/L' }]);
+  });
+
+  it('re-parses corrected text and keeps the original extraction', async () => {
+    const report = await labReport();
+    const { changes, correction } = await correctReportText(report, MISREAD.replace('K 58', 'K 5.8'));
+
+    const potassium = changes.structuredData.results.find(r => r.analyte === 'potassium');
+    expect(potassium).toMatchObject({ value: 5.8, flag: 'H' });
+    expect(changes.originalExtractedText).toBe(MISREAD);
+    expect(changes.originalStructuredData).toBe(report.structuredData);
+    expect(correction).toMatchObject({ kind: 'text', changes: [{ from: '58', to: '5.8' }] });
+
+    expect(await correctReportText(report, MISREAD)).toBeNull();
+  });
+
+  it('corrects a single lab row and patches its line in the text', async () => {
+    const report = await labReport();
+    const { changes, correction } = correctLabRows(report, [{ index: 1, value: '5.8' }]);
+
+    expect(changes.extractedText).toBe('Na 140 mmol/L\nK 5.8 mmol/L (3.5-5.0)\nCreatinine 88 umol/L');
+    expect(changes.structuredData.results[1]).toMatchObject({ analyte: 'potassium', value: 5.8, flag: 'H', corrected: true });
+    expect(changes.structuredData.results[0]).toBe(report.structuredData.results[0]);
+    expect(correction.changes).toEqual([{
+      index: 1,
+      from: { test: 'K', value: '58', unit: 'mmol/L' },
+      to: { test: 'K', value: '5.8', unit: 'mmol/L' }
+    }]);
+  });
+
+  it('keeps the correction history on locally stored reports', async () => {
+    const local = createLocalAdapter(memoryStorage());
+    const saved = await local.createReport(await labReport());
+
+    const first = correctLabRows(saved, [{ index: 1, value: '5.8' }]);
+    const afterFirst = await local.correctReport(saved.id, first.changes, first.correction);
+    const second = await correctReportText(afterFirst, afterFirst.extractedText.replace('Na 140', 'Na 141'));
+    const afterSecond = await local.correctReport(saved.id, second.changes, second.correction);
+
+    expect(afterSecond.corrections.map(c => c.kind)).toEqual(['lab_rows', 'text']);
+    expect(afterSecond.originalExtractedText).toBe(MISREAD);
+    expect(afterSecond.extractedText).toContain('K 5.8');
+    expect(afterSecond.extractedText).toContain('Na 141');
+  });
+});
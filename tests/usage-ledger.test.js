@@ -0,0 +1,133 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import Database from 'better-sqlite3';
+import { migrateUp } from '../lib/storage/migrator.js';
+
+const complete = vi.fn();
+const ledgers = vi.hoisted(() => ({ current: null }));
+vi.mock('../lib/ai/llm-client.js', () => ({
+  getLlmClient: () => ({ complete })
+}));
+vi.mock('../lib/ai/usage-ledger.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  getUsageLedger: () => ledgers.current
+}));
+
+const {
+  createUsageLedger,
+  computeCost,
+  parsePrices,
+  BudgetExceededError,
+  DEFAULT_PRICES
+} = await import('../lib/ai/usage-ledger.js');
+const { generateCompletion } = await import('../lib/ai/openai-client.js');
+
+const NOW = new Date('2026-03-10T09:30:00Z');
+
+describe('usage ledger', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    migrateUp(db, 'audit');
+    complete.mockReset();
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('prices calls by the longest matching model prefix', () => {
+    const usage = { promptTokens: 1000, completionTokens: 500 };
+
+    expect(computeCost('gpt-4o-2024-08-06', usage)).toBe(0.0075);
+    expect(computeCost('gpt-4o-mini-2024-07-18', usage)).toBe(0.00045);
+    expect(computeCost('claude-sonnet-4-5', usage)).toBe(0.0105);
+    expect(computeCost('llama-3.1-70b-instruct', usage)).toBe(0);
+    expect(computeCost('llama-3.1-70b-instruct', usage, { ...DEFAULT_PRICES, ...parsePrices('llama=1/2, broken=x') }))
+      .toBe(0.002);
+  });
+
+  it('records calls with cost and summarises them by day, task and user', () => {
+    let now = new Date('2026-03-09T23:00:00Z');
+    const ledger = createUsageLedger({ db, now: () => now });
+
+    ledger.record({ userId: 'u1', reportId: 'r1', task: 'interpretation', provider: 'openai', model: 'gpt-4o', usage: { promptTokens: 2000, completionTokens: 1000 }, latencyMs: 900 });
+    now = NOW;
+    ledger.record({ userId: 'u1', reportId: 'r2', task: 'pearls', provider: 'openai', model: 'gpt-4o', usage: { promptTokens: 1000, completionTokens: 0 } });
+    ledger.record({ userId: 'u2', reportId: 'r3', task: 'pearls', cacheHit: true });
+    ledger.record({ userId: 'u2', task: 'embedding', provider: 'openai', model: 'text-embedding-3-small', usage: { promptTokens: 500 } });
+
+    const summary = ledger.summary({ days: 7 });
+
+    expect(summary.since).toBe('2026-03-04');
+    expect(summary.totals).toMatchObject({ calls: 4, cacheHits: 1, promptTokens: 3500, cost: 0.01751 });
+    expect(summary.byDay.map(({ day, calls, cost }) => ({ day, calls, cost }))).toEqual([
+      { day: '2026-03-09', calls: 1, cost: 0.015 },
+      { day: '2026-03-10', calls: 3, cost: 0.00251 }
+    ]);
+    expect(summary.byTask.map(({ task, calls }) => [task, calls])).toEqual([['interpretation', 1], ['pearls', 2], ['embedding', 1]]);
+    expect(summary.byUser.map(({ userId }) => userId)).toEqual(['u1', 'u2']);
+    expect(ledger.averageCallCost()).toMatchObject({ calls: 2, tokens: 4000 });
+    expect(ledger.averageCallCost().cost).toBeCloseTo(0.0175);
+  });
+
+  it('checks spend against the daily budget, with per-user overrides', () => {
+    const ledger = createUsageLedger({
+      db,
+      budget: 0.01,
+      userBudget: userId => (userId === 'generous' ? 5 : null),
+      now: () => NOW
+    });
+    ['u1', 'generous'].forEach(userId =>
+      ledger.record({ userId, task: 'interpretation', model: 'gpt-4o', usage: { promptTokens: 4000, completionTokens: 0 } })
+    );
+
+    expect(ledger.checkBudget('u1')).toMatchObject({ budget: 0.01, spent: 0.01, remaining: 0, exceeded: true, action: 'downgrade' });
+    expect(ledger.checkBudget('generous')).toMatchObject({ budget: 5, exceeded: false });
+    expect(ledger.checkBudget('u2')).toMatchObject({ spent: 0, exceeded: false });
+    expect(createUsageLedger({ db, now: () => NOW }).checkBudget('u1')).toMatchObject({ budget: null, exceeded: false });
+  });
+
+  it('does not throw when the database is unavailable', () => {
+    const ledger = createUsageLedger({ db: null, budget: 1 });
+    const closedDb = new Database(':memory:');
+    closedDb.close();
+    const closed = createUsageLedger({ db: closedDb, budget: 1 });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(ledger.record({ task: 'pearls' })).toBeNull();
+    expect(ledger.summary().available).toBe(false);
+    expect(closed.record({ task: 'pearls' })).toBeNull();
+    expect(closed.checkBudget('u1')).toMatchObject({ exceeded: false });
+
+    console.error.mockRestore();
+  });
+
+  it('answers over-budget users with the economy model and records the call', async () => {
+    ledgers.current = createUsageLedger({ db, budget: 0.001, now: () => NOW });
+    ledgers.current.record({ userId: 'u1', task: 'pearls', model: 'gpt-4o', usage: { promptTokens: 1000 } });
+    complete.mockResolvedValue({
+      content: '{}',
+      usage: { promptTokens: 1000, completionTokens: 200 },
+      model: 'gpt-4o-mini',
+      provider: 'openai'
+    });
+
+    const response = await generateCompletion('system', 'prompt', { task: 'pearls', userId: 'u1', reportId: 'r9' });
+
+    expect(complete.mock.calls[0][2]).toMatchObject({ task: 'pearls', economy: true });
+    expect(response.cost).toBe(0.00027);
+    expect(db.prepare("SELECT report_id, model, downgraded FROM ai_usage WHERE report_id = 'r9'").get())
+      .toEqual({ report_id: 'r9', model: 'gpt-4o-mini', downgraded: 1 });
+  });
+
+  it('refuses over-budget users when the action is block', async () => {
+    ledgers.current = createUsageLedger({ db, budget: 0.001, action: 'block', now: () => NOW });
+    ledgers.current.record({ userId: 'u1', task: 'pearls', model: 'gpt-4o', usage: { promptTokens: 1000 } });
+    complete.mockResolvedValue({ content: '{}', usage: {}, model: 'gpt-4o', provider: 'openai' });
+
+    await expect(generateCompletion('system', 'prompt', { userId: 'u1' })).rejects.toBeInstanceOf(BudgetExceededError);
+    await expect(generateCompletion('system', 'prompt', { userId: 'u2' })).resolves.toMatchObject({ content: '{}' });
+    expect(complete).toHaveBeenCalledTimes(1);
+  });
+});
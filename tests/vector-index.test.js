@@ -0,0 +1,216 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { migrateUp, migrateDown } from '../lib/storage/migrator.js';
+import {
+  toVectorBlob,
+  fromVectorBlob,
+  createVectorIndex,
+  loadVectorIndex
+} from '../lib/knowledge/vector-index.js';
+
+const embeddings = vi.hoisted(() => new Map());
+vi.mock('../lib/ai/openai-client.js', () => ({
+  generateEmbedding: async (text) => embeddings.get(text)
+}));
+
+const { KnowledgeBase } = await import('../lib/knowledge/knowledge-base.js');
+
+// Seeded generator so graphs and data are the same on every run
+function seeded(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomVectors(count, dimensions, random) {
+  return Array.from({ length: count }, () => Array.from({ length: dimensions }, () => random() * 2 - 1));
+}
+
+function bruteForce(vectors, query, k) {
+  const norm = v => Math.sqrt(v.reduce((sum, x) => sum + x * x, 0));
+  return vectors
+    .map((vector, id) => ({ id, similarity: vector.reduce((sum, x, i) => sum + x * query[i], 0) / (norm(vector) * norm(query)) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, k)
+    .map(match => match.id);
+}
+
+function buildIndex(vectors, options = {}) {
+  const index = createVectorIndex({ dimensions: vectors[0].length, random: seeded(7), ...options });
+  vectors.forEach((vector, id) => index.add(id, vector));
+  return index;
+}
+
+describe('vector index', () => {
+  const random = seeded(42);
+  const vectors = randomVectors(1200, 16, random);
+  const queries = randomVectors(40, 16, random);
+  const index = buildIndex(vectors);
+
+  it('round-trips embeddings through float32 blobs', () => {
+    const blob = toVectorBlob([0.25, -1.5, 3]);
+
+    expect(blob.length).toBe(12);
+    expect(Array.from(fromVectorBlob(blob))).toEqual([0.25, -1.5, 3]);
+    // Views on a shared, unaligned buffer still decode
+    expect(Array.from(fromVectorBlob(Buffer.concat([Buffer.alloc(1), blob]).subarray(1)))).toEqual([0.25, -1.5, 3]);
+  });
+
+  it('finds nearly all of the exact nearest neighbours', () => {
+    let hits = 0;
+    for (const query of queries) {
+      const exact = new Set(bruteForce(vectors, query, 10));
+      hits += index.search(query, 10).filter(match => exact.has(match.id)).length;
+    }
+
+    expect(hits / (queries.length * 10)).toBeGreaterThan(0.95);
+    const [best] = index.search(vectors[5], 1);
+    expect(best.id).toBe(5);
+    expect(best.similarity).toBeCloseTo(1, 5);
+  });
+
+  it('ignores duplicate ids and rejects vectors of another length', () => {
+    expect(index.add(5, vectors[6])).toBe(false);
+    expect(index.size).toBe(1200);
+    expect(() => index.add(5000, [1, 2, 3])).toThrow('Vector has 3 dimensions; the index holds 16');
+    expect(createVectorIndex({ dimensions: 16 }).search(queries[0], 3)).toEqual([]);
+  });
+
+  it('restores a saved graph, dropping nodes whose vectors are gone', () => {
+    const available = new Map(vectors.map((vector, id) => [id, Float32Array.from(vector)]));
+    const restored = loadVectorIndex(index.serialize(), available);
+
+    expect(restored.size).toBe(1200);
+    expect(restored.search(queries[0], 10)).toEqual(index.search(queries[0], 10));
+
+    for (let id = 0; id < 300; id++) available.delete(id);
+    const pruned = loadVectorIndex(index.serialize(), available);
+
+    expect(pruned.size).toBe(900);
+    expect(pruned.search(vectors[10], 10).every(match => match.id >= 300)).toBe(true);
+    expect(() => loadVectorIndex(index.serialize().subarray(0, 200), available)).toThrow();
+  });
+
+  it('keeps the remaining vectors reachable after removals', () => {
+    const shrinking = buildIndex(vectors.slice(0, 600));
+    const removed = Array.from({ length: 600 }, (_, id) => id).filter(id => id % 3 === 0);
+
+    expect(shrinking.remove([...removed, 9999])).toBe(removed.length);
+    expect(shrinking.size).toBe(400);
+
+    const found = shrinking.ids().filter(id => shrinking.search(vectors[id], 1)[0].id === id);
+    expect(found.length).toBe(400);
+  });
+});
+
+describe('knowledge base search', () => {
+  let db;
+  let directory;
+  let base;
+
+  const vector = (...values) => [...values, ...Array(5 - values.length).fill(0)];
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    db = new Database(':memory:');
+    migrateUp(db, 'knowledge');
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'knowledge-index-'));
+    base = new KnowledgeBase({ db, indexDirectory: directory, saveDelayMs: 0 });
+    embeddings.clear();
+  });
+
+  afterEach(() => {
+    db.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  async function store(text, embedding, confidence = 0.8, category = 'lab') {
+    embeddings.set(text, embedding);
+    return base.store(category, text, text, JSON.stringify({ summary: text }), confidence);
+  }
+
+  it('matches entries outside the 50 most confident, stored as float32 blobs', async () => {
+    const old = await store('potassium 6.1', vector(1, 0.05), 0.35);
+    for (let i = 0; i < 60; i++) {
+      await store(`sodium ${i}`, vector(0, 1, i / 60), 0.99);
+    }
+    await store('potassium ecg', vector(1, 0.05), 0.9, 'ecg');
+    embeddings.set('high potassium', vector(1, 0.04));
+
+    const [match, ...rest] = await base.search('high potassium', 'lab', 0.9);
+
+    expect(match).toMatchObject({ id: old, topic: 'potassium 6.1', confidence: 0.35, response: { summary: 'potassium 6.1' } });
+    expect(match.similarity).toBeGreaterThan(0.99);
+    expect(rest).toEqual([]);
+    expect(db.prepare('SELECT typeof(embedding) AS type FROM knowledge WHERE id = ?').get(old).type).toBe('blob');
+  });
+
+  it('saves the index next to the database and picks up entries written elsewhere', async () => {
+    await store('potassium 6.1', vector(1));
+    expect(fs.existsSync(path.join(directory, 'lab.hnsw'))).toBe(true);
+
+    // Another process stores an entry; this one reopens from the saved graph
+    db.prepare("INSERT INTO knowledge (category, topic, query, response, embedding) VALUES ('lab', 'lactate', 'lactate', '{}', ?)")
+      .run(toVectorBlob(vector(0, 0, 1)));
+    const reopened = new KnowledgeBase({ db, indexDirectory: directory, saveDelayMs: 0 });
+    embeddings.set('lactate 4', vector(0, 0, 1));
+
+    expect((await reopened.search('lactate 4', 'lab', 0.9)).map(match => match.topic)).toEqual(['lactate']);
+
+    db.prepare("INSERT INTO knowledge (category, topic, query, response, embedding) VALUES ('lab', 'troponin', 'troponin', '{}', ?)")
+      .run(toVectorBlob(vector(0, 0, 0, 1)));
+    embeddings.set('troponin rise', vector(0, 0, 0, 1));
+
+    expect((await reopened.search('troponin rise', 'lab', 0.9)).map(match => match.topic)).toEqual(['troponin']);
+  });
+
+  it('stops matching entries removed by cleanup', async () => {
+    await store('potassium 6.1', vector(1), 0.1);
+    await store('potassium 5.9', vector(1, 0.1), 0.9);
+    embeddings.set('high potassium', vector(1));
+
+    expect(await base.search('high potassium', 'lab', 0.9)).toHaveLength(2);
+    expect(base.cleanup(0.3, 90)).toBe(1);
+    expect((await base.search('high potassium', 'lab', 0.9)).map(match => match.topic)).toEqual(['potassium 5.9']);
+  });
+
+  it('re-indexes a category when the embedding model changes', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    await store('potassium 6.1', vector(1));
+    await store('potassium 5.9', [1, 0, 0]);
+    embeddings.set('high potassium', [1, 0.01, 0]);
+
+    expect((await base.search('high potassium', 'lab', 0.9)).map(match => match.topic)).toEqual(['potassium 5.9']);
+  });
+});
+
+describe('binary embeddings migration', () => {
+  it('converts JSON embeddings to blobs and back', () => {
+    const db = new Database(':memory:');
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    migrateUp(db, 'knowledge', { to: 1 });
+    db.prepare("INSERT INTO knowledge (category, topic, query, response, embedding) VALUES ('lab', 'k', 'k', '{}', ?)")
+      .run(JSON.stringify([0.5, -0.25]));
+    db.prepare("INSERT INTO knowledge (category, topic, query, response) VALUES ('lab', 'na', 'na', '{}')").run();
+
+    migrateUp(db, 'knowledge');
+    const [withEmbedding, without] = db.prepare('SELECT embedding FROM knowledge ORDER BY id').all();
+
+    expect(Array.from(fromVectorBlob(withEmbedding.embedding))).toEqual([0.5, -0.25]);
+    expect(without.embedding).toBeNull();
+    // FTS triggers still work on the rebuilt table
+    expect(db.prepare("SELECT rowid FROM knowledge_fts WHERE knowledge_fts MATCH 'k'").all()).toEqual([{ rowid: 1 }]);
+
+    migrateDown(db, 'knowledge');
+    expect(db.prepare('SELECT embedding FROM knowledge WHERE id = 1').get().embedding).toBe('[0.5,-0.25]');
+    db.close();
+    vi.restoreAllMocks();
+  });
+});
@@ -0,0 +1,25 @@
+/**
+ * Custom service worker code, bundled by next-pwa into worker-*.js and
+ * imported by the generated sw.js. Only relative imports resolve here.
+ */
+
+import { getScanQueue, SCAN_QUEUE_SYNC_TAG, SCAN_QUEUE_MESSAGE } from '../lib/offline/scan-queue';
+
+async function syncScanQueue() {
+  const summary = await getScanQueue().process();
+
+  // Let open pages copy the results into the report store
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  clients.forEach(client => client.postMessage({ type: SCAN_QUEUE_MESSAGE, summary }));
+
+  // Rejecting asks the browser to fire the sync again later
+  if (summary.pending > 0) {
+    throw new Error(`${summary.pending} scan(s) still pending`);
+  }
+}
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SCAN_QUEUE_SYNC_TAG) {
+    event.waitUntil(syncScanQueue());
+  }
+});